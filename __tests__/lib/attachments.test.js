@@ -0,0 +1,178 @@
+import sharp from 'sharp'
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import { setStorageBackend } from '../../lib/storage'
+import { assessImage, recordModerationEvent } from '../../lib/moderation'
+import {
+  MAX_ATTACHMENT_BYTES,
+  detectMimeType,
+  discardAttachment,
+  getMessageAttachments,
+  getSendableAttachments,
+  uploadAttachment
+} from '../../lib/attachments'
+
+jest.mock('../../lib/moderation', () => ({
+  assessImage: jest.fn(),
+  recordModerationEvent: jest.fn(),
+  getBlockedMessage: (contentType) => `This ${contentType} can't be posted`
+}))
+
+const uploader = { id: 'client-1' }
+const conversation = { chat: { id: 10 } }
+const pdf = Buffer.from('%PDF-1.7\n1 0 obj\n<<>>\nendobj\n')
+
+const photo = ({ width = 64, height = 48 } = {}) => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 80, b: 40 } }
+})
+  .jpeg()
+  .withMetadata({ exif: { IFD0: { Copyright: 'GPS 6.5244 3.3792' } } })
+  .toBuffer()
+
+const upload = (buffer, fileName = 'venue.jpg', user = uploader) =>
+  uploadAttachment(conversation, user, { fileName, data: buffer.toString('base64') })
+
+describe('attachments', () => {
+  let stored
+
+  beforeEach(() => {
+    stored = new Map()
+    setStorageBackend({
+      put: async (key, data, mimeType) => stored.set(key, { data, mimeType }),
+      remove: async (keys) => keys.forEach(key => stored.delete(key)),
+      getSignedUrl: async (key, seconds) => `https://files.example.com/${key}?expires=${seconds}`
+    })
+    setDbAdapter(createMemoryAdapter())
+    assessImage.mockReset().mockResolvedValue({ decision: 'allow', scores: { sexual: 0.01 } })
+    recordModerationEvent.mockReset()
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => console.error.mockRestore())
+
+  afterAll(() => {
+    setDbAdapter(null)
+    setStorageBackend(null)
+  })
+
+  describe('uploadAttachment', () => {
+    it('detects the type from the bytes, whatever the file is called', async () => {
+      expect(detectMimeType(await photo())).toBe('image/jpeg')
+      expect(detectMimeType(pdf)).toBe('application/pdf')
+      expect(detectMimeType(Buffer.from('<html><script></script></html>'))).toBeNull()
+
+      const { attachment } = await upload(pdf, '../../etc/itinerary.exe')
+      expect(attachment).toMatchObject({ mime_type: 'application/pdf', file_name: 'itinerary.pdf', moderation_status: 'not_required' })
+      expect(assessImage).not.toHaveBeenCalled()
+    })
+
+    it('refuses empty, oversized and unsupported files', async () => {
+      expect((await upload(Buffer.alloc(0))).status).toBe(400)
+      expect((await upload(Buffer.alloc(MAX_ATTACHMENT_BYTES + 1, 0x25))).status).toBe(413)
+      expect((await upload(Buffer.from('GIF89a-not-supported'))).status).toBe(415)
+      expect(stored.size).toBe(0)
+    })
+
+    it('re-encodes images without their metadata and stores a thumbnail', async () => {
+      const original = await photo()
+      expect((await sharp(original).metadata()).exif).toBeDefined()
+
+      const { attachment } = await upload(original)
+
+      expect(attachment).toMatchObject({ width: 64, height: 48, moderation_status: 'approved' })
+      const file = stored.get(attachment.storage_key)
+      expect((await sharp(file.data).metadata()).exif).toBeUndefined()
+      expect(stored.get(attachment.thumbnail_key).mimeType).toBe('image/webp')
+    })
+
+    it('shrinks very large images', async () => {
+      const { attachment } = await upload(await photo({ width: 5000, height: 100 }))
+
+      expect(attachment).toMatchObject({ width: 4096, height: 82 })
+    })
+
+    it('refuses blocked images without storing them', async () => {
+      assessImage.mockResolvedValue({ decision: 'block', scores: { sexual: 0.99 } })
+
+      const result = await upload(await photo())
+
+      expect(result.status).toBe(422)
+      expect(stored.size).toBe(0)
+      expect(recordModerationEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ decision: 'block' }),
+        { contentType: 'attachment', userId: 'client-1' }
+      )
+    })
+
+    it('shares borderline images and queues them for review', async () => {
+      assessImage.mockResolvedValue({ decision: 'review', scores: { violence: 0.5 } })
+
+      const { attachment } = await upload(await photo())
+
+      expect(attachment.moderation_status).toBe('in_review')
+      expect(recordModerationEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ decision: 'review' }),
+        { contentType: 'attachment', contentId: attachment.id, userId: 'client-1' }
+      )
+    })
+
+    it('fails closed when images cannot be checked', async () => {
+      assessImage.mockRejectedValue(new Error('OpenAI unavailable'))
+
+      expect((await upload(await photo())).status).toBe(503)
+      expect(stored.size).toBe(0)
+    })
+
+    it('refuses a file that only looks like an image', async () => {
+      const fake = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(64, 1)])
+
+      expect(await upload(fake)).toEqual({ status: 400, message: 'The image could not be read' })
+    })
+
+    it('removes the stored files when the upload cannot be recorded', async () => {
+      const memory = getDb()
+      setDbAdapter({
+        ...memory,
+        insert: async () => {
+          throw new Error('connection reset')
+        }
+      })
+
+      await expect(upload(await photo())).rejects.toThrow('connection reset')
+      expect(stored.size).toBe(0)
+    })
+  })
+
+  describe('sending', () => {
+    it('only sends the sender\'s own unsent uploads from this chat', async () => {
+      const { attachment: mine } = await upload(pdf)
+      const { attachment: theirs } = await upload(pdf, 'theirs.pdf', { id: 'companion-1' })
+
+      expect((await getSendableAttachments(conversation, uploader, [mine.id])).attachments).toHaveLength(1)
+      expect((await getSendableAttachments(conversation, uploader, [mine.id, theirs.id])).status).toBe(404)
+      expect((await getSendableAttachments({ chat: { id: 11 } }, uploader, [mine.id])).status).toBe(404)
+      expect((await getSendableAttachments(conversation, uploader, ['x'])).status).toBe(400)
+    })
+
+    it('serves sent attachments through expiring signed URLs', async () => {
+      const { attachment } = await upload(await photo())
+      await getDb().update('message_attachments', { id: attachment.id }, { message_id: 99 })
+
+      const [served] = (await getMessageAttachments([99])).get(99)
+
+      expect(served).toMatchObject({
+        kind: 'image',
+        url: `https://files.example.com/${attachment.storage_key}?expires=900`,
+        thumbnailUrl: `https://files.example.com/${attachment.thumbnail_key}?expires=900`
+      })
+      expect(served).not.toHaveProperty('storage_key')
+    })
+
+    it('discards only unsent uploads of the user, with their files', async () => {
+      const { attachment } = await upload(await photo())
+
+      expect(await discardAttachment(attachment.id, { id: 'companion-1' })).toBe(false)
+      expect(await discardAttachment(attachment.id, uploader)).toBe(true)
+      expect(stored.size).toBe(0)
+    })
+  })
+})
@@ -0,0 +1,177 @@
+import { createMemoryAdapter, setDbAdapter } from '../../lib/db'
+import { createToken, withAuth } from '../../lib/auth'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function profile(id, overrides = {}) {
+  return {
+    id,
+    role: 'client',
+    email: `${id}@example.com`,
+    full_name: `User ${id}`,
+    username: id,
+    verification_status: 'verified',
+    ...overrides
+  }
+}
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code
+      return this
+    },
+    json(body) {
+      this.body = body
+      return this
+    }
+  }
+}
+
+// Runs a wrapped handler and reports what it answered and who it saw
+async function call(options, { token, method = 'GET' } = {}) {
+  const seen = {}
+  const handler = jest.fn((req, res) => {
+    seen.user = req.user
+    return res.status(200).json({ ok: true })
+  })
+  const req = { method, headers: token ? { authorization: `Bearer ${token}` } : {} }
+  const res = createResponse()
+
+  await withAuth(handler, options)(req, res)
+  return { status: res.statusCode, body: res.body, called: handler.mock.calls.length > 0, user: seen.user }
+}
+
+describe('withAuth', () => {
+  beforeEach(() => {
+    setDbAdapter(createMemoryAdapter({
+      profiles: [
+        profile('client-1'),
+        profile('companion-1', { role: 'companion' }),
+        profile('admin-1', { role: 'admin' }),
+        profile('suspended-1', { verification_status: 'suspended' })
+      ]
+    }))
+  })
+
+  afterEach(() => jest.useRealTimers())
+
+  afterAll(() => setDbAdapter(null))
+
+  describe('required', () => {
+    it('refuses a request without a token', async () => {
+      const result = await call()
+
+      expect(result).toMatchObject({ status: 401, called: false, body: { message: 'Authentication required' } })
+    })
+
+    it('refuses a malformed Authorization header', async () => {
+      const handler = jest.fn()
+      const res = createResponse()
+      await withAuth(handler)({ method: 'GET', headers: { authorization: 'Token abc' } }, res)
+
+      expect(res.statusCode).toBe(401)
+      expect(handler).not.toHaveBeenCalled()
+    })
+
+    it('refuses a token that does not verify', async () => {
+      const result = await call({}, { token: 'not-a-jwt' })
+
+      expect(result).toMatchObject({ status: 401, called: false, body: { message: 'Invalid or expired token' } })
+    })
+
+    it('refuses an expired token', async () => {
+      jest.useFakeTimers({ now: new Date('2024-03-01T00:00:00.000Z') })
+      const token = createToken('client-1')
+      jest.setSystemTime(new Date(Date.now() + 8 * DAY_MS))
+
+      const result = await call({}, { token })
+      expect(result).toMatchObject({ status: 401, called: false })
+    })
+
+    it('refuses a token for an account that no longer exists', async () => {
+      const result = await call({}, { token: createToken('gone-1') })
+
+      expect(result).toMatchObject({ status: 401, body: { message: 'Account not found' } })
+    })
+
+    it('refuses a suspended account', async () => {
+      const result = await call({}, { token: createToken('suspended-1') })
+
+      expect(result).toMatchObject({ status: 403, called: false, body: { message: 'Account suspended' } })
+    })
+
+    it('attaches the user from the profile, not the token claims', async () => {
+      const result = await call({}, { token: createToken('client-1', 'admin') })
+
+      expect(result.status).toBe(200)
+      expect(result.user).toEqual({
+        id: 'client-1',
+        role: 'client',
+        email: 'client-1@example.com',
+        name: 'User client-1',
+        username: 'client-1',
+        verificationStatus: 'verified'
+      })
+    })
+
+    it('passes preflight requests through without a user', async () => {
+      const result = await call({ roles: ['admin'] }, { method: 'OPTIONS' })
+
+      expect(result).toMatchObject({ called: true, user: null })
+    })
+  })
+
+  describe('roles', () => {
+    it('refuses a role that is not allowed', async () => {
+      const result = await call({ roles: ['companion', 'admin'] }, { token: createToken('client-1') })
+
+      expect(result).toMatchObject({
+        status: 403,
+        called: false,
+        body: { message: 'Insufficient permissions', requiredRoles: ['companion', 'admin'] }
+      })
+    })
+
+    it('lets an allowed role through', async () => {
+      const result = await call({ roles: ['companion', 'admin'] }, { token: createToken('admin-1') })
+
+      expect(result).toMatchObject({ status: 200, user: { id: 'admin-1', role: 'admin' } })
+    })
+  })
+
+  describe('optional', () => {
+    it('treats a request without a token as a guest', async () => {
+      const result = await call({ optional: true })
+
+      expect(result).toMatchObject({ status: 200, called: true, user: null })
+    })
+
+    it('attaches the user when the token is valid', async () => {
+      const result = await call({ optional: true }, { token: createToken('companion-1') })
+
+      expect(result.user).toMatchObject({ id: 'companion-1', role: 'companion' })
+    })
+
+    it.each([
+      ['a token that does not verify', () => 'not-a-jwt'],
+      ['a token for a missing account', () => createToken('gone-1')],
+      ['a suspended account', () => createToken('suspended-1')]
+    ])('treats %s as a guest', async (_, token) => {
+      const result = await call({ optional: true }, { token: token() })
+
+      expect(result).toMatchObject({ status: 200, called: true, user: null })
+    })
+
+    it('treats an expired token as a guest', async () => {
+      jest.useFakeTimers({ now: new Date('2024-03-01T00:00:00.000Z') })
+      const token = createToken('client-1')
+      jest.setSystemTime(new Date(Date.now() + 8 * DAY_MS))
+
+      const result = await call({ optional: true }, { token })
+      expect(result).toMatchObject({ status: 200, user: null })
+    })
+  })
+})
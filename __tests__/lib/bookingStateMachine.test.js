@@ -0,0 +1,86 @@
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import {
+  BOOKING_ACTIONS,
+  BOOKING_TRANSITIONS,
+  getActionsForRole,
+  getAvailableActions,
+  transitionBooking
+} from '../../lib/bookingStateMachine'
+
+const admin = { id: 'admin-1', role: 'admin' }
+
+describe('BOOKING_TRANSITIONS', () => {
+  it('gives every action a past tense for messages', () => {
+    const pastTenses = Object.fromEntries(
+      BOOKING_ACTIONS.map(action => [action, BOOKING_TRANSITIONS[action].pastTense])
+    )
+
+    expect(pastTenses).toEqual({
+      accept: 'accepted',
+      reject: 'rejected',
+      cancel: 'cancelled',
+      expire: 'expired',
+      complete: 'completed',
+      refund: 'refunded'
+    })
+  })
+})
+
+describe('getActionsForRole', () => {
+  it('lists only the actions each account role can perform', () => {
+    expect(getActionsForRole('client')).toEqual(['cancel', 'expire'])
+    expect(getActionsForRole('companion')).toEqual(['accept', 'reject', 'cancel', 'complete'])
+    expect(getActionsForRole('admin')).toEqual(['cancel', 'expire', 'complete'])
+  })
+
+  it('never offers system-only actions', () => {
+    for (const role of ['client', 'companion', 'admin']) {
+      expect(getActionsForRole(role)).not.toContain('refund')
+    }
+  })
+})
+
+describe('refund transition', () => {
+  const booking = {
+    id: 1,
+    client_id: 'client-1',
+    companion_id: 'companion-1',
+    status: 'accepted',
+    start_time: '2024-02-01T18:00:00.000Z',
+    end_time: '2024-02-01T20:00:00.000Z'
+  }
+
+  beforeEach(() => {
+    setDbAdapter(createMemoryAdapter({ bookings: [booking], booking_events: [] }))
+  })
+
+  afterAll(() => setDbAdapter(null))
+
+  it('cancels an accepted booking without moving money', async () => {
+    const result = await transitionBooking({ ...booking }, 'refund', null, {
+      reason: 'Cancelled when dispute 3 resolved',
+      metadata: { disputeId: 3 }
+    })
+
+    expect(result.booking.status).toBe('cancelled')
+    expect(result.paymentAction).toBe('none')
+
+    const [event] = getDb().tables.booking_events
+    expect(event).toMatchObject({
+      booking_id: 1,
+      actor_role: 'system',
+      action: 'refund',
+      from_status: 'accepted',
+      to_status: 'cancelled',
+      metadata: { disputeId: 3 }
+    })
+  })
+
+  it('is not offered to or allowed for users', async () => {
+    const result = await transitionBooking({ ...booking }, 'refund', admin)
+
+    expect(result.status).toBe(403)
+    expect(getAvailableActions(booking, admin)).not.toContain('refund')
+    expect((await getDb().findOne('bookings', { id: 1 })).status).toBe('accepted')
+  })
+})
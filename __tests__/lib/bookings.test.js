@@ -0,0 +1,138 @@
+import { createMemoryAdapter, setDbAdapter } from '../../lib/db'
+import { checkBookingSlot, getBookingForUser, listBookings } from '../../lib/bookings'
+
+const client = { id: 'client-1', role: 'client' }
+const otherClient = { id: 'client-2', role: 'client' }
+const companion = { id: 'companion-1', role: 'companion' }
+const admin = { id: 'admin-1', role: 'admin' }
+
+function booking(id, { clientId = client.id, companionId = companion.id, status = 'pending', day }) {
+  return {
+    id,
+    client_id: clientId,
+    companion_id: companionId,
+    status,
+    start_time: `2024-02-${String(day).padStart(2, '0')}T18:00:00.000Z`
+  }
+}
+
+describe('bookings data access', () => {
+  beforeEach(() => {
+    setDbAdapter(createMemoryAdapter({
+      bookings: [
+        booking(1, { status: 'pending', day: 1 }),
+        booking(2, { status: 'accepted', day: 2 }),
+        booking(3, { status: 'completed', day: 3 }),
+        booking(4, { status: 'cancelled', day: 4 }),
+        booking(5, { status: 'accepted', day: 5 }),
+        booking(6, { clientId: otherClient.id, status: 'accepted', day: 6 }),
+        booking(7, { clientId: otherClient.id, companionId: 'companion-2', status: 'pending', day: 7 })
+      ]
+    }))
+  })
+
+  afterAll(() => setDbAdapter(null))
+
+  const ids = (result) => result.bookings.map(row => row.id)
+
+  describe('listBookings', () => {
+    it('shows clients only their own bookings, newest first', async () => {
+      expect(ids(await listBookings(client))).toEqual([5, 4, 3, 2, 1])
+      expect(ids(await listBookings(otherClient))).toEqual([7, 6])
+    })
+
+    it('shows companions the bookings made with them', async () => {
+      expect(ids(await listBookings(companion))).toEqual([6, 5, 4, 3, 2, 1])
+    })
+
+    it('shows admins everything', async () => {
+      expect((await listBookings(admin)).pagination.total).toBe(7)
+    })
+
+    it('filters by one or more statuses', async () => {
+      expect(ids(await listBookings(client, { status: 'accepted' }))).toEqual([5, 2])
+      expect(ids(await listBookings(client, { status: 'pending, completed' }))).toEqual([3, 1])
+    })
+
+    it('pages through the results', async () => {
+      const first = await listBookings(companion, { page: 1, limit: 4 })
+      expect(ids(first)).toEqual([6, 5, 4, 3])
+      expect(first.pagination).toEqual({ page: 1, limit: 4, total: 6, totalPages: 2, hasMore: true })
+
+      const second = await listBookings(companion, { page: '2', limit: '4' })
+      expect(ids(second)).toEqual([2, 1])
+      expect(second.pagination.hasMore).toBe(false)
+    })
+
+    it('clamps invalid page and limit values', async () => {
+      const result = await listBookings(admin, { page: '-3', limit: '1000' })
+      expect(result.pagination.page).toBe(1)
+      expect(result.pagination.limit).toBe(100)
+    })
+  })
+
+  describe('getBookingForUser', () => {
+    it('finds a booking by the string id from the route', async () => {
+      expect((await getBookingForUser('2', client))?.id).toBe(2)
+      expect((await getBookingForUser('2', companion))?.id).toBe(2)
+      expect((await getBookingForUser('6', admin))?.id).toBe(6)
+    })
+
+    it('hides bookings the user is not part of', async () => {
+      expect(await getBookingForUser('6', client)).toBeNull()
+      expect(await getBookingForUser('7', companion)).toBeNull()
+      expect(await getBookingForUser('999', admin)).toBeNull()
+    })
+  })
+
+  describe('checkBookingSlot', () => {
+    const profile = { id: companion.id, availability_schedule: null }
+    // 2024-03-04 is a Monday; times are Africa/Lagos (UTC+1)
+    const slot = (start, end, options = {}) => checkBookingSlot(profile, {
+      startTime: `2024-03-04T${start}:00+01:00`,
+      endTime: `2024-03-04T${end}:00+01:00`,
+      ...options
+    })
+
+    beforeEach(() => {
+      // Suggestions only offer slots still ahead
+      jest.useFakeTimers({ now: new Date('2024-03-01T00:00:00.000Z') })
+      setDbAdapter(createMemoryAdapter({
+        bookings: [
+          { id: 10, companion_id: companion.id, status: 'accepted', start_time: '2024-03-04T11:00:00.000Z', end_time: '2024-03-04T13:00:00.000Z' },
+          { id: 11, companion_id: companion.id, status: 'cancelled', start_time: '2024-03-04T15:00:00.000Z', end_time: '2024-03-04T16:00:00.000Z' },
+          { id: 12, companion_id: 'companion-2', status: 'accepted', start_time: '2024-03-04T08:00:00.000Z', end_time: '2024-03-04T10:00:00.000Z' }
+        ]
+      }))
+    })
+
+    afterEach(() => jest.useRealTimers())
+
+    it('accepts a free slot inside working hours', async () => {
+      expect(await slot('09:00', '11:00')).toEqual({ available: true })
+      expect(await slot('16:00', '17:00')).toEqual({ available: true })
+    })
+
+    it('rejects an overlapping slot and suggests the nearest free ones', async () => {
+      const result = await slot('13:00', '14:00')
+
+      expect(result.available).toBe(false)
+      expect(result.reason).toBe('conflict')
+      expect(result.suggestedSlots[0]).toEqual({ date: '2024-03-04', time: '14:00', duration: 1 })
+    })
+
+    it('keeps the travel buffer free around existing bookings', async () => {
+      expect((await slot('14:00', '15:00', { bufferMinutes: 30 })).reason).toBe('conflict')
+      expect(await slot('15:00', '16:00', { bufferMinutes: 30 })).toEqual({ available: true })
+    })
+
+    it('rejects slots outside the working hours', async () => {
+      expect((await slot('20:00', '22:00')).reason).toBe('outside_availability')
+      expect(await slot('20:00', '22:00', { checkAvailability: false })).toEqual({ available: true })
+    })
+
+    it('ignores the booking being re-checked', async () => {
+      expect(await slot('12:00', '14:00', { excludeBookingId: 10 })).toEqual({ available: true })
+    })
+  })
+})
@@ -0,0 +1,166 @@
+import {
+  formatDate,
+  formatTime,
+  getAppTimeZone,
+  getAvailableSlots,
+  getDefaultAvailability,
+  hasBookingConflict,
+  isWithinAvailability,
+  parseDateTime,
+  suggestAlternativeSlots
+} from '../../lib/calendar'
+
+// 2024-03-04 is a Monday; Africa/Lagos is UTC+1 all year
+const MONDAY = '2024-03-04'
+
+function withProcessTimeZone(timeZone, run) {
+  const previous = process.env.TZ
+  process.env.TZ = timeZone
+  try {
+    return run()
+  } finally {
+    if (previous === undefined) delete process.env.TZ
+    else process.env.TZ = previous
+  }
+}
+
+function withAppTimeZone(timeZone, run) {
+  const previous = process.env.NEXT_PUBLIC_APP_TIME_ZONE
+  process.env.NEXT_PUBLIC_APP_TIME_ZONE = timeZone
+  try {
+    return run()
+  } finally {
+    if (previous === undefined) delete process.env.NEXT_PUBLIC_APP_TIME_ZONE
+    else process.env.NEXT_PUBLIC_APP_TIME_ZONE = previous
+  }
+}
+
+describe('calendar', () => {
+  describe('app timezone', () => {
+    it('defaults to Africa/Lagos', () => {
+      expect(getAppTimeZone()).toBe('Africa/Lagos')
+    })
+
+    it('reads dates and times as wall-clock time in the app timezone whatever the server runs in', () => {
+      for (const timeZone of ['UTC', 'America/New_York', 'Asia/Tokyo']) {
+        withProcessTimeZone(timeZone, () => {
+          expect(parseDateTime(MONDAY, '09:00').toISOString()).toBe('2024-03-04T08:00:00.000Z')
+          expect(formatDate('2024-03-04T23:30:00.000Z')).toBe('2024-03-05')
+          expect(formatTime('2024-03-04T23:30:00.000Z')).toBe('00:30')
+        })
+      }
+    })
+
+    it('follows daylight saving in a configured timezone', () => {
+      withAppTimeZone('America/New_York', () => {
+        expect(parseDateTime('2024-03-09', '09:00').toISOString()).toBe('2024-03-09T14:00:00.000Z')
+        expect(parseDateTime('2024-03-10', '09:00').toISOString()).toBe('2024-03-10T13:00:00.000Z')
+        expect(formatTime('2024-03-10T13:00:00.000Z')).toBe('09:00')
+      })
+    })
+
+    it('returns an invalid date for malformed input', () => {
+      expect(isNaN(parseDateTime('04/03/2024', '09:00').getTime())).toBe(true)
+      expect(isNaN(parseDateTime(MONDAY, 'noon').getTime())).toBe(true)
+      expect(isNaN(parseDateTime(undefined, undefined).getTime())).toBe(true)
+    })
+  })
+
+  describe('hasBookingConflict', () => {
+    const existing = [{ id: 1, date: MONDAY, time: '12:00', duration: 2, status: 'accepted' }]
+
+    it('flags overlapping bookings', () => {
+      expect(hasBookingConflict({ date: MONDAY, time: '13:00', duration: 1 }, existing)).toBe(true)
+      expect(hasBookingConflict({ date: MONDAY, time: '11:00', duration: 4 }, existing)).toBe(true)
+    })
+
+    it('lets bookings touch end to end', () => {
+      expect(hasBookingConflict({ date: MONDAY, time: '14:00', duration: 1 }, existing)).toBe(false)
+      expect(hasBookingConflict({ date: MONDAY, time: '10:00', duration: 2 }, existing)).toBe(false)
+    })
+
+    it('keeps the travel buffer free on both sides', () => {
+      const options = { bufferMinutes: 30 }
+      expect(hasBookingConflict({ date: MONDAY, time: '14:00', duration: 1 }, existing, options)).toBe(true)
+      expect(hasBookingConflict({ date: MONDAY, time: '10:30', duration: 1 }, existing, options)).toBe(false)
+      expect(hasBookingConflict({ date: MONDAY, time: '11:00', duration: 1 }, existing, options)).toBe(true)
+    })
+
+    it('ignores cancelled bookings and the booking itself', () => {
+      const cancelled = [{ ...existing[0], status: 'cancelled' }]
+      expect(hasBookingConflict({ date: MONDAY, time: '12:00', duration: 1 }, cancelled)).toBe(false)
+      expect(hasBookingConflict({ id: 1, date: MONDAY, time: '12:00', duration: 2 }, existing)).toBe(false)
+    })
+
+    it('compares database rows as absolute times across midnight', () => {
+      const late = [{ start_time: '2024-03-04T22:00:00.000Z', end_time: '2024-03-05T01:00:00.000Z', status: 'pending' }]
+      // 01:00-02:00 Lagos on the 5th is 00:00-01:00 UTC
+      expect(hasBookingConflict({ date: '2024-03-05', time: '01:00', duration: 1 }, late)).toBe(true)
+      expect(hasBookingConflict({ date: '2024-03-05', time: '02:00', duration: 1 }, late)).toBe(false)
+    })
+  })
+
+  describe('isWithinAvailability', () => {
+    const availability = getDefaultAvailability()
+
+    it('accepts bookings inside the working hours of an enabled day', () => {
+      expect(isWithinAvailability({ date: MONDAY, time: '09:00', duration: 2 }, availability)).toBe(true)
+      expect(isWithinAvailability({ date: MONDAY, time: '20:00', duration: 1 }, availability)).toBe(true)
+    })
+
+    it('rejects bookings that start early or run past the end of the day', () => {
+      expect(isWithinAvailability({ date: MONDAY, time: '08:00', duration: 2 }, availability)).toBe(false)
+      expect(isWithinAvailability({ date: MONDAY, time: '20:00', duration: 2 }, availability)).toBe(false)
+    })
+
+    it('rejects days the companion does not work', () => {
+      expect(isWithinAvailability({ date: '2024-03-09', time: '12:00', duration: 1 }, availability)).toBe(false)
+    })
+
+    it('takes the weekday from the app timezone', () => {
+      const saturdayOnly = {
+        friday: { enabled: false },
+        saturday: { enabled: true, startTime: '00:00', endTime: '23:59' }
+      }
+      // Friday 23:30 UTC is already Saturday 00:30 in Lagos
+      const booking = { start_time: '2024-03-08T23:30:00.000Z', end_time: '2024-03-09T00:30:00.000Z' }
+
+      for (const timeZone of ['UTC', 'America/Los_Angeles']) {
+        withProcessTimeZone(timeZone, () => {
+          expect(isWithinAvailability(booking, saturdayOnly)).toBe(true)
+        })
+      }
+    })
+  })
+
+  describe('getAvailableSlots', () => {
+    it('offers the hours where the whole booking fits and is free', () => {
+      const bookings = [{ date: MONDAY, time: '12:00', duration: 2, status: 'accepted' }]
+      const slots = getAvailableSlots(MONDAY, bookings, getDefaultAvailability(), { duration: 2, bufferMinutes: 60 })
+
+      expect(slots).toEqual(['09:00', '15:00', '16:00', '17:00', '18:00', '19:00'])
+    })
+
+    it('offers nothing on a day off', () => {
+      expect(getAvailableSlots('2024-03-10', [], getDefaultAvailability())).toEqual([])
+    })
+  })
+
+  describe('suggestAlternativeSlots', () => {
+    it('suggests the closest free times that day, then the following days', () => {
+      const bookings = [{ date: MONDAY, time: '09:00', duration: 11, status: 'accepted' }]
+      const suggestions = suggestAlternativeSlots(
+        { date: MONDAY, time: '12:00', duration: 1 },
+        bookings,
+        getDefaultAvailability(),
+        { limit: 3, now: new Date('2024-03-01T00:00:00.000Z') }
+      )
+
+      expect(suggestions).toEqual([
+        { date: MONDAY, time: '20:00', duration: 1 },
+        { date: '2024-03-05', time: '09:00', duration: 1 },
+        { date: '2024-03-05', time: '10:00', duration: 1 }
+      ])
+    })
+  })
+})
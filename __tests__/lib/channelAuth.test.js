@@ -0,0 +1,152 @@
+import Pusher from 'pusher'
+import { createMemoryAdapter, setDbAdapter } from '../../lib/db'
+import { createLocalPusher, setPusherServer } from '../../lib/pusher'
+import { authorizeChannel, parseChannelName } from '../../lib/channelAuth'
+
+const KEY = 'test-key'
+const SECRET = 'test-secret'
+const SOCKET_ID = '1234.5678'
+
+const client = { id: 'client-1', role: 'client' }
+const companion = { id: 'companion-1', role: 'companion' }
+const outsider = { id: 'client-2', role: 'client' }
+const admin = { id: 'admin-1', role: 'admin' }
+
+// What the real Pusher library signs with the same credentials
+const pusher = new Pusher({ appId: '1', key: KEY, secret: SECRET, cluster: 'us2' })
+
+describe('authorizeChannel', () => {
+  beforeEach(() => {
+    setPusherServer(createLocalPusher({ key: KEY, secret: SECRET }))
+    // Ids as they arrive in channel names
+    setDbAdapter(createMemoryAdapter({
+      bookings: [
+        { id: '42', client_id: client.id, companion_id: companion.id, status: 'accepted' },
+        { id: '43', client_id: client.id, companion_id: companion.id, status: 'pending' },
+        { id: '44', client_id: client.id, companion_id: companion.id, status: 'cancelled' }
+      ]
+    }))
+  })
+
+  afterAll(() => {
+    setPusherServer(null)
+    setDbAdapter(null)
+  })
+
+  describe('user channels', () => {
+    it('signs the user\'s own channel like Pusher does', async () => {
+      const result = await authorizeChannel(SOCKET_ID, 'private-user-client-1', client)
+
+      expect(result.auth).toEqual(pusher.authorizeChannel(SOCKET_ID, 'private-user-client-1'))
+    })
+
+    it('refuses someone else\'s channel', async () => {
+      const result = await authorizeChannel(SOCKET_ID, 'private-user-client-1', outsider)
+
+      expect(result).toEqual({ status: 403, message: 'Access denied to this channel' })
+    })
+
+    it('refuses admins too', async () => {
+      const result = await authorizeChannel(SOCKET_ID, 'private-user-client-1', admin)
+
+      expect(result.status).toBe(403)
+    })
+  })
+
+  describe('conversation and booking channels', () => {
+    it.each([
+      ['client', client],
+      ['companion', companion]
+    ])('signs them for the booking\'s %s', async (_, user) => {
+      for (const channel of ['private-conversation-42', 'private-booking-42']) {
+        const result = await authorizeChannel(SOCKET_ID, channel, user)
+        expect(result.auth).toEqual(pusher.authorizeChannel(SOCKET_ID, channel))
+      }
+    })
+
+    it.each([
+      ['someone else', outsider],
+      ['an admin', admin]
+    ])('refuses %s', async (_, user) => {
+      for (const channel of ['private-conversation-42', 'private-booking-42']) {
+        const result = await authorizeChannel(SOCKET_ID, channel, user)
+        expect(result).toEqual({ status: 403, message: 'Access denied to this channel' })
+      }
+    })
+
+    it('gives the same answer for a booking that does not exist', async () => {
+      const result = await authorizeChannel(SOCKET_ID, 'private-booking-999', client)
+
+      expect(result).toEqual({ status: 403, message: 'Access denied to this channel' })
+    })
+
+    it.each(['pending', 'cancelled'])('refuses the conversation of a %s booking', async (status) => {
+      const bookingId = status === 'pending' ? 43 : 44
+      const result = await authorizeChannel(SOCKET_ID, `private-conversation-${bookingId}`, client)
+
+      expect(result).toEqual({ status: 403, message: 'Chat is not available for this booking' })
+    })
+
+    it('still signs the booking channel when chat is not available', async () => {
+      const result = await authorizeChannel(SOCKET_ID, 'private-booking-43', companion)
+
+      expect(result.auth).toEqual(pusher.authorizeChannel(SOCKET_ID, 'private-booking-43'))
+    })
+  })
+
+  describe('presence channels', () => {
+    it('sends who joined as channel_data, signed with it', async () => {
+      const result = await authorizeChannel(SOCKET_ID, 'presence-conversation-42', companion)
+      const presenceData = { user_id: 'companion-1', user_info: { role: 'companion' } }
+
+      expect(JSON.parse(result.auth.channel_data)).toEqual(presenceData)
+      expect(result.auth).toEqual(pusher.authorizeChannel(SOCKET_ID, 'presence-conversation-42', presenceData))
+    })
+
+    it('lets users join their own presence channel', async () => {
+      const result = await authorizeChannel(SOCKET_ID, 'presence-user-client-1', client)
+
+      expect(JSON.parse(result.auth.channel_data)).toEqual({ user_id: 'client-1', user_info: { role: 'client' } })
+    })
+
+    it('applies the same membership and chat rules', async () => {
+      expect((await authorizeChannel(SOCKET_ID, 'presence-conversation-42', outsider)).status).toBe(403)
+      expect((await authorizeChannel(SOCKET_ID, 'presence-conversation-43', client)).status).toBe(403)
+      expect((await authorizeChannel(SOCKET_ID, 'presence-user-client-1', outsider)).status).toBe(403)
+    })
+
+    it('has no presence booking channel', async () => {
+      const result = await authorizeChannel(SOCKET_ID, 'presence-booking-42', client)
+
+      expect(result).toEqual({ status: 403, message: 'Invalid channel name' })
+    })
+  })
+
+  describe('malformed requests', () => {
+    it.each([undefined, '', 'abc', '1234', '1234.5678:private-user-client-1'])('refuses socket id %p', async (socketId) => {
+      const result = await authorizeChannel(socketId, 'private-user-client-1', client)
+
+      expect(result).toEqual({ status: 400, message: 'Invalid socket_id' })
+    })
+
+    it.each([
+      'user-client-1',
+      'private-chat-42',
+      'private-conversation-abc',
+      'private-conversation-42:x',
+      'private-user-'
+    ])('refuses channel %p', async (channel) => {
+      const result = await authorizeChannel(SOCKET_ID, channel, client)
+
+      expect(result).toEqual({ status: 403, message: 'Invalid channel name' })
+    })
+  })
+})
+
+describe('parseChannelName', () => {
+  it('splits our channel names', () => {
+    expect(parseChannelName('presence-user-companion-1')).toEqual({ type: 'presence', scope: 'user', id: 'companion-1' })
+    expect(parseChannelName('private-booking-42')).toEqual({ type: 'private', scope: 'booking', id: '42' })
+    expect(parseChannelName('public-updates')).toBeNull()
+  })
+})
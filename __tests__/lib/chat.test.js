@@ -0,0 +1,194 @@
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import { sendConversationEvent } from '../../lib/pusher'
+import {
+  createMessage,
+  getConversation,
+  listConversations,
+  listMessages,
+  markRead,
+  serializeMessage
+} from '../../lib/chat'
+
+jest.mock('../../lib/pusher', () => ({
+  sendConversationEvent: jest.fn()
+}))
+
+jest.mock('../../lib/attachments', () => ({
+  attachToMessage: jest.fn(async () => []),
+  getMessageAttachments: jest.fn(async () => new Map()),
+  serializeAttachment: jest.fn()
+}))
+
+const client = { id: 'client-1', role: 'client' }
+const companion = { id: 'companion-1', role: 'companion' }
+
+function booking(id, status, startTime = '2024-03-10T18:00:00.000Z') {
+  return { id, client_id: client.id, companion_id: companion.id, status, start_time: startTime }
+}
+
+function message(id, chatId, sender, overrides = {}) {
+  return {
+    id,
+    chat_id: chatId,
+    sender_id: sender.id,
+    content: `Message ${id}`,
+    delivered_at: null,
+    read_at: null,
+    created_at: new Date(Date.UTC(2024, 2, 1, 10, id)).toISOString(),
+    ...overrides
+  }
+}
+
+describe('chat', () => {
+  const messageRow = (id) => getDb().findOne('messages', { id })
+  const events = (event) => sendConversationEvent.mock.calls.filter(call => call[1] === event)
+
+  beforeEach(() => {
+    sendConversationEvent.mockReset()
+    setDbAdapter(createMemoryAdapter({
+      bookings: [
+        booking(1, 'accepted'),
+        booking(2, 'pending'),
+        booking(3, 'completed'),
+        booking(4, 'completed'),
+        booking(5, 'accepted', '2024-03-20T18:00:00.000Z')
+      ],
+      chats: [{ id: 10, booking_id: 1 }, { id: 30, booking_id: 3 }, { id: 50, booking_id: 5 }],
+      messages: [
+        message(1, 10, client),
+        message(2, 10, companion),
+        message(3, 10, client),
+        message(4, 10, client),
+        message(5, 10, companion),
+        message(6, 30, companion, { hidden: true })
+      ],
+      profiles: [
+        { id: 'client-1', role: 'client', full_name: 'Client One' },
+        { id: 'companion-1', role: 'companion', full_name: 'Companion One' }
+      ]
+    }))
+  })
+
+  afterAll(() => setDbAdapter(null))
+
+  describe('getConversation', () => {
+    it('only lets the booking\'s participants in', async () => {
+      expect(await getConversation(1, { id: 'someone-else' })).toEqual({
+        status: 403,
+        message: 'Access denied to this conversation'
+      })
+      expect((await getConversation(1, companion)).canSend).toBe(true)
+    })
+
+    it('opens once the booking is accepted and stays readable once completed', async () => {
+      expect(await getConversation(2, client)).toMatchObject({
+        status: 403,
+        hint: 'Chat will be available once the companion accepts the booking'
+      })
+      expect(await getConversation(3, client)).toMatchObject({ chat: { id: 30 }, canSend: false })
+      // Completed without ever chatting: there is no history to show
+      expect((await getConversation(4, client)).status).toBe(403)
+    })
+
+    it('creates the chat of an accepted booking that has none', async () => {
+      await getDb().remove('chats', { booking_id: 1 })
+
+      const first = await getConversation(1, client)
+      const again = await getConversation(1, companion)
+
+      expect(again.chat.id).toBe(first.chat.id)
+      expect(getDb().tables.chats.filter(chat => chat.booking_id === 1)).toHaveLength(1)
+    })
+  })
+
+  describe('listMessages', () => {
+    it('pages back through the history with the oldest loaded message as cursor', async () => {
+      const conversation = await getConversation(1, client)
+
+      const newest = await listMessages(conversation, client, { limit: 2 })
+      expect(newest).toMatchObject({ nextCursor: 4, hasMore: true })
+      expect(newest.messages.map(row => row.id)).toEqual([4, 5])
+
+      // A message arriving in the meantime doesn't shift the next page
+      await createMessage(conversation, companion, 'Running late')
+      const older = await listMessages(conversation, client, { before: newest.nextCursor, limit: 2 })
+      expect(older.messages.map(row => row.id)).toEqual([2, 3])
+
+      const oldest = await listMessages(conversation, client, { before: older.nextCursor, limit: 2 })
+      expect(oldest).toMatchObject({ nextCursor: null, hasMore: false })
+      expect(oldest.messages.map(row => row.id)).toEqual([1])
+    })
+
+    it('marks the other participant\'s messages delivered and tells the sender once', async () => {
+      const conversation = await getConversation(1, client)
+
+      await listMessages(conversation, client)
+      await listMessages(conversation, client)
+
+      expect((await messageRow(5)).delivered_at).not.toBeNull()
+      expect((await messageRow(4)).delivered_at).toBeNull()
+      expect(events('messages-delivered')).toEqual([[1, 'messages-delivered', expect.objectContaining({ upToId: 5 })]])
+    })
+  })
+
+  describe('markRead', () => {
+    it('marks messages up to the one the reader saw, and implies delivery', async () => {
+      const conversation = await getConversation(1, companion)
+
+      const receipt = await markRead(conversation, companion, { upToId: 3 })
+
+      expect(receipt).toMatchObject({ count: 2, upToId: 3 })
+      expect(await messageRow(3)).toMatchObject({ read_at: receipt.readAt, delivered_at: receipt.readAt })
+      expect((await messageRow(4)).read_at).toBeNull()
+      expect((await messageRow(2)).read_at).toBeNull()
+      expect(events('messages-read')).toEqual([[1, 'messages-read', { upToId: 3, readAt: receipt.readAt }]])
+    })
+
+    it('sends no receipt when nothing new was read', async () => {
+      const conversation = await getConversation(1, companion)
+      await markRead(conversation, companion)
+
+      expect(await markRead(conversation, companion)).toMatchObject({ count: 0, upToId: null })
+      expect(events('messages-read')).toHaveLength(1)
+    })
+  })
+
+  describe('listConversations', () => {
+    it('counts unread messages and orders conversations by their latest activity', async () => {
+      const { conversations, unreadTotal } = await listConversations(client)
+
+      expect(conversations.map(conversation => [conversation.bookingId, conversation.unreadCount])).toEqual([
+        // No messages yet, so its start time counts
+        [5, 0],
+        [3, 1],
+        [1, 2]
+      ])
+      expect(unreadTotal).toBe(3)
+      expect(conversations[2]).toMatchObject({
+        otherPartyName: 'Companion One',
+        lastMessage: 'Message 5',
+        lastMessageFromMe: false,
+        canSend: true
+      })
+    })
+
+    it('previews a hidden message without its content', async () => {
+      const { conversations } = await listConversations(client)
+
+      expect(conversations.find(conversation => conversation.bookingId === 3).lastMessage).toBe('Message removed')
+    })
+
+    it('marks previewed messages delivered but not read', async () => {
+      await listConversations(client)
+
+      expect(await messageRow(5)).toMatchObject({ delivered_at: expect.any(String), read_at: null })
+      expect((await listConversations(client)).unreadTotal).toBe(3)
+    })
+  })
+
+  it('keeps a hidden message\'s place without its content', () => {
+    const serialized = serializeMessage({ ...message(6, 30, companion), hidden: true }, booking(3, 'completed'), [{ id: 1 }])
+
+    expect(serialized).toMatchObject({ id: 6, senderRole: 'companion', text: '', attachments: [], hidden: true })
+  })
+})
@@ -0,0 +1,327 @@
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import { parseDateTime } from '../../lib/calendar'
+import { searchCompanions } from '../../lib/companionSearch'
+
+// More companions than one candidate batch (200)
+const COMPANION_COUNT = 250
+
+// The companions edited longest ago, i.e. the last ones loaded
+const OLDEST = [241, 242, 243, 244, 245, 246, 247, 248, 249, 250]
+
+function companion(id, overrides = {}) {
+  return {
+    id,
+    role: 'companion',
+    verification_status: 'verified',
+    full_name: `Companion ${id}`,
+    bio: 'Friendly dancer and city guide',
+    specialties: ['Dinner'],
+    hourly_rate: 50,
+    created_at: '2024-01-01T00:00:00.000Z',
+    updated_at: new Date(Date.UTC(2024, 5, 1) - id * 60 * 1000).toISOString(),
+    ...overrides
+  }
+}
+
+function seed({ profiles = {}, bookings = [], presence = [], scorecards = [] } = {}) {
+  setDbAdapter(createMemoryAdapter({
+    profiles: Array.from({ length: COMPANION_COUNT }, (_, index) =>
+      companion(index + 1, profiles[index + 1])),
+    bookings,
+    companion_presence: presence,
+    companion_scorecards: scorecards
+  }))
+}
+
+describe('searchCompanions beyond one candidate batch', () => {
+  afterAll(() => setDbAdapter(null))
+
+  it('pages through every companion and counts all matches', async () => {
+    seed()
+
+    const { companions, total } = await searchCompanions({ limit: 10, offset: 245 })
+    expect(total).toBe(COMPANION_COUNT)
+    expect(companions).toHaveLength(5)
+  })
+
+  it('finds specialty matches among the companions loaded last', async () => {
+    seed({ profiles: Object.fromEntries(OLDEST.map(id => [id, { specialties: ['Salsa'] }])) })
+
+    const { companions, total } = await searchCompanions({ specialties: 'salsa', limit: 4 })
+    expect(total).toBe(OLDEST.length)
+    expect(companions).toHaveLength(4)
+  })
+
+  it('ranks and counts every text match', async () => {
+    seed({ profiles: Object.fromEntries(OLDEST.map(id => [id, { bio: 'Museum curator' }])) })
+
+    const dancers = await searchCompanions({ query: 'dancer', limit: 10, offset: 235 })
+    expect(dancers.total).toBe(COMPANION_COUNT - OLDEST.length)
+    expect(dancers.companions).toHaveLength(5)
+
+    const curators = await searchCompanions({ query: 'museum', limit: 20 })
+    expect(curators.companions.map(result => result.id).sort((a, b) => a - b)).toEqual(OLDEST)
+  })
+
+  it('keeps companions free in the time window, whichever batch they are in', async () => {
+    // Wednesday, inside the default 09:00-21:00 availability
+    const timeWindow = { date: '2030-06-12', time: '14:00', duration: 2 }
+    const start = parseDateTime(timeWindow.date, timeWindow.time)
+    const end = new Date(start.getTime() + 2 * 60 * 60 * 1000)
+    const busy = Array.from({ length: COMPANION_COUNT - OLDEST.length }, (_, index) => ({
+      id: index + 1,
+      client_id: 'client-1',
+      companion_id: index + 1,
+      status: 'accepted',
+      start_time: start.toISOString(),
+      end_time: end.toISOString()
+    }))
+    seed({ bookings: busy })
+
+    const { companions, total } = await searchCompanions({ timeWindow, limit: 20 })
+    expect(total).toBe(OLDEST.length)
+    expect(companions.map(result => result.id).sort((a, b) => a - b)).toEqual(OLDEST)
+  })
+
+  it('filters online companions after loading every batch', async () => {
+    const now = new Date().toISOString()
+    seed({
+      presence: OLDEST.slice(0, 3).map(id => ({
+        companion_id: id,
+        accepting_requests: true,
+        last_seen_at: now
+      }))
+    })
+
+    const { companions, total } = await searchCompanions({ onlineOnly: true })
+    expect(total).toBe(3)
+    expect(companions.every(result => result.presence.status === 'online')).toBe(true)
+  })
+
+  it('filters on the rating clients see and sorts by price across every match', async () => {
+    seed({
+      profiles: { 3: { hourly_rate: 80 }, 7: { hourly_rate: 30 }, 9: { hourly_rate: 60 } },
+      scorecards: [3, 7, 9, 11].map(id => ({
+        companion_id: id,
+        review_count: 4,
+        average_rating: id === 11 ? 3.94 : 4.5,
+        weighted_rating: 4,
+        refreshed_at: new Date().toISOString()
+      }))
+    })
+
+    const { companions, total } = await searchCompanions({ minRating: 4, sortBy: 'price', limit: 2 })
+    expect(total).toBe(3)
+    // 11's 3.94 shows as 3.9
+    expect(companions.map(result => [result.id, result.name])).toEqual([[7, 'Companion 7'], [9, 'Companion 9']])
+  })
+})
+
+describe('searchCompanions in Postgres', () => {
+  const rpc = jest.fn()
+  let findMany
+
+  beforeEach(() => {
+    seed({ profiles: { 2: { hourly_rate: 70 } } })
+    const adapter = getDb()
+    findMany = jest.spyOn(adapter, 'findMany')
+    adapter.rpc = rpc.mockReset().mockImplementation(async (fn, params) => {
+      // Scorecard refreshes ask for booking rates
+      if (fn !== 'search_companions') return []
+      const matches = [{ id: 2, distance_km: null, relevance: 0.8, score: 0.9 }, { id: 5, distance_km: null, relevance: 0.4, score: 0.6 }]
+      return matches
+        .slice(params.result_offset, params.result_limit === null ? undefined : params.result_offset + params.result_limit)
+        .map(match => ({ ...match, total_count: matches.length }))
+    })
+  })
+
+  afterAll(() => setDbAdapter(null))
+
+  const profileQueries = () => findMany.mock.calls.filter(([table]) => table === 'profiles')
+  const searches = () => rpc.mock.calls.filter(([fn]) => fn === 'search_companions')
+
+  it('filters, ranks, pages and counts in one call and loads only the page', async () => {
+    const { companions, total } = await searchCompanions({ query: 'dinner', specialties: 'salsa', minPrice: 50, limit: 1, offset: 0 })
+
+    expect(searches()).toHaveLength(1)
+    expect(rpc).toHaveBeenCalledWith('search_companions', expect.objectContaining({
+      search_words: 'dinner',
+      specialty_words: 'salsa',
+      min_price: 50,
+      max_price: null,
+      online_only: false,
+      sort_by: 'relevance',
+      result_limit: 1,
+      result_offset: 0
+    }))
+    expect(total).toBe(2)
+    expect(companions.map(result => [result.id, result.hourlyRate])).toEqual([[2, 70]])
+    expect(profileQueries()).toEqual([['profiles', { where: { id: { in: [2] } } }]])
+  })
+
+  it('still counts the matches when paged past the end', async () => {
+    const { companions, total } = await searchCompanions({ limit: 10, offset: 20 })
+
+    expect(companions).toEqual([])
+    expect(total).toBe(2)
+  })
+
+  it('checks availability in memory for every other match', async () => {
+    const timeWindow = { date: '2030-06-12', time: '14:00', duration: 2 }
+    const start = parseDateTime(timeWindow.date, timeWindow.time)
+    seed({
+      bookings: [{
+        id: 1,
+        client_id: 'client-1',
+        companion_id: 2,
+        status: 'accepted',
+        start_time: start.toISOString(),
+        end_time: new Date(start.getTime() + 2 * 60 * 60 * 1000).toISOString()
+      }]
+    })
+    getDb().rpc = rpc
+
+    const { companions, total } = await searchCompanions({ timeWindow, limit: 10 })
+
+    expect(rpc).toHaveBeenCalledWith('search_companions', expect.objectContaining({ result_limit: null, result_offset: 0 }))
+    expect(total).toBe(1)
+    expect(companions.map(result => result.id)).toEqual([5])
+  })
+})
+
+describe('searchCompanions with a time window', () => {
+  // Wednesday; the default schedule works 09:00-21:00 on weekdays
+  const DATE = '2030-06-12'
+  const HOUR_MS = 60 * 60 * 1000
+
+  function booking(id, companionId, time, hours) {
+    const start = parseDateTime(DATE, time)
+    return {
+      id,
+      client_id: 'client-1',
+      companion_id: companionId,
+      status: 'accepted',
+      start_time: start.toISOString(),
+      end_time: new Date(start.getTime() + hours * HOUR_MS).toISOString()
+    }
+  }
+
+  beforeEach(() => {
+    const wednesdayOff = { wednesday: { enabled: false, startTime: '09:00', endTime: '21:00' } }
+    setDbAdapter(createMemoryAdapter({
+      profiles: [
+        companion(1),
+        companion(2, { availability_schedule: wednesdayOff }),
+        companion(3),
+        companion(4),
+        companion(5)
+      ],
+      bookings: [
+        // Ends inside the 30 minute travel buffer before 14:00
+        booking(1, 3, '11:00', 2.75),
+        booking(2, 4, '09:00', 12),
+        booking(3, 5, '17:00', 2)
+      ]
+    }))
+  })
+
+  afterEach(() => jest.useRealTimers())
+
+  afterAll(() => setDbAdapter(null))
+
+  const ids = ({ companions }) => companions.map(result => result.id).sort((a, b) => a - b)
+
+  it('keeps companions whose schedule covers the window and who are free around it', async () => {
+    const results = await searchCompanions({ timeWindow: { date: DATE, time: '14:00', duration: 2 } })
+
+    expect(ids(results)).toEqual([1, 5])
+    expect(results.total).toBe(2)
+  })
+
+  it('takes any free slot of the duration when only a date is given', async () => {
+    jest.useFakeTimers({ now: new Date('2030-06-01T00:00:00.000Z') })
+
+    const results = await searchCompanions({ timeWindow: { date: DATE, duration: 2 } })
+
+    expect(ids(results)).toEqual([1, 3, 5])
+  })
+
+  it('offers the slots nearest the requested time first', async () => {
+    const { companions } = await searchCompanions({ timeWindow: { date: DATE, time: '14:00', duration: 2 } })
+    const slots = Object.fromEntries(companions.map(result => [result.id, result.nextAvailableSlots]))
+
+    expect(slots[1]).toEqual([
+      { date: DATE, time: '14:00', duration: 2 },
+      { date: DATE, time: '13:00', duration: 2 },
+      { date: DATE, time: '15:00', duration: 2 }
+    ])
+    // 15:00 would run into the 17:00 booking's buffer
+    expect(slots[5].map(slot => slot.time)).toEqual(['14:00', '13:00', '12:00'])
+  })
+
+  it('shows the next free slots from now without a time window', async () => {
+    // 09:00 in Lagos
+    jest.useFakeTimers({ now: new Date(`${DATE}T08:00:00.000Z`) })
+
+    const { companions } = await searchCompanions({ limit: 10 })
+    const slots = Object.fromEntries(companions.map(result => [result.id, result.nextAvailableSlots]))
+
+    // The buffer around the 11:00-13:45 booking rules out 10:00 and 14:00
+    expect(slots[3].map(slot => slot.time)).toEqual(['15:00', '16:00', '17:00'])
+    // Fully booked today, so the first slots are on Thursday
+    expect(slots[4][0]).toEqual({ date: '2030-06-13', time: '09:00', duration: 1 })
+  })
+})
+
+describe('searchCompanions ranking', () => {
+  const lagos = { lat: 6.5244, lng: 3.3792 }
+
+  // Without the fixture's default "Dinner" specialty
+  const profile = (id, overrides) => companion(id, { specialties: ['Salsa'], ...overrides })
+
+  beforeEach(() => {
+    setDbAdapter(createMemoryAdapter({
+      profiles: [
+        profile(1, { full_name: 'Ada Dinner', created_at: '2024-04-01T00:00:00.000Z', service_lat: 6.6, service_lng: 3.3792 }),
+        profile(2, { bio: 'Quiet', specialties: ['Fine Dining'], created_at: '2024-01-01T00:00:00.000Z', service_lat: 6.53, service_lng: 3.3792 }),
+        profile(3, { bio: 'Dinner and drinks', created_at: '2024-02-01T00:00:00.000Z', service_lat: 6.55, service_lng: 3.3792 }),
+        profile(4, { bio: 'Museum guide', service_lat: 6.53, service_lng: 3.3792 }),
+        // Named for the query, but far outside the radius
+        profile(5, { full_name: 'Dinner Far', service_lat: 7.5, service_lng: 3.3792 })
+      ]
+    }))
+  })
+
+  afterAll(() => setDbAdapter(null))
+
+  const ids = ({ companions }) => companions.map(result => result.id)
+  const search = (filters) => searchCompanions({ origin: lagos, radiusKm: 25, query: 'dinner', ...filters })
+
+  it('ranks name matches above specialty synonyms, then bio, within the radius', async () => {
+    const results = await search()
+
+    expect(ids(results)).toEqual([1, 2, 3])
+    expect(results.total).toBe(3)
+  })
+
+  it('sorts by distance or newest first on request', async () => {
+    expect(ids(await search({ sortBy: 'distance' }))).toEqual([2, 3, 1])
+    expect(ids(await search({ sortBy: 'newest' }))).toEqual([1, 3, 2])
+  })
+
+  it('falls back to relevance for an unknown sort', async () => {
+    expect(ids(await search({ sortBy: 'random' }))).toEqual([1, 2, 3])
+  })
+
+  it('tolerates typos in the query', async () => {
+    expect(ids(await search({ query: 'dinnr' }))).toEqual(expect.arrayContaining([1, 2, 3]))
+  })
+
+  it('returns a rounded distance and never the stored coordinates', async () => {
+    const [nearest] = (await search({ sortBy: 'distance' })).companions
+
+    expect(nearest.distanceKm).toBeGreaterThan(0)
+    expect(nearest.distanceKm).toBeLessThan(2)
+    expect(JSON.stringify(nearest)).not.toMatch(/6\.53|service_lat/)
+  })
+})
@@ -0,0 +1,160 @@
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import { sendNotification, NOTIFICATION_TYPES } from '../../lib/notifications'
+import { listAuditEvents } from '../../lib/auditLog'
+import { reviewCompanion, submitVerificationDocuments } from '../../lib/companionVerification'
+
+jest.mock('../../lib/notifications', () => ({
+  ...jest.requireActual('../../lib/notifications'),
+  sendNotification: jest.fn()
+}))
+
+const admin = { id: 'admin-1', role: 'admin' }
+const documents = [{ type: 'government_id', url: 'https://files.example.com/id.png', name: 'ID' }]
+
+function companion(verificationStatus) {
+  return {
+    id: 'companion-1',
+    role: 'companion',
+    full_name: 'Companion One',
+    email: 'companion@example.com',
+    verification_status: verificationStatus
+  }
+}
+
+describe('companion verification', () => {
+  const profileRow = () => getDb().findOne('profiles', { id: 'companion-1' })
+  const auditTrail = async () => (await listAuditEvents({ targetType: 'profile', targetId: 'companion-1' })).entries
+
+  function seed(verificationStatus, settings = {}) {
+    setDbAdapter(createMemoryAdapter({
+      profiles: [companion(verificationStatus)],
+      platform_settings: [{ id: 'default', ...settings }]
+    }))
+  }
+
+  beforeEach(() => {
+    sendNotification.mockReset().mockResolvedValue({ inApp: { success: true } })
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => console.error.mockRestore())
+
+  afterAll(() => setDbAdapter(null))
+
+  describe('reviewCompanion', () => {
+    it('records who approved a companion and from which status', async () => {
+      seed('pending')
+
+      const result = await reviewCompanion('companion-1', 'approve', admin, { note: '  Documents check out  ' })
+
+      expect(result.companion).toMatchObject({ verification_status: 'verified', admin_note: 'Documents check out' })
+      expect(await auditTrail()).toEqual([expect.objectContaining({
+        actor_id: 'admin-1',
+        actor_role: 'admin',
+        action: 'companion.approve',
+        from_status: 'pending',
+        to_status: 'verified',
+        note: 'Documents check out'
+      })])
+      expect(sendNotification).toHaveBeenCalledWith(
+        'companion-1',
+        NOTIFICATION_TYPES.COMPANION_APPROVED,
+        expect.objectContaining({ companionName: 'Companion One' }),
+        expect.objectContaining({ userEmail: 'companion@example.com' })
+      )
+    })
+
+    it('records the note a suspension was made with', async () => {
+      seed('verified')
+
+      await reviewCompanion('companion-1', 'suspend', admin, { note: 'Reported by two clients' })
+
+      expect(await auditTrail()).toEqual([expect.objectContaining({
+        action: 'companion.suspend',
+        from_status: 'verified',
+        to_status: 'suspended',
+        note: 'Reported by two clients'
+      })])
+    })
+
+    it('records nothing for a decision that is refused', async () => {
+      seed('pending')
+
+      expect(await reviewCompanion('companion-1', 'reject', admin, { note: ' ' })).toEqual({
+        status: 400,
+        message: 'A note is required to reject a companion'
+      })
+      expect((await reviewCompanion('companion-1', 'approve', admin)).companion).toBeDefined()
+      expect((await reviewCompanion('companion-1', 'reject', admin, { note: 'Blurry ID' })).status).toBe(409)
+
+      expect((await auditTrail()).map(entry => entry.action)).toEqual(['companion.approve'])
+    })
+
+    it('records one decision when two admins decide at once', async () => {
+      seed('pending')
+      const memory = getDb()
+      let lookups = 0
+      setDbAdapter({
+        ...memory,
+        // Both admins read the companion before either decision is stored
+        findOne: async (table, where) => {
+          const row = await memory.findOne(table, where)
+          return table === 'profiles' && ++lookups > 1 ? { ...row, verification_status: 'pending' } : row
+        }
+      })
+
+      const first = await reviewCompanion('companion-1', 'approve', admin)
+      const second = await reviewCompanion('companion-1', 'reject', { id: 'admin-2' }, { note: 'Blurry ID' })
+
+      expect(first.companion.verification_status).toBe('verified')
+      expect(second.status).toBe(409)
+      expect(memory.tables.admin_audit_log.map(entry => entry.actor_id)).toEqual(['admin-1'])
+    })
+
+    it('keeps the decision when the audit log cannot be written', async () => {
+      seed('pending')
+      const memory = getDb()
+      setDbAdapter({
+        ...memory,
+        insert: async (table, row) => {
+          if (table === 'admin_audit_log') throw new Error('connection reset')
+          return memory.insert(table, row)
+        }
+      })
+
+      const result = await reviewCompanion('companion-1', 'approve', admin)
+
+      expect(result.companion.verification_status).toBe('verified')
+      expect((await profileRow()).verification_status).toBe('verified')
+      expect(sendNotification).toHaveBeenCalled()
+    })
+  })
+
+  describe('submitVerificationDocuments', () => {
+    it('queues documents for review without an audit entry', async () => {
+      seed('rejected')
+
+      const result = await submitVerificationDocuments(companion('rejected'), documents)
+
+      expect(result.companion.verification_status).toBe('pending')
+      expect(await auditTrail()).toEqual([])
+      expect(sendNotification).not.toHaveBeenCalled()
+    })
+
+    it('records an auto-approval as a system decision', async () => {
+      seed('pending', { auto_approve_companions: true })
+
+      const result = await submitVerificationDocuments(companion('pending'), documents)
+
+      expect(result.companion.verification_status).toBe('verified')
+      expect(await auditTrail()).toEqual([expect.objectContaining({
+        actor_id: null,
+        actor_role: 'system',
+        action: 'companion.auto_approve',
+        from_status: 'pending',
+        to_status: 'verified',
+        metadata: { documentCount: 1 }
+      })])
+    })
+  })
+})
@@ -0,0 +1,144 @@
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import {
+  FINDING_TYPES,
+  detectContactInfo,
+  maskContactInfo,
+  screenMessage
+} from '../../lib/contactDetection'
+
+const typesIn = (text) => [...new Set(detectContactInfo(text).map(finding => finding.type))]
+const mask = (text) => maskContactInfo(text, detectContactInfo(text))
+
+describe('contact detection', () => {
+  describe('detectContactInfo', () => {
+    it.each([
+      ['Call 0803 123 4567 when you arrive', FINDING_TYPES.PHONE],
+      ['+234 803-123-4567', FINDING_TYPES.PHONE],
+      ['zero eight zero three one two three four five six seven', FINDING_TYPES.PHONE],
+      ['O8O3l234567', FINDING_TYPES.PHONE],
+      ['080 double five 12345', FINDING_TYPES.PHONE],
+      ['jane.doe@example.com', FINDING_TYPES.EMAIL],
+      ['jane (at) mail (dot) com', FINDING_TYPES.EMAIL],
+      ['jane at gmail', FINDING_TYPES.EMAIL],
+      ['follow @jane_doe', FINDING_TYPES.SOCIAL_HANDLE],
+      ['my ig: jane.doe', FINDING_TYPES.SOCIAL_HANDLE],
+      ['whatsapp me', FINDING_TYPES.OFF_PLATFORM_CONTACT],
+      ['add me on telegram', FINDING_TYPES.OFF_PLATFORM_CONTACT],
+      ['GTBank 0123456789', FINDING_TYPES.BANK_ACCOUNT],
+      ['4111 1111 1111 1111', FINDING_TYPES.BANK_ACCOUNT],
+      ['just pay me directly', FINDING_TYPES.OFF_PLATFORM_PAYMENT],
+      ['send the balance to my opay', FINDING_TYPES.OFF_PLATFORM_PAYMENT],
+      ['we can skip the app fees', FINDING_TYPES.OFF_PLATFORM_PAYMENT]
+    ])('finds %j', (text, type) => {
+      expect(typesIn(text)).toContain(type)
+    })
+
+    it.each([
+      'See you on 2024-03-10 at 19:00',
+      'Table for 2 at 7pm, about 3 hours',
+      'The venue is at 12 Marina Road',
+      'I will be there at around 8, looking forward to it'
+    ])('leaves %j alone', (text) => {
+      expect(detectContactInfo(text)).toEqual([])
+    })
+
+    it('reports findings in the order they appear', () => {
+      const findings = detectContactInfo('mail jane@example.com or call 08031234567')
+
+      expect(findings.map(finding => finding.type)).toEqual([FINDING_TYPES.EMAIL, FINDING_TYPES.PHONE])
+      expect(findings[0].start).toBeLessThan(findings[1].start)
+    })
+  })
+
+  describe('maskContactInfo', () => {
+    it('replaces each detail and keeps the rest of the message', () => {
+      expect(mask('Text me on 0803 123 4567 or jane@example.com, thanks'))
+        .toBe('Text me on [contact info removed] or [contact info removed], thanks')
+    })
+
+    it('labels payment details as such', () => {
+      expect(mask('Pay me directly. GTBank 0123456789'))
+        .toBe('[payment details removed]. GTBank [payment details removed]')
+    })
+
+    it('masks overlapping findings once', () => {
+      const text = 'wa.me/2348031234567'
+      expect(detectContactInfo(text).length).toBeGreaterThan(1)
+
+      expect(mask(text)).toBe('[contact info removed]')
+    })
+  })
+
+  describe('screenMessage', () => {
+    const sender = { id: 'client-1' }
+    const strikes = async () => (await getDb().findOne('profiles', { id: 'client-1' })).contact_strikes
+
+    function seed(settings) {
+      setDbAdapter(createMemoryAdapter({
+        profiles: [{ id: 'client-1', role: 'client' }],
+        platform_settings: [{ id: 'default', contact_detection_block_after: 3, ...settings }]
+      }))
+    }
+
+    afterAll(() => setDbAdapter(null))
+
+    it('masks details by default and records a strike', async () => {
+      seed({})
+
+      const result = await screenMessage('Call me on 08031234567', sender)
+
+      expect(result).toMatchObject({
+        action: 'mask',
+        text: 'Call me on [contact info removed]',
+        types: [FINDING_TYPES.PHONE],
+        strikes: 1
+      })
+      expect(result.warning).toMatch(/^Contact details can't be shared in chat.*We removed them/)
+      expect(await strikes()).toBe(1)
+    })
+
+    it('lets clean messages through without a strike', async () => {
+      seed({})
+
+      expect(await screenMessage('See you at 19:00!', sender)).toEqual({ action: 'allow', text: 'See you at 19:00!', types: [] })
+      expect(await strikes()).toBeUndefined()
+    })
+
+    it('follows the configured policy', async () => {
+      seed({ contact_detection_policy: 'warn' })
+      expect(await screenMessage('pay me directly', sender)).toMatchObject({
+        action: 'warn',
+        text: 'pay me directly',
+        warning: expect.stringMatching(/^Payments must go through Fliq/)
+      })
+
+      seed({ contact_detection_policy: 'block' })
+      expect((await screenMessage('pay me directly', sender)).action).toBe('block')
+
+      seed({ contact_detection_policy: 'off' })
+      expect(await screenMessage('pay me directly', sender)).toMatchObject({ action: 'allow', types: [] })
+      expect(await strikes()).toBeUndefined()
+    })
+
+    it('blocks senders past the strike limit whatever the policy', async () => {
+      seed({ contact_detection_policy: 'warn', contact_detection_block_after: 2 })
+
+      const actions = []
+      for (let attempt = 0; attempt < 3; attempt++) {
+        actions.push((await screenMessage('whatsapp me', sender)).action)
+      }
+
+      expect(actions).toEqual(['warn', 'warn', 'block'])
+    })
+
+    it('counts strikes in Postgres when it can', async () => {
+      seed({})
+      getDb().rpc = jest.fn().mockResolvedValue(4)
+
+      const result = await screenMessage('whatsapp me', sender)
+
+      expect(getDb().rpc).toHaveBeenCalledWith('record_contact_strike', { user_id: 'client-1' })
+      expect(result).toMatchObject({ action: 'block', strikes: 4 })
+    })
+  })
+})
@@ -0,0 +1,62 @@
+import { createMemoryAdapter } from '../../lib/db'
+
+describe('createMemoryAdapter', () => {
+  let db
+
+  beforeEach(() => {
+    db = createMemoryAdapter({
+      bookings: [
+        { id: 1, status: 'pending', start_time: '2024-01-01T10:00:00.000Z', notes: null },
+        { id: 2, status: 'accepted', start_time: '2024-01-02T10:00:00.000Z', notes: 'x' },
+        { id: 42, status: 'completed', start_time: '2024-01-03T10:00:00.000Z', notes: 'y' }
+      ]
+    })
+  })
+
+  it('matches numeric ids given as strings, as Postgres does', async () => {
+    expect((await db.findOne('bookings', { id: '42' }))?.id).toBe(42)
+    expect((await db.findMany('bookings', { where: { id: { in: ['1', '2'] } } })).total).toBe(2)
+    expect(await db.update('bookings', { id: '2' }, { status: 'completed' })).toHaveLength(1)
+    expect(await db.remove('bookings', { id: '1' })).toHaveLength(1)
+  })
+
+  it('does not treat non-numeric strings as numbers', async () => {
+    expect(await db.findOne('bookings', { id: '' })).toBeNull()
+    expect(await db.findOne('bookings', { id: 'abc' })).toBeNull()
+  })
+
+  it('continues ids after the seeded rows', async () => {
+    const row = await db.insert('bookings', { status: 'pending' })
+    expect(row.id).toBe(43)
+    expect(row.created_at).toEqual(expect.any(String))
+  })
+
+  it('filters with operators and compares timestamps as dates', async () => {
+    const { rows } = await db.findMany('bookings', {
+      where: { start_time: { gte: new Date('2024-01-02T00:00:00.000Z') }, status: { neq: 'completed' } }
+    })
+    expect(rows.map(row => row.id)).toEqual([2])
+  })
+
+  it('treats NULL as neither greater nor less than anything', async () => {
+    const { rows } = await db.findMany('bookings', { where: { notes: { lte: 'z' } } })
+    expect(rows.map(row => row.id)).toEqual([2, 42])
+    expect((await db.findMany('bookings', { where: { notes: null } })).rows.map(row => row.id)).toEqual([1])
+  })
+
+  it('orders, pages and counts the whole match', async () => {
+    const result = await db.findMany('bookings', {
+      orderBy: { column: 'start_time', ascending: false },
+      limit: 2,
+      offset: 1
+    })
+    expect(result.rows.map(row => row.id)).toEqual([2, 1])
+    expect(result.total).toBe(3)
+  })
+
+  it('returns copies, so callers cannot change stored rows', async () => {
+    const row = await db.findOne('bookings', { id: 1 })
+    row.status = 'changed'
+    expect((await db.findOne('bookings', { id: 1 })).status).toBe('pending')
+  })
+})
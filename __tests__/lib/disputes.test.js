@@ -0,0 +1,171 @@
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import { initiateRefund } from '../../lib/paystack'
+import { resolveDispute, retryDisputeOutcome } from '../../lib/disputes'
+
+jest.mock('../../lib/paystack', () => ({
+  initiateRefund: jest.fn()
+}))
+
+const admin = { id: 'admin-1', role: 'admin' }
+const createdAt = '2024-03-01T10:00:00.000Z'
+
+function booking(status = 'accepted') {
+  return {
+    id: 1,
+    client_id: 'client-1',
+    companion_id: 'companion-1',
+    status,
+    total_price: 100,
+    companion_share_percent: 80,
+    start_time: '2024-03-02T18:00:00.000Z',
+    end_time: '2024-03-02T20:00:00.000Z'
+  }
+}
+
+function heldEscrow() {
+  return {
+    booking_id: 1,
+    status: 'held',
+    amount: 100,
+    charge_reference: 'CHG_1',
+    refund_amount: 0,
+    refund_status: 'not_due',
+    refund_attempts: 0,
+    companion_amount: null,
+    release_status: 'not_due'
+  }
+}
+
+function charge(id, amount) {
+  return { id, booking_id: 1, paystack_reference: `CHG_${id}`, amount, status: 'success', refunded_amount: 0 }
+}
+
+function openDispute() {
+  return {
+    id: 3,
+    booking_id: 1,
+    client_id: 'client-1',
+    companion_id: 'companion-1',
+    opened_by: 'client-1',
+    status: 'in_review',
+    reason: 'no_show',
+    notes: [],
+    evidence: [],
+    outcome: null,
+    created_at: createdAt,
+    updated_at: createdAt
+  }
+}
+
+function seed({ bookingStatus = 'accepted', escrow_holds = [], transactions = [] } = {}) {
+  setDbAdapter(createMemoryAdapter({
+    bookings: [booking(bookingStatus)],
+    escrow_holds,
+    transactions,
+    disputes: [openDispute()],
+    profiles: [
+      { id: 'client-1', role: 'client', full_name: 'Client One' },
+      { id: 'companion-1', role: 'companion', full_name: 'Companion One' }
+    ]
+  }))
+}
+
+describe('resolveDispute', () => {
+  const bookingRow = () => getDb().findOne('bookings', { id: 1 })
+  const escrowRow = () => getDb().findOne('escrow_holds', { booking_id: 1 })
+  const disputeRow = () => getDb().findOne('disputes', { id: 3 })
+  const resolve = async (params) => resolveDispute(await disputeRow(), admin, params)
+
+  beforeEach(() => {
+    initiateRefund.mockReset().mockResolvedValue({ status: true })
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    jest.useFakeTimers({ now: new Date('2024-03-05T12:00:00.000Z') })
+  })
+
+  afterEach(() => {
+    console.error.mockRestore()
+    jest.useRealTimers()
+  })
+
+  afterAll(() => setDbAdapter(null))
+
+  describe('with the payment held in escrow', () => {
+    beforeEach(() => seed({ escrow_holds: [heldEscrow()] }))
+
+    it('cancels the booking and refunds everything on a full refund', async () => {
+      const result = await resolve({ outcome: 'full_refund', resolution: 'Companion did not show' })
+
+      expect(result.payment).toEqual({ action: 'escrow_refunded', amount: 100 })
+      expect(result.dispute).toMatchObject({ status: 'resolved', outcome_status: 'applied', outcome_error: null })
+      expect((await bookingRow()).status).toBe('cancelled')
+      expect(initiateRefund).toHaveBeenCalledWith(expect.objectContaining({ transaction: 'CHG_1', amount: 10000 }))
+      expect(await escrowRow()).toMatchObject({ refund_amount: 100, refund_status: 'pending', companion_amount: 0 })
+    })
+
+    it('splits what is not refunded on a partial refund', async () => {
+      const result = await resolve({ outcome: 'partial_refund', refundAmount: 40 })
+
+      expect(result.payment).toEqual({ action: 'escrow_refunded', amount: 40 })
+      expect(initiateRefund).toHaveBeenCalledWith(expect.objectContaining({ amount: 4000 }))
+      // 80% of the 60 kept goes to the companion
+      expect(await escrowRow()).toMatchObject({ refund_amount: 40, companion_amount: 48 })
+    })
+
+    it('completes the booking and releases the hold to the companion', async () => {
+      const result = await resolve({ outcome: 'release_to_companion' })
+
+      expect(result.dispute.outcome_status).toBe('applied')
+      expect((await bookingRow()).status).toBe('completed')
+      expect((await escrowRow()).release_status).toBe('success')
+      expect(initiateRefund).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('with the payment split by Paystack', () => {
+    beforeEach(() => seed({ transactions: [charge(1, 60), charge(2, 40)] }))
+
+    const transactions = async () => (await getDb().findMany('transactions', { orderBy: 'id' })).rows
+
+    it('refunds the charges directly', async () => {
+      const result = await resolve({ outcome: 'partial_refund', refundAmount: 80 })
+
+      expect(result.payment).toEqual({ action: 'refund_initiated', amount: 80 })
+      expect((await transactions()).map(row => [row.status, row.refunded_amount])).toEqual([
+        ['refunded', 60],
+        ['partially_refunded', 20]
+      ])
+      expect((await bookingRow()).status).toBe('cancelled')
+    })
+
+    it('cancels the booking even when the refund fails, and records the failure', async () => {
+      initiateRefund.mockRejectedValueOnce(new Error('Paystack unavailable'))
+
+      const result = await resolve({ outcome: 'full_refund' })
+
+      expect(result.payment).toEqual({ action: 'failed', error: 'Paystack unavailable' })
+      expect(result.dispute).toMatchObject({ status: 'resolved', outcome_status: 'failed', outcome_error: 'Paystack unavailable' })
+      expect((await bookingRow()).status).toBe('cancelled')
+    })
+
+    it('refunds only what is still owed when a failed outcome is retried', async () => {
+      // The first charge is refunded, the second fails
+      initiateRefund.mockResolvedValueOnce({ status: true }).mockRejectedValueOnce(new Error('Paystack unavailable'))
+      await resolve({ outcome: 'full_refund' })
+
+      const result = await retryDisputeOutcome(await disputeRow(), admin)
+
+      expect(result.payment).toEqual({ action: 'refund_initiated', amount: 100 })
+      expect(result.dispute).toMatchObject({ outcome_status: 'applied', outcome_error: null })
+      expect(initiateRefund).toHaveBeenCalledTimes(3)
+      expect(initiateRefund).toHaveBeenLastCalledWith(expect.objectContaining({ transaction: 'CHG_2', amount: 4000 }))
+      expect((await transactions()).map(row => row.status)).toEqual(['refunded', 'refunded'])
+    })
+
+    it('only retries outcomes that failed', async () => {
+      await resolve({ outcome: 'full_refund' })
+
+      expect((await retryDisputeOutcome(await disputeRow(), admin)).status).toBe(409)
+      expect(initiateRefund).toHaveBeenCalledTimes(2)
+    })
+  })
+})
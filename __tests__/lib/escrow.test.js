@@ -0,0 +1,242 @@
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import { initiateRefund } from '../../lib/paystack'
+import {
+  AUTO_COMPLETE_RETRY_HOURS,
+  deferAutoComplete,
+  listBookingsDueForAutoComplete,
+  listFailedRefunds,
+  recordChargeSuccess,
+  recordPaymentAttempt,
+  recordRefundResult,
+  retryChargeRefund,
+  retryEscrowRefund
+} from '../../lib/escrow'
+
+jest.mock('../../lib/paystack', () => ({
+  initiateRefund: jest.fn(),
+  verifyPayment: jest.fn()
+}))
+
+const HOUR_MS = 60 * 60 * 1000
+const now = new Date('2024-03-10T12:00:00.000Z')
+const hoursAgo = (hours) => new Date(now.getTime() - hours * HOUR_MS).toISOString()
+
+function booking(id, { status = 'accepted', endedHoursAgo, autoCompleteAfter }) {
+  return {
+    id,
+    client_id: 'client-1',
+    companion_id: 'companion-1',
+    status,
+    end_time: hoursAgo(endedHoursAgo),
+    ...(autoCompleteAfter !== undefined && { auto_complete_after: autoCompleteAfter })
+  }
+}
+
+describe('auto-complete batches', () => {
+  beforeEach(() => {
+    setDbAdapter(createMemoryAdapter({
+      bookings: [
+        booking(1, { endedHoursAgo: 72 }),
+        booking(2, { endedHoursAgo: 48, autoCompleteAfter: null }),
+        booking(3, { endedHoursAgo: 30 }),
+        booking(4, { endedHoursAgo: 10 }),
+        booking(5, { status: 'completed', endedHoursAgo: 90 })
+      ]
+    }))
+  })
+
+  afterAll(() => setDbAdapter(null))
+
+  it('lists accepted bookings past the cutoff, oldest first', async () => {
+    const due = await listBookingsDueForAutoComplete(24, 50, { now })
+    expect(due.map(row => row.id)).toEqual([1, 2, 3])
+  })
+
+  it('leaves deferred bookings out so they do not fill every batch', async () => {
+    await deferAutoComplete(1, { now })
+    await deferAutoComplete(2, { now })
+
+    const due = await listBookingsDueForAutoComplete(24, 2, { now })
+    expect(due.map(row => row.id)).toEqual([3])
+  })
+
+  it('lists deferred bookings again once the retry time has passed', async () => {
+    await deferAutoComplete(1, { now })
+
+    const later = new Date(now.getTime() + AUTO_COMPLETE_RETRY_HOURS * HOUR_MS)
+    const due = await listBookingsDueForAutoComplete(24, 50, { now: later })
+    expect(due.map(row => row.id)).toEqual([1, 2, 3, 4])
+  })
+
+  it('only defers bookings that are still accepted', async () => {
+    await deferAutoComplete(5, { now })
+
+    const completed = await getDb().findOne('bookings', { id: 5 })
+    expect(completed.auto_complete_after).toBeUndefined()
+  })
+})
+
+describe('charge handling', () => {
+  const booked = { id: 7, client_id: 'client-1', companion_id: 'companion-1', status: 'accepted', total_price: 150 }
+  const db = () => getDb()
+  const charge = (reference, amount = 15000, metadata = undefined) => ({ reference, amount, metadata })
+
+  beforeEach(async () => {
+    initiateRefund.mockReset()
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    setDbAdapter(createMemoryAdapter({ bookings: [{ ...booked }] }))
+  })
+
+  afterEach(() => console.error.mockRestore())
+
+  afterAll(() => setDbAdapter(null))
+
+  it('holds an escrow charge for the current payment attempt', async () => {
+    await recordPaymentAttempt({ booking: booked, reference: 'ref-1' })
+
+    const result = await recordChargeSuccess(charge('ref-1'))
+
+    expect(result.returned).toBe(false)
+    expect(result.transaction.status).toBe('success')
+    expect(result.escrow).toMatchObject({ status: 'held', charge_reference: 'ref-1' })
+    expect(initiateRefund).not.toHaveBeenCalled()
+  })
+
+  it('refunds a charge on an attempt the hold has moved on from', async () => {
+    await recordPaymentAttempt({ booking: booked, reference: 'ref-1' })
+    await recordPaymentAttempt({ booking: booked, reference: 'ref-2' })
+
+    const result = await recordChargeSuccess(charge('ref-1'))
+
+    expect(result).toMatchObject({ escrow: null, returned: true })
+    expect(initiateRefund).toHaveBeenCalledWith(expect.objectContaining({ transaction: 'ref-1', amount: 15000 }))
+    expect(await db().findOne('transactions', { paystack_reference: 'ref-1' })).toMatchObject({
+      status: 'refunded',
+      refund_status: 'pending',
+      refunded_amount: 150
+    })
+    expect(await db().findOne('escrow_holds', { booking_id: 7 })).toMatchObject({
+      status: 'awaiting_payment',
+      charge_reference: 'ref-2'
+    })
+  })
+
+  it('refunds a charge for the wrong amount and fails the hold', async () => {
+    await recordPaymentAttempt({ booking: booked, reference: 'ref-1' })
+
+    const result = await recordChargeSuccess(charge('ref-1', 9000))
+
+    expect(result.returned).toBe(true)
+    expect(initiateRefund).toHaveBeenCalledWith(expect.objectContaining({ transaction: 'ref-1', amount: 9000 }))
+    expect((await db().findOne('escrow_holds', { booking_id: 7 })).status).toBe('payment_failed')
+    expect((await db().findOne('transactions', { paystack_reference: 'ref-1' })).refunded_amount).toBe(90)
+  })
+
+  it('decides split mode from the charge, not from a missing hold', async () => {
+    await recordPaymentAttempt({ booking: booked, reference: 'ref-1', escrow: false })
+
+    const result = await recordChargeSuccess(charge('ref-1'))
+
+    expect(result).toMatchObject({ escrow: null, returned: false })
+    expect(result.transaction.status).toBe('success')
+    expect(initiateRefund).not.toHaveBeenCalled()
+  })
+
+  it('falls back to the charge metadata for transactions without a stored mode', async () => {
+    await db().insert('transactions', { booking_id: 7, paystack_reference: 'legacy', amount: 150, status: 'pending' })
+
+    const split = await recordChargeSuccess(charge('legacy', 15000, JSON.stringify({ paymentMode: 'split' })))
+
+    expect(split.returned).toBe(false)
+    expect(split.transaction.status).toBe('success')
+  })
+
+  it('keeps a charge held by an earlier delivery that stopped halfway', async () => {
+    await recordPaymentAttempt({ booking: booked, reference: 'ref-1' })
+    await db().update('escrow_holds', { booking_id: 7 }, { status: 'held' })
+
+    const result = await recordChargeSuccess(charge('ref-1'))
+
+    expect(result.returned).toBe(false)
+    expect(result.transaction.status).toBe('success')
+    expect(initiateRefund).not.toHaveBeenCalled()
+  })
+
+  it('ignores a replayed charge that was already returned', async () => {
+    await recordPaymentAttempt({ booking: booked, reference: 'ref-1' })
+    await recordChargeSuccess(charge('ref-1', 9000))
+
+    const replay = await recordChargeSuccess(charge('ref-1', 9000))
+
+    expect(replay.returned).toBe(true)
+    expect(initiateRefund).toHaveBeenCalledTimes(1)
+  })
+
+  it('records the refund result on a returned charge', async () => {
+    await recordPaymentAttempt({ booking: booked, reference: 'ref-1' })
+    await recordChargeSuccess(charge('ref-1', 9000))
+
+    await recordRefundResult('ref-1', true)
+
+    expect((await db().findOne('transactions', { paystack_reference: 'ref-1' })).refund_status).toBe('processed')
+  })
+
+  describe('failed refunds', () => {
+    it('retries a returned charge whose refund failed', async () => {
+      initiateRefund.mockRejectedValueOnce(new Error('Paystack unavailable'))
+      await recordPaymentAttempt({ booking: booked, reference: 'ref-1' })
+      await recordChargeSuccess(charge('ref-1', 9000))
+
+      const { transactions } = await listFailedRefunds()
+      expect(transactions.map(row => row.paystack_reference)).toEqual(['ref-1'])
+
+      expect(await retryChargeRefund(transactions[0])).toBe(true)
+      expect(initiateRefund).toHaveBeenLastCalledWith(expect.objectContaining({ transaction: 'ref-1', amount: 9000 }))
+      expect(await db().findOne('transactions', { paystack_reference: 'ref-1' })).toMatchObject({
+        refund_status: 'pending',
+        refund_attempts: 2
+      })
+
+      // Someone else already picked it up
+      expect(await retryChargeRefund(transactions[0])).toBe(false)
+    })
+
+    it('retries an escrow refund Paystack reported as failed', async () => {
+      await db().insert('escrow_holds', {
+        booking_id: 7,
+        status: 'settling',
+        amount: 150,
+        charge_reference: 'ref-1',
+        refund_amount: 100,
+        refund_status: 'pending',
+        refund_attempts: 1
+      })
+      await db().insert('transactions', { booking_id: 7, paystack_reference: 'ref-1', amount: 150, status: 'success', refund_status: 'not_due' })
+
+      await recordRefundResult('ref-1', false, 'Bank rejected the refund')
+      const { holds } = await listFailedRefunds()
+      expect(holds.map(hold => hold.booking_id)).toEqual([7])
+
+      expect(await retryEscrowRefund(holds[0])).toBe(true)
+      expect(initiateRefund).toHaveBeenCalledWith(expect.objectContaining({ transaction: 'ref-1', amount: 10000 }))
+      expect(await db().findOne('escrow_holds', { booking_id: 7 })).toMatchObject({ refund_status: 'pending', refund_attempts: 2 })
+      expect(await db().findOne('transactions', { paystack_reference: 'ref-1' })).toMatchObject({
+        status: 'partially_refunded',
+        refunded_amount: 100
+      })
+    })
+
+    it('stops retrying after MAX_REFUND_ATTEMPTS', async () => {
+      await db().insert('transactions', {
+        booking_id: 7,
+        paystack_reference: 'ref-1',
+        amount: 150,
+        status: 'refunded',
+        refund_status: 'failed',
+        refund_attempts: 5
+      })
+
+      expect((await listFailedRefunds()).transactions).toEqual([])
+    })
+  })
+})
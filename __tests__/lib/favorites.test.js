@@ -0,0 +1,216 @@
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import { sendNotification, NOTIFICATION_TYPES } from '../../lib/notifications'
+import { getDefaultAvailability } from '../../lib/calendar'
+import {
+  addFavorite,
+  createCollection,
+  deleteCollection,
+  getOpenedDays,
+  listCollections,
+  listFavorites,
+  notifyFavoritersOfAvailability,
+  notifyFavoritersOfRateChange,
+  removeFavorite,
+  reorderCollections,
+  reorderFavorites,
+  updateFavorite
+} from '../../lib/favorites'
+
+jest.mock('../../lib/notifications', () => ({
+  ...jest.requireActual('../../lib/notifications'),
+  sendNotification: jest.fn()
+}))
+
+function companion(id, overrides = {}) {
+  return {
+    id,
+    role: 'companion',
+    verification_status: 'verified',
+    full_name: `Companion ${id}`,
+    hourly_rate: 50,
+    ...overrides
+  }
+}
+
+describe('favorites', () => {
+  const listedIds = async (userId, options) =>
+    (await listFavorites(userId, options)).favorites.map(({ companion }) => companion.id)
+
+  beforeEach(() => {
+    sendNotification.mockReset().mockResolvedValue({ inApp: { success: true } })
+    setDbAdapter(createMemoryAdapter({
+      profiles: [
+        { id: 'client-1', role: 'client', email: 'one@example.com' },
+        { id: 'client-2', role: 'client', email: 'two@example.com' },
+        companion('c1'),
+        companion('c2'),
+        companion('c3'),
+        companion('c4', { verification_status: 'pending' })
+      ]
+    }))
+  })
+
+  afterAll(() => setDbAdapter(null))
+
+  describe('addFavorite', () => {
+    it('adds verified companions once, at the end of the list', async () => {
+      await addFavorite('client-1', 'c2')
+      await addFavorite('client-1', 'c1', { note: '  Great at galas  ' })
+
+      expect(await addFavorite('client-1', 'c1')).toEqual({ status: 409, message: 'Companion already in favorites' })
+      expect(await addFavorite('client-1', 'c4')).toEqual({ status: 400, message: 'Can only favorite verified companions' })
+      expect(await addFavorite('client-1', 'client-2')).toEqual({ status: 404, message: 'Companion not found' })
+
+      const { favorites } = await listFavorites('client-1')
+      expect(favorites.map(({ companion, favorite }) => [companion.id, favorite.note])).toEqual([
+        ['c2', null],
+        ['c1', 'Great at galas']
+      ])
+    })
+
+    it('refuses notes that are too long', async () => {
+      expect((await addFavorite('client-1', 'c1', { note: 'x'.repeat(1001) })).status).toBe(400)
+    })
+
+    it('only files favorites in the client\'s own collections', async () => {
+      const { collection } = await createCollection('client-2', 'Travel')
+
+      expect(await addFavorite('client-1', 'c1', { collectionIds: [collection.id] })).toEqual({
+        status: 404,
+        message: 'Collection not found'
+      })
+      expect((await addFavorite('client-1', 'c1', { collectionIds: ['abc'] })).status).toBe(400)
+      expect(getDb().tables.favorites || []).toHaveLength(0)
+    })
+  })
+
+  describe('collections', () => {
+    it('lists a collection\'s favorites in its own order and counts them', async () => {
+      const { collection: travel } = await createCollection('client-1', 'Travel')
+      const { collection: galas } = await createCollection('client-1', 'Galas')
+      await addFavorite('client-1', 'c1', { collectionIds: [travel.id] })
+      await addFavorite('client-1', 'c2', { collectionIds: [travel.id, galas.id] })
+      await addFavorite('client-1', 'c3')
+
+      await reorderFavorites('client-1', { collectionId: travel.id, companionIds: ['c2'] })
+
+      expect(await listedIds('client-1', { collectionId: travel.id })).toEqual(['c2', 'c1'])
+      expect(await listedIds('client-1')).toEqual(['c1', 'c2', 'c3'])
+      expect((await listCollections('client-1')).map(({ collection, count }) => [collection.name, count])).toEqual([
+        ['Travel', 2],
+        ['Galas', 1]
+      ])
+    })
+
+    it('moves a favorite between collections', async () => {
+      const { collection: travel } = await createCollection('client-1', 'Travel')
+      const { collection: galas } = await createCollection('client-1', 'Galas')
+      const { favorite } = await addFavorite('client-1', 'c1', { collectionIds: [travel.id] })
+
+      const result = await updateFavorite(favorite, { collectionIds: [galas.id], notifyChanges: false })
+
+      expect(result.collectionIds).toEqual([galas.id])
+      expect(result.favorite.notify_changes).toBe(false)
+      expect(await listedIds('client-1', { collectionId: travel.id })).toEqual([])
+    })
+
+    it('keeps favorites when their collection is deleted, and drops memberships with the favorite', async () => {
+      const { collection: travel } = await createCollection('client-1', 'Travel')
+      const { collection: galas } = await createCollection('client-1', 'Galas')
+      await addFavorite('client-1', 'c1', { collectionIds: [travel.id, galas.id] })
+
+      await deleteCollection(travel)
+      expect(await listedIds('client-1')).toEqual(['c1'])
+
+      expect(await removeFavorite('client-1', 'c1')).toBe(true)
+      expect(await removeFavorite('client-1', 'c1')).toBe(false)
+      expect(getDb().tables.favorite_collection_items).toEqual([])
+    })
+
+    it('refuses a second collection with the same name', async () => {
+      await createCollection('client-1', 'Travel')
+
+      expect(await createCollection('client-1', ' Travel ')).toEqual({
+        status: 409,
+        message: 'You already have a collection with this name'
+      })
+      expect((await createCollection('client-2', 'Travel')).collection).toBeDefined()
+      expect((await createCollection('client-1', '   ')).status).toBe(400)
+    })
+  })
+
+  describe('reordering', () => {
+    beforeEach(async () => {
+      for (const companionId of ['c1', 'c2', 'c3']) {
+        await addFavorite('client-1', companionId)
+      }
+    })
+
+    it('puts the listed favorites first and keeps the rest in order', async () => {
+      expect(await reorderFavorites('client-1', { companionIds: ['c3'] })).toEqual({})
+      expect(await listedIds('client-1')).toEqual(['c3', 'c1', 'c2'])
+    })
+
+    it('refuses companions that are not the client\'s favorites', async () => {
+      await addFavorite('client-2', 'c1')
+
+      expect((await reorderFavorites('client-2', { companionIds: ['c2', 'c1'] })).status).toBe(400)
+      expect(await listedIds('client-1')).toEqual(['c1', 'c2', 'c3'])
+    })
+
+    it('reorders collections', async () => {
+      const { collection: travel } = await createCollection('client-1', 'Travel')
+      const { collection: galas } = await createCollection('client-1', 'Galas')
+      const { collection: other } = await createCollection('client-2', 'Other')
+
+      expect((await reorderCollections('client-1', [other.id])).status).toBe(400)
+      await reorderCollections('client-1', [galas.id, travel.id])
+
+      expect((await listCollections('client-1')).map(({ collection }) => collection.name)).toEqual(['Galas', 'Travel'])
+    })
+  })
+
+  describe('change notifications', () => {
+    beforeEach(async () => {
+      await addFavorite('client-1', 'c1')
+      const { favorite } = await addFavorite('client-2', 'c1')
+      await updateFavorite(favorite, { notifyChanges: false })
+    })
+
+    it('finds the days a new schedule opens', () => {
+      const schedule = getDefaultAvailability()
+      schedule.saturday = { enabled: true, startTime: '10:00', endTime: '18:00' }
+      schedule.monday = { enabled: true, startTime: '08:00', endTime: '21:00' }
+      schedule.tuesday = { enabled: true, startTime: '10:00', endTime: '20:00' }
+
+      expect(getOpenedDays(null, schedule)).toEqual(['monday', 'saturday'])
+    })
+
+    it('tells favoriters who want to hear about new availability', async () => {
+      const schedule = { ...getDefaultAvailability(), sunday: { enabled: true, startTime: '12:00', endTime: '16:00' } }
+
+      expect(await notifyFavoritersOfAvailability(companion('c1'), schedule)).toBe(1)
+      expect(sendNotification).toHaveBeenCalledWith(
+        'client-1',
+        NOTIFICATION_TYPES.FAVORITE_AVAILABILITY_OPENED,
+        expect.objectContaining({ companionName: 'Companion c1', days: 'Sunday' }),
+        expect.objectContaining({ userEmail: 'one@example.com' })
+      )
+
+      expect(await notifyFavoritersOfAvailability(companion('c1'), getDefaultAvailability())).toBe(0)
+    })
+
+    it('tells favoriters when the rate changes', async () => {
+      expect(await notifyFavoritersOfRateChange(companion('c1'), 50)).toBe(0)
+      expect(await notifyFavoritersOfRateChange(companion('c1'), 40)).toBe(1)
+
+      expect(sendNotification).toHaveBeenCalledTimes(1)
+      expect(sendNotification).toHaveBeenCalledWith(
+        'client-1',
+        NOTIFICATION_TYPES.FAVORITE_RATE_CHANGED,
+        expect.objectContaining({ previousRate: 50, hourlyRate: 40, lowered: true }),
+        expect.anything()
+      )
+    })
+  })
+})
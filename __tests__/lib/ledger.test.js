@@ -0,0 +1,210 @@
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import { verifyPayment } from '../../lib/paystack'
+import {
+  getAccountBalance,
+  getCompanionBalance,
+  getTrialBalance,
+  postCharge,
+  postEscrowRefund,
+  postEscrowRelease,
+  postLedgerEntry,
+  postRefund,
+  postTransfer,
+  reconcileTransactions
+} from '../../lib/ledger'
+
+jest.mock('../../lib/paystack', () => ({
+  verifyPayment: jest.fn()
+}))
+
+const booking = { id: 1, companion_id: 'companion-1', companion_share_percent: 80 }
+
+const balances = async () => {
+  const { accounts, balanced } = await getTrialBalance()
+  return { balanced, ...Object.fromEntries(accounts.map(({ account, balance }) => [account, balance])) }
+}
+
+describe('ledger', () => {
+  const lines = () => getDb().tables.ledger_lines || []
+
+  beforeEach(() => {
+    setDbAdapter(createMemoryAdapter())
+  })
+
+  afterAll(() => setDbAdapter(null))
+
+  describe('postLedgerEntry', () => {
+    const entry = {
+      eventType: 'charge',
+      reference: 'CHG_1',
+      bookingId: 1,
+      lines: [
+        { account: 'client_payments', debit: 10000 },
+        { account: 'escrow', credit: 10000 }
+      ]
+    }
+
+    it('refuses an entry that does not balance', async () => {
+      await expect(postLedgerEntry({
+        ...entry,
+        lines: [{ account: 'client_payments', debit: 10000 }, { account: 'escrow', credit: 9999 }]
+      })).rejects.toThrow('Unbalanced ledger entry charge:CHG_1')
+      expect(lines()).toHaveLength(0)
+    })
+
+    it('refuses unknown accounts', async () => {
+      await expect(postLedgerEntry({
+        ...entry,
+        lines: [{ account: 'client_payments', debit: 100 }, { account: 'cash', credit: 100 }]
+      })).rejects.toThrow('Unknown ledger account: cash')
+      expect(lines()).toHaveLength(0)
+    })
+
+    it('books an entry once however often it is posted', async () => {
+      await postLedgerEntry(entry)
+      const again = await postLedgerEntry(entry)
+
+      expect(lines()).toHaveLength(2)
+      expect(again.map(line => [line.line_no, line.debit, line.credit])).toEqual([[1, 100, 0], [2, 0, 100]])
+    })
+
+    it('completes an entry that failed halfway without duplicating its lines', async () => {
+      const memory = createMemoryAdapter()
+      let inserts = 0
+      setDbAdapter({
+        ...memory,
+        insert: async (table, row) => {
+          if (++inserts === 2) throw new Error('connection reset')
+          return memory.insert(table, row)
+        }
+      })
+
+      await expect(postLedgerEntry(entry)).rejects.toThrow('connection reset')
+      await postLedgerEntry(entry)
+
+      expect(memory.tables.ledger_lines.map(line => line.line_no).sort()).toEqual([1, 2])
+    })
+
+    it('skips lines another delivery posted at the same time', async () => {
+      const memory = createMemoryAdapter()
+      setDbAdapter({
+        ...memory,
+        insert: async (table, row) => {
+          if (row.line_no === 1) throw Object.assign(new Error('duplicate key'), { code: '23505' })
+          return memory.insert(table, row)
+        }
+      })
+
+      const posted = await postLedgerEntry(entry)
+      expect(posted.map(line => line.line_no)).toEqual([2])
+    })
+
+    it('leaves out zero lines', async () => {
+      await postLedgerEntry({
+        ...entry,
+        lines: [...entry.lines, { account: 'platform_revenue', credit: 0 }]
+      })
+      expect(lines()).toHaveLength(2)
+    })
+  })
+
+  describe('balances', () => {
+    it('holds an escrow charge and splits it on release', async () => {
+      await postCharge(booking, { reference: 'CHG_1', amount: 10000 })
+      expect(await balances()).toMatchObject({ balanced: true, client_payments: 100, escrow: 100 })
+
+      await postEscrowRelease(booking, { amount: 100, companion_amount: 80 })
+
+      expect(await balances()).toMatchObject({
+        balanced: true,
+        client_payments: 100,
+        escrow: 0,
+        companion_payable: 80,
+        platform_revenue: 20
+      })
+      expect(await getCompanionBalance('companion-1')).toBe(80)
+    })
+
+    it('owes the refund and any cancellation fee when a hold is refunded', async () => {
+      await postCharge(booking, { reference: 'CHG_1', amount: 10000 })
+      await postEscrowRefund(booking, { amount: 100, refund_amount: 70, companion_amount: 24 })
+
+      expect(await balances()).toMatchObject({ balanced: true, escrow: 0, refunds: 70, companion_payable: 24, platform_revenue: 6 })
+
+      await postRefund(booking, { reference: 'CHG_1', amount: 7000 })
+
+      expect(await balances()).toMatchObject({ balanced: true, client_payments: 30, refunds: 0 })
+    })
+
+    it('settles the companion share of a split charge straight away', async () => {
+      await postCharge(booking, { reference: 'CHG_1', amount: 10000, escrow: false })
+
+      expect(await balances()).toMatchObject({ balanced: true, client_payments: 20, companion_payable: 0, platform_revenue: 20 })
+
+      // Refunding a split charge takes it back from both shares
+      await postRefund(booking, { reference: 'CHG_1', amount: 5000, escrow: false })
+      expect(await getCompanionBalance('companion-1')).toBe(-40)
+      expect(await balances()).toMatchObject({ balanced: true, platform_revenue: 10 })
+    })
+
+    it('books a returned charge as owed back to the client', async () => {
+      await postCharge(booking, { reference: 'CHG_1', amount: 10000, returned: true })
+
+      expect(await balances()).toMatchObject({ balanced: true, client_payments: 100, refunds: 100, escrow: 0 })
+    })
+
+    it('takes payouts off what the companion is owed', async () => {
+      await postCharge(booking, { reference: 'CHG_1', amount: 10000 })
+      await postEscrowRelease(booking, { amount: 100, companion_amount: 80 })
+      await postTransfer({ reference: 'TRF_1', amount: 5000, companionId: 'companion-1' })
+      await postTransfer({ reference: 'TRF_1', amount: 5000, companionId: 'companion-1' })
+
+      expect(await getCompanionBalance('companion-1')).toBe(30)
+      expect((await balances()).client_payments).toBe(50)
+    })
+
+    it('sums every line, beyond one page', async () => {
+      for (let reference = 1; reference <= 600; reference++) {
+        await postCharge(booking, { reference: `CHG_${reference}`, amount: 1 })
+      }
+
+      const escrow = await getAccountBalance('escrow')
+      expect(escrow).toMatchObject({ credit: 6, balance: 6 })
+      expect((await getAccountBalance('escrow', { bookingId: 2 })).balance).toBe(0)
+    })
+  })
+
+  describe('reconcileTransactions', () => {
+    const transaction = (reference, amount, status = 'success') =>
+      ({ paystack_reference: reference, booking_id: 1, amount, status, created_at: '2024-03-01T10:00:00.000Z' })
+
+    beforeEach(async () => {
+      setDbAdapter(createMemoryAdapter({
+        transactions: [
+          transaction('CHG_OK', 100),
+          transaction('CHG_UNBOOKED', 100),
+          transaction('CHG_SHORT', 100),
+          transaction('CHG_DOWN', 100)
+        ]
+      }))
+      await postCharge(booking, { reference: 'CHG_OK', amount: 10000 })
+      await postCharge(booking, { reference: 'CHG_SHORT', amount: 10000 })
+
+      verifyPayment.mockReset().mockImplementation(async (reference) => {
+        if (reference === 'CHG_DOWN') throw new Error('Paystack unavailable')
+        return { data: { status: 'success', amount: reference === 'CHG_SHORT' ? 12000 : 10000 } }
+      })
+    })
+
+    it('flags charges the ledger or our transactions disagree with Paystack about', async () => {
+      const report = await reconcileTransactions()
+
+      expect(report).toMatchObject({ checked: 4, matched: 1 })
+      expect(Object.fromEntries(report.mismatches.map(({ reference, issues }) => [reference, issues]))).toEqual({
+        CHG_UNBOOKED: ['missing_ledger_entry'],
+        CHG_SHORT: ['amount_mismatch', 'ledger_amount_mismatch'],
+        CHG_DOWN: ['verify_failed']
+      })
+    })
+  })
+})
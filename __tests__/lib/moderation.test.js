@@ -0,0 +1,144 @@
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import { assessText, hashContent } from '../../lib/moderation'
+import { createModerationStub } from '../../scripts/openai-moderation-stub'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+describe('assessText', () => {
+  const stub = createModerationStub()
+
+  beforeAll(async () => {
+    const port = await stub.listen()
+    process.env.OPENAI_API_KEY = 'test-key'
+    process.env.OPENAI_BASE_URL = `http://127.0.0.1:${port}/v1`
+  })
+
+  beforeEach(() => {
+    stub.requests.length = 0
+    setDbAdapter(createMemoryAdapter())
+  })
+
+  afterAll(() => setDbAdapter(null))
+
+  const setThresholds = (overrides) =>
+    getDb().insert('platform_settings', { id: 'default', moderation_thresholds: overrides })
+
+  describe('with OpenAI', () => {
+    it('allows content with every score below its review threshold', async () => {
+      const result = await assessText('Looking forward to dinner harassment=0.2')
+
+      expect(result).toMatchObject({ decision: 'allow', categories: [], source: 'openai' })
+      expect(result.scores.harassment).toBe(0.2)
+    })
+
+    it('sends content at a review threshold for review', async () => {
+      const result = await assessText('You are hopeless harassment=0.6')
+
+      expect(result.decision).toBe('review')
+      expect(result.categories).toEqual([{ category: 'harassment', score: 0.6, severity: 'review' }])
+    })
+
+    it('blocks content at a block threshold', async () => {
+      const result = await assessText('Meet me tonight or else harassment=0.7 harassment/threatening=0.85')
+
+      expect(result.decision).toBe('block')
+      expect(result.categories).toEqual([
+        { category: 'harassment', score: 0.7, severity: 'review' },
+        { category: 'harassment/threatening', score: 0.85, severity: 'block' }
+      ])
+    })
+
+    it('only ever reviews categories without a block level', async () => {
+      const result = await assessText('Big night out illicit=0.99')
+
+      expect(result.decision).toBe('review')
+    })
+
+    it('applies per-category overrides from platform settings', async () => {
+      await setThresholds({ harassment: { review: 0.8 }, illicit: { block: 0.9 } })
+
+      expect((await assessText('You are hopeless harassment=0.6')).decision).toBe('allow')
+      expect((await assessText('You are hopeless harassment=0.96')).decision).toBe('block')
+      expect((await assessText('Big night out illicit=0.95')).decision).toBe('block')
+    })
+
+    it('keeps the default levels an override leaves out', async () => {
+      await setThresholds({ harassment: { block: 0.99 } })
+
+      expect((await assessText('You are hopeless harassment=0.6')).decision).toBe('review')
+    })
+  })
+
+  describe('cache', () => {
+    it('scores identical content once and serves repeats from the cache', async () => {
+      const text = 'See you at eight violence=0.75'
+
+      const first = await assessText(text)
+      const second = await assessText(`  ${text}  `)
+
+      expect(stub.requests).toHaveLength(1)
+      expect(first.source).toBe('openai')
+      expect(second).toMatchObject({ decision: 'review', source: 'cache', contentHash: hashContent(text) })
+      expect(second.scores).toEqual(first.scores)
+    })
+
+    it('applies the current thresholds to cached scores', async () => {
+      const text = 'See you at eight violence=0.75'
+      await assessText(text)
+      await setThresholds({ violence: { review: 0.8 } })
+
+      const result = await assessText(text)
+      expect(result).toMatchObject({ decision: 'allow', source: 'cache' })
+    })
+
+    it('asks OpenAI again once the cached scores expire', async () => {
+      const text = 'See you at eight'
+      await getDb().insert('moderation_cache', {
+        content_hash: hashContent(text),
+        category_scores: { violence: 0.99 },
+        created_at: new Date(Date.now() - 31 * DAY_MS).toISOString()
+      })
+
+      const result = await assessText(text)
+      expect(result).toMatchObject({ decision: 'allow', source: 'openai' })
+      expect(stub.requests).toHaveLength(1)
+    })
+  })
+
+  // Last: stops the stub
+  describe('when OpenAI is unavailable', () => {
+    beforeAll(async () => {
+      await stub.close()
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+    })
+
+    afterAll(() => console.error.mockRestore())
+
+    it('falls back to rule-based checks', async () => {
+      const blocked = await assessText('I will kill you')
+      expect(blocked).toMatchObject({
+        decision: 'block',
+        source: 'rules',
+        scores: null,
+        categories: [{ category: 'harassment/threatening', score: null, severity: 'block' }]
+      })
+
+      const reviewed = await assessText('Any weed at the party?')
+      expect(reviewed).toMatchObject({ decision: 'review', source: 'rules' })
+
+      const allowed = await assessText('Lovely evening, thank you')
+      expect(allowed).toMatchObject({ decision: 'allow', source: 'rules' })
+    }, 30000)
+
+    it('still uses cached scores', async () => {
+      const text = 'See you at eight'
+      await getDb().insert('moderation_cache', {
+        content_hash: hashContent(text),
+        category_scores: { violence: 0.75 },
+        created_at: new Date().toISOString()
+      })
+
+      expect(await assessText(text)).toMatchObject({ decision: 'review', source: 'cache' })
+    })
+  })
+})
@@ -0,0 +1,156 @@
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import { initiateTransfer, verifyTransfer } from '../../lib/paystack'
+import {
+  PAYOUT_VERIFY_AFTER_MINUTES,
+  getEarningsSummary,
+  recordPayoutResult,
+  requestPayout,
+  verifyInFlightPayouts
+} from '../../lib/payouts'
+
+jest.mock('../../lib/paystack', () => ({
+  initiateTransfer: jest.fn(),
+  verifyTransfer: jest.fn()
+}))
+
+const companionId = 'companion-1234567890'
+const longAgo = '2024-01-01T00:00:00.000Z'
+const later = () => new Date(Date.now() + (PAYOUT_VERIFY_AFTER_MINUTES + 1) * 60 * 1000)
+
+// 100.00 credited to the companion well before the hold period
+function earnings() {
+  return [
+    { id: 1, entry_key: 'escrow_release:1', line_no: 1, event_type: 'escrow_release', reference: '1', account: 'escrow', profile_id: null, debit: 100, credit: 0, created_at: longAgo },
+    { id: 2, entry_key: 'escrow_release:1', line_no: 2, event_type: 'escrow_release', reference: '1', account: 'companion_payable', profile_id: companionId, debit: 0, credit: 100, created_at: longAgo }
+  ]
+}
+
+describe('payouts', () => {
+  const payoutRow = () => getDb().findOne('payouts', { companion_id: companionId })
+  const available = async () => (await getEarningsSummary(companionId)).available
+
+  beforeEach(() => {
+    initiateTransfer.mockReset().mockResolvedValue({ status: true })
+    verifyTransfer.mockReset()
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    setDbAdapter(createMemoryAdapter({
+      ledger_lines: earnings(),
+      payout_accounts: [{ companion_id: companionId, recipient_code: 'RCP_1', schedule: 'manual' }]
+    }))
+  })
+
+  afterEach(() => console.error.mockRestore())
+
+  afterAll(() => setDbAdapter(null))
+
+  describe('requestPayout', () => {
+    it('starts a transfer and reserves the amount', async () => {
+      const result = await requestPayout(companionId, { amount: 60 })
+
+      expect(result.payout.status).toBe('processing')
+      expect(initiateTransfer).toHaveBeenCalledWith(expect.objectContaining({ amount: 6000, recipient: 'RCP_1' }))
+      expect(await available()).toBe(40)
+    })
+
+    it('refuses more than the available balance', async () => {
+      const result = await requestPayout(companionId, { amount: 150 })
+
+      expect(result.status).toBe(409)
+      expect(initiateTransfer).not.toHaveBeenCalled()
+    })
+
+    it('keeps the payout in flight when starting the transfer errors', async () => {
+      initiateTransfer.mockRejectedValue(new Error('Failed to initiate transfer'))
+
+      const result = await requestPayout(companionId, { amount: 60 })
+
+      expect(result.payout.status).toBe('pending')
+      expect(await available()).toBe(40)
+      // The reserved amount can't be withdrawn a second time
+      expect((await requestPayout(companionId, { amount: 60 })).status).toBe(409)
+    })
+  })
+
+  describe('recordPayoutResult', () => {
+    it('books a confirmed transfer', async () => {
+      const { payout } = await requestPayout(companionId, { amount: 60 })
+
+      const paid = await recordPayoutResult(payout.transfer_reference, 'success')
+
+      expect(paid.status).toBe('paid')
+      expect((await getEarningsSummary(companionId)).owed).toBe(40)
+      expect(await available()).toBe(40)
+    })
+
+    it('frees the amount after a confirmed failure', async () => {
+      const { payout } = await requestPayout(companionId, { amount: 60 })
+
+      expect((await recordPayoutResult(payout.transfer_reference, 'failed', 'Account closed')).status).toBe('failed')
+      expect(await available()).toBe(100)
+    })
+
+    it('never books a success for a payout already marked failed', async () => {
+      const { payout } = await requestPayout(companionId, { amount: 60 })
+      await recordPayoutResult(payout.transfer_reference, 'failed')
+
+      expect(await recordPayoutResult(payout.transfer_reference, 'success')).toBeNull()
+      expect((await payoutRow()).status).toBe('failed')
+      expect((await getEarningsSummary(companionId)).owed).toBe(100)
+    })
+  })
+
+  describe('verifyInFlightPayouts', () => {
+    beforeEach(() => {
+      initiateTransfer.mockRejectedValue(new Error('Failed to initiate transfer'))
+    })
+
+    it('leaves recent payouts alone while their transfer may still be starting', async () => {
+      await requestPayout(companionId, { amount: 60 })
+
+      expect((await verifyInFlightPayouts()).checked).toBe(0)
+      expect(verifyTransfer).not.toHaveBeenCalled()
+    })
+
+    it('fails a payout Paystack has no transfer for', async () => {
+      verifyTransfer.mockResolvedValue(null)
+      await requestPayout(companionId, { amount: 60 })
+
+      const results = await verifyInFlightPayouts({ now: later() })
+
+      expect(results).toMatchObject({ checked: 1, failed: 1 })
+      expect((await payoutRow()).status).toBe('failed')
+      expect(await available()).toBe(100)
+    })
+
+    it('books a transfer that went through without a webhook', async () => {
+      verifyTransfer.mockResolvedValue({ status: true, data: { status: 'success' } })
+      await requestPayout(companionId, { amount: 60 })
+
+      const results = await verifyInFlightPayouts({ now: later() })
+
+      expect(results).toMatchObject({ checked: 1, paid: 1 })
+      expect((await payoutRow()).status).toBe('paid')
+      expect((await getEarningsSummary(companionId)).owed).toBe(40)
+    })
+
+    it('moves a transfer Paystack is still working on to processing', async () => {
+      verifyTransfer.mockResolvedValue({ status: true, data: { status: 'otp' } })
+      await requestPayout(companionId, { amount: 60 })
+
+      expect((await verifyInFlightPayouts({ now: later() })).pending).toBe(1)
+      expect((await payoutRow()).status).toBe('processing')
+      expect(await available()).toBe(40)
+    })
+
+    it('keeps the payout in flight when Paystack cannot be reached', async () => {
+      verifyTransfer.mockRejectedValue(new Error('Failed to verify transfer'))
+      await requestPayout(companionId, { amount: 60 })
+
+      const results = await verifyInFlightPayouts({ now: later() })
+
+      expect(results.errors).toHaveLength(1)
+      expect((await payoutRow()).status).toBe('pending')
+      expect(await available()).toBe(40)
+    })
+  })
+})
@@ -0,0 +1,142 @@
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import { initiateRefund } from '../../lib/paystack'
+import { sendNotification, NOTIFICATION_TYPES } from '../../lib/notifications'
+import { MAX_REFUND_ATTEMPTS, recordPaymentAttempt } from '../../lib/escrow'
+import { getTrialBalance } from '../../lib/ledger'
+import { handlePaystackEvent } from '../../lib/paystackEvents'
+
+jest.mock('../../lib/paystack', () => ({
+  initiateRefund: jest.fn(),
+  verifyPayment: jest.fn()
+}))
+
+jest.mock('../../lib/notifications', () => ({
+  ...jest.requireActual('../../lib/notifications'),
+  sendNotification: jest.fn()
+}))
+
+const booking = (status) => ({
+  id: 7,
+  client_id: 'client-1',
+  companion_id: 'companion-1',
+  status,
+  total_price: 150,
+  companion_share_percent: 80
+})
+
+const charge = { event: 'charge.success', data: { reference: 'CHG_7', amount: 15000 } }
+const refundEvent = (event, data = {}) => ({ event, data: { transaction_reference: 'CHG_7', amount: 15000, ...data } })
+
+describe('handlePaystackEvent', () => {
+  const escrowRow = () => getDb().findOne('escrow_holds', { booking_id: 7 })
+  const auditEntries = () => getDb().tables.admin_audit_log || []
+  const balances = async () => {
+    const { accounts, balanced } = await getTrialBalance()
+    return { balanced, ...Object.fromEntries(accounts.map(({ account, balance }) => [account, balance])) }
+  }
+
+  async function seed(status) {
+    setDbAdapter(createMemoryAdapter({
+      bookings: [booking(status)],
+      profiles: [{ id: 'client-1', role: 'client', email: 'client@example.com' }]
+    }))
+    await recordPaymentAttempt({ booking: booking(status), reference: 'CHG_7' })
+  }
+
+  beforeEach(() => {
+    initiateRefund.mockReset().mockResolvedValue({ status: true })
+    sendNotification.mockReset().mockResolvedValue({ inApp: { success: true } })
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    console.log.mockRestore()
+    console.error.mockRestore()
+  })
+
+  afterAll(() => setDbAdapter(null))
+
+  it('ignores event types it does not handle', async () => {
+    await seed('accepted')
+
+    expect(await handlePaystackEvent({ event: 'subscription.create', data: {} })).toBe(false)
+  })
+
+  describe('charge.success', () => {
+    it('holds the funds and books the charge once when delivered twice', async () => {
+      await seed('accepted')
+
+      expect(await handlePaystackEvent(charge)).toBe(true)
+      await handlePaystackEvent(charge)
+
+      expect(await escrowRow()).toMatchObject({ status: 'held', amount: 150 })
+      expect(await balances()).toMatchObject({ balanced: true, client_payments: 150, escrow: 150 })
+      expect(getDb().tables.ledger_lines).toHaveLength(2)
+    })
+
+    it('refunds a charge for a booking cancelled while the client paid', async () => {
+      await seed('cancelled')
+
+      await handlePaystackEvent(charge)
+
+      expect(initiateRefund).toHaveBeenCalledWith(expect.objectContaining({ transaction: 'CHG_7', amount: 15000 }))
+      expect(await escrowRow()).toMatchObject({ refund_status: 'pending', refund_amount: 150 })
+    })
+  })
+
+  describe('refunds', () => {
+    beforeEach(async () => {
+      await seed('cancelled')
+      await handlePaystackEvent(charge)
+    })
+
+    it('settles a processed refund and tells the client', async () => {
+      await handlePaystackEvent(refundEvent('refund.processed'))
+
+      expect(await escrowRow()).toMatchObject({ refund_status: 'processed', status: 'settled' })
+      expect(await balances()).toMatchObject({ balanced: true, client_payments: 0, refunds: 0 })
+      expect(sendNotification).toHaveBeenCalledWith(
+        'client-1',
+        NOTIFICATION_TYPES.REFUND_PROCESSED,
+        expect.objectContaining({ amount: '$150.00', bookingId: 7 }),
+        expect.objectContaining({ userEmail: 'client@example.com' })
+      )
+    })
+
+    it('audits a failed refund the auto-complete job will retry', async () => {
+      await handlePaystackEvent(refundEvent('refund.failed', { message: 'Card closed' }))
+
+      expect((await escrowRow()).refund_status).toBe('failed')
+      expect(auditEntries()).toEqual([expect.objectContaining({
+        actor_role: 'system',
+        action: 'refund.failed',
+        target_type: 'booking',
+        target_id: '7',
+        note: null,
+        metadata: { chargeReference: 'CHG_7', reason: 'Card closed', attempts: 1, willRetry: true }
+      })])
+      expect(sendNotification).not.toHaveBeenCalled()
+    })
+
+    it('flags a failed refund for manual processing once retries run out', async () => {
+      await getDb().update('escrow_holds', { booking_id: 7 }, { refund_attempts: MAX_REFUND_ATTEMPTS })
+
+      await handlePaystackEvent(refundEvent('refund.failed'))
+
+      expect(auditEntries()).toEqual([expect.objectContaining({
+        note: 'Out of automatic retries - process this refund by hand',
+        metadata: expect.objectContaining({ attempts: MAX_REFUND_ATTEMPTS, willRetry: false })
+      })])
+    })
+
+    it('audits a failed refund for a charge it does not know', async () => {
+      await handlePaystackEvent(refundEvent('refund.failed', { transaction_reference: 'CHG_UNKNOWN' }))
+
+      expect(auditEntries()).toEqual([expect.objectContaining({
+        target_id: 'CHG_UNKNOWN',
+        metadata: expect.objectContaining({ willRetry: false })
+      })])
+    })
+  })
+})
@@ -0,0 +1,123 @@
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import {
+  CONNECTED_TIMEOUT_SECONDS,
+  HEARTBEAT_TIMEOUT_SECONDS,
+  applyPresenceWebhook,
+  getCompanionPresence,
+  recordHeartbeat,
+  serializePresence,
+  setAcceptingRequests
+} from '../../lib/presence'
+
+const MINUTE_MS = 60 * 1000
+const now = new Date('2024-03-10T12:00:00.000Z')
+const ago = (ms) => new Date(now.getTime() - ms).toISOString()
+const later = (ms) => new Date(now.getTime() + ms)
+
+describe('serializePresence', () => {
+  const row = (overrides) => ({ companion_id: 'companion-1', accepting_requests: true, ...overrides })
+
+  it('shows a companion with a recent heartbeat as online', () => {
+    const presence = serializePresence(row({ last_seen_at: ago(HEARTBEAT_TIMEOUT_SECONDS * 1000) }), now)
+
+    expect(presence).toEqual({ status: 'online', label: 'Online now', lastSeenAt: null })
+  })
+
+  it('shows a companion whose heartbeats stopped as recently active', () => {
+    const lastSeenAt = ago(3 * MINUTE_MS)
+
+    expect(serializePresence(row({ last_seen_at: lastSeenAt }), now))
+      .toEqual({ status: 'recent', label: 'Active 3m ago', lastSeenAt })
+  })
+
+  it('trusts a connected companion for a while without heartbeats', () => {
+    const presence = serializePresence(row({ connected: true, last_seen_at: ago(10 * MINUTE_MS) }), now)
+
+    expect(presence.status).toBe('online')
+  })
+
+  it('stops trusting connected once the companion has been silent too long', () => {
+    const lastSeenAt = ago(CONNECTED_TIMEOUT_SECONDS * 1000 + MINUTE_MS)
+
+    expect(serializePresence(row({ connected: true, last_seen_at: lastSeenAt }), now))
+      .toEqual({ status: 'recent', label: 'Active 16m ago', lastSeenAt })
+  })
+
+  it('does not trust connected without a time', () => {
+    expect(serializePresence(row({ connected: true, last_seen_at: null }), now).status).toBe('away')
+  })
+
+  it('shows companions not accepting requests, not seen for a week or without a row as away', () => {
+    const away = { status: 'away', label: 'Away', lastSeenAt: null }
+
+    expect(serializePresence(row({ accepting_requests: false, connected: true, last_seen_at: ago(0) }), now)).toEqual(away)
+    expect(serializePresence(row({ last_seen_at: ago(8 * 24 * 60 * MINUTE_MS) }), now)).toEqual(away)
+    expect(serializePresence(undefined, now)).toEqual(away)
+  })
+})
+
+describe('presence updates', () => {
+  const memberAdded = { name: 'member_added', channel: 'presence-user-companion-1', user_id: 'companion-1' }
+  const memberRemoved = { ...memberAdded, name: 'member_removed' }
+
+  beforeEach(() => {
+    setDbAdapter(createMemoryAdapter({
+      profiles: [
+        { id: 'companion-1', role: 'companion' },
+        { id: 'client-1', role: 'client' }
+      ]
+    }))
+  })
+
+  afterAll(() => setDbAdapter(null))
+
+  const statusAt = async (time) =>
+    (await getCompanionPresence(['companion-1'], { now: time })).get('companion-1').status
+
+  it('keeps a companion online while heartbeats arrive', async () => {
+    await setAcceptingRequests('companion-1', true, { now })
+    await recordHeartbeat('companion-1', { now: later(MINUTE_MS) })
+
+    expect(await statusAt(later(3 * MINUTE_MS))).toBe('online')
+    expect(await statusAt(later(5 * MINUTE_MS))).toBe('recent')
+  })
+
+  it('goes back to heartbeat timing on member_removed', async () => {
+    await setAcceptingRequests('companion-1', true, { now })
+    await applyPresenceWebhook([memberAdded], now)
+    expect(await statusAt(later(5 * MINUTE_MS))).toBe('online')
+
+    // A page reload leaves and rejoins within the heartbeat timeout
+    const removedAt = later(6 * MINUTE_MS)
+    await applyPresenceWebhook([memberRemoved], removedAt)
+    expect(await statusAt(new Date(removedAt.getTime() + MINUTE_MS))).toBe('online')
+    expect(await statusAt(new Date(removedAt.getTime() + HEARTBEAT_TIMEOUT_SECONDS * 1000 + MINUTE_MS))).toBe('recent')
+  })
+
+  it('takes a connected companion offline when member_removed never arrives', async () => {
+    await setAcceptingRequests('companion-1', true, { now })
+    await applyPresenceWebhook([memberAdded], now)
+
+    expect(await statusAt(later(CONNECTED_TIMEOUT_SECONDS * 1000 + MINUTE_MS))).toBe('recent')
+  })
+
+  it('skips deliveries older than the last one applied', async () => {
+    await setAcceptingRequests('companion-1', true, { now })
+    await applyPresenceWebhook([memberAdded], later(2 * MINUTE_MS))
+
+    expect(await applyPresenceWebhook([memberRemoved], later(MINUTE_MS))).toBe(0)
+    expect((await getDb().findOne('companion_presence', { companion_id: 'companion-1' })).connected).toBe(true)
+  })
+
+  it('only applies companions joining their own channel', async () => {
+    const applied = await applyPresenceWebhook([
+      { ...memberAdded, user_id: 'client-1' },
+      { name: 'member_added', channel: 'presence-user-client-1', user_id: 'client-1' },
+      { name: 'member_added', channel: 'presence-conversation-42', user_id: 'companion-1' },
+      { name: 'channel_occupied', channel: 'presence-user-companion-1' }
+    ], now)
+
+    expect(applied).toBe(0)
+    expect(getDb().tables.companion_presence || []).toHaveLength(0)
+  })
+})
@@ -0,0 +1,246 @@
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import { sendNotification, NOTIFICATION_TYPES } from '../../lib/notifications'
+import { listAuditEvents } from '../../lib/auditLog'
+import {
+  appealReview,
+  countReviewQueues,
+  decideReview,
+  listReviewQueue,
+  reportReview
+} from '../../lib/reviewReports'
+
+jest.mock('../../lib/notifications', () => ({
+  ...jest.requireActual('../../lib/notifications'),
+  sendNotification: jest.fn()
+}))
+
+const admin = { id: 'admin-1', role: 'admin' }
+const reviewer = { id: 'client-1', role: 'client' }
+const reviewee = { id: 'companion-1', role: 'companion' }
+const reporter = { id: 'client-2', role: 'client' }
+const otherReporter = { id: 'companion-2', role: 'companion' }
+
+function review(id, overrides = {}) {
+  return {
+    id,
+    booking_id: id,
+    reviewer_id: reviewer.id,
+    reviewer_role: 'client',
+    reviewee_id: reviewee.id,
+    rating: 1,
+    comment: `Review ${id}`,
+    hidden: false,
+    flagged: false,
+    published_at: '2024-03-01T00:00:00.000Z',
+    created_at: `2024-02-0${id}T00:00:00.000Z`,
+    ...overrides
+  }
+}
+
+describe('review reports and appeals', () => {
+  const reviewRow = (id = 1) => getDb().findOne('reviews', { id })
+  const notified = (type) => sendNotification.mock.calls.filter(call => call[1] === type).map(call => call[0])
+
+  beforeEach(() => {
+    sendNotification.mockReset().mockResolvedValue({ inApp: { success: true } })
+    setDbAdapter(createMemoryAdapter({
+      reviews: [
+        review(1),
+        review(2, { reviewer_id: reviewee.id, reviewer_role: 'companion', reviewee_id: reviewer.id }),
+        review(3, { hidden: true }),
+        review(4, { published_at: '2999-01-01T00:00:00.000Z' }),
+        // Held back by content moderation
+        review(5, { hidden: true, flagged: true })
+      ],
+      profiles: [
+        { id: 'client-1', role: 'client', full_name: 'Client One' },
+        { id: 'companion-1', role: 'companion', full_name: 'Companion One' }
+      ]
+    }))
+  })
+
+  afterAll(() => setDbAdapter(null))
+
+  describe('reportReview', () => {
+    it('flags the review for the admin queue', async () => {
+      const { report } = await reportReview(1, reporter, { reason: 'offensive', details: '  Rude  ' })
+
+      expect(report).toMatchObject({ review_id: 1, reporter_id: 'client-2', reason: 'offensive', details: 'Rude', status: 'open' })
+      expect(await reviewRow()).toMatchObject({ flagged: true, flagged_at: expect.any(String) })
+    })
+
+    it('takes one report per user and review', async () => {
+      await reportReview(1, reporter, { reason: 'spam' })
+
+      expect(await reportReview(1, reporter, { reason: 'offensive' })).toEqual({
+        status: 409,
+        message: 'You have already reported this review'
+      })
+      expect((await reportReview(1, otherReporter, { reason: 'spam' })).report).toBeDefined()
+    })
+
+    it('needs a known reason, and details for any other reason', async () => {
+      expect(await reportReview(1, reporter, { reason: 'boring' })).toEqual({ status: 400, message: 'Invalid reason' })
+      expect((await reportReview(1, reporter, { reason: 'other', details: '   ' })).status).toBe(400)
+      expect(getDb().tables.review_reports || []).toHaveLength(0)
+    })
+
+    it('only takes reports of published reviews the reporter can see', async () => {
+      for (const id of [3, 4, 99]) {
+        expect((await reportReview(id, reporter, { reason: 'spam' })).status).toBe(404)
+      }
+      // Reviews of clients are only shown to companions
+      expect((await reportReview(2, reporter, { reason: 'spam' })).status).toBe(404)
+      expect((await reportReview(2, otherReporter, { reason: 'spam' })).report).toBeDefined()
+    })
+
+    it('turns away the reviewer and the reviewee', async () => {
+      expect(await reportReview(1, reviewer, { reason: 'spam' })).toEqual({
+        status: 400,
+        message: 'You cannot report your own review'
+      })
+      expect(await reportReview(1, reviewee, { reason: 'spam' })).toEqual({
+        status: 400,
+        message: 'You can appeal a review of you instead'
+      })
+    })
+  })
+
+  describe('appealReview', () => {
+    it('lets the reviewee appeal once, with context', async () => {
+      const { appeal } = await appealReview(1, reviewee, { context: 'We never met' })
+
+      expect(appeal).toMatchObject({ review_id: 1, appellant_id: 'companion-1', context: 'We never met', status: 'pending' })
+      expect((await reviewRow()).flagged).toBe(true)
+      expect(await appealReview(1, reviewee, { context: 'Again' })).toEqual({
+        status: 409,
+        message: 'This review has already been appealed'
+      })
+    })
+
+    it('refuses anyone else, and appeals without or with too much context', async () => {
+      expect((await appealReview(1, reporter, { context: 'Unfair' })).status).toBe(403)
+      expect((await appealReview(1, reviewee, { context: '  ' })).status).toBe(400)
+      expect((await appealReview(1, reviewee, { context: 'x'.repeat(2001) })).status).toBe(400)
+      expect((await appealReview(3, reviewee, { context: 'Unfair' })).status).toBe(404)
+    })
+  })
+
+  describe('decideReview', () => {
+    beforeEach(async () => {
+      await reportReview(1, reporter, { reason: 'offensive' })
+      await reportReview(1, otherReporter, { reason: 'false_information' })
+      await appealReview(1, reviewee, { context: 'We never met' })
+    })
+
+    it('hides the review, upholds its reports and appeal, and tells everyone', async () => {
+      const result = await decideReview(1, 'hide', admin, { note: 'Abusive language' })
+
+      expect(result.review).toMatchObject({ hidden: true, flagged: false, flagged_at: null, moderation_note: 'Abusive language' })
+      expect(result.reports.map(report => report.status)).toEqual(['upheld', 'upheld'])
+      expect(result.appeal).toMatchObject({ status: 'upheld', note: 'Abusive language', resolved_by: 'admin-1' })
+
+      expect(notified(NOTIFICATION_TYPES.CONTENT_REMOVED)).toEqual(['client-1'])
+      expect(notified(NOTIFICATION_TYPES.REVIEW_REPORT_RESOLVED)).toEqual(['client-2', 'companion-2'])
+      expect(notified(NOTIFICATION_TYPES.REVIEW_APPEAL_RESOLVED)).toEqual(['companion-1'])
+
+      const { entries: [entry] } = await listAuditEvents({ targetType: 'review', targetId: 1 })
+      expect(entry).toMatchObject({
+        actor_id: 'admin-1',
+        action: 'review.hide',
+        from_status: 'visible',
+        to_status: 'hidden',
+        metadata: { reports: 2, appealId: result.appeal.id }
+      })
+    })
+
+    it('takes a hidden review out of the companion\'s scorecard and puts it back on restore', async () => {
+      const scorecard = () => getDb().findOne('companion_scorecards', { companion_id: 'companion-1' })
+
+      await decideReview(1, 'hide', admin, { note: 'Abusive language' })
+      expect((await scorecard()).review_count).toBe(0)
+
+      sendNotification.mockClear()
+      const { review: restored } = await decideReview(1, 'restore', admin, { note: 'Reconsidered on review' })
+
+      expect(restored.hidden).toBe(false)
+      expect((await scorecard()).review_count).toBe(1)
+      expect(notified(NOTIFICATION_TYPES.REVIEW_RESTORED)).toEqual(['client-1'])
+    })
+
+    it('keeps a flagged review up, dismisses its reports and rejects the appeal', async () => {
+      const result = await decideReview(1, 'restore', admin, { note: 'Within the guidelines' })
+
+      expect(result.review).toMatchObject({ hidden: false, flagged: false })
+      expect(result.reports.map(report => report.status)).toEqual(['dismissed', 'dismissed'])
+      expect(result.appeal.status).toBe('rejected')
+      // Nothing changed for the reviewer
+      expect(notified(NOTIFICATION_TYPES.REVIEW_RESTORED)).toEqual([])
+      expect(sendNotification).toHaveBeenCalledWith(
+        'companion-1',
+        NOTIFICATION_TYPES.REVIEW_APPEAL_RESOLVED,
+        { upheld: false, note: 'Within the guidelines' },
+        expect.anything()
+      )
+    })
+
+    it('needs a note and a decision that changes something', async () => {
+      expect((await decideReview(1, 'delete', admin, { note: 'x' })).status).toBe(400)
+      expect((await decideReview(1, 'hide', admin, { note: '  ' })).status).toBe(400)
+      expect((await decideReview(99, 'hide', admin, { note: 'x' })).status).toBe(404)
+      expect((await decideReview(3, 'hide', admin, { note: 'x' })).message).toBe('This review is already hidden')
+      expect((await decideReview(4, 'restore', admin, { note: 'x' })).message).toBe('This review is already visible')
+      expect((await decideReview(5, 'restore', admin, { note: 'x' })).message).toBe('This review is waiting in the moderation queue')
+    })
+
+    it('lets only one of two admins decide', async () => {
+      const decisions = await Promise.all([
+        decideReview(1, 'hide', admin, { note: 'Abusive language' }),
+        decideReview(1, 'restore', { id: 'admin-2', role: 'admin' }, { note: 'Fine' })
+      ])
+
+      expect(decisions.map(decision => decision.status)).toEqual([undefined, 409])
+      expect((await reviewRow()).hidden).toBe(true)
+      expect((await listAuditEvents({ targetType: 'review', targetId: 1 })).total).toBe(1)
+    })
+
+    it('keeps the decision when a notification fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+      sendNotification.mockRejectedValue(new Error('Pusher unavailable'))
+
+      try {
+        expect((await decideReview(1, 'hide', admin, { note: 'Abusive language' })).review.hidden).toBe(true)
+        expect(sendNotification).toHaveBeenCalledTimes(4)
+      } finally {
+        console.error.mockRestore()
+      }
+    })
+  })
+
+  describe('queues', () => {
+    it('lists flagged reviews oldest flag first, with their reports and appeal', async () => {
+      await getDb().update('reviews', { id: 2 }, { flagged: true, flagged_at: '2024-03-05T00:00:00.000Z' })
+      await getDb().update('reviews', { id: 1 }, { flagged: true, flagged_at: '2024-03-04T00:00:00.000Z' })
+      await getDb().insert('review_reports', { review_id: 1, reporter_id: 'client-2', reason: 'spam', status: 'open' })
+
+      const { reviews, total } = await listReviewQueue()
+
+      expect(total).toBe(2)
+      expect(reviews.map(entry => entry.review.id)).toEqual([1, 2])
+      expect(reviews[0]).toMatchObject({
+        reviewer: { full_name: 'Client One' },
+        reviewee: { full_name: 'Companion One' },
+        reports: [{ reason: 'spam' }],
+        appeal: null,
+        reply: null
+      })
+    })
+
+    it('lists hidden reviews newest first and counts both queues', async () => {
+      await getDb().update('reviews', { id: 1 }, { hidden: true })
+
+      expect((await listReviewQueue({ queue: 'hidden' })).reviews.map(entry => entry.review.id)).toEqual([3, 1])
+      expect(await countReviewQueues()).toEqual({ flagged: 0, hidden: 2 })
+    })
+  })
+})
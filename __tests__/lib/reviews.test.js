@@ -0,0 +1,234 @@
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import { sendNotification, NOTIFICATION_TYPES } from '../../lib/notifications'
+import { assessText } from '../../lib/moderation'
+import { runReviewReminders, submitReview, submitReviewReply } from '../../lib/reviews'
+
+jest.mock('../../lib/notifications', () => ({
+  ...jest.requireActual('../../lib/notifications'),
+  sendNotification: jest.fn()
+}))
+
+jest.mock('../../lib/moderation', () => ({
+  assessText: jest.fn(),
+  recordModerationEvent: jest.fn(),
+  getBlockedMessage: (contentType) => `This ${contentType} can't be posted`
+}))
+
+const delivered = { inApp: { success: true }, email: { success: true }, push: { success: false } }
+const undelivered = { inApp: { success: false }, email: { success: false }, push: { success: false } }
+
+const HOUR_MS = 60 * 60 * 1000
+const now = new Date('2024-03-10T12:00:00.000Z')
+
+// A full page, so the run would otherwise go on to the next one
+const DUE_COUNT = 100
+
+function dueBookings(count = DUE_COUNT) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: index + 1,
+    client_id: 'client-1',
+    companion_id: 'companion-1',
+    status: 'completed',
+    review_deadline: new Date(now.getTime() + 24 * HOUR_MS).toISOString(),
+    review_reminder_sent_at: null
+  }))
+}
+
+describe('runReviewReminders', () => {
+  beforeEach(() => {
+    sendNotification.mockReset().mockResolvedValue(delivered)
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => console.error.mockRestore())
+
+  afterAll(() => setDbAdapter(null))
+
+  it('stops when no booking on a page can be claimed', async () => {
+    const memory = createMemoryAdapter({ bookings: dueBookings() })
+    const update = jest.fn(async () => {
+      throw new Error('connection reset')
+    })
+    setDbAdapter({ ...memory, update })
+
+    const results = await runReviewReminders({ now })
+
+    expect(results).toMatchObject({ checked: DUE_COUNT, sent: 0, failed: DUE_COUNT })
+    expect(update).toHaveBeenCalledTimes(DUE_COUNT)
+  })
+
+  it('stops when every booking was claimed by another run', async () => {
+    const memory = createMemoryAdapter({ bookings: dueBookings() })
+    setDbAdapter({ ...memory, update: async () => [] })
+
+    const results = await runReviewReminders({ now })
+
+    expect(results).toMatchObject({ checked: DUE_COUNT, sent: 0, failed: 0 })
+  })
+
+  describe('when sending fails', () => {
+    const profiles = [
+      { id: 'client-1', role: 'client', full_name: 'Client One' },
+      { id: 'companion-1', role: 'companion', full_name: 'Companion One' }
+    ]
+    const claimedAt = async (id) => (await getDb().findOne('bookings', { id })).review_reminder_sent_at
+
+    it('releases the claim so the next run reminds the booking', async () => {
+      setDbAdapter(createMemoryAdapter({ bookings: dueBookings(1), profiles }))
+      sendNotification.mockResolvedValue(undelivered)
+
+      const failed = await runReviewReminders({ now })
+
+      expect(failed).toMatchObject({ checked: 1, sent: 0, failed: 1 })
+      expect(await claimedAt(1)).toBeNull()
+
+      sendNotification.mockResolvedValue(delivered)
+      const retried = await runReviewReminders({ now })
+
+      expect(retried).toMatchObject({ checked: 1, sent: 2, failed: 0 })
+      expect(await claimedAt(1)).toBe(now.toISOString())
+    })
+
+    it('moves on past released bookings instead of retrying them in the same run', async () => {
+      setDbAdapter(createMemoryAdapter({ bookings: dueBookings(DUE_COUNT + 1), profiles }))
+      sendNotification.mockResolvedValue(undelivered)
+
+      const results = await runReviewReminders({ now })
+
+      expect(results).toMatchObject({ checked: DUE_COUNT + 1, failed: DUE_COUNT + 1 })
+      expect(sendNotification).toHaveBeenCalledTimes((DUE_COUNT + 1) * 2)
+    })
+  })
+})
+
+describe('submitReview', () => {
+  const client = { id: 'client-1', role: 'client' }
+  const companion = { id: 'companion-1', role: 'companion' }
+  const ratings = { punctuality: 5, communication: 4, accuracy: 3 }
+  const scorecard = () => getDb().findOne('companion_scorecards', { companion_id: 'companion-1' })
+
+  beforeEach(() => {
+    assessText.mockReset().mockResolvedValue({ decision: 'allow', scores: {} })
+    setDbAdapter(createMemoryAdapter({
+      bookings: [{
+        id: 1,
+        client_id: 'client-1',
+        companion_id: 'companion-1',
+        status: 'completed',
+        review_deadline: new Date(Date.now() + 7 * 24 * HOUR_MS).toISOString()
+      }]
+    }))
+  })
+
+  afterAll(() => setDbAdapter(null))
+
+  it('stores the category ratings with the review', async () => {
+    const { review } = await submitReview(1, client, { rating: 4, ratings, comment: 'Lovely evening' })
+
+    expect(review).toMatchObject({
+      reviewer_role: 'client',
+      rating: 4,
+      punctuality_rating: 5,
+      communication_rating: 4,
+      accuracy_rating: 3
+    })
+  })
+
+  it('counts the client\'s review towards the scorecard once both reviews are in', async () => {
+    await submitReview(1, client, { rating: 4, ratings })
+
+    // Still blind: the scorecard only notes when it is published
+    expect(await scorecard()).toMatchObject({ review_count: 0, next_refresh_at: expect.any(String) })
+
+    const { revealed } = await submitReview(1, companion, { rating: 5 })
+
+    expect(revealed).toBe(true)
+    expect(await scorecard()).toMatchObject({
+      review_count: 1,
+      average_rating: 4,
+      category_ratings: { punctuality: 5, communication: 4, accuracy: 3 },
+      next_refresh_at: null
+    })
+  })
+
+  it('leaves the scorecard out of a held-back review', async () => {
+    assessText.mockResolvedValue({ decision: 'review', scores: {} })
+
+    const { pendingModeration } = await submitReview(1, client, { rating: 1, ratings, comment: 'Borderline' })
+
+    expect(pendingModeration).toBe(true)
+    expect(await scorecard()).toMatchObject({ review_count: 0, next_refresh_at: null })
+  })
+})
+
+describe('submitReviewReply', () => {
+  const companion = { id: 'companion-1', role: 'companion' }
+
+  function review(id, overrides = {}) {
+    return {
+      id,
+      reviewer_id: 'client-1',
+      reviewer_role: 'client',
+      reviewee_id: 'companion-1',
+      rating: 3,
+      hidden: false,
+      published_at: '2024-03-01T00:00:00.000Z',
+      ...overrides
+    }
+  }
+
+  beforeEach(() => {
+    sendNotification.mockReset().mockResolvedValue(delivered)
+    assessText.mockReset().mockResolvedValue({ decision: 'allow', scores: {} })
+    setDbAdapter(createMemoryAdapter({
+      reviews: [
+        review(1),
+        review(2, { reviewer_id: 'companion-1', reviewer_role: 'companion', reviewee_id: 'client-1' }),
+        review(3, { published_at: '2999-01-01T00:00:00.000Z' })
+      ],
+      profiles: [{ id: 'companion-1', role: 'companion', full_name: 'Companion One' }]
+    }))
+  })
+
+  afterAll(() => setDbAdapter(null))
+
+  it('posts the companion\'s reply once and tells the reviewer', async () => {
+    const { reply, pendingModeration } = await submitReviewReply(1, companion, { body: '  Thanks for coming!  ' })
+
+    expect(pendingModeration).toBe(false)
+    expect(reply).toMatchObject({ review_id: 1, author_id: 'companion-1', body: 'Thanks for coming!', hidden: false })
+    expect(sendNotification).toHaveBeenCalledWith(
+      'client-1',
+      NOTIFICATION_TYPES.REVIEW_REPLY,
+      { companionName: 'Companion One', reply: 'Thanks for coming!' },
+      expect.anything()
+    )
+    expect(await submitReviewReply(1, companion, { body: 'Again' })).toEqual({
+      status: 409,
+      message: 'You have already replied to this review'
+    })
+  })
+
+  it('only lets the reviewed companion reply to a published client review', async () => {
+    expect((await submitReviewReply(1, { id: 'companion-2', role: 'companion' }, { body: 'Hi' })).status).toBe(403)
+    expect((await submitReviewReply(2, { id: 'client-1', role: 'client' }, { body: 'Hi' })).status).toBe(403)
+    expect((await submitReviewReply(3, companion, { body: 'Hi' })).status).toBe(404)
+    expect((await submitReviewReply(1, companion, { body: '   ' })).status).toBe(400)
+    expect((await submitReviewReply(1, companion, { body: 'x'.repeat(501) })).status).toBe(400)
+  })
+
+  it('holds back borderline replies without telling the reviewer, and refuses blocked ones', async () => {
+    assessText.mockResolvedValueOnce({ decision: 'block', scores: {} })
+    expect(await submitReviewReply(1, companion, { body: 'Blocked' })).toEqual({
+      status: 422,
+      message: 'This review_reply can\'t be posted'
+    })
+
+    assessText.mockResolvedValueOnce({ decision: 'review', scores: {} })
+    const { reply, pendingModeration } = await submitReviewReply(1, companion, { body: 'Borderline' })
+
+    expect(pendingModeration).toBe(true)
+    expect(reply.hidden).toBe(true)
+    expect(sendNotification).not.toHaveBeenCalled()
+  })
+})
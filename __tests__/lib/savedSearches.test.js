@@ -0,0 +1,229 @@
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import { sendNotification, NOTIFICATION_TYPES } from '../../lib/notifications'
+import {
+  createSavedSearch,
+  normalizeSavedSearchFilters,
+  runSavedSearchAlerts,
+  updateSavedSearch
+} from '../../lib/savedSearches'
+
+jest.mock('../../lib/notifications', () => ({
+  ...jest.requireActual('../../lib/notifications'),
+  sendNotification: jest.fn()
+}))
+
+const lastChecked = '2024-03-01T00:00:00.000Z'
+const afterCheck = '2024-03-01T06:00:00.000Z'
+const beforeCheck = '2024-02-20T00:00:00.000Z'
+const now = new Date('2024-03-02T00:00:00.000Z')
+
+function companion(id, overrides = {}) {
+  return {
+    id,
+    role: 'companion',
+    verification_status: 'verified',
+    verification_reviewed_at: beforeCheck,
+    full_name: `Companion ${id}`,
+    specialties: ['Salsa'],
+    hourly_rate: 50,
+    created_at: '2024-01-01T00:00:00.000Z',
+    ...overrides
+  }
+}
+
+function savedSearch(id, filters, overrides = {}) {
+  return {
+    id,
+    user_id: 'client-1',
+    name: `Search ${id}`,
+    filters: { query: '', minPrice: 0, maxPrice: null, minRating: 0, specialties: '', ...filters },
+    alerts_enabled: true,
+    last_checked_at: lastChecked,
+    created_at: beforeCheck,
+    ...overrides
+  }
+}
+
+describe('saved searches', () => {
+  afterAll(() => setDbAdapter(null))
+
+  describe('normalizeSavedSearchFilters', () => {
+    it('fills in defaults and trims text', () => {
+      expect(normalizeSavedSearchFilters({ query: '  salsa  ' }).filters).toMatchObject({
+        query: 'salsa',
+        city: '',
+        lat: null,
+        minPrice: 0,
+        maxPrice: null,
+        sortBy: 'relevance'
+      })
+    })
+
+    it('stores coordinates only as precisely as service locations', () => {
+      expect(normalizeSavedSearchFilters({ lat: '6.52437', lng: '3.37921' }).filters).toMatchObject({ lat: 6.52, lng: 3.38 })
+    })
+
+    it('refuses filters that could never match or be run', () => {
+      expect(normalizeSavedSearchFilters({ city: 'atlantis' })).toEqual({ status: 400, message: 'Unknown city' })
+      expect(normalizeSavedSearchFilters({ minPrice: 80, maxPrice: 40 }).status).toBe(400)
+      expect(normalizeSavedSearchFilters({ minRating: 6 }).status).toBe(400)
+      expect(normalizeSavedSearchFilters({ sortBy: 'distance' })).toEqual({
+        status: 400,
+        message: 'Sorting by distance needs a location or city'
+      })
+      expect(normalizeSavedSearchFilters({ sortBy: 'distance', city: 'lagos' }).filters.sortBy).toBe('distance')
+    })
+  })
+
+  describe('createSavedSearch', () => {
+    beforeEach(() => setDbAdapter(createMemoryAdapter()))
+
+    it('refuses a second search with the same name', async () => {
+      await createSavedSearch('client-1', { name: 'Salsa nights', filters: { query: 'salsa' } })
+
+      expect(await createSavedSearch('client-1', { name: ' Salsa nights ', filters: {} })).toEqual({
+        status: 409,
+        message: 'You already have a saved search with this name'
+      })
+      expect((await createSavedSearch('client-2', { name: 'Salsa nights', filters: {} })).savedSearch).toBeDefined()
+    })
+
+    it('limits how many searches a client keeps', async () => {
+      for (let index = 0; index < 20; index++) {
+        await createSavedSearch('client-1', { name: `Search ${index}`, filters: {} })
+      }
+
+      expect((await createSavedSearch('client-1', { name: 'One more', filters: {} })).status).toBe(409)
+    })
+
+    it('only alerts about changes from when alerts are turned back on', async () => {
+      jest.useFakeTimers({ now })
+      const { savedSearch } = await createSavedSearch('client-1', { name: 'Salsa', filters: {}, alertsEnabled: false })
+      const disabled = { ...savedSearch, last_checked_at: lastChecked }
+
+      const { savedSearch: enabled } = await updateSavedSearch(disabled, { alertsEnabled: true })
+      jest.useRealTimers()
+
+      expect(enabled).toMatchObject({ alerts_enabled: true, last_checked_at: now.toISOString() })
+    })
+  })
+
+  describe('runSavedSearchAlerts', () => {
+    const alerts = () => getDb().tables.saved_search_alerts || []
+    const notificationsOf = (type) => sendNotification.mock.calls.filter(call => call[1] === type)
+
+    function seed({ profiles = [], savedSearches = [], favorites = [] }) {
+      setDbAdapter(createMemoryAdapter({
+        profiles: [{ id: 'client-1', role: 'client', email: 'client@example.com' }, ...profiles],
+        saved_searches: savedSearches,
+        favorites
+      }))
+    }
+
+    beforeEach(() => {
+      sendNotification.mockReset().mockResolvedValue({ inApp: { success: true } })
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+    })
+
+    afterEach(() => console.error.mockRestore())
+
+    it('alerts about companions verified since the last check who match', async () => {
+      seed({
+        profiles: [
+          companion(1, { verification_reviewed_at: afterCheck }),
+          companion(2, { verification_reviewed_at: afterCheck, specialties: ['Golf'] }),
+          companion(3)
+        ],
+        savedSearches: [savedSearch(1, { specialties: 'salsa' })]
+      })
+
+      const results = await runSavedSearchAlerts({ now })
+
+      expect(results).toMatchObject({ checked: 1, notified: 1, failed: 0 })
+      expect(notificationsOf(NOTIFICATION_TYPES.SAVED_SEARCH_MATCH)).toEqual([[
+        'client-1',
+        NOTIFICATION_TYPES.SAVED_SEARCH_MATCH,
+        expect.objectContaining({ searchName: 'Search 1', count: 1, names: 'Companion 1' }),
+        expect.objectContaining({ userEmail: 'client@example.com' })
+      ]])
+      expect((await getDb().findOne('saved_searches', { id: 1 })).last_checked_at).toBe(now.toISOString())
+    })
+
+    it('does not alert twice about the same companion', async () => {
+      seed({
+        profiles: [companion(1, { verification_reviewed_at: afterCheck })],
+        savedSearches: [savedSearch(1, {})]
+      })
+      await runSavedSearchAlerts({ now })
+      // A rerun that starts from the same last check, as after a failure
+      await getDb().update('saved_searches', { id: 1 }, { last_checked_at: lastChecked })
+
+      expect((await runSavedSearchAlerts({ now })).notified).toBe(0)
+      expect(alerts()).toHaveLength(1)
+      expect(sendNotification).toHaveBeenCalledTimes(1)
+    })
+
+    it('names the first three matches and counts the rest', async () => {
+      seed({
+        profiles: [1, 2, 3, 4, 5].map(id => companion(id, { verification_reviewed_at: afterCheck })),
+        savedSearches: [savedSearch(1, {})]
+      })
+
+      await runSavedSearchAlerts({ now })
+
+      const [[, , data]] = sendNotification.mock.calls
+      expect(data).toMatchObject({ count: 5, names: expect.stringMatching(/^(Companion \d, ){2}Companion \d and 2 more$/) })
+    })
+
+    it('alerts about a favorite dropping to the maximum price', async () => {
+      const dropped = { hourly_rate: 40, previous_hourly_rate: 60, hourly_rate_changed_at: afterCheck }
+      seed({
+        profiles: [
+          companion(1, dropped),
+          companion(2, dropped),
+          companion(3, { ...dropped, hourly_rate: 45 }),
+          companion(4, { ...dropped, hourly_rate: 35, previous_hourly_rate: 40 })
+        ],
+        // 2 isn't a favorite, 3 is still above the maximum and 4 was already below it
+        favorites: [1, 3, 4].map(id => ({ user_id: 'client-1', companion_id: id })),
+        savedSearches: [savedSearch(1, { maxPrice: 40 }), savedSearch(2, {})]
+      })
+
+      const results = await runSavedSearchAlerts({ now })
+
+      expect(results).toMatchObject({ checked: 2, notified: 1 })
+      expect(notificationsOf(NOTIFICATION_TYPES.FAVORITE_PRICE_DROP)).toEqual([[
+        'client-1',
+        NOTIFICATION_TYPES.FAVORITE_PRICE_DROP,
+        expect.objectContaining({ searchName: 'Search 1', companionName: 'Companion 1', previousRate: 60, hourlyRate: 40 }),
+        expect.anything()
+      ]])
+    })
+
+    it('skips searches with alerts off and keeps going after a failure', async () => {
+      seed({
+        profiles: [companion(1, { verification_reviewed_at: afterCheck })],
+        savedSearches: [
+          savedSearch(1, {}),
+          savedSearch(2, {}),
+          savedSearch(3, {}, { alerts_enabled: false })
+        ]
+      })
+      const memory = getDb()
+      setDbAdapter({
+        ...memory,
+        insert: async (table, row) => {
+          if (table === 'saved_search_alerts' && row.saved_search_id === 1) throw new Error('connection reset')
+          return memory.insert(table, row)
+        }
+      })
+
+      const results = await runSavedSearchAlerts({ now })
+
+      expect(results).toMatchObject({ checked: 2, notified: 1, failed: 1 })
+      expect(results.errors).toEqual([{ savedSearchId: 1, error: 'connection reset' }])
+      // Checked again from the same point next run
+      expect((await memory.findOne('saved_searches', { id: 1 })).last_checked_at).toBe(lastChecked)
+    })
+  })
+})
@@ -0,0 +1,287 @@
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import { transitionBooking } from '../../lib/bookingStateMachine'
+import {
+  PRIOR_RATING,
+  getCompanionScorecard,
+  getCompanionScorecards,
+  refreshCompanionScorecard,
+  runScorecardRefresh,
+  serializeScorecard
+} from '../../lib/scorecards'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const now = new Date('2024-06-01T12:00:00.000Z')
+const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS).toISOString()
+
+let nextReviewId = 1
+
+function review(rating, overrides = {}) {
+  return {
+    id: nextReviewId++,
+    reviewer_role: 'client',
+    reviewee_id: 'companion-1',
+    rating,
+    hidden: false,
+    published_at: daysAgo(10),
+    ...overrides
+  }
+}
+
+function bookingWithEvents(id, events, created_at = daysAgo(5)) {
+  return {
+    booking: { id, companion_id: 'companion-1', created_at },
+    events: events.map(([from_status, action, actor_role = 'companion']) => ({ booking_id: id, from_status, action, actor_role }))
+  }
+}
+
+function seed({ reviews = [], bookings = [], scorecards = [] } = {}) {
+  setDbAdapter(createMemoryAdapter({
+    reviews,
+    bookings: bookings.map(entry => entry.booking),
+    booking_events: bookings.flatMap(entry => entry.events),
+    companion_scorecards: scorecards
+  }))
+}
+
+const stored = (companionId = 'companion-1') => getDb().findOne('companion_scorecards', { companion_id: companionId })
+
+describe('scorecards', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}))
+
+  afterEach(() => console.error.mockRestore())
+
+  afterAll(() => setDbAdapter(null))
+
+  describe('refreshCompanionScorecard', () => {
+    it('aggregates the published, visible reviews by clients', async () => {
+      seed({
+        reviews: [
+          review(5, { punctuality_rating: 5, communication_rating: 4, accuracy_rating: null }),
+          review(4, { punctuality_rating: 4, communication_rating: 4, accuracy_rating: 5 }),
+          review(4),
+          review(1, { hidden: true }),
+          review(2, { reviewee_id: 'companion-2' }),
+          // Still blind
+          review(1, { published_at: '2024-06-05T12:00:00.000Z' })
+        ]
+      })
+
+      const row = await refreshCompanionScorecard('companion-1', { now })
+
+      expect(row).toMatchObject({
+        review_count: 3,
+        average_rating: 4.33,
+        // (3.5 * 5 + 13) / (5 + 3)
+        weighted_rating: 3.81,
+        category_ratings: { punctuality: 4.5, communication: 4, accuracy: 5 },
+        rating_distribution: { 1: 0, 2: 0, 3: 0, 4: 2, 5: 1 },
+        next_refresh_at: '2024-06-05T12:00:00.000Z',
+        refreshed_at: now.toISOString()
+      })
+      expect(await stored()).toEqual(row)
+    })
+
+    it('ranks many good reviews above a single perfect one', async () => {
+      seed({
+        reviews: [
+          review(5, { reviewee_id: 'companion-new' }),
+          ...Array.from({ length: 20 }, (_, index) => review(index % 2 ? 5 : 4))
+        ]
+      })
+
+      const single = await refreshCompanionScorecard('companion-new', { now })
+      const many = await refreshCompanionScorecard('companion-1', { now })
+
+      expect(single).toMatchObject({ average_rating: 5, weighted_rating: 3.75 })
+      expect(many).toMatchObject({ average_rating: 4.5, weighted_rating: 4.3 })
+      expect(many.weighted_rating).toBeGreaterThan(single.weighted_rating)
+    })
+
+    it('starts companions without reviews at the prior', async () => {
+      seed()
+
+      expect(await refreshCompanionScorecard('companion-1', { now })).toMatchObject({
+        review_count: 0,
+        average_rating: null,
+        weighted_rating: PRIOR_RATING,
+        category_ratings: { punctuality: null, communication: null, accuracy: null },
+        rating_trend: null,
+        response_rate: null,
+        completion_rate: null
+      })
+    })
+
+    it('compares recent reviews with older ones once there are enough of both', async () => {
+      const older = [3, 3, 3].map(rating => review(rating, { published_at: daysAgo(120) }))
+      seed({ reviews: [...older, review(5), review(5), review(4)] })
+
+      expect(await refreshCompanionScorecard('companion-1', { now })).toMatchObject({
+        recent_rating: 4.67,
+        rating_trend: 'up'
+      })
+
+      seed({ reviews: [...older, review(5), review(5)] })
+
+      expect(await refreshCompanionScorecard('companion-1', { now })).toMatchObject({
+        recent_rating: 5,
+        rating_trend: null
+      })
+    })
+
+    it('counts answered requests and completed bookings over the recent window', async () => {
+      seed({
+        bookings: [
+          bookingWithEvents(1, [['pending', 'accept'], ['accepted', 'complete', 'system']]),
+          bookingWithEvents(2, [['pending', 'accept'], ['accepted', 'cancel']]),
+          bookingWithEvents(3, [['pending', 'reject']]),
+          bookingWithEvents(4, [['pending', 'expire', 'system']]),
+          // Cancelled by the client: neither a missed request nor the companion's doing
+          bookingWithEvents(5, [['pending', 'cancel', 'client']]),
+          bookingWithEvents(6, [['pending', 'accept'], ['accepted', 'cancel', 'client']]),
+          bookingWithEvents(7, [['pending', 'expire', 'system']], daysAgo(120))
+        ]
+      })
+
+      expect(await refreshCompanionScorecard('companion-1', { now })).toMatchObject({
+        // 4 of 5 requests answered, 1 of 2 accepted bookings completed
+        response_rate: 0.8,
+        completion_rate: 0.5
+      })
+    })
+
+    it('updates the scorecard created by a concurrent refresh', async () => {
+      seed({ reviews: [review(4)] })
+      const memory = getDb()
+      setDbAdapter({
+        ...memory,
+        insert: async (table, row) => {
+          await memory.insert(table, { ...row, review_count: 0 })
+          const error = new Error('duplicate key value violates unique constraint')
+          error.code = '23505'
+          throw error
+        }
+      })
+
+      expect(await refreshCompanionScorecard('companion-1', { now })).toMatchObject({ review_count: 1 })
+      expect(memory.tables.companion_scorecards).toHaveLength(1)
+    })
+
+    it('returns null instead of throwing when it fails', async () => {
+      seed()
+      setDbAdapter({
+        ...getDb(),
+        findMany: async () => {
+          throw new Error('connection reset')
+        }
+      })
+
+      expect(await refreshCompanionScorecard('companion-1', { now })).toBeNull()
+      expect(console.error).toHaveBeenCalled()
+    })
+  })
+
+  describe('getCompanionScorecards', () => {
+    it('computes missing scorecards and serves stored ones as they are', async () => {
+      seed({
+        reviews: [review(5), review(4, { reviewee_id: 'companion-2' })],
+        scorecards: [{ companion_id: 'companion-2', review_count: 7, average_rating: 4.86, weighted_rating: 4.42 }]
+      })
+
+      const scorecards = await getCompanionScorecards(['companion-1', 'companion-2'])
+
+      expect(scorecards.get('companion-1')).toMatchObject({ reviewCount: 1, rating: 5 })
+      expect(scorecards.get('companion-2')).toMatchObject({ reviewCount: 7, rating: 4.9, weightedRating: 4.42 })
+      expect(getDb().tables.companion_scorecards).toHaveLength(2)
+    })
+
+    it('refreshes once a blind review is published', async () => {
+      seed({ reviews: [review(5), review(1, { published_at: '2024-06-05T12:00:00.000Z' })] })
+      jest.useFakeTimers({ now })
+
+      try {
+        expect(await getCompanionScorecard('companion-1')).toMatchObject({ reviewCount: 1 })
+
+        jest.setSystemTime(new Date('2024-06-05T12:00:00.000Z'))
+        expect(await getCompanionScorecard('companion-1')).toMatchObject({ reviewCount: 2, rating: 3 })
+        expect((await stored()).next_refresh_at).toBeNull()
+      } finally {
+        jest.useRealTimers()
+      }
+    })
+  })
+
+  describe('runScorecardRefresh', () => {
+    const scorecard = (companion_id, overrides) => ({ companion_id, refreshed_at: daysAgo(0.5), next_refresh_at: null, ...overrides })
+
+    it('refreshes scorecards that are due or stale and leaves fresh ones', async () => {
+      seed({
+        reviews: [review(5), review(5, { reviewee_id: 'companion-2' }), review(5, { reviewee_id: 'companion-3' })],
+        scorecards: [
+          scorecard('companion-1', { next_refresh_at: daysAgo(0.1) }),
+          scorecard('companion-2', { refreshed_at: daysAgo(2) }),
+          scorecard('companion-3')
+        ]
+      })
+
+      expect(await runScorecardRefresh({ now })).toEqual({ checked: 2, refreshed: 2, failed: 0, errors: [] })
+      expect((await stored('companion-1')).review_count).toBe(1)
+      expect((await stored('companion-2')).review_count).toBe(1)
+      expect((await stored('companion-3')).review_count).toBeUndefined()
+    })
+
+    it('reports scorecards that could not be refreshed', async () => {
+      seed({ scorecards: [scorecard('companion-1', { refreshed_at: daysAgo(2) })] })
+      const memory = getDb()
+      setDbAdapter({
+        ...memory,
+        findMany: async (table, options) => {
+          if (table === 'reviews') throw new Error('connection reset')
+          return memory.findMany(table, options)
+        }
+      })
+
+      expect(await runScorecardRefresh({ now })).toEqual({
+        checked: 1,
+        refreshed: 0,
+        failed: 1,
+        errors: [{ companionId: 'companion-1', error: 'Refresh failed' }]
+      })
+    })
+  })
+
+  it('updates the response rate when a request expires', async () => {
+    seed({
+      bookings: [{
+        booking: {
+          id: 1,
+          client_id: 'client-1',
+          companion_id: 'companion-1',
+          status: 'pending',
+          start_time: daysAgo(1),
+          created_at: new Date().toISOString()
+        },
+        events: []
+      }]
+    })
+
+    await transitionBooking(await getDb().findOne('bookings', { id: 1 }), 'expire', null)
+
+    expect((await stored()).response_rate).toBe(0)
+  })
+
+  it('serializes a missing scorecard as an empty one', () => {
+    expect(serializeScorecard({ companion_id: 'companion-1' })).toEqual({
+      companionId: 'companion-1',
+      reviewCount: 0,
+      rating: null,
+      weightedRating: PRIOR_RATING,
+      categoryRatings: { punctuality: null, communication: null, accuracy: null },
+      distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+      recentRating: null,
+      trend: null,
+      responseRate: null,
+      completionRate: null,
+      updatedAt: null
+    })
+  })
+})
@@ -0,0 +1,90 @@
+import { buildSearchIndex, buildTsQuery, parseQuery, stem } from '../../lib/searchIndex'
+
+const profiles = [
+  { id: 1, full_name: 'Bola Ade', username: 'bola', specialties: ['Fine Dining'], bio: 'Gallery openings' },
+  { id: 2, full_name: 'Chidi Obi', username: 'chidi', specialties: ['Salsa'], bio: 'Loves dinner parties' },
+  { id: 3, full_name: 'Ada Dinner', username: 'ada', specialties: ['Tennis'], bio: 'Museum guide' },
+  { id: 4, full_name: 'Emeka Nwosu', username: 'emeka', specialties: ['Gym'], bio: 'Théâtre fan' }
+]
+
+describe('searchIndex', () => {
+  const search = (query) => buildSearchIndex(profiles).search(parseQuery(query))
+  const ranked = (query) => [...search(query).entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id)
+
+  describe('parseQuery', () => {
+    it('lowercases, strips accents and drops repeated words', () => {
+      expect(parseQuery('Dinner DINNER Théâtre').map(term => term.word)).toEqual(['dinner', 'theatre'])
+    })
+
+    it('adds the synonyms of each word, the typed word first', () => {
+      const [theatre] = parseQuery('theatre')
+      expect(theatre.alternatives[0]).toBe('theatre')
+      expect(theatre.alternatives).toEqual(expect.arrayContaining(['theater', 'opera', 'ballet']))
+    })
+
+    it('finds synonyms for misspelt words, but not for short ones', () => {
+      expect(parseQuery('dinnr')[0].alternatives).toContain('dining')
+      expect(parseQuery('fine')[0].alternatives).toEqual(['fine'])
+    })
+
+    it('ignores words beyond the eighth', () => {
+      expect(parseQuery('a b c d e f g h i j')).toHaveLength(8)
+    })
+  })
+
+  describe('buildTsQuery', () => {
+    it('requires every word and matches the last as a prefix', () => {
+      expect(buildTsQuery(parseQuery('salsa lago'))).toBe('salsa & lago:*')
+    })
+
+    it('accepts any alternative of a word', () => {
+      expect(buildTsQuery(parseQuery('movie'))).toBe('(movie:* | movies | cinema | film)')
+    })
+
+    it('returns null without words', () => {
+      expect(buildTsQuery(parseQuery(' -- '))).toBeNull()
+    })
+  })
+
+  describe('buildSearchIndex', () => {
+    it('ranks name matches above specialties, then bio', () => {
+      expect(ranked('dinner')).toEqual([3, 1, 2])
+      expect(search('dinner').get(3)).toBe(1)
+    })
+
+    it('only returns profiles matching every word', () => {
+      expect(ranked('dinner tennis')).toEqual([3])
+      expect(ranked('dinner beach')).toEqual([])
+    })
+
+    it('tolerates typos in longer words', () => {
+      // A typo scores below a synonym, so 1's "Gallery" outranks 3's "Museum"
+      expect(ranked('museim')).toEqual([1, 3])
+      expect(ranked('dinnr')).toEqual(expect.arrayContaining([1, 2, 3]))
+      expect(ranked('theater')).toEqual([4])
+    })
+
+    it('matches short words exactly or as a prefix only', () => {
+      expect(ranked('gim')).toEqual([])
+      expect(ranked('sal')).toEqual([2])
+      expect(search('sal').get(2)).toBeLessThan(search('salsa').get(2))
+    })
+
+    it('scores synonyms below the word that was typed', () => {
+      // "gallery" is typed for 1 and a synonym of "museum" for 3
+      const museum = search('museum')
+      expect(museum.get(3)).toBeGreaterThan(0)
+      expect(museum.get(1)).toBeLessThan(museum.get(3))
+    })
+
+    it('returns nothing for an empty query', () => {
+      expect(search('').size).toBe(0)
+    })
+  })
+
+  it('stems common suffixes but keeps short words whole', () => {
+    expect(stem('dining')).toBe(stem('dine'))
+    expect(stem('parties')).toBe('party')
+    expect(stem('gym')).toBe('gym')
+  })
+})
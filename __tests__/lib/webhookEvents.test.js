@@ -0,0 +1,230 @@
+import crypto from 'crypto'
+import { createMemoryAdapter, getDb, setDbAdapter } from '../../lib/db'
+import { verifyWebhookSignature } from '../../lib/paystack'
+import { handlePaystackEvent } from '../../lib/paystackEvents'
+import {
+  RETRY_DELAYS_MINUTES,
+  getWebhookEventKey,
+  listRetryableWebhookEvents,
+  processWebhookEvent,
+  recordWebhookEvent,
+  replayWebhookEvent
+} from '../../lib/webhookEvents'
+
+jest.mock('../../lib/paystackEvents', () => ({
+  handlePaystackEvent: jest.fn()
+}))
+
+const MINUTE_MS = 60 * 1000
+const now = new Date('2024-03-10T12:00:00.000Z')
+
+const chargeEvent = { event: 'charge.success', data: { id: 501, reference: 'ref-1', amount: 15000 } }
+const rawBody = JSON.stringify(chargeEvent)
+
+describe('verifyWebhookSignature', () => {
+  const secret = 'sk_test_secret'
+  const sign = (body, key = secret) => crypto.createHmac('sha512', key).update(body).digest('hex')
+  let previous
+
+  beforeEach(() => {
+    previous = process.env.PAYSTACK_SECRET_KEY
+    process.env.PAYSTACK_SECRET_KEY = secret
+  })
+
+  afterEach(() => {
+    if (previous === undefined) delete process.env.PAYSTACK_SECRET_KEY
+    else process.env.PAYSTACK_SECRET_KEY = previous
+  })
+
+  it('accepts a body signed with the secret key', () => {
+    expect(verifyWebhookSignature(sign(rawBody), rawBody)).toBe(true)
+  })
+
+  it('rejects a tampered body or another key', () => {
+    expect(verifyWebhookSignature(sign(rawBody), rawBody.replace('15000', '1500000'))).toBe(false)
+    expect(verifyWebhookSignature(sign(rawBody, 'sk_test_other'), rawBody)).toBe(false)
+  })
+
+  it('rejects missing or malformed signatures', () => {
+    expect(verifyWebhookSignature(undefined, rawBody)).toBe(false)
+    expect(verifyWebhookSignature('abc', rawBody)).toBe(false)
+    expect(verifyWebhookSignature(['not', 'a', 'string'], rawBody)).toBe(false)
+  })
+
+  it('rejects everything when no secret key is configured', () => {
+    const signature = sign(rawBody)
+    delete process.env.PAYSTACK_SECRET_KEY
+
+    expect(verifyWebhookSignature(signature, rawBody)).toBe(false)
+  })
+})
+
+describe('webhook event log', () => {
+  const storedEvent = (id) => getDb().findOne('webhook_events', { id })
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now })
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    handlePaystackEvent.mockReset().mockResolvedValue(true)
+    setDbAdapter(createMemoryAdapter())
+  })
+
+  afterEach(() => {
+    console.error.mockRestore()
+    jest.useRealTimers()
+  })
+
+  afterAll(() => setDbAdapter(null))
+
+  describe('recordWebhookEvent', () => {
+    it('keys events on their type and Paystack id', () => {
+      expect(getWebhookEventKey(chargeEvent, rawBody)).toBe('charge.success:501')
+      expect(getWebhookEventKey({ event: 'refund.failed', data: { transaction_reference: 'ref-1' } }, '{}'))
+        .toBe('refund.failed:ref-1')
+    })
+
+    it('falls back to a hash of the body for events without an id', () => {
+      const event = { event: 'subscription.create', data: {} }
+      const key = getWebhookEventKey(event, '{"a":1}')
+
+      expect(key).toMatch(/^subscription\.create:[0-9a-f]{64}$/)
+      expect(getWebhookEventKey(event, '{"a":1}')).toBe(key)
+      expect(getWebhookEventKey(event, '{"a":2}')).not.toBe(key)
+    })
+
+    it('recognises a redelivered event', async () => {
+      const first = await recordWebhookEvent(chargeEvent, rawBody)
+      const again = await recordWebhookEvent(chargeEvent, rawBody)
+
+      expect(first).toMatchObject({ duplicate: false, event: { status: 'pending', attempts: 0, reference: 'ref-1' } })
+      expect(again).toMatchObject({ duplicate: true, event: { id: first.event.id } })
+      expect(getDb().tables.webhook_events).toHaveLength(1)
+    })
+
+    it('treats an event stored by a concurrent delivery as a duplicate', async () => {
+      const memory = createMemoryAdapter()
+      const stored = await memory.insert('webhook_events', { event_key: 'charge.success:501', status: 'pending' })
+      let lookups = 0
+      setDbAdapter({
+        ...memory,
+        // The first lookup runs before the other delivery stores the event
+        findOne: async (...args) => (++lookups === 1 ? null : memory.findOne(...args)),
+        insert: async () => {
+          throw Object.assign(new Error('duplicate key'), { code: '23505' })
+        }
+      })
+
+      expect(await recordWebhookEvent(chargeEvent, rawBody)).toMatchObject({ duplicate: true, event: { id: stored.id } })
+    })
+  })
+
+  describe('processWebhookEvent', () => {
+    it('marks a handled event processed', async () => {
+      const { event } = await recordWebhookEvent(chargeEvent, rawBody)
+
+      expect(await processWebhookEvent(event)).toEqual({ processed: true, status: 'processed', error: null })
+      expect(handlePaystackEvent).toHaveBeenCalledWith(chargeEvent)
+      expect(await storedEvent(event.id)).toMatchObject({ status: 'processed', attempts: 1, locked_at: null })
+    })
+
+    it('schedules a failed event for a retry', async () => {
+      handlePaystackEvent.mockRejectedValue(new Error('database unavailable'))
+      const { event } = await recordWebhookEvent(chargeEvent, rawBody)
+
+      expect(await processWebhookEvent(event)).toEqual({ processed: false, status: 'failed', error: 'database unavailable' })
+      expect(await storedEvent(event.id)).toMatchObject({
+        status: 'failed',
+        attempts: 1,
+        last_error: 'database unavailable',
+        next_attempt_at: new Date(now.getTime() + RETRY_DELAYS_MINUTES[0] * MINUTE_MS).toISOString()
+      })
+    })
+
+    it('moves an event to the dead-letter list after its last retry', async () => {
+      handlePaystackEvent.mockRejectedValue(new Error('database unavailable'))
+      const { event } = await recordWebhookEvent(chargeEvent, rawBody)
+
+      let result
+      for (let attempt = 0; attempt <= RETRY_DELAYS_MINUTES.length; attempt++) {
+        result = await processWebhookEvent(await storedEvent(event.id))
+      }
+
+      expect(result.status).toBe('dead')
+      expect(await storedEvent(event.id)).toMatchObject({
+        status: 'dead',
+        attempts: RETRY_DELAYS_MINUTES.length + 1,
+        next_attempt_at: null
+      })
+    })
+
+    it('leaves an event another run already claimed', async () => {
+      const { event } = await recordWebhookEvent(chargeEvent, rawBody)
+      await processWebhookEvent(event)
+
+      // Still holding the pending row it read earlier
+      expect(await processWebhookEvent(event)).toMatchObject({ processed: false, status: 'busy' })
+      expect(handlePaystackEvent).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('listRetryableWebhookEvents', () => {
+    const minutesAgo = (minutes) => new Date(now.getTime() - minutes * MINUTE_MS).toISOString()
+    const inMinutes = (minutes) => minutesAgo(-minutes)
+
+    it('lists failed events that are due and events abandoned mid-flight', async () => {
+      setDbAdapter(createMemoryAdapter({
+        webhook_events: [
+          { id: 1, status: 'failed', next_attempt_at: minutesAgo(1), created_at: minutesAgo(30) },
+          { id: 2, status: 'failed', next_attempt_at: inMinutes(5), created_at: minutesAgo(30) },
+          { id: 3, status: 'pending', created_at: minutesAgo(30) },
+          { id: 4, status: 'pending', created_at: minutesAgo(1) },
+          { id: 5, status: 'processing', locked_at: minutesAgo(30), created_at: minutesAgo(30) },
+          { id: 6, status: 'processing', locked_at: minutesAgo(1), created_at: minutesAgo(30) },
+          { id: 7, status: 'dead', next_attempt_at: null, created_at: minutesAgo(30) }
+        ]
+      }))
+
+      const events = await listRetryableWebhookEvents()
+      expect(events.map(event => event.id)).toEqual([1, 3, 5])
+    })
+
+    it('retries an abandoned processing event only once the lock is stale', async () => {
+      const { event } = await recordWebhookEvent(chargeEvent, rawBody)
+      const [locked] = await getDb().update('webhook_events', { id: event.id }, {
+        status: 'processing',
+        locked_at: now.toISOString()
+      })
+
+      jest.setSystemTime(new Date(now.getTime() + 11 * MINUTE_MS))
+      const [stale] = await listRetryableWebhookEvents()
+
+      expect(stale.id).toBe(locked.id)
+      expect((await processWebhookEvent(stale)).status).toBe('processed')
+    })
+  })
+
+  describe('replayWebhookEvent', () => {
+    it('gives a dead event a fresh set of retries and processes it', async () => {
+      handlePaystackEvent.mockRejectedValue(new Error('database unavailable'))
+      const { event } = await recordWebhookEvent(chargeEvent, rawBody)
+      for (let attempt = 0; attempt <= RETRY_DELAYS_MINUTES.length; attempt++) {
+        await processWebhookEvent(await storedEvent(event.id))
+      }
+
+      handlePaystackEvent.mockResolvedValue(true)
+      const replay = await replayWebhookEvent(event.id)
+
+      expect(replay.result).toEqual({ processed: true, status: 'processed', error: null })
+      expect(replay.event).toMatchObject({ status: 'processed', attempts: 1 })
+    })
+
+    it('refuses events that are not failed or dead', async () => {
+      const { event } = await recordWebhookEvent(chargeEvent, rawBody)
+      await processWebhookEvent(event)
+
+      expect(await replayWebhookEvent(event.id)).toEqual({ status: 409, message: 'Cannot replay an event that is processed' })
+      expect(await replayWebhookEvent(999)).toEqual({ status: 404, message: 'Webhook event not found' })
+      expect(handlePaystackEvent).toHaveBeenCalledTimes(1)
+    })
+  })
+})
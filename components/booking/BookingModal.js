@@ -3,7 +3,8 @@ import { motion, AnimatePresence } from 'framer-motion'
 import { X, MapPin, DollarSign } from 'lucide-react'
 import Calendar from './Calendar'
 import TimeSlotPicker from './TimeSlotPicker'
-import { formatDate, getAvailableSlots, hasBookingConflict, validateBooking } from '../../lib/calendar'
+import { formatDate, getAvailableSlots, hasBookingConflict, validateBooking, parseDateTime } from '../../lib/calendar'
+import { CANCELLATION_POLICIES, DEFAULT_CANCELLATION_POLICY, getRefundSchedule } from '../../lib/cancellation'
 
 export default function BookingModal({ isOpen, onClose, companion }) {
   const [step, setStep] = useState(1) // 1: Date, 2: Time, 3: Details
@@ -17,6 +18,7 @@ export default function BookingModal({ isOpen, onClose, companion }) {
   const [isLoading, setIsLoading] = useState(false)
   const [availableSlots, setAvailableSlots] = useState([])
   const [loadingSlots, setLoadingSlots] = useState(false)
+  const [cancellationPolicy, setCancellationPolicy] = useState(DEFAULT_CANCELLATION_POLICY)
 
   // Fetch available slots when date changes
   useEffect(() => {
@@ -34,9 +36,14 @@ export default function BookingModal({ isOpen, onClose, companion }) {
           const slots = getAvailableSlots(
             formData.date,
             data.existingBookings || [],
-            data.availability || {}
+            data.availability || {},
+            {
+              duration: parseInt(formData.duration) || 1,
+              bufferMinutes: data.bufferMinutes || 0
+            }
           )
           setAvailableSlots(slots)
+          setCancellationPolicy(data.cancellationPolicy || DEFAULT_CANCELLATION_POLICY)
         })
         .catch(error => {
           console.error('Error fetching availability:', error)
@@ -48,7 +55,7 @@ export default function BookingModal({ isOpen, onClose, companion }) {
     } else {
       setAvailableSlots([])
     }
-  }, [formData.date, companion?.id])
+  }, [formData.date, formData.duration, companion?.id])
 
   const handleSubmit = async (e) => {
     e.preventDefault()
@@ -77,6 +84,13 @@ export default function BookingModal({ isOpen, onClose, companion }) {
       const data = await response.json()
 
       if (!response.ok) {
+        // Slot was taken or is outside the companion's hours - offer alternatives
+        if (response.status === 409 && data.suggestedSlots?.length) {
+          const alternatives = data.suggestedSlots
+            .map(slot => `${slot.date} at ${slot.time}`)
+            .join('\n')
+          throw new Error(`${data.message}\n\nAvailable times:\n${alternatives}`)
+        }
         throw new Error(data.message || 'Booking failed')
       }
 
@@ -128,6 +142,25 @@ export default function BookingModal({ isOpen, onClose, companion }) {
     return hourlyRate * parseInt(formData.duration || 1)
   }
 
+  // Refund tiers still ahead of us - earlier deadlines have already passed
+  const getUpcomingRefundSchedule = () => {
+    if (!formData.date || !formData.time) return []
+    const now = new Date()
+    return getRefundSchedule(
+      cancellationPolicy,
+      parseDateTime(formData.date, formData.time),
+      calculatePrice()
+    ).filter(tier => !tier.until || tier.until > now)
+  }
+
+  const formatDeadline = (date) => date.toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  })
+
   const canProceedToNextStep = () => {
     if (step === 1) return formData.date !== ''
     if (step === 2) return formData.time !== ''
@@ -330,6 +363,33 @@ export default function BookingModal({ isOpen, onClose, companion }) {
                           Payment will be processed securely via Paystack
                         </p>
                       </div>
+
+                      {/* Cancellation Policy */}
+                      <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4">
+                        <h4 className="font-medium text-gray-900 dark:text-white">
+                          {CANCELLATION_POLICIES[cancellationPolicy].name} cancellation policy
+                        </h4>
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 mb-2">
+                          {CANCELLATION_POLICIES[cancellationPolicy].description}
+                        </p>
+                        <ul className="text-sm space-y-1">
+                          {getUpcomingRefundSchedule().map((tier, index) => (
+                            <li key={index} className="flex justify-between">
+                              <span className="text-gray-600 dark:text-gray-400">
+                                {tier.until ? `Cancel by ${formatDeadline(tier.until)}` : 'Cancel later'}
+                              </span>
+                              <span className="text-gray-900 dark:text-white font-medium">
+                                {tier.refundAmount > 0
+                                  ? `$${tier.refundAmount.toFixed(2)} refund`
+                                  : 'No refund'}
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                          If the companion cancels or declines, you get a full refund.
+                        </p>
+                      </div>
                     </motion.div>
                   )}
                 </div>
@@ -1,7 +1,7 @@
 import { useState, useMemo } from 'react'
 import { motion } from 'framer-motion'
 import { ChevronLeft, ChevronRight } from 'lucide-react'
-import { formatDate, getDatesInMonth, isToday } from '../../lib/calendar'
+import { formatCalendarDate, getDatesInMonth, isToday } from '../../lib/calendar'
 
 export default function Calendar({ selectedDate, onDateSelect, minDate, disabledDates = [] }) {
   const [currentMonth, setCurrentMonth] = useState(new Date())
@@ -28,7 +28,7 @@ export default function Calendar({ selectedDate, onDateSelect, minDate, disabled
   }
 
   const isDateDisabled = (date) => {
-    const dateStr = formatDate(date)
+    const dateStr = formatCalendarDate(date)
     
     // Check if date is before minimum date
     if (minDate && date < new Date(minDate)) {
@@ -45,12 +45,12 @@ export default function Calendar({ selectedDate, onDateSelect, minDate, disabled
 
   const isDateSelected = (date) => {
     if (!selectedDate) return false
-    return formatDate(date) === selectedDate
+    return formatCalendarDate(date) === selectedDate
   }
 
   const handleDateClick = (date) => {
     if (!isDateDisabled(date)) {
-      onDateSelect(formatDate(date))
+      onDateSelect(formatCalendarDate(date))
     }
   }
 
@@ -66,7 +66,7 @@ export default function Calendar({ selectedDate, onDateSelect, minDate, disabled
   monthDates.forEach((date, index) => {
     const disabled = isDateDisabled(date)
     const selected = isDateSelected(date)
-    const today = isToday(formatDate(date))
+    const today = isToday(formatCalendarDate(date))
     
     calendarCells.push(
       <motion.button
@@ -2,9 +2,17 @@ import { useState } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { X, Star } from 'lucide-react'
 
+// Rated alongside the overall rating (REVIEW_CATEGORIES in lib/reviews.js)
+const CATEGORIES = [
+  { key: 'punctuality', label: 'Punctuality' },
+  { key: 'communication', label: 'Communication' },
+  { key: 'accuracy', label: 'As described' }
+]
+
 export default function RatingPopup({ isOpen, onClose, booking }) {
   const [rating, setRating] = useState(0)
   const [hoveredRating, setHoveredRating] = useState(0)
+  const [ratings, setRatings] = useState({ punctuality: 0, communication: 0, accuracy: 0 })
   const [review, setReview] = useState('')
   const [isLoading, setIsLoading] = useState(false)
 
@@ -21,6 +29,7 @@ export default function RatingPopup({ isOpen, onClose, booking }) {
         },
         body: JSON.stringify({
           rating,
+          ratings,
           review
         })
       })
@@ -31,7 +40,7 @@ export default function RatingPopup({ isOpen, onClose, booking }) {
         throw new Error(data.message || 'Rating submission failed')
       }
 
-      alert('Thank you for your feedback!')
+      alert(data.message)
       onClose()
     } catch (error) {
       alert(error.message)
@@ -127,6 +136,36 @@ export default function RatingPopup({ isOpen, onClose, booking }) {
                     </motion.div>
                   )}
 
+                  {/* Category Ratings */}
+                  <div className="space-y-2">
+                    {CATEGORIES.map(category => (
+                      <div key={category.key} className="flex items-center justify-between">
+                        <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                          {category.label}
+                        </span>
+                        <div className="flex items-center space-x-1">
+                          {[1, 2, 3, 4, 5].map((star) => (
+                            <button
+                              key={star}
+                              type="button"
+                              onClick={() => setRatings(prev => ({ ...prev, [category.key]: star }))}
+                              aria-label={`${category.label}: ${star} of 5`}
+                              className="focus:outline-none"
+                            >
+                              <Star
+                                className={`w-5 h-5 ${
+                                  star <= ratings[category.key]
+                                    ? 'fill-yellow-400 text-yellow-400'
+                                    : 'text-gray-300 dark:text-gray-600'
+                                }`}
+                              />
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+
                   {/* Review Text */}
                   <div>
                     <label htmlFor="review" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
@@ -149,7 +188,7 @@ export default function RatingPopup({ isOpen, onClose, booking }) {
                   {/* Privacy Note */}
                   <div className="bg-blue-50 dark:bg-blue-900/30 border border-blue-200 dark:border-blue-800 rounded-lg p-3">
                     <p className="text-xs text-blue-700 dark:text-blue-400">
-                      Your review will be public and help maintain service quality. Please be honest and respectful.
+                      Your review stays hidden until you&apos;ve both reviewed or the review period ends, so you can be honest. Please be respectful.
                     </p>
                   </div>
                 </div>
@@ -165,7 +204,7 @@ export default function RatingPopup({ isOpen, onClose, booking }) {
                   </button>
                   <button
                     type="submit"
-                    disabled={isLoading || rating === 0}
+                    disabled={isLoading || rating === 0 || CATEGORIES.some(category => !ratings[category.key])}
                     className="flex-1 px-4 py-2 bg-gradient-to-r from-pink-500 to-purple-600 text-white rounded-lg hover:shadow-lg transition-shadow disabled:opacity-50 disabled:cursor-not-allowed"
                   >
                     {isLoading ? 'Submitting...' : 'Submit Rating'}
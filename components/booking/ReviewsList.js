@@ -1,33 +1,78 @@
 import { useState, useEffect, useCallback } from 'react'
 import { motion } from 'framer-motion'
-import { Star, User, Calendar } from 'lucide-react'
+import { Star, User, Calendar, TrendingUp, TrendingDown, MessageSquare, Flag, Scale } from 'lucide-react'
 
-export default function ReviewsList({ userId, userRole = 'companion' }) {
+const CATEGORY_LABELS = {
+  punctuality: 'Punctuality',
+  communication: 'Communication',
+  accuracy: 'As described'
+}
+
+// Matches REPORT_REASONS in lib/reviewReports.js
+const REPORT_REASONS = {
+  offensive: 'Offensive or abusive',
+  false_information: 'False or misleading',
+  personal_information: 'Shares personal information',
+  spam: 'Spam or advertising',
+  conflict_of_interest: 'Not a genuine booking',
+  other: 'Other'
+}
+
+const APPEAL_STATUS_LABELS = {
+  pending: 'Appeal under review',
+  upheld: 'Appeal upheld',
+  rejected: 'Appeal rejected'
+}
+
+const FORM_PLACEHOLDERS = {
+  reply: 'Write a public reply',
+  report: 'Anything our moderators should know (required for "Other")',
+  appeal: 'Explain why this review should be removed'
+}
+
+const formatPercent = (rate) => rate === null || rate === undefined ? '-' : `${Math.round(rate * 100)}%`
+
+// Reviews of companions are public; reviews of clients are only shown to the
+// companion evaluating one of their booking requests (bookingId)
+export default function ReviewsList({ userId, userRole = 'companion', bookingId = null }) {
   const [reviews, setReviews] = useState([])
   const [stats, setStats] = useState({ averageRating: 0, totalReviews: 0 })
   const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState('')
   const [page, setPage] = useState(1)
   const [pagination, setPagination] = useState(null)
+  // The open reply, report or appeal form: { reviewId, type }
+  const [activeForm, setActiveForm] = useState(null)
+  const [formText, setFormText] = useState('')
+  const [reportReason, setReportReason] = useState('offensive')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [notice, setNotice] = useState('')
 
   const fetchReviews = useCallback(async () => {
     setIsLoading(true)
     try {
-      const response = await fetch(`/api/reviews?userId=${userId}&page=${page}&limit=10`)
+      const token = localStorage.getItem('token')
+      const response = await fetch(
+        `/api/reviews?userId=${userId}&page=${page}&limit=10${bookingId ? `&bookingId=${bookingId}` : ''}`,
+        { headers: token ? { 'Authorization': `Bearer ${token}` } : {} }
+      )
       const data = await response.json()
 
       if (response.ok) {
         setReviews(data.reviews || [])
         setStats(data.stats || { averageRating: 0, totalReviews: 0 })
         setPagination(data.pagination)
+        setError('')
       } else {
         console.error('Failed to fetch reviews:', data.message)
+        setError(data.message || 'Failed to load reviews')
       }
     } catch (error) {
       console.error('Error fetching reviews:', error)
     } finally {
       setIsLoading(false)
     }
-  }, [userId, page])
+  }, [userId, page, bookingId])
 
   useEffect(() => {
     if (userId) {
@@ -35,6 +80,46 @@ export default function ReviewsList({ userId, userRole = 'companion' }) {
     }
   }, [userId, page, fetchReviews])
 
+  const openForm = (reviewId, type) => {
+    setActiveForm({ reviewId, type })
+    setFormText('')
+    setReportReason('offensive')
+    setNotice('')
+  }
+
+  const handleSubmitForm = async () => {
+    const { reviewId, type } = activeForm
+    const body = {
+      reply: { body: formText },
+      report: { reason: reportReason, details: formText },
+      appeal: { context: formText }
+    }[type]
+
+    setIsSubmitting(true)
+    try {
+      const response = await fetch(`/api/reviews/${reviewId}/${type}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(body)
+      })
+      const data = await response.json()
+
+      setNotice(data.message)
+      if (response.ok) {
+        setActiveForm(null)
+        await fetchReviews()
+      }
+    } catch (error) {
+      console.error(`Error submitting ${type}:`, error)
+      setNotice('Something went wrong. Please try again.')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
   const renderStars = (rating) => {
     return (
       <div className="flex items-center space-x-1">
@@ -69,6 +154,15 @@ export default function ReviewsList({ userId, userRole = 'companion' }) {
     )
   }
 
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <Star className="w-16 h-16 mx-auto text-gray-300 dark:text-gray-600 mb-4" />
+        <p className="text-gray-600 dark:text-gray-400">{error}</p>
+      </div>
+    )
+  }
+
   return (
     <div className="space-y-6">
       {/* Stats Summary */}
@@ -94,14 +188,63 @@ export default function ReviewsList({ userId, userRole = 'companion' }) {
             {renderStars(Math.round(stats.averageRating))}
           </div>
         </div>
+
+        {/* Scorecard (companions) */}
+        {stats.distribution && stats.totalReviews > 0 && (
+          <div className="mt-6 grid grid-cols-1 sm:grid-cols-2 gap-6">
+            <div className="space-y-1">
+              {[5, 4, 3, 2, 1].map(star => (
+                <div key={star} className="flex items-center text-sm text-gray-600 dark:text-gray-400">
+                  <span className="w-4">{star}</span>
+                  <Star className="w-3 h-3 mr-2 fill-yellow-400 text-yellow-400" />
+                  <div className="flex-1 h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-yellow-400"
+                      style={{ width: `${(stats.distribution[star] || 0) / stats.totalReviews * 100}%` }}
+                    />
+                  </div>
+                  <span className="w-8 text-right">{stats.distribution[star] || 0}</span>
+                </div>
+              ))}
+            </div>
+            <div className="space-y-1 text-sm">
+              {Object.entries(stats.categoryRatings || {}).map(([category, value]) => (
+                <div key={category} className="flex justify-between text-gray-700 dark:text-gray-300">
+                  <span>{CATEGORY_LABELS[category] || category}</span>
+                  <span className="font-medium">{value !== null ? value.toFixed(1) : '-'}</span>
+                </div>
+              ))}
+              {stats.trend && stats.trend !== 'steady' && (
+                <div className={`flex items-center ${stats.trend === 'up' ? 'text-green-600' : 'text-red-600'}`}>
+                  {stats.trend === 'up' ? <TrendingUp className="w-4 h-4 mr-1" /> : <TrendingDown className="w-4 h-4 mr-1" />}
+                  Trending {stats.trend} recently
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+        {stats.distribution && (
+          <div className="mt-4 flex space-x-6 text-sm text-gray-600 dark:text-gray-400">
+            <span>Response rate: {formatPercent(stats.responseRate)}</span>
+            <span>Completion rate: {formatPercent(stats.completionRate)}</span>
+          </div>
+        )}
       </div>
 
+      {notice && (
+        <div className="p-3 bg-pink-50 dark:bg-pink-900/20 text-sm text-gray-700 dark:text-gray-300 rounded-lg">
+          {notice}
+        </div>
+      )}
+
       {/* Reviews List */}
       {reviews.length === 0 ? (
         <div className="text-center py-12">
           <Star className="w-16 h-16 mx-auto text-gray-300 dark:text-gray-600 mb-4" />
           <p className="text-gray-600 dark:text-gray-400">
-            No reviews yet. Complete bookings to start building your reputation!
+            {userRole === 'companion'
+              ? 'No reviews yet. Complete bookings to start building your reputation!'
+              : 'No reviews from other companions yet.'}
           </p>
         </div>
       ) : (
@@ -125,13 +268,21 @@ export default function ReviewsList({ userId, userRole = 'companion' }) {
                     </p>
                     <div className="flex items-center space-x-2 text-sm text-gray-500 dark:text-gray-400">
                       <Calendar className="w-4 h-4" />
-                      <span>{formatDate(review.createdAt)}</span>
+                      <span>{formatDate(review.publishedAt || review.createdAt)}</span>
                     </div>
                   </div>
                 </div>
                 {renderStars(review.rating)}
               </div>
               
+              {review.ratings && Object.values(review.ratings).some(value => value !== null) && (
+                <div className="flex flex-wrap gap-x-4 text-xs text-gray-500 dark:text-gray-400">
+                  {Object.entries(review.ratings).map(([category, value]) => value !== null && (
+                    <span key={category}>{CATEGORY_LABELS[category] || category}: {value}/5</span>
+                  ))}
+                </div>
+              )}
+
               {review.reviewText && (
                 <p className="text-gray-700 dark:text-gray-300 mt-3">
                   {review.reviewText}
@@ -145,6 +296,96 @@ export default function ReviewsList({ userId, userRole = 'companion' }) {
                   </p>
                 </div>
               )}
+
+              {review.reply && (
+                <div className="mt-4 ml-6 pl-4 border-l-2 border-pink-300 dark:border-pink-700">
+                  <p className="text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">
+                    Reply from the companion{review.reply.pendingModeration && ' (waiting for moderation)'}
+                  </p>
+                  <p className="text-sm text-gray-700 dark:text-gray-300">{review.reply.body}</p>
+                </div>
+              )}
+
+              {review.actions && (
+                <div className="mt-4 flex flex-wrap items-center gap-4 text-sm">
+                  {review.actions.canReply && (
+                    <button
+                      onClick={() => openForm(review.id, 'reply')}
+                      className="flex items-center text-pink-600 hover:text-pink-700"
+                    >
+                      <MessageSquare className="w-4 h-4 mr-1" />
+                      Reply
+                    </button>
+                  )}
+                  {review.actions.canAppeal && (
+                    <button
+                      onClick={() => openForm(review.id, 'appeal')}
+                      className="flex items-center text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200"
+                    >
+                      <Scale className="w-4 h-4 mr-1" />
+                      Appeal
+                    </button>
+                  )}
+                  {review.actions.appealStatus && (
+                    <span className="text-gray-500 dark:text-gray-400">
+                      {APPEAL_STATUS_LABELS[review.actions.appealStatus]}
+                    </span>
+                  )}
+                  {review.actions.canReport && (
+                    <button
+                      onClick={() => openForm(review.id, 'report')}
+                      className="flex items-center text-gray-500 dark:text-gray-400 hover:text-red-600"
+                    >
+                      <Flag className="w-4 h-4 mr-1" />
+                      Report
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {activeForm?.reviewId === review.id && (
+                <div className="mt-4 space-y-3">
+                  {activeForm.type === 'report' && (
+                    <select
+                      value={reportReason}
+                      onChange={(e) => setReportReason(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+                    >
+                      {Object.entries(REPORT_REASONS).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                  )}
+                  {activeForm.type === 'appeal' && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      You can appeal a review once. A moderator will decide whether it stays up.
+                    </p>
+                  )}
+                  <textarea
+                    value={formText}
+                    onChange={(e) => setFormText(e.target.value)}
+                    rows={3}
+                    maxLength={activeForm.type === 'appeal' ? 2000 : activeForm.type === 'report' ? 1000 : 500}
+                    placeholder={FORM_PLACEHOLDERS[activeForm.type]}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+                  />
+                  <div className="flex space-x-3">
+                    <button
+                      onClick={handleSubmitForm}
+                      disabled={isSubmitting || (activeForm.type !== 'report' && !formText.trim())}
+                      className="px-4 py-2 bg-gradient-to-r from-pink-500 to-purple-600 text-white text-sm rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {isSubmitting ? 'Sending...' : 'Submit'}
+                    </button>
+                    <button
+                      onClick={() => setActiveForm(null)}
+                      className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 text-sm rounded-lg"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
             </motion.div>
           ))}
         </div>
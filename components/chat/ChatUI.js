@@ -1,19 +1,146 @@
 import { useState, useEffect, useRef } from 'react'
+import Image from 'next/image'
 import { motion } from 'framer-motion'
-import { Send, Paperclip, Smile, MoreVertical, Phone, Video } from 'lucide-react'
+import { Send, Paperclip, Smile, MoreVertical, Phone, Video, Check, CheckCheck, Clock, FileText, X } from 'lucide-react'
 import { getPusherClient } from '../../lib/pusher'
 
-export default function ChatUI({ bookingId, otherPartyName, currentUserRole }) {
+// How often to tell the other party we're still typing, and how long their
+// indicator stays up without hearing from them
+const TYPING_THROTTLE_MS = 2000
+const TYPING_TIMEOUT_MS = 4000
+
+// Load older messages when scrolled this close to the top
+const LOAD_OLDER_THRESHOLD_PX = 80
+
+// Mirrors lib/attachments.js; the server checks again
+const ATTACHMENT_ACCEPT = 'image/jpeg,image/png,image/webp,application/pdf'
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024
+const MAX_ATTACHMENTS_PER_MESSAGE = 5
+
+function formatTimestamp(date) {
+  return new Date(date).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit'
+  })
+}
+
+function toChatMessage(msg, currentUserRole) {
+  return {
+    id: msg.id,
+    sender: msg.senderRole === currentUserRole ? 'me' : 'other',
+    text: msg.text,
+    timestamp: formatTimestamp(msg.createdAt),
+    deliveredAt: msg.deliveredAt || null,
+    readAt: msg.readAt || null,
+    attachments: msg.attachments || [],
+    hidden: Boolean(msg.hidden)
+  }
+}
+
+// File contents as base64, without the data URL prefix
+function readAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '')
+    reader.onerror = () => reject(new Error('The file could not be read'))
+    reader.readAsDataURL(file)
+  })
+}
+
+async function request(url, method = 'GET', body) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  })
+
+  const result = await response.json()
+  if (!response.ok) {
+    throw new Error(result.message || 'Request failed')
+  }
+  return result
+}
+
+/**
+ * Photo thumbnail or document link of a message attachment
+ * Links are signed and expire; reopening the conversation refreshes them.
+ */
+function AttachmentPreview({ attachment, isMine }) {
+  if (attachment.kind === 'image') {
+    return (
+      <a href={attachment.url} target="_blank" rel="noopener noreferrer" className="block">
+        <Image
+          src={attachment.thumbnailUrl || attachment.url}
+          alt={attachment.fileName}
+          width={attachment.width || 320}
+          height={attachment.height || 320}
+          unoptimized
+          className="rounded-lg max-h-48 w-auto object-cover"
+        />
+      </a>
+    )
+  }
+
+  return (
+    <a
+      href={attachment.url}
+      target="_blank"
+      rel="noopener noreferrer"
+      className={`flex items-center space-x-2 text-sm underline ${isMine ? 'text-white' : 'text-gray-900 dark:text-white'}`}
+    >
+      <FileText className="w-4 h-4 flex-shrink-0" />
+      <span className="truncate">{attachment.fileName}</span>
+    </a>
+  )
+}
+
+/**
+ * Receipt shown under the user's own messages
+ */
+function ReceiptIcon({ message }) {
+  if (message.pending) return <Clock className="inline w-3 h-3 ml-1" aria-label="Sending" />
+  if (message.readAt) return <CheckCheck className="inline w-3 h-3 ml-1 text-pink-500" aria-label="Read" />
+  if (message.deliveredAt) return <CheckCheck className="inline w-3 h-3 ml-1" aria-label="Delivered" />
+  return <Check className="inline w-3 h-3 ml-1" aria-label="Sent" />
+}
+
+export default function ChatUI({ bookingId, otherPartyName, currentUserRole, canSend = true, onRead }) {
   const [messages, setMessages] = useState([])
   const [newMessage, setNewMessage] = useState('')
+  // Uploaded but not yet sent
+  const [pendingAttachments, setPendingAttachments] = useState([])
+  const [isUploading, setIsUploading] = useState(false)
   const [isTyping, setIsTyping] = useState(false)
   const [isLoading, setIsLoading] = useState(true)
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false)
+  const [nextCursor, setNextCursor] = useState(null)
   const [error, setError] = useState(null)
+  // Contact or payment details were found in the last message we sent
+  const [warning, setWarning] = useState(null)
   const messagesEndRef = useRef(null)
+  const fileInputRef = useRef(null)
+  const containerRef = useRef(null)
   const pusherRef = useRef(null)
   const channelRef = useRef(null)
+  const typingTimeoutRef = useRef(null)
+  const lastTypingSentRef = useRef(0)
+  // Scroll height before older messages were prepended, to keep the view still
+  const preservedScrollHeightRef = useRef(null)
+
+  // Tell the server (and through it the sender) that we've read up to a message
+  const markRead = async (upToId) => {
+    try {
+      await request('/api/chat/messages', 'PUT', { bookingId, upToId })
+      onRead?.(bookingId)
+    } catch (error) {
+      console.error('Error marking messages read:', error)
+    }
+  }
 
-  // Fetch messages from API
+  // Fetch the latest messages from API
   useEffect(() => {
     if (!bookingId) return
 
@@ -22,27 +149,14 @@ export default function ChatUI({ bookingId, otherPartyName, currentUserRole }) {
       setError(null)
       
       try {
-        const response = await fetch(`/api/chat/messages?bookingId=${bookingId}`, {
-          headers: {
-            'Authorization': `Bearer ${localStorage.getItem('token')}`
-          }
-        })
+        const data = await request(`/api/chat/messages?bookingId=${bookingId}`)
+        setMessages(data.messages.map(msg => toChatMessage(msg, currentUserRole)))
+        setNextCursor(data.pagination.nextCursor)
 
-        if (!response.ok) {
-          const errorData = await response.json()
-          throw new Error(errorData.message || 'Failed to fetch messages')
+        const lastIncoming = [...data.messages].reverse().find(msg => msg.senderRole !== currentUserRole)
+        if (lastIncoming && !lastIncoming.readAt) {
+          markRead(lastIncoming.id)
         }
-
-        const data = await response.json()
-        setMessages(data.messages.map(msg => ({
-          id: msg.id,
-          sender: msg.senderRole === currentUserRole ? 'me' : 'other',
-          text: msg.text,
-          timestamp: new Date(msg.createdAt).toLocaleTimeString('en-US', { 
-            hour: 'numeric', 
-            minute: '2-digit' 
-          })
-        })))
       } catch (error) {
         console.error('Error fetching messages:', error)
         setError(error.message)
@@ -52,6 +166,8 @@ export default function ChatUI({ bookingId, otherPartyName, currentUserRole }) {
     }
 
     fetchMessages()
+    // markRead only depends on bookingId and onRead
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [bookingId, currentUserRole])
 
   // Subscribe to real-time updates via Pusher
@@ -65,13 +181,6 @@ export default function ChatUI({ bookingId, otherPartyName, currentUserRole }) {
 
         pusherRef.current = pusher
 
-        // Set up auth endpoint
-        pusher.config.auth = {
-          headers: {
-            'Authorization': `Bearer ${localStorage.getItem('token')}`
-          }
-        }
-
         // Subscribe to private conversation channel
         const channel = pusher.subscribe(`private-conversation-${bookingId}`)
         channelRef.current = channel
@@ -80,18 +189,42 @@ export default function ChatUI({ bookingId, otherPartyName, currentUserRole }) {
         channel.bind('new-message', (data) => {
           // Only add message if it's from the other party
           if (data.sender !== currentUserRole) {
-            const newMsg = {
-              id: data.id,
-              sender: 'other',
-              text: data.text,
-              timestamp: new Date(data.createdAt).toLocaleTimeString('en-US', { 
-                hour: 'numeric', 
-                minute: '2-digit' 
-              })
+            setIsTyping(false)
+            setMessages(prev => [...prev, toChatMessage({ ...data, senderRole: data.sender }, currentUserRole)])
+            if (document.visibilityState === 'visible') {
+              markRead(data.id)
             }
-            setMessages(prev => [...prev, newMsg])
           }
         })
+
+        // Receipts for our own messages
+        const applyReceipt = (field, value, upToId) => setMessages(prev => prev.map(message =>
+          message.sender === 'me' && !message.pending && message.id <= upToId && !message[field]
+            ? { ...message, [field]: value }
+            : message
+        ))
+        channel.bind('messages-delivered', ({ upToId, deliveredAt }) => {
+          applyReceipt('deliveredAt', deliveredAt, upToId)
+        })
+        channel.bind('messages-read', ({ upToId, readAt }) => {
+          applyReceipt('deliveredAt', readAt, upToId)
+          applyReceipt('readAt', readAt, upToId)
+        })
+
+        // A moderator removed a message
+        channel.bind('message-hidden', ({ id }) => {
+          setMessages(prev => prev.map(message =>
+            message.id === id ? { ...message, text: '', attachments: [], hidden: true } : message
+          ))
+        })
+
+        // Typing indicator from the other party (Pusher client event)
+        channel.bind('client-typing', (data) => {
+          if (data.role === currentUserRole) return
+          setIsTyping(true)
+          clearTimeout(typingTimeoutRef.current)
+          typingTimeoutRef.current = setTimeout(() => setIsTyping(false), TYPING_TIMEOUT_MS)
+        })
       } catch (error) {
         console.error('Error setting up Pusher:', error)
       }
@@ -101,63 +234,148 @@ export default function ChatUI({ bookingId, otherPartyName, currentUserRole }) {
 
     // Cleanup on unmount
     return () => {
+      clearTimeout(typingTimeoutRef.current)
       if (channelRef.current) {
         channelRef.current.unbind_all()
         channelRef.current.unsubscribe()
       }
     }
+    // markRead only depends on bookingId and onRead
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [bookingId, currentUserRole])
 
+  // Keep the view at the bottom for new messages, but still when older ones
+  // are prepended above
   useEffect(() => {
-    scrollToBottom()
+    const container = containerRef.current
+    if (preservedScrollHeightRef.current !== null && container) {
+      container.scrollTop = container.scrollHeight - preservedScrollHeightRef.current
+      preservedScrollHeightRef.current = null
+    } else {
+      scrollToBottom()
+    }
   }, [messages])
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
   }
 
+  const loadOlderMessages = async () => {
+    if (!nextCursor || isLoadingOlder) return
+
+    setIsLoadingOlder(true)
+    try {
+      const data = await request(`/api/chat/messages?bookingId=${bookingId}&before=${nextCursor}`)
+      preservedScrollHeightRef.current = containerRef.current?.scrollHeight ?? null
+      setMessages(prev => [...data.messages.map(msg => toChatMessage(msg, currentUserRole)), ...prev])
+      setNextCursor(data.pagination.nextCursor)
+    } catch (error) {
+      console.error('Error loading older messages:', error)
+      setError(error.message)
+    } finally {
+      setIsLoadingOlder(false)
+    }
+  }
+
+  const handleScroll = (e) => {
+    if (e.currentTarget.scrollTop < LOAD_OLDER_THRESHOLD_PX) {
+      loadOlderMessages()
+    }
+  }
+
+  const handleInputChange = (e) => {
+    setNewMessage(e.target.value)
+
+    // Client events only reach the other subscriber, never ourselves
+    const now = Date.now()
+    if (channelRef.current?.subscribed && now - lastTypingSentRef.current > TYPING_THROTTLE_MS) {
+      lastTypingSentRef.current = now
+      channelRef.current.trigger('client-typing', { role: currentUserRole })
+    }
+  }
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files?.[0]
+    // Let the same file be picked again after removing it
+    e.target.value = ''
+    if (!file) return
+
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+      setError('Attachments can be at most 10 MB')
+      return
+    }
+    if (pendingAttachments.length >= MAX_ATTACHMENTS_PER_MESSAGE) {
+      setError(`A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments`)
+      return
+    }
+
+    setIsUploading(true)
+    setError(null)
+    try {
+      const data = await readAsBase64(file)
+      const result = await request('/api/chat/attachments', 'POST', {
+        bookingId,
+        fileName: file.name,
+        data
+      })
+      setPendingAttachments(prev => [...prev, result.attachment])
+    } catch (error) {
+      console.error('Error uploading attachment:', error)
+      setError(error.message)
+    } finally {
+      setIsUploading(false)
+    }
+  }
+
+  const removePendingAttachment = async (attachment) => {
+    setPendingAttachments(prev => prev.filter(a => a.id !== attachment.id))
+    try {
+      await request(`/api/chat/attachments?id=${attachment.id}`, 'DELETE')
+    } catch (error) {
+      console.error('Error removing attachment:', error)
+    }
+  }
+
   const handleSendMessage = async (e) => {
     e.preventDefault()
-    if (!newMessage.trim() || !bookingId) return
+    if ((!newMessage.trim() && pendingAttachments.length === 0) || !bookingId || !canSend || isUploading) return
 
     const message = {
-      id: Date.now(),
+      id: `pending-${Date.now()}`,
       sender: 'me',
       text: newMessage,
-      timestamp: new Date().toLocaleTimeString('en-US', { 
-        hour: 'numeric', 
-        minute: '2-digit' 
-      })
+      timestamp: formatTimestamp(new Date()),
+      attachments: pendingAttachments,
+      pending: true
     }
 
     // Optimistically add message to UI
-    setMessages([...messages, message])
+    setMessages(prev => [...prev, message])
     setNewMessage('')
+    setPendingAttachments([])
+    setWarning(null)
+    lastTypingSentRef.current = 0
 
     try {
-      const response = await fetch('/api/chat/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        },
-        body: JSON.stringify({
-          bookingId,
-          text: message.text
-        })
+      const result = await request('/api/chat/messages', 'POST', {
+        bookingId,
+        text: message.text,
+        attachmentIds: message.attachments.map(attachment => attachment.id)
       })
 
-      if (!response.ok) {
-        const errorData = await response.json()
-        throw new Error(errorData.message || 'Failed to send message')
-      }
+      // Swap in the stored message so receipts can find it by id; its text
+      // may have had contact details masked
+      setMessages(prev => prev.map(m =>
+        m.id === message.id ? toChatMessage(result.data, currentUserRole) : m))
+      setWarning(result.warning || null)
     } catch (error) {
       console.error('Error sending message:', error)
       // Remove optimistic message on error
       setMessages(prev => prev.filter(m => m.id !== message.id))
       setError(error.message)
-      // Re-add the text so user can try again
+      // Re-add the text and attachments so user can try again
       setNewMessage(message.text)
+      setPendingAttachments(message.attachments)
     }
   }
 
@@ -178,6 +396,12 @@ export default function ChatUI({ bookingId, otherPartyName, currentUserRole }) {
         </div>
       )}
       
+      {warning && (
+        <div className="px-6 py-3 bg-yellow-100 dark:bg-yellow-900/30 border-b border-yellow-200 dark:border-yellow-800">
+          <p className="text-sm text-yellow-800 dark:text-yellow-400">{warning}</p>
+        </div>
+      )}
+      
       {/* Chat Header */}
       <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200 dark:border-gray-700">
         <div className="flex items-center space-x-3">
@@ -189,7 +413,7 @@ export default function ChatUI({ bookingId, otherPartyName, currentUserRole }) {
               {otherPartyName || 'User'}
             </h3>
             <p className="text-xs text-gray-500 dark:text-gray-400">
-              {isTyping ? 'Typing...' : 'Online'}
+              {isTyping ? 'Typing...' : canSend ? 'Online' : 'Conversation closed'}
             </p>
           </div>
         </div>
@@ -207,7 +431,16 @@ export default function ChatUI({ bookingId, otherPartyName, currentUserRole }) {
       </div>
 
       {/* Messages Container */}
-      <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+      <div
+        ref={containerRef}
+        onScroll={handleScroll}
+        className="flex-1 overflow-y-auto px-6 py-4 space-y-4"
+      >
+        {isLoadingOlder && (
+          <div className="flex justify-center">
+            <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-pink-500"></div>
+          </div>
+        )}
         {isLoading ? (
           <div className="flex items-center justify-center h-full">
             <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-pink-500"></div>
@@ -217,12 +450,12 @@ export default function ChatUI({ bookingId, otherPartyName, currentUserRole }) {
             <p className="text-gray-500 dark:text-gray-400">No messages yet. Start the conversation!</p>
           </div>
         ) : (
-          messages.map((message, index) => (
+          messages.map((message) => (
           <motion.div
             key={message.id}
             initial={{ opacity: 0, y: 10 }}
             animate={{ opacity: 1, y: 0 }}
-            transition={{ delay: index * 0.1 }}
+            transition={{ duration: 0.2 }}
             className={`flex ${message.sender === 'me' ? 'justify-end' : 'justify-start'}`}
           >
             <div className={`max-w-xs lg:max-w-md ${message.sender === 'me' ? 'order-2' : 'order-1'}`}>
@@ -233,12 +466,25 @@ export default function ChatUI({ bookingId, otherPartyName, currentUserRole }) {
                     : 'bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white'
                 }`}
               >
-                <p className="text-sm break-words">{message.text}</p>
+                {message.attachments?.length > 0 && (
+                  <div className={`space-y-2 ${message.text ? 'mb-2' : ''}`}>
+                    {message.attachments.map(attachment => (
+                      <AttachmentPreview
+                        key={attachment.id}
+                        attachment={attachment}
+                        isMine={message.sender === 'me'}
+                      />
+                    ))}
+                  </div>
+                )}
+                {message.text && <p className="text-sm break-words">{message.text}</p>}
+                {message.hidden && <p className="text-sm italic opacity-75">This message was removed by a moderator</p>}
               </div>
               <p className={`text-xs text-gray-500 dark:text-gray-400 mt-1 ${
                 message.sender === 'me' ? 'text-right' : 'text-left'
               }`}>
                 {message.timestamp}
+                {message.sender === 'me' && <ReceiptIcon message={message} />}
               </p>
             </div>
           </motion.div>
@@ -249,10 +495,58 @@ export default function ChatUI({ bookingId, otherPartyName, currentUserRole }) {
 
       {/* Input Area */}
       <div className="px-6 py-4 border-t border-gray-200 dark:border-gray-700">
+        {(pendingAttachments.length > 0 || isUploading) && (
+          <div className="flex flex-wrap gap-2 mb-3">
+            {pendingAttachments.map(attachment => (
+              <div
+                key={attachment.id}
+                className="flex items-center space-x-2 px-3 py-1 bg-gray-100 dark:bg-gray-700 rounded-lg text-sm text-gray-700 dark:text-gray-300"
+              >
+                {attachment.kind === 'image' ? (
+                  <Image
+                    src={attachment.thumbnailUrl}
+                    alt={attachment.fileName}
+                    width={32}
+                    height={32}
+                    unoptimized
+                    className="w-8 h-8 rounded object-cover"
+                  />
+                ) : (
+                  <FileText className="w-4 h-4" />
+                )}
+                <span className="max-w-[10rem] truncate">{attachment.fileName}</span>
+                <button
+                  type="button"
+                  onClick={() => removePendingAttachment(attachment)}
+                  className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300"
+                  aria-label={`Remove ${attachment.fileName}`}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+            {isUploading && (
+              <div className="flex items-center px-3 py-1 text-sm text-gray-500 dark:text-gray-400">
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-pink-500 mr-2"></div>
+                Uploading...
+              </div>
+            )}
+          </div>
+        )}
         <form onSubmit={handleSendMessage} className="flex items-center space-x-2">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ATTACHMENT_ACCEPT}
+            onChange={handleFileSelected}
+            className="hidden"
+          />
           <button
             type="button"
-            className="p-2 text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={!canSend || isUploading}
+            aria-label="Attach a photo or PDF"
+            className="p-2 text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
           >
             <Paperclip className="w-5 h-5" />
           </button>
@@ -265,13 +559,15 @@ export default function ChatUI({ bookingId, otherPartyName, currentUserRole }) {
           <input
             type="text"
             value={newMessage}
-            onChange={(e) => setNewMessage(e.target.value)}
-            placeholder="Type a message..."
-            className="flex-1 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-pink-500"
+            onChange={handleInputChange}
+            disabled={!canSend}
+            maxLength={5000}
+            placeholder={canSend ? 'Type a message...' : 'This conversation is read-only'}
+            className="flex-1 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-pink-500 disabled:opacity-50 disabled:cursor-not-allowed"
           />
           <button
             type="submit"
-            disabled={!newMessage.trim()}
+            disabled={!canSend || isUploading || (!newMessage.trim() && pendingAttachments.length === 0)}
             className="p-2 bg-gradient-to-r from-pink-500 to-purple-600 text-white rounded-lg hover:shadow-lg transition-shadow disabled:opacity-50 disabled:cursor-not-allowed"
           >
             <Send className="w-5 h-5" />
@@ -0,0 +1,225 @@
+import { useState, useEffect, useCallback } from 'react'
+import { motion } from 'framer-motion'
+import { Wallet, Landmark } from 'lucide-react'
+
+const formatMoney = (amount) => `$${Number(amount || 0).toFixed(2)}`
+
+async function request(url, method = 'GET', body) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  })
+
+  const result = await response.json()
+  if (!response.ok) {
+    throw new Error(result.message || 'Request failed')
+  }
+  return result
+}
+
+export default function EarningsCard() {
+  const [data, setData] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState('')
+  const [withdrawAmount, setWithdrawAmount] = useState('')
+  const [showAccountForm, setShowAccountForm] = useState(false)
+  const [accountForm, setAccountForm] = useState({ accountNumber: '', bankCode: '' })
+
+  const loadPayouts = useCallback(async () => {
+    try {
+      setData(await request('/api/payouts'))
+      setError('')
+    } catch (err) {
+      console.error('Error loading payouts:', err)
+      setError(err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadPayouts()
+  }, [loadPayouts])
+
+  const handleWithdraw = async (e) => {
+    e.preventDefault()
+    setIsSubmitting(true)
+
+    try {
+      await request('/api/payouts', 'POST', { amount: Number(withdrawAmount) })
+      setWithdrawAmount('')
+      await loadPayouts()
+      alert('Withdrawal started! It usually reaches your bank within a day.')
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleToggleWeekly = async () => {
+    setIsSubmitting(true)
+
+    try {
+      const schedule = data.account.schedule === 'weekly' ? 'manual' : 'weekly'
+      await request('/api/payouts', 'PUT', { schedule })
+      await loadPayouts()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleSaveAccount = async (e) => {
+    e.preventDefault()
+    setIsSubmitting(true)
+
+    try {
+      await request('/api/payouts/account', 'POST', accountForm)
+      setAccountForm({ accountNumber: '', bankCode: '' })
+      setShowAccountForm(false)
+      await loadPayouts()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.45 }}
+      className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6"
+    >
+      <div className="flex items-center gap-2 mb-4">
+        <Wallet className="w-5 h-5 text-green-600 dark:text-green-400" />
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+          Earnings
+        </h3>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Loading...</p>
+      ) : data && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <p className="text-sm text-gray-600 dark:text-gray-400">Available</p>
+              <p className="text-2xl font-bold text-green-600 dark:text-green-400">
+                {formatMoney(data.earnings.available)}
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600 dark:text-gray-400">Pending</p>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">
+                {formatMoney(data.earnings.pending)}
+              </p>
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Pending includes {formatMoney(data.earnings.inEscrow)} held for upcoming bookings and{' '}
+            {formatMoney(data.earnings.onHold)} from the last {data.settings.holdDays} days.
+            {data.earnings.frozen > 0 && ` ${formatMoney(data.earnings.frozen)} is frozen until a dispute is resolved.`}
+            {data.earnings.inFlight > 0 && ` ${formatMoney(data.earnings.inFlight)} is on its way to your bank.`}
+          </p>
+
+          {data.account ? (
+            <>
+              <div className="flex items-center justify-between text-sm">
+                <div className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+                  <Landmark className="w-4 h-4" />
+                  <span>{data.account.accountName} (****{data.account.accountLast4})</span>
+                </div>
+                <button
+                  onClick={() => setShowAccountForm(!showAccountForm)}
+                  className="text-pink-600 hover:text-pink-700"
+                >
+                  Change
+                </button>
+              </div>
+
+              <form onSubmit={handleWithdraw} className="flex space-x-2">
+                <input
+                  type="number"
+                  min={data.settings.minimumAmount}
+                  max={data.earnings.available}
+                  step="0.01"
+                  value={withdrawAmount}
+                  onChange={(e) => setWithdrawAmount(e.target.value)}
+                  placeholder={`Min ${formatMoney(data.settings.minimumAmount)}`}
+                  className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+                />
+                <button
+                  type="submit"
+                  disabled={isSubmitting || !withdrawAmount || data.earnings.available < data.settings.minimumAmount}
+                  className="px-4 py-2 bg-gradient-to-r from-pink-500 to-purple-600 text-white rounded-lg hover:shadow-lg transition-shadow text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Withdraw
+                </button>
+              </form>
+
+              <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={data.account.schedule === 'weekly'}
+                  onChange={handleToggleWeekly}
+                  disabled={isSubmitting}
+                  className="rounded text-pink-600"
+                />
+                <span>Pay out my available balance every week</span>
+              </label>
+            </>
+          ) : (
+            !showAccountForm && (
+              <button
+                onClick={() => setShowAccountForm(true)}
+                className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors text-left"
+              >
+                Add a bank account to get paid
+              </button>
+            )
+          )}
+
+          {showAccountForm && (
+            <form onSubmit={handleSaveAccount} className="space-y-2">
+              <input
+                type="text"
+                inputMode="numeric"
+                value={accountForm.accountNumber}
+                onChange={(e) => setAccountForm({ ...accountForm, accountNumber: e.target.value })}
+                placeholder="Account number"
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+              />
+              <input
+                type="text"
+                value={accountForm.bankCode}
+                onChange={(e) => setAccountForm({ ...accountForm, bankCode: e.target.value })}
+                placeholder="Bank code"
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+              />
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full px-4 py-2 bg-pink-600 text-white rounded-lg hover:bg-pink-700 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSubmitting ? 'Verifying...' : 'Verify & Save'}
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <p className="mt-3 text-sm text-red-600 dark:text-red-400">{error}</p>
+      )}
+    </motion.div>
+  )
+}
@@ -0,0 +1,189 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { MapPin, Navigation } from 'lucide-react'
+import { CITIES, DEFAULT_SERVICE_RADIUS_KM } from '../../lib/geo'
+
+const RADIUS_OPTIONS = [5, 10, 25, 50, 100, 200]
+
+async function request(url, method = 'GET', body) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  })
+
+  const result = await response.json()
+  if (!response.ok) {
+    throw new Error(result.message || 'Request failed')
+  }
+  return result
+}
+
+export default function ServiceAreaCard() {
+  const [location, setLocation] = useState(null)
+  const [city, setCity] = useState('')
+  const [radiusKm, setRadiusKm] = useState(DEFAULT_SERVICE_RADIUS_KM)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    request('/api/profile/location')
+      .then(data => {
+        setLocation(data.location)
+        if (data.location) {
+          setRadiusKm(data.location.radiusKm)
+          const slug = Object.keys(CITIES).find(key => CITIES[key].name === data.location.city)
+          setCity(slug || '')
+        }
+      })
+      .catch(err => setError(err.message))
+      .finally(() => setIsLoading(false))
+  }, [])
+
+  const save = async (body) => {
+    setIsSubmitting(true)
+    try {
+      const data = await request('/api/profile/location', 'PUT', { ...body, radiusKm })
+      setLocation(data.location)
+      setError('')
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleSaveCity = (e) => {
+    e.preventDefault()
+    if (!city) {
+      setError('Pick a city, or use your current location')
+      return
+    }
+    save({ city })
+  }
+
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      setError('Your browser can\'t share your location. Pick a city instead.')
+      return
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      // Rounded to about 1 km on the server before it is stored
+      (position) => save({
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+        label: CITIES[city]?.name
+      }),
+      () => setError('Couldn\'t get your location. Pick a city instead.'),
+      { enableHighAccuracy: false, timeout: 10000 }
+    )
+  }
+
+  const handleRemove = async () => {
+    setIsSubmitting(true)
+    try {
+      await request('/api/profile/location', 'DELETE')
+      setLocation(null)
+      setCity('')
+      setError('')
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.05 }}
+      className="mt-8 bg-white dark:bg-gray-800 rounded-lg shadow-md p-6"
+    >
+      <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2 flex items-center">
+        <MapPin className="w-5 h-5 mr-2 text-pink-600" />
+        Service Area
+      </h3>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Clients within your service area see you in nearby searches with an approximate distance.
+        Your exact location is never stored or shown.
+      </p>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Loading...</p>
+      ) : (
+        <form onSubmit={handleSaveCity} className="space-y-3">
+          {location ? (
+            <p className="text-sm text-gray-700 dark:text-gray-300">
+              Currently: {location.city || 'your approximate location'}, within {location.radiusKm} km
+            </p>
+          ) : (
+            <p className="text-sm text-gray-700 dark:text-gray-300">
+              You don&apos;t appear in nearby searches yet.
+            </p>
+          )}
+
+          <div className="flex flex-wrap gap-2">
+            <select
+              value={city}
+              onChange={(e) => setCity(e.target.value)}
+              className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+            >
+              <option value="">Select a city</option>
+              {Object.entries(CITIES).map(([slug, option]) => (
+                <option key={slug} value={slug}>{option.name}</option>
+              ))}
+            </select>
+            <select
+              value={radiusKm}
+              onChange={(e) => setRadiusKm(parseInt(e.target.value))}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+            >
+              {RADIUS_OPTIONS.map(km => (
+                <option key={km} value={km}>Within {km} km</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-4 py-2 bg-gradient-to-r from-pink-500 to-purple-600 text-white rounded-lg hover:shadow-lg transition-shadow text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Save City
+            </button>
+            <button
+              type="button"
+              onClick={handleUseMyLocation}
+              disabled={isSubmitting}
+              className="flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Navigation className="w-4 h-4 mr-2" />
+              Use My Location
+            </button>
+            {location && (
+              <button
+                type="button"
+                onClick={handleRemove}
+                disabled={isSubmitting}
+                className="px-4 py-2 text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+
+      {error && (
+        <p className="mt-3 text-sm text-red-600 dark:text-red-400">{error}</p>
+      )}
+    </motion.div>
+  )
+}
@@ -1,6 +1,20 @@
 import { useState } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
-import { Filter, X, Star, DollarSign, MapPin, Globe, Briefcase } from 'lucide-react'
+import { Filter, X, Star, DollarSign, MapPin, Globe, Briefcase, Navigation, Calendar, ArrowUpDown, Radio } from 'lucide-react'
+import { CITIES, DEFAULT_SEARCH_RADIUS_KM, coarsenCoordinates } from '../../lib/geo'
+import { formatDate } from '../../lib/calendar'
+
+const RADIUS_OPTIONS = [5, 10, 25, 50, 100]
+const DURATION_OPTIONS = [1, 2, 3, 4, 6, 8]
+
+// Values match SEARCH_SORT_OPTIONS in lib/companionSearch.js
+const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Best match' },
+  { value: 'price', label: 'Lowest price' },
+  { value: 'rating', label: 'Highest rated' },
+  { value: 'distance', label: 'Nearest' },
+  { value: 'newest', label: 'Newest' }
+]
 
 export default function CompanionFilters({ onFilterChange, initialFilters = {} }) {
   const [isOpen, setIsOpen] = useState(false)
@@ -8,10 +22,19 @@ export default function CompanionFilters({ onFilterChange, initialFilters = {} }
     minRating: initialFilters.minRating || 0,
     maxPrice: initialFilters.maxPrice || 200,
     minPrice: initialFilters.minPrice || 0,
-    availability: initialFilters.availability || '',
+    date: initialFilters.date || '',
+    startTime: initialFilters.startTime || '',
+    duration: initialFilters.duration || 1,
     specialties: initialFilters.specialties || '',
-    languages: initialFilters.languages || ''
+    languages: initialFilters.languages || '',
+    city: initialFilters.city || '',
+    lat: initialFilters.lat || '',
+    lng: initialFilters.lng || '',
+    radius: initialFilters.radius || DEFAULT_SEARCH_RADIUS_KM,
+    online: initialFilters.online || false,
+    sortBy: initialFilters.sortBy || 'relevance'
   })
+  const [locationError, setLocationError] = useState('')
 
   const handleFilterChange = (key, value) => {
     const newFilters = {
@@ -22,20 +45,73 @@ export default function CompanionFilters({ onFilterChange, initialFilters = {} }
     onFilterChange(newFilters)
   }
 
+  const handleDateChange = (date) => {
+    // A time without a date means nothing to the search
+    const newFilters = { ...filters, date, ...(!date && { startTime: '' }) }
+    setFilters(newFilters)
+    onFilterChange(newFilters)
+  }
+
+  const handleCityChange = (city) => {
+    // Nearest first means nothing without a location
+    const sortBy = !city && filters.sortBy === 'distance' ? 'relevance' : filters.sortBy
+    const newFilters = { ...filters, city, lat: '', lng: '', sortBy }
+    setFilters(newFilters)
+    onFilterChange(newFilters)
+  }
+
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      setLocationError('Your browser can\'t share your location. Pick a city instead.')
+      return
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        // Only an approximate position (about 1 km) ever leaves the browser
+        const { lat, lng } = coarsenCoordinates({
+          lat: position.coords.latitude,
+          lng: position.coords.longitude
+        })
+        const newFilters = { ...filters, city: '', lat, lng }
+        setLocationError('')
+        setFilters(newFilters)
+        onFilterChange(newFilters)
+      },
+      () => setLocationError('Couldn\'t get your location. Pick a city instead.'),
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 600000 }
+    )
+  }
+
   const clearFilters = () => {
     const resetFilters = {
       minRating: 0,
       maxPrice: 200,
       minPrice: 0,
-      availability: '',
+      date: '',
+      startTime: '',
+      duration: 1,
       specialties: '',
-      languages: ''
+      languages: '',
+      city: '',
+      lat: '',
+      lng: '',
+      radius: DEFAULT_SEARCH_RADIUS_KM,
+      online: false,
+      sortBy: 'relevance'
     }
+    setLocationError('')
     setFilters(resetFilters)
     onFilterChange(resetFilters)
   }
 
-  const activeFilterCount = Object.values(filters).filter(value => {
+  const hasLocation = Boolean(filters.city || filters.lat)
+  const activeFilterCount = Object.entries(filters).filter(([key, value]) => {
+    // Location and time count once; radius and duration only refine them,
+    // and the sort order isn't a filter
+    if (key === 'lng' || key === 'radius' || key === 'startTime' || key === 'duration' || key === 'sortBy') return false
+    if (key === 'lat') return value !== '' && !filters.city
+    if (typeof value === 'boolean') return value
     if (typeof value === 'number') return value !== 0 && value !== 200
     return value !== ''
   }).length
@@ -88,6 +164,89 @@ export default function CompanionFilters({ onFilterChange, initialFilters = {} }
               </div>
 
               <div className="space-y-4">
+                {/* Sort Order */}
+                <div>
+                  <label className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    <ArrowUpDown className="w-4 h-4 mr-2 text-gray-400" />
+                    Sort By
+                  </label>
+                  <select
+                    value={filters.sortBy}
+                    onChange={(e) => handleFilterChange('sortBy', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-pink-500"
+                  >
+                    {SORT_OPTIONS.map(option => (
+                      <option
+                        key={option.value}
+                        value={option.value}
+                        disabled={option.value === 'distance' && !hasLocation}
+                      >
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {/* Online Filter */}
+                <label className="flex items-center justify-between cursor-pointer">
+                  <span className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300">
+                    <Radio className="w-4 h-4 mr-2 text-green-500" />
+                    Online now
+                  </span>
+                  <input
+                    type="checkbox"
+                    checked={filters.online}
+                    onChange={(e) => handleFilterChange('online', e.target.checked)}
+                    className="h-4 w-4 text-pink-600 focus:ring-pink-500 border-gray-300 rounded"
+                  />
+                </label>
+
+                {/* Location Filter */}
+                <div>
+                  <label className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    <MapPin className="w-4 h-4 mr-2 text-pink-400" />
+                    Location
+                  </label>
+                  <div className="flex space-x-2">
+                    <select
+                      value={filters.city}
+                      onChange={(e) => handleCityChange(e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-pink-500"
+                    >
+                      <option value="">{filters.lat ? 'Near me' : 'Anywhere'}</option>
+                      {Object.entries(CITIES).map(([slug, city]) => (
+                        <option key={slug} value={slug}>{city.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={handleUseMyLocation}
+                      title="Use my location"
+                      className={`px-3 py-2 border rounded-lg transition-colors ${
+                        filters.lat
+                          ? 'border-pink-500 text-pink-600'
+                          : 'border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-700'
+                      }`}
+                    >
+                      <Navigation className="w-4 h-4" />
+                    </button>
+                  </div>
+                  {hasLocation && (
+                    <select
+                      value={filters.radius}
+                      onChange={(e) => handleFilterChange('radius', parseInt(e.target.value))}
+                      className="mt-2 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-pink-500"
+                    >
+                      {RADIUS_OPTIONS.map(km => (
+                        <option key={km} value={km}>Within {km} km</option>
+                      ))}
+                    </select>
+                  )}
+                  {locationError && (
+                    <p className="mt-1 text-xs text-red-600 dark:text-red-400">{locationError}</p>
+                  )}
+                </div>
+
                 {/* Rating Filter */}
                 <div>
                   <label className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
@@ -161,18 +320,35 @@ export default function CompanionFilters({ onFilterChange, initialFilters = {} }
                 {/* Availability Filter */}
                 <div>
                   <label className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                    <MapPin className="w-4 h-4 mr-2 text-blue-400" />
-                    Availability
+                    <Calendar className="w-4 h-4 mr-2 text-blue-400" />
+                    Available On
                   </label>
-                  <select
-                    value={filters.availability}
-                    onChange={(e) => handleFilterChange('availability', e.target.value)}
+                  <input
+                    type="date"
+                    min={formatDate(new Date())}
+                    value={filters.date}
+                    onChange={(e) => handleDateChange(e.target.value)}
                     className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-pink-500"
-                  >
-                    <option value="">All</option>
-                    <option value="available">Available Now</option>
-                    <option value="busy">Busy</option>
-                  </select>
+                  />
+                  {filters.date && (
+                    <div className="mt-2 flex space-x-2">
+                      <input
+                        type="time"
+                        value={filters.startTime}
+                        onChange={(e) => handleFilterChange('startTime', e.target.value)}
+                        className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-pink-500"
+                      />
+                      <select
+                        value={filters.duration}
+                        onChange={(e) => handleFilterChange('duration', parseInt(e.target.value))}
+                        className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-pink-500"
+                      >
+                        {DURATION_OPTIONS.map(hours => (
+                          <option key={hours} value={hours}>{hours} hour{hours === 1 ? '' : 's'}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
                 </div>
 
                 {/* Specialties Filter */}
@@ -0,0 +1,21 @@
+// Dot colour per status from lib/presence.js
+const STATUS_COLORS = {
+  online: 'bg-green-500',
+  recent: 'bg-yellow-400',
+  away: 'bg-gray-400'
+}
+
+/**
+ * "Online now", "Active 2h ago" or "Away" with a coloured dot
+ * @param {Object} presence - { status, label } as returned by the search and profile APIs
+ */
+export default function PresenceBadge({ presence, className = '' }) {
+  if (!presence) return null
+
+  return (
+    <span className={`inline-flex items-center text-xs text-gray-600 dark:text-gray-400 ${className}`}>
+      <span className={`w-2 h-2 mr-1.5 rounded-full ${STATUS_COLORS[presence.status] || STATUS_COLORS.away}`} />
+      {presence.label}
+    </span>
+  )
+}
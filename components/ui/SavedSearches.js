@@ -0,0 +1,209 @@
+import { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { Bookmark, Bell, BellOff, Trash2, X } from 'lucide-react'
+
+async function request(url, method = 'GET', body) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  })
+
+  const result = await response.json()
+  if (!response.ok) {
+    throw new Error(result.message || 'Request failed')
+  }
+  return result
+}
+
+/**
+ * Filters of a saved search in the shape CompanionFilters and the search API use
+ */
+function toSearchFilters({ query, ...filters }) {
+  const searchFilters = {}
+  for (const [key, value] of Object.entries(filters)) {
+    searchFilters[key] = value === null || value === undefined ? '' : value
+  }
+  return { query: query || '', filters: searchFilters }
+}
+
+export default function SavedSearches({ currentSearch, onApply, openSavedSearchId = null }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [savedSearches, setSavedSearches] = useState([])
+  const [name, setName] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    request('/api/saved-searches')
+      .then(data => {
+        setSavedSearches(data.savedSearches)
+        // Opened from an alert: run that search straight away
+        const opened = openSavedSearchId &&
+          data.savedSearches.find(savedSearch => String(savedSearch.id) === String(openSavedSearchId))
+        if (opened) onApply(toSearchFilters(opened.filters))
+      })
+      .catch(err => setError(err.message))
+    // Only on mount, and when following a different alert link
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [openSavedSearchId])
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (!name.trim()) {
+      setError('Give this search a name')
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      const data = await request('/api/saved-searches', 'POST', { name, filters: currentSearch })
+      setSavedSearches(prev => [data.savedSearch, ...prev])
+      setName('')
+      setError('')
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleToggleAlerts = async (savedSearch) => {
+    try {
+      const data = await request(`/api/saved-searches/${savedSearch.id}`, 'PUT', {
+        alertsEnabled: !savedSearch.alertsEnabled
+      })
+      setSavedSearches(prev => prev.map(s => s.id === savedSearch.id ? data.savedSearch : s))
+      setError('')
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleDelete = async (savedSearch) => {
+    try {
+      await request(`/api/saved-searches/${savedSearch.id}`, 'DELETE')
+      setSavedSearches(prev => prev.filter(s => s.id !== savedSearch.id))
+      setError('')
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleApply = (savedSearch) => {
+    onApply(toSearchFilters(savedSearch.filters))
+    setIsOpen(false)
+  }
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center space-x-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+      >
+        <Bookmark className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+        <span className="text-gray-700 dark:text-gray-300">Saved</span>
+        {savedSearches.length > 0 && (
+          <span className="px-2 py-0.5 bg-pink-500 text-white text-xs font-semibold rounded-full">
+            {savedSearches.length}
+          </span>
+        )}
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            className="absolute top-full right-0 mt-2 w-80 bg-white dark:bg-gray-800 rounded-lg shadow-xl border border-gray-200 dark:border-gray-700 z-50"
+          >
+            <div className="p-4">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                  Saved Searches
+                </h3>
+                <button
+                  type="button"
+                  onClick={() => setIsOpen(false)}
+                  className="text-gray-400 hover:text-gray-500 dark:hover:text-gray-300"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+
+              {/* A form can't be nested in the dashboard's search form */}
+              <div className="flex space-x-2 mb-4">
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSave(e)}
+                  maxLength={80}
+                  placeholder="Name this search"
+                  className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-pink-500"
+                />
+                <button
+                  type="button"
+                  onClick={handleSave}
+                  disabled={isSubmitting}
+                  className="px-3 py-2 bg-gradient-to-r from-pink-500 to-purple-600 text-white text-sm rounded-lg hover:shadow-lg transition-shadow disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Save
+                </button>
+              </div>
+
+              {error && (
+                <p className="mb-3 text-xs text-red-600 dark:text-red-400">{error}</p>
+              )}
+
+              {savedSearches.length > 0 ? (
+                <ul className="space-y-2 max-h-72 overflow-y-auto">
+                  {savedSearches.map(savedSearch => (
+                    <li key={savedSearch.id} className="flex items-center justify-between">
+                      <button
+                        type="button"
+                        onClick={() => handleApply(savedSearch)}
+                        className="flex-1 text-left text-sm text-gray-800 dark:text-gray-200 hover:text-pink-600 truncate"
+                      >
+                        {savedSearch.name}
+                      </button>
+                      <div className="flex items-center space-x-1">
+                        <button
+                          type="button"
+                          onClick={() => handleToggleAlerts(savedSearch)}
+                          title={savedSearch.alertsEnabled ? 'Turn off alerts' : 'Alert me about new matches'}
+                          className="p-1 text-gray-500 hover:text-pink-600"
+                        >
+                          {savedSearch.alertsEnabled
+                            ? <Bell className="w-4 h-4 text-pink-600" />
+                            : <BellOff className="w-4 h-4" />}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(savedSearch)}
+                          title="Delete"
+                          className="p-1 text-gray-500 hover:text-red-600"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Save your current search to run it again later and hear about new matches.
+                </p>
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
@@ -0,0 +1,99 @@
+/**
+ * useCompanionPresence Hook
+ * Keeps a companion's presence up to date while a companion page is open
+ * and exposes the "online / accepting requests" switch
+ *
+ * Joins the companion's presence-user channel on Pusher, whose webhooks
+ * mark them connected, and sends a heartbeat every minute as a fallback
+ * (see lib/presence.js).
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { getPusherClient } from '../lib/pusher'
+
+// Well inside HEARTBEAT_TIMEOUT_SECONDS in lib/presence.js
+const HEARTBEAT_INTERVAL_MS = 60 * 1000
+
+async function request(method, body) {
+  const response = await fetch('/api/profile/presence', {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  })
+
+  const result = await response.json()
+  if (!response.ok) {
+    throw new Error(result.message || 'Request failed')
+  }
+  return result
+}
+
+export function useCompanionPresence() {
+  const [presence, setPresence] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    let pusher = null
+
+    const sendHeartbeat = async () => {
+      try {
+        const data = await request('POST')
+        if (!cancelled) setPresence(data.presence)
+      } catch (err) {
+        console.error('Presence heartbeat error:', err)
+      }
+    }
+
+    // The first heartbeat also tells us which channel to join
+    const start = async () => {
+      try {
+        const data = await request('POST')
+        if (cancelled) return
+        setPresence(data.presence)
+
+        // Without Pusher configured the heartbeat alone keeps presence up
+        try {
+          pusher = getPusherClient()
+          pusher?.subscribe(`presence-user-${data.presence.companionId}`)
+        } catch (err) {
+          console.error('Error joining presence channel:', err)
+        }
+      } catch (err) {
+        console.error('Error starting presence:', err)
+        if (!cancelled) setError(err.message)
+      }
+    }
+
+    start()
+    const interval = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL_MS)
+
+    return () => {
+      cancelled = true
+      clearInterval(interval)
+      pusher?.disconnect()
+    }
+  }, [])
+
+  /**
+   * Switch accepting requests on or off
+   */
+  const setAcceptingRequests = useCallback(async (acceptingRequests) => {
+    setIsSaving(true)
+    try {
+      const data = await request('PUT', { acceptingRequests })
+      setPresence(data.presence)
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }, [])
+
+  return { presence, isSaving, error, setAcceptingRequests }
+}
@@ -0,0 +1,12 @@
+const nextJest = require('next/jest')
+
+// Compiles lib/ and pages/ with the same SWC setup as `next build`
+const createJestConfig = nextJest({ dir: './' })
+
+/** @type {import('jest').Config} */
+const customJestConfig = {
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/__tests__/**/*.test.js']
+}
+
+module.exports = createJestConfig(customJestConfig)
@@ -0,0 +1,303 @@
+/**
+ * Chat Attachments
+ *
+ * Participants can share venue photos, reservation screenshots and PDF
+ * itineraries. An attachment is uploaded first and linked to a message when
+ * the message is sent, so the composer can show it before sending.
+ *
+ * SAFETY CONSIDERATIONS:
+ * - The file type is detected from its bytes, never taken from the client
+ * - Images are re-encoded, which drops EXIF metadata such as GPS location
+ * - Images are assessed by lib/moderation.js before they're stored; blocked
+ *   images are refused and never reach the other participant, borderline
+ *   ones are shared and queued for an admin. If moderation is unavailable
+ *   the upload fails rather than skipping the check
+ * - Files are private and only served through signed URLs that expire
+ */
+
+import crypto from 'crypto'
+import sharp from 'sharp'
+import { getDb } from './db'
+import { getStorage } from './storage'
+import { assessImage, recordModerationEvent, getBlockedMessage } from './moderation'
+
+export const ATTACHMENT_TYPES = {
+  'image/jpeg': { kind: 'image', extension: 'jpg' },
+  'image/png': { kind: 'image', extension: 'png' },
+  'image/webp': { kind: 'image', extension: 'webp' },
+  'application/pdf': { kind: 'document', extension: 'pdf' }
+}
+
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024
+export const MAX_ATTACHMENTS_PER_MESSAGE = 5
+
+// Uploads a participant can hold in a chat without sending them
+const MAX_UNSENT_ATTACHMENTS = 10
+// Refuse decompression bombs before decoding
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000
+const MAX_IMAGE_DIMENSION = 4096
+const THUMBNAIL_SIZE = 320
+const MODERATION_IMAGE_SIZE = 512
+const SIGNED_URL_SECONDS = 15 * 60
+
+/**
+ * Detect a supported file type from its first bytes
+ * @returns {string|null} MIME type
+ */
+export function detectMimeType(buffer) {
+  if (buffer.length < 12) return null
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg'
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png'
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp'
+  if (buffer.toString('ascii', 0, 5) === '%PDF-') return 'application/pdf'
+  return null
+}
+
+/**
+ * A display name that is safe to store and show, with the right extension
+ */
+function sanitizeFileName(fileName, extension) {
+  const base = String(fileName || '')
+    .split(/[\\/]/).pop()
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u001f\u007f"<>|*?:]/g, '')
+    .replace(/\.[^.]*$/, '')
+    .trim()
+    .substring(0, 100)
+  return `${base || 'attachment'}.${extension}`
+}
+
+/**
+ * Re-encode an image and render its thumbnail and moderation copy
+ * Re-encoding drops metadata; rotate() first applies the EXIF orientation.
+ * @returns {Promise<Object>} { original, thumbnail, moderationImage, width, height }
+ */
+async function processImage(buffer, mimeType) {
+  const image = sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS }).rotate()
+  const resized = image.clone().resize(MAX_IMAGE_DIMENSION, MAX_IMAGE_DIMENSION, {
+    fit: 'inside',
+    withoutEnlargement: true
+  })
+
+  const encode = {
+    'image/jpeg': pipeline => pipeline.jpeg({ quality: 85 }),
+    'image/png': pipeline => pipeline.png(),
+    'image/webp': pipeline => pipeline.webp({ quality: 85 })
+  }[mimeType]
+
+  const [original, thumbnail, moderationImage] = await Promise.all([
+    encode(resized).toBuffer({ resolveWithObject: true }),
+    image.clone()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 75 })
+      .toBuffer(),
+    image.clone()
+      .resize(MODERATION_IMAGE_SIZE, MODERATION_IMAGE_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer()
+  ])
+
+  return {
+    original: original.data,
+    thumbnail,
+    moderationImage,
+    width: original.info.width,
+    height: original.info.height
+  }
+}
+
+/**
+ * Upload an attachment to a conversation
+ * @param {Object} conversation - From getConversation in lib/chat.js; must allow sending
+ * @param {Object} user - The uploader
+ * @param {Object} file - { fileName, data } with the file base64-encoded
+ * @returns {Promise<Object>} { attachment } or { status, message }
+ */
+export async function uploadAttachment({ chat }, user, { fileName, data }) {
+  const db = getDb()
+
+  const buffer = Buffer.from(String(data || ''), 'base64')
+  if (buffer.length === 0) {
+    return { status: 400, message: 'The file is empty' }
+  }
+  if (buffer.length > MAX_ATTACHMENT_BYTES) {
+    return { status: 413, message: `Attachments can be at most ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB` }
+  }
+
+  const mimeType = detectMimeType(buffer)
+  if (!mimeType) {
+    return { status: 415, message: 'Only JPEG, PNG and WebP images and PDF documents can be attached' }
+  }
+  const { kind, extension } = ATTACHMENT_TYPES[mimeType]
+
+  const { total: unsent } = await db.findMany('message_attachments', {
+    where: { chat_id: chat.id, uploader_id: user.id, message_id: null },
+    limit: 1
+  })
+  if (unsent >= MAX_UNSENT_ATTACHMENTS) {
+    return { status: 409, message: 'Send or remove your pending attachments before adding more' }
+  }
+
+  let file = buffer
+  let thumbnail = null
+  let dimensions = { width: null, height: null }
+  let moderation = null
+
+  if (kind === 'image') {
+    let processed
+    try {
+      processed = await processImage(buffer, mimeType)
+    } catch (error) {
+      console.error('Attachment image processing error:', error)
+      return { status: 400, message: 'The image could not be read' }
+    }
+
+    try {
+      moderation = await assessImage(processed.moderationImage, 'image/jpeg')
+    } catch (error) {
+      // Fail closed: an unchecked image must not reach the other participant
+      console.error('Attachment image moderation error:', error)
+      return { status: 503, message: 'Images can\'t be checked right now, please try again shortly' }
+    }
+    if (moderation.decision === 'block') {
+      await recordModerationEvent(moderation, { contentType: 'attachment', userId: user.id })
+      return { status: 422, message: getBlockedMessage('attachment') }
+    }
+
+    file = processed.original
+    thumbnail = processed.thumbnail
+    dimensions = { width: processed.width, height: processed.height }
+  }
+
+  const id = crypto.randomUUID()
+  const storageKey = `chats/${chat.id}/${id}.${extension}`
+  const thumbnailKey = thumbnail ? `chats/${chat.id}/${id}-thumb.webp` : null
+
+  const storage = getStorage()
+  await storage.put(storageKey, file, mimeType)
+  if (thumbnail) await storage.put(thumbnailKey, thumbnail, 'image/webp')
+
+  try {
+    const attachment = await db.insert('message_attachments', {
+      chat_id: chat.id,
+      message_id: null,
+      uploader_id: user.id,
+      storage_key: storageKey,
+      thumbnail_key: thumbnailKey,
+      file_name: sanitizeFileName(fileName, extension),
+      mime_type: mimeType,
+      size_bytes: file.length,
+      width: dimensions.width,
+      height: dimensions.height,
+      moderation_status: !moderation ? 'not_required' : moderation.decision === 'review' ? 'in_review' : 'approved',
+      moderation_scores: moderation ? moderation.scores : null
+    })
+    if (moderation) {
+      await recordModerationEvent(moderation, { contentType: 'attachment', contentId: attachment.id, userId: user.id })
+    }
+    return { attachment }
+  } catch (error) {
+    await storage.remove([storageKey, thumbnailKey].filter(Boolean))
+    throw error
+  }
+}
+
+/**
+ * Check attachments a participant wants to send with a message
+ * They must be their own unsent uploads in this chat.
+ * @returns {Promise<Object>} { attachments } or { status, message }
+ */
+export async function getSendableAttachments({ chat }, user, attachmentIds) {
+  if (!Array.isArray(attachmentIds) || attachmentIds.length === 0) return { attachments: [] }
+
+  const ids = [...new Set(attachmentIds.map(Number))]
+  if (!ids.every(id => Number.isInteger(id) && id > 0)) {
+    return { status: 400, message: 'attachmentIds must be a list of attachment ids' }
+  }
+  if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    return { status: 400, message: `A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments` }
+  }
+
+  const { rows } = await getDb().findMany('message_attachments', {
+    where: { id: { in: ids }, chat_id: chat.id, uploader_id: user.id, message_id: null }
+  })
+  if (rows.length !== ids.length) {
+    return { status: 404, message: 'Attachment not found or already sent' }
+  }
+  return { attachments: rows }
+}
+
+/**
+ * Link uploaded attachments to the message they were sent with
+ * Only unsent ones are linked, so a concurrent send can't claim them twice.
+ * @returns {Promise<Array>} The linked rows
+ */
+export async function attachToMessage(attachments, message) {
+  if (attachments.length === 0) return []
+  return getDb().update('message_attachments', {
+    id: { in: attachments.map(attachment => attachment.id) },
+    message_id: null
+  }, { message_id: message.id })
+}
+
+/**
+ * Remove an unsent upload
+ * @returns {Promise<boolean>} false if it isn't the user's unsent upload
+ */
+export async function discardAttachment(attachmentId, user) {
+  const db = getDb()
+  const id = Number(attachmentId)
+  if (!Number.isInteger(id) || id <= 0) return false
+
+  const attachment = await db.findOne('message_attachments', { id, uploader_id: user.id, message_id: null })
+  if (!attachment) return false
+
+  await db.remove('message_attachments', { id: attachment.id })
+  await getStorage().remove([attachment.storage_key, attachment.thumbnail_key].filter(Boolean))
+  return true
+}
+
+/**
+ * Attachments of the given messages, with fresh signed URLs
+ * @returns {Promise<Map>} messageId -> serialized attachments
+ */
+export async function getMessageAttachments(messageIds) {
+  const byMessage = new Map()
+  if (messageIds.length === 0) return byMessage
+
+  const { rows } = await getDb().findMany('message_attachments', {
+    where: { message_id: { in: messageIds } },
+    orderBy: 'id'
+  })
+
+  for (const row of rows) {
+    if (!byMessage.has(row.message_id)) byMessage.set(row.message_id, [])
+    byMessage.get(row.message_id).push(await serializeAttachment(row))
+  }
+  return byMessage
+}
+
+/**
+ * Map an attachment to the API response shape, signing its URLs
+ * The URLs expire; clients fetch the messages again for fresh ones.
+ */
+export async function serializeAttachment(attachment) {
+  const storage = getStorage()
+  const [url, thumbnailUrl] = await Promise.all([
+    storage.getSignedUrl(attachment.storage_key, SIGNED_URL_SECONDS),
+    attachment.thumbnail_key ? storage.getSignedUrl(attachment.thumbnail_key, SIGNED_URL_SECONDS) : null
+  ])
+
+  return {
+    id: attachment.id,
+    kind: ATTACHMENT_TYPES[attachment.mime_type].kind,
+    fileName: attachment.file_name,
+    mimeType: attachment.mime_type,
+    size: attachment.size_bytes,
+    width: attachment.width,
+    height: attachment.height,
+    url,
+    thumbnailUrl,
+    expiresAt: new Date(Date.now() + SIGNED_URL_SECONDS * 1000).toISOString()
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Admin Audit Log Helper Library
+ *
+ * Records every admin decision in `admin_audit_log`: who made it, what it
+ * applied to, and the status before and after. Decisions the platform makes
+ * on its own (e.g. auto-approval) are recorded with the `system` actor.
+ *
+ * SAFETY CONSIDERATIONS:
+ * - Entries are only ever inserted, never updated or removed
+ * - Writing the log never undoes the decision it describes; failures are
+ *   logged for manual follow-up
+ */
+
+import { getDb } from './db'
+
+export const AUDIT_ACTOR_ROLES = ['admin', 'system']
+
+/**
+ * Record an admin decision
+ * @param {Object} entry - { actor, action, targetType, targetId, fromStatus, toStatus, note, metadata }
+ *   `actor` is the authenticated admin, or null for the system
+ * @returns {Promise<Object|null>} Stored entry, or null if it couldn't be written
+ */
+export async function recordAuditEvent({
+  actor,
+  action,
+  targetType,
+  targetId,
+  fromStatus = null,
+  toStatus = null,
+  note = null,
+  metadata = null
+}) {
+  try {
+    return await getDb().insert('admin_audit_log', {
+      actor_id: actor?.id || null,
+      actor_role: actor ? 'admin' : 'system',
+      action,
+      target_type: targetType,
+      target_id: String(targetId),
+      from_status: fromStatus,
+      to_status: toStatus,
+      note,
+      metadata,
+      created_at: new Date().toISOString()
+    })
+  } catch (error) {
+    console.error(`Failed to record audit event ${action} on ${targetType} ${targetId}:`, error)
+    return null
+  }
+}
+
+/**
+ * List audit entries, newest first
+ * @param {Object} filters - { targetType, targetId, actorId, limit, offset }
+ * @returns {Promise<Object>} { entries, total }
+ */
+export async function listAuditEvents({ targetType, targetId, actorId, limit = 50, offset = 0 } = {}) {
+  const { rows, total } = await getDb().findMany('admin_audit_log', {
+    where: {
+      ...(targetType && { target_type: targetType }),
+      ...(targetId && { target_id: String(targetId) }),
+      ...(actorId && { actor_id: actorId })
+    },
+    orderBy: { column: 'created_at', ascending: false },
+    limit,
+    offset
+  })
+  return { entries: rows, total }
+}
+
+/**
+ * Map an audit entry to the API response shape
+ */
+export function serializeAuditEvent(entry) {
+  return {
+    id: entry.id,
+    actorId: entry.actor_id,
+    actorRole: entry.actor_role,
+    action: entry.action,
+    targetType: entry.target_type,
+    targetId: entry.target_id,
+    fromStatus: entry.from_status,
+    toStatus: entry.to_status,
+    note: entry.note,
+    metadata: entry.metadata,
+    createdAt: entry.created_at
+  }
+}
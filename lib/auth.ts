@@ -1,8 +1,43 @@
 import jwt from 'jsonwebtoken';
-import { Request, Response, NextFunction } from 'express';
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { getProfile } from './profiles';
 
 const SECRET_KEY = process.env.JWT_SECRET || 'default_secret_key_change_in_production';
 
+export const ROLES = ['client', 'companion', 'admin'] as const;
+
+export type Role = typeof ROLES[number];
+
+export interface AuthUser {
+    id: string;
+    role: Role;
+    email: string | null;
+    name: string;
+    username: string;
+    verificationStatus: string;
+}
+
+export interface AuthenticatedRequest extends NextApiRequest {
+    user: AuthUser | null;
+}
+
+export interface WithAuthOptions {
+    // Roles allowed to call the route; any authenticated role when omitted
+    roles?: Role[];
+    // Let unauthenticated requests through with req.user = null, including
+    // ones whose token is invalid, expired or belongs to a suspended account
+    optional?: boolean;
+}
+
+type AuthResult =
+    | { user: AuthUser }
+    | { status: number; message: string };
+
+export type AuthenticatedHandler = (
+    req: AuthenticatedRequest,
+    res: NextApiResponse
+) => unknown | Promise<unknown>;
+
 export const createToken = (userId: string, role: string = 'client', email: string = '') => {
     return jwt.sign({ id: userId, role, email }, SECRET_KEY, { expiresIn: '7d' });
 };
@@ -11,24 +46,129 @@ export const verifyToken = (token: string) => {
     return jwt.verify(token, SECRET_KEY);
 };
 
-export const requireAuth = (req: Request, res: Response, next: NextFunction) => {
-    const token = req.headers['authorization']?.split(' ')[1];
+/**
+ * Extract the bearer token from the Authorization header
+ */
+export const getBearerToken = (req: NextApiRequest): string | null => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+        return null;
+    }
+
+    const [scheme, token] = authHeader.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return null;
+    }
+
+    return token;
+};
+
+/**
+ * Verify the JWT and load the caller's profile.
+ * The role always comes from the profile, never from the token claims,
+ * so a role change or suspension takes effect without waiting for expiry.
+ */
+export const authenticateRequest = async (req: NextApiRequest): Promise<AuthResult> => {
+    const token = getBearerToken(req);
     if (!token) {
-        return res.status(401).json({ message: 'Unauthorized' });
+        return { status: 401, message: 'Authentication required' };
     }
+
+    let decoded: any;
     try {
-        const decoded = verifyToken(token);
-        req.user = decoded; // Assuming you attach user info to the request
-        next();
+        decoded = verifyToken(token);
     } catch (error) {
-        return res.status(403).json({ message: 'Forbidden' });
+        return { status: 401, message: 'Invalid or expired token' };
     }
-};
 
-export const requireAdmin = (req: Request, res: Response, next: NextFunction) => {
-    if (req.user && req.user.role === 'admin') {
-        next();
-    } else {
-        return res.status(403).json({ message: 'Forbidden' });
+    if (!decoded || !decoded.id) {
+        return { status: 401, message: 'Invalid authentication token' };
     }
+
+    const profile = await getProfile(decoded.id);
+
+    if (!profile) {
+        return { status: 401, message: 'Account not found' };
+    }
+
+    if (profile.verification_status === 'suspended') {
+        return { status: 403, message: 'Account suspended' };
+    }
+
+    return {
+        user: {
+            id: profile.id,
+            role: profile.role,
+            email: profile.email,
+            name: profile.full_name || profile.username,
+            username: profile.username,
+            verificationStatus: profile.verification_status
+        }
+    };
+};
+
+/**
+ * Wrap an API route so it only runs for authenticated users.
+ * The verified user is attached to req.user before the handler runs.
+ *
+ * Usage:
+ *   export default withAuth(handler, { roles: ['companion'] })
+ */
+export const withAuth = (handler: AuthenticatedHandler, options: WithAuthOptions = {}) => {
+    const { roles, optional = false } = options;
+
+    return async (req: NextApiRequest, res: NextApiResponse) => {
+        const authReq = req as AuthenticatedRequest;
+
+        // Preflight requests carry no credentials - the handler answers them
+        if (req.method === 'OPTIONS') {
+            authReq.user = null;
+            return handler(authReq, res);
+        }
+
+        try {
+            if (optional && !getBearerToken(req)) {
+                authReq.user = null;
+                return handler(authReq, res);
+            }
+
+            const result = await authenticateRequest(req);
+
+            if ('status' in result) {
+                // A stale token shouldn't lock anyone out of a public route
+                if (optional) {
+                    authReq.user = null;
+                    return handler(authReq, res);
+                }
+                return res.status(result.status).json({ message: result.message });
+            }
+
+            if (roles && roles.length > 0 && !roles.includes(result.user.role)) {
+                return res.status(403).json({
+                    message: 'Insufficient permissions',
+                    requiredRoles: roles
+                });
+            }
+
+            authReq.user = result.user;
+        } catch (error: any) {
+            console.error('Authentication error:', error);
+            return res.status(500).json({
+                message: 'Internal server error',
+                ...(process.env.NODE_ENV === 'development' && { error: error.message })
+            });
+        }
+
+        return handler(authReq, res);
+    };
 };
+
+/**
+ * Shorthand for routes that require an authenticated user of any role
+ */
+export const requireAuth = (handler: AuthenticatedHandler) => withAuth(handler);
+
+/**
+ * Shorthand for admin-only routes
+ */
+export const requireAdmin = (handler: AuthenticatedHandler) => withAuth(handler, { roles: ['admin'] });
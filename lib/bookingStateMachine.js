@@ -0,0 +1,655 @@
+/**
+ * Booking State Machine
+ *
+ * Single source of truth for how a booking moves between `booking_status` values:
+ *
+ *   pending --accept--> accepted --complete--> completed
+ *   pending --reject--> declined
+ *   pending --cancel/expire--> cancelled
+ *   accepted --cancel--> cancelled
+ *   accepted --refund--> cancelled (a dispute refunded the client)
+ *
+ * Each transition declares which actors may perform it, an optional guard,
+ * an optional prepare step, and the side effects that run once the new status
+ * is stored. Every transition is recorded in the `booking_events` table.
+ *
+ * SAFETY CONSIDERATIONS:
+ * - The status update only applies if the booking is still in the status we
+ *   validated against, so two concurrent transitions can't both succeed
+ * - Side effects run after the update and never roll it back; failures are
+ *   logged for manual follow-up
+ */
+
+import { getDb } from './db'
+import { checkBookingSlot, serializeBooking, updateBooking, isBookingOverlapError } from './bookings'
+import { getProfile, getDisplayName } from './profiles'
+import { getPlatformSettings } from './settings'
+import { initiateRefund } from './paystack'
+import { sendNotification, NOTIFICATION_TYPES } from './notifications'
+import { calculateCancellationOutcome, CANCELLATION_POLICIES } from './cancellation'
+import { getEscrow, releaseEscrow, refundEscrow } from './escrow'
+import { openReviewWindow } from './reviews'
+import { refreshCompanionScorecard } from './scorecards'
+import { getAppTimeZone } from './calendar'
+
+/**
+ * Who performed a transition, relative to the booking
+ * `system` is used by scheduled jobs and webhooks acting without a user
+ */
+export const ACTOR_ROLES = ['client', 'companion', 'admin', 'system']
+
+/**
+ * Allowed transitions keyed by action
+ * - from: statuses the booking may be in
+ * - to: resulting status
+ * - actors: actor roles allowed to perform the action
+ * - guard: async check returning an error ({ status, message }) or null
+ * - prepare: computes details stored with the event and shared with the effects
+ * - effects: run in order after the status change is stored
+ * - paymentAction: reported back to the caller (effects may override it)
+ * - pastTense: how the action reads once done ("Booking expired")
+ */
+export const BOOKING_TRANSITIONS = {
+  accept: {
+    from: ['pending'],
+    to: 'accepted',
+    actors: ['companion'],
+    guard: ensureNoOverlap,
+    effects: [ensureChat, notifyAccepted, refreshScorecard],
+    paymentAction: 'none',
+    pastTense: 'accepted'
+  },
+  reject: {
+    from: ['pending'],
+    to: 'declined',
+    actors: ['companion'],
+    effects: [refundPayments, notifyRejected, refreshScorecard],
+    paymentAction: 'refund_initiated',
+    pastTense: 'rejected'
+  },
+  cancel: {
+    from: ['pending', 'accepted'],
+    to: 'cancelled',
+    actors: ['client', 'companion', 'admin'],
+    prepare: prepareCancellation,
+    effects: [refundPayments, notifyCancelled, refreshScorecard],
+    paymentAction: 'refund_initiated',
+    pastTense: 'cancelled'
+  },
+  expire: {
+    from: ['pending'],
+    to: 'cancelled',
+    actors: ['client', 'admin', 'system'],
+    guard: ensureStarted,
+    effects: [refundPayments, refreshScorecard],
+    paymentAction: 'refund_initiated',
+    pastTense: 'expired'
+  },
+  complete: {
+    from: ['accepted'],
+    to: 'completed',
+    actors: ['companion', 'admin', 'system'],
+    guard: ensureStarted,
+    effects: [releasePayment, startReviewWindow, notifyCompleted, refreshScorecard],
+    paymentAction: 'split_payment_processed',
+    pastTense: 'completed'
+  },
+  // The dispute outcome has already moved the money (see lib/disputes.js)
+  refund: {
+    from: ['accepted'],
+    to: 'cancelled',
+    actors: ['system'],
+    effects: [],
+    paymentAction: 'none',
+    pastTense: 'refunded'
+  }
+}
+
+export const BOOKING_ACTIONS = Object.keys(BOOKING_TRANSITIONS)
+
+/**
+ * Work out the actor role of a user relative to a booking
+ * @param {Object} booking - Booking row
+ * @param {Object|null} user - Authenticated user, or null for system jobs
+ * @returns {string|null} Actor role, or null if the user has no relation to the booking
+ */
+export function getActorRole(booking, user) {
+  if (!user) return 'system'
+  if (user.id === booking.companion_id) return 'companion'
+  if (user.id === booking.client_id) return 'client'
+  if (user.role === 'admin') return 'admin'
+  return null
+}
+
+/**
+ * Check whether an action is allowed from the booking's current status for this user
+ * Guards (timing, overlaps) are not evaluated here.
+ */
+export function canTransition(booking, action, user) {
+  const transition = BOOKING_TRANSITIONS[action]
+  if (!transition) return false
+  const actorRole = getActorRole(booking, user)
+  return transition.from.includes(booking.status) && transition.actors.includes(actorRole)
+}
+
+/**
+ * List the actions an account role can ever take, whatever the booking's status
+ * System-only actions (e.g. refund) are never included.
+ * @param {string} role - 'client', 'companion' or 'admin'
+ */
+export function getActionsForRole(role) {
+  return BOOKING_ACTIONS.filter(action => BOOKING_TRANSITIONS[action].actors.includes(role))
+}
+
+/**
+ * List the actions a user may take on a booking, for rendering buttons
+ */
+export function getAvailableActions(booking, user) {
+  return BOOKING_ACTIONS.filter(action => canTransition(booking, action, user))
+}
+
+/**
+ * Apply an action to a booking
+ * @param {Object} booking - Current booking row
+ * @param {string} action - One of BOOKING_ACTIONS
+ * @param {Object|null} user - Authenticated user, or null for system jobs
+ * @param {Object} options - { reason, metadata } stored with the event
+ * @returns {Promise<Object>} { booking, event, transition, details, paymentAction } or { status, message }
+ */
+export async function transitionBooking(booking, action, user, { reason = null, metadata = null } = {}) {
+  const transition = BOOKING_TRANSITIONS[action]
+  if (!transition) {
+    return { status: 400, message: 'Invalid action' }
+  }
+
+  const actorRole = getActorRole(booking, user)
+  if (!transition.actors.includes(actorRole)) {
+    return { status: 403, message: `You are not allowed to ${action} this booking` }
+  }
+
+  if (!transition.from.includes(booking.status)) {
+    return { status: 409, message: `Cannot ${action} a booking that is ${booking.status}` }
+  }
+
+  if (transition.guard) {
+    const guardError = await transition.guard(booking)
+    if (guardError) return guardError
+  }
+
+  const now = new Date()
+  const details = transition.prepare
+    ? await transition.prepare(booking, { actorRole, now })
+    : null
+
+  let updated
+  try {
+    updated = await updateBooking(booking.id, { status: transition.to }, { expectedStatus: booking.status })
+  } catch (error) {
+    if (isBookingOverlapError(error)) {
+      return { status: 409, message: 'This booking overlaps another booking on the schedule' }
+    }
+    throw error
+  }
+
+  // Someone else moved the booking between our read and the update
+  if (!updated) {
+    return { status: 409, message: 'Booking was updated by someone else. Please refresh and try again.' }
+  }
+
+  const event = await recordBookingEvent({
+    bookingId: booking.id,
+    actor: user,
+    actorRole,
+    action,
+    fromStatus: booking.status,
+    toStatus: transition.to,
+    reason,
+    metadata: details || metadata ? { ...metadata, ...details } : null
+  })
+
+  const context = createEffectContext({ booking: updated, previous: booking, action, user, actorRole, reason, details })
+  for (const effect of transition.effects) {
+    try {
+      await effect(context)
+    } catch (error) {
+      // Don't fail the transition - the status change is already stored
+      console.error(`Booking ${action} side effect ${effect.name} failed for booking ${booking.id}:`, error)
+    }
+  }
+
+  return {
+    booking: updated,
+    event,
+    transition,
+    details,
+    paymentAction: context.paymentAction || transition.paymentAction
+  }
+}
+
+/**
+ * Record a booking event in the history table
+ * Failures are logged rather than thrown so an audit hiccup never leaves the
+ * caller with a half-reported status change.
+ * @returns {Promise<Object|null>} Inserted event row
+ */
+export async function recordBookingEvent({
+  bookingId,
+  actor = null,
+  actorRole,
+  action,
+  fromStatus = null,
+  toStatus,
+  reason = null,
+  metadata = null
+}) {
+  try {
+    return await getDb().insert('booking_events', {
+      booking_id: bookingId,
+      actor_id: actor?.id || null,
+      actor_role: actorRole,
+      action,
+      from_status: fromStatus,
+      to_status: toStatus,
+      reason,
+      metadata
+    })
+  } catch (error) {
+    console.error(`Failed to record booking event ${action} for booking ${bookingId}:`, error)
+    return null
+  }
+}
+
+/**
+ * List the history of a booking, oldest first
+ */
+export async function listBookingEvents(bookingId) {
+  const { rows } = await getDb().findMany('booking_events', {
+    where: { booking_id: bookingId },
+    orderBy: ['created_at', 'id']
+  })
+  return rows
+}
+
+/**
+ * Map a booking event row to the API response shape
+ */
+export function serializeBookingEvent(event) {
+  return {
+    id: event.id,
+    bookingId: event.booking_id,
+    actorId: event.actor_id,
+    actorRole: event.actor_role,
+    action: event.action,
+    fromStatus: event.from_status,
+    toStatus: event.to_status,
+    reason: event.reason,
+    createdAt: event.created_at
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Guards
+// ---------------------------------------------------------------------------
+
+/**
+ * Bookings can only be completed (or expire) once their start time has passed
+ */
+async function ensureStarted(booking) {
+  if (new Date(booking.start_time) > new Date()) {
+    return { status: 409, message: 'This booking has not started yet' }
+  }
+  return null
+}
+
+/**
+ * Re-check overlaps on accept: the buffer may have changed since the request was made.
+ * The companion may accept outside their usual hours, so availability isn't checked.
+ */
+async function ensureNoOverlap(booking) {
+  const [companion, settings] = await Promise.all([
+    getProfile(booking.companion_id),
+    getPlatformSettings()
+  ])
+
+  const slotCheck = await checkBookingSlot(companion, {
+    startTime: booking.start_time,
+    endTime: booking.end_time,
+    bufferMinutes: settings.booking_buffer_minutes,
+    excludeBookingId: booking.id,
+    checkAvailability: false
+  })
+
+  if (!slotCheck.available) {
+    return {
+      status: 409,
+      message: 'This booking overlaps another booking on your schedule',
+      reason: slotCheck.reason,
+      suggestedSlots: slotCheck.suggestedSlots
+    }
+  }
+  return null
+}
+
+// ---------------------------------------------------------------------------
+// Prepare steps
+// ---------------------------------------------------------------------------
+
+/**
+ * Work out the refund and companion compensation under the booking's policy
+ */
+async function prepareCancellation(booking, { actorRole, now }) {
+  return {
+    cancellation: calculateCancellationOutcome({
+      totalPrice: booking.total_price,
+      startTime: booking.start_time,
+      policy: booking.cancellation_policy,
+      cancelledBy: actorRole,
+      bookingStatus: booking.status,
+      companionSharePercent: booking.companion_share_percent === null
+        ? 100
+        : Number(booking.companion_share_percent),
+      now
+    })
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Side effects
+// ---------------------------------------------------------------------------
+
+/**
+ * Shared state for a transition's side effects
+ * Profiles are loaded once, on first use.
+ */
+function createEffectContext({ booking, previous, action, user, actorRole, reason, details }) {
+  let parties = null
+
+  return {
+    booking,
+    previous,
+    action,
+    user,
+    actorRole,
+    reason,
+    details: details || {},
+    // Set by refundPayments: { paid, amount } actually refunded
+    refund: null,
+    // Set by payment effects when the escrow hold was used
+    escrow: null,
+    paymentAction: null,
+    // Set by startReviewWindow
+    reviewDeadline: null,
+    serialized: serializeBooking(booking),
+    appUrl: process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000',
+    async getParties() {
+      if (!parties) {
+        const [client, companion] = await Promise.all([
+          getProfile(booking.client_id),
+          getProfile(booking.companion_id)
+        ])
+        parties = { client, companion }
+      }
+      return parties
+    }
+  }
+}
+
+/**
+ * Open the booking's chat
+ * In Postgres the create_chat_on_booking_accepted trigger already did this;
+ * the check keeps other adapters behaving the same way.
+ */
+async function ensureChat({ booking }) {
+  const db = getDb()
+  const existing = await db.findOne('chats', { booking_id: booking.id })
+  if (existing) return
+
+  try {
+    await db.insert('chats', { booking_id: booking.id })
+  } catch (error) {
+    // unique_violation: the trigger won the race
+    if (error?.code !== '23505') throw error
+  }
+}
+
+/**
+ * Refund the client's payments for the booking
+ * Cancellations refund the amount set by the cancellation policy; every
+ * other transition refunds in full. Escrowed funds are refunded from the
+ * hold (paying any cancellation fee to the companion); otherwise the
+ * charges recorded in `transactions` are refunded directly.
+ */
+async function refundPayments(context) {
+  const { booking, action, details } = context
+  const db = getDb()
+
+  const escrow = await getEscrow(booking.id)
+  if (escrow) {
+    const result = await refundEscrow(booking, {
+      refundAmount: details.cancellation ? details.cancellation.refundAmount : null,
+      compensationAmount: details.cancellation ? details.cancellation.companionCompensation : 0,
+      reason: `booking ${action}`
+    })
+    context.escrow = escrow
+    context.refund = { paid: result.paid, amount: result.amount }
+    context.paymentAction = result.paid ? 'escrow_refunded' : 'none'
+    return
+  }
+  const { rows: payments } = await db.findMany('transactions', {
+    where: { booking_id: booking.id, status: 'success' }
+  })
+
+  let remaining = details.cancellation
+    ? details.cancellation.refundAmount
+    : payments.reduce((sum, payment) => sum + Number(payment.amount), 0)
+  let refunded = 0
+
+  for (const payment of payments) {
+    const amount = Math.min(Number(payment.amount), remaining)
+    if (amount <= 0) break
+
+    await initiateRefund({
+      transaction: payment.paystack_reference,
+      amount: Math.round(amount * 100), // Paystack expects kobo
+      customerNote: `Refund for booking #${booking.id}`,
+      merchantNote: `Automatic refund - booking ${action}`
+    })
+    await db.update('transactions', { id: payment.id }, {
+      status: amount < Number(payment.amount) ? 'partially_refunded' : 'refunded',
+      refunded_amount: amount
+    })
+
+    remaining -= amount
+    refunded += amount
+  }
+
+  context.refund = { paid: payments.length > 0, amount: Math.round(refunded * 100) / 100 }
+}
+
+async function notifyAccepted({ booking, serialized, appUrl, getParties }) {
+  const { client, companion } = await getParties()
+  await sendNotification(
+    booking.client_id,
+    NOTIFICATION_TYPES.BOOKING_ACCEPTED,
+    {
+      companionName: getDisplayName(companion, 'Your companion'),
+      date: serialized.date,
+      time: serialized.time,
+      location: serialized.location,
+      chatUrl: `${appUrl}/client/dashboard?booking=${booking.id}&chat=true`
+    },
+    {
+      inApp: true,
+      email: true,
+      push: true,
+      userEmail: client?.email || null,
+      pushToken: null
+    }
+  )
+}
+
+async function notifyRejected({ booking, serialized, appUrl, getParties }) {
+  const { client } = await getParties()
+  await sendNotification(
+    booking.client_id,
+    NOTIFICATION_TYPES.BOOKING_REJECTED,
+    {
+      date: serialized.date,
+      time: serialized.time,
+      searchUrl: `${appUrl}/client/dashboard`
+    },
+    {
+      inApp: true,
+      email: true,
+      push: true,
+      userEmail: client?.email || null,
+      pushToken: null
+    }
+  )
+}
+
+/**
+ * Tell both parties about the cancellation and what it means for the money
+ * The client learns their actual refund; the companion learns any compensation.
+ */
+async function notifyCancelled({ booking, serialized, details, refund, getParties }) {
+  const { client, companion } = await getParties()
+  const outcome = details.cancellation
+  const policyName = CANCELLATION_POLICIES[outcome.policy].name
+  const paid = !!refund?.paid
+
+  const recipients = [
+    {
+      id: booking.client_id,
+      profile: client,
+      data: {
+        recipientRole: 'client',
+        refundAmount: paid ? refund.amount : null,
+        refundPercent: outcome.refundPercent
+      }
+    },
+    {
+      id: booking.companion_id,
+      profile: companion,
+      data: {
+        recipientRole: 'companion',
+        companionCompensation: paid ? outcome.companionCompensation : 0
+      }
+    }
+  ]
+
+  for (const recipient of recipients) {
+    await sendNotification(
+      recipient.id,
+      NOTIFICATION_TYPES.BOOKING_CANCELLED,
+      {
+        date: serialized.date,
+        time: serialized.time,
+        cancelledBy: outcome.cancelledBy,
+        policyName,
+        ...recipient.data
+      },
+      {
+        inApp: true,
+        email: true,
+        push: true,
+        userEmail: recipient.profile?.email || null,
+        pushToken: null
+      }
+    )
+  }
+}
+
+/**
+ * Release escrowed funds to the companion
+ * Without a hold the Paystack split configured at charge time already paid them.
+ */
+async function releasePayment(context) {
+  const escrow = await getEscrow(context.booking.id)
+  if (!escrow) return
+
+  context.escrow = escrow
+  context.paymentAction = 'escrow_held'
+  const result = await releaseEscrow(context.booking)
+  if (result.released) {
+    context.paymentAction = 'escrow_released'
+  }
+}
+
+/**
+ * Give both parties until the review deadline to review each other
+ */
+async function startReviewWindow(context) {
+  context.reviewDeadline = await openReviewWindow(context.booking)
+}
+
+/**
+ * Ask both parties for a review and tell the companion about their earnings
+ * With escrow the earnings are only announced once the hold is released.
+ */
+async function notifyCompleted({ booking, serialized, appUrl, escrow, paymentAction, reviewDeadline, getParties }) {
+  const { client, companion } = await getParties()
+  const deadline = reviewDeadline
+    ? new Date(reviewDeadline).toLocaleDateString('en-US', { month: 'long', day: 'numeric', timeZone: getAppTimeZone() })
+    : null
+
+  await sendNotification(
+    booking.client_id,
+    NOTIFICATION_TYPES.BOOKING_COMPLETED,
+    {
+      companionName: getDisplayName(companion, 'Your companion'),
+      reviewUrl: `${appUrl}/client/dashboard?booking=${booking.id}&review=true`,
+      reviewDeadline: deadline
+    },
+    {
+      inApp: true,
+      email: true,
+      push: false,
+      userEmail: client?.email || null,
+      pushToken: null
+    }
+  )
+
+  await sendNotification(
+    booking.companion_id,
+    NOTIFICATION_TYPES.BOOKING_COMPLETED,
+    {
+      clientName: getDisplayName(client, 'Your client'),
+      reviewUrl: `${appUrl}/companion/dashboard?booking=${booking.id}&review=true`,
+      reviewDeadline: deadline
+    },
+    {
+      inApp: true,
+      email: true,
+      push: false,
+      userEmail: companion?.email || null,
+      pushToken: null
+    }
+  )
+
+  if (escrow && paymentAction !== 'escrow_released') return
+
+  await sendNotification(
+    booking.companion_id,
+    NOTIFICATION_TYPES.PAYMENT_RECEIVED,
+    {
+      amount: `$${(serialized.price * (serialized.companionSharePercent ?? 100) / 100).toFixed(2)}`,
+      date: serialized.date,
+      dashboardUrl: `${appUrl}/companion/dashboard`
+    },
+    {
+      inApp: true,
+      email: true,
+      push: false,
+      userEmail: companion?.email || null,
+      pushToken: null
+    }
+  )
+}
+
+/**
+ * Update the companion's response and completion rates
+ */
+async function refreshScorecard({ booking }) {
+  await refreshCompanionScorecard(booking.companion_id)
+}
@@ -0,0 +1,288 @@
+/**
+ * Bookings Data Access
+ *
+ * Provides utilities for:
+ * - Listing bookings with role-aware visibility and pagination
+ * - Creating and updating rows in the `bookings` table
+ * - Checking a requested slot against the companion's schedule and bookings
+ * - Mapping database rows to the shape the UI expects
+ */
+
+import { getDb } from './db'
+import {
+  formatDate,
+  formatTime,
+  getDefaultAvailability,
+  getStartOfDay,
+  hasBookingConflict,
+  isWithinAvailability,
+  suggestAlternativeSlots
+} from './calendar'
+
+export const BOOKING_STATUSES = ['pending', 'accepted', 'completed', 'declined', 'cancelled']
+
+// Bookings that hold the companion's time. Must match the WHERE clause of the
+// bookings_no_overlap exclusion constraint in schema.sql.
+export const ACTIVE_BOOKING_STATUSES = ['pending', 'accepted']
+
+// How far ahead to look for alternative slots when a request is rejected
+const SUGGESTION_WINDOW_DAYS = 7
+
+const DEFAULT_PAGE_SIZE = 10
+const MAX_PAGE_SIZE = 100
+
+/**
+ * Visibility filter for a user
+ * Clients see bookings they made, companions see bookings made with them,
+ * admins see everything.
+ */
+function visibilityFilter(user) {
+  if (user.role === 'admin') return {}
+  if (user.role === 'companion') return { companion_id: user.id }
+  return { client_id: user.id }
+}
+
+/**
+ * Check whether a user is a participant of a booking
+ */
+export function isBookingParticipant(booking, user) {
+  return booking.client_id === user.id || booking.companion_id === user.id
+}
+
+/**
+ * List bookings visible to the user
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - { status, page, limit }
+ * @returns {Promise<Object>} { bookings, pagination }
+ */
+export async function listBookings(user, { status, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const pageNum = Math.max(1, parseInt(page) || 1)
+  const limitNum = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || DEFAULT_PAGE_SIZE))
+  const offset = (pageNum - 1) * limitNum
+
+  const statuses = status ? String(status).split(',').map(s => s.trim()) : null
+
+  const { rows, total } = await getDb().findMany('bookings', {
+    where: {
+      ...visibilityFilter(user),
+      ...(statuses && { status: { in: statuses } })
+    },
+    orderBy: { column: 'start_time', ascending: false },
+    limit: limitNum,
+    offset
+  })
+
+  return {
+    bookings: rows,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum),
+      hasMore: offset + limitNum < total
+    }
+  }
+}
+
+/**
+ * Fetch a booking by id
+ */
+export async function getBooking(bookingId) {
+  return getDb().findOne('bookings', { id: bookingId })
+}
+
+/**
+ * Fetch a booking only if the user may see it
+ * @returns {Promise<Object|null>} Booking row, or null if missing or not visible
+ */
+export async function getBookingForUser(bookingId, user) {
+  const booking = await getBooking(bookingId)
+  if (!booking) return null
+  if (user.role !== 'admin' && !isBookingParticipant(booking, user)) return null
+  return booking
+}
+
+/**
+ * Insert a new booking
+ * @param {Object} booking - Booking fields in camelCase
+ * @returns {Promise<Object>} Inserted row
+ */
+export async function createBooking({
+  clientId,
+  companionId,
+  startTime,
+  endTime,
+  durationHours,
+  totalPrice,
+  location,
+  notes = null,
+  companionSharePercent = null,
+  platformSharePercent = null,
+  cancellationPolicy = null,
+  metadata = null
+}) {
+  return getDb().insert('bookings', {
+    client_id: clientId,
+    companion_id: companionId,
+    start_time: new Date(startTime).toISOString(),
+    end_time: new Date(endTime).toISOString(),
+    duration_hours: durationHours,
+    total_price: totalPrice,
+    location,
+    notes,
+    status: 'pending',
+    companion_share_percent: companionSharePercent,
+    platform_share_percent: platformSharePercent,
+    cancellation_policy: cancellationPolicy,
+    metadata
+  })
+}
+
+/**
+ * Update a booking
+ * Status changes should go through transitionBooking in bookingStateMachine.js.
+ * @param {number} bookingId - Booking ID
+ * @param {Object} patch - Columns to update (snake_case)
+ * @param {Object} options - { expectedStatus } only update if the booking is still in this status
+ * @returns {Promise<Object|null>} Updated row, or null if nothing matched
+ */
+export async function updateBooking(bookingId, patch, { expectedStatus } = {}) {
+  const [updated] = await getDb().update('bookings', {
+    id: bookingId,
+    ...(expectedStatus && { status: expectedStatus })
+  }, patch)
+  return updated || null
+}
+
+/**
+ * List a companion's active bookings that overlap a time window
+ * @param {string} companionId - Companion profile ID
+ * @param {Object} window - { from, to, excludeBookingId }
+ * @returns {Promise<Array>} Booking rows ordered by start time
+ */
+export async function listActiveCompanionBookings(companionId, { from, to, excludeBookingId } = {}) {
+  const { rows } = await getDb().findMany('bookings', {
+    where: {
+      companion_id: companionId,
+      status: { in: ACTIVE_BOOKING_STATUSES },
+      ...(to && { start_time: { lt: new Date(to).toISOString() } }),
+      ...(from && { end_time: { gt: new Date(from).toISOString() } }),
+      ...(excludeBookingId && { id: { neq: excludeBookingId } })
+    },
+    orderBy: 'start_time'
+  })
+  return rows
+}
+
+/**
+ * List active bookings overlapping a time window for several companions at once
+ * @param {Array} companionIds - Companion profile IDs
+ * @param {Object} window - { from, to }
+ * @returns {Promise<Map>} companionId -> booking rows ordered by start time
+ */
+export async function listActiveBookingsForCompanions(companionIds, { from, to } = {}) {
+  const byCompanion = new Map(companionIds.map(id => [id, []]))
+  if (companionIds.length === 0) return byCompanion
+
+  const { rows } = await getDb().findMany('bookings', {
+    where: {
+      companion_id: { in: companionIds },
+      status: { in: ACTIVE_BOOKING_STATUSES },
+      ...(to && { start_time: { lt: new Date(to).toISOString() } }),
+      ...(from && { end_time: { gt: new Date(from).toISOString() } })
+    },
+    orderBy: 'start_time'
+  })
+
+  for (const booking of rows) {
+    byCompanion.get(booking.companion_id)?.push(booking)
+  }
+  return byCompanion
+}
+
+/**
+ * Check whether a companion can take a booking for the given time range
+ * @param {Object} companion - Companion profile row
+ * @param {Object} slot - { startTime, endTime, bufferMinutes, excludeBookingId, checkAvailability }
+ * @returns {Promise<Object>} { available: true } or
+ *   { available: false, reason: 'outside_availability' | 'conflict', suggestedSlots }
+ */
+export async function checkBookingSlot(companion, {
+  startTime,
+  endTime,
+  bufferMinutes = 0,
+  excludeBookingId = null,
+  checkAvailability = true
+}) {
+  const start = new Date(startTime)
+  const end = new Date(endTime)
+  const bufferMs = bufferMinutes * 60 * 1000
+  const availability = companion.availability_schedule || getDefaultAvailability()
+  const requested = { start_time: start, end_time: end }
+
+  // Load the whole suggestion window up front so alternatives need no extra queries
+  const dayStart = getStartOfDay(start)
+  const existingBookings = await listActiveCompanionBookings(companion.id, {
+    from: new Date(dayStart.getTime() - bufferMs),
+    to: new Date(dayStart.getTime() + (SUGGESTION_WINDOW_DAYS + 1) * 24 * 60 * 60 * 1000 + bufferMs),
+    excludeBookingId
+  })
+
+  let reason = null
+  if (checkAvailability && !isWithinAvailability(requested, availability)) {
+    reason = 'outside_availability'
+  } else if (hasBookingConflict(requested, existingBookings, { bufferMinutes })) {
+    reason = 'conflict'
+  }
+
+  if (!reason) {
+    return { available: true }
+  }
+
+  return {
+    available: false,
+    reason,
+    suggestedSlots: suggestAlternativeSlots(requested, existingBookings, availability, {
+      bufferMinutes,
+      days: SUGGESTION_WINDOW_DAYS
+    })
+  }
+}
+
+/**
+ * Check whether a database error is the bookings_no_overlap exclusion violation
+ * Postgres raises it when a concurrent request claimed the same slot first.
+ */
+export function isBookingOverlapError(error) {
+  return error?.code === '23P01'
+}
+
+/**
+ * Map a booking row to the API response shape
+ * Keeps the legacy date/time/duration fields the dashboards render.
+ */
+export function serializeBooking(booking) {
+  return {
+    id: booking.id,
+    clientId: booking.client_id,
+    companionId: booking.companion_id,
+    startTime: booking.start_time,
+    endTime: booking.end_time,
+    date: formatDate(booking.start_time),
+    time: formatTime(booking.start_time),
+    duration: booking.duration_hours,
+    location: booking.location,
+    notes: booking.notes,
+    status: booking.status,
+    price: Number(booking.total_price),
+    companionSharePercent: booking.companion_share_percent === null
+      ? null
+      : Number(booking.companion_share_percent),
+    platformSharePercent: booking.platform_share_percent === null
+      ? null
+      : Number(booking.platform_share_percent),
+    cancellationPolicy: booking.cancellation_policy || null,
+    reviewDeadline: booking.review_deadline || null,
+    createdAt: booking.created_at
+  }
+}
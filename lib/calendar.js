@@ -8,32 +8,125 @@
  * - Booking conflict detection
  */
 
+// Bookings, working hours and "today" all follow the platform's own clock,
+// not the timezone of whichever server or browser runs this code
+const DEFAULT_TIME_ZONE = 'Africa/Lagos'
+
+const zonedFormatters = new Map()
+
+/**
+ * Timezone that booking dates and times are expressed in
+ */
+export function getAppTimeZone() {
+  return process.env.NEXT_PUBLIC_APP_TIME_ZONE || DEFAULT_TIME_ZONE
+}
+
 /**
- * Format a date to YYYY-MM-DD
+ * Wall-clock fields of an instant in the app timezone
+ * @returns {Object} { year, month, day, hour, minute, second, weekday }
+ */
+function getZonedParts(date) {
+  const timeZone = getAppTimeZone()
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'long',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }))
+  }
+
+  const parts = {}
+  for (const { type, value } of zonedFormatters.get(timeZone).formatToParts(date)) {
+    parts[type] = type === 'weekday' ? value.toLowerCase() : Number(value)
+  }
+  return parts
+}
+
+/**
+ * Milliseconds the app timezone is ahead of UTC at the given instant
+ */
+function getTimeZoneOffset(date) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date)
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second)
+  return wallClock - (date.getTime() - date.getMilliseconds())
+}
+
+/**
+ * Format a date to YYYY-MM-DD in the app timezone
  */
 export function formatDate(date) {
-  const d = new Date(date)
-  const year = d.getFullYear()
-  const month = String(d.getMonth() + 1).padStart(2, '0')
-  const day = String(d.getDate()).padStart(2, '0')
-  return `${year}-${month}-${day}`
+  const { year, month, day } = getZonedParts(new Date(date))
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
 }
 
 /**
- * Format time to HH:MM (24-hour format)
+ * Format time to HH:MM (24-hour format) in the app timezone
  */
 export function formatTime(date) {
-  const d = new Date(date)
-  const hours = String(d.getHours()).padStart(2, '0')
-  const minutes = String(d.getMinutes()).padStart(2, '0')
-  return `${hours}:${minutes}`
+  const { hour, minute } = getZonedParts(new Date(date))
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
+}
+
+/**
+ * Format a calendar grid day (a Date built from local year/month/day, as
+ * getDatesInMonth returns) to YYYY-MM-DD
+ */
+export function formatCalendarDate(date) {
+  const year = date.getFullYear()
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${year}-${month}-${day}`
 }
 
 /**
- * Parse date and time strings into a Date object
+ * Parse date and time strings, read as wall-clock time in the app timezone
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {string} timeStr - Time in HH:MM (or HH:MM:SS) format
+ * @returns {Date} The instant, or an invalid Date for malformed input
  */
 export function parseDateTime(dateStr, timeStr) {
-  return new Date(`${dateStr}T${timeStr}`)
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr || '')
+  const timeMatch = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(timeStr || '')
+  if (!dateMatch || !timeMatch) {
+    return new Date(NaN)
+  }
+
+  const [, year, month, day] = dateMatch.map(Number)
+  const [, hours, minutes, seconds = 0] = timeMatch.map(value => Number(value || 0))
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds)
+
+  // Take the offset at the first guess, then again at the result, so times
+  // just after a daylight-saving change land on the right side of it
+  const guess = new Date(wallClock - getTimeZoneOffset(new Date(wallClock)))
+  return new Date(wallClock - getTimeZoneOffset(guess))
+}
+
+/**
+ * Lowercase weekday name (e.g. "monday") of an instant in the app timezone
+ */
+export function getDayName(date) {
+  return getZonedParts(new Date(date)).weekday
+}
+
+/**
+ * Midnight in the app timezone of the day an instant falls on
+ */
+export function getStartOfDay(date) {
+  return parseDateTime(formatDate(date), '00:00')
+}
+
+/**
+ * Shift a YYYY-MM-DD date by whole calendar days
+ */
+export function addDays(dateStr, days) {
+  const [year, month, day] = dateStr.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10)
 }
 
 /**
@@ -142,46 +235,94 @@ export function calculateEndTime(startTime, durationHours) {
   return `${String(endHours).padStart(2, '0')}:${String(endMinutes).padStart(2, '0')}`
 }
 
+// Bookings in these states no longer hold the companion's time
+const INACTIVE_BOOKING_STATUSES = ['cancelled', 'rejected', 'declined']
+
+/**
+ * Get the absolute start and end of a booking
+ * Accepts database rows (start_time/end_time), API bookings (startTime/endTime)
+ * or the date/time/duration shape used by the booking form.
+ * @param {Object} booking - Booking in any of the supported shapes
+ * @returns {Object} { start: Date, end: Date }
+ */
+export function getBookingRange(booking) {
+  const start = booking.start_time || booking.startTime
+  const end = booking.end_time || booking.endTime
+
+  if (start && end) {
+    return { start: new Date(start), end: new Date(end) }
+  }
+
+  const startDate = parseDateTime(booking.date, booking.time)
+  const durationMs = Number(booking.duration) * 60 * 60 * 1000
+  return { start: startDate, end: new Date(startDate.getTime() + durationMs) }
+}
+
 /**
  * Check if a booking conflicts with existing bookings
- * @param {Object} newBooking - New booking with date, time, duration
+ * Ranges are compared as absolute timestamps, so bookings that run past
+ * midnight are handled correctly.
+ * @param {Object} newBooking - New booking (see getBookingRange for shapes)
  * @param {Array} existingBookings - Array of existing bookings
+ * @param {Object} options - { bufferMinutes } travel time required between bookings
  * @returns {boolean} True if there's a conflict
  */
-export function hasBookingConflict(newBooking, existingBookings) {
+export function hasBookingConflict(newBooking, existingBookings, { bufferMinutes = 0 } = {}) {
   if (!existingBookings || existingBookings.length === 0) {
     return false
   }
-  
-  const newEndTime = calculateEndTime(newBooking.time, newBooking.duration)
-  
+
+  const { start, end } = getBookingRange(newBooking)
+  const bufferMs = bufferMinutes * 60 * 1000
+
   return existingBookings.some(booking => {
-    // Only check bookings on the same date
-    if (booking.date !== newBooking.date) {
+    // Skip cancelled bookings
+    if (INACTIVE_BOOKING_STATUSES.includes(booking.status)) {
       return false
     }
-    
-    // Skip cancelled bookings
-    if (booking.status === 'cancelled' || booking.status === 'rejected') {
+
+    // A booking never conflicts with itself (e.g. when re-checking on accept)
+    if (newBooking.id !== undefined && booking.id === newBooking.id) {
       return false
     }
-    
-    const existingEndTime = calculateEndTime(booking.time, booking.duration)
-    return timeRangesOverlap(newBooking.time, newEndTime, booking.time, existingEndTime)
+
+    const existing = getBookingRange(booking)
+    return start.getTime() < existing.end.getTime() + bufferMs &&
+      end.getTime() > existing.start.getTime() - bufferMs
   })
 }
 
+/**
+ * Check if a booking falls entirely inside the companion's working hours
+ * @param {Object} booking - Booking (see getBookingRange for shapes)
+ * @param {Object} availability - Companion's availability settings
+ * @returns {boolean} True if the day is enabled and the booking fits its hours
+ */
+export function isWithinAvailability(booking, availability = {}) {
+  const { start, end } = getBookingRange(booking)
+  const dayAvailability = availability[getDayName(start)]
+
+  if (!dayAvailability || !dayAvailability.enabled) {
+    return false
+  }
+
+  const date = formatDate(start)
+  const dayStart = parseDateTime(date, dayAvailability.startTime || '09:00')
+  const dayEnd = parseDateTime(date, dayAvailability.endTime || '21:00')
+
+  return start >= dayStart && end <= dayEnd
+}
+
 /**
  * Get available time slots for a specific date
  * @param {string} date - Date in YYYY-MM-DD format
  * @param {Array} existingBookings - Array of existing bookings for that date
  * @param {Object} availability - Companion's availability settings
+ * @param {Object} options - { duration, bufferMinutes } duration in hours (default: 1)
  * @returns {Array} Array of available time slots
  */
-export function getAvailableSlots(date, existingBookings = [], availability = {}) {
-  const dayOfWeek = new Date(date).getDay()
-  const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
-  const dayName = dayNames[dayOfWeek]
+export function getAvailableSlots(date, existingBookings = [], availability = {}, { duration = 1, bufferMinutes = 0 } = {}) {
+  const dayName = getDayName(parseDateTime(date, '00:00'))
   
   // Get availability for this day of week
   const dayAvailability = availability[dayName]
@@ -197,17 +338,57 @@ export function getAvailableSlots(date, existingBookings = [], availability = {}
     60 // 1-hour slots
   )
   
-  // Filter out slots that conflict with existing bookings
+  // Keep slots where the whole booking fits the working hours and is free
   return allSlots.filter(slot => {
     const testBooking = {
       date,
       time: slot,
-      duration: 1 // Check with 1-hour duration
+      duration
     }
-    return !hasBookingConflict(testBooking, existingBookings)
+    return isWithinAvailability(testBooking, availability) &&
+      !hasBookingConflict(testBooking, existingBookings, { bufferMinutes })
   })
 }
 
+/**
+ * Suggest alternative slots when a requested booking can't be made
+ * Slots on the requested day come first (closest to the requested time),
+ * followed by the following days in order.
+ * @param {Object} booking - Requested booking (see getBookingRange for shapes)
+ * @param {Array} existingBookings - Companion's bookings covering the search window
+ * @param {Object} availability - Companion's availability settings
+ * @param {Object} options - { bufferMinutes, limit, days, now }
+ * @returns {Array} Array of { date, time, duration }
+ */
+export function suggestAlternativeSlots(booking, existingBookings = [], availability = {}, {
+  bufferMinutes = 0,
+  limit = 5,
+  days = 7,
+  now = new Date()
+} = {}) {
+  const { start, end } = getBookingRange(booking)
+  const duration = (end.getTime() - start.getTime()) / (60 * 60 * 1000)
+  const suggestions = []
+
+  for (let offset = 0; offset < days && suggestions.length < limit; offset++) {
+    const date = addDays(formatDate(start), offset)
+    const distance = (time) => Math.abs(parseDateTime(date, time).getTime() - start.getTime())
+
+    const slots = getAvailableSlots(date, existingBookings, availability, { duration, bufferMinutes })
+      .filter(time => parseDateTime(date, time) > now)
+
+    if (offset === 0) {
+      slots.sort((a, b) => distance(a) - distance(b))
+    }
+
+    for (const time of slots.slice(0, limit - suggestions.length)) {
+      suggestions.push({ date, time, duration })
+    }
+  }
+
+  return suggestions
+}
+
 /**
  * Create default availability schedule (9 AM - 9 PM, Monday-Friday)
  */
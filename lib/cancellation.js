@@ -0,0 +1,142 @@
+/**
+ * Cancellation Policy Utilities
+ *
+ * Provides utilities for:
+ * - Describing the flexible / moderate / strict cancellation policies
+ * - Calculating the refund and companion compensation for a cancellation
+ * - Building the refund schedule shown to clients before they book
+ *
+ * Pure functions only - safe to import from components as well as API routes.
+ * The platform default lives in `platform_settings.cancellation_policy`; a
+ * companion can override it with `profiles.cancellation_policy`, and the
+ * policy in force is snapshotted onto each booking when it is created.
+ */
+
+/**
+ * Refund tiers are checked in order; the first tier whose `minHoursBefore`
+ * is met by the time left before start_time applies. Cancelling later than
+ * the last tier (or after the booking started) refunds nothing.
+ */
+export const CANCELLATION_POLICIES = {
+  flexible: {
+    name: 'Flexible',
+    description: 'Full refund up to 24 hours before the booking, 50% after that.',
+    tiers: [
+      { minHoursBefore: 24, refundPercent: 100 },
+      { minHoursBefore: 0, refundPercent: 50 }
+    ]
+  },
+  moderate: {
+    name: 'Moderate',
+    description: 'Full refund up to 72 hours before the booking, 50% up to 24 hours before.',
+    tiers: [
+      { minHoursBefore: 72, refundPercent: 100 },
+      { minHoursBefore: 24, refundPercent: 50 }
+    ]
+  },
+  strict: {
+    name: 'Strict',
+    description: 'Full refund up to 7 days before the booking, 50% up to 48 hours before.',
+    tiers: [
+      { minHoursBefore: 168, refundPercent: 100 },
+      { minHoursBefore: 48, refundPercent: 50 }
+    ]
+  }
+}
+
+export const CANCELLATION_POLICY_KEYS = Object.keys(CANCELLATION_POLICIES)
+
+export const DEFAULT_CANCELLATION_POLICY = 'moderate'
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100
+
+/**
+ * Resolve the policy key in force
+ * @param {...string} candidates - Policy keys in priority order (e.g. booking, companion, platform)
+ * @returns {string} First valid key, or the default policy
+ */
+export function resolveCancellationPolicy(...candidates) {
+  return candidates.find(key => CANCELLATION_POLICY_KEYS.includes(key)) || DEFAULT_CANCELLATION_POLICY
+}
+
+/**
+ * Get the refund percentage for a client cancellation
+ * @param {string} policyKey - Policy key
+ * @param {number} hoursBeforeStart - Hours left before start_time (negative once started)
+ * @returns {number} Refund percentage (0-100)
+ */
+export function getRefundPercent(policyKey, hoursBeforeStart) {
+  const policy = CANCELLATION_POLICIES[resolveCancellationPolicy(policyKey)]
+  const tier = policy.tiers.find(t => hoursBeforeStart >= t.minHoursBefore)
+  return tier ? tier.refundPercent : 0
+}
+
+/**
+ * Calculate what happens to the money when a booking is cancelled
+ *
+ * - Companion or admin cancels, or the request was never accepted: full refund
+ * - Client cancels an accepted booking: refund per the policy tiers; the
+ *   companion receives their share of whatever the client doesn't get back
+ *
+ * @param {Object} params - { totalPrice, startTime, policy, cancelledBy, bookingStatus, companionSharePercent, now }
+ * @returns {Object} { policy, cancelledBy, hoursBeforeStart, refundPercent, refundAmount,
+ *   companionCompensation, platformRetained }
+ */
+export function calculateCancellationOutcome({
+  totalPrice,
+  startTime,
+  policy,
+  cancelledBy,
+  bookingStatus = 'accepted',
+  companionSharePercent = 100,
+  now = new Date()
+}) {
+  const policyKey = resolveCancellationPolicy(policy)
+  const price = Number(totalPrice) || 0
+  const hoursBeforeStart = (new Date(startTime).getTime() - new Date(now).getTime()) / (60 * 60 * 1000)
+
+  const refundPercent = cancelledBy === 'client' && bookingStatus === 'accepted'
+    ? getRefundPercent(policyKey, hoursBeforeStart)
+    : 100
+
+  const refundAmount = roundMoney(price * refundPercent / 100)
+  const retained = roundMoney(price - refundAmount)
+  const companionCompensation = roundMoney(retained * (companionSharePercent ?? 100) / 100)
+
+  return {
+    policy: policyKey,
+    cancelledBy,
+    hoursBeforeStart: Math.round(hoursBeforeStart * 10) / 10,
+    refundPercent,
+    refundAmount,
+    companionCompensation,
+    platformRetained: roundMoney(retained - companionCompensation)
+  }
+}
+
+/**
+ * Build the refund schedule for a booking, for display before payment
+ * @param {string} policyKey - Policy key
+ * @param {Date|string} startTime - Booking start
+ * @param {number} totalPrice - Booking price
+ * @returns {Array} Array of { until, refundPercent, refundAmount } in chronological order;
+ *   `until` is the last moment the tier applies (null for the final, no-refund tier)
+ */
+export function getRefundSchedule(policyKey, startTime, totalPrice) {
+  const policy = CANCELLATION_POLICIES[resolveCancellationPolicy(policyKey)]
+  const start = new Date(startTime).getTime()
+  const price = Number(totalPrice) || 0
+
+  const schedule = policy.tiers.map(tier => ({
+    until: new Date(start - tier.minHoursBefore * 60 * 60 * 1000),
+    refundPercent: tier.refundPercent,
+    refundAmount: roundMoney(price * tier.refundPercent / 100)
+  }))
+
+  const lastTier = policy.tiers[policy.tiers.length - 1]
+  if (lastTier.minHoursBefore > 0) {
+    schedule.push({ until: null, refundPercent: 0, refundAmount: 0 })
+  }
+
+  return schedule
+}
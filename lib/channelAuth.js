@@ -0,0 +1,85 @@
+/**
+ * Pusher Channel Authorization
+ *
+ * Decides whether a user may subscribe to a private or presence channel
+ * before lib/pusher.js signs the subscription. Anything not listed here
+ * is refused.
+ *
+ * CHANNELS:
+ * - private-user-{userId} / presence-user-{userId}: only that user
+ *   (notifications, online status)
+ * - private-conversation-{bookingId} / presence-conversation-{bookingId}:
+ *   the booking's client and companion while the chat can be read
+ *   (CHAT_HISTORY_STATUSES), the same rule as loading the conversation
+ * - private-booking-{bookingId}: the booking's client and companion
+ *
+ * Presence channels carry { user_id, user_info: { role } } so members can
+ * tell who else is there without another request.
+ */
+
+import { getBooking, isBookingParticipant } from './bookings'
+import { CHAT_HISTORY_STATUSES } from './chat'
+import { signChannelSubscription } from './pusher'
+
+// Pusher socket ids look like "1234.5678"
+const SOCKET_ID_PATTERN = /^\d+\.\d+$/
+const CHANNEL_PATTERN = /^(private|presence)-(user|conversation|booking)-([A-Za-z0-9-]+)$/
+const BOOKING_ID_PATTERN = /^\d+$/
+
+// Channel scopes that may be joined as presence channels
+const PRESENCE_SCOPES = ['user', 'conversation']
+
+/**
+ * Split a channel name into its parts
+ * @param {string} channelName - e.g. private-conversation-42
+ * @returns {Object|null} { type, scope, id }, or null if the name isn't one of ours
+ */
+export function parseChannelName(channelName) {
+  const match = typeof channelName === 'string' && channelName.match(CHANNEL_PATTERN)
+  if (!match) return null
+
+  const [, type, scope, id] = match
+  if (type === 'presence' && !PRESENCE_SCOPES.includes(scope)) return null
+  if (scope !== 'user' && !BOOKING_ID_PATTERN.test(id)) return null
+
+  return { type, scope, id }
+}
+
+/**
+ * Check the user may subscribe to a channel and sign the subscription
+ * @param {string} socketId - Socket ID from Pusher
+ * @param {string} channelName - Channel being subscribed to
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { auth } with the signature for the Pusher client, or { status, message }
+ */
+export async function authorizeChannel(socketId, channelName, user) {
+  if (typeof socketId !== 'string' || !SOCKET_ID_PATTERN.test(socketId)) {
+    return { status: 400, message: 'Invalid socket_id' }
+  }
+
+  const channel = parseChannelName(channelName)
+  if (!channel) {
+    return { status: 403, message: 'Invalid channel name' }
+  }
+
+  if (channel.scope === 'user') {
+    if (channel.id !== String(user.id)) {
+      return { status: 403, message: 'Access denied to this channel' }
+    }
+  } else {
+    const booking = await getBooking(channel.id)
+    // Same answer whether the booking is missing or someone else's
+    if (!booking || !isBookingParticipant(booking, user)) {
+      return { status: 403, message: 'Access denied to this channel' }
+    }
+    if (channel.scope === 'conversation' && !CHAT_HISTORY_STATUSES.includes(booking.status)) {
+      return { status: 403, message: 'Chat is not available for this booking' }
+    }
+  }
+
+  const presenceData = channel.type === 'presence'
+    ? { user_id: String(user.id), user_info: { role: user.role } }
+    : undefined
+
+  return { auth: signChannelSubscription(socketId, channelName, presenceData) }
+}
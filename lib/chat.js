@@ -0,0 +1,357 @@
+/**
+ * Chat Data Access
+ *
+ * Every accepted booking gets a chat (see create_chat_on_booking_accepted in
+ * schema.sql). Participants can send messages while the booking is accepted
+ * and read the history once it's completed.
+ *
+ * RECEIPTS:
+ * - delivered_at: the recipient loaded the message (conversation list or history)
+ * - read_at: the recipient had the conversation open and marked it read
+ * Both are set once and never cleared; the sender is told over Pusher.
+ *
+ * ATTACHMENTS:
+ * - Uploaded ahead of sending (lib/attachments.js) and linked to the message;
+ *   a message with attachments may have no text
+ *
+ * PAGINATION:
+ * - History is loaded newest first with the oldest loaded message id as the
+ *   cursor, so messages arriving in the meantime don't shift the pages
+ */
+
+import { getDb } from './db'
+import { getBooking, isBookingParticipant } from './bookings'
+import { formatDate, formatTime } from './calendar'
+import { getDisplayName } from './profiles'
+import { sendConversationEvent } from './pusher'
+import { attachToMessage, getMessageAttachments, serializeAttachment } from './attachments'
+
+// Booking statuses in which participants can send messages
+export const CHAT_OPEN_STATUSES = ['accepted']
+// Booking statuses in which the history can still be read
+export const CHAT_HISTORY_STATUSES = ['accepted', 'completed']
+
+export const MAX_MESSAGE_LENGTH = 5000
+
+const DEFAULT_PAGE_SIZE = 30
+const MAX_PAGE_SIZE = 100
+const MAX_CONVERSATIONS = 100
+
+/**
+ * Load a booking's chat for one of its participants
+ * @param {string|number} bookingId - Booking id
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { booking, chat, canSend } or { status, message, hint? }
+ */
+export async function getConversation(bookingId, user) {
+  const db = getDb()
+  const booking = await getBooking(bookingId)
+  if (!booking || !isBookingParticipant(booking, user)) {
+    return { status: 403, message: 'Access denied to this conversation' }
+  }
+
+  if (!CHAT_HISTORY_STATUSES.includes(booking.status)) {
+    return {
+      status: 403,
+      message: 'Chat is not available for this booking',
+      hint: booking.status === 'pending'
+        ? 'Chat will be available once the companion accepts the booking'
+        : 'Chat is no longer available for this booking'
+    }
+  }
+
+  let chat = await db.findOne('chats', { booking_id: booking.id })
+  if (!chat) {
+    // Postgres opens the chat when the booking is accepted; other adapters
+    // may not have, and completed bookings without one have no history
+    if (!CHAT_OPEN_STATUSES.includes(booking.status)) {
+      return { status: 403, message: 'Chat is no longer available for this booking' }
+    }
+    try {
+      chat = await db.insert('chats', { booking_id: booking.id })
+    } catch (error) {
+      // unique_violation: opened by a concurrent request
+      if (error?.code !== '23505') throw error
+      chat = await db.findOne('chats', { booking_id: booking.id })
+    }
+  }
+
+  return { booking, chat, canSend: CHAT_OPEN_STATUSES.includes(booking.status) }
+}
+
+/**
+ * The other participant of a booking
+ * @returns {Object} { id, role }
+ */
+export function getOtherParty(booking, user) {
+  return booking.client_id === user.id
+    ? { id: booking.companion_id, role: 'companion' }
+    : { id: booking.client_id, role: 'client' }
+}
+
+/**
+ * Load a page of a conversation's history, newest first
+ * Messages from the other participant are marked delivered.
+ * @param {Object} conversation - From getConversation
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - { before: message id cursor, limit }
+ * @returns {Promise<Object>} { messages (oldest first), nextCursor, hasMore }
+ */
+export async function listMessages({ booking, chat }, user, { before = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const limitNum = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || DEFAULT_PAGE_SIZE))
+  const cursor = before === null || before === undefined || before === '' ? null : Number(before)
+
+  const { rows, total } = await getDb().findMany('messages', {
+    where: {
+      chat_id: chat.id,
+      ...(cursor !== null && { id: { lt: cursor } })
+    },
+    orderBy: { column: 'id', ascending: false },
+    limit: limitNum
+  })
+
+  await markDelivered([chat], new Map([[chat.id, booking]]), user)
+
+  const hasMore = total > rows.length
+  return {
+    messages: rows.reverse(),
+    nextCursor: hasMore ? rows[0].id : null,
+    hasMore
+  }
+}
+
+/**
+ * Store a message from a participant
+ * @param {Array} attachments - Unsent uploads to send with it, from getSendableAttachments
+ * @returns {Promise<Object>} { message, attachments } with the attachments serialized
+ */
+export async function createMessage({ chat }, user, content, attachments = []) {
+  const message = await getDb().insert('messages', {
+    chat_id: chat.id,
+    sender_id: user.id,
+    content
+  })
+  const linked = await attachToMessage(attachments, message)
+  return {
+    message,
+    attachments: await Promise.all((linked || []).map(serializeAttachment))
+  }
+}
+
+/**
+ * Mark the other participant's messages delivered to the user
+ * Each sender is told the newest message that reached the user.
+ * @param {Array} chats - Chat rows
+ * @param {Map} bookingsByChat - chatId -> booking, for the Pusher channel
+ * @param {Object} user - The recipient
+ */
+async function markDelivered(chats, bookingsByChat, user) {
+  if (chats.length === 0) return
+
+  const deliveredAt = new Date().toISOString()
+  const updated = await getDb().update('messages', {
+    chat_id: { in: chats.map(chat => chat.id) },
+    sender_id: { neq: user.id },
+    delivered_at: null
+  }, { delivered_at: deliveredAt })
+
+  const newestByChat = new Map()
+  for (const message of updated || []) {
+    newestByChat.set(message.chat_id, Math.max(newestByChat.get(message.chat_id) || 0, message.id))
+  }
+
+  for (const [chatId, upToId] of newestByChat) {
+    const booking = bookingsByChat.get(chatId)
+    if (booking) {
+      await sendConversationEvent(booking.id, 'messages-delivered', { upToId, deliveredAt })
+    }
+  }
+}
+
+/**
+ * Mark the other participant's messages read by the user
+ * @param {Object} conversation - From getConversation
+ * @param {Object} user - The reader
+ * @param {Object} options - { upToId } newest message the user has seen;
+ *   everything is marked when omitted
+ * @returns {Promise<Object>} { count, upToId, readAt }
+ */
+export async function markRead({ booking, chat }, user, { upToId = null } = {}) {
+  const db = getDb()
+  const readAt = new Date().toISOString()
+  const where = {
+    chat_id: chat.id,
+    sender_id: { neq: user.id },
+    ...(upToId !== null && { id: { lte: Number(upToId) } })
+  }
+
+  // Read implies delivered
+  await db.update('messages', { ...where, delivered_at: null }, { delivered_at: readAt })
+  const updated = await db.update('messages', { ...where, read_at: null }, { read_at: readAt })
+
+  const newestId = (updated || []).reduce((max, message) => Math.max(max, message.id), 0)
+  if (newestId > 0) {
+    await sendConversationEvent(booking.id, 'messages-read', { upToId: newestId, readAt })
+  }
+
+  return { count: (updated || []).length, upToId: newestId || null, readAt }
+}
+
+/**
+ * Latest message and unread count of each chat for one reader
+ * @returns {Promise<Map>} chatId -> { unreadCount, lastMessage }
+ */
+async function getChatSummaries(chatIds, readerId) {
+  const summaries = new Map()
+  if (chatIds.length === 0) return summaries
+
+  const db = getDb()
+  if (db.rpc) {
+    const rows = await db.rpc('chat_summaries', { chat_ids: chatIds, reader_id: readerId })
+    for (const row of rows) {
+      summaries.set(row.chat_id, {
+        unreadCount: Number(row.unread_count),
+        lastMessage: row.last_message_id
+          ? { id: row.last_message_id, sender_id: row.last_sender_id, content: row.last_message, created_at: row.last_message_at, hidden: row.last_message_hidden }
+          : null
+      })
+    }
+    return summaries
+  }
+
+  for (const chatId of chatIds) {
+    const [latest, unread] = await Promise.all([
+      db.findMany('messages', {
+        where: { chat_id: chatId },
+        orderBy: { column: 'id', ascending: false },
+        limit: 1
+      }),
+      db.findMany('messages', {
+        where: { chat_id: chatId, sender_id: { neq: readerId }, read_at: null },
+        limit: 1
+      })
+    ])
+    summaries.set(chatId, { unreadCount: unread.total, lastMessage: latest.rows[0] || null })
+  }
+  return summaries
+}
+
+/**
+ * List the user's conversations, most recently active first
+ * Incoming messages are marked delivered, since their previews are shown.
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { conversations, unreadTotal }
+ */
+export async function listConversations(user) {
+  const db = getDb()
+
+  const { rows: bookings } = await db.findMany('bookings', {
+    where: {
+      or: [{ client_id: user.id }, { companion_id: user.id }],
+      status: { in: CHAT_HISTORY_STATUSES }
+    },
+    orderBy: { column: 'start_time', ascending: false },
+    limit: MAX_CONVERSATIONS
+  })
+  if (bookings.length === 0) return { conversations: [], unreadTotal: 0 }
+
+  const { rows: chats } = await db.findMany('chats', {
+    where: { booking_id: { in: bookings.map(booking => booking.id) } }
+  })
+  const bookingsById = new Map(bookings.map(booking => [booking.id, booking]))
+  const bookingsByChat = new Map(chats.map(chat => [chat.id, bookingsById.get(chat.booking_id)]))
+
+  const otherPartyIds = [...new Set(bookings.map(booking => getOtherParty(booking, user).id))]
+  const [summaries, profiles] = await Promise.all([
+    getChatSummaries(chats.map(chat => chat.id), user.id),
+    db.findMany('profiles', { where: { id: { in: otherPartyIds } } })
+  ])
+  await markDelivered(chats, bookingsByChat, user)
+
+  const profilesById = new Map(profiles.rows.map(profile => [profile.id, profile]))
+
+  const conversations = chats
+    .map(chat => {
+      const booking = bookingsByChat.get(chat.id)
+      const other = getOtherParty(booking, user)
+      const summary = summaries.get(chat.id) || { unreadCount: 0, lastMessage: null }
+      return serializeConversation({
+        chat,
+        booking,
+        other,
+        otherProfile: profilesById.get(other.id),
+        summary,
+        user
+      })
+    })
+    .sort((a, b) =>
+      new Date(b.lastMessageAt || b.startTime) - new Date(a.lastMessageAt || a.startTime))
+
+  return {
+    conversations,
+    unreadTotal: conversations.reduce((sum, conversation) => sum + conversation.unreadCount, 0)
+  }
+}
+
+/**
+ * Map a conversation to the API response shape
+ */
+function serializeConversation({ chat, booking, other, otherProfile, summary, user }) {
+  const { lastMessage } = summary
+  return {
+    id: chat.id,
+    bookingId: booking.id,
+    otherPartyId: other.id,
+    otherPartyRole: other.role,
+    otherPartyName: getDisplayName(otherProfile, other.role === 'client' ? 'Client' : 'Companion'),
+    status: booking.status,
+    canSend: CHAT_OPEN_STATUSES.includes(booking.status),
+    startTime: booking.start_time,
+    date: formatDate(booking.start_time),
+    time: formatTime(booking.start_time),
+    location: booking.location,
+    unreadCount: summary.unreadCount,
+    lastMessage: lastMessage ? describeLastMessage(lastMessage) : null,
+    lastMessageAt: lastMessage ? new Date(lastMessage.created_at).toISOString() : null,
+    lastMessageFromMe: lastMessage ? lastMessage.sender_id === user.id : false
+  }
+}
+
+/**
+ * Conversation list preview of a message
+ */
+function describeLastMessage(message) {
+  if (message.hidden) return 'Message removed'
+  return message.content || 'Sent an attachment'
+}
+
+/**
+ * Map message rows to the API response shape, with their attachments
+ * @returns {Promise<Array>}
+ */
+export async function serializeMessages(messages, booking) {
+  const attachments = await getMessageAttachments(messages.map(message => message.id))
+  return messages.map(message => serializeMessage(message, booking, attachments.get(message.id)))
+}
+
+/**
+ * Map a message row to the API response shape
+ * senderRole is derived from the booking rather than stored. Messages hidden
+ * by a moderator keep their place in the conversation without their content.
+ * @param {Array} attachments - Serialized attachments of the message
+ */
+export function serializeMessage(message, booking, attachments = []) {
+  const hidden = Boolean(message.hidden)
+  return {
+    id: message.id,
+    bookingId: booking.id,
+    senderId: message.sender_id,
+    senderRole: message.sender_id === booking.client_id ? 'client' : 'companion',
+    text: hidden ? '' : message.content,
+    createdAt: message.created_at,
+    deliveredAt: message.delivered_at || null,
+    readAt: message.read_at || null,
+    attachments: hidden ? [] : attachments,
+    hidden
+  }
+}
@@ -0,0 +1,469 @@
+/**
+ * Companion Search Helper Library
+ * Finds verified companions for the client search page
+ *
+ * With an origin (the client's location or a city centre) only companions
+ * whose service area covers it and who are within the search radius are
+ * returned, nearest first. Without one every verified companion matches,
+ * best rated first.
+ *
+ * With a time window ("Saturday 19:00 for 3 hours") only companions whose
+ * availability schedule covers it and who have no conflicting booking
+ * (including the platform's travel buffer) are returned. With just a date,
+ * any free slot of the requested duration that day will do. Every result
+ * carries its next available slots, nearest the requested time first.
+ *
+ * Every result also carries the companion's presence (online now, active
+ * recently or away, see lib/presence.js); `onlineOnly` keeps just the
+ * companions online now.
+ *
+ * A text query is matched against name, username, specialties and bio with
+ * synonyms and typo tolerance (see lib/searchIndex.js). By default results
+ * are ranked by that text relevance blended with the companion's scorecard
+ * (Bayesian-weighted rating, review count, response and completion rates,
+ * see lib/scorecards.js) and distance; they can also be sorted by price,
+ * rating, distance or newest first.
+ *
+ * Every filter but availability is applied in Postgres by
+ * `search_companions` (schema.sql), which also ranks, pages and counts the
+ * matches, so only the requested page of profiles is loaded. Availability
+ * depends on each companion's schedule and bookings, so with a time window
+ * the ranked matches are checked here, in batches, before paging. The
+ * in-memory adapter has no Postgres functions, so there the same filters and
+ * ranking are computed in JS.
+ *
+ * PRIVACY:
+ * - Results carry a rounded distance and the companion's city label, never
+ *   their stored coordinates
+ * - The client's origin is only used for the query, never stored
+ */
+
+import { getDb } from './db'
+import { getDisplayName } from './profiles'
+import { buildSearchIndex, buildTsQuery, parseQuery } from './searchIndex'
+import { getPlatformSettings } from './settings'
+import { listActiveBookingsForCompanions } from './bookings'
+import { PRIOR_RATING, getCompanionScorecards } from './scorecards'
+import { CONNECTED_TIMEOUT_SECONDS, HEARTBEAT_TIMEOUT_SECONDS, getCompanionPresence } from './presence'
+import {
+  getAvailableSlots,
+  getDefaultAvailability,
+  getStartOfDay,
+  hasBookingConflict,
+  isWithinAvailability,
+  parseDateTime,
+  suggestAlternativeSlots
+} from './calendar'
+import {
+  DEFAULT_SERVICE_RADIUS_KM,
+  formatDistance,
+  haversineDistanceKm,
+  roundDistanceKm
+} from './geo'
+
+// Matches are checked for availability, and profiles loaded, this many at a
+// time, which keeps the `id in (...)` filter within URL length limits
+const CANDIDATE_BATCH_SIZE = 200
+
+// Next available slots shown with each result, looking this many days ahead
+const NEXT_SLOT_COUNT = 3
+const NEXT_SLOT_DAYS = 7
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const SEARCH_SORT_OPTIONS = ['relevance', 'price', 'rating', 'distance', 'newest']
+
+// How much each signal counts towards the relevance ranking. Signals that
+// don't apply to a search (no text query, no origin) are left out and the
+// rest scaled up to match.
+const RANKING_WEIGHTS = {
+  text: 0.5,
+  rating: 0.2,
+  reviews: 0.05,
+  responseRate: 0.1,
+  completionRate: 0.05,
+  distance: 0.1
+}
+
+// Stand-ins for companions without booking requests yet, so new companions
+// rank mid-table instead of last. Their rating needs none: the weighted
+// rating starts at the scorecard's prior.
+const NEUTRAL_RESPONSE_RATE = 0.7
+const NEUTRAL_COMPLETION_RATE = 0.9
+
+// Review count at which the review signal is maxed out
+const REVIEW_COUNT_CAP = 50
+
+/**
+ * Search verified companions
+ * @param {Object} filters - { origin, radiusKm, timeWindow, query, minPrice, maxPrice, minRating, specialties, onlineOnly, sortBy, companionIds, limit, offset }
+ *   `origin` is { lat, lng } or null
+ *   `onlineOnly` keeps only companions who are online now
+ *   `companionIds` limits the search to those companions, or null for all
+ *   `timeWindow` is { date, time, duration } (time optional, duration in hours) or null
+ *   `sortBy` is one of SEARCH_SORT_OPTIONS; 'distance' needs an origin
+ * @returns {Promise<Object>} { companions, total } - companions are serialized
+ */
+export async function searchCompanions({
+  origin = null,
+  radiusKm,
+  timeWindow = null,
+  query = '',
+  minPrice = 0,
+  maxPrice = null,
+  minRating = 0,
+  specialties = '',
+  onlineOnly = false,
+  sortBy = 'relevance',
+  companionIds = null,
+  limit = 10,
+  offset = 0
+} = {}) {
+  if (companionIds && companionIds.length === 0) {
+    return { companions: [], total: 0 }
+  }
+
+  const filters = {
+    origin,
+    radiusKm,
+    terms: parseQuery(query),
+    specialtyTerms: parseQuery(specialties),
+    minPrice,
+    maxPrice,
+    minRating,
+    onlineOnly,
+    companionIds,
+    sortBy: SEARCH_SORT_OPTIONS.includes(sortBy) ? sortBy : 'relevance'
+  }
+
+  const { booking_buffer_minutes: bufferMinutes } = await getPlatformSettings()
+  const from = timeWindow ? parseDateTime(timeWindow.date, timeWindow.time || '00:00') : new Date()
+  const duration = timeWindow?.duration || 1
+
+  let page
+  let total
+  let profiles = new Map()
+  let bookings = null
+
+  if (timeWindow) {
+    // Availability depends on each companion's schedule and bookings, so it
+    // is the one filter checked here: every other match is checked, in rank
+    // order, before the page is cut and counted
+    const { rows: ranked } = await rankCompanions(filters)
+    const available = []
+    bookings = new Map()
+
+    for (let start = 0; start < ranked.length; start += CANDIDATE_BATCH_SIZE) {
+      const batch = ranked.slice(start, start + CANDIDATE_BATCH_SIZE)
+      const batchProfiles = await loadProfiles(batch.map(match => match.id))
+      const batchBookings = await loadBookings([...batchProfiles.keys()], from, bufferMinutes)
+
+      for (const match of batch) {
+        const profile = batchProfiles.get(match.id)
+        if (!profile || !isAvailable(profile, batchBookings.get(match.id), { ...timeWindow, duration, bufferMinutes })) {
+          continue
+        }
+        available.push(match)
+        profiles.set(match.id, profile)
+        bookings.set(match.id, batchBookings.get(match.id))
+      }
+    }
+
+    total = available.length
+    page = available.slice(offset, offset + limit)
+  } else {
+    const ranked = await rankCompanions(filters, { limit, offset })
+    total = ranked.total
+    profiles = await loadProfiles(ranked.rows.map(match => match.id))
+    page = ranked.rows.filter(match => profiles.has(match.id))
+  }
+
+  const pageIds = page.map(match => match.id)
+  const [scorecards, presence] = await Promise.all([
+    getCompanionScorecards(pageIds),
+    getCompanionPresence(pageIds)
+  ])
+  if (!bookings) {
+    bookings = await loadBookings(pageIds, from, bufferMinutes)
+  }
+
+  return {
+    companions: page.map(match => {
+      const profile = profiles.get(match.id)
+      return serializeSearchResult({
+        profile,
+        distanceKm: match.distanceKm,
+        scorecard: scorecards.get(match.id),
+        presence: presence.get(match.id),
+        nextAvailableSlots: getNextAvailableSlots(profile, bookings.get(match.id), {
+          from,
+          duration,
+          bufferMinutes
+        })
+      })
+    }),
+    total
+  }
+}
+
+/**
+ * Verified companions matching every filter but availability, ranked
+ * Postgres filters, ranks, pages and counts them in `search_companions`; the
+ * in-memory adapter computes the same in JS.
+ * @param {Object} filters - Search filters with the query and specialties parsed into `terms` and `specialtyTerms`
+ * @param {Object} page - { limit, offset } - no limit returns every match
+ * @returns {Promise<Object>} { rows: [{ id, distanceKm, relevance, score }], total }
+ */
+async function rankCompanions(filters, { limit = null, offset = 0 } = {}) {
+  const db = getDb()
+  if (!db.rpc) {
+    return rankCompanionsInMemory(filters, { limit, offset })
+  }
+
+  const { origin, terms, specialtyTerms } = filters
+  const params = {
+    origin_lat: origin ? origin.lat : null,
+    origin_lng: origin ? origin.lng : null,
+    radius_km: origin ? filters.radiusKm : null,
+    search_tsquery: terms.length > 0 ? buildTsQuery(terms) : null,
+    search_words: terms.length > 0 ? terms.map(term => term.word).join(' ') : null,
+    specialty_tsquery: specialtyTerms.length > 0 ? buildTsQuery(specialtyTerms) : null,
+    specialty_words: specialtyTerms.length > 0 ? specialtyTerms.map(term => term.word).join(' ') : null,
+    min_price: filters.minPrice > 0 ? filters.minPrice : null,
+    max_price: filters.maxPrice,
+    min_rating: filters.minRating || null,
+    online_only: filters.onlineOnly,
+    heartbeat_timeout_seconds: HEARTBEAT_TIMEOUT_SECONDS,
+    connected_timeout_seconds: CONNECTED_TIMEOUT_SECONDS,
+    companion_ids: filters.companionIds,
+    ranking: {
+      weights: RANKING_WEIGHTS,
+      priorRating: PRIOR_RATING,
+      neutralResponseRate: NEUTRAL_RESPONSE_RATE,
+      neutralCompletionRate: NEUTRAL_COMPLETION_RATE,
+      reviewCountCap: REVIEW_COUNT_CAP
+    },
+    sort_by: filters.sortBy,
+    result_limit: limit,
+    result_offset: offset
+  }
+
+  let rows = await db.rpc('search_companions', params)
+  let total = rows.length > 0 ? Number(rows[0].total_count) : 0
+  if (rows.length === 0 && offset > 0) {
+    // Paged past the end: still report how many matches there are
+    const [first] = await db.rpc('search_companions', { ...params, result_limit: 1, result_offset: 0 })
+    total = first ? Number(first.total_count) : 0
+    rows = []
+  }
+
+  return {
+    rows: rows.map(row => ({
+      id: row.id,
+      distanceKm: row.distance_km === null ? null : Number(row.distance_km),
+      relevance: row.relevance === null ? null : Number(row.relevance),
+      score: Number(row.score)
+    })),
+    total
+  }
+}
+
+/**
+ * rankCompanions for the in-memory adapter, which has no Postgres functions
+ */
+async function rankCompanionsInMemory(filters, { limit, offset }) {
+  const { origin, radiusKm, terms, specialtyTerms, minPrice, maxPrice, minRating, onlineOnly, companionIds } = filters
+
+  const { rows: companions } = await getDb().findMany('profiles', {
+    where: {
+      role: 'companion',
+      verification_status: 'verified',
+      ...(companionIds && { id: { in: companionIds } }),
+      ...((minPrice > 0 || maxPrice !== null) && {
+        hourly_rate: {
+          ...(minPrice > 0 && { gte: minPrice }),
+          ...(maxPrice !== null && { lte: maxPrice })
+        }
+      })
+    }
+  })
+
+  let matches = companions.map(profile => ({ profile, distanceKm: null, relevance: null }))
+
+  if (origin) {
+    matches = matches
+      .filter(({ profile }) => profile.service_lat !== null && profile.service_lat !== undefined)
+      .map(match => ({
+        ...match,
+        distanceKm: haversineDistanceKm(origin, {
+          lat: Number(match.profile.service_lat),
+          lng: Number(match.profile.service_lng)
+        })
+      }))
+      .filter(({ profile, distanceKm }) =>
+        distanceKm <= Math.min(radiusKm, profile.service_radius_km || DEFAULT_SERVICE_RADIUS_KM))
+  }
+
+  if (terms.length > 0) {
+    const relevance = buildSearchIndex(matches.map(match => match.profile)).search(terms)
+    matches = matches
+      .filter(({ profile }) => relevance.has(profile.id))
+      .map(match => ({ ...match, relevance: relevance.get(match.profile.id) }))
+  }
+
+  // The specialties filter gets the same synonyms and typo tolerance, but
+  // only looks at specialties
+  if (specialtyTerms.length > 0) {
+    const specialtyMatches = buildSearchIndex(matches.map(({ profile }) => ({ id: profile.id, specialties: profile.specialties })))
+      .search(specialtyTerms)
+    matches = matches.filter(({ profile }) => specialtyMatches.has(profile.id))
+  }
+
+  const ids = matches.map(({ profile }) => profile.id)
+  const [scorecards, presence] = await Promise.all([
+    getCompanionScorecards(ids),
+    getCompanionPresence(ids)
+  ])
+
+  const results = matches
+    .map(match => ({ ...match, scorecard: scorecards.get(match.profile.id) }))
+    .filter(({ scorecard }) => !minRating || (scorecard.rating !== null && scorecard.rating >= minRating))
+    .filter(({ profile }) => !onlineOnly || presence.get(profile.id).status === 'online')
+    .map(result => ({ ...result, score: getRankingScore(result, radiusKm) }))
+    .sort(SORT_COMPARATORS[filters.sortBy])
+
+  return {
+    rows: results
+      .slice(offset, limit === null ? undefined : offset + limit)
+      .map(({ profile, distanceKm, relevance, score }) => ({ id: profile.id, distanceKm, relevance, score })),
+    total: results.length
+  }
+}
+
+/**
+ * Profiles of the given companions, loaded in batches
+ * @returns {Promise<Map>} companionId -> profile row
+ */
+async function loadProfiles(companionIds) {
+  const profiles = new Map()
+
+  for (let start = 0; start < companionIds.length; start += CANDIDATE_BATCH_SIZE) {
+    const { rows } = await getDb().findMany('profiles', {
+      where: { id: { in: companionIds.slice(start, start + CANDIDATE_BATCH_SIZE) } }
+    })
+    rows.forEach(profile => profiles.set(profile.id, profile))
+  }
+  return profiles
+}
+
+/**
+ * Blend a result's signals into a single ranking score between 0 and 1
+ * Text relevance and distance only count when the search has a query or an
+ * origin respectively.
+ */
+function getRankingScore({ relevance, scorecard, distanceKm }, radiusKm) {
+  const signals = {
+    rating: scorecard.weightedRating / 5,
+    reviews: Math.log1p(Math.min(scorecard.reviewCount, REVIEW_COUNT_CAP)) / Math.log1p(REVIEW_COUNT_CAP),
+    responseRate: scorecard.responseRate ?? NEUTRAL_RESPONSE_RATE,
+    completionRate: scorecard.completionRate ?? NEUTRAL_COMPLETION_RATE,
+    ...(relevance !== null && { text: relevance }),
+    ...(distanceKm !== null && radiusKm > 0 && { distance: Math.max(0, 1 - distanceKm / radiusKm) })
+  }
+
+  let score = 0
+  let totalWeight = 0
+  for (const [signal, value] of Object.entries(signals)) {
+    score += value * RANKING_WEIGHTS[signal]
+    totalWeight += RANKING_WEIGHTS[signal]
+  }
+  return score / totalWeight
+}
+
+const byScore = (a, b) => b.score - a.score
+
+// Each sort falls back to the ranking score for ties, as in search_companions
+const SORT_COMPARATORS = {
+  relevance: byScore,
+  price: (a, b) => (a.profile.hourly_rate ?? Infinity) - (b.profile.hourly_rate ?? Infinity) || byScore(a, b),
+  rating: (a, b) => b.scorecard.weightedRating - a.scorecard.weightedRating ||
+    b.scorecard.reviewCount - a.scorecard.reviewCount || byScore(a, b),
+  distance: (a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity) || byScore(a, b),
+  newest: (a, b) => new Date(b.profile.created_at) - new Date(a.profile.created_at) || byScore(a, b)
+}
+
+/**
+ * Active bookings of the given companions from the start of `from`'s day
+ * through the next-slot window, widened by the buffer
+ * @returns {Promise<Map>} companionId -> booking rows
+ */
+async function loadBookings(companionIds, from, bufferMinutes) {
+  const bufferMs = bufferMinutes * 60 * 1000
+  const dayStart = getStartOfDay(from)
+
+  return listActiveBookingsForCompanions(companionIds, {
+    from: new Date(dayStart.getTime() - bufferMs),
+    to: new Date(dayStart.getTime() + (NEXT_SLOT_DAYS + 1) * DAY_MS + bufferMs)
+  })
+}
+
+/**
+ * Whether a companion can take a booking in the requested window
+ * With a time the whole window must be free; with only a date, any slot of
+ * the requested duration still ahead that day will do.
+ */
+function isAvailable(profile, bookings = [], { date, time, duration, bufferMinutes }) {
+  const availability = profile.availability_schedule || getDefaultAvailability()
+
+  if (time) {
+    const requested = { date, time, duration }
+    return isWithinAvailability(requested, availability) &&
+      !hasBookingConflict(requested, bookings, { bufferMinutes })
+  }
+
+  const now = new Date()
+  return getAvailableSlots(date, bookings, availability, { duration, bufferMinutes })
+    .some(slot => parseDateTime(date, slot) > now)
+}
+
+/**
+ * A companion's next free slots, nearest `from` first
+ * @returns {Array} [{ date, time, duration }]
+ */
+function getNextAvailableSlots(profile, bookings = [], { from, duration, bufferMinutes }) {
+  const availability = profile.availability_schedule || getDefaultAvailability()
+  const requested = { start_time: from, end_time: new Date(from.getTime() + duration * 60 * 60 * 1000) }
+
+  return suggestAlternativeSlots(requested, bookings, availability, {
+    bufferMinutes,
+    limit: NEXT_SLOT_COUNT,
+    days: NEXT_SLOT_DAYS
+  })
+}
+
+/**
+ * Map a search match to the API response shape
+ * Deliberately leaves out the stored coordinates.
+ */
+function serializeSearchResult({ profile, distanceKm, scorecard, presence, nextAvailableSlots }) {
+  return {
+    id: profile.id,
+    name: getDisplayName(profile, 'Companion'),
+    username: profile.username,
+    image: profile.avatar_url,
+    bio: profile.bio,
+    hourlyRate: profile.hourly_rate,
+    specialties: profile.specialties || [],
+    rating: scorecard.rating,
+    reviews: scorecard.reviewCount,
+    ratingTrend: scorecard.trend,
+    responseRate: scorecard.responseRate,
+    completionRate: scorecard.completionRate,
+    location: profile.service_city || null,
+    distanceKm: distanceKm === null ? null : roundDistanceKm(distanceKm),
+    distance: formatDistance(distanceKm),
+    nextAvailableSlots,
+    presence,
+    verificationStatus: profile.verification_status
+  }
+}
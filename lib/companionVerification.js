@@ -0,0 +1,298 @@
+/**
+ * Companion Verification Helper Library
+ *
+ * How a companion profile moves between `verification_status` values:
+ *
+ *   pending --approve--> verified --suspend--> suspended --approve--> verified
+ *   pending --reject--> rejected --documents resubmitted--> pending
+ *   pending --suspend--> suspended
+ *
+ * Companions submit identity documents, which puts them in the review queue
+ * (or approves them straight away when `platform_settings.auto_approve_companions`
+ * is on). Admins then approve, reject or suspend with a note. Only verified
+ * companions can be booked, and suspended accounts can't sign in.
+ *
+ * Every decision notifies the companion and is written to the admin audit log.
+ *
+ * SAFETY CONSIDERATIONS:
+ * - The status update only applies if the profile is still in the status we
+ *   validated against, so two admins can't decide on the same companion at once
+ * - Notification and audit failures never undo a decision
+ */
+
+import { getDb } from './db'
+import { getDisplayName } from './profiles'
+import { getPlatformSettings } from './settings'
+import { recordAuditEvent } from './auditLog'
+import { sendNotification, NOTIFICATION_TYPES } from './notifications'
+
+export const VERIFICATION_STATUSES = ['pending', 'verified', 'rejected', 'suspended']
+
+export const DOCUMENT_TYPES = ['government_id', 'selfie', 'proof_of_address', 'other']
+
+// Enough for an ID, a selfie and a few supporting documents
+const MAX_DOCUMENTS = 10
+
+/**
+ * Admin decisions keyed by action
+ * - from: statuses the companion may be in
+ * - to: resulting status
+ * - requiresNote: the companion is told why, so a note is mandatory
+ * - notification: sent to the companion once the decision is stored
+ */
+export const VERIFICATION_DECISIONS = {
+  approve: {
+    from: ['pending', 'rejected', 'suspended'],
+    to: 'verified',
+    requiresNote: false,
+    notification: NOTIFICATION_TYPES.COMPANION_APPROVED
+  },
+  reject: {
+    from: ['pending'],
+    to: 'rejected',
+    requiresNote: true,
+    notification: NOTIFICATION_TYPES.COMPANION_REJECTED
+  },
+  suspend: {
+    from: ['pending', 'verified'],
+    to: 'suspended',
+    requiresNote: true,
+    notification: NOTIFICATION_TYPES.COMPANION_SUSPENDED
+  }
+}
+
+export const VERIFICATION_ACTIONS = Object.keys(VERIFICATION_DECISIONS)
+
+/**
+ * Validate the documents a companion submits
+ * @param {Array} documents - [{ type, url, name }]
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateDocuments(documents) {
+  if (!Array.isArray(documents) || documents.length === 0) {
+    return 'At least one document is required'
+  }
+  if (documents.length > MAX_DOCUMENTS) {
+    return `No more than ${MAX_DOCUMENTS} documents can be submitted`
+  }
+
+  for (const document of documents) {
+    if (!document || !DOCUMENT_TYPES.includes(document.type)) {
+      return `Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`
+    }
+    if (typeof document.url !== 'string' || !/^https:\/\/\S+$/.test(document.url)) {
+      return 'Each document needs an https URL'
+    }
+  }
+
+  if (!documents.some(document => document.type === 'government_id')) {
+    return 'A government-issued ID is required'
+  }
+
+  return null
+}
+
+/**
+ * Store a companion's verification documents and queue them for review
+ * Approves the companion straight away when auto-approval is on.
+ * @param {Object} companion - Companion profile row
+ * @param {Array} documents - [{ type, url, name }]
+ * @returns {Promise<Object>} { companion } or { status, message } on failure
+ */
+export async function submitVerificationDocuments(companion, documents) {
+  const error = validateDocuments(documents)
+  if (error) {
+    return { status: 400, message: error }
+  }
+
+  if (companion.verification_status === 'suspended') {
+    return { status: 403, message: 'Account suspended' }
+  }
+
+  const db = getDb()
+  const settings = await getPlatformSettings()
+  const now = new Date().toISOString()
+
+  const stored = documents.map(document => ({
+    type: document.type,
+    url: document.url,
+    name: typeof document.name === 'string' ? document.name.trim().substring(0, 200) : null
+  }))
+
+  // Verified companions can refresh their documents without going back to review
+  const autoApprove = settings.auto_approve_companions && companion.verification_status !== 'verified'
+  const nextStatus = companion.verification_status === 'verified' || autoApprove ? 'verified' : 'pending'
+
+  const [updated] = await db.update('profiles', {
+    id: companion.id,
+    verification_status: companion.verification_status
+  }, {
+    documents: stored,
+    documents_submitted_at: now,
+    verification_status: nextStatus,
+    ...(autoApprove && { verification_reviewed_at: now, admin_note: null })
+  })
+
+  if (!updated) {
+    return { status: 409, message: 'Your verification status changed. Please refresh and try again.' }
+  }
+
+  if (autoApprove) {
+    await recordAuditEvent({
+      actor: null,
+      action: 'companion.auto_approve',
+      targetType: 'profile',
+      targetId: companion.id,
+      fromStatus: companion.verification_status,
+      toStatus: 'verified',
+      metadata: { documentCount: stored.length }
+    })
+    await notifyDecision(updated, VERIFICATION_DECISIONS.approve.notification, null)
+  }
+
+  return { companion: updated }
+}
+
+/**
+ * Apply an admin decision to a companion
+ * @param {string} companionId - Companion profile ID
+ * @param {string} action - 'approve', 'reject' or 'suspend'
+ * @param {Object} admin - Authenticated admin user
+ * @param {Object} params - { note }
+ * @returns {Promise<Object>} { companion } or { status, message } on failure
+ */
+export async function reviewCompanion(companionId, action, admin, { note } = {}) {
+  const decision = VERIFICATION_DECISIONS[action]
+  if (!decision) {
+    return { status: 400, message: 'Invalid action' }
+  }
+
+  const trimmedNote = typeof note === 'string' ? note.trim().substring(0, 1000) : ''
+  if (decision.requiresNote && !trimmedNote) {
+    return { status: 400, message: `A note is required to ${action} a companion` }
+  }
+
+  const db = getDb()
+  const companion = await db.findOne('profiles', { id: companionId, role: 'companion' })
+  if (!companion) {
+    return { status: 404, message: 'Companion not found' }
+  }
+
+  if (!decision.from.includes(companion.verification_status)) {
+    return {
+      status: 409,
+      message: `Cannot ${action} a companion who is ${companion.verification_status}`
+    }
+  }
+
+  const [updated] = await db.update('profiles', {
+    id: companion.id,
+    verification_status: companion.verification_status
+  }, {
+    verification_status: decision.to,
+    admin_note: trimmedNote || null,
+    verification_reviewed_at: new Date().toISOString()
+  })
+
+  if (!updated) {
+    return { status: 409, message: 'Companion was updated by someone else. Please refresh and try again.' }
+  }
+
+  await recordAuditEvent({
+    actor: admin,
+    action: `companion.${action}`,
+    targetType: 'profile',
+    targetId: companion.id,
+    fromStatus: companion.verification_status,
+    toStatus: decision.to,
+    note: trimmedNote || null
+  })
+
+  await notifyDecision(updated, decision.notification, trimmedNote || null)
+
+  return { companion: updated }
+}
+
+/**
+ * List companions for the admin console
+ * The pending queue is oldest submission first, everything else newest first.
+ * @param {Object} filters - { status, limit, offset }
+ * @returns {Promise<Object>} { companions, total }
+ */
+export async function listCompanionsForReview({ status = 'pending', limit = 20, offset = 0 } = {}) {
+  const { rows, total } = await getDb().findMany('profiles', {
+    where: {
+      role: 'companion',
+      ...(status && { verification_status: status })
+    },
+    orderBy: status === 'pending'
+      ? [{ column: 'documents_submitted_at', ascending: true }, { column: 'created_at', ascending: true }]
+      : { column: 'updated_at', ascending: false },
+    limit,
+    offset
+  })
+  return { companions: rows, total }
+}
+
+/**
+ * Count companions in each verification status, for the console tabs
+ */
+export async function countCompanionsByStatus() {
+  const db = getDb()
+  const counts = await Promise.all(VERIFICATION_STATUSES.map(status =>
+    db.findMany('profiles', { where: { role: 'companion', verification_status: status }, limit: 1 })
+  ))
+  return Object.fromEntries(VERIFICATION_STATUSES.map((status, i) => [status, counts[i].total]))
+}
+
+/**
+ * Tell a companion about a verification decision
+ */
+async function notifyDecision(companion, notificationType, note) {
+  try {
+    const appUrl = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'
+
+    await sendNotification(
+      companion.id,
+      notificationType,
+      {
+        companionName: getDisplayName(companion, 'there'),
+        note,
+        profileUrl: `${appUrl}/companion/profile`,
+        dashboardUrl: `${appUrl}/companion/dashboard`
+      },
+      {
+        inApp: true,
+        email: true,
+        push: false,
+        userEmail: companion.email || null,
+        pushToken: null
+      }
+    )
+  } catch (error) {
+    console.error(`Failed to notify companion ${companion.id} of verification decision:`, error)
+  }
+}
+
+/**
+ * Map a companion to the admin console shape, including their documents
+ */
+export function serializeCompanionForReview(companion) {
+  return {
+    id: companion.id,
+    name: getDisplayName(companion, 'Unnamed companion'),
+    username: companion.username,
+    email: companion.email,
+    avatarUrl: companion.avatar_url,
+    bio: companion.bio,
+    hourlyRate: companion.hourly_rate,
+    verificationStatus: companion.verification_status,
+    adminNote: companion.admin_note,
+    documents: Array.isArray(companion.documents) ? companion.documents : [],
+    documentsSubmittedAt: companion.documents_submitted_at,
+    reviewedAt: companion.verification_reviewed_at,
+    createdAt: companion.created_at,
+    availableActions: VERIFICATION_ACTIONS.filter(action =>
+      VERIFICATION_DECISIONS[action].from.includes(companion.verification_status))
+  }
+}
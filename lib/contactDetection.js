@@ -0,0 +1,318 @@
+/**
+ * Contact and Payment Detail Detection
+ *
+ * Rule-based screening of chat messages for attempts to move a booking off
+ * the platform: phone numbers, emails, social handles, bank or card numbers,
+ * and phrasing like "pay me directly". It runs before a message is stored
+ * or delivered and complements OpenAI moderation (lib/openai.js), which
+ * looks for harmful content rather than contact details.
+ *
+ * POLICY (platform_settings.contact_detection_policy):
+ * - off:   no screening
+ * - warn:  deliver the message unchanged, warn the sender
+ * - mask:  replace the details before the message is stored, warn the sender
+ * - block: refuse the message
+ * Every detection adds a strike to the sender's profile. Senders with
+ * contact_detection_block_after strikes are blocked whatever the policy.
+ *
+ * Obfuscations are normalized before matching: spelled-out digits ("zero
+ * eight zero"), doubled digits ("double five"), letters standing in for
+ * digits ("O8O"), and "(at)"/"dot" in emails.
+ */
+
+import { getDb } from './db'
+import { getPlatformSettings } from './settings'
+
+export const CONTACT_DETECTION_POLICIES = ['off', 'warn', 'mask', 'block']
+
+export const FINDING_TYPES = {
+  PHONE: 'phone',
+  EMAIL: 'email',
+  SOCIAL_HANDLE: 'social_handle',
+  OFF_PLATFORM_CONTACT: 'off_platform_contact',
+  BANK_ACCOUNT: 'bank_account',
+  OFF_PLATFORM_PAYMENT: 'off_platform_payment'
+}
+
+const PAYMENT_TYPES = [FINDING_TYPES.BANK_ACCOUNT, FINDING_TYPES.OFF_PLATFORM_PAYMENT]
+
+const NUMBER_WORDS = {
+  zero: '0', oh: '0', nil: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+}
+const REPEAT_WORDS = { double: 2, triple: 3 }
+
+// Characters that may sit between the digits of a phone number
+const DIGIT_SEPARATOR = /^[\s\-.()/]+$/
+// More separator characters than this end a run of digits
+const MAX_SEPARATOR_LENGTH = 3
+// Dates and times aren't phone numbers
+const DATE_LIKE = /^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}$/
+
+const BANK_CONTEXT = /\b(?:bank|acct|acc|account|a\/c|nuban|iban|swift|sort\s*code|routing|opay|palmpay|kuda|moniepoint|gtb|gtbank|zenith|uba|access|first\s*bank|fcmb|wema|sterling|fidelity|union\s*bank|card)\b/i
+
+const PATTERNS = [
+  {
+    type: FINDING_TYPES.EMAIL,
+    regex: /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi
+  },
+  {
+    // john (at) mail (dot) com, john at gmail dot com
+    type: FINDING_TYPES.EMAIL,
+    regex: /[a-z0-9._%+-]+\s*(?:[([{<]\s*at\s*[)\]}>]|\s+at\s+)\s*[a-z0-9-]+\s*(?:\.|[([{<]\s*dot\s*[)\]}>]|\s+dot\s+)\s*(?:com|net|org|co|io|me|ng|uk|info|biz)\b/gi
+  },
+  {
+    // john at gmail
+    type: FINDING_TYPES.EMAIL,
+    regex: /[a-z0-9._%+-]+\s*(?:@|[([{<]\s*at\s*[)\]}>]|\s+at\s+)\s*(?:gmail|yahoo|ymail|hotmail|outlook|icloud|proton(?:mail)?)\b/gi
+  },
+  {
+    // @handle, but not the middle of an email address
+    type: FINDING_TYPES.SOCIAL_HANDLE,
+    regex: /(?<![\w@.])@[a-z0-9_][a-z0-9_.]{1,29}/gi
+  },
+  {
+    type: FINDING_TYPES.SOCIAL_HANDLE,
+    regex: /\b(?:https?:\/\/)?(?:www\.)?(?:wa\.me|t\.me|m\.me|fb\.me|instagram\.com|snapchat\.com|facebook\.com|tiktok\.com|twitter\.com|x\.com|linkedin\.com|onlyfans\.com)\/[\w.@/-]+/gi
+  },
+  {
+    // ig: jane.doe, my snap is jane_d
+    type: FINDING_TYPES.SOCIAL_HANDLE,
+    regex: /\b(?:ig|insta(?:gram)?|snap(?:chat)?|sc|telegram|tg|tiktok|twitter|fb|facebook|threads)\s*(?:handle|id|username|name)?\s*(?::|=|-|\bis\b)\s*@?(?=[a-z0-9_.]*[0-9_.])[a-z0-9_.]{3,30}/gi
+  },
+  {
+    type: FINDING_TYPES.OFF_PLATFORM_CONTACT,
+    regex: /\b(?:whats\s?app|telegram|signal|snap(?:chat)?|imessage|facetime|wechat|viber)\s+me\b/gi
+  },
+  {
+    type: FINDING_TYPES.OFF_PLATFORM_CONTACT,
+    regex: /\b(?:add|dm|message|text|call|reach|find|hit)\s+me\s+(?:up\s+)?(?:on|via|at|through)\s+(?:whats\s?app|wa|telegram|tg|signal|snap(?:chat)?|insta(?:gram)?|ig|twitter|facebook|fb|tiktok|imessage|wechat|viber|my\s+(?:number|phone|cell|line))\b/gi
+  },
+  {
+    type: FINDING_TYPES.OFF_PLATFORM_CONTACT,
+    regex: /\bmy\s+(?:whats\s?app|telegram|(?:phone\s+)?number|phone|cell|digits)\s+is\b/gi
+  },
+  {
+    type: FINDING_TYPES.OFF_PLATFORM_PAYMENT,
+    regex: /\bpay\s+(?:me|you|us)\s+(?:directly|direct|privately|outside|off[\s-]+(?:the\s+)?(?:app|platform|site)|in\s+cash|cash|(?:by|via|through)\s+(?:bank\s+)?transfer)\b/gi
+  },
+  {
+    type: FINDING_TYPES.OFF_PLATFORM_PAYMENT,
+    regex: /\b(?:send|transfer|pay)\s+(?:(?:it|money|the\s+(?:money|payment|balance|rest|fee))\s+)?(?:directly\s+)?(?:to|into)\s+my\s+(?:bank|account|acct|acc|opay|palmpay|kuda|moniepoint|cash\s?app|venmo|paypal|zelle|wallet)\b/gi
+  },
+  {
+    type: FINDING_TYPES.OFF_PLATFORM_PAYMENT,
+    regex: /\b(?:outside|off)\s+(?:of\s+)?(?:the\s+)?(?:app|platform|site|fliq)\b/gi
+  },
+  {
+    type: FINDING_TYPES.OFF_PLATFORM_PAYMENT,
+    regex: /\b(?:avoid|skip|save\s+on|bypass|dodge)\s+(?:the\s+)?(?:app\s+|platform\s+|booking\s+|service\s+)?(?:fees?|commission|charges?|cut)\b/gi
+  },
+  {
+    type: FINDING_TYPES.OFF_PLATFORM_PAYMENT,
+    regex: /\b(?:bank\s+transfer|direct\s+transfer|transfer|cash)\s+instead\b/gi
+  },
+  {
+    type: FINDING_TYPES.OFF_PLATFORM_PAYMENT,
+    regex: /\b(?:cash\s?app|venmo|zelle|paypal\.me)\b/gi
+  },
+  {
+    type: FINDING_TYPES.OFF_PLATFORM_PAYMENT,
+    regex: /\bmy\s+(?:bank\s+)?(?:account|acct|acc)\s*(?:number|no\.?|num|details)\b/gi
+  }
+]
+
+/**
+ * Digits a token stands for, or null if it isn't part of a number
+ * Handles spelled-out digits and letters used as digits ("O8O", "l23").
+ */
+function tokenDigits(token) {
+  if (/^\d+$/.test(token)) return token
+  const lower = token.toLowerCase()
+  if (NUMBER_WORDS[lower]) return NUMBER_WORDS[lower]
+  if (/^[\doil]{2,}$/i.test(token) && /\d/.test(token)) {
+    return lower.replace(/o/g, '0').replace(/[il]/g, '1')
+  }
+  return null
+}
+
+/**
+ * Find runs of digits, allowing separators and spelled-out digits
+ * @returns {Array} { start, end, digits, international }
+ */
+function findDigitRuns(text) {
+  const runs = []
+  let current = null
+  let separatorLength = 0
+  let repeat = null
+
+  const close = () => {
+    if (current && current.digits) runs.push(current)
+    current = null
+    separatorLength = 0
+    repeat = null
+  }
+
+  for (const match of text.matchAll(/\+|[a-z0-9]+|[^a-z0-9]/gi)) {
+    const token = match[0]
+    const digits = tokenDigits(token)
+
+    if (digits !== null) {
+      if (!current) current = { start: repeat ? repeat.start : match.index, digits: '', international: false }
+      current.digits += repeat ? digits.repeat(repeat.times) : digits
+      current.end = match.index + token.length
+      separatorLength = 0
+      repeat = null
+    } else if (REPEAT_WORDS[token.toLowerCase()]) {
+      repeat = { times: REPEAT_WORDS[token.toLowerCase()], start: current ? current.start : match.index }
+    } else if (token === '+' && !current) {
+      current = { start: match.index, end: match.index + 1, digits: '', international: true }
+    } else if ((current || repeat) && DIGIT_SEPARATOR.test(token)) {
+      separatorLength += token.length
+      if (separatorLength > MAX_SEPARATOR_LENGTH) close()
+    } else {
+      close()
+    }
+  }
+  close()
+
+  return runs
+}
+
+/**
+ * Classify a run of digits as a phone or account number
+ * @returns {string|null} Finding type
+ */
+function classifyDigitRun(text, run) {
+  const length = run.digits.length
+  if (DATE_LIKE.test(text.slice(run.start, run.end))) return null
+
+  const context = text.slice(Math.max(0, run.start - 40), run.end + 40)
+  if (length >= 8 && length <= 19 && !run.international && BANK_CONTEXT.test(context)) {
+    return FINDING_TYPES.BANK_ACCOUNT
+  }
+  // Card numbers
+  if (length >= 16 && length <= 19) return FINDING_TYPES.BANK_ACCOUNT
+  if (length >= 7 && length <= 15) return FINDING_TYPES.PHONE
+  return null
+}
+
+/**
+ * Find contact and payment details in a message
+ * @param {string} text - Message text
+ * @returns {Array} Findings { type, start, end }, ordered by position
+ */
+export function detectContactInfo(text) {
+  if (!text) return []
+  const findings = []
+
+  for (const run of findDigitRuns(text)) {
+    const type = classifyDigitRun(text, run)
+    if (type) findings.push({ type, start: run.start, end: run.end })
+  }
+
+  for (const { type, regex } of PATTERNS) {
+    for (const match of text.matchAll(regex)) {
+      findings.push({ type, start: match.index, end: match.index + match[0].length })
+    }
+  }
+
+  return findings.sort((a, b) => a.start - b.start || b.end - a.end)
+}
+
+/**
+ * Replace findings in the text, merging overlapping ones
+ * @returns {string} Masked text
+ */
+export function maskContactInfo(text, findings) {
+  let masked = ''
+  let position = 0
+  let group = null
+
+  const flush = () => {
+    if (!group) return
+    masked += text.slice(position, group.start)
+    masked += group.payment ? '[payment details removed]' : '[contact info removed]'
+    position = group.end
+    group = null
+  }
+
+  for (const finding of findings) {
+    const payment = PAYMENT_TYPES.includes(finding.type)
+    if (group && finding.start < group.end) {
+      group.end = Math.max(group.end, finding.end)
+      group.payment = group.payment || payment
+      continue
+    }
+    flush()
+    group = { start: finding.start, end: finding.end, payment }
+  }
+  flush()
+
+  return masked + text.slice(position)
+}
+
+/**
+ * Add a strike to the sender's profile
+ * @returns {Promise<number>} The sender's strike count
+ */
+async function recordStrike(userId) {
+  const db = getDb()
+  if (db.rpc) {
+    return Number(await db.rpc('record_contact_strike', { user_id: userId }))
+  }
+
+  const profile = await db.findOne('profiles', { id: userId })
+  const strikes = (profile?.contact_strikes || 0) + 1
+  await db.update('profiles', { id: userId }, {
+    contact_strikes: strikes,
+    last_contact_strike_at: new Date().toISOString()
+  })
+  return strikes
+}
+
+/**
+ * Warning shown to the sender
+ */
+function getWarning(action, types) {
+  const subject = types.some(type => PAYMENT_TYPES.includes(type))
+    ? 'Payments must go through Fliq'
+    : 'Contact details can\'t be shared in chat'
+  const outcome = {
+    warn: 'Your message was sent, but repeated attempts will stop your messages from being delivered.',
+    mask: 'We removed them from your message.',
+    block: 'Your message was not sent.'
+  }[action]
+  return `${subject} to keep both of you protected. ${outcome}`
+}
+
+/**
+ * Screen a chat message under the platform policy
+ * Records a strike when anything is found.
+ * @param {string} text - Message text
+ * @param {Object} sender - The sending user
+ * @returns {Promise<Object>} { action: 'allow'|'warn'|'mask'|'block', text, types, warning, strikes }
+ */
+export async function screenMessage(text, sender) {
+  const settings = await getPlatformSettings()
+  const policy = settings.contact_detection_policy
+  if (policy === 'off') return { action: 'allow', text, types: [] }
+
+  const findings = detectContactInfo(text)
+  if (findings.length === 0) return { action: 'allow', text, types: [] }
+
+  const types = [...new Set(findings.map(finding => finding.type))]
+  const strikes = await recordStrike(sender.id)
+
+  const blockAfter = settings.contact_detection_block_after
+  // The strike just recorded doesn't count towards escalating this message
+  const action = blockAfter > 0 && strikes > blockAfter ? 'block' : policy
+
+  return {
+    action,
+    text: action === 'mask' ? maskContactInfo(text, findings) : text,
+    types,
+    warning: getWarning(action, types),
+    strikes
+  }
+}
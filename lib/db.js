@@ -0,0 +1,306 @@
+/**
+ * Database Helper Library
+ * Small data-access layer shared by all API routes
+ *
+ * Routes never talk to Supabase directly. They go through an adapter with a
+ * tiny, table-oriented interface so the same logic runs against Postgres
+ * (Supabase) in production and an in-memory store in tests and local demos.
+ *
+ * ADAPTER INTERFACE:
+ * - findMany(table, { where, orderBy, limit, offset }) -> { rows, total }
+ * - findOne(table, where) -> row | null
+ * - insert(table, values) -> inserted row
+ * - update(table, where, patch) -> updated rows
+ * - remove(table, where) -> removed rows
+ * - rpc(fn, params) -> rows (Supabase only: calls a Postgres function from
+ *   schema.sql; callers check for it and fall back to plain JS in memory)
+ *
+ * WHERE CLAUSES:
+ * - { column: value } - equality
+ * - { column: { in: [...] } }, { neq }, { gt }, { gte }, { lt }, { lte }
+ * - { column: null } - IS NULL
+ * - { or: [{ client_id: id }, { companion_id: id }] } - any branch matches
+ */
+
+import { getSupabaseAdmin } from './supabase'
+
+let adapter = null
+
+/**
+ * Get the active database adapter
+ * Defaults to Supabase on first use
+ */
+export function getDb() {
+  if (!adapter) {
+    adapter = createSupabaseAdapter(getSupabaseAdmin())
+  }
+  return adapter
+}
+
+/**
+ * Swap the active adapter (used by tests and local demos)
+ * @param {Object|null} nextAdapter - Adapter instance, or null to reset to Supabase
+ */
+export function setDbAdapter(nextAdapter) {
+  adapter = nextAdapter
+}
+
+const OPERATORS = ['in', 'neq', 'gt', 'gte', 'lt', 'lte']
+
+function isOperatorObject(value) {
+  return value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every(key => OPERATORS.includes(key))
+}
+
+function normalizeOrder(orderBy) {
+  if (!orderBy) return []
+  return (Array.isArray(orderBy) ? orderBy : [orderBy]).map(order =>
+    typeof order === 'string'
+      ? { column: order, ascending: true }
+      : { ascending: true, ...order }
+  )
+}
+
+/**
+ * Supabase (Postgres) adapter
+ * @param {Object} client - Supabase client created with the service role key
+ */
+export function createSupabaseAdapter(client) {
+  const toFilterValue = (value) =>
+    value instanceof Date ? value.toISOString() : value
+
+  // Builds a PostgREST `or` filter string, e.g. "client_id.eq.1,companion_id.eq.1"
+  const toOrFilter = (branches) => branches
+    .flatMap(branch => Object.entries(branch).map(([column, value]) => {
+      if (value === null) return `${column}.is.null`
+      if (isOperatorObject(value)) {
+        return Object.entries(value).map(([op, operand]) =>
+          op === 'in'
+            ? `${column}.in.(${operand.join(',')})`
+            : `${column}.${op}.${toFilterValue(operand)}`
+        ).join(',')
+      }
+      return `${column}.eq.${toFilterValue(value)}`
+    }))
+    .join(',')
+
+  const applyWhere = (query, where = {}) => {
+    for (const [column, value] of Object.entries(where)) {
+      if (value === undefined) continue
+
+      if (column === 'or') {
+        query = query.or(toOrFilter(value))
+      } else if (value === null) {
+        query = query.is(column, null)
+      } else if (isOperatorObject(value)) {
+        for (const [op, operand] of Object.entries(value)) {
+          query = op === 'in'
+            ? query.in(column, operand)
+            : query[op](column, toFilterValue(operand))
+        }
+      } else {
+        query = query.eq(column, toFilterValue(value))
+      }
+    }
+    return query
+  }
+
+  const unwrap = ({ data, error }) => {
+    if (error) throw error
+    return data
+  }
+
+  return {
+    async findMany(table, { where, orderBy, limit, offset = 0 } = {}) {
+      let query = applyWhere(
+        client.from(table).select('*', { count: 'exact' }),
+        where
+      )
+
+      for (const order of normalizeOrder(orderBy)) {
+        query = query.order(order.column, { ascending: order.ascending })
+      }
+
+      if (limit) {
+        query = query.range(offset, offset + limit - 1)
+      }
+
+      const { data, error, count } = await query
+      if (error) throw error
+      return { rows: data || [], total: count ?? (data || []).length }
+    },
+
+    async findOne(table, where) {
+      return unwrap(
+        await applyWhere(client.from(table).select('*'), where).limit(1).maybeSingle()
+      )
+    },
+
+    async insert(table, values) {
+      return unwrap(await client.from(table).insert(values).select().single())
+    },
+
+    async update(table, where, patch) {
+      return unwrap(await applyWhere(client.from(table).update(patch), where).select())
+    },
+
+    async remove(table, where) {
+      return unwrap(await applyWhere(client.from(table).delete(), where).select())
+    },
+
+    async rpc(fn, params = {}) {
+      return unwrap(await client.rpc(fn, params)) || []
+    }
+  }
+}
+
+/**
+ * In-memory adapter with the same semantics as the Supabase adapter
+ * Rows get an auto-incrementing id and created_at when not supplied.
+ * Like Postgres, a numeric string matches a number ('42' finds id 42), since
+ * route params always arrive as strings.
+ * @param {Object} seed - Initial rows keyed by table name
+ */
+export function createMemoryAdapter(seed = {}) {
+  const tables = {}
+  const sequences = {}
+
+  const tableRows = (table) => {
+    if (!tables[table]) tables[table] = []
+    return tables[table]
+  }
+
+  const comparable = (value) => {
+    if (value instanceof Date) return value.getTime()
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+      return new Date(value).getTime()
+    }
+    return value
+  }
+
+  const isNumericString = (value) =>
+    typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))
+
+  // Both sides ready to compare, casting a numeric string against a number
+  const comparablePair = (left, right) => {
+    const a = comparable(left)
+    const b = comparable(right)
+    if (typeof a === 'number' && isNumericString(b)) return [a, Number(b)]
+    if (typeof b === 'number' && isNumericString(a)) return [Number(a), b]
+    return [a, b]
+  }
+
+  const isEqual = (left, right) => {
+    const [a, b] = comparablePair(left, right)
+    return a === b
+  }
+
+  const matchesCondition = (rowValue, condition) => {
+    if (condition === null) return rowValue === null || rowValue === undefined
+    if (!isOperatorObject(condition)) {
+      return isEqual(rowValue, condition)
+    }
+
+    return Object.entries(condition).every(([op, operand]) => {
+      // As in SQL, NULL is neither greater nor less than anything
+      if (['gt', 'gte', 'lt', 'lte'].includes(op) && (rowValue === null || rowValue === undefined)) {
+        return false
+      }
+      if (op === 'in') return operand.some(value => isEqual(rowValue, value))
+      const [left, right] = comparablePair(rowValue, operand)
+      switch (op) {
+        case 'neq': return left !== right
+        case 'gt': return left > right
+        case 'gte': return left >= right
+        case 'lt': return left < right
+        case 'lte': return left <= right
+        default: return false
+      }
+    })
+  }
+
+  const matches = (row, where = {}) =>
+    Object.entries(where).every(([column, condition]) => {
+      if (condition === undefined) return true
+      if (column === 'or') {
+        return condition.some(branch => matches(row, branch))
+      }
+      return matchesCondition(row[column], condition)
+    })
+
+  const compareBy = (orders) => (a, b) => {
+    for (const { column, ascending } of orders) {
+      const left = comparable(a[column])
+      const right = comparable(b[column])
+      if (left === right) continue
+      if (left === null || left === undefined) return 1
+      if (right === null || right === undefined) return -1
+      const result = left < right ? -1 : 1
+      return ascending ? result : -result
+    }
+    return 0
+  }
+
+  const clone = (row) => JSON.parse(JSON.stringify(row))
+
+  const memory = {
+    tables,
+
+    async findMany(table, { where, orderBy, limit, offset = 0 } = {}) {
+      const rows = tableRows(table)
+        .filter(row => matches(row, where))
+        .sort(compareBy(normalizeOrder(orderBy)))
+      const page = limit ? rows.slice(offset, offset + limit) : rows
+      return { rows: page.map(clone), total: rows.length }
+    },
+
+    async findOne(table, where) {
+      const row = tableRows(table).find(r => matches(r, where))
+      return row ? clone(row) : null
+    },
+
+    async insert(table, values) {
+      sequences[table] = (sequences[table] || 0) + 1
+      const row = clone({
+        id: sequences[table],
+        created_at: new Date().toISOString(),
+        ...values
+      })
+      tableRows(table).push(row)
+      return clone(row)
+    },
+
+    async update(table, where, patch) {
+      const updated = []
+      for (const row of tableRows(table)) {
+        if (matches(row, where)) {
+          Object.assign(row, clone(patch))
+          updated.push(clone(row))
+        }
+      }
+      return updated
+    },
+
+    async remove(table, where) {
+      const rows = tableRows(table)
+      const removed = rows.filter(row => matches(row, where))
+      tables[table] = rows.filter(row => !matches(row, where))
+      return removed.map(clone)
+    }
+  }
+
+  for (const [table, rows] of Object.entries(seed)) {
+    for (const row of rows) {
+      tableRows(table).push(clone(row))
+      if (typeof row.id === 'number') {
+        sequences[table] = Math.max(sequences[table] || 0, row.id)
+      }
+    }
+  }
+
+  return memory
+}
@@ -0,0 +1,777 @@
+/**
+ * Disputes Helper Library
+ *
+ * A client or companion can open a dispute on an accepted or recently
+ * completed booking. Admins move it through the review statuses and resolve
+ * it with an outcome that settles the booking's payment:
+ *
+ *   open --review--> in_review --escalate--> escalated --review--> in_review
+ *     |                  |                       |
+ *     +------------------+--------resolve--------+--> resolved
+ *
+ * Outcomes:
+ * - full_refund          - the client gets back everything they paid
+ * - partial_refund       - the client gets back `refundAmount`; the rest is
+ *                          split between companion and platform as usual
+ * - release_to_companion - the booking is paid out as if it completed normally
+ *
+ * A refund cancels a booking that is still accepted, so it is never
+ * auto-completed and paid out afterwards.
+ *
+ * While a dispute is unresolved the booking's escrow hold isn't released and
+ * anything already credited for it doesn't count towards the companion's
+ * available balance (see lib/escrow.js and lib/payouts.js).
+ *
+ * Statements, admin notes and status changes are appended to the dispute's
+ * `notes` log. Escalations email `platform_settings.dispute_escalation_email`.
+ *
+ * SAFETY CONSIDERATIONS:
+ * - Status changes and note appends are conditional updates on the state we
+ *   read, so concurrent admins or statements can't overwrite each other
+ * - The dispute is marked resolved before any money moves, so an outcome is
+ *   applied at most once. Its outcome_status records whether the money moved;
+ *   every step is safe to repeat, so a failed outcome can be retried with
+ *   retryDisputeOutcome
+ * - Refund amounts are capped by what the client actually paid
+ */
+
+import { getDb } from './db'
+import { getBooking, serializeBooking } from './bookings'
+import { getProfile, getDisplayName } from './profiles'
+import { getPlatformSettings } from './settings'
+import { initiateRefund } from './paystack'
+import { recordAuditEvent } from './auditLog'
+import { sendNotification, NOTIFICATION_TYPES } from './notifications'
+import { getActorRole, transitionBooking } from './bookingStateMachine'
+import {
+  OPEN_DISPUTE_STATUSES,
+  getEscrow,
+  isReturnedCharge,
+  refundEscrow,
+  refundReleasedEscrow,
+  releaseEscrow
+} from './escrow'
+
+export const DISPUTE_STATUSES = ['open', 'in_review', 'escalated', 'resolved']
+
+export const DISPUTE_REASONS = {
+  no_show: 'No-show',
+  late_or_short: 'Late or cut short',
+  misconduct: 'Inappropriate behaviour',
+  safety: 'Safety concern',
+  not_as_described: 'Not as described',
+  payment: 'Payment problem',
+  other: 'Other'
+}
+
+export const DISPUTE_OUTCOMES = {
+  full_refund: 'Full refund to the client',
+  partial_refund: 'Partial refund to the client',
+  release_to_companion: 'Payment released to the companion'
+}
+
+// Review statuses an admin can move an unresolved dispute between
+const STATUS_TRANSITIONS = {
+  open: ['in_review', 'escalated'],
+  in_review: ['escalated'],
+  escalated: ['in_review']
+}
+
+// Bookings that can be disputed, and for how long after they end
+const DISPUTABLE_BOOKING_STATUSES = ['accepted', 'completed']
+const DISPUTE_WINDOW_DAYS = 14
+
+const MAX_EVIDENCE = 10
+const MAX_TEXT_LENGTH = 5000
+
+// A note append is retried when another one landed in between
+const MAX_APPEND_ATTEMPTS = 3
+
+const roundMoney = (amount) => Math.round(Number(amount) * 100) / 100
+const cleanText = (text, max = MAX_TEXT_LENGTH) =>
+  typeof text === 'string' ? text.trim().substring(0, max) : ''
+
+/**
+ * Validate evidence attached to a dispute or statement
+ * @param {Array} evidence - [{ url, name }]
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateEvidence(evidence) {
+  if (evidence === undefined || evidence === null) return null
+  if (!Array.isArray(evidence)) return 'Evidence must be a list'
+  if (evidence.length > MAX_EVIDENCE) return `No more than ${MAX_EVIDENCE} files can be attached at once`
+
+  for (const item of evidence) {
+    if (!item || typeof item.url !== 'string' || !/^https:\/\/\S+$/.test(item.url)) {
+      return 'Each piece of evidence needs an https URL'
+    }
+  }
+  return null
+}
+
+function toEvidence(evidence, user) {
+  const now = new Date().toISOString()
+  return (evidence || []).map(item => ({
+    url: item.url,
+    name: cleanText(item.name, 200) || null,
+    submittedBy: user.id,
+    submittedAt: now
+  }))
+}
+
+/**
+ * Fetch a dispute
+ */
+export async function getDispute(disputeId) {
+  return getDb().findOne('disputes', { id: disputeId })
+}
+
+/**
+ * Fetch a dispute only if the user is a party to it or an admin
+ */
+export async function getDisputeForUser(disputeId, user) {
+  const dispute = await getDispute(disputeId)
+  if (!dispute) return null
+  if (user.role !== 'admin' && user.id !== dispute.client_id && user.id !== dispute.companion_id) return null
+  return dispute
+}
+
+/**
+ * List disputes, newest first
+ * Admins see every dispute; everyone else sees the ones they are a party to.
+ * @param {Object} user - Authenticated user
+ * @param {Object} filters - { status, bookingId, limit, offset }
+ * @returns {Promise<Object>} { disputes, total }
+ */
+export async function listDisputes(user, { status, bookingId, limit = 20, offset = 0 } = {}) {
+  const { rows, total } = await getDb().findMany('disputes', {
+    where: {
+      ...(user.role !== 'admin' && { or: [{ client_id: user.id }, { companion_id: user.id }] }),
+      ...(status && { status }),
+      ...(bookingId && { booking_id: bookingId })
+    },
+    orderBy: { column: 'created_at', ascending: false },
+    limit,
+    offset
+  })
+  return { disputes: rows, total }
+}
+
+/**
+ * Open a dispute on a booking
+ * @param {Object} booking - Booking row
+ * @param {Object} user - Authenticated client or companion of the booking
+ * @param {Object} params - { reason, summary, details, evidence }
+ * @returns {Promise<Object>} { dispute } or { status, message } on failure
+ */
+export async function openDispute(booking, user, { reason, summary, details, evidence }) {
+  const actorRole = getActorRole(booking, user)
+  if (!['client', 'companion'].includes(actorRole)) {
+    return { status: 403, message: 'Only the client or companion can dispute this booking' }
+  }
+
+  if (!DISPUTE_REASONS[reason]) {
+    return { status: 400, message: 'Invalid reason' }
+  }
+
+  const cleanSummary = cleanText(summary, 200)
+  if (!cleanSummary) {
+    return { status: 400, message: 'A summary is required' }
+  }
+
+  const evidenceError = validateEvidence(evidence)
+  if (evidenceError) {
+    return { status: 400, message: evidenceError }
+  }
+
+  if (!DISPUTABLE_BOOKING_STATUSES.includes(booking.status)) {
+    return { status: 409, message: `A ${booking.status} booking can't be disputed` }
+  }
+
+  const windowEnd = new Date(booking.end_time).getTime() + DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000
+  if (booking.status === 'completed' && Date.now() > windowEnd) {
+    return {
+      status: 409,
+      message: `Disputes must be opened within ${DISPUTE_WINDOW_DAYS} days of the booking`
+    }
+  }
+
+  const db = getDb()
+  const existing = await db.findOne('disputes', {
+    booking_id: booking.id,
+    status: { in: OPEN_DISPUTE_STATUSES }
+  })
+  if (existing) {
+    return { status: 409, message: 'This booking already has an open dispute', disputeId: existing.id }
+  }
+
+  const now = new Date().toISOString()
+  let dispute
+  try {
+    dispute = await db.insert('disputes', {
+      booking_id: booking.id,
+      client_id: booking.client_id,
+      companion_id: booking.companion_id,
+      opened_by: user.id,
+      status: 'open',
+      reason,
+      summary: cleanSummary,
+      details: cleanText(details) || null,
+      evidence: toEvidence(evidence, user),
+      notes: [{
+        type: 'status',
+        authorId: user.id,
+        authorRole: actorRole,
+        status: 'open',
+        body: null,
+        createdAt: now
+      }],
+      created_at: now,
+      updated_at: now
+    })
+  } catch (error) {
+    // Opened by the other party at the same moment
+    if (error.code === '23505') {
+      return { status: 409, message: 'This booking already has an open dispute' }
+    }
+    throw error
+  }
+
+  const otherPartyId = actorRole === 'client' ? booking.companion_id : booking.client_id
+  const [opener, otherParty] = await Promise.all([getProfile(user.id), getProfile(otherPartyId)])
+  const serialized = serializeBooking(booking)
+
+  await notifyParty(otherParty, NOTIFICATION_TYPES.DISPUTE_OPENED, dispute, {
+    openedByName: getDisplayName(opener, `The ${actorRole}`),
+    date: serialized.date,
+    reason: DISPUTE_REASONS[reason],
+    summary: cleanSummary
+  })
+
+  return { dispute }
+}
+
+/**
+ * Append an entry to a dispute's notes log, with an optional patch
+ * Retries when another append landed between our read and write.
+ * @returns {Promise<Object|null>} Updated dispute, or null if it kept changing
+ */
+async function appendNote(dispute, note, { patch = {}, evidence = [], expectedStatuses = null } = {}) {
+  const db = getDb()
+  let current = dispute
+
+  for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+    if (expectedStatuses && !expectedStatuses.includes(current.status)) return null
+
+    const [updated] = await db.update('disputes', {
+      id: current.id,
+      status: current.status,
+      updated_at: current.updated_at
+    }, {
+      ...patch,
+      notes: [...(current.notes || []), note],
+      ...(evidence.length > 0 && { evidence: [...(current.evidence || []), ...evidence] }),
+      updated_at: new Date().toISOString()
+    })
+    if (updated) return updated
+
+    current = await getDispute(dispute.id)
+    if (!current) return null
+  }
+
+  return null
+}
+
+/**
+ * Add a statement (parties) or note (admins) to an unresolved dispute
+ * @param {Object} dispute - Dispute row
+ * @param {Object} user - Authenticated party or admin
+ * @param {Object} params - { body, evidence }
+ * @returns {Promise<Object>} { dispute } or { status, message } on failure
+ */
+export async function addDisputeStatement(dispute, user, { body, evidence }) {
+  if (dispute.status === 'resolved') {
+    return { status: 409, message: 'This dispute has been resolved' }
+  }
+
+  const authorRole = user.id === dispute.client_id
+    ? 'client'
+    : user.id === dispute.companion_id ? 'companion' : user.role === 'admin' ? 'admin' : null
+  if (!authorRole) {
+    return { status: 403, message: 'Only the parties to this dispute can add statements' }
+  }
+
+  const cleanBody = cleanText(body)
+  if (!cleanBody) {
+    return { status: 400, message: 'Statement text is required' }
+  }
+
+  const evidenceError = validateEvidence(evidence)
+  if (evidenceError) {
+    return { status: 400, message: evidenceError }
+  }
+
+  const updated = await appendNote(dispute, {
+    type: authorRole === 'admin' ? 'admin_note' : 'statement',
+    authorId: user.id,
+    authorRole,
+    body: cleanBody,
+    createdAt: new Date().toISOString()
+  }, { evidence: toEvidence(evidence, user), expectedStatuses: OPEN_DISPUTE_STATUSES })
+
+  if (!updated) {
+    return { status: 409, message: 'This dispute was updated by someone else. Please refresh and try again.' }
+  }
+
+  // Tell whoever didn't write it
+  const recipients = [
+    authorRole !== 'client' && updated.client_id,
+    authorRole !== 'companion' && updated.companion_id
+  ].filter(Boolean)
+  const message = authorRole === 'admin'
+    ? 'Our team added a note to your dispute.'
+    : `The ${authorRole} added a statement to your dispute.`
+
+  for (const recipientId of recipients) {
+    await notifyParty(await getProfile(recipientId), NOTIFICATION_TYPES.DISPUTE_UPDATED, updated, { message })
+  }
+
+  return { dispute: updated }
+}
+
+/**
+ * Move an unresolved dispute to another review status
+ * Escalating emails the configured escalation address.
+ * @param {Object} dispute - Dispute row
+ * @param {Object} admin - Authenticated admin
+ * @param {Object} params - { status, note }
+ * @returns {Promise<Object>} { dispute } or { status, message } on failure
+ */
+export async function updateDisputeStatus(dispute, admin, { status, note }) {
+  const allowed = STATUS_TRANSITIONS[dispute.status] || []
+  if (!allowed.includes(status)) {
+    return {
+      status: dispute.status === 'resolved' ? 409 : 400,
+      message: `Cannot move a dispute from ${dispute.status} to ${status}`
+    }
+  }
+
+  const cleanNote = cleanText(note) || null
+  const now = new Date().toISOString()
+
+  const updated = await appendNote(dispute, {
+    type: 'status',
+    authorId: admin.id,
+    authorRole: 'admin',
+    status,
+    body: cleanNote,
+    createdAt: now
+  }, {
+    patch: { status, ...(status === 'escalated' && { escalated_at: now }) },
+    expectedStatuses: [dispute.status]
+  })
+
+  if (!updated) {
+    return { status: 409, message: 'This dispute was updated by someone else. Please refresh and try again.' }
+  }
+
+  await recordAuditEvent({
+    actor: admin,
+    action: `dispute.${status === 'escalated' ? 'escalate' : 'review'}`,
+    targetType: 'dispute',
+    targetId: dispute.id,
+    fromStatus: dispute.status,
+    toStatus: status,
+    note: cleanNote
+  })
+
+  if (status === 'escalated') {
+    await sendEscalationEmail(updated, admin, cleanNote)
+  }
+
+  const message = status === 'escalated'
+    ? 'Your dispute has been escalated for senior review.'
+    : 'Our team is reviewing your dispute.'
+  for (const partyId of [updated.client_id, updated.companion_id]) {
+    await notifyParty(await getProfile(partyId), NOTIFICATION_TYPES.DISPUTE_UPDATED, updated, { message })
+  }
+
+  return { dispute: updated }
+}
+
+/**
+ * Resolve a dispute and settle the booking's payment accordingly
+ * @param {Object} dispute - Dispute row
+ * @param {Object} admin - Authenticated admin
+ * @param {Object} params - { outcome, refundAmount, resolution }
+ * @returns {Promise<Object>} { dispute, payment } or { status, message } on failure
+ *   `payment.error` is set when the outcome was recorded but moving the money failed
+ */
+export async function resolveDispute(dispute, admin, { outcome, refundAmount, resolution }) {
+  if (!DISPUTE_OUTCOMES[outcome]) {
+    return { status: 400, message: 'Invalid outcome' }
+  }
+
+  if (!OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+    return { status: 409, message: 'This dispute has already been resolved' }
+  }
+
+  const booking = await getBooking(dispute.booking_id)
+  if (!booking) {
+    return { status: 404, message: 'Booking not found' }
+  }
+
+  const paid = await getPaidAmount(booking)
+  let refund = 0
+  if (outcome === 'full_refund') {
+    refund = paid
+  } else if (outcome === 'partial_refund') {
+    refund = roundMoney(refundAmount)
+    if (!(refund > 0) || refund >= paid) {
+      return {
+        status: 400,
+        message: `A partial refund must be more than 0 and less than the $${paid.toFixed(2)} paid`
+      }
+    }
+  }
+
+  if (outcome === 'release_to_companion' && booking.status === 'accepted' &&
+      new Date(booking.start_time) > new Date()) {
+    return { status: 409, message: 'This booking has not started yet, so it can\'t be paid out' }
+  }
+
+  const cleanResolution = cleanText(resolution) || null
+  const now = new Date().toISOString()
+
+  // Resolve first: the hold only releases once no dispute is open
+  const updated = await appendNote(dispute, {
+    type: 'status',
+    authorId: admin.id,
+    authorRole: 'admin',
+    status: 'resolved',
+    body: cleanResolution,
+    createdAt: now
+  }, {
+    patch: {
+      status: 'resolved',
+      outcome,
+      outcome_status: 'pending',
+      refund_amount: outcome === 'release_to_companion' ? null : refund,
+      resolution: cleanResolution,
+      resolved_by: admin.id,
+      resolved_at: now
+    },
+    expectedStatuses: OPEN_DISPUTE_STATUSES
+  })
+
+  if (!updated) {
+    return { status: 409, message: 'This dispute was updated by someone else. Please refresh and try again.' }
+  }
+
+  const { dispute: settled, payment } = await settleOutcome(updated, admin)
+
+  await recordAuditEvent({
+    actor: admin,
+    action: 'dispute.resolve',
+    targetType: 'dispute',
+    targetId: dispute.id,
+    fromStatus: dispute.status,
+    toStatus: 'resolved',
+    note: cleanResolution,
+    metadata: { outcome, refundAmount: refund, bookingId: booking.id, payment }
+  })
+
+  const serialized = serializeBooking(booking)
+  for (const partyId of [settled.client_id, settled.companion_id]) {
+    await notifyParty(await getProfile(partyId), NOTIFICATION_TYPES.DISPUTE_RESOLVED, settled, {
+      date: serialized.date,
+      outcome: outcome === 'release_to_companion'
+        ? DISPUTE_OUTCOMES[outcome]
+        : `${DISPUTE_OUTCOMES[outcome]} ($${refund.toFixed(2)})`,
+      resolution: cleanResolution
+    })
+  }
+
+  return { dispute: settled, payment }
+}
+
+/**
+ * Apply a resolved dispute's outcome again after moving the money failed
+ * @param {Object} dispute - Dispute row with outcome_status 'failed'
+ * @param {Object} admin - Authenticated admin
+ * @returns {Promise<Object>} { dispute, payment } or { status, message } on failure
+ */
+export async function retryDisputeOutcome(dispute, admin) {
+  if (dispute.status !== 'resolved' || dispute.outcome_status !== 'failed') {
+    return { status: 409, message: 'This dispute has no failed payment to retry' }
+  }
+
+  // Claim the retry so two admins can't run it at once
+  const [claimed] = await getDb().update('disputes', { id: dispute.id, outcome_status: 'failed' }, {
+    outcome_status: 'pending',
+    updated_at: new Date().toISOString()
+  })
+  if (!claimed) {
+    return { status: 409, message: 'This dispute was updated by someone else. Please refresh and try again.' }
+  }
+
+  const { dispute: settled, payment } = await settleOutcome(claimed, admin)
+
+  await recordAuditEvent({
+    actor: admin,
+    action: 'dispute.retry_outcome',
+    targetType: 'dispute',
+    targetId: dispute.id,
+    fromStatus: 'resolved',
+    toStatus: 'resolved',
+    note: null,
+    metadata: { outcome: dispute.outcome, bookingId: dispute.booking_id, payment }
+  })
+
+  return { dispute: settled, payment }
+}
+
+/**
+ * Apply a resolved dispute's outcome and record whether the money moved
+ * @returns {Promise<Object>} { dispute, payment } - `payment.error` is set when it failed
+ */
+async function settleOutcome(dispute, admin) {
+  let payment
+  try {
+    const booking = await getBooking(dispute.booking_id)
+    if (!booking) throw new Error('Booking not found')
+
+    const refund = dispute.outcome === 'release_to_companion' ? 0 : Number(dispute.refund_amount || 0)
+    payment = await applyOutcome(dispute, booking, admin, refund)
+  } catch (error) {
+    console.error(`Failed to apply outcome of dispute ${dispute.id}:`, error)
+    payment = { action: 'failed', error: error.message }
+  }
+
+  const [updated] = await getDb().update('disputes', { id: dispute.id, outcome_status: 'pending' }, {
+    outcome_status: payment.error ? 'failed' : 'applied',
+    outcome_error: payment.error || null,
+    updated_at: new Date().toISOString()
+  })
+  return { dispute: updated || dispute, payment }
+}
+
+/**
+ * What the client paid for a booking
+ */
+async function getPaidAmount(booking) {
+  const escrow = await getEscrow(booking.id)
+  if (escrow) {
+    return ['awaiting_payment', 'payment_failed'].includes(escrow.status) ? 0 : Number(escrow.amount)
+  }
+
+  const { rows: payments } = await getDb().findMany('transactions', {
+    where: { booking_id: booking.id, status: 'success' }
+  })
+  return roundMoney(payments.reduce((sum, payment) => sum + Number(payment.amount), 0))
+}
+
+/**
+ * Move the booking's money according to the outcome
+ * Safe to run again for the same dispute: steps that already happened are skipped.
+ * @returns {Promise<Object>} { action, amount }
+ */
+async function applyOutcome(dispute, booking, admin, refund) {
+  const escrow = await getEscrow(booking.id)
+  const reason = `dispute ${dispute.id} resolved`
+
+  if (dispute.outcome !== 'release_to_companion') {
+    // Cancel before any money moves, so a failed refund never leaves the
+    // booking to be auto-completed and paid out
+    if (booking.status === 'accepted') {
+      const result = await transitionBooking({ ...booking }, 'refund', null, {
+        reason: `Cancelled when ${reason}`,
+        metadata: { disputeId: dispute.id, resolvedBy: admin.id }
+      })
+      if (result.status) throw new Error(result.message)
+    }
+
+    return refundClient(dispute, booking, escrow, refund, reason)
+  }
+
+  if (!escrow || escrow.status !== 'held') {
+    // Already credited (frozen until now), or paid out by Paystack in split mode
+    return { action: 'none', amount: 0 }
+  }
+
+  if (booking.status === 'accepted') {
+    const result = await transitionBooking({ ...booking }, 'complete', admin, { reason: `Completed when ${reason}` })
+    if (result.status) throw new Error(result.message)
+    return { action: result.paymentAction, amount: 0 }
+  }
+
+  const release = await releaseEscrow(booking)
+  return { action: release.released ? 'escrow_released' : 'none', amount: release.amount || 0 }
+}
+
+/**
+ * Refund the client for a full or partial refund outcome
+ * @returns {Promise<Object>} { action, amount }
+ */
+async function refundClient(dispute, booking, escrow, refund, reason) {
+  if (refund <= 0) {
+    return { action: 'none', amount: 0 }
+  }
+
+  // An earlier attempt already started the escrow refund; if Paystack failed
+  // it, the auto-complete job retries it (see retryEscrowRefund)
+  if (escrow && escrow.refund_status !== 'not_due') {
+    return { action: 'escrow_refunded', amount: Number(escrow.refund_amount) }
+  }
+
+  if (escrow?.status === 'held') {
+    // What isn't refunded is split as it would have been on completion
+    const sharePercent = booking.companion_share_percent === null ? 100 : Number(booking.companion_share_percent)
+    const rest = Number(escrow.amount) - refund
+    const result = await refundEscrow(booking, {
+      refundAmount: refund,
+      compensationAmount: roundMoney(rest * sharePercent / 100),
+      reason
+    })
+    return { action: 'escrow_refunded', amount: result.amount }
+  }
+
+  if (escrow) {
+    const result = await refundReleasedEscrow(booking, { refundAmount: refund, reason, reference: `dispute_${dispute.id}` })
+    if (result.status) throw new Error(result.message)
+    return { action: 'escrow_refunded', amount: result.amount }
+  }
+
+  // Split mode: Paystack already paid the companion, the refund comes from our balance
+  const db = getDb()
+  const { rows } = await db.findMany('transactions', {
+    where: { booking_id: booking.id, status: { in: ['success', 'partially_refunded', 'refunded'] } }
+  })
+  const payments = rows.filter(row => !isReturnedCharge(row))
+
+  // The booking was never cancelled before this outcome, so anything already
+  // refunded was refunded by an earlier attempt at it
+  let refunded = payments.reduce((sum, payment) => sum + Number(payment.refunded_amount || 0), 0)
+  let remaining = roundMoney(refund - refunded)
+  for (const payment of payments.filter(row => row.status === 'success')) {
+    const amount = Math.min(Number(payment.amount), remaining)
+    if (amount <= 0) break
+
+    await initiateRefund({
+      transaction: payment.paystack_reference,
+      amount: Math.round(amount * 100), // Paystack expects kobo
+      customerNote: `Refund for booking #${booking.id}`,
+      merchantNote: `Dispute refund - ${reason}`
+    })
+    await db.update('transactions', { id: payment.id }, {
+      status: amount < Number(payment.amount) ? 'partially_refunded' : 'refunded',
+      refunded_amount: amount
+    })
+
+    remaining -= amount
+    refunded += amount
+  }
+
+  return { action: 'refund_initiated', amount: roundMoney(refunded) }
+}
+
+/**
+ * Email the escalation address about an escalated dispute
+ */
+async function sendEscalationEmail(dispute, admin, note) {
+  try {
+    const settings = await getPlatformSettings()
+    if (!settings.dispute_escalation_email) {
+      console.warn(`Dispute ${dispute.id} escalated but no dispute_escalation_email is configured`)
+      return
+    }
+
+    const appUrl = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'
+    const escalatedBy = await getProfile(admin.id)
+
+    await sendNotification(
+      null,
+      NOTIFICATION_TYPES.DISPUTE_ESCALATED,
+      {
+        disputeId: dispute.id,
+        bookingId: dispute.booking_id,
+        reason: DISPUTE_REASONS[dispute.reason] || dispute.reason,
+        summary: dispute.summary,
+        escalatedBy: getDisplayName(escalatedBy, 'An admin'),
+        note,
+        disputeUrl: `${appUrl}/admin/disputes?dispute=${dispute.id}`
+      },
+      {
+        inApp: false,
+        email: true,
+        push: false,
+        userEmail: settings.dispute_escalation_email,
+        pushToken: null
+      }
+    )
+  } catch (error) {
+    console.error(`Failed to send escalation email for dispute ${dispute.id}:`, error)
+  }
+}
+
+/**
+ * Notify one party to a dispute
+ */
+async function notifyParty(profile, notificationType, dispute, data) {
+  if (!profile) return
+
+  try {
+    const appUrl = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'
+    const dashboard = profile.role === 'companion' ? 'companion' : 'client'
+
+    await sendNotification(
+      profile.id,
+      notificationType,
+      {
+        ...data,
+        disputeUrl: `${appUrl}/${dashboard}/dashboard?dispute=${dispute.id}`
+      },
+      {
+        inApp: true,
+        email: true,
+        push: false,
+        userEmail: profile.email || null,
+        pushToken: null
+      }
+    )
+  } catch (error) {
+    console.error(`Failed to notify ${profile.id} about dispute ${dispute.id}:`, error)
+  }
+}
+
+/**
+ * Map a dispute to the API response shape
+ */
+export function serializeDispute(dispute) {
+  return {
+    id: dispute.id,
+    bookingId: dispute.booking_id,
+    clientId: dispute.client_id,
+    companionId: dispute.companion_id,
+    openedBy: dispute.opened_by,
+    status: dispute.status,
+    reason: dispute.reason,
+    reasonLabel: DISPUTE_REASONS[dispute.reason] || dispute.reason,
+    summary: dispute.summary,
+    details: dispute.details,
+    evidence: dispute.evidence || [],
+    notes: dispute.notes || [],
+    outcome: dispute.outcome,
+    refundAmount: dispute.refund_amount === null || dispute.refund_amount === undefined
+      ? null
+      : Number(dispute.refund_amount),
+    outcomeStatus: dispute.outcome_status || null,
+    outcomeError: dispute.outcome_error || null,
+    resolution: dispute.resolution,
+    resolvedAt: dispute.resolved_at,
+    escalatedAt: dispute.escalated_at,
+    createdAt: dispute.created_at,
+    updatedAt: dispute.updated_at,
+    availableStatuses: STATUS_TRANSITIONS[dispute.status] || []
+  }
+}
@@ -0,0 +1,689 @@
+/**
+ * Escrow Helper Library
+ *
+ * In escrow mode (platform_settings.payment_mode = 'escrow') the client's
+ * charge lands in the platform balance and is tracked per booking in the
+ * `escrow_holds` table:
+ *
+ *   awaiting_payment --charge.success--> held --complete--> settled
+ *                                          |--decline/cancel--> settling --refund.processed--> settled
+ *   settled --dispute refund--> settling --refund.processed--> settled
+ *   awaiting_payment --charge.failed--> payment_failed
+ *
+ * On completion the companion's share is credited to their balance in the
+ * ledger; payouts to their bank account are handled by lib/payouts.js. A
+ * cancellation fee is credited the same way. While `settling` the hold waits
+ * for the client's refund (refund_status), driven by Paystack webhooks - see
+ * lib/paystackEvents.js. Refunds that fail are retried by the auto-complete
+ * job up to MAX_REFUND_ATTEMPTS times.
+ *
+ * A charge that can't be held (wrong amount, or a payment attempt the hold has
+ * moved on from) is refunded in full and tracked on its transaction instead.
+ *
+ * SAFETY CONSIDERATIONS:
+ * - Every move out of `held` is a conditional update on the current status,
+ *   so concurrent completion/cancellation can't credit or refund twice
+ * - Amounts sent to Paystack are always derived from the stored hold,
+ *   never from request input
+ */
+
+import { getDb } from './db'
+import { initiateRefund } from './paystack'
+import { postEscrowRelease, postEscrowRefund, postReleaseReversal } from './ledger'
+
+export const PAYMENT_MODES = ['escrow', 'split']
+
+export const ESCROW_STATUSES = ['awaiting_payment', 'held', 'settling', 'settled', 'payment_failed']
+
+// Disputes in these states freeze the hold
+export const OPEN_DISPUTE_STATUSES = ['open', 'in_review', 'escalated']
+
+// Automatic release retries before the hold is left for an admin
+export const MAX_RELEASE_ATTEMPTS = 5
+
+// Automatic refund retries before the refund is left for an admin
+export const MAX_REFUND_ATTEMPTS = 5
+
+// A booking auto-complete had to skip (disputed, or completing it failed) is
+// left alone this long, so it can't keep the rest of the batch waiting
+export const AUTO_COMPLETE_RETRY_HOURS = 24
+
+const toKobo = (amount) => Math.round(Number(amount) * 100)
+const roundMoney = (amount) => Math.round(Number(amount) * 100) / 100
+
+/**
+ * Fetch the escrow hold for a booking
+ */
+export async function getEscrow(bookingId) {
+  return getDb().findOne('escrow_holds', { booking_id: bookingId })
+}
+
+/**
+ * Fetch the transaction for a Paystack charge reference
+ */
+export async function getTransactionByReference(reference) {
+  return getDb().findOne('transactions', { paystack_reference: reference })
+}
+
+/**
+ * Check whether a booking has a dispute that should freeze its funds
+ */
+export async function hasOpenDispute(bookingId) {
+  const dispute = await getDb().findOne('disputes', {
+    booking_id: bookingId,
+    status: { in: OPEN_DISPUTE_STATUSES }
+  })
+  return !!dispute
+}
+
+/**
+ * Record a payment attempt for a booking
+ * Creates the pending transaction and, in escrow mode, the hold awaiting payment.
+ * @param {Object} params - { booking, reference, escrow }
+ * @returns {Promise<Object>} Transaction row
+ */
+export async function recordPaymentAttempt({ booking, reference, escrow = true }) {
+  const db = getDb()
+
+  const transaction = await db.insert('transactions', {
+    booking_id: booking.id,
+    paystack_reference: reference,
+    amount: booking.total_price,
+    status: 'pending',
+    payment_mode: escrow ? 'escrow' : 'split',
+    refund_status: 'not_due',
+    refund_attempts: 0
+  })
+
+  if (escrow) {
+    const existing = await getEscrow(booking.id)
+    if (existing) {
+      await db.update('escrow_holds', { booking_id: booking.id }, {
+        status: 'awaiting_payment',
+        amount: booking.total_price,
+        charge_reference: reference,
+        release_status: 'not_due',
+        release_attempts: 0,
+        refund_status: 'not_due',
+        last_error: null
+      })
+    } else {
+      await db.insert('escrow_holds', {
+        booking_id: booking.id,
+        status: 'awaiting_payment',
+        amount: booking.total_price,
+        charge_reference: reference,
+        release_status: 'not_due',
+        release_attempts: 0,
+        refund_status: 'not_due'
+      })
+    }
+  }
+
+  return transaction
+}
+
+/**
+ * Payment mode a charge was made in
+ * Transactions recorded before the mode was stored fall back to the metadata
+ * sent to Paystack with the charge.
+ */
+function getChargePaymentMode(transaction, data) {
+  if (PAYMENT_MODES.includes(transaction.payment_mode)) {
+    return transaction.payment_mode
+  }
+
+  let metadata = data.metadata
+  if (typeof metadata === 'string') {
+    try {
+      metadata = JSON.parse(metadata)
+    } catch (error) {
+      metadata = null
+    }
+  }
+  return metadata?.paymentMode === 'split' ? 'split' : 'escrow'
+}
+
+/**
+ * Handle a successful charge (charge.success webhook)
+ * Puts the funds on hold. If the booking was declined or cancelled before the
+ * client finished paying, the whole charge is refunded straight away. A charge
+ * that can't be kept - the wrong amount, or an escrow payment attempt whose
+ * hold has since moved to a newer attempt - is sent back in full.
+ * @param {Object} data - Paystack event data
+ * @returns {Promise<Object|null>} { transaction, escrow, refunded, returned } or null if the charge is unknown
+ */
+export async function recordChargeSuccess(data) {
+  const db = getDb()
+  const transaction = await getTransactionByReference(data.reference)
+
+  if (!transaction) {
+    console.error('Charge for unknown transaction:', data.reference)
+    return null
+  }
+
+  // Already processed (webhooks can be delivered more than once)
+  if (transaction.status !== 'pending') {
+    return {
+      transaction,
+      escrow: await getEscrow(transaction.booking_id),
+      refunded: false,
+      returned: isReturnedCharge(transaction)
+    }
+  }
+
+  const paymentMode = getChargePaymentMode(transaction, data)
+
+  // CRITICAL: The amount charged must match what we asked for
+  if (Number(data.amount) !== toKobo(transaction.amount)) {
+    console.error(`Charge amount mismatch for ${data.reference}: expected ${toKobo(transaction.amount)}, got ${data.amount}`)
+    if (paymentMode === 'escrow') {
+      await db.update('escrow_holds', { charge_reference: data.reference, status: 'awaiting_payment' }, {
+        status: 'payment_failed',
+        last_error: 'Charged amount did not match the booking price'
+      })
+    }
+    return returnCharge(transaction, data, 'charged amount did not match the booking price')
+  }
+
+  // Split mode: nothing is held
+  if (paymentMode === 'split') {
+    const [updatedTransaction] = await db.update('transactions', { id: transaction.id, status: 'pending' }, { status: 'success' })
+    return { transaction: updatedTransaction || transaction, escrow: null, refunded: false, returned: false }
+  }
+
+  let [escrow] = await db.update('escrow_holds', {
+    booking_id: transaction.booking_id,
+    charge_reference: data.reference,
+    status: 'awaiting_payment'
+  }, {
+    status: 'held',
+    held_at: new Date().toISOString(),
+    last_error: null
+  })
+
+  if (!escrow) {
+    const current = await getEscrow(transaction.booking_id)
+    // Nothing would ever release or refund this charge: a newer payment
+    // attempt took over the hold, or the hold is gone
+    if (!current || current.charge_reference !== data.reference || current.status === 'payment_failed') {
+      console.error(`Charge ${data.reference} has no hold waiting for it - refunding`)
+      return returnCharge(transaction, data, 'payment attempt was replaced by a newer one')
+    }
+    // Held by an earlier delivery of this event that stopped halfway
+    escrow = current
+  }
+
+  const [updatedTransaction] = await db.update('transactions', { id: transaction.id, status: 'pending' }, { status: 'success' })
+
+  const booking = await db.findOne('bookings', { id: transaction.booking_id })
+  if (booking && ['declined', 'cancelled'].includes(booking.status)) {
+    await refundEscrow(booking, { reason: `booking already ${booking.status}` })
+    return { transaction: updatedTransaction || transaction, escrow: await getEscrow(booking.id), refunded: true, returned: false }
+  }
+
+  return { transaction: updatedTransaction || transaction, escrow, refunded: false, returned: false }
+}
+
+/**
+ * Whether a transaction's charge was sent back by returnCharge
+ */
+export function isReturnedCharge(transaction) {
+  return ['pending', 'processed', 'failed'].includes(transaction?.refund_status)
+}
+
+/**
+ * Refund a whole charge that can't be kept
+ * The refund is tracked on the transaction, so a failed one is retried (see
+ * retryChargeRefund).
+ * @returns {Promise<Object>} recordChargeSuccess result
+ */
+async function returnCharge(transaction, data, reason) {
+  const db = getDb()
+
+  const [claimed] = await db.update('transactions', { id: transaction.id, status: 'pending' }, {
+    status: 'refunded',
+    refunded_amount: Number(data.amount) / 100,
+    refund_status: 'pending',
+    refund_attempts: 1,
+    last_error: reason
+  })
+  if (!claimed) {
+    const current = await getTransactionByReference(data.reference)
+    return { transaction: current, escrow: null, refunded: false, returned: isReturnedCharge(current) }
+  }
+
+  try {
+    await initiateRefund({
+      transaction: data.reference,
+      amount: Number(data.amount),
+      customerNote: `Refund for booking #${transaction.booking_id}`,
+      merchantNote: `Charge returned - ${reason}`
+    })
+  } catch (error) {
+    await db.update('transactions', { id: transaction.id }, {
+      refund_status: 'failed',
+      last_error: error.message
+    })
+    console.error(`Refund of charge ${data.reference} failed:`, error)
+  }
+
+  return { transaction: claimed, escrow: null, refunded: false, returned: true }
+}
+
+/**
+ * Handle a failed charge (charge.failed webhook)
+ * @returns {Promise<Object|null>} Transaction row, or null if unknown
+ */
+export async function recordChargeFailure(data) {
+  const db = getDb()
+  const transaction = await getTransactionByReference(data.reference)
+  if (!transaction) return null
+
+  if (transaction.status === 'pending') {
+    await db.update('transactions', { id: transaction.id }, { status: 'failed' })
+    await db.update('escrow_holds', { charge_reference: data.reference, status: 'awaiting_payment' }, {
+      status: 'payment_failed',
+      last_error: data.gateway_response || 'Charge failed'
+    })
+  }
+
+  return transaction
+}
+
+/**
+ * Release held funds after the booking is completed
+ * The companion's share is credited to their balance; it reaches their bank
+ * account through a withdrawal or scheduled payout (see lib/payouts.js).
+ * @param {Object} booking - Booking row
+ * @returns {Promise<Object>} { released, amount } or { released: false, reason }
+ */
+export async function releaseEscrow(booking) {
+  const db = getDb()
+  const escrow = await getEscrow(booking.id)
+
+  if (!escrow || escrow.status !== 'held') {
+    return { released: false, reason: escrow ? escrow.status : 'no_escrow' }
+  }
+
+  if (await hasOpenDispute(booking.id)) {
+    return { released: false, reason: 'disputed' }
+  }
+
+  const sharePercent = booking.companion_share_percent === null ? 100 : Number(booking.companion_share_percent)
+  const amount = roundMoney(Number(escrow.amount) * sharePercent / 100)
+
+  // Claim the hold first so a concurrent run can't credit the companion twice
+  const [claimed] = await db.update('escrow_holds', { booking_id: booking.id, status: 'held' }, {
+    status: 'settled',
+    companion_amount: amount,
+    release_status: 'success',
+    release_attempts: (escrow.release_attempts || 0) + 1,
+    settled_at: new Date().toISOString(),
+    last_error: null
+  })
+  if (!claimed) {
+    return { released: false, reason: 'already_settling' }
+  }
+
+  try {
+    await postEscrowRelease(booking, claimed)
+  } catch (error) {
+    // Put the funds back on hold so the next auto-complete run can retry
+    await db.update('escrow_holds', { booking_id: booking.id }, {
+      status: 'held',
+      release_status: 'failed',
+      settled_at: null,
+      last_error: error.message
+    })
+    throw error
+  }
+
+  return { released: true, amount }
+}
+
+/**
+ * Return held funds after a decline or cancellation
+ * The refund defaults to the whole hold; a cancellation fee can be credited
+ * to the companion's balance out of what isn't refunded.
+ * @param {Object} booking - Booking row
+ * @param {Object} options - { refundAmount, compensationAmount, reason }
+ * @returns {Promise<Object>} { paid, amount, compensation }
+ */
+export async function refundEscrow(booking, { refundAmount = null, compensationAmount = 0, reason = 'booking cancelled' } = {}) {
+  const db = getDb()
+  const escrow = await getEscrow(booking.id)
+
+  if (!escrow) {
+    return { paid: false, amount: 0, compensation: 0 }
+  }
+
+  // Nothing was charged yet - a late charge.success sees the closed booking
+  // and refunds the whole charge (see recordChargeSuccess)
+  if (['awaiting_payment', 'payment_failed'].includes(escrow.status)) {
+    return { paid: false, amount: 0, compensation: 0 }
+  }
+
+  if (escrow.status !== 'held') {
+    return { paid: true, amount: 0, compensation: 0 }
+  }
+
+  const held = Number(escrow.amount)
+  const refund = roundMoney(Math.min(refundAmount === null ? held : refundAmount, held))
+  const compensation = roundMoney(Math.min(compensationAmount || 0, held - refund))
+
+  const [claimed] = await db.update('escrow_holds', { booking_id: booking.id, status: 'held' }, {
+    status: refund > 0 ? 'settling' : 'settled',
+    refund_amount: refund,
+    refund_status: refund > 0 ? 'pending' : 'not_due',
+    refund_attempts: refund > 0 ? 1 : 0,
+    companion_amount: compensation,
+    release_status: compensation > 0 ? 'success' : 'not_due',
+    ...(refund === 0 && { settled_at: new Date().toISOString() })
+  })
+  if (!claimed) {
+    return { paid: true, amount: 0, compensation: 0 }
+  }
+
+  try {
+    await postEscrowRefund(booking, claimed)
+  } catch (error) {
+    // The client still gets their money back; reconciliation shows the gap
+    console.error(`Ledger posting failed for booking ${booking.id}:`, error)
+  }
+
+  if (refund > 0) {
+    try {
+      await initiateRefund({
+        transaction: escrow.charge_reference,
+        amount: toKobo(refund),
+        customerNote: `Refund for booking #${booking.id}`,
+        merchantNote: `Escrow refund - ${reason}`
+      })
+      await db.update('transactions', { paystack_reference: escrow.charge_reference }, {
+        status: refund < held ? 'partially_refunded' : 'refunded',
+        refunded_amount: refund
+      })
+    } catch (error) {
+      await db.update('escrow_holds', { booking_id: booking.id }, {
+        refund_status: 'failed',
+        last_error: error.message
+      })
+      console.error(`Escrow refund failed for booking ${booking.id}:`, error)
+    }
+  }
+
+  return { paid: true, amount: refund, compensation }
+}
+
+/**
+ * Refund part of a hold that was already released to the companion
+ * Used when a dispute is resolved in the client's favour after completion:
+ * the refund is taken back from the companion's and platform's shares in
+ * proportion, so the companion's balance goes down by their part of it.
+ * @param {Object} booking - Booking row
+ * @param {Object} options - { refundAmount, reason, reference } - reference keys the ledger entry
+ * @returns {Promise<Object>} { paid, amount, companionAmount } or { status, message }
+ */
+export async function refundReleasedEscrow(booking, { refundAmount, reason, reference }) {
+  const db = getDb()
+  const escrow = await getEscrow(booking.id)
+
+  if (!escrow || escrow.status !== 'settled' || escrow.release_status !== 'success' || escrow.refund_status !== 'not_due') {
+    return { status: 409, message: 'Booking payment can no longer be refunded from escrow' }
+  }
+
+  const held = Number(escrow.amount)
+  const released = Number(escrow.companion_amount || 0)
+  const refund = roundMoney(Math.min(refundAmount, held))
+  if (!(refund > 0)) {
+    return { paid: false, amount: 0, companionAmount: 0 }
+  }
+  const companionPart = roundMoney(refund * released / held)
+
+  const [claimed] = await db.update('escrow_holds', {
+    booking_id: booking.id,
+    status: 'settled',
+    refund_status: 'not_due'
+  }, {
+    status: 'settling',
+    refund_amount: refund,
+    refund_status: 'pending',
+    refund_attempts: 1,
+    companion_amount: roundMoney(released - companionPart),
+    settled_at: null
+  })
+  if (!claimed) {
+    return { status: 409, message: 'Booking payment was updated by someone else' }
+  }
+
+  try {
+    await postReleaseReversal(booking, {
+      reference,
+      refund: toKobo(refund),
+      companion: toKobo(companionPart)
+    })
+  } catch (error) {
+    // The client still gets their money back; reconciliation shows the gap
+    console.error(`Ledger posting failed for booking ${booking.id}:`, error)
+  }
+
+  try {
+    await initiateRefund({
+      transaction: escrow.charge_reference,
+      amount: toKobo(refund),
+      customerNote: `Refund for booking #${booking.id}`,
+      merchantNote: `Escrow refund after release - ${reason}`
+    })
+    await db.update('transactions', { paystack_reference: escrow.charge_reference }, {
+      status: refund < held ? 'partially_refunded' : 'refunded',
+      refunded_amount: refund
+    })
+  } catch (error) {
+    await db.update('escrow_holds', { booking_id: booking.id }, {
+      refund_status: 'failed',
+      last_error: error.message
+    })
+    console.error(`Escrow refund failed for booking ${booking.id}:`, error)
+  }
+
+  return { paid: true, amount: refund, companionAmount: companionPart }
+}
+
+/**
+ * Handle refund.processed / refund.failed for a refund from escrow or of a
+ * returned charge
+ * @param {string} chargeReference - Reference of the original charge
+ * @param {boolean} success - Whether the refund went through
+ * @returns {Promise<Object|null>} Updated hold, or null if there is no hold
+ *   waiting on the refund
+ */
+export async function recordRefundResult(chargeReference, success, failureReason = null) {
+  const db = getDb()
+  const result = {
+    refund_status: success ? 'processed' : 'failed',
+    ...(!success && { last_error: failureReason || 'Refund failed' })
+  }
+
+  await db.update('transactions', { paystack_reference: chargeReference, refund_status: 'pending' }, result)
+
+  const escrow = await db.findOne('escrow_holds', { charge_reference: chargeReference })
+  if (!escrow || escrow.refund_status !== 'pending') return null
+
+  const [updated] = await db.update('escrow_holds', { booking_id: escrow.booking_id, refund_status: 'pending' }, result)
+
+  return updated ? settleIfComplete(updated) : null
+}
+
+/**
+ * List refunds that failed and should be retried
+ * @param {number} limit - Batch size for each kind
+ * @returns {Promise<Object>} { holds, transactions } - escrow refunds and returned charges
+ */
+export async function listFailedRefunds(limit = 50) {
+  const db = getDb()
+  const [holds, transactions] = await Promise.all([
+    db.findMany('escrow_holds', {
+      where: { status: 'settling', refund_status: 'failed', refund_attempts: { lt: MAX_REFUND_ATTEMPTS } },
+      orderBy: 'updated_at',
+      limit
+    }),
+    db.findMany('transactions', {
+      where: { refund_status: 'failed', refund_attempts: { lt: MAX_REFUND_ATTEMPTS } },
+      orderBy: 'created_at',
+      limit
+    })
+  ])
+  return { holds: holds.rows, transactions: transactions.rows }
+}
+
+/**
+ * Send a failed escrow refund to Paystack again
+ * @param {Object} hold - Escrow hold with refund_status 'failed'
+ * @returns {Promise<boolean>} false if someone else already retried it
+ */
+export async function retryEscrowRefund(hold) {
+  const db = getDb()
+
+  const [claimed] = await db.update('escrow_holds', {
+    booking_id: hold.booking_id,
+    status: 'settling',
+    refund_status: 'failed'
+  }, {
+    refund_status: 'pending',
+    refund_attempts: (hold.refund_attempts || 0) + 1,
+    last_error: null
+  })
+  if (!claimed) return false
+
+  const refund = Number(claimed.refund_amount)
+  try {
+    await initiateRefund({
+      transaction: claimed.charge_reference,
+      amount: toKobo(refund),
+      customerNote: `Refund for booking #${claimed.booking_id}`,
+      merchantNote: 'Escrow refund - retry'
+    })
+  } catch (error) {
+    await db.update('escrow_holds', { booking_id: claimed.booking_id }, {
+      refund_status: 'failed',
+      last_error: error.message
+    })
+    throw error
+  }
+
+  await db.update('transactions', { paystack_reference: claimed.charge_reference }, {
+    status: refund < Number(claimed.amount) ? 'partially_refunded' : 'refunded',
+    refunded_amount: refund
+  })
+  return true
+}
+
+/**
+ * Send a failed refund of a returned charge to Paystack again
+ * @param {Object} transaction - Transaction with refund_status 'failed'
+ * @returns {Promise<boolean>} false if someone else already retried it
+ */
+export async function retryChargeRefund(transaction) {
+  const db = getDb()
+
+  const [claimed] = await db.update('transactions', { id: transaction.id, refund_status: 'failed' }, {
+    refund_status: 'pending',
+    refund_attempts: (transaction.refund_attempts || 0) + 1
+  })
+  if (!claimed) return false
+
+  try {
+    await initiateRefund({
+      transaction: claimed.paystack_reference,
+      amount: toKobo(claimed.refunded_amount),
+      customerNote: `Refund for booking #${claimed.booking_id}`,
+      merchantNote: 'Charge returned - retry'
+    })
+  } catch (error) {
+    await db.update('transactions', { id: claimed.id }, {
+      refund_status: 'failed',
+      last_error: error.message
+    })
+    throw error
+  }
+  return true
+}
+
+/**
+ * Mark a settling hold as settled once every part that was due has gone through
+ */
+async function settleIfComplete(escrow) {
+  const releaseDone = ['not_due', 'success'].includes(escrow.release_status)
+  const refundDone = ['not_due', 'processed'].includes(escrow.refund_status)
+
+  if (escrow.status !== 'settling' || !releaseDone || !refundDone) {
+    return escrow
+  }
+
+  const [settled] = await getDb().update('escrow_holds', { booking_id: escrow.booking_id, status: 'settling' }, {
+    status: 'settled',
+    settled_at: new Date().toISOString()
+  })
+  return settled || escrow
+}
+
+/**
+ * List accepted bookings whose end time passed long enough ago to auto-complete
+ * Bookings put off with deferAutoComplete are left out until they're due again.
+ * @param {number} hoursAfterEnd - Hours after end_time
+ * @param {number} limit - Batch size
+ */
+export async function listBookingsDueForAutoComplete(hoursAfterEnd, limit = 50, { now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - hoursAfterEnd * 60 * 60 * 1000)
+  const { rows } = await getDb().findMany('bookings', {
+    where: {
+      status: 'accepted',
+      end_time: { lte: cutoff.toISOString() },
+      or: [{ auto_complete_after: null }, { auto_complete_after: { lte: now.toISOString() } }]
+    },
+    orderBy: 'end_time',
+    limit
+  })
+  return rows
+}
+
+/**
+ * Put off auto-completing a booking for AUTO_COMPLETE_RETRY_HOURS
+ */
+export async function deferAutoComplete(bookingId, { now = new Date() } = {}) {
+  const retryAt = new Date(now.getTime() + AUTO_COMPLETE_RETRY_HOURS * 60 * 60 * 1000)
+  await getDb().update('bookings', { id: bookingId, status: 'accepted' }, {
+    auto_complete_after: retryAt.toISOString()
+  })
+}
+
+/**
+ * List holds whose release to the companion failed and should be retried
+ * @param {number} limit - Batch size
+ */
+export async function listReleasableHolds(limit = 50) {
+  const { rows } = await getDb().findMany('escrow_holds', {
+    where: { status: 'held', release_status: 'failed', release_attempts: { lt: MAX_RELEASE_ATTEMPTS } },
+    orderBy: 'held_at',
+    limit
+  })
+  return rows
+}
+
+/**
+ * Map an escrow hold to the API response shape
+ */
+export function serializeEscrow(escrow) {
+  if (!escrow) return null
+  return {
+    status: escrow.status,
+    amount: Number(escrow.amount),
+    companionAmount: escrow.companion_amount === null ? null : Number(escrow.companion_amount),
+    releaseStatus: escrow.release_status,
+    refundAmount: Number(escrow.refund_amount || 0),
+    refundStatus: escrow.refund_status,
+    heldAt: escrow.held_at,
+    settledAt: escrow.settled_at
+  }
+}
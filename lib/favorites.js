@@ -0,0 +1,676 @@
+/**
+ * Favorites Helper Library
+ *
+ * Clients favorite companions to find and book them again. Each favorite can
+ * carry a private note, and favorites can be grouped into named collections
+ * ("Business events", "Travel"); a favorite may be in several collections or
+ * none. Favorites and collections are ordered by `position`, which the client
+ * can change by dragging them around.
+ *
+ * Clients are notified when a favorited companion opens new availability or
+ * changes their hourly rate, unless they turned that off for the favorite.
+ *
+ * SAFETY CONSIDERATIONS:
+ * - Every lookup is scoped to the client, so collection and favorite ids from
+ *   the request can't reach someone else's rows
+ * - Collection items are removed explicitly before their favorite or
+ *   collection, since not every adapter cascades deletes
+ */
+
+import { getDb } from './db'
+import { getCompanionProfile, getDisplayName } from './profiles'
+import { getCompanionScorecards } from './scorecards'
+import { getDefaultAvailability } from './calendar'
+import { sendNotification, NOTIFICATION_TYPES } from './notifications'
+
+const MAX_FAVORITES = 500
+const MAX_COLLECTIONS = 50
+const MAX_COLLECTION_NAME_LENGTH = 60
+const MAX_NOTE_LENGTH = 1000
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+
+const cleanText = (text, max) =>
+  typeof text === 'string' ? text.trim().substring(0, max) : ''
+
+/**
+ * Parse collection ids from a request
+ * @returns {Array|null} Integer ids, or null if any is invalid
+ */
+function parseCollectionIds(ids) {
+  if (!Array.isArray(ids)) return null
+  const parsed = ids.map(id => Number(id))
+  return parsed.every(id => Number.isInteger(id) && id > 0) ? [...new Set(parsed)] : null
+}
+
+/**
+ * Positions for a new order
+ * The listed keys come first, in the given order; everything else keeps its
+ * current order after them.
+ * @param {Array} rows - Rows in their current order
+ * @param {Function} keyOf - Row -> key the client refers to it by
+ * @param {Array} keys - Keys in the requested order
+ * @returns {Array|null} [{ row, position }] for rows whose position changes,
+ *   or null if a key doesn't belong to any row
+ */
+function planReorder(rows, keyOf, keys) {
+  const byKey = new Map(rows.map(row => [String(keyOf(row)), row]))
+  if (keys.some(key => !byKey.has(String(key)))) return null
+
+  const listed = [...new Set(keys.map(String))].map(key => byKey.get(key))
+  const rest = rows.filter(row => !listed.includes(row))
+
+  return [...listed, ...rest]
+    .map((row, position) => ({ row, position }))
+    .filter(({ row, position }) => row.position !== position)
+}
+
+// ---------------------------------------------------------------------------
+// Favorites
+// ---------------------------------------------------------------------------
+
+/**
+ * Fetch a client's favorite of a companion
+ * @returns {Promise<Object|null>} Favorite row
+ */
+export async function getFavorite(userId, companionId) {
+  return getDb().findOne('favorites', { user_id: userId, companion_id: companionId })
+}
+
+/**
+ * List a client's favorites with the companions' profiles
+ * @param {string} userId - Client profile UUID
+ * @param {Object} options - { collectionId, limit, offset }; with a collection
+ *   only its favorites are listed, in the collection's order
+ * @returns {Promise<Object>} { favorites: [{ favorite, companion, rating, reviewCount, collectionIds }], total }
+ *   or { status, message } if the collection doesn't exist
+ */
+export async function listFavorites(userId, { collectionId = null, limit = 20, offset = 0 } = {}) {
+  const db = getDb()
+  let favorites
+  let total
+
+  if (collectionId) {
+    const collection = await getCollection(userId, collectionId)
+    if (!collection) return { status: 404, message: 'Collection not found' }
+
+    const items = await db.findMany('favorite_collection_items', {
+      where: { collection_id: collection.id },
+      orderBy: ['position', 'created_at'],
+      limit,
+      offset
+    })
+    total = items.total
+
+    const { rows } = items.rows.length > 0
+      ? await db.findMany('favorites', {
+        where: { user_id: userId, id: { in: items.rows.map(item => item.favorite_id) } }
+      })
+      : { rows: [] }
+    const byId = new Map(rows.map(favorite => [favorite.id, favorite]))
+    favorites = items.rows.map(item => byId.get(item.favorite_id)).filter(Boolean)
+  } else {
+    const page = await db.findMany('favorites', {
+      where: { user_id: userId },
+      orderBy: ['position', { column: 'created_at', ascending: false }],
+      limit,
+      offset
+    })
+    favorites = page.rows
+    total = page.total
+  }
+
+  if (favorites.length === 0) return { favorites: [], total }
+
+  const companionIds = favorites.map(favorite => favorite.companion_id)
+  const [companions, scorecards, memberships] = await Promise.all([
+    db.findMany('profiles', { where: { id: { in: companionIds } } }),
+    getCompanionScorecards(companionIds),
+    getMemberships(favorites)
+  ])
+  const companionsById = new Map(companions.rows.map(profile => [profile.id, profile]))
+
+  return {
+    favorites: favorites
+      .filter(favorite => companionsById.has(favorite.companion_id))
+      .map(favorite => ({
+        favorite,
+        companion: companionsById.get(favorite.companion_id),
+        rating: scorecards.get(favorite.companion_id).rating,
+        reviewCount: scorecards.get(favorite.companion_id).reviewCount,
+        collectionIds: memberships.get(favorite.id) || []
+      })),
+    total
+  }
+}
+
+/**
+ * Collections each favorite is in
+ * @returns {Promise<Map>} favoriteId -> collection ids
+ */
+async function getMemberships(favorites) {
+  const memberships = new Map()
+  if (favorites.length === 0) return memberships
+
+  const { rows } = await getDb().findMany('favorite_collection_items', {
+    where: { favorite_id: { in: favorites.map(favorite => favorite.id) } }
+  })
+  for (const item of rows) {
+    if (!memberships.has(item.favorite_id)) memberships.set(item.favorite_id, [])
+    memberships.get(item.favorite_id).push(item.collection_id)
+  }
+  return memberships
+}
+
+/**
+ * Which of the given companions a client has favorited, and in which collections
+ * @returns {Promise<Map>} companionId -> { favorited, collectionIds }
+ */
+export async function getFavoriteStatus(userId, companionIds) {
+  const { rows } = await getDb().findMany('favorites', {
+    where: { user_id: userId, companion_id: { in: companionIds } }
+  })
+  const memberships = await getMemberships(rows)
+  const byCompanion = new Map(rows.map(favorite => [favorite.companion_id, favorite]))
+
+  return new Map(companionIds.map(companionId => {
+    const favorite = byCompanion.get(companionId)
+    return [companionId, {
+      favorited: Boolean(favorite),
+      collectionIds: favorite ? memberships.get(favorite.id) || [] : []
+    }]
+  }))
+}
+
+/**
+ * Favorite a companion
+ * @param {string} userId - Client profile UUID
+ * @param {string} companionId - Companion profile UUID
+ * @param {Object} options - { note, collectionIds }
+ * @returns {Promise<Object>} { favorite, collectionIds } or { status, message }
+ */
+export async function addFavorite(userId, companionId, { note = null, collectionIds = [] } = {}) {
+  const db = getDb()
+
+  const companion = await getCompanionProfile(companionId)
+  if (!companion) return { status: 404, message: 'Companion not found' }
+  if (companion.verification_status !== 'verified') {
+    return { status: 400, message: 'Can only favorite verified companions' }
+  }
+
+  const cleanNote = cleanText(note, MAX_NOTE_LENGTH + 1)
+  if (cleanNote.length > MAX_NOTE_LENGTH) {
+    return { status: 400, message: `Notes must be at most ${MAX_NOTE_LENGTH} characters` }
+  }
+
+  const collections = await resolveCollections(userId, collectionIds)
+  if (collections.status) return collections
+
+  if (await getFavorite(userId, companionId)) {
+    return { status: 409, message: 'Companion already in favorites' }
+  }
+
+  // New favorites go to the end
+  const { rows: [last], total } = await db.findMany('favorites', {
+    where: { user_id: userId },
+    orderBy: { column: 'position', ascending: false },
+    limit: 1
+  })
+  if (total >= MAX_FAVORITES) {
+    return { status: 409, message: `You can have up to ${MAX_FAVORITES} favorites` }
+  }
+
+  let favorite
+  try {
+    favorite = await db.insert('favorites', {
+      user_id: userId,
+      companion_id: companionId,
+      note: cleanNote || null,
+      position: last ? last.position + 1 : 0,
+      notify_changes: true
+    })
+  } catch (error) {
+    // unique_violation: favorited twice at once
+    if (error?.code === '23505') {
+      return { status: 409, message: 'Companion already in favorites' }
+    }
+    throw error
+  }
+
+  await setMemberships(favorite, collections.ids)
+  return { favorite, collectionIds: collections.ids }
+}
+
+/**
+ * Update a favorite's note, change notifications or collections
+ * @param {Object} favorite - Favorite row, already checked to belong to the client
+ * @param {Object} params - { note, notifyChanges, collectionIds }; omitted fields are kept
+ * @returns {Promise<Object>} { favorite, collectionIds } or { status, message }
+ */
+export async function updateFavorite(favorite, { note, notifyChanges, collectionIds }) {
+  const patch = {}
+
+  if (note !== undefined) {
+    const cleanNote = cleanText(note, MAX_NOTE_LENGTH + 1)
+    if (cleanNote.length > MAX_NOTE_LENGTH) {
+      return { status: 400, message: `Notes must be at most ${MAX_NOTE_LENGTH} characters` }
+    }
+    patch.note = cleanNote || null
+  }
+
+  if (notifyChanges !== undefined) {
+    patch.notify_changes = Boolean(notifyChanges)
+  }
+
+  let ids
+  if (collectionIds !== undefined) {
+    const collections = await resolveCollections(favorite.user_id, collectionIds)
+    if (collections.status) return collections
+    ids = collections.ids
+  }
+
+  let updated = favorite
+  if (Object.keys(patch).length > 0) {
+    [updated] = await getDb().update('favorites', { id: favorite.id }, patch)
+  }
+
+  if (ids) {
+    await setMemberships(favorite, ids)
+  } else {
+    ids = (await getMemberships([favorite])).get(favorite.id) || []
+  }
+
+  return { favorite: updated || favorite, collectionIds: ids }
+}
+
+/**
+ * Unfavorite a companion, taking it out of every collection
+ * @returns {Promise<boolean>} false if it wasn't a favorite
+ */
+export async function removeFavorite(userId, companionId) {
+  const db = getDb()
+  const favorite = await getFavorite(userId, companionId)
+  if (!favorite) return false
+
+  await db.remove('favorite_collection_items', { favorite_id: favorite.id })
+  await db.remove('favorites', { id: favorite.id })
+  return true
+}
+
+/**
+ * Reorder a client's favorites, or the favorites of one collection
+ * @param {string} userId - Client profile UUID
+ * @param {Object} params - { collectionId, companionIds } companions in the new
+ *   order; any not listed keep their order after them
+ * @returns {Promise<Object>} {} or { status, message }
+ */
+export async function reorderFavorites(userId, { collectionId = null, companionIds }) {
+  const db = getDb()
+  if (!Array.isArray(companionIds) || companionIds.length === 0) {
+    return { status: 400, message: 'companionIds must list the favorites in their new order' }
+  }
+
+  const { rows: favorites } = await db.findMany('favorites', {
+    where: { user_id: userId },
+    orderBy: ['position', { column: 'created_at', ascending: false }]
+  })
+
+  if (!collectionId) {
+    const changes = planReorder(favorites, favorite => favorite.companion_id, companionIds)
+    if (!changes) return { status: 400, message: 'Every companion must be one of your favorites' }
+
+    for (const { row, position } of changes) {
+      await db.update('favorites', { id: row.id }, { position })
+    }
+    return {}
+  }
+
+  const collection = await getCollection(userId, collectionId)
+  if (!collection) return { status: 404, message: 'Collection not found' }
+
+  const companionByFavorite = new Map(favorites.map(favorite => [favorite.id, favorite.companion_id]))
+  const { rows: items } = await db.findMany('favorite_collection_items', {
+    where: { collection_id: collection.id },
+    orderBy: ['position', 'created_at']
+  })
+
+  const changes = planReorder(items, item => companionByFavorite.get(item.favorite_id), companionIds)
+  if (!changes) return { status: 400, message: 'Every companion must be in this collection' }
+
+  for (const { row, position } of changes) {
+    await db.update('favorite_collection_items', {
+      collection_id: row.collection_id,
+      favorite_id: row.favorite_id
+    }, { position })
+  }
+  return {}
+}
+
+/**
+ * Map a favorite with its companion to the API response shape
+ * Notes are private to the client, who is the only one this is returned to.
+ */
+export function serializeFavorite({ favorite, companion, rating, reviewCount, collectionIds }) {
+  return {
+    id: companion.id,
+    favoriteId: favorite.id,
+    favoritedAt: favorite.created_at,
+    note: favorite.note || '',
+    notifyChanges: favorite.notify_changes !== false,
+    position: favorite.position,
+    collectionIds,
+    name: getDisplayName(companion, 'Companion'),
+    username: companion.username,
+    image: companion.avatar_url,
+    bio: companion.bio,
+    hourlyRate: companion.hourly_rate,
+    specialties: companion.specialties || [],
+    rating,
+    reviews: reviewCount,
+    location: companion.service_city || null,
+    verificationStatus: companion.verification_status
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Collections
+// ---------------------------------------------------------------------------
+
+/**
+ * Fetch one of a client's collections
+ * @returns {Promise<Object|null>} Collection row
+ */
+export async function getCollection(userId, collectionId) {
+  const id = Number(collectionId)
+  if (!Number.isInteger(id) || id <= 0) return null
+  return getDb().findOne('favorite_collections', { id, user_id: userId })
+}
+
+/**
+ * List a client's collections in order, with how many favorites each holds
+ * @returns {Promise<Array>} [{ collection, count }]
+ */
+export async function listCollections(userId) {
+  const db = getDb()
+  const { rows: collections } = await db.findMany('favorite_collections', {
+    where: { user_id: userId },
+    orderBy: ['position', 'created_at']
+  })
+  if (collections.length === 0) return []
+
+  const { rows: items } = await db.findMany('favorite_collection_items', {
+    where: { collection_id: { in: collections.map(collection => collection.id) } }
+  })
+  const counts = new Map()
+  for (const item of items) {
+    counts.set(item.collection_id, (counts.get(item.collection_id) || 0) + 1)
+  }
+
+  return collections.map(collection => ({ collection, count: counts.get(collection.id) || 0 }))
+}
+
+/**
+ * Validate a collection name and check it isn't taken
+ * @returns {Promise<Object>} { name } or { status, message }
+ */
+async function validateCollectionName(userId, name, collectionId = null) {
+  const cleanName = cleanText(name, MAX_COLLECTION_NAME_LENGTH + 1)
+  if (!cleanName) return { status: 400, message: 'Name is required' }
+  if (cleanName.length > MAX_COLLECTION_NAME_LENGTH) {
+    return { status: 400, message: `Name must be at most ${MAX_COLLECTION_NAME_LENGTH} characters` }
+  }
+
+  const existing = await getDb().findOne('favorite_collections', { user_id: userId, name: cleanName })
+  if (existing && existing.id !== collectionId) {
+    return { status: 409, message: 'You already have a collection with this name' }
+  }
+  return { name: cleanName }
+}
+
+/**
+ * Create a collection at the end of the client's list
+ * @returns {Promise<Object>} { collection } or { status, message }
+ */
+export async function createCollection(userId, name) {
+  const db = getDb()
+  const validated = await validateCollectionName(userId, name)
+  if (validated.status) return validated
+
+  const { rows: [last], total } = await db.findMany('favorite_collections', {
+    where: { user_id: userId },
+    orderBy: { column: 'position', ascending: false },
+    limit: 1
+  })
+  if (total >= MAX_COLLECTIONS) {
+    return { status: 409, message: `You can have up to ${MAX_COLLECTIONS} collections` }
+  }
+
+  try {
+    const collection = await db.insert('favorite_collections', {
+      user_id: userId,
+      name: validated.name,
+      position: last ? last.position + 1 : 0
+    })
+    return { collection }
+  } catch (error) {
+    if (error?.code === '23505') {
+      return { status: 409, message: 'You already have a collection with this name' }
+    }
+    throw error
+  }
+}
+
+/**
+ * Rename a collection
+ * @returns {Promise<Object>} { collection } or { status, message }
+ */
+export async function renameCollection(collection, name) {
+  const validated = await validateCollectionName(collection.user_id, name, collection.id)
+  if (validated.status) return validated
+
+  try {
+    const [updated] = await getDb().update('favorite_collections', { id: collection.id }, { name: validated.name })
+    return { collection: updated || collection }
+  } catch (error) {
+    if (error?.code === '23505') {
+      return { status: 409, message: 'You already have a collection with this name' }
+    }
+    throw error
+  }
+}
+
+/**
+ * Delete a collection; its favorites stay favorites
+ */
+export async function deleteCollection(collection) {
+  const db = getDb()
+  await db.remove('favorite_collection_items', { collection_id: collection.id })
+  await db.remove('favorite_collections', { id: collection.id })
+}
+
+/**
+ * Reorder a client's collections
+ * @param {Array} collectionIds - Collections in the new order; any not listed
+ *   keep their order after them
+ * @returns {Promise<Object>} {} or { status, message }
+ */
+export async function reorderCollections(userId, collectionIds) {
+  const db = getDb()
+  const ids = parseCollectionIds(collectionIds)
+  if (!ids || ids.length === 0) {
+    return { status: 400, message: 'collectionIds must list the collections in their new order' }
+  }
+
+  const { rows: collections } = await db.findMany('favorite_collections', {
+    where: { user_id: userId },
+    orderBy: ['position', 'created_at']
+  })
+
+  const changes = planReorder(collections, collection => collection.id, ids)
+  if (!changes) return { status: 400, message: 'Every id must be one of your collections' }
+
+  for (const { row, position } of changes) {
+    await db.update('favorite_collections', { id: row.id }, { position })
+  }
+  return {}
+}
+
+/**
+ * Map a collection to the API response shape
+ * count is left out when it wasn't loaded.
+ */
+export function serializeCollection({ collection, count }) {
+  return {
+    id: collection.id,
+    name: collection.name,
+    position: collection.position,
+    count,
+    createdAt: collection.created_at
+  }
+}
+
+/**
+ * Check that collection ids from a request all belong to the client
+ * @returns {Promise<Object>} { ids } or { status, message }
+ */
+async function resolveCollections(userId, collectionIds) {
+  if (!collectionIds || collectionIds.length === 0) return { ids: [] }
+
+  const ids = parseCollectionIds(collectionIds)
+  if (!ids) return { status: 400, message: 'collectionIds must be a list of collection ids' }
+
+  const { rows } = await getDb().findMany('favorite_collections', {
+    where: { user_id: userId, id: { in: ids } }
+  })
+  if (rows.length !== ids.length) return { status: 404, message: 'Collection not found' }
+  return { ids }
+}
+
+/**
+ * Put a favorite in exactly the given collections
+ * It's added at the end of collections it wasn't in yet.
+ */
+async function setMemberships(favorite, collectionIds) {
+  const db = getDb()
+  const { rows: current } = await db.findMany('favorite_collection_items', {
+    where: { favorite_id: favorite.id }
+  })
+  const currentIds = current.map(item => item.collection_id)
+
+  for (const collectionId of currentIds.filter(id => !collectionIds.includes(id))) {
+    await db.remove('favorite_collection_items', { collection_id: collectionId, favorite_id: favorite.id })
+  }
+
+  for (const collectionId of collectionIds.filter(id => !currentIds.includes(id))) {
+    const { rows: [last] } = await db.findMany('favorite_collection_items', {
+      where: { collection_id: collectionId },
+      orderBy: { column: 'position', ascending: false },
+      limit: 1
+    })
+    try {
+      await db.insert('favorite_collection_items', {
+        collection_id: collectionId,
+        favorite_id: favorite.id,
+        position: last ? last.position + 1 : 0
+      })
+    } catch (error) {
+      // unique_violation: added by a concurrent request
+      if (error?.code !== '23505') throw error
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Change notifications
+// ---------------------------------------------------------------------------
+
+/**
+ * Days on which a new schedule offers time the previous one didn't
+ * A day counts when it is newly enabled, starts earlier or ends later.
+ * @returns {Array} Day names, e.g. ['saturday']
+ */
+export function getOpenedDays(previousSchedule, schedule) {
+  const previous = previousSchedule || getDefaultAvailability()
+
+  return DAYS.filter(day => {
+    const next = schedule?.[day]
+    if (!next?.enabled) return false
+
+    const before = previous[day]
+    if (!before?.enabled) return true
+    return next.startTime < before.startTime || next.endTime > before.endTime
+  })
+}
+
+/**
+ * Clients who favorited a companion and want to hear about changes
+ * @returns {Promise<Array>} Client profile rows
+ */
+async function getFavoritersToNotify(companionId) {
+  const db = getDb()
+  const { rows: favorites } = await db.findMany('favorites', {
+    where: { companion_id: companionId, notify_changes: true }
+  })
+  if (favorites.length === 0) return []
+
+  const { rows } = await db.findMany('profiles', {
+    where: { id: { in: favorites.map(favorite => favorite.user_id) } }
+  })
+  return rows
+}
+
+/**
+ * Tell a companion's favoriters about newly opened availability
+ * @param {Object} companion - Companion profile row (before the change)
+ * @param {Object} schedule - The new availability schedule
+ * @returns {Promise<number>} Clients notified
+ */
+export async function notifyFavoritersOfAvailability(companion, schedule) {
+  const openedDays = getOpenedDays(companion.availability_schedule, schedule)
+  if (openedDays.length === 0) return 0
+
+  const clients = await getFavoritersToNotify(companion.id)
+  const appUrl = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'
+  const days = openedDays.map(day => day[0].toUpperCase() + day.slice(1)).join(', ')
+
+  for (const client of clients) {
+    await sendNotification(client.id, NOTIFICATION_TYPES.FAVORITE_AVAILABILITY_OPENED, {
+      companionName: getDisplayName(companion, 'A companion'),
+      days,
+      favoritesUrl: `${appUrl}/client/favorites`
+    }, {
+      inApp: true,
+      email: true,
+      userEmail: client.email
+    })
+  }
+  return clients.length
+}
+
+/**
+ * Tell a companion's favoriters that their hourly rate changed
+ * @param {Object} companion - Companion profile row (before the change)
+ * @param {number} hourlyRate - The new rate
+ * @returns {Promise<number>} Clients notified
+ */
+export async function notifyFavoritersOfRateChange(companion, hourlyRate) {
+  if (Number(companion.hourly_rate) === Number(hourlyRate)) return 0
+
+  const clients = await getFavoritersToNotify(companion.id)
+  const appUrl = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'
+
+  for (const client of clients) {
+    await sendNotification(client.id, NOTIFICATION_TYPES.FAVORITE_RATE_CHANGED, {
+      companionName: getDisplayName(companion, 'A companion'),
+      previousRate: companion.hourly_rate,
+      hourlyRate,
+      lowered: companion.hourly_rate !== null && Number(hourlyRate) < Number(companion.hourly_rate),
+      favoritesUrl: `${appUrl}/client/favorites`
+    }, {
+      inApp: true,
+      email: true,
+      userEmail: client.email
+    })
+  }
+  return clients.length
+}
@@ -0,0 +1,100 @@
+/**
+ * Geolocation Helper Library
+ * Coordinates, distances and the cities clients can search from
+ *
+ * Companions store a coarse service location on their profile: coordinates
+ * rounded to 2 decimal places (about 1 km) plus the radius they travel. The
+ * exact point is never stored, and distances shown to other users are
+ * rounded as well, so neither can be used to pin down where someone lives.
+ *
+ * Pure functions only, so the client can import the city list.
+ */
+
+// Rounding for stored coordinates: 0.01 degrees is about 1.1 km
+const COORDINATE_DECIMALS = 2
+
+export const EARTH_RADIUS_KM = 6371
+
+export const DEFAULT_SERVICE_RADIUS_KM = 25
+export const MAX_SERVICE_RADIUS_KM = 200
+
+export const DEFAULT_SEARCH_RADIUS_KM = 25
+export const MAX_SEARCH_RADIUS_KM = 200
+
+/**
+ * Cities a client can search from without sharing their location
+ * Keyed by slug; coordinates are the city centre.
+ */
+export const CITIES = {
+  lagos: { name: 'Lagos', lat: 6.52, lng: 3.38 },
+  abuja: { name: 'Abuja', lat: 9.08, lng: 7.4 },
+  'port-harcourt': { name: 'Port Harcourt', lat: 4.82, lng: 7.05 },
+  ibadan: { name: 'Ibadan', lat: 7.38, lng: 3.95 },
+  accra: { name: 'Accra', lat: 5.6, lng: -0.19 },
+  kumasi: { name: 'Kumasi', lat: 6.69, lng: -1.62 },
+  nairobi: { name: 'Nairobi', lat: -1.29, lng: 36.82 },
+  johannesburg: { name: 'Johannesburg', lat: -26.2, lng: 28.05 },
+  'cape-town': { name: 'Cape Town', lat: -33.92, lng: 18.42 }
+}
+
+/**
+ * Parse a latitude/longitude pair
+ * @returns {Object|null} { lat, lng }, or null if either is missing or out of range
+ */
+export function parseCoordinates(lat, lng) {
+  if (lat === undefined || lat === null || lat === '' || lng === undefined || lng === null || lng === '') {
+    return null
+  }
+
+  const latitude = Number(lat)
+  const longitude = Number(lng)
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null
+  if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) return null
+
+  return { lat: latitude, lng: longitude }
+}
+
+/**
+ * Round coordinates to the precision we are willing to store
+ */
+export function coarsenCoordinates({ lat, lng }) {
+  const factor = 10 ** COORDINATE_DECIMALS
+  return {
+    lat: Math.round(lat * factor) / factor,
+    lng: Math.round(lng * factor) / factor
+  }
+}
+
+/**
+ * Great-circle distance between two points (haversine)
+ * Used when the database can't compute it (the in-memory adapter).
+ * @returns {number} Distance in kilometres
+ */
+export function haversineDistanceKm(from, to) {
+  const toRadians = (degrees) => degrees * Math.PI / 180
+  const dLat = toRadians(to.lat - from.lat)
+  const dLng = toRadians(to.lng - from.lng)
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)))
+}
+
+/**
+ * Round a distance for display to other users
+ * Never closer than 1 km, since stored locations are only accurate to about that.
+ */
+export function roundDistanceKm(distanceKm) {
+  if (distanceKm < 1) return 1
+  if (distanceKm < 10) return Math.round(distanceKm * 2) / 2
+  return Math.round(distanceKm)
+}
+
+/**
+ * Display string for a rounded distance, e.g. '< 1 km' or '2.5 km'
+ */
+export function formatDistance(distanceKm) {
+  if (distanceKm === null || distanceKm === undefined) return null
+  const rounded = roundDistanceKm(distanceKm)
+  return distanceKm < 1 ? '< 1 km' : `${rounded} km`
+}
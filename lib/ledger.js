@@ -0,0 +1,518 @@
+/**
+ * Ledger Helper Library
+ *
+ * Double-entry bookkeeping for every money movement on a booking. Each
+ * journal entry is a set of `ledger_lines` sharing an entry_key; the lines
+ * of an entry always balance (total debit = total credit).
+ *
+ * ACCOUNTS:
+ * - client_payments   - money collected from clients, still in our Paystack balance
+ * - escrow            - charges held for bookings that haven't settled
+ * - companion_payable - what the platform owes each companion (per profile_id)
+ * - platform_revenue  - the platform's share of bookings
+ * - refunds           - refunds owed to clients until Paystack processes them
+ *
+ * POSTINGS:
+ * - charge            Dr client_payments        Cr escrow (or split straight into payable/revenue,
+ *                                                or refunds when the charge is returned)
+ * - split_settlement  Dr companion_payable      Cr client_payments   (split mode, paid by Paystack)
+ * - escrow_release    Dr escrow                 Cr companion_payable, platform_revenue
+ * - escrow_refund     Dr escrow                 Cr refunds, companion_payable, platform_revenue
+ * - release_reversal  Dr companion_payable, platform_revenue   Cr refunds   (dispute refund after release)
+ * - transfer          Dr companion_payable      Cr client_payments   (payout, see lib/payouts.js)
+ * - transfer_reversal Dr client_payments        Cr companion_payable
+ * - refund            Dr refunds                Cr client_payments
+ *
+ * Entries are keyed by event type and reference, so posting the same
+ * webhook event twice never books it twice.
+ */
+
+import { getDb } from './db'
+import { verifyPayment } from './paystack'
+
+export const LEDGER_ACCOUNTS = {
+  client_payments: { name: 'Client payments', normal: 'debit' },
+  escrow: { name: 'Escrow', normal: 'credit' },
+  companion_payable: { name: 'Companion payable', normal: 'credit' },
+  platform_revenue: { name: 'Platform revenue', normal: 'credit' },
+  refunds: { name: 'Refunds', normal: 'credit' }
+}
+
+export const LEDGER_ACCOUNT_KEYS = Object.keys(LEDGER_ACCOUNTS)
+
+// Lines are read in pages when summing balances
+const PAGE_SIZE = 1000
+
+// Amounts are handled in minor units (kobo) so entries balance exactly
+const toKobo = (amount) => Math.round(Number(amount) * 100)
+const fromKobo = (kobo) => kobo / 100
+
+/**
+ * Split an amount between the companion and the platform by the booking's share
+ * @returns {Object} { companion, platform } in kobo, always adding up to the amount
+ */
+function splitByShare(booking, amountKobo) {
+  const sharePercent = booking.companion_share_percent === null || booking.companion_share_percent === undefined
+    ? 100
+    : Number(booking.companion_share_percent)
+  const companion = Math.round(amountKobo * sharePercent / 100)
+  return { companion, platform: amountKobo - companion }
+}
+
+/**
+ * Post a balanced journal entry
+ * Lines already posted under the same key are skipped, so a retried
+ * webhook (or a post that failed halfway) completes the entry without
+ * duplicating it.
+ * @param {Object} params - { eventType, reference, bookingId, description, lines }
+ *   lines: [{ account, profileId, debit, credit }] with amounts in kobo
+ * @returns {Promise<Array>} The entry's lines
+ */
+export async function postLedgerEntry({ eventType, reference, bookingId = null, description = null, lines }) {
+  const postable = lines.filter(line => (line.debit || 0) > 0 || (line.credit || 0) > 0)
+  if (postable.length === 0) return []
+
+  const debits = postable.reduce((sum, line) => sum + (line.debit || 0), 0)
+  const credits = postable.reduce((sum, line) => sum + (line.credit || 0), 0)
+  if (debits !== credits) {
+    throw new Error(`Unbalanced ledger entry ${eventType}:${reference} (debit ${debits}, credit ${credits})`)
+  }
+
+  for (const line of postable) {
+    if (!LEDGER_ACCOUNT_KEYS.includes(line.account)) {
+      throw new Error(`Unknown ledger account: ${line.account}`)
+    }
+  }
+
+  const db = getDb()
+  const entryKey = `${eventType}:${reference}`
+  const { rows: existing } = await db.findMany('ledger_lines', { where: { entry_key: entryKey } })
+  const posted = new Set(existing.map(line => line.line_no))
+  const entry = [...existing]
+
+  for (const [index, line] of postable.entries()) {
+    const lineNo = index + 1
+    if (posted.has(lineNo)) continue
+
+    try {
+      entry.push(await db.insert('ledger_lines', {
+        entry_key: entryKey,
+        line_no: lineNo,
+        event_type: eventType,
+        reference,
+        booking_id: bookingId,
+        account: line.account,
+        profile_id: line.profileId || null,
+        debit: fromKobo(line.debit || 0),
+        credit: fromKobo(line.credit || 0),
+        description
+      }))
+    } catch (error) {
+      // Posted concurrently by another delivery of the same event
+      if (error.code !== '23505') throw error
+    }
+  }
+
+  return entry.sort((a, b) => a.line_no - b.line_no)
+}
+
+/**
+ * Post a successful charge
+ * Escrow charges are held; split charges are divided at once and the
+ * companion's part is marked as paid, since Paystack settles the subaccount.
+ * A returned charge is owed back to the client in full.
+ * @param {Object} booking - Booking row
+ * @param {Object} params - { reference, amount (kobo), escrow, returned }
+ */
+export async function postCharge(booking, { reference, amount, escrow = true, returned = false }) {
+  if (returned) {
+    return postLedgerEntry({
+      eventType: 'charge',
+      reference,
+      bookingId: booking.id,
+      description: `Payment for booking #${booking.id} returned to the client`,
+      lines: [
+        { account: 'client_payments', debit: amount },
+        { account: 'refunds', credit: amount }
+      ]
+    })
+  }
+
+  if (escrow) {
+    return postLedgerEntry({
+      eventType: 'charge',
+      reference,
+      bookingId: booking.id,
+      description: `Payment for booking #${booking.id} held in escrow`,
+      lines: [
+        { account: 'client_payments', debit: amount },
+        { account: 'escrow', credit: amount }
+      ]
+    })
+  }
+
+  const { companion, platform } = splitByShare(booking, amount)
+  const charge = await postLedgerEntry({
+    eventType: 'charge',
+    reference,
+    bookingId: booking.id,
+    description: `Split payment for booking #${booking.id}`,
+    lines: [
+      { account: 'client_payments', debit: amount },
+      { account: 'companion_payable', profileId: booking.companion_id, credit: companion },
+      { account: 'platform_revenue', credit: platform }
+    ]
+  })
+
+  await postLedgerEntry({
+    eventType: 'split_settlement',
+    reference,
+    bookingId: booking.id,
+    description: `Companion share of booking #${booking.id} settled by Paystack`,
+    lines: [
+      { account: 'companion_payable', profileId: booking.companion_id, debit: companion },
+      { account: 'client_payments', credit: companion }
+    ]
+  })
+
+  return charge
+}
+
+/**
+ * Move a completed booking's hold out of escrow: the companion's share
+ * becomes payable, the rest is platform revenue
+ * @param {Object} booking - Booking row
+ * @param {Object} escrow - Hold row (amount, companion_amount)
+ */
+export async function postEscrowRelease(booking, escrow) {
+  const held = toKobo(escrow.amount)
+  const companion = toKobo(escrow.companion_amount)
+
+  return postLedgerEntry({
+    eventType: 'escrow_release',
+    reference: `booking_${booking.id}`,
+    bookingId: booking.id,
+    description: `Booking #${booking.id} completed`,
+    lines: [
+      { account: 'escrow', debit: held },
+      { account: 'companion_payable', profileId: booking.companion_id, credit: companion },
+      { account: 'platform_revenue', credit: held - companion }
+    ]
+  })
+}
+
+/**
+ * Move a cancelled or declined booking's hold out of escrow: the refund is
+ * owed to the client, any cancellation fee to the companion, the rest is
+ * platform revenue
+ * @param {Object} booking - Booking row
+ * @param {Object} escrow - Hold row (amount, refund_amount, companion_amount)
+ */
+export async function postEscrowRefund(booking, escrow) {
+  const held = toKobo(escrow.amount)
+  const refund = toKobo(escrow.refund_amount)
+  const compensation = toKobo(escrow.companion_amount || 0)
+
+  return postLedgerEntry({
+    eventType: 'escrow_refund',
+    reference: `booking_${booking.id}`,
+    bookingId: booking.id,
+    description: `Booking #${booking.id} closed before completion`,
+    lines: [
+      { account: 'escrow', debit: held },
+      { account: 'refunds', credit: refund },
+      { account: 'companion_payable', profileId: booking.companion_id, credit: compensation },
+      { account: 'platform_revenue', credit: held - refund - compensation }
+    ]
+  })
+}
+
+/**
+ * Take a dispute refund back from a booking that was already released:
+ * the companion and platform give up their part of it, and it is owed to
+ * the client until Paystack processes the refund
+ * @param {Object} booking - Booking row
+ * @param {Object} params - { reference, refund (kobo), companion (kobo, the companion's part) }
+ */
+export async function postReleaseReversal(booking, { reference, refund, companion }) {
+  return postLedgerEntry({
+    eventType: 'release_reversal',
+    reference,
+    bookingId: booking.id,
+    description: `Booking #${booking.id} refunded after release`,
+    lines: [
+      { account: 'companion_payable', profileId: booking.companion_id, debit: companion },
+      { account: 'platform_revenue', debit: refund - companion },
+      { account: 'refunds', credit: refund }
+    ]
+  })
+}
+
+/**
+ * Post a completed payout to a companion
+ * @param {Object} params - { reference, amount (kobo), companionId }
+ */
+export async function postTransfer({ reference, amount, companionId }) {
+  return postLedgerEntry({
+    eventType: 'transfer',
+    reference,
+    description: 'Payout to companion',
+    lines: [
+      { account: 'companion_payable', profileId: companionId, debit: amount },
+      { account: 'client_payments', credit: amount }
+    ]
+  })
+}
+
+/**
+ * Post a payout Paystack reversed after it succeeded - the money is owed again
+ * @param {Object} params - { reference, amount (kobo), companionId }
+ */
+export async function postTransferReversal({ reference, amount, companionId }) {
+  return postLedgerEntry({
+    eventType: 'transfer_reversal',
+    reference,
+    description: 'Payout reversed',
+    lines: [
+      { account: 'client_payments', debit: amount },
+      { account: 'companion_payable', profileId: companionId, credit: amount }
+    ]
+  })
+}
+
+/**
+ * Post a processed refund
+ * Escrow refunds were already moved to `refunds` when the booking closed;
+ * split-mode refunds are taken back from the companion and platform shares.
+ * @param {Object} booking - Booking row
+ * @param {Object} params - { reference (charge reference), amount (kobo), escrow }
+ */
+export async function postRefund(booking, { reference, amount, escrow = true }) {
+  let lines = [{ account: 'refunds', debit: amount }]
+  if (!escrow) {
+    const { companion, platform } = splitByShare(booking, amount)
+    lines = [
+      { account: 'companion_payable', profileId: booking.companion_id, debit: companion },
+      { account: 'platform_revenue', debit: platform }
+    ]
+  }
+
+  return postLedgerEntry({
+    eventType: 'refund',
+    reference,
+    bookingId: booking.id,
+    description: `Refund for booking #${booking.id}`,
+    lines: [...lines, { account: 'client_payments', credit: amount }]
+  })
+}
+
+/**
+ * Sum debits and credits over the lines matching a filter
+ * @returns {Promise<Object>} { debit, credit } in kobo
+ */
+async function sumLines(where) {
+  const db = getDb()
+  const totals = { debit: 0, credit: 0 }
+  let offset = 0
+  let total = 0
+
+  do {
+    const page = await db.findMany('ledger_lines', {
+      where,
+      orderBy: 'id',
+      limit: PAGE_SIZE,
+      offset
+    })
+
+    for (const line of page.rows) {
+      totals.debit += toKobo(line.debit)
+      totals.credit += toKobo(line.credit)
+    }
+
+    total = page.rows.length === 0 ? offset : page.total
+    offset += page.rows.length
+  } while (offset < total)
+
+  return totals
+}
+
+/**
+ * Balance of an account, on its normal side
+ * (a positive companion_payable balance is money the platform owes)
+ * @param {string} account - Account key
+ * @param {Object} filters - { profileId, bookingId, eventTypes, since }
+ * @returns {Promise<Object>} { account, debit, credit, balance }
+ */
+export async function getAccountBalance(account, { profileId, bookingId, eventTypes, since } = {}) {
+  const { debit, credit } = await sumLines({
+    account,
+    ...(profileId && { profile_id: profileId }),
+    ...(bookingId && { booking_id: bookingId }),
+    ...(eventTypes && { event_type: { in: eventTypes } }),
+    ...(since && { created_at: { gte: since } })
+  })
+  const balance = LEDGER_ACCOUNTS[account].normal === 'debit' ? debit - credit : credit - debit
+
+  return {
+    account,
+    debit: fromKobo(debit),
+    credit: fromKobo(credit),
+    balance: fromKobo(balance)
+  }
+}
+
+/**
+ * How much the platform owes a companion
+ * @param {string} companionId - Companion profile ID
+ * @returns {Promise<number>} Amount owed
+ */
+export async function getCompanionBalance(companionId) {
+  const { balance } = await getAccountBalance('companion_payable', { profileId: companionId })
+  return balance
+}
+
+/**
+ * Balance of every account, plus whether the ledger as a whole balances
+ * @param {Object} filters - { bookingId }
+ * @returns {Promise<Object>} { accounts, totalDebit, totalCredit, balanced }
+ */
+export async function getTrialBalance({ bookingId } = {}) {
+  const accounts = []
+  for (const account of LEDGER_ACCOUNT_KEYS) {
+    accounts.push(await getAccountBalance(account, { bookingId }))
+  }
+
+  const totalDebit = accounts.reduce((sum, a) => sum + toKobo(a.debit), 0)
+  const totalCredit = accounts.reduce((sum, a) => sum + toKobo(a.credit), 0)
+
+  return {
+    accounts,
+    totalDebit: fromKobo(totalDebit),
+    totalCredit: fromKobo(totalCredit),
+    balanced: totalDebit === totalCredit
+  }
+}
+
+/**
+ * List the ledger lines for a booking or a companion, oldest first
+ * @param {Object} filters - { bookingId, profileId, limit, offset }
+ * @returns {Promise<Object>} { lines, total }
+ */
+export async function listLedgerLines({ bookingId, profileId, limit = 100, offset = 0 } = {}) {
+  const { rows, total } = await getDb().findMany('ledger_lines', {
+    where: {
+      ...(bookingId && { booking_id: bookingId }),
+      ...(profileId && { profile_id: profileId })
+    },
+    orderBy: 'id',
+    limit,
+    offset
+  })
+  return { lines: rows.map(serializeLedgerLine), total }
+}
+
+/**
+ * Compare our transactions and ledger against Paystack's verify results
+ *
+ * Flags:
+ * - verify_failed         - Paystack couldn't be asked about the charge
+ * - status_mismatch       - Paystack and our transaction disagree on whether it was paid
+ * - amount_mismatch       - Paystack charged a different amount than the transaction
+ * - missing_ledger_entry  - Paystack has a successful charge the ledger never booked
+ * - ledger_amount_mismatch - the ledger booked a different amount than Paystack charged
+ *
+ * @param {Object} params - { since, limit }
+ * @returns {Promise<Object>} { checkedAt, checked, matched, mismatches }
+ */
+export async function reconcileTransactions({ since = null, limit = 50 } = {}) {
+  const db = getDb()
+  const { rows: transactions } = await db.findMany('transactions', {
+    where: {
+      ...(since && { created_at: { gte: since } })
+    },
+    orderBy: { column: 'created_at', ascending: false },
+    limit
+  })
+
+  const report = {
+    checkedAt: new Date().toISOString(),
+    checked: 0,
+    matched: 0,
+    mismatches: []
+  }
+
+  for (const transaction of transactions) {
+    report.checked++
+
+    const reference = transaction.paystack_reference
+    const paidLocally = ['success', 'refunded', 'partially_refunded'].includes(transaction.status)
+    const charge = await sumLines({ entry_key: `charge:${reference}`, account: 'client_payments' })
+    const issues = []
+    let paystack = null
+
+    try {
+      const verification = await verifyPayment(reference)
+      paystack = {
+        status: verification.data?.status || null,
+        amount: verification.data?.amount ?? null
+      }
+    } catch (error) {
+      issues.push('verify_failed')
+    }
+
+    if (paystack) {
+      const paidOnPaystack = paystack.status === 'success'
+
+      if (paidOnPaystack !== paidLocally) {
+        issues.push('status_mismatch')
+      }
+      if (paidOnPaystack && Number(paystack.amount) !== toKobo(transaction.amount)) {
+        issues.push('amount_mismatch')
+      }
+      if (paidOnPaystack && charge.debit === 0) {
+        issues.push('missing_ledger_entry')
+      } else if (charge.debit > 0 && Number(paystack.amount) !== charge.debit) {
+        issues.push('ledger_amount_mismatch')
+      }
+    }
+
+    if (issues.length === 0) {
+      report.matched++
+      continue
+    }
+
+    report.mismatches.push({
+      reference,
+      bookingId: transaction.booking_id,
+      issues,
+      transaction: { status: transaction.status, amount: Number(transaction.amount) },
+      paystack: paystack && {
+        status: paystack.status,
+        amount: paystack.amount === null ? null : fromKobo(Number(paystack.amount))
+      },
+      ledger: { amount: fromKobo(charge.debit) }
+    })
+  }
+
+  return report
+}
+
+/**
+ * Map a ledger line to the API response shape
+ */
+export function serializeLedgerLine(line) {
+  return {
+    id: line.id,
+    entryKey: line.entry_key,
+    lineNo: line.line_no,
+    eventType: line.event_type,
+    reference: line.reference,
+    bookingId: line.booking_id,
+    account: line.account,
+    profileId: line.profile_id,
+    debit: Number(line.debit),
+    credit: Number(line.credit),
+    description: line.description,
+    createdAt: line.created_at
+  }
+}
@@ -0,0 +1,485 @@
+/**
+ * Content Moderation Pipeline
+ *
+ * Every user-generated content path (chat messages and attachments, reviews
+ * and replies to them, bios, profile photos) is assessed here before it's
+ * stored. OpenAI returns
+ * a score per category; per-category thresholds turn the scores into a
+ * decision:
+ * - allow:  nothing above a threshold
+ * - review: publish (or, for reviews and replies, hold back) and queue for an
+ *           admin
+ * - block:  refuse the content
+ *
+ * Content that isn't allowed is recorded in `moderation_events`; admins
+ * approve or hide queued items from /admin/moderation.
+ *
+ * CACHING:
+ * - Scores are cached by content hash in `moderation_cache`, so identical
+ *   content (copy-pasted bios, repeated messages) is only sent once
+ *
+ * DEGRADATION:
+ * - When OpenAI is unavailable, text falls back to rule-based checks so the
+ *   most serious content is still caught. Images have no fallback: callers
+ *   refuse them rather than publish them unchecked
+ */
+
+import crypto from 'crypto'
+import { getDb } from './db'
+import { moderateContent, moderateImage } from './openai'
+import { getPlatformSettings } from './settings'
+import { recordAuditEvent } from './auditLog'
+import { getStorage } from './storage'
+import { sendConversationEvent } from './pusher'
+import { sendNotification, NOTIFICATION_TYPES } from './notifications'
+import { refreshCompanionScorecard } from './scorecards'
+import { notifyReviewReply } from './reviews'
+
+export const MODERATION_CONTENT_TYPES = ['message', 'review', 'review_reply', 'bio', 'profile_photo', 'attachment']
+export const MODERATION_STATUSES = ['pending', 'approved', 'hidden', 'blocked']
+export const MODERATION_ACTIONS = ['approve', 'hide']
+
+// Score at or above which a category sends content for review or blocks it.
+// Categories without a `block` level are only ever queued for review.
+// Overridden per category by platform_settings.moderation_thresholds.
+export const DEFAULT_CATEGORY_THRESHOLDS = {
+  'sexual/minors': { review: 0.05, block: 0.3 },
+  sexual: { review: 0.6, block: 0.95 },
+  harassment: { review: 0.6, block: 0.95 },
+  'harassment/threatening': { review: 0.4, block: 0.8 },
+  hate: { review: 0.5, block: 0.9 },
+  'hate/threatening': { review: 0.3, block: 0.7 },
+  illicit: { review: 0.6 },
+  'illicit/violent': { review: 0.4, block: 0.85 },
+  'self-harm': { review: 0.5 },
+  'self-harm/intent': { review: 0.4 },
+  'self-harm/instructions': { review: 0.4, block: 0.8 },
+  violence: { review: 0.7 },
+  'violence/graphic': { review: 0.5, block: 0.9 }
+}
+
+// Fallback while OpenAI is unavailable: only clear-cut phrasing
+const FALLBACK_RULES = [
+  {
+    category: 'harassment/threatening',
+    severity: 'block',
+    regex: /\b(?:i(?:'?ll| will| am going to|'?m going to|'?m gonna)|gonna)\s+(?:kill|murder|rape|stab|shoot|hurt)\s+(?:you|u|ya)\b/i
+  },
+  {
+    category: 'sexual/minors',
+    severity: 'block',
+    regex: /\b(?:under\s*age|minor|child|kid|1[0-5]\s*(?:yo|y\/o|years?\s*old))\b[^.!?]{0,40}\b(?:sex|nudes?|naked|nsfw)\b|\b(?:sex|nudes?|naked|nsfw)\b[^.!?]{0,40}\b(?:under\s*age|minor|child|kid|1[0-5]\s*(?:yo|y\/o|years?\s*old))\b/i
+  },
+  {
+    category: 'sexual',
+    severity: 'review',
+    regex: /\b(?:sex|nudes?|naked|blow\s*job|hand\s*job|happy\s+ending|full\s+service|escort\s+service)\b/i
+  },
+  {
+    category: 'self-harm/intent',
+    severity: 'review',
+    regex: /\b(?:kill\s+myself|end\s+my\s+life|suicide|want\s+to\s+die)\b/i
+  },
+  {
+    category: 'illicit',
+    severity: 'review',
+    regex: /\b(?:cocaine|coke|molly|mdma|meth|weed|drugs)\b/i
+  }
+]
+
+const CACHE_TTL_DAYS = 30
+const EXCERPT_LENGTH = 500
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+
+const CONTENT_LABELS = {
+  message: 'chat message',
+  review: 'review',
+  review_reply: 'reply to a review',
+  bio: 'bio',
+  profile_photo: 'profile photo',
+  attachment: 'chat attachment'
+}
+
+/**
+ * Hash content for the cache and for matching events to current content
+ * @param {string|Buffer} content
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex')
+}
+
+/**
+ * Thresholds with the platform overrides applied
+ */
+async function getThresholds() {
+  const { moderation_thresholds: overrides } = await getPlatformSettings()
+  const thresholds = { ...DEFAULT_CATEGORY_THRESHOLDS }
+  for (const [category, levels] of Object.entries(overrides || {})) {
+    thresholds[category] = { ...thresholds[category], ...levels }
+  }
+  return thresholds
+}
+
+/**
+ * Turn category scores into a decision
+ * @returns {Object} { decision, categories: [{ category, score, severity }] }
+ */
+export function evaluateScores(scores, thresholds) {
+  const categories = []
+  for (const [category, levels] of Object.entries(thresholds)) {
+    const score = Number(scores?.[category])
+    if (!Number.isFinite(score)) continue
+
+    if (levels.block !== undefined && score >= levels.block) {
+      categories.push({ category, score, severity: 'block' })
+    } else if (levels.review !== undefined && score >= levels.review) {
+      categories.push({ category, score, severity: 'review' })
+    }
+  }
+  return { decision: decide(categories), categories }
+}
+
+function decide(categories) {
+  if (categories.some(category => category.severity === 'block')) return 'block'
+  if (categories.length > 0) return 'review'
+  return 'allow'
+}
+
+/**
+ * Cached scores for content, if fresh
+ */
+async function readCache(contentHash) {
+  const cached = await getDb().findOne('moderation_cache', { content_hash: contentHash })
+  if (!cached) return null
+
+  const ageDays = (Date.now() - new Date(cached.created_at).getTime()) / (24 * 60 * 60 * 1000)
+  return ageDays <= CACHE_TTL_DAYS ? cached.category_scores : null
+}
+
+async function writeCache(contentHash, scores) {
+  const db = getDb()
+  const row = { content_hash: contentHash, category_scores: scores, created_at: new Date().toISOString() }
+  try {
+    await db.insert('moderation_cache', row)
+  } catch (error) {
+    // unique_violation: an expired entry, or cached by a concurrent request
+    if (error?.code !== '23505') throw error
+    await db.update('moderation_cache', { content_hash: contentHash }, row)
+  }
+}
+
+/**
+ * Category scores from the cache or OpenAI
+ * @param {Function} moderate - Calls OpenAI; throws when it's unavailable
+ * @returns {Promise<Object>} { scores, source }
+ */
+async function getScores(contentHash, moderate) {
+  const cached = await readCache(contentHash)
+  if (cached) return { scores: cached, source: 'cache' }
+
+  const { categoryScores } = await moderate()
+  try {
+    await writeCache(contentHash, categoryScores)
+  } catch (error) {
+    // Log but don't fail moderation if the cache can't be written
+    console.error('Failed to cache moderation result:', error)
+  }
+  return { scores: categoryScores, source: 'openai' }
+}
+
+/**
+ * Assess text before it's stored
+ * Falls back to rule-based checks when OpenAI is unavailable.
+ * @param {string} content - Text to check
+ * @returns {Promise<Object>} { decision, categories, scores, source, contentHash, excerpt }
+ */
+export async function assessText(content) {
+  const text = String(content || '').trim()
+  const contentHash = hashContent(text)
+  const excerpt = text.substring(0, EXCERPT_LENGTH)
+  if (!text) return { decision: 'allow', categories: [], scores: null, source: 'rules', contentHash, excerpt }
+
+  try {
+    const [{ scores, source }, thresholds] = await Promise.all([
+      getScores(contentHash, () => moderateContent(text)),
+      getThresholds()
+    ])
+    return { ...evaluateScores(scores, thresholds), scores, source, contentHash, excerpt }
+  } catch (error) {
+    console.error('Text moderation unavailable, using rule-based checks:', error)
+    const categories = FALLBACK_RULES
+      .filter(rule => rule.regex.test(text))
+      .map(rule => ({ category: rule.category, score: null, severity: rule.severity }))
+    return { decision: decide(categories), categories, scores: null, source: 'rules', contentHash, excerpt }
+  }
+}
+
+/**
+ * Assess an image before it's stored
+ * Throws when OpenAI is unavailable; callers refuse the image.
+ * @param {Buffer} image - Image data, ideally downscaled
+ * @param {string} mimeType - Its MIME type
+ * @returns {Promise<Object>} { decision, categories, scores, source, contentHash, excerpt: null }
+ */
+export async function assessImage(image, mimeType) {
+  const contentHash = hashContent(image)
+  const [{ scores, source }, thresholds] = await Promise.all([
+    getScores(contentHash, () => moderateImage(image, mimeType)),
+    getThresholds()
+  ])
+  return { ...evaluateScores(scores, thresholds), scores, source, contentHash, excerpt: null }
+}
+
+/**
+ * Record content that wasn't allowed
+ * Blocked content is logged for audit; reviewed content joins the queue.
+ * Failures are logged rather than undoing the decision.
+ * @param {Object} assessment - From assessText or assessImage
+ * @param {Object} target - { contentType, contentId, userId }
+ * @returns {Promise<Object|null>} Stored event
+ */
+export async function recordModerationEvent(assessment, { contentType, contentId = null, userId }) {
+  if (assessment.decision === 'allow') return null
+
+  try {
+    return await getDb().insert('moderation_events', {
+      content_type: contentType,
+      content_id: contentId === null ? null : String(contentId),
+      user_id: userId,
+      content_hash: assessment.contentHash,
+      excerpt: assessment.excerpt,
+      source: assessment.source,
+      decision: assessment.decision,
+      categories: assessment.categories,
+      status: assessment.decision === 'block' ? 'blocked' : 'pending'
+    })
+  } catch (error) {
+    console.error(`Failed to record moderation event for ${contentType} ${contentId}:`, error)
+    return null
+  }
+}
+
+/**
+ * Message shown when content is blocked
+ */
+export function getBlockedMessage(contentType) {
+  return `This ${CONTENT_LABELS[contentType]} can't be posted because it appears to break our community guidelines`
+}
+
+/**
+ * What approving or hiding does to each kind of content
+ * hide returns false when the content has already changed or gone.
+ */
+const CONTENT_ACTIONS = {
+  message: {
+    async approve() {},
+    async hide(event) {
+      const [message] = await getDb().update('messages', { id: Number(event.content_id) }, { hidden: true })
+      if (!message) return false
+
+      const chat = await getDb().findOne('chats', { id: message.chat_id })
+      if (chat) {
+        await sendConversationEvent(chat.booking_id, 'message-hidden', { id: message.id })
+      }
+      return true
+    }
+  },
+
+  review: {
+    async approve(event, note) {
+      const [review] = await getDb().update('reviews', { id: Number(event.content_id) }, { flagged: false, hidden: false, moderation_note: note })
+      await refreshReviewee(review)
+    },
+    async hide(event, note) {
+      const [review] = await getDb().update('reviews', { id: Number(event.content_id) }, { flagged: false, hidden: true, moderation_note: note })
+      await refreshReviewee(review)
+      return Boolean(review)
+    }
+  },
+
+  review_reply: {
+    async approve(event) {
+      const [reply] = await getDb().update('review_replies', { id: Number(event.content_id) }, { hidden: false })
+      // The reviewer wasn't told about the reply while it was held back
+      if (reply) await notifyReviewReply(reply)
+    },
+    async hide(event) {
+      // Removed, so the companion can reply again
+      const [reply] = await getDb().remove('review_replies', { id: Number(event.content_id) })
+      return Boolean(reply)
+    }
+  },
+
+  bio: {
+    async approve() {},
+    async hide(event) {
+      const profile = await getDb().findOne('profiles', { id: event.user_id })
+      // Only the bio that was flagged; a newer one was assessed on its own
+      if (!profile?.bio || hashContent(profile.bio.trim()) !== event.content_hash) return false
+      await getDb().update('profiles', { id: profile.id }, { bio: null })
+      return true
+    }
+  },
+
+  profile_photo: {
+    async approve() {},
+    async hide(event) {
+      const profile = await getDb().findOne('profiles', { id: event.user_id })
+      if (!profile || profile.avatar_key !== event.content_id) return false
+      await getDb().update('profiles', { id: profile.id }, { avatar_url: null, avatar_key: null })
+      await getStorage().remove([event.content_id])
+      return true
+    }
+  },
+
+  attachment: {
+    async approve(event) {
+      await getDb().update('message_attachments', { id: Number(event.content_id) }, { moderation_status: 'approved' })
+    },
+    async hide(event) {
+      const db = getDb()
+      const attachment = await db.findOne('message_attachments', { id: Number(event.content_id) })
+      if (!attachment) return false
+      await db.remove('message_attachments', { id: attachment.id })
+      await getStorage().remove([attachment.storage_key, attachment.thumbnail_key].filter(Boolean))
+      return true
+    }
+  }
+}
+
+/**
+ * Reviews of companions count towards their scorecard
+ */
+async function refreshReviewee(review) {
+  if (review?.reviewer_role === 'client') {
+    await refreshCompanionScorecard(review.reviewee_id)
+  }
+}
+
+/**
+ * Approve or hide a queued item
+ * @param {string|number} eventId - Moderation event ID
+ * @param {string} action - 'approve' or 'hide'
+ * @param {Object} admin - Authenticated admin user
+ * @param {Object} params - { note } shown to the author when hiding
+ * @returns {Promise<Object>} { event } or { status, message } on failure
+ */
+export async function resolveModerationEvent(eventId, action, admin, { note } = {}) {
+  if (!MODERATION_ACTIONS.includes(action)) {
+    return { status: 400, message: 'Invalid action' }
+  }
+
+  const trimmedNote = typeof note === 'string' ? note.trim().substring(0, 1000) : ''
+  if (action === 'hide' && !trimmedNote) {
+    return { status: 400, message: 'A note is required to hide content; it is shown to the author' }
+  }
+
+  const db = getDb()
+  const event = await db.findOne('moderation_events', { id: Number(eventId) })
+  if (!event) {
+    return { status: 404, message: 'Moderation item not found' }
+  }
+  if (event.status !== 'pending') {
+    return { status: 409, message: `This item was already ${event.status}` }
+  }
+
+  const toStatus = action === 'approve' ? 'approved' : 'hidden'
+  const [updated] = await db.update('moderation_events', { id: event.id, status: 'pending' }, {
+    status: toStatus,
+    reviewed_by: admin.id,
+    reviewed_at: new Date().toISOString(),
+    note: trimmedNote || null
+  })
+  if (!updated) {
+    return { status: 409, message: 'This item was resolved by someone else. Please refresh.' }
+  }
+
+  const contentActions = CONTENT_ACTIONS[event.content_type]
+  const applied = await contentActions[action](event, trimmedNote || null)
+
+  await recordAuditEvent({
+    actor: admin,
+    action: `moderation.${action}`,
+    targetType: event.content_type,
+    targetId: event.content_id || event.id,
+    fromStatus: 'pending',
+    toStatus,
+    note: trimmedNote || null,
+    metadata: { eventId: event.id, ...(applied === false && { contentChanged: true }) }
+  })
+
+  if (action === 'hide' && applied !== false) {
+    await notifyContentRemoved(event, trimmedNote)
+  }
+
+  return { event: updated }
+}
+
+/**
+ * Tell the author their content was hidden
+ */
+async function notifyContentRemoved(event, note) {
+  try {
+    await sendNotification(
+      event.user_id,
+      NOTIFICATION_TYPES.CONTENT_REMOVED,
+      { contentLabel: CONTENT_LABELS[event.content_type], note },
+      { inApp: true, email: false, push: false }
+    )
+  } catch (error) {
+    // Log but don't fail the decision if the notification fails
+    console.error(`Failed to notify user ${event.user_id} of removed content:`, error)
+  }
+}
+
+/**
+ * List moderation events, oldest first so the queue is worked in order
+ * @param {Object} filters - { status, contentType, limit, offset }
+ * @returns {Promise<Object>} { events, total }
+ */
+export async function listModerationEvents({ status = 'pending', contentType = null, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+  const { rows, total } = await getDb().findMany('moderation_events', {
+    where: {
+      ...(status && { status }),
+      ...(contentType && { content_type: contentType })
+    },
+    orderBy: { column: 'created_at', ascending: status === 'pending' },
+    limit: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || DEFAULT_PAGE_SIZE)),
+    offset: Math.max(0, parseInt(offset) || 0)
+  })
+  return { events: rows, total }
+}
+
+/**
+ * Number of events in each status
+ * @returns {Promise<Object>} status -> count
+ */
+export async function countModerationEventsByStatus() {
+  const db = getDb()
+  const totals = await Promise.all(MODERATION_STATUSES.map(status =>
+    db.findMany('moderation_events', { where: { status }, limit: 1 })))
+  return Object.fromEntries(MODERATION_STATUSES.map((status, index) => [status, totals[index].total]))
+}
+
+/**
+ * Map an event to the admin queue shape
+ */
+export function serializeModerationEvent(event) {
+  return {
+    id: event.id,
+    contentType: event.content_type,
+    contentLabel: CONTENT_LABELS[event.content_type],
+    contentId: event.content_id,
+    userId: event.user_id,
+    excerpt: event.excerpt,
+    source: event.source,
+    decision: event.decision,
+    categories: event.categories || [],
+    status: event.status,
+    reviewedBy: event.reviewed_by || null,
+    reviewedAt: event.reviewed_at || null,
+    note: event.note || null,
+    createdAt: event.created_at
+  }
+}
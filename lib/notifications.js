@@ -29,6 +29,48 @@ export const NOTIFICATION_TYPES = {
   APPOINTMENT_REMINDER: 'appointment_reminder',
   PAYMENT_RECEIVED: 'payment_received',
   PAYMENT_FAILED: 'payment_failed',
+  REFUND_PROCESSED: 'refund_processed',
+  PAYOUT_PAID: 'payout_paid',
+  PAYOUT_FAILED: 'payout_failed',
+  COMPANION_APPROVED: 'companion_approved',
+  COMPANION_REJECTED: 'companion_rejected',
+  COMPANION_SUSPENDED: 'companion_suspended',
+  DISPUTE_OPENED: 'dispute_opened',
+  DISPUTE_UPDATED: 'dispute_updated',
+  DISPUTE_RESOLVED: 'dispute_resolved',
+  DISPUTE_ESCALATED: 'dispute_escalated',
+  SAVED_SEARCH_MATCH: 'saved_search_match',
+  FAVORITE_PRICE_DROP: 'favorite_price_drop',
+  FAVORITE_AVAILABILITY_OPENED: 'favorite_availability_opened',
+  FAVORITE_RATE_CHANGED: 'favorite_rate_changed',
+  CONTENT_REMOVED: 'content_removed',
+  REVIEW_REMINDER: 'review_reminder',
+  REVIEW_REPLY: 'review_reply',
+  REVIEW_RESTORED: 'review_restored',
+  REVIEW_REPORT_RESOLVED: 'review_report_resolved',
+  REVIEW_APPEAL_RESOLVED: 'review_appeal_resolved',
+}
+
+/**
+ * Describe what a cancellation means for the recipient's money
+ * Clients hear about their refund, companions about any compensation.
+ * Nothing is said about refunds when the booking was never paid.
+ */
+function describeCancellationMoney(data) {
+  if (data.recipientRole === 'companion') {
+    return data.companionCompensation > 0
+      ? `Under the ${data.policyName} cancellation policy you will receive $${data.companionCompensation.toFixed(2)} for this booking.`
+      : ''
+  }
+
+  if (data.refundAmount === null || data.refundAmount === undefined) return ''
+  if (data.refundAmount === 0) {
+    return `No refund applies under the ${data.policyName} cancellation policy.`
+  }
+  if (data.refundPercent === 100) {
+    return `A full refund of $${data.refundAmount.toFixed(2)} has been initiated.`
+  }
+  return `A refund of $${data.refundAmount.toFixed(2)} (${data.refundPercent}% under the ${data.policyName} cancellation policy) has been initiated.`
 }
 
 /**
@@ -98,7 +140,7 @@ const NOTIFICATION_TEMPLATES = {
   },
   [NOTIFICATION_TYPES.BOOKING_CANCELLED]: {
     title: 'Booking Cancelled',
-    getMessage: (data) => `Your booking for ${data.date} at ${data.time} has been cancelled. A refund has been initiated.`,
+    getMessage: (data) => `Your booking for ${data.date} at ${data.time} has been cancelled. ${describeCancellationMoney(data)}`.trim(),
     emailSubject: 'Booking Cancelled',
     getEmailBody: (data) => `
       <h2>Booking Cancelled</h2>
@@ -107,7 +149,8 @@ const NOTIFICATION_TEMPLATES = {
         <li><strong>Date:</strong> ${data.date}</li>
         <li><strong>Time:</strong> ${data.time}</li>
       </ul>
-      <p>A full refund has been initiated and should be processed within 3-5 business days.</p>
+      <p>${describeCancellationMoney(data)}</p>
+      ${data.refundAmount > 0 ? '<p>Refunds are usually processed within 3-5 business days.</p>' : ''}
     `,
   },
   [NOTIFICATION_TYPES.BOOKING_COMPLETED]: {
@@ -118,6 +161,7 @@ const NOTIFICATION_TEMPLATES = {
       <h2>Booking Completed</h2>
       <p>Your booking has been completed successfully!</p>
       <p>We'd love to hear about your experience. Please take a moment to leave a review.</p>
+      ${data.reviewDeadline ? `<p>Reviews stay hidden until you've both left one, or until ${data.reviewDeadline}.</p>` : ''}
       <p><a href="${data.reviewUrl}">Leave a Review</a></p>
     `,
   },
@@ -172,6 +216,253 @@ const NOTIFICATION_TEMPLATES = {
       <p><a href="${data.paymentUrl}">Update Payment Method</a></p>
     `,
   },
+  [NOTIFICATION_TYPES.REFUND_PROCESSED]: {
+    title: 'Refund Processed',
+    getMessage: (data) => `Your refund of ${data.amount} for booking #${data.bookingId} has been processed`,
+    emailSubject: 'Your Refund Has Been Processed',
+    getEmailBody: (data) => `
+      <h2>Refund Processed</h2>
+      <p>Your refund of ${data.amount} for booking #${data.bookingId} has been processed.</p>
+      <p>It can take a few business days to show on your statement.</p>
+      <p><a href="${data.bookingUrl}">View Booking</a></p>
+    `,
+  },
+  [NOTIFICATION_TYPES.PAYOUT_PAID]: {
+    title: 'Payout Sent',
+    getMessage: (data) => `Your payout of ${data.amount} has been sent to your bank account`,
+    emailSubject: 'Your Payout Is On Its Way',
+    getEmailBody: (data) => `
+      <h2>Payout Sent</h2>
+      <p>Your payout has been sent to your bank account:</p>
+      <ul>
+        <li><strong>Amount:</strong> ${data.amount}</li>
+        <li><strong>Account:</strong> ${data.account}</li>
+      </ul>
+      <p><a href="${data.dashboardUrl}">View Dashboard</a></p>
+    `,
+  },
+  [NOTIFICATION_TYPES.PAYOUT_FAILED]: {
+    title: 'Payout Failed',
+    getMessage: (data) => `Your payout of ${data.amount} failed. The amount is back in your available balance.`,
+    emailSubject: 'Payout Failed - Action Required',
+    getEmailBody: (data) => `
+      <h2>Payout Failed</h2>
+      <p>Your payout of ${data.amount} could not be completed${data.reason ? `: ${data.reason}` : ''}.</p>
+      <p>The amount is back in your available balance. Please check your bank account details and try again.</p>
+      <p><a href="${data.dashboardUrl}">View Dashboard</a></p>
+    `,
+  },
+  [NOTIFICATION_TYPES.COMPANION_APPROVED]: {
+    title: 'Profile Verified',
+    getMessage: () => 'Your companion profile has been verified. Clients can now book you!',
+    emailSubject: 'Your Profile Is Verified',
+    getEmailBody: (data) => `
+      <h2>You're Verified!</h2>
+      <p>Hi ${data.companionName}, your documents have been reviewed and your companion profile is now live.</p>
+      <p>Set your availability so clients can start booking you.</p>
+      <p><a href="${data.dashboardUrl}">Go to Dashboard</a></p>
+    `,
+  },
+  [NOTIFICATION_TYPES.COMPANION_REJECTED]: {
+    title: 'Verification Unsuccessful',
+    getMessage: (data) => `We couldn't verify your profile: ${data.note}`,
+    emailSubject: 'Profile Verification - Action Required',
+    getEmailBody: (data) => `
+      <h2>Verification Unsuccessful</h2>
+      <p>Hi ${data.companionName}, we couldn't verify your companion profile.</p>
+      <p><strong>Reason:</strong> ${data.note}</p>
+      <p>Please update your documents and submit them again.</p>
+      <p><a href="${data.profileUrl}">Update Profile</a></p>
+    `,
+  },
+  [NOTIFICATION_TYPES.COMPANION_SUSPENDED]: {
+    title: 'Account Suspended',
+    getMessage: (data) => `Your companion account has been suspended: ${data.note}`,
+    emailSubject: 'Your Account Has Been Suspended',
+    getEmailBody: (data) => `
+      <h2>Account Suspended</h2>
+      <p>Hi ${data.companionName}, your companion account has been suspended.</p>
+      <p><strong>Reason:</strong> ${data.note}</p>
+      <p>If you believe this is a mistake, please reply to this email.</p>
+    `,
+  },
+  [NOTIFICATION_TYPES.DISPUTE_OPENED]: {
+    title: 'Dispute Opened',
+    getMessage: (data) => `${data.openedByName} opened a dispute about your booking on ${data.date}`,
+    emailSubject: 'A Dispute Was Opened on Your Booking',
+    getEmailBody: (data) => `
+      <h2>Dispute Opened</h2>
+      <p>${data.openedByName} opened a dispute about your booking on ${data.date}:</p>
+      <ul>
+        <li><strong>Reason:</strong> ${data.reason}</li>
+        <li><strong>Summary:</strong> ${data.summary}</li>
+      </ul>
+      <p>Please add your statement so our team can review both sides. Payment for this booking is on hold until the dispute is resolved.</p>
+      <p><a href="${data.disputeUrl}">View Dispute</a></p>
+    `,
+  },
+  [NOTIFICATION_TYPES.DISPUTE_UPDATED]: {
+    title: 'Dispute Updated',
+    getMessage: (data) => data.message,
+    emailSubject: 'Your Dispute Was Updated',
+    getEmailBody: (data) => `
+      <h2>Dispute Updated</h2>
+      <p>${data.message}</p>
+      <p><a href="${data.disputeUrl}">View Dispute</a></p>
+    `,
+  },
+  [NOTIFICATION_TYPES.DISPUTE_RESOLVED]: {
+    title: 'Dispute Resolved',
+    getMessage: (data) => `The dispute about your booking on ${data.date} was resolved: ${data.outcome}`,
+    emailSubject: 'Your Dispute Has Been Resolved',
+    getEmailBody: (data) => `
+      <h2>Dispute Resolved</h2>
+      <p>Our team has reviewed the dispute about your booking on ${data.date}.</p>
+      <ul>
+        <li><strong>Outcome:</strong> ${data.outcome}</li>
+        ${data.resolution ? `<li><strong>Details:</strong> ${data.resolution}</li>` : ''}
+      </ul>
+      <p><a href="${data.disputeUrl}">View Dispute</a></p>
+    `,
+  },
+  [NOTIFICATION_TYPES.DISPUTE_ESCALATED]: {
+    title: 'Dispute Escalated',
+    getMessage: (data) => `Dispute ${data.disputeId} on booking #${data.bookingId} was escalated`,
+    emailSubject: 'Dispute Escalated - Review Required',
+    getEmailBody: (data) => `
+      <h2>Dispute Escalated</h2>
+      <p>A dispute needs senior review:</p>
+      <ul>
+        <li><strong>Dispute:</strong> ${data.disputeId}</li>
+        <li><strong>Booking:</strong> #${data.bookingId}</li>
+        <li><strong>Reason:</strong> ${data.reason}</li>
+        <li><strong>Summary:</strong> ${data.summary}</li>
+        <li><strong>Escalated by:</strong> ${data.escalatedBy}</li>
+        ${data.note ? `<li><strong>Note:</strong> ${data.note}</li>` : ''}
+      </ul>
+      <p><a href="${data.disputeUrl}">Open in Admin Console</a></p>
+    `,
+  },
+  [NOTIFICATION_TYPES.SAVED_SEARCH_MATCH]: {
+    title: 'New Companions For Your Search',
+    getMessage: (data) => data.count === 1
+      ? `${data.names} now matches your saved search "${data.searchName}"`
+      : `${data.count} new companions match your saved search "${data.searchName}": ${data.names}`,
+    emailSubject: 'New Companions Match Your Saved Search',
+    getEmailBody: (data) => `
+      <h2>New Matches</h2>
+      <p>${data.count === 1 ? 'A new companion matches' : `${data.count} new companions match`} your saved search "${data.searchName}":</p>
+      <p>${data.names}</p>
+      <p><a href="${data.searchUrl}">See Results</a></p>
+    `,
+  },
+  [NOTIFICATION_TYPES.FAVORITE_PRICE_DROP]: {
+    title: 'Price Drop',
+    getMessage: (data) => `${data.companionName} lowered their rate to ${data.hourlyRate}/hour, within your budget for "${data.searchName}"`,
+    emailSubject: 'A Favorite Companion Lowered Their Rate',
+    getEmailBody: (data) => `
+      <h2>Price Drop</h2>
+      <p>${data.companionName}, one of your favorites, lowered their rate:</p>
+      <ul>
+        <li><strong>Was:</strong> ${data.previousRate}/hour</li>
+        <li><strong>Now:</strong> ${data.hourlyRate}/hour</li>
+        <li><strong>Your maximum for "${data.searchName}":</strong> ${data.maxPrice}/hour</li>
+      </ul>
+      <p><a href="${data.favoritesUrl}">View Favorites</a></p>
+    `,
+  },
+  [NOTIFICATION_TYPES.FAVORITE_AVAILABILITY_OPENED]: {
+    title: 'New Availability',
+    getMessage: (data) => `${data.companionName} opened up more time on ${data.days}`,
+    emailSubject: 'A Favorite Companion Has New Availability',
+    getEmailBody: (data) => `
+      <h2>New Availability</h2>
+      <p>${data.companionName}, one of your favorites, is now available for more time on ${data.days}.</p>
+      <p><a href="${data.favoritesUrl}">View Favorites</a></p>
+    `,
+  },
+  [NOTIFICATION_TYPES.FAVORITE_RATE_CHANGED]: {
+    title: 'Rate Changed',
+    getMessage: (data) => `${data.companionName} ${data.lowered ? 'lowered' : 'changed'} their rate to ${data.hourlyRate}/hour`,
+    emailSubject: 'A Favorite Companion Changed Their Rate',
+    getEmailBody: (data) => `
+      <h2>Rate Changed</h2>
+      <p>${data.companionName}, one of your favorites, ${data.lowered ? 'lowered' : 'changed'} their hourly rate:</p>
+      <ul>
+        ${data.previousRate !== null && data.previousRate !== undefined ? `<li><strong>Was:</strong> ${data.previousRate}/hour</li>` : ''}
+        <li><strong>Now:</strong> ${data.hourlyRate}/hour</li>
+      </ul>
+      <p><a href="${data.favoritesUrl}">View Favorites</a></p>
+    `,
+  },
+  [NOTIFICATION_TYPES.CONTENT_REMOVED]: {
+    title: 'Content Removed',
+    getMessage: (data) => `Your ${data.contentLabel} was removed by our moderators: ${data.note}`,
+    emailSubject: 'Your Content Was Removed',
+    getEmailBody: (data) => `
+      <h2>Content Removed</h2>
+      <p>Your ${data.contentLabel} was removed because it doesn't meet our community guidelines.</p>
+      <p><strong>Moderator's note:</strong> ${data.note}</p>
+    `,
+  },
+  [NOTIFICATION_TYPES.REVIEW_REMINDER]: {
+    title: 'Review Reminder',
+    getMessage: (data) => data.otherPartyReviewed
+      ? `${data.otherPartyName} has reviewed your booking. Leave yours by ${data.deadline} to see it`
+      : `You have until ${data.deadline} to review your booking with ${data.otherPartyName}`,
+    emailSubject: 'Leave Your Review Before the Deadline',
+    getEmailBody: (data) => `
+      <h2>Review Reminder</h2>
+      <p>${data.otherPartyReviewed ? `${data.otherPartyName} has already reviewed your booking.` : `How was your booking with ${data.otherPartyName}?`}</p>
+      <p>Reviews stay hidden until both of you have left one, or until ${data.deadline}. After that date reviews can no longer be submitted.</p>
+      <p><a href="${data.reviewUrl}">Leave a Review</a></p>
+    `,
+  },
+  [NOTIFICATION_TYPES.REVIEW_REPLY]: {
+    title: 'Reply to Your Review',
+    getMessage: (data) => `${data.companionName} replied to your review: "${data.reply}"`,
+    emailSubject: 'A Companion Replied to Your Review',
+    getEmailBody: (data) => `
+      <h2>Reply to Your Review</h2>
+      <p>${data.companionName} replied to your review:</p>
+      <blockquote>${data.reply}</blockquote>
+    `,
+  },
+  [NOTIFICATION_TYPES.REVIEW_RESTORED]: {
+    title: 'Review Restored',
+    getMessage: (data) => `Your review was restored by our moderators: ${data.note}`,
+    emailSubject: 'Your Review Was Restored',
+    getEmailBody: (data) => `
+      <h2>Review Restored</h2>
+      <p>Your review is visible again.</p>
+      <p><strong>Moderator's note:</strong> ${data.note}</p>
+    `,
+  },
+  [NOTIFICATION_TYPES.REVIEW_REPORT_RESOLVED]: {
+    title: 'Report Reviewed',
+    getMessage: (data) => data.hidden
+      ? 'Thanks for your report. The review you reported has been removed'
+      : 'Thanks for your report. We looked into the review you reported and it stays up',
+    emailSubject: 'We Reviewed Your Report',
+    getEmailBody: (data) => `
+      <h2>Report Reviewed</h2>
+      <p>${data.hidden
+        ? 'The review you reported has been removed.'
+        : "We looked into the review you reported and found it doesn't break our guidelines, so it stays up."}</p>
+    `,
+  },
+  [NOTIFICATION_TYPES.REVIEW_APPEAL_RESOLVED]: {
+    title: 'Appeal Decided',
+    getMessage: (data) => data.upheld
+      ? `Your appeal was upheld and the review has been removed: ${data.note}`
+      : `Your appeal was rejected and the review stays up: ${data.note}`,
+    emailSubject: 'Your Review Appeal Was Decided',
+    getEmailBody: (data) => `
+      <h2>Appeal ${data.upheld ? 'Upheld' : 'Rejected'}</h2>
+      <p>${data.upheld ? 'The review you appealed has been removed.' : 'The review you appealed stays up.'}</p>
+      <p><strong>Moderator's note:</strong> ${data.note}</p>
+    `,
+  },
 }
 
 /**
@@ -12,6 +12,8 @@ function getOpenAIClient() {
   if (!openaiClient) {
     openaiClient = new OpenAI({
       apiKey: process.env.OPENAI_API_KEY,
+      // Point at an OpenAI-compatible endpoint, e.g. a local stub in development
+      baseURL: process.env.OPENAI_BASE_URL || undefined,
       timeout: 10000
     })
   }
@@ -44,6 +46,37 @@ export async function moderateContent(content) {
   }
 }
 
+/**
+ * Moderate an image using OpenAI's multimodal moderation model
+ * @param {Buffer} image - Image data (JPEG, PNG or WebP)
+ * @param {string} mimeType - The image's MIME type
+ * @returns {Promise<Object>} - Moderation result, like moderateContent
+ */
+export async function moderateImage(image, mimeType) {
+  try {
+    const openai = getOpenAIClient()
+
+    const moderation = await openai.moderations.create({
+      model: 'omni-moderation-latest',
+      input: [{
+        type: 'image_url',
+        image_url: { url: `data:${mimeType};base64,${image.toString('base64')}` }
+      }]
+    })
+
+    const result = moderation.results[0]
+
+    return {
+      flagged: result.flagged,
+      categories: result.categories,
+      categoryScores: result.category_scores
+    }
+  } catch (error) {
+    console.error('OpenAI image moderation error:', error)
+    throw new Error('Failed to moderate image')
+  }
+}
+
 /**
  * Generate chat completion
  * @param {Array} messages - Array of message objects
@@ -0,0 +1,495 @@
+/**
+ * Payouts Helper Library
+ *
+ * Companions are paid from their balance in the ledger (companion_payable),
+ * not per booking:
+ *
+ * - In escrow: their share of accepted bookings whose charge is held
+ * - On hold:   earnings credited in the last `payout_hold_days` days
+ * - Frozen:    earnings from bookings with an unresolved dispute
+ * - Available: everything else they are owed, minus payouts in flight
+ *
+ * Payouts move the available balance to the companion's verified bank
+ * account with a Paystack transfer, either on request (withdrawal) or every
+ * week for companions who opted in:
+ *
+ *   pending --transfer started--> processing --transfer.success--> paid
+ *      |                              |--transfer.failed--> failed
+ *      |--Paystack has no transfer--> failed      paid --transfer.reversed--> reversed
+ *
+ * If starting the transfer errors (e.g. the request timed out) the payout
+ * stays pending: Paystack may still have made it. verifyInFlightPayouts asks
+ * Paystack later, and only a confirmed failure returns the amount to the
+ * available balance. The ledger is only debited once Paystack confirms the
+ * transfer.
+ *
+ * SAFETY CONSIDERATIONS:
+ * - A payout is recorded before the transfer starts and the balance is
+ *   checked again afterwards, so concurrent withdrawals can't overdraw
+ * - Amounts sent to Paystack come from the stored payout, never from the
+ *   transfer webhook
+ */
+
+import { getDb } from './db'
+import { getPlatformSettings } from './settings'
+import { createTransferRecipient, initiateTransfer, verifyBankAccount, verifyTransfer } from './paystack'
+import { getAccountBalance, postTransfer, postTransferReversal } from './ledger'
+import { OPEN_DISPUTE_STATUSES } from './escrow'
+
+export const PAYOUT_STATUSES = ['pending', 'processing', 'paid', 'failed', 'reversed']
+
+export const PAYOUT_SCHEDULES = ['manual', 'weekly']
+
+// Payouts that will reduce the balance once Paystack confirms them
+const IN_FLIGHT_STATUSES = ['pending', 'processing']
+
+// Ledger entries that credit a companion for a booking
+const EARNING_EVENT_TYPES = ['escrow_release', 'escrow_refund']
+
+// Companions are read in pages by the weekly run
+const PAGE_SIZE = 100
+
+// In-flight payouts are checked with Paystack once they are this old, so a
+// transfer request that is still running isn't mistaken for a missing one
+export const PAYOUT_VERIFY_AFTER_MINUTES = 10
+
+// Paystack transfer states that mean the transfer exists and isn't final yet
+const TRANSFER_PENDING_STATES = ['pending', 'otp', 'received', 'queued', 'processing']
+
+const toKobo = (amount) => Math.round(Number(amount) * 100)
+const roundMoney = (amount) => Math.round(Number(amount) * 100) / 100
+
+/**
+ * Fetch a companion's payout account
+ */
+export async function getPayoutAccount(companionId) {
+  return getDb().findOne('payout_accounts', { companion_id: companionId })
+}
+
+/**
+ * Verify a bank account and register it as the companion's transfer recipient
+ * Replaces any account registered before.
+ * @param {string} companionId - Companion profile ID
+ * @param {Object} params - { accountNumber, bankCode }
+ * @returns {Promise<Object>} { account } or { status, message } on failure
+ */
+export async function registerPayoutAccount(companionId, { accountNumber, bankCode }) {
+  let verification
+  try {
+    verification = await verifyBankAccount({ accountNumber, bankCode })
+  } catch (error) {
+    verification = { status: false }
+  }
+  if (!verification.status) {
+    return { status: 400, message: 'Unable to verify bank account. Please check the details and try again.' }
+  }
+
+  let recipient
+  try {
+    recipient = await createTransferRecipient({
+      name: verification.data.account_name,
+      accountNumber,
+      bankCode
+    })
+  } catch (error) {
+    recipient = { status: false }
+  }
+  if (!recipient.status) {
+    return { status: 502, message: 'Could not register the bank account for payouts' }
+  }
+
+  const db = getDb()
+  const details = {
+    recipient_code: recipient.data.recipient_code,
+    account_name: verification.data.account_name,
+    bank_code: bankCode,
+    account_last4: String(accountNumber).slice(-4)
+  }
+
+  const existing = await getPayoutAccount(companionId)
+  const account = existing
+    ? (await db.update('payout_accounts', { companion_id: companionId }, details))[0]
+    : await db.insert('payout_accounts', { companion_id: companionId, schedule: 'manual', ...details })
+
+  return { account }
+}
+
+/**
+ * Switch a companion between manual withdrawals and weekly payouts
+ * @returns {Promise<Object>} { account } or { status, message } on failure
+ */
+export async function setPayoutSchedule(companionId, schedule) {
+  if (!PAYOUT_SCHEDULES.includes(schedule)) {
+    return { status: 400, message: 'Invalid payout schedule' }
+  }
+
+  const [account] = await getDb().update('payout_accounts', { companion_id: companionId }, { schedule })
+  if (!account) {
+    return { status: 409, message: 'Add a bank account before choosing a payout schedule' }
+  }
+
+  return { account }
+}
+
+/**
+ * Work out a companion's earnings
+ * @param {string} companionId - Companion profile ID
+ * @param {Object} settings - Platform settings (fetched when omitted)
+ * @returns {Promise<Object>} { owed, inEscrow, onHold, frozen, inFlight, pending, available, unallocated, holdDays }
+ *   `unallocated` is available before clamping at zero - negative means overdrawn
+ */
+export async function getEarningsSummary(companionId, settings = null) {
+  const db = getDb()
+  const { payout_hold_days: holdDays } = settings || await getPlatformSettings()
+  const holdSince = new Date(Date.now() - holdDays * 24 * 60 * 60 * 1000).toISOString()
+
+  const [owed, onHold, { rows: payouts }, { rows: accepted }, { rows: disputes }] = await Promise.all([
+    getAccountBalance('companion_payable', { profileId: companionId }),
+    getAccountBalance('companion_payable', {
+      profileId: companionId,
+      eventTypes: EARNING_EVENT_TYPES,
+      since: holdSince
+    }),
+    db.findMany('payouts', {
+      where: { companion_id: companionId, status: { in: IN_FLIGHT_STATUSES } }
+    }),
+    db.findMany('bookings', {
+      where: { companion_id: companionId, status: 'accepted' }
+    }),
+    db.findMany('disputes', {
+      where: { companion_id: companionId, status: { in: OPEN_DISPUTE_STATUSES } }
+    })
+  ])
+
+  let inEscrow = 0
+  if (accepted.length > 0) {
+    const { rows: holds } = await db.findMany('escrow_holds', {
+      where: { booking_id: { in: accepted.map(b => b.id) }, status: 'held' }
+    })
+    const shareByBooking = new Map(accepted.map(b => [
+      b.id,
+      b.companion_share_percent === null ? 100 : Number(b.companion_share_percent)
+    ]))
+    inEscrow = holds.reduce((sum, hold) =>
+      sum + toKobo(hold.amount) * shareByBooking.get(hold.booking_id) / 100, 0)
+  }
+
+  // Earnings from disputed bookings, less what is already counted as on hold
+  let frozen = 0
+  let frozenPastHold = 0
+  for (const dispute of disputes) {
+    const [credited, recent] = await Promise.all([
+      getAccountBalance('companion_payable', { profileId: companionId, bookingId: dispute.booking_id }),
+      getAccountBalance('companion_payable', {
+        profileId: companionId,
+        bookingId: dispute.booking_id,
+        eventTypes: EARNING_EVENT_TYPES,
+        since: holdSince
+      })
+    ])
+    frozen += Math.max(toKobo(credited.balance), 0)
+    frozenPastHold += Math.max(toKobo(credited.balance) - toKobo(recent.balance), 0)
+  }
+
+  const inFlight = payouts.reduce((sum, payout) => sum + toKobo(payout.amount), 0)
+  const unallocated = toKobo(owed.balance) - toKobo(onHold.balance) - frozenPastHold - inFlight
+
+  return {
+    owed: owed.balance,
+    inEscrow: roundMoney(inEscrow / 100),
+    onHold: onHold.balance,
+    frozen: roundMoney(frozen / 100),
+    inFlight: roundMoney(inFlight / 100),
+    pending: roundMoney((inEscrow + toKobo(onHold.balance) + frozenPastHold) / 100),
+    available: roundMoney(Math.max(unallocated, 0) / 100),
+    unallocated: roundMoney(unallocated / 100),
+    holdDays
+  }
+}
+
+/**
+ * Pay out part of a companion's available balance
+ * @param {string} companionId - Companion profile ID
+ * @param {Object} params - { amount, source }
+ * @returns {Promise<Object>} { payout } or { status, message } on failure
+ */
+export async function requestPayout(companionId, { amount, source = 'withdrawal' }) {
+  const db = getDb()
+  const settings = await getPlatformSettings()
+  const value = roundMoney(amount)
+
+  if (!(value > 0)) {
+    return { status: 400, message: 'Invalid amount' }
+  }
+
+  if (value < Number(settings.payout_minimum_amount)) {
+    return {
+      status: 400,
+      message: `The minimum payout is $${Number(settings.payout_minimum_amount).toFixed(2)}`
+    }
+  }
+
+  const account = await getPayoutAccount(companionId)
+  if (!account) {
+    return { status: 409, message: 'Add a bank account before requesting a payout' }
+  }
+
+  const before = await getEarningsSummary(companionId, settings)
+  if (value > before.available) {
+    return { status: 409, message: 'Amount exceeds your available balance', available: before.available }
+  }
+
+  const payout = await db.insert('payouts', {
+    companion_id: companionId,
+    amount: value,
+    status: 'pending',
+    source,
+    transfer_reference: `payout_${companionId.slice(0, 8)}_${Date.now()}`,
+    recipient_code: account.recipient_code
+  })
+
+  // Another payout may have been recorded at the same time
+  const after = await getEarningsSummary(companionId, settings)
+  if (after.unallocated < 0) {
+    await db.update('payouts', { id: payout.id, status: 'pending' }, {
+      status: 'failed',
+      failure_reason: 'Insufficient available balance'
+    })
+    return { status: 409, message: 'Amount exceeds your available balance', available: before.available }
+  }
+
+  try {
+    await initiateTransfer({
+      amount: toKobo(value),
+      recipient: account.recipient_code,
+      reason: 'fliQ earnings payout',
+      reference: payout.transfer_reference
+    })
+  } catch (error) {
+    // The transfer may still have gone out, so the amount stays reserved
+    // until a webhook or verifyInFlightPayouts settles it
+    console.error(`Transfer for payout ${payout.id} could not be confirmed:`, error)
+    return { payout: await db.findOne('payouts', { id: payout.id }) }
+  }
+
+  const [processing] = await db.update('payouts', { id: payout.id, status: 'pending' }, {
+    status: 'processing',
+    processed_at: new Date().toISOString()
+  })
+
+  // The webhook can arrive before we get here
+  return { payout: processing || await db.findOne('payouts', { id: payout.id }) }
+}
+
+/**
+ * Pay out the available balance of every companion on the weekly schedule
+ * @returns {Promise<Object>} { checked, paid, skipped, failed, errors }
+ */
+export async function runScheduledPayouts() {
+  const db = getDb()
+  const settings = await getPlatformSettings()
+  const results = { checked: 0, paid: 0, skipped: 0, failed: 0, errors: [] }
+  let offset = 0
+  let total = 0
+
+  do {
+    const page = await db.findMany('payout_accounts', {
+      where: { schedule: 'weekly' },
+      orderBy: 'companion_id',
+      limit: PAGE_SIZE,
+      offset
+    })
+
+    for (const account of page.rows) {
+      results.checked++
+
+      try {
+        const { available } = await getEarningsSummary(account.companion_id, settings)
+        if (available < Number(settings.payout_minimum_amount) || available <= 0) {
+          results.skipped++
+          continue
+        }
+
+        const result = await requestPayout(account.companion_id, { amount: available, source: 'scheduled' })
+        if (result.status) {
+          results.failed++
+          results.errors.push({ companionId: account.companion_id, error: result.message })
+        } else {
+          results.paid++
+        }
+      } catch (error) {
+        console.error(`Scheduled payout failed for companion ${account.companion_id}:`, error)
+        results.failed++
+        results.errors.push({ companionId: account.companion_id, error: error.message })
+      }
+    }
+
+    total = page.rows.length === 0 ? offset : page.total
+    offset += page.rows.length
+  } while (offset < total)
+
+  return results
+}
+
+/**
+ * Apply a transfer webhook to the payout it belongs to
+ * @param {string} reference - Transfer reference
+ * @param {string} outcome - 'success', 'failed' or 'reversed'
+ * @param {string} failureReason - Paystack's reason when it failed
+ * @returns {Promise<Object|null>} Updated payout, or null if the transfer isn't a
+ *   payout or its result was already recorded
+ */
+export async function recordPayoutResult(reference, outcome, failureReason = null) {
+  const db = getDb()
+  const payout = await db.findOne('payouts', { transfer_reference: reference })
+  if (!payout) return null
+
+  const amount = toKobo(payout.amount)
+
+  if (outcome === 'success') {
+    // A failed payout's amount is back in the balance and may have been paid
+    // out again, so a late success needs a person to look at it
+    if (payout.status === 'failed') {
+      console.error(`Transfer ${reference} succeeded after payout ${payout.id} was marked failed`)
+      return null
+    }
+    if (!IN_FLIGHT_STATUSES.includes(payout.status)) return null
+
+    // Post first: a retried webhook completes the entry, then the status
+    await postTransfer({ reference, amount, companionId: payout.companion_id })
+    const [paid] = await db.update('payouts', { id: payout.id, status: payout.status }, {
+      status: 'paid',
+      paid_at: new Date().toISOString(),
+      failure_reason: null
+    })
+    return paid || null
+  }
+
+  // A reversal of a transfer we already booked puts the money back in the balance
+  if (outcome === 'reversed' && payout.status === 'paid') {
+    await postTransferReversal({ reference, amount, companionId: payout.companion_id })
+    const [reversed] = await db.update('payouts', { id: payout.id, status: 'paid' }, {
+      status: 'reversed',
+      failure_reason: failureReason || 'Transfer reversed'
+    })
+    return reversed || null
+  }
+
+  if (!IN_FLIGHT_STATUSES.includes(payout.status)) return null
+
+  const [failed] = await db.update('payouts', { id: payout.id, status: payout.status }, {
+    status: 'failed',
+    failure_reason: failureReason || 'Transfer failed'
+  })
+  return failed || null
+}
+
+/**
+ * Settle in-flight payouts no webhook has reported on, by asking Paystack
+ * @param {Object} options - { now, limit }
+ * @returns {Promise<Object>} { checked, paid, failed, pending, errors }
+ */
+export async function verifyInFlightPayouts({ now = new Date(), limit = 50 } = {}) {
+  const cutoff = new Date(now.getTime() - PAYOUT_VERIFY_AFTER_MINUTES * 60 * 1000)
+  const results = { checked: 0, paid: 0, failed: 0, pending: 0, errors: [] }
+
+  const { rows } = await getDb().findMany('payouts', {
+    where: { status: { in: IN_FLIGHT_STATUSES }, created_at: { lte: cutoff.toISOString() } },
+    orderBy: 'created_at',
+    limit
+  })
+
+  for (const payout of rows) {
+    results.checked++
+
+    try {
+      const outcome = await verifyPayout(payout)
+      results[outcome]++
+    } catch (error) {
+      console.error(`Error verifying payout ${payout.id}:`, error)
+      results.errors.push({ payoutId: payout.id, error: error.message })
+    }
+  }
+
+  return results
+}
+
+/**
+ * Apply Paystack's view of one in-flight payout
+ * @returns {Promise<string>} 'paid', 'failed' or 'pending'
+ */
+async function verifyPayout(payout) {
+  const db = getDb()
+  const verification = await verifyTransfer(payout.transfer_reference)
+
+  // The transfer was never created: a confirmed failure
+  if (!verification) {
+    await db.update('payouts', { id: payout.id, status: payout.status }, {
+      status: 'failed',
+      failure_reason: 'Transfer was never started'
+    })
+    return 'failed'
+  }
+
+  const transfer = verification.data || {}
+  if (transfer.status === 'success') {
+    await recordPayoutResult(payout.transfer_reference, 'success')
+    return 'paid'
+  }
+  if (['failed', 'reversed', 'abandoned', 'rejected'].includes(transfer.status)) {
+    await recordPayoutResult(payout.transfer_reference, 'failed', transfer.reason || `Transfer ${transfer.status}`)
+    return 'failed'
+  }
+
+  if (payout.status === 'pending' && TRANSFER_PENDING_STATES.includes(transfer.status)) {
+    await db.update('payouts', { id: payout.id, status: 'pending' }, {
+      status: 'processing',
+      processed_at: new Date().toISOString()
+    })
+  }
+  return 'pending'
+}
+
+/**
+ * List a companion's payouts, newest first
+ * @returns {Promise<Object>} { payouts, total }
+ */
+export async function listPayouts(companionId, { limit = 20, offset = 0 } = {}) {
+  const { rows, total } = await getDb().findMany('payouts', {
+    where: { companion_id: companionId },
+    orderBy: { column: 'created_at', ascending: false },
+    limit,
+    offset
+  })
+  return { payouts: rows, total }
+}
+
+/**
+ * Map a payout account to the API response shape (never exposes the recipient code)
+ */
+export function serializePayoutAccount(account) {
+  if (!account) return null
+  return {
+    accountName: account.account_name,
+    bankCode: account.bank_code,
+    accountLast4: account.account_last4,
+    schedule: account.schedule
+  }
+}
+
+/**
+ * Map a payout to the API response shape
+ */
+export function serializePayout(payout) {
+  return {
+    id: payout.id,
+    amount: Number(payout.amount),
+    status: payout.status,
+    source: payout.source,
+    reference: payout.transfer_reference,
+    failureReason: payout.failure_reason,
+    processedAt: payout.processed_at,
+    paidAt: payout.paid_at,
+    createdAt: payout.created_at
+  }
+}
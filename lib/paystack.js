@@ -4,6 +4,7 @@
  */
 
 import axios from 'axios'
+import crypto from 'crypto'
 
 const PAYSTACK_BASE_URL = 'https://api.paystack.co'
 
@@ -17,7 +18,8 @@ export async function initializePayment({
   amount,
   currency = 'NGN',
   reference,
-  metadata = {}
+  metadata = {},
+  callbackUrl
 }) {
   try {
     const response = await axios.post(
@@ -27,7 +29,8 @@ export async function initializePayment({
         amount,
         currency,
         reference,
-        metadata
+        metadata,
+        ...(callbackUrl && { callback_url: callbackUrl })
       },
       {
         headers: {
@@ -144,20 +147,57 @@ export async function initiateTransfer({
   }
 }
 
+/**
+ * Verify a transfer
+ * @param {string} reference - Transfer reference
+ * @returns {Promise<Object|null>} - Verification response, or null if Paystack has no such transfer
+ */
+export async function verifyTransfer(reference) {
+  try {
+    const response = await axios.get(
+      `${PAYSTACK_BASE_URL}/transfer/verify/${encodeURIComponent(reference)}`,
+      {
+        headers: {
+          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`
+        },
+        timeout: 10000
+      }
+    )
+
+    return response.data
+  } catch (error) {
+    if (error.response?.status === 404) return null
+    console.error('Paystack transfer verification error:', error.response?.data || error.message)
+    throw new Error('Failed to verify transfer')
+  }
+}
+
 /**
  * Verify webhook signature
+ * Compared in constant time so the signature can't be guessed byte by byte.
  * @param {string} signature - Webhook signature from headers
  * @param {string} body - Raw request body
  * @returns {boolean} - True if signature is valid
  */
 export function verifyWebhookSignature(signature, body) {
-  const crypto = require('crypto')
-  const hash = crypto
-    .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY)
-    .update(body)
-    .digest('hex')
-  
-  return hash === signature
+  if (!signature || typeof signature !== 'string' || !process.env.PAYSTACK_SECRET_KEY) {
+    return false
+  }
+
+  const expected = Buffer.from(
+    crypto
+      .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY)
+      .update(body)
+      .digest('hex')
+  )
+  const received = Buffer.from(signature)
+
+  // timingSafeEqual throws on length mismatch
+  if (received.length !== expected.length) {
+    return false
+  }
+
+  return crypto.timingSafeEqual(expected, received)
 }
 
 /**
@@ -0,0 +1,312 @@
+/**
+ * Paystack Event Handlers
+ *
+ * Applies verified Paystack webhook events to bookings, escrow holds,
+ * companion payouts and the ledger. Events reach these handlers through the durable event log in
+ * lib/webhookEvents.js, both on first delivery and on retries.
+ *
+ * ESCROW:
+ * - charge.success puts the booking's funds on hold
+ * - refund.* events settle the hold after a decline/cancellation (see lib/escrow.js)
+ * - refund.processed tells the client; refund.failed is recorded in the admin
+ *   audit log, saying whether the auto-complete job retries the refund or it
+ *   needs manual processing
+ *
+ * PAYOUTS:
+ * - transfer.* events settle companion payouts (see lib/payouts.js)
+ *
+ * LEDGER:
+ * - Every successful charge, transfer and refund posts a balanced entry
+ *   (see lib/ledger.js); entries are idempotent per event reference
+ *
+ * Handlers must be safe to run more than once for the same event - a retry
+ * can follow a failure that happened halfway through. A handler throws when
+ * the event should be retried.
+ */
+
+import {
+  MAX_REFUND_ATTEMPTS,
+  getEscrow,
+  getTransactionByReference,
+  isReturnedCharge,
+  recordChargeSuccess,
+  recordChargeFailure,
+  recordRefundResult
+} from './escrow'
+import { getPayoutAccount, recordPayoutResult } from './payouts'
+import { postCharge, postRefund } from './ledger'
+import { getBooking } from './bookings'
+import { getProfile } from './profiles'
+import { recordAuditEvent } from './auditLog'
+import { sendNotification, NOTIFICATION_TYPES } from './notifications'
+
+/**
+ * Handle a Paystack event
+ * @param {Object} event - Parsed webhook payload ({ event, data })
+ * @returns {Promise<boolean>} false if the event type isn't handled
+ */
+export async function handlePaystackEvent(event) {
+  switch (event.event) {
+    case 'charge.success':
+      await handleChargeSuccess(event.data)
+      return true
+
+    case 'charge.failed':
+      await handleChargeFailed(event.data)
+      return true
+
+    case 'transfer.success':
+      await handleTransferSuccess(event.data)
+      return true
+
+    case 'transfer.failed':
+    case 'transfer.reversed':
+      await handleTransferFailed(event.data, event.event === 'transfer.reversed' ? 'reversed' : 'failed')
+      return true
+
+    case 'refund.processed':
+      await handleRefundProcessed(event.data)
+      return true
+
+    case 'refund.failed':
+      await handleRefundFailed(event.data)
+      return true
+
+    default:
+      console.log('Unhandled event type:', event.event)
+      return false
+  }
+}
+
+/**
+ * Handle successful payment charge
+ * Escrow mode: the funds are now held for the booking
+ */
+async function handleChargeSuccess(data) {
+  try {
+    const result = await recordChargeSuccess(data)
+    if (!result) return
+
+    const booking = await getBooking(result.transaction.booking_id)
+    await postCharge(booking, {
+      reference: data.reference,
+      amount: Number(data.amount),
+      escrow: !!result.escrow,
+      returned: result.returned
+    })
+
+    if (result.returned) {
+      console.error('Payment could not be kept - refunded in full:', data.reference)
+    } else if (result.refunded) {
+      console.log('Payment received for a closed booking - refunded:', data.reference)
+    } else {
+      console.log('Payment processed successfully:', data.reference)
+    }
+  } catch (error) {
+    console.error('Error handling charge success:', error)
+    throw error
+  }
+}
+
+/**
+ * Handle failed payment charge
+ */
+async function handleChargeFailed(data) {
+  try {
+    const transaction = await recordChargeFailure(data)
+    if (!transaction) {
+      console.error('Failed charge for unknown transaction:', data.reference)
+      return
+    }
+
+    // Notify the client so they can retry
+    const booking = await getBooking(transaction.booking_id)
+    if (booking) {
+      const client = await getProfile(booking.client_id)
+      const appUrl = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'
+      await sendNotification(
+        booking.client_id,
+        NOTIFICATION_TYPES.PAYMENT_FAILED,
+        {
+          paymentUrl: `${appUrl}/client/dashboard?booking=${booking.id}`
+        },
+        {
+          inApp: true,
+          email: true,
+          push: false,
+          userEmail: client?.email || null,
+          pushToken: null
+        }
+      )
+    }
+
+    console.log('Payment failed:', data.reference)
+  } catch (error) {
+    console.error('Error handling charge failure:', error)
+    throw error
+  }
+}
+
+/**
+ * Handle successful transfer to companion
+ */
+async function handleTransferSuccess(data) {
+  try {
+    const payout = await recordPayoutResult(data.reference, 'success')
+    if (!payout) {
+      console.log('Transfer successful:', data.reference)
+      return
+    }
+
+    await notifyPayout(payout, NOTIFICATION_TYPES.PAYOUT_PAID)
+
+    console.log('Payout successful:', data.reference)
+  } catch (error) {
+    console.error('Error handling transfer success:', error)
+    throw error
+  }
+}
+
+/**
+ * Handle failed or reversed transfer to companion
+ * The amount goes back to the companion's available balance.
+ */
+async function handleTransferFailed(data, outcome) {
+  try {
+    const payout = await recordPayoutResult(data.reference, outcome, data.reason || data.status)
+    if (!payout) {
+      console.log(`Transfer ${outcome}:`, data.reference)
+      return
+    }
+
+    await notifyPayout(payout, NOTIFICATION_TYPES.PAYOUT_FAILED)
+
+    console.error(`Payout ${outcome} for companion ${payout.companion_id}:`, data.reference)
+  } catch (error) {
+    console.error('Error handling transfer failure:', error)
+    throw error
+  }
+}
+
+/**
+ * Tell a companion what happened to their payout
+ */
+async function notifyPayout(payout, notificationType) {
+  const [companion, account] = await Promise.all([
+    getProfile(payout.companion_id),
+    getPayoutAccount(payout.companion_id)
+  ])
+  const appUrl = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'
+
+  await sendNotification(
+    payout.companion_id,
+    notificationType,
+    {
+      amount: `$${Number(payout.amount).toFixed(2)}`,
+      account: account ? `${account.account_name} (****${account.account_last4})` : 'your bank account',
+      reason: payout.failure_reason,
+      dashboardUrl: `${appUrl}/companion/dashboard`
+    },
+    {
+      inApp: true,
+      email: true,
+      push: false,
+      userEmail: companion?.email || null,
+      pushToken: null
+    }
+  )
+}
+
+/**
+ * Handle successful refund processing
+ */
+async function handleRefundProcessed(data) {
+  try {
+    const chargeReference = data.transaction_reference
+    if (!chargeReference) {
+      console.error('No transaction reference in refund event')
+      return
+    }
+
+    const transaction = await getTransactionByReference(chargeReference)
+    const booking = transaction ? await getBooking(transaction.booking_id) : null
+    if (transaction) {
+      const escrow = await getEscrow(transaction.booking_id)
+      // Escrow refunds and returned charges are paid out of the refunds account
+      await postRefund(booking, {
+        reference: chargeReference,
+        amount: Number(data.amount),
+        escrow: escrow?.charge_reference === chargeReference || isReturnedCharge(transaction)
+      })
+    }
+
+    await recordRefundResult(chargeReference, true)
+
+    if (booking) {
+      const client = await getProfile(booking.client_id)
+      const appUrl = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'
+      await sendNotification(
+        booking.client_id,
+        NOTIFICATION_TYPES.REFUND_PROCESSED,
+        {
+          amount: `$${(Number(data.amount) / 100).toFixed(2)}`,
+          bookingId: booking.id,
+          bookingUrl: `${appUrl}/client/dashboard?booking=${booking.id}`
+        },
+        {
+          inApp: true,
+          email: true,
+          push: false,
+          userEmail: client?.email || null,
+          pushToken: null
+        }
+      )
+    }
+
+    console.log('Refund processed successfully:', chargeReference)
+  } catch (error) {
+    console.error('Error handling refund processed:', error)
+    throw error
+  }
+}
+
+/**
+ * Handle failed refund
+ * The auto-complete job retries escrow refunds and returned charges; a
+ * refund it won't retry has to be processed by hand, which the audit entry
+ * says.
+ */
+async function handleRefundFailed(data) {
+  try {
+    const chargeReference = data.transaction_reference
+    if (!chargeReference) {
+      console.error('No transaction reference in refund event')
+      return
+    }
+
+    const reason = data.message || data.status
+    await recordRefundResult(chargeReference, false, reason)
+
+    // Escrow refunds are tracked on the hold, returned charges on the
+    // transaction; other refunds (split mode) aren't retried automatically
+    const transaction = await getTransactionByReference(chargeReference)
+    const escrow = transaction ? await getEscrow(transaction.booking_id) : null
+    const refund = escrow?.charge_reference === chargeReference ? escrow : transaction
+    const attempts = Number(refund?.refund_attempts || 0)
+    const willRetry = refund?.refund_status === 'failed' && attempts < MAX_REFUND_ATTEMPTS
+
+    await recordAuditEvent({
+      actor: null,
+      action: 'refund.failed',
+      targetType: 'booking',
+      targetId: transaction?.booking_id ?? chargeReference,
+      note: willRetry ? null : 'Out of automatic retries - process this refund by hand',
+      metadata: { chargeReference, reason: reason || null, attempts, willRetry }
+    })
+
+    console.error(willRetry ? 'Refund failed, will retry:' : 'Refund failed, needs manual processing:', chargeReference)
+  } catch (error) {
+    console.error('Error handling refund failure:', error)
+    throw error
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * Companion Presence
+ * Whether a companion is around to take requests, shown on search results
+ * and profiles
+ *
+ * Companions switch "online / accepting requests" on and off from their
+ * dashboard. Clients then see one of:
+ * - online: accepting requests and connected right now ("Online now")
+ * - recent: accepting requests, seen within RECENT_DAYS ("Active 2h ago")
+ * - away: not accepting requests, or not seen for longer
+ *
+ * CONNECTED:
+ * - Companion pages join the companion's presence-user-{id} Pusher channel
+ *   (authorized in lib/channelAuth.js); Pusher's presence webhooks
+ *   (/api/pusher/webhook) mark them connected and disconnected
+ * - The same pages send a heartbeat every minute (/api/presence), so
+ *   presence still works when webhooks are late or not set up; a heartbeat
+ *   counts as connected for HEARTBEAT_TIMEOUT_SECONDS
+ * - A webhook's `connected` is only trusted for CONNECTED_TIMEOUT_SECONDS
+ *   after the companion was last seen, so a lost member_removed can't keep
+ *   them online for good
+ *
+ * Rows live in `companion_presence`; a companion without one is away.
+ *
+ * PRIVACY:
+ * - Clients only see the status and, when recent, roughly when the
+ *   companion was last seen; never the connection details
+ */
+
+import { getDb } from './db'
+import { parseChannelName } from './channelAuth'
+
+export const PRESENCE_STATUSES = ['online', 'recent', 'away']
+
+// Two missed heartbeats (sent every minute) and the companion drops offline
+export const HEARTBEAT_TIMEOUT_SECONDS = 150
+
+// Connected but silent this long (browsers throttle timers in background
+// tabs) and the companion drops offline anyway
+export const CONNECTED_TIMEOUT_SECONDS = 15 * 60
+
+// Seen longer ago than this and the companion shows as away
+const RECENT_DAYS = 7
+
+const MINUTE_MS = 60 * 1000
+const HOUR_MS = 60 * MINUTE_MS
+const DAY_MS = 24 * HOUR_MS
+
+/**
+ * Presence rows of the given companions
+ * @returns {Promise<Map>} companionId -> row (companions without one are left out)
+ */
+async function loadPresence(companionIds) {
+  if (companionIds.length === 0) return new Map()
+
+  const { rows } = await getDb().findMany('companion_presence', {
+    where: { companion_id: { in: companionIds } }
+  })
+  return new Map(rows.map(row => [row.companion_id, row]))
+}
+
+/**
+ * Public presence of the given companions
+ * @returns {Promise<Map>} companionId -> { status, label, lastSeenAt }
+ */
+export async function getCompanionPresence(companionIds, { now = new Date() } = {}) {
+  const rows = await loadPresence(companionIds)
+  return new Map(companionIds.map(id => [id, serializePresence(rows.get(id), now)]))
+}
+
+/**
+ * The companion's own presence, for the dashboard switch
+ * @returns {Promise<Object>} { acceptingRequests, status, label, lastSeenAt }
+ */
+export async function getOwnPresence(companionId, { now = new Date() } = {}) {
+  const row = await getDb().findOne('companion_presence', { companion_id: companionId })
+  return serializeOwnPresence(row, now)
+}
+
+/**
+ * Switch accepting requests on or off
+ * Switching on also counts as being seen.
+ * @returns {Promise<Object>} The companion's own presence
+ */
+export async function setAcceptingRequests(companionId, acceptingRequests, { now = new Date() } = {}) {
+  const row = await savePresence(companionId, {
+    accepting_requests: acceptingRequests,
+    ...(acceptingRequests && { last_seen_at: now.toISOString() })
+  })
+  return serializeOwnPresence(row, now)
+}
+
+/**
+ * Record a heartbeat from a companion page
+ * @returns {Promise<Object>} The companion's own presence
+ */
+export async function recordHeartbeat(companionId, { now = new Date() } = {}) {
+  const row = await savePresence(companionId, { last_seen_at: now.toISOString() })
+  return serializeOwnPresence(row, now)
+}
+
+/**
+ * Apply Pusher presence webhook events
+ * Only member_added and member_removed on presence-user-{id} channels of
+ * the member themselves count; deliveries older than the last one applied
+ * are skipped, since Pusher may retry them out of order.
+ * @param {Array} events - Webhook events ({ name, channel, user_id })
+ * @param {Date} time - When Pusher sent the webhook
+ * @returns {Promise<number>} How many events changed a companion's presence
+ */
+export async function applyPresenceWebhook(events, time) {
+  const db = getDb()
+  const timeIso = time.toISOString()
+  let applied = 0
+
+  for (const event of events) {
+    if (event.name !== 'member_added' && event.name !== 'member_removed') continue
+
+    const channel = parseChannelName(event.channel)
+    if (!channel || channel.type !== 'presence' || channel.scope !== 'user' || channel.id !== String(event.user_id)) {
+      continue
+    }
+
+    // Only companions have presence; everyone else may join their own channel too
+    const profile = await db.findOne('profiles', { id: channel.id })
+    if (profile?.role !== 'companion') continue
+
+    const current = await db.findOne('companion_presence', { companion_id: channel.id })
+    if (current?.connection_changed_at && new Date(current.connection_changed_at) > time) continue
+
+    await savePresence(channel.id, {
+      connected: event.name === 'member_added',
+      connection_changed_at: timeIso,
+      last_seen_at: timeIso
+    })
+    applied++
+  }
+
+  return applied
+}
+
+/**
+ * Update a companion's presence row, creating it on first use
+ */
+async function savePresence(companionId, patch) {
+  const db = getDb()
+  const [updated] = await db.update('companion_presence', { companion_id: companionId }, patch)
+  if (updated) return updated
+
+  try {
+    return await db.insert('companion_presence', { companion_id: companionId, ...patch })
+  } catch (error) {
+    // unique_violation: created by a concurrent heartbeat
+    if (error?.code !== '23505') throw error
+    const [current] = await db.update('companion_presence', { companion_id: companionId }, patch)
+    return current
+  }
+}
+
+/**
+ * Whether a presence row counts as online right now
+ */
+function isOnline(row, now) {
+  if (!row?.accepting_requests || !row.last_seen_at) return false
+  const timeoutSeconds = row.connected ? CONNECTED_TIMEOUT_SECONDS : HEARTBEAT_TIMEOUT_SECONDS
+  return now - new Date(row.last_seen_at) <= timeoutSeconds * 1000
+}
+
+/**
+ * "Active 5m ago", "Active 2h ago", "Active 3d ago"
+ */
+function formatLastSeen(lastSeenAt, now) {
+  const elapsed = Math.max(0, now - new Date(lastSeenAt))
+  if (elapsed < HOUR_MS) return `Active ${Math.max(1, Math.floor(elapsed / MINUTE_MS))}m ago`
+  if (elapsed < DAY_MS) return `Active ${Math.floor(elapsed / HOUR_MS)}h ago`
+  return `Active ${Math.floor(elapsed / DAY_MS)}d ago`
+}
+
+/**
+ * Map a presence row to what clients see
+ * @param {Object|undefined} row - companion_presence row
+ * @returns {Object} { status, label, lastSeenAt } - lastSeenAt only when recent
+ */
+export function serializePresence(row, now = new Date()) {
+  if (isOnline(row, now)) {
+    return { status: 'online', label: 'Online now', lastSeenAt: null }
+  }
+
+  const recent = row?.accepting_requests && row.last_seen_at &&
+    now - new Date(row.last_seen_at) <= RECENT_DAYS * DAY_MS
+  if (recent) {
+    return { status: 'recent', label: formatLastSeen(row.last_seen_at, now), lastSeenAt: row.last_seen_at }
+  }
+
+  return { status: 'away', label: 'Away', lastSeenAt: null }
+}
+
+/**
+ * Map a presence row for the companion themselves
+ */
+function serializeOwnPresence(row, now) {
+  return {
+    acceptingRequests: Boolean(row?.accepting_requests),
+    ...serializePresence(row, now)
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Profile Photos
+ *
+ * Photos are uploaded through /api/profile/photo, cropped to a square,
+ * re-encoded (dropping EXIF metadata such as GPS location) and moderated
+ * before they're stored in the private bucket. profiles.avatar_url points at
+ * /api/profile/photo?id=, which redirects to a fresh signed URL, so existing
+ * avatar consumers keep working without handling expiry.
+ */
+
+import crypto from 'crypto'
+import sharp from 'sharp'
+import { getStorage } from './storage'
+import { getProfile, updateProfile } from './profiles'
+import { detectMimeType } from './attachments'
+import { assessImage, recordModerationEvent, getBlockedMessage } from './moderation'
+
+export const MAX_PHOTO_BYTES = 10 * 1024 * 1024
+
+const PHOTO_SIZE = 512
+const MODERATION_IMAGE_SIZE = 512
+const MAX_IMAGE_PIXELS = 50 * 1000 * 1000
+const SIGNED_URL_SECONDS = 60 * 60
+
+/**
+ * Crop an image to the square photo and render its moderation copy
+ * @returns {Promise<Object>} { photo, moderationImage }
+ */
+async function processPhoto(buffer) {
+  const image = sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS }).rotate()
+  const [photo, moderationImage] = await Promise.all([
+    image.clone().resize(PHOTO_SIZE, PHOTO_SIZE, { fit: 'cover' }).webp({ quality: 85 }).toBuffer(),
+    image.clone()
+      .resize(MODERATION_IMAGE_SIZE, MODERATION_IMAGE_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer()
+  ])
+  return { photo, moderationImage }
+}
+
+/**
+ * Replace the user's profile photo
+ * @param {Object} user - Authenticated user
+ * @param {string} data - The image, base64-encoded
+ * @returns {Promise<Object>} { profile } or { status, message }
+ */
+export async function setProfilePhoto(user, data) {
+  const buffer = Buffer.from(String(data || ''), 'base64')
+  if (buffer.length === 0) {
+    return { status: 400, message: 'The file is empty' }
+  }
+  if (buffer.length > MAX_PHOTO_BYTES) {
+    return { status: 413, message: `Photos can be at most ${MAX_PHOTO_BYTES / 1024 / 1024} MB` }
+  }
+
+  const mimeType = detectMimeType(buffer)
+  if (!mimeType || mimeType === 'application/pdf') {
+    return { status: 415, message: 'Profile photos must be JPEG, PNG or WebP images' }
+  }
+
+  let processed
+  try {
+    processed = await processPhoto(buffer)
+  } catch (error) {
+    console.error('Profile photo processing error:', error)
+    return { status: 400, message: 'The image could not be read' }
+  }
+
+  let moderation
+  try {
+    moderation = await assessImage(processed.moderationImage, 'image/jpeg')
+  } catch (error) {
+    // Fail closed: photos are public
+    console.error('Profile photo moderation error:', error)
+    return { status: 503, message: 'Photos can\'t be checked right now, please try again shortly' }
+  }
+  if (moderation.decision === 'block') {
+    await recordModerationEvent(moderation, { contentType: 'profile_photo', userId: user.id })
+    return { status: 422, message: getBlockedMessage('profile_photo') }
+  }
+
+  const previous = await getProfile(user.id)
+  const photoId = crypto.randomUUID()
+  const storageKey = `avatars/${user.id}/${photoId}.webp`
+  const storage = getStorage()
+  await storage.put(storageKey, processed.photo, 'image/webp')
+
+  let profile
+  try {
+    profile = await updateProfile(user.id, {
+      avatar_key: storageKey,
+      // The version busts caches of the previous photo
+      avatar_url: `/api/profile/photo?id=${user.id}&v=${photoId}`
+    })
+  } catch (error) {
+    await storage.remove([storageKey])
+    throw error
+  }
+
+  await removeStoredPhoto(previous)
+  await recordModerationEvent(moderation, { contentType: 'profile_photo', contentId: storageKey, userId: user.id })
+  return { profile }
+}
+
+/**
+ * Remove the user's profile photo
+ * @returns {Promise<boolean>} Whether there was an uploaded photo
+ */
+export async function removeProfilePhoto(user) {
+  const profile = await getProfile(user.id)
+  if (!profile?.avatar_key) return false
+
+  await updateProfile(user.id, { avatar_key: null, avatar_url: null })
+  await removeStoredPhoto(profile)
+  return true
+}
+
+async function removeStoredPhoto(profile) {
+  if (!profile?.avatar_key) return
+  try {
+    await getStorage().remove([profile.avatar_key])
+  } catch (error) {
+    // Log but don't fail: the profile no longer points at the file
+    console.error(`Failed to remove profile photo ${profile.avatar_key}:`, error)
+  }
+}
+
+/**
+ * Signed URL of a user's uploaded photo
+ * @returns {Promise<Object|null>} { url, expiresIn } or null without one
+ */
+export async function getProfilePhotoUrl(profileId) {
+  const profile = await getProfile(profileId)
+  // Only ever sign the user's own uploads, whatever the column holds
+  if (!profile?.avatar_key?.startsWith(`avatars/${profile.id}/`)) return null
+
+  return {
+    url: await getStorage().getSignedUrl(profile.avatar_key, SIGNED_URL_SECONDS),
+    expiresIn: SIGNED_URL_SECONDS
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Profiles Data Access
+ * Lookups against the `profiles` table shared by API routes
+ */
+
+import { getDb } from './db'
+import {
+  CITIES,
+  DEFAULT_SERVICE_RADIUS_KM,
+  MAX_SERVICE_RADIUS_KM,
+  coarsenCoordinates,
+  parseCoordinates
+} from './geo'
+
+/**
+ * Fetch a profile by id
+ * @param {string} profileId - Profile UUID
+ * @returns {Promise<Object|null>} Profile row
+ */
+export async function getProfile(profileId) {
+  return getDb().findOne('profiles', { id: profileId })
+}
+
+/**
+ * Fetch a companion profile by id
+ * @param {string} companionId - Profile UUID
+ * @returns {Promise<Object|null>} Profile row, or null if it is not a companion
+ */
+export async function getCompanionProfile(companionId) {
+  return getDb().findOne('profiles', { id: companionId, role: 'companion' })
+}
+
+/**
+ * Update a profile
+ * @param {string} profileId - Profile UUID
+ * @param {Object} patch - Columns to update (snake_case)
+ * @returns {Promise<Object|null>} Updated row
+ */
+export async function updateProfile(profileId, patch) {
+  const [updated] = await getDb().update('profiles', { id: profileId }, patch)
+  return updated || null
+}
+
+/**
+ * Display name for a profile
+ */
+export function getDisplayName(profile, fallback = 'A user') {
+  return profile?.full_name || profile?.username || fallback
+}
+
+/**
+ * Set or clear a companion's service location
+ * Takes a city, or coordinates (e.g. from the browser) which are rounded to
+ * about 1 km before they are stored.
+ * @param {string} companionId - Profile UUID
+ * @param {Object} params - { city, lat, lng, label, radiusKm }, or null to clear
+ *   `label` is the area name shown to clients when coordinates are given
+ * @returns {Promise<Object>} { profile } or { status, message } on failure
+ */
+export async function updateServiceLocation(companionId, params) {
+  if (params === null) {
+    const profile = await updateProfile(companionId, {
+      service_lat: null,
+      service_lng: null,
+      service_radius_km: null,
+      service_city: null
+    })
+    return { profile }
+  }
+
+  const { city, lat, lng, label, radiusKm } = params
+  const radius = radiusKm === undefined || radiusKm === null || radiusKm === ''
+    ? DEFAULT_SERVICE_RADIUS_KM
+    : Number(radiusKm)
+  if (!Number.isInteger(radius) || radius < 1 || radius > MAX_SERVICE_RADIUS_KM) {
+    return { status: 400, message: `Service radius must be a whole number of km between 1 and ${MAX_SERVICE_RADIUS_KM}` }
+  }
+
+  let point
+  let areaName = typeof label === 'string' ? label.trim().substring(0, 100) || null : null
+  if (city) {
+    if (!CITIES[city]) {
+      return { status: 400, message: 'Unknown city' }
+    }
+    point = CITIES[city]
+    areaName = CITIES[city].name
+  } else {
+    point = parseCoordinates(lat, lng)
+    if (!point) {
+      return { status: 400, message: 'Provide a city, or a valid lat and lng' }
+    }
+  }
+
+  const { lat: serviceLat, lng: serviceLng } = coarsenCoordinates(point)
+  const profile = await updateProfile(companionId, {
+    service_lat: serviceLat,
+    service_lng: serviceLng,
+    service_radius_km: radius,
+    service_city: areaName
+  })
+  return { profile }
+}
+
+/**
+ * A companion's own view of their service location
+ * Other users only ever see the city label and a rounded distance.
+ */
+export function serializeServiceLocation(profile) {
+  if (profile.service_lat === null || profile.service_lat === undefined) {
+    return null
+  }
+  return {
+    lat: Number(profile.service_lat),
+    lng: Number(profile.service_lng),
+    radiusKm: profile.service_radius_km,
+    city: profile.service_city
+  }
+}
@@ -1,34 +1,115 @@
 /**
  * Pusher Helper Library
  * Utility functions for Pusher real-time messaging
+ *
+ * Who may subscribe to which channel is decided in lib/channelAuth.js;
+ * this file only signs and sends.
+ *
+ * CONFIGURATION:
+ * - PUSHER_BACKEND=local swaps Pusher for an in-process stand-in that signs
+ *   subscriptions the same way and records triggered events instead of
+ *   sending them (development and tests; no real-time delivery)
  */
 
+import crypto from 'crypto'
 import Pusher from 'pusher'
 import PusherClient from 'pusher-js'
 
 // Server-side Pusher instance
 let pusherServer = null
 
+// How many triggered events the local stand-in keeps
+const LOCAL_EVENT_LIMIT = 200
+
 /**
  * Get Pusher server instance
  * Used in API routes to send events
  */
 export function getPusherServer() {
   if (!pusherServer) {
-    pusherServer = new Pusher({
-      appId: process.env.PUSHER_APP_ID,
-      key: process.env.NEXT_PUBLIC_PUSHER_KEY,
-      secret: process.env.PUSHER_SECRET,
-      cluster: process.env.NEXT_PUBLIC_PUSHER_CLUSTER || 'us2',
-      useTLS: true
-    })
+    pusherServer = process.env.PUSHER_BACKEND === 'local'
+      ? createLocalPusher({
+          key: process.env.NEXT_PUBLIC_PUSHER_KEY || 'local',
+          secret: process.env.PUSHER_SECRET || 'local-secret'
+        })
+      : new Pusher({
+          appId: process.env.PUSHER_APP_ID,
+          key: process.env.NEXT_PUBLIC_PUSHER_KEY,
+          secret: process.env.PUSHER_SECRET,
+          cluster: process.env.NEXT_PUBLIC_PUSHER_CLUSTER || 'us2',
+          useTLS: true
+        })
   }
   return pusherServer
 }
 
+/**
+ * Swap the server instance (used by tests and local demos)
+ * @param {Object|null} server - Pusher or stand-in, or null to choose from the environment again
+ */
+export function setPusherServer(server) {
+  pusherServer = server
+}
+
+/**
+ * Local Pusher stand-in
+ * Implements the parts of the Pusher server API this app uses. Signatures
+ * follow the Pusher protocol (key:HMAC-SHA256 of socket_id:channel[:channel_data]),
+ * so anything checking them against the secret behaves as in production,
+ * and webhooks are verified the same way.
+ * Triggered events are kept in `events`, newest last.
+ * @param {Object} options - { key, secret }
+ */
+export function createLocalPusher({ key, secret }) {
+  const events = []
+
+  const sign = (value) => `${key}:${crypto.createHmac('sha256', secret).update(value).digest('hex')}`
+
+  return {
+    events,
+
+    authorizeChannel(socketId, channel, presenceData) {
+      if (!presenceData) {
+        return { auth: sign(`${socketId}:${channel}`) }
+      }
+      const channelData = JSON.stringify(presenceData)
+      return { auth: sign(`${socketId}:${channel}:${channelData}`), channel_data: channelData }
+    },
+
+    async trigger(channels, event, data) {
+      for (const channel of [].concat(channels)) {
+        events.push({ channel, event, data, at: new Date().toISOString() })
+      }
+      events.splice(0, Math.max(0, events.length - LOCAL_EVENT_LIMIT))
+      return { status: 200 }
+    },
+
+    // Same checks as Pusher's WebHook: JSON body signed with the secret
+    webhook({ headers, rawBody }) {
+      let data
+      try {
+        data = headers['content-type'] === 'application/json' ? JSON.parse(rawBody) : undefined
+      } catch (error) {
+        data = undefined
+      }
+      const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex')
+      const signature = String(headers['x-pusher-signature'] || '')
+
+      return {
+        isValid: () => data !== undefined && headers['x-pusher-key'] === key &&
+          signature.length === expected.length &&
+          crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)),
+        getEvents: () => data.events,
+        getTime: () => new Date(data.time_ms)
+      }
+    }
+  }
+}
+
 /**
  * Get Pusher client instance
- * Used in React components to subscribe to events
+ * Used in React components to subscribe to events. Private and presence
+ * subscriptions are authorized by /api/pusher/auth with the stored JWT.
  */
 export function getPusherClient() {
   if (typeof window === 'undefined') {
@@ -37,7 +118,13 @@ export function getPusherClient() {
 
   return new PusherClient(process.env.NEXT_PUBLIC_PUSHER_KEY, {
     cluster: process.env.NEXT_PUBLIC_PUSHER_CLUSTER || 'us2',
-    encrypted: true
+    encrypted: true,
+    channelAuthorization: {
+      endpoint: '/api/pusher/auth',
+      transport: 'ajax',
+      // Read on every subscription so a fresh login is picked up
+      headersProvider: () => ({ 'Authorization': `Bearer ${localStorage.getItem('token')}` })
+    }
   })
 }
 
@@ -109,6 +196,24 @@ export async function sendMessageToConversation(conversationId, message) {
   }
 }
 
+/**
+ * Send any other event to a conversation (e.g. read receipts)
+ * @param {string} conversationId - Conversation ID
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ */
+export async function sendConversationEvent(conversationId, event, data) {
+  try {
+    await triggerEvent(
+      `private-conversation-${conversationId}`,
+      event,
+      data
+    )
+  } catch (error) {
+    console.error('Failed to send conversation event:', error)
+  }
+}
+
 /**
  * Notify about booking update
  * @param {string} bookingId - Booking ID
@@ -127,29 +232,25 @@ export async function notifyBookingUpdate(bookingId, update) {
 }
 
 /**
- * Authenticate Pusher channel (for private channels)
+ * Sign a channel subscription
+ * Only call this once lib/channelAuth.js has allowed the subscription.
  * @param {string} socketId - Socket ID from Pusher
  * @param {string} channel - Channel name
- * @param {Object} user - User data
- * @returns {Object} - Authentication data
+ * @param {Object} presenceData - { user_id, user_info } for presence channels
+ * @returns {Object} - { auth, channel_data? } for the Pusher client
  */
-export function authenticateChannel(socketId, channel, user) {
-  try {
-    const pusher = getPusherServer()
-    
-    // Verify user has access to this channel
-    // For example, user can only access their own private channel
-    if (channel.startsWith('private-user-')) {
-      const channelUserId = channel.replace('private-user-', '')
-      if (channelUserId !== user.id) {
-        throw new Error('Unauthorized channel access')
-      }
-    }
+export function signChannelSubscription(socketId, channel, presenceData) {
+  return getPusherServer().authorizeChannel(socketId, channel, presenceData)
+}
 
-    const auth = pusher.authenticate(socketId, channel)
-    return auth
-  } catch (error) {
-    console.error('Pusher authentication error:', error)
-    throw error
-  }
+/**
+ * Check a Pusher webhook's signature and read its events
+ * @param {Object} headers - Request headers (lower-case keys)
+ * @param {string} rawBody - Unparsed request body
+ * @returns {Object|null} { events, time }, or null if the webhook isn't from Pusher
+ */
+export function readWebhook(headers, rawBody) {
+  const webhook = getPusherServer().webhook({ headers, rawBody })
+  if (!webhook.isValid()) return null
+  return { events: webhook.getEvents(), time: webhook.getTime() }
 }
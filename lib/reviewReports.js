@@ -0,0 +1,382 @@
+/**
+ * Review Reports and Appeals
+ *
+ * Any signed-in user other than the reviewer and reviewee can report a
+ * published review, once, with a reason.
+ * The reviewee can appeal a review of them, once, with supporting context.
+ * Either flags the review for the admin queue, where an admin hides it or
+ * restores it (keeps it up), with a note:
+ *
+ *   hide    - the review is hidden, open reports are upheld, a pending
+ *             appeal is upheld
+ *   restore - the review is shown, open reports are dismissed, a pending
+ *             appeal is rejected
+ *
+ * Hidden reviews can be restored later the same way. Reviews held back by
+ * content moderation are decided in the moderation queue instead
+ * (lib/moderation.js).
+ *
+ * The reviewer hears when their review is hidden or restored, reporters
+ * when their report is decided, and the appellant when their appeal is.
+ *
+ * SAFETY CONSIDERATIONS:
+ * - Decisions are conditional updates on the state we read, so two admins
+ *   can't decide the same review differently
+ * - Reports and appeals are only written by the API; reporters aren't shown
+ *   to the reviewer or reviewee
+ */
+
+import { getDb } from './db'
+import { getPublishedReview, serializeReview } from './reviews'
+import { getDisplayName } from './profiles'
+import { recordAuditEvent } from './auditLog'
+import { refreshCompanionScorecard } from './scorecards'
+import { sendNotification, NOTIFICATION_TYPES } from './notifications'
+
+export const REPORT_REASONS = {
+  offensive: 'Offensive or abusive',
+  false_information: 'False or misleading',
+  personal_information: 'Shares personal information',
+  spam: 'Spam or advertising',
+  conflict_of_interest: 'Not a genuine booking',
+  other: 'Other'
+}
+
+export const REVIEW_DECISIONS = ['hide', 'restore']
+
+// Queues an admin can list: reviews waiting for a decision, and hidden ones
+export const REVIEW_QUEUES = ['flagged', 'hidden']
+
+const MAX_DETAILS_LENGTH = 1000
+const MAX_CONTEXT_LENGTH = 2000
+const MAX_NOTE_LENGTH = 1000
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+
+const cleanText = (text, max) => typeof text === 'string' ? text.trim().substring(0, max) : ''
+
+/**
+ * Report a review
+ * @param {string|number} reviewId - Review id
+ * @param {Object} user - The reporter
+ * @param {Object} params - { reason, details }; details are required for 'other'
+ * @returns {Promise<Object>} { report } or { status, message }
+ */
+export async function reportReview(reviewId, user, { reason, details }) {
+  if (!REPORT_REASONS[reason]) {
+    return { status: 400, message: 'Invalid reason' }
+  }
+  const text = cleanText(details, MAX_DETAILS_LENGTH)
+  if (reason === 'other' && !text) {
+    return { status: 400, message: 'Please tell us what is wrong with this review' }
+  }
+
+  const review = await getPublishedReview(reviewId)
+  // Reviews of clients are only shown to companions
+  if (!review || (review.reviewer_role === 'companion' && user.role === 'client')) {
+    return { status: 404, message: 'Review not found' }
+  }
+  if (review.reviewer_id === user.id) {
+    return { status: 400, message: 'You cannot report your own review' }
+  }
+  if (review.reviewee_id === user.id) {
+    return { status: 400, message: 'You can appeal a review of you instead' }
+  }
+
+  const db = getDb()
+  const existing = await db.findOne('review_reports', { review_id: review.id, reporter_id: user.id })
+  if (existing) {
+    return { status: 409, message: 'You have already reported this review' }
+  }
+
+  let report
+  try {
+    report = await db.insert('review_reports', {
+      review_id: review.id,
+      reporter_id: user.id,
+      reason,
+      details: text || null,
+      status: 'open'
+    })
+  } catch (error) {
+    // unique_violation: reported twice concurrently
+    if (error?.code === '23505') {
+      return { status: 409, message: 'You have already reported this review' }
+    }
+    throw error
+  }
+
+  await flagReview(review)
+  return { report }
+}
+
+/**
+ * Appeal a review of the user
+ * @param {string|number} reviewId - Review id
+ * @param {Object} user - The reviewee
+ * @param {Object} params - { context }
+ * @returns {Promise<Object>} { appeal } or { status, message }
+ */
+export async function appealReview(reviewId, user, { context }) {
+  const text = cleanText(context, MAX_CONTEXT_LENGTH + 1)
+  if (!text) {
+    return { status: 400, message: 'Please explain why this review should be removed' }
+  }
+  if (text.length > MAX_CONTEXT_LENGTH) {
+    return { status: 400, message: `Context must be ${MAX_CONTEXT_LENGTH} characters or less` }
+  }
+
+  const review = await getPublishedReview(reviewId)
+  if (!review) {
+    return { status: 404, message: 'Review not found' }
+  }
+  if (review.reviewee_id !== user.id) {
+    return { status: 403, message: 'Only the person who was reviewed can appeal a review' }
+  }
+
+  const db = getDb()
+  const existing = await db.findOne('review_appeals', { review_id: review.id })
+  if (existing) {
+    return { status: 409, message: 'This review has already been appealed' }
+  }
+
+  let appeal
+  try {
+    appeal = await db.insert('review_appeals', {
+      review_id: review.id,
+      appellant_id: user.id,
+      context: text,
+      status: 'pending'
+    })
+  } catch (error) {
+    // unique_violation: appealed twice concurrently
+    if (error?.code === '23505') {
+      return { status: 409, message: 'This review has already been appealed' }
+    }
+    throw error
+  }
+
+  await flagReview(review)
+  return { appeal }
+}
+
+/**
+ * Put a review in the admin queue, unless it's already there
+ */
+async function flagReview(review) {
+  await getDb().update('reviews', { id: review.id, flagged: false }, {
+    flagged: true,
+    flagged_at: new Date().toISOString()
+  })
+}
+
+/**
+ * Hide or restore a review
+ * @param {string|number} reviewId - Review id
+ * @param {string} action - 'hide' or 'restore'
+ * @param {Object} admin - Authenticated admin user
+ * @param {Object} params - { note } shown to the reviewer and the appellant
+ * @returns {Promise<Object>} { review, reports, appeal } or { status, message }
+ */
+export async function decideReview(reviewId, action, admin, { note } = {}) {
+  if (!REVIEW_DECISIONS.includes(action)) {
+    return { status: 400, message: 'Invalid action' }
+  }
+
+  const trimmedNote = cleanText(note, MAX_NOTE_LENGTH)
+  if (!trimmedNote) {
+    return { status: 400, message: 'A note is required; it is shown to the people involved' }
+  }
+
+  const db = getDb()
+  const review = await db.findOne('reviews', { id: Number(reviewId) })
+  if (!review) {
+    return { status: 404, message: 'Review not found' }
+  }
+  if (review.flagged && review.hidden) {
+    return { status: 409, message: 'This review is waiting in the moderation queue' }
+  }
+
+  const hide = action === 'hide'
+  if (hide && review.hidden) {
+    return { status: 409, message: 'This review is already hidden' }
+  }
+  if (!hide && !review.hidden && !review.flagged) {
+    return { status: 409, message: 'This review is already visible' }
+  }
+
+  const now = new Date().toISOString()
+  const [updated] = await db.update('reviews', { id: review.id, hidden: review.hidden, flagged: review.flagged }, {
+    hidden: hide,
+    flagged: false,
+    flagged_at: null,
+    moderation_note: trimmedNote
+  })
+  if (!updated) {
+    return { status: 409, message: 'This review was decided by someone else. Please refresh.' }
+  }
+
+  const resolution = { resolved_by: admin.id, resolved_at: now }
+  const reports = await db.update('review_reports', { review_id: review.id, status: 'open' }, {
+    status: hide ? 'upheld' : 'dismissed',
+    ...resolution
+  })
+  const [appeal = null] = await db.update('review_appeals', { review_id: review.id, status: 'pending' }, {
+    status: hide ? 'upheld' : 'rejected',
+    note: trimmedNote,
+    ...resolution
+  })
+
+  await recordAuditEvent({
+    actor: admin,
+    action: `review.${action}`,
+    targetType: 'review',
+    targetId: review.id,
+    fromStatus: review.hidden ? 'hidden' : 'visible',
+    toStatus: hide ? 'hidden' : 'visible',
+    note: trimmedNote,
+    metadata: { reports: reports.length, ...(appeal && { appealId: appeal.id }) }
+  })
+
+  const visibilityChanged = review.hidden !== hide
+  if (visibilityChanged && review.reviewer_role === 'client') {
+    await refreshCompanionScorecard(review.reviewee_id)
+  }
+
+  if (visibilityChanged) {
+    await notify(review.reviewer_id, hide ? NOTIFICATION_TYPES.CONTENT_REMOVED : NOTIFICATION_TYPES.REVIEW_RESTORED, {
+      contentLabel: 'review',
+      note: trimmedNote
+    })
+  }
+  for (const report of reports) {
+    await notify(report.reporter_id, NOTIFICATION_TYPES.REVIEW_REPORT_RESOLVED, { hidden: hide })
+  }
+  if (appeal) {
+    await notify(appeal.appellant_id, NOTIFICATION_TYPES.REVIEW_APPEAL_RESOLVED, { upheld: hide, note: trimmedNote })
+  }
+
+  return { review: updated, reports, appeal }
+}
+
+/**
+ * Send an in-app notification about a decision
+ */
+async function notify(userId, notificationType, data) {
+  try {
+    await sendNotification(userId, notificationType, data, { inApp: true, email: false, push: false })
+  } catch (error) {
+    // Log but don't fail the decision if the notification fails
+    console.error(`Failed to send ${notificationType} to user ${userId}:`, error)
+  }
+}
+
+/**
+ * Reviews in an admin queue with their reports, appeal and reply
+ * 'flagged' is oldest first so the queue is worked in order; 'hidden' is
+ * newest first.
+ * @param {Object} filters - { queue, limit, offset }
+ * @returns {Promise<Object>} { reviews, total }; each entry is
+ *   { review, reviewer, reviewee, reply, reports, appeal }
+ */
+export async function listReviewQueue({ queue = 'flagged', limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+  const db = getDb()
+  const flagged = queue === 'flagged'
+  const { rows, total } = await db.findMany('reviews', {
+    where: flagged ? { flagged: true, hidden: false } : { hidden: true, flagged: false },
+    orderBy: flagged
+      ? { column: 'flagged_at', ascending: true }
+      : { column: 'created_at', ascending: false },
+    limit: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || DEFAULT_PAGE_SIZE)),
+    offset: Math.max(0, parseInt(offset) || 0)
+  })
+  if (rows.length === 0) {
+    return { reviews: [], total }
+  }
+
+  const reviewIds = rows.map(review => review.id)
+  const profileIds = [...new Set(rows.flatMap(review => [review.reviewer_id, review.reviewee_id]))]
+  const [{ rows: profiles }, { rows: replies }, { rows: reports }, { rows: appeals }] = await Promise.all([
+    db.findMany('profiles', { where: { id: { in: profileIds } } }),
+    db.findMany('review_replies', { where: { review_id: { in: reviewIds } } }),
+    db.findMany('review_reports', {
+      where: { review_id: { in: reviewIds } },
+      orderBy: { column: 'created_at', ascending: true }
+    }),
+    db.findMany('review_appeals', { where: { review_id: { in: reviewIds } } })
+  ])
+  const profilesById = new Map(profiles.map(profile => [profile.id, profile]))
+
+  return {
+    reviews: rows.map(review => ({
+      review,
+      reviewer: profilesById.get(review.reviewer_id) || null,
+      reviewee: profilesById.get(review.reviewee_id) || null,
+      reply: replies.find(reply => reply.review_id === review.id) || null,
+      reports: reports.filter(report => report.review_id === review.id),
+      appeal: appeals.find(appeal => appeal.review_id === review.id) || null
+    })),
+    total
+  }
+}
+
+/**
+ * Number of reviews in each admin queue
+ * @returns {Promise<Object>} queue -> count
+ */
+export async function countReviewQueues() {
+  const db = getDb()
+  const [flagged, hidden] = await Promise.all([
+    db.findMany('reviews', { where: { flagged: true, hidden: false }, limit: 1 }),
+    db.findMany('reviews', { where: { hidden: true, flagged: false }, limit: 1 })
+  ])
+  return { flagged: flagged.total, hidden: hidden.total }
+}
+
+/**
+ * Map a report row to the API response shape
+ */
+export function serializeReport(report) {
+  return {
+    id: report.id,
+    reviewId: report.review_id,
+    reporterId: report.reporter_id,
+    reason: report.reason,
+    reasonLabel: REPORT_REASONS[report.reason] || report.reason,
+    details: report.details || null,
+    status: report.status,
+    resolvedAt: report.resolved_at || null,
+    createdAt: report.created_at
+  }
+}
+
+/**
+ * Map an appeal row to the API response shape
+ */
+export function serializeAppeal(appeal) {
+  return {
+    id: appeal.id,
+    reviewId: appeal.review_id,
+    appellantId: appeal.appellant_id,
+    context: appeal.context,
+    status: appeal.status,
+    note: appeal.note || null,
+    resolvedAt: appeal.resolved_at || null,
+    createdAt: appeal.created_at
+  }
+}
+
+/**
+ * Map a queue entry to the admin queue shape
+ */
+export function serializeQueuedReview({ review, reviewer, reviewee, reply, reports, appeal }) {
+  return {
+    ...serializeReview(review, reviewer, reply),
+    revieweeName: getDisplayName(reviewee),
+    hidden: Boolean(review.hidden),
+    flaggedAt: review.flagged_at || null,
+    moderationNote: review.moderation_note || null,
+    reports: reports.map(serializeReport),
+    appeal: appeal ? serializeAppeal(appeal) : null
+  }
+}
@@ -0,0 +1,573 @@
+/**
+ * Reviews
+ *
+ * Both parties review a completed booking, once each. Reviews are blind:
+ * each is stored with published_at set to the booking's review deadline,
+ * REVIEW_WINDOW_DAYS after completion, and brought forward to the moment
+ * the second review comes in, so neither party can read the other's review
+ * before writing their own.
+ *
+ * Reviews of companions are public. Reviews of clients are only shown to
+ * companions deciding on a booking request from that client.
+ *
+ * Besides the overall rating, reviewers rate each of REVIEW_CATEGORIES.
+ * Published reviews of companions feed their scorecards (lib/scorecards.js).
+ *
+ * Companions can post one public reply to each published review of them.
+ * Reviews can be reported and appealed (lib/reviewReports.js).
+ *
+ * Review and reply text is moderated before it's stored (lib/moderation.js):
+ * harmful text is refused, borderline text is stored hidden until an admin
+ * approves it from the moderation queue.
+ */
+
+import { getDb } from './db'
+import { getBooking, getBookingForUser, isBookingParticipant } from './bookings'
+import { getProfile, getDisplayName } from './profiles'
+import { assessText, recordModerationEvent, getBlockedMessage } from './moderation'
+import { sendNotification, NOTIFICATION_TYPES } from './notifications'
+import { getCompanionScorecard, refreshCompanionScorecard } from './scorecards'
+import { getAppTimeZone } from './calendar'
+
+export const MAX_REVIEW_LENGTH = 500
+export const MAX_REPLY_LENGTH = 500
+export const REVIEW_WINDOW_DAYS = 14
+
+// Rated 1-5 alongside the overall rating, stored as `${category}_rating`.
+// 'accuracy' is whether the booking went as described.
+export const REVIEW_CATEGORIES = ['punctuality', 'communication', 'accuracy']
+
+// Parties who haven't reviewed yet are reminded this long before the deadline
+const REMINDER_LEAD_HOURS = 48
+const DEFAULT_PAGE_SIZE = 10
+const MAX_PAGE_SIZE = 100
+const REMINDER_BATCH_SIZE = 100
+
+/**
+ * Set a completed booking's review deadline if it doesn't have one yet
+ * Called on completion; bookings completed before review windows existed
+ * get theirs the first time a participant looks at their review.
+ * @returns {Promise<string>} The deadline (ISO string)
+ */
+export async function openReviewWindow(booking, { now = new Date() } = {}) {
+  if (booking.review_deadline) {
+    return new Date(booking.review_deadline).toISOString()
+  }
+
+  const deadline = new Date(now.getTime() + REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  const [updated] = await getDb().update('bookings', { id: booking.id, review_deadline: null }, {
+    review_deadline: deadline
+  })
+  if (updated) return deadline
+
+  // Opened concurrently
+  const current = await getBooking(booking.id)
+  return new Date(current.review_deadline).toISOString()
+}
+
+/**
+ * Submit the user's review of a completed booking
+ * @param {string|number} bookingId - Booking id
+ * @param {Object} user - The reviewer, a participant of the booking
+ * @param {Object} params - { rating, ratings, comment }; `ratings` has a
+ *   1-5 rating per REVIEW_CATEGORIES
+ * @returns {Promise<Object>} { review, pendingModeration, revealed } or { status, message }
+ */
+export async function submitReview(bookingId, user, { rating, ratings = {}, comment }) {
+  const booking = await getBookingForUser(bookingId, user)
+  if (!booking || !isBookingParticipant(booking, user)) {
+    return { status: 403, message: 'You are not authorized to review this booking' }
+  }
+  if (booking.status !== 'completed') {
+    return { status: 400, message: 'Reviews can only be submitted for completed bookings' }
+  }
+
+  const now = new Date()
+  const deadline = await openReviewWindow(booking, { now })
+  if (now >= new Date(deadline)) {
+    return { status: 400, message: 'The review period for this booking has ended' }
+  }
+
+  const db = getDb()
+  const existing = await db.findOne('reviews', { booking_id: booking.id, reviewer_id: user.id })
+  if (existing) {
+    return { status: 409, message: 'You have already reviewed this booking' }
+  }
+
+  const text = String(comment || '').trim()
+  const moderation = await assessText(text)
+  if (moderation.decision === 'block') {
+    await recordModerationEvent(moderation, { contentType: 'review', userId: user.id })
+    return { status: 422, message: getBlockedMessage('review') }
+  }
+  const pendingModeration = moderation.decision === 'review'
+  const isClient = booking.client_id === user.id
+
+  let review
+  try {
+    review = await db.insert('reviews', {
+      booking_id: booking.id,
+      reviewer_id: user.id,
+      reviewer_role: isClient ? 'client' : 'companion',
+      reviewee_id: isClient ? booking.companion_id : booking.client_id,
+      rating,
+      ...Object.fromEntries(REVIEW_CATEGORIES.map(category => [`${category}_rating`, ratings[category] ?? null])),
+      comment: text || null,
+      // Held back until an admin approves it
+      flagged: pendingModeration,
+      hidden: pendingModeration,
+      // Blind until the other party reviews too
+      published_at: deadline
+    })
+  } catch (error) {
+    // unique_violation: submitted twice concurrently
+    if (error?.code === '23505') {
+      return { status: 409, message: 'You have already reviewed this booking' }
+    }
+    throw error
+  }
+
+  await recordModerationEvent(moderation, { contentType: 'review', contentId: review.id, userId: user.id })
+
+  // Checked after the insert so that of two concurrent submissions at least
+  // the later one sees the other and reveals both
+  const revealed = await revealIfBothReviewed(booking, now)
+
+  // The client's review counts towards the companion's scorecard once
+  // published; until then the scorecard notes when to refresh
+  if (isClient || revealed) {
+    await refreshCompanionScorecard(booking.companion_id, { now })
+  }
+
+  return {
+    review: revealed ? { ...review, published_at: now.toISOString() } : review,
+    pendingModeration,
+    revealed
+  }
+}
+
+/**
+ * Publish both reviews of a booking once both parties have submitted
+ * @returns {Promise<boolean>} Whether both reviews are in
+ */
+async function revealIfBothReviewed(booking, now) {
+  const db = getDb()
+  const { total } = await db.findMany('reviews', { where: { booking_id: booking.id } })
+  if (total < 2) return false
+
+  const publishedAt = now.toISOString()
+  await db.update('reviews', { booking_id: booking.id, published_at: { gt: publishedAt } }, {
+    published_at: publishedAt
+  })
+  return true
+}
+
+/**
+ * A review that has been published and isn't hidden
+ * @returns {Promise<Object|null>} The review row, or null
+ */
+export async function getPublishedReview(reviewId) {
+  const review = await getDb().findOne('reviews', { id: Number(reviewId) })
+  if (!review || review.hidden || new Date(review.published_at) > new Date()) {
+    return null
+  }
+  return review
+}
+
+/**
+ * Post the companion's public reply to a review of them
+ * @param {string|number} reviewId - Review id
+ * @param {Object} user - The companion who was reviewed
+ * @param {Object} params - { body }
+ * @returns {Promise<Object>} { reply, pendingModeration } or { status, message }
+ */
+export async function submitReviewReply(reviewId, user, { body }) {
+  const review = await getPublishedReview(reviewId)
+  if (!review) {
+    return { status: 404, message: 'Review not found' }
+  }
+  if (review.reviewer_role !== 'client' || review.reviewee_id !== user.id) {
+    return { status: 403, message: 'Only the companion who was reviewed can reply' }
+  }
+
+  const text = typeof body === 'string' ? body.trim() : ''
+  if (!text) {
+    return { status: 400, message: 'Reply text is required' }
+  }
+  if (text.length > MAX_REPLY_LENGTH) {
+    return { status: 400, message: `Reply must be ${MAX_REPLY_LENGTH} characters or less` }
+  }
+
+  const db = getDb()
+  const existing = await db.findOne('review_replies', { review_id: review.id })
+  if (existing) {
+    return { status: 409, message: 'You have already replied to this review' }
+  }
+
+  const moderation = await assessText(text)
+  if (moderation.decision === 'block') {
+    await recordModerationEvent(moderation, { contentType: 'review_reply', userId: user.id })
+    return { status: 422, message: getBlockedMessage('review_reply') }
+  }
+  const pendingModeration = moderation.decision === 'review'
+
+  let reply
+  try {
+    reply = await db.insert('review_replies', {
+      review_id: review.id,
+      author_id: user.id,
+      body: text,
+      // Held back until an admin approves it
+      hidden: pendingModeration
+    })
+  } catch (error) {
+    // unique_violation: submitted twice concurrently
+    if (error?.code === '23505') {
+      return { status: 409, message: 'You have already replied to this review' }
+    }
+    throw error
+  }
+
+  await recordModerationEvent(moderation, { contentType: 'review_reply', contentId: reply.id, userId: user.id })
+
+  if (!pendingModeration) {
+    await notifyReviewReply(reply, review)
+  }
+
+  return { reply, pendingModeration }
+}
+
+/**
+ * Tell the reviewer that the companion replied to their review
+ * Called when the reply is published: on submission, or when an admin
+ * approves a held-back one.
+ */
+export async function notifyReviewReply(reply, review = null) {
+  try {
+    const db = getDb()
+    const reviewed = review || await db.findOne('reviews', { id: reply.review_id })
+    const companion = await getProfile(reply.author_id)
+    if (!reviewed || !companion) return
+
+    await sendNotification(
+      reviewed.reviewer_id,
+      NOTIFICATION_TYPES.REVIEW_REPLY,
+      { companionName: getDisplayName(companion), reply: reply.body },
+      { inApp: true, email: false, push: false }
+    )
+  } catch (error) {
+    // Log but don't fail the reply if the notification fails
+    console.error(`Failed to notify reviewer of reply ${reply.id}:`, error)
+  }
+}
+
+/**
+ * Review state of a booking for one of its participants
+ * Neither party's review is shown to the other here; see listReviewsFor.
+ * @returns {Promise<Object>} Status, or { status, message } when not allowed
+ */
+export async function getReviewStatus(bookingId, user) {
+  const booking = await getBookingForUser(bookingId, user)
+  if (!booking || !isBookingParticipant(booking, user)) {
+    return { status: 403, message: 'You are not authorized to access this booking' }
+  }
+
+  const now = new Date()
+  const deadline = booking.status === 'completed' ? await openReviewWindow(booking, { now }) : null
+  const { rows } = await getDb().findMany('reviews', { where: { booking_id: booking.id } })
+  const own = rows.find(review => review.reviewer_id === user.id) || null
+  const otherPartyReviewed = rows.some(review => review.reviewer_id !== user.id)
+
+  return {
+    bookingId: booking.id,
+    bookingStatus: booking.status,
+    reviewDeadline: deadline,
+    canReview: Boolean(deadline) && now < new Date(deadline) && !own,
+    hasReviewed: Boolean(own),
+    otherPartyReviewed,
+    // Whether the reviews are public yet: both submitted, or the deadline passed
+    revealed: Boolean(own) && new Date(own.published_at) <= now,
+    review: own ? serializeReview(own) : null
+  }
+}
+
+/**
+ * Published reviews of a user, newest first
+ * Reviews of companions are public. Reviews of clients are only returned to
+ * admins and to the companion of a pending booking request (bookingId) from
+ * that client.
+ * @param {string} userId - The reviewee
+ * @param {Object|null} viewer - The authenticated user, or null for guests
+ * @param {Object} options - { page, limit, bookingId }
+ * @returns {Promise<Object>} { reviews, stats, pagination } or { status, message }
+ *   Stats of companions are their scorecard (lib/scorecards.js). Each review
+ *   has the companion's reply and what the viewer can do with it (`actions`).
+ */
+export async function listReviewsFor(userId, viewer, { page = 1, limit = DEFAULT_PAGE_SIZE, bookingId = null } = {}) {
+  const reviewee = await getProfile(userId)
+  if (!reviewee) {
+    return { status: 404, message: 'User not found' }
+  }
+
+  const reviewerRole = reviewee.role === 'companion' ? 'client' : 'companion'
+  if (reviewerRole === 'companion' && viewer?.role !== 'admin') {
+    const booking = bookingId ? await getBooking(bookingId) : null
+    const isEvaluatingRequest = booking &&
+      booking.status === 'pending' &&
+      booking.client_id === reviewee.id &&
+      booking.companion_id === viewer?.id
+    if (!isEvaluatingRequest) {
+      return {
+        status: 403,
+        message: 'Client reviews are only shown to companions considering a booking request from that client'
+      }
+    }
+  }
+
+  const pageNum = Math.max(1, parseInt(page) || 1)
+  const limitNum = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || DEFAULT_PAGE_SIZE))
+  const db = getDb()
+  const where = {
+    reviewee_id: reviewee.id,
+    reviewer_role: reviewerRole,
+    hidden: false,
+    published_at: { lte: new Date().toISOString() }
+  }
+
+  const [{ rows, total }, stats] = await Promise.all([
+    db.findMany('reviews', {
+      where,
+      orderBy: { column: 'published_at', ascending: false },
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum
+    }),
+    reviewee.role === 'companion' ? getCompanionStats(reviewee.id) : getClientStats(where)
+  ])
+
+  const reviewerIds = [...new Set(rows.map(review => review.reviewer_id))]
+  const reviewIds = rows.map(review => review.id)
+  const isReviewee = viewer?.id === reviewee.id
+  const none = { rows: [] }
+  const [{ rows: reviewers }, { rows: replies }, { rows: reports }, { rows: appeals }] = await Promise.all([
+    reviewerIds.length > 0 ? db.findMany('profiles', { where: { id: { in: reviewerIds } } }) : none,
+    reviewIds.length > 0 ? db.findMany('review_replies', { where: { review_id: { in: reviewIds } } }) : none,
+    reviewIds.length > 0 && viewer ? db.findMany('review_reports', { where: { review_id: { in: reviewIds }, reporter_id: viewer.id } }) : none,
+    reviewIds.length > 0 && isReviewee ? db.findMany('review_appeals', { where: { review_id: { in: reviewIds } } }) : none
+  ])
+  const reviewersById = new Map(reviewers.map(profile => [profile.id, profile]))
+  const repliesByReview = new Map(replies.map(reply => [reply.review_id, reply]))
+  const reportedIds = new Set(reports.map(report => report.review_id))
+  const appealsByReview = new Map(appeals.map(appeal => [appeal.review_id, appeal]))
+
+  return {
+    reviews: rows.map(review => {
+      const reply = repliesByReview.get(review.id) || null
+      const appeal = appealsByReview.get(review.id) || null
+      return {
+        // Held-back replies are only shown to their author
+        ...serializeReview(review, reviewersById.get(review.reviewer_id), reply && (!reply.hidden || isReviewee) ? reply : null),
+        actions: {
+          canReply: isReviewee && reviewerRole === 'client' && !reply,
+          canReport: Boolean(viewer) && !isReviewee && viewer.id !== review.reviewer_id && !reportedIds.has(review.id),
+          canAppeal: isReviewee && !appeal,
+          appealStatus: appeal?.status || null
+        }
+      }
+    }),
+    stats,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  }
+}
+
+/**
+ * Review stats of a companion, from their scorecard
+ */
+async function getCompanionStats(companionId) {
+  const { rating, reviewCount, ...scorecard } = await getCompanionScorecard(companionId)
+  return {
+    averageRating: rating ?? 0,
+    totalReviews: reviewCount,
+    ...scorecard
+  }
+}
+
+/**
+ * Review stats of a client, from the reviews matching `where`
+ */
+async function getClientStats(where) {
+  const { rows } = await getDb().findMany('reviews', { where })
+  const ratingSum = rows.reduce((sum, review) => sum + Number(review.rating), 0)
+  return {
+    averageRating: rows.length > 0 ? Math.round(ratingSum / rows.length * 10) / 10 : 0,
+    totalReviews: rows.length
+  }
+}
+
+/**
+ * Remind both parties of completed bookings whose review deadline is
+ * within REMINDER_LEAD_HOURS, if they haven't reviewed yet
+ * Each booking is claimed before sending, so concurrent runs don't both
+ * remind it. The claim is released when sending fails so the next run tries
+ * again; a party whose reminder did go out may then get a second one.
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { checked, sent, failed, errors }
+ */
+export async function runReviewReminders({ now = new Date() } = {}) {
+  const db = getDb()
+  const results = { checked: 0, sent: 0, failed: 0, errors: [] }
+  const nowIso = now.toISOString()
+  const appUrl = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'
+
+  // Claimed bookings drop out of the query, so every page starts after the
+  // ones released this run, which come first. A page where nothing could be
+  // claimed would come back unchanged, so stop.
+  let released = 0
+  for (;;) {
+    const { rows: bookings } = await db.findMany('bookings', {
+      where: {
+        status: 'completed',
+        review_reminder_sent_at: null,
+        review_deadline: {
+          gt: nowIso,
+          lte: new Date(now.getTime() + REMINDER_LEAD_HOURS * 60 * 60 * 1000).toISOString()
+        }
+      },
+      orderBy: ['review_deadline', 'id'],
+      limit: REMINDER_BATCH_SIZE,
+      offset: released
+    })
+    if (bookings.length === 0) break
+
+    let claimedCount = 0
+    for (const booking of bookings) {
+      results.checked++
+
+      try {
+        const [claimed] = await db.update('bookings', { id: booking.id, review_reminder_sent_at: null }, {
+          review_reminder_sent_at: nowIso
+        })
+        if (!claimed) continue
+        claimedCount++
+
+        try {
+          results.sent += await sendReviewReminders(booking, appUrl)
+        } catch (error) {
+          await db.update('bookings', { id: booking.id, review_reminder_sent_at: nowIso }, {
+            review_reminder_sent_at: null
+          })
+          released++
+          throw error
+        }
+      } catch (error) {
+        console.error(`Review reminder failed for booking ${booking.id}:`, error)
+        results.failed++
+        results.errors.push({ bookingId: booking.id, error: error.message })
+      }
+    }
+
+    if (bookings.length < REMINDER_BATCH_SIZE || claimedCount === 0) break
+  }
+
+  return results
+}
+
+/**
+ * Remind the parties of a booking who haven't reviewed it
+ * Throws when a reminder couldn't be delivered on any channel.
+ * @returns {Promise<number>} Reminders sent
+ */
+async function sendReviewReminders(booking, appUrl) {
+  const db = getDb()
+  const [{ rows: reviews }, client, companion] = await Promise.all([
+    db.findMany('reviews', { where: { booking_id: booking.id } }),
+    getProfile(booking.client_id),
+    getProfile(booking.companion_id)
+  ])
+  const reviewerIds = new Set(reviews.map(review => review.reviewer_id))
+  const deadline = new Date(booking.review_deadline).toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    timeZone: getAppTimeZone()
+  })
+
+  const parties = [
+    { profile: client, other: companion, dashboard: 'client' },
+    { profile: companion, other: client, dashboard: 'companion' }
+  ]
+
+  let sent = 0
+  const undelivered = []
+  for (const { profile, other, dashboard } of parties) {
+    if (!profile || reviewerIds.has(profile.id)) continue
+
+    const delivery = await sendNotification(
+      profile.id,
+      NOTIFICATION_TYPES.REVIEW_REMINDER,
+      {
+        otherPartyName: getDisplayName(other),
+        otherPartyReviewed: reviewerIds.size > 0,
+        deadline,
+        reviewUrl: `${appUrl}/${dashboard}/dashboard?booking=${booking.id}&review=true`
+      },
+      {
+        inApp: true,
+        email: true,
+        push: false,
+        userEmail: profile.email || null,
+        pushToken: null
+      }
+    )
+    if (!Object.values(delivery).some(channel => channel.success)) {
+      undelivered.push(profile.id)
+      continue
+    }
+    sent++
+  }
+
+  if (undelivered.length > 0) {
+    throw new Error(`Review reminder not delivered to ${undelivered.join(', ')}`)
+  }
+  return sent
+}
+
+/**
+ * Map a review row to the API response shape
+ * @param {Object} reviewer - The reviewer's profile, for their name
+ * @param {Object} reply - The companion's reply, if it's shown
+ */
+export function serializeReview(review, reviewer = null, reply = null) {
+  return {
+    id: review.id,
+    bookingId: review.booking_id,
+    reviewerId: review.reviewer_id,
+    reviewerName: getDisplayName(reviewer),
+    reviewerRole: review.reviewer_role,
+    revieweeId: review.reviewee_id,
+    rating: review.rating,
+    // null for categories the review predates
+    ratings: Object.fromEntries(REVIEW_CATEGORIES.map(category => [category, review[`${category}_rating`] ?? null])),
+    reviewText: review.comment || '',
+    pendingModeration: Boolean(review.flagged && review.hidden),
+    reply: reply ? serializeReviewReply(reply) : null,
+    publishedAt: review.published_at,
+    createdAt: review.created_at
+  }
+}
+
+/**
+ * Map a reply row to the API response shape
+ */
+export function serializeReviewReply(reply) {
+  return {
+    id: reply.id,
+    reviewId: reply.review_id,
+    body: reply.body,
+    pendingModeration: Boolean(reply.hidden),
+    createdAt: reply.created_at
+  }
+}
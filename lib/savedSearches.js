@@ -0,0 +1,499 @@
+/**
+ * Saved Searches Helper Library
+ *
+ * Clients can save the companion search they built on their dashboard under
+ * a name and re-run it later. Saved searches with alerts on are checked by a
+ * scheduled job (/api/notifications/saved-searches), which notifies the
+ * client in-app and by email when:
+ *
+ * - a companion verified since the last check matches the search
+ * - a favorited companion drops their rate from above the search's maximum
+ *   price to at or below it (rate changes are recorded by the
+ *   profiles_record_rate_change trigger in schema.sql)
+ *
+ * Filters use the same names as the search API and CompanionFilters. Dates
+ * and times aren't saved, since they would soon be in the past. Languages
+ * are saved with the search, but not matched until profiles store them.
+ *
+ * SAFETY CONSIDERATIONS:
+ * - Each alert is recorded in `saved_search_alerts` before moving on, so a
+ *   rerun after a failure doesn't notify twice
+ * - Saved coordinates are rounded like companion service locations
+ */
+
+import { getDb } from './db'
+import { getDisplayName } from './profiles'
+import { searchCompanions, SEARCH_SORT_OPTIONS } from './companionSearch'
+import { sendNotification, NOTIFICATION_TYPES } from './notifications'
+import {
+  CITIES,
+  DEFAULT_SEARCH_RADIUS_KM,
+  MAX_SEARCH_RADIUS_KM,
+  coarsenCoordinates,
+  parseCoordinates
+} from './geo'
+
+const MAX_SAVED_SEARCHES = 20
+const MAX_NAME_LENGTH = 80
+const MAX_FILTER_TEXT_LENGTH = 200
+
+// Saved searches checked per page of the scheduled job
+const PAGE_SIZE = 100
+
+// New matches named in one alert; the rest are counted
+const MAX_NAMED_MATCHES = 3
+
+const cleanText = (text, max = MAX_FILTER_TEXT_LENGTH) =>
+  typeof text === 'string' ? text.trim().substring(0, max) : ''
+
+/**
+ * Validate and normalize the filters of a saved search
+ * @param {Object} input - { query, city, lat, lng, radius, minPrice, maxPrice, minRating, specialties, languages, sortBy }
+ * @returns {Object} { filters } or { status, message }
+ */
+export function normalizeSavedSearchFilters(input = {}) {
+  const filters = {
+    query: cleanText(input.query),
+    city: '',
+    lat: null,
+    lng: null,
+    radius: DEFAULT_SEARCH_RADIUS_KM,
+    minPrice: 0,
+    maxPrice: null,
+    minRating: 0,
+    specialties: cleanText(input.specialties),
+    languages: cleanText(input.languages),
+    sortBy: input.sortBy || 'relevance'
+  }
+
+  const hasCoordinates = (input.lat !== undefined && input.lat !== null && input.lat !== '') ||
+    (input.lng !== undefined && input.lng !== null && input.lng !== '')
+  if (hasCoordinates) {
+    const coordinates = parseCoordinates(input.lat, input.lng)
+    if (!coordinates) return { status: 400, message: 'Invalid coordinates' }
+    Object.assign(filters, coarsenCoordinates(coordinates))
+  } else if (input.city) {
+    if (!CITIES[input.city]) return { status: 400, message: 'Unknown city' }
+    filters.city = input.city
+  }
+
+  if (input.radius !== undefined && input.radius !== null && input.radius !== '') {
+    const radius = Number(input.radius)
+    if (!Number.isFinite(radius) || radius < 1 || radius > MAX_SEARCH_RADIUS_KM) {
+      return { status: 400, message: `radius must be between 1 and ${MAX_SEARCH_RADIUS_KM} km` }
+    }
+    filters.radius = radius
+  }
+
+  for (const key of ['minPrice', 'maxPrice']) {
+    if (input[key] === undefined || input[key] === null || input[key] === '') continue
+    const price = Number(input[key])
+    if (!Number.isFinite(price) || price < 0) {
+      return { status: 400, message: `${key} must be a positive number` }
+    }
+    filters[key] = price
+  }
+  if (filters.maxPrice !== null && filters.maxPrice < filters.minPrice) {
+    return { status: 400, message: 'maxPrice must not be below minPrice' }
+  }
+
+  if (input.minRating !== undefined && input.minRating !== null && input.minRating !== '') {
+    const rating = Number(input.minRating)
+    if (!Number.isFinite(rating) || rating < 0 || rating > 5) {
+      return { status: 400, message: 'minRating must be between 0 and 5' }
+    }
+    filters.minRating = rating
+  }
+
+  if (!SEARCH_SORT_OPTIONS.includes(filters.sortBy)) {
+    return { status: 400, message: 'Invalid sortBy' }
+  }
+  if (filters.sortBy === 'distance' && !filters.city && filters.lat === null) {
+    return { status: 400, message: 'Sorting by distance needs a location or city' }
+  }
+
+  return { filters }
+}
+
+/**
+ * Search parameters for searchCompanions from saved filters
+ */
+function toSearchParams(filters) {
+  let origin = null
+  if (filters.lat !== null && filters.lat !== undefined) {
+    origin = { lat: filters.lat, lng: filters.lng }
+  } else if (filters.city && CITIES[filters.city]) {
+    origin = { lat: CITIES[filters.city].lat, lng: CITIES[filters.city].lng }
+  }
+
+  return {
+    origin,
+    radiusKm: filters.radius || DEFAULT_SEARCH_RADIUS_KM,
+    query: filters.query || '',
+    minPrice: filters.minPrice || 0,
+    maxPrice: filters.maxPrice ?? null,
+    minRating: filters.minRating || 0,
+    specialties: filters.specialties || ''
+  }
+}
+
+/**
+ * List a client's saved searches, newest first
+ * @returns {Promise<Array>} Saved search rows
+ */
+export async function listSavedSearches(userId) {
+  const { rows } = await getDb().findMany('saved_searches', {
+    where: { user_id: userId },
+    orderBy: { column: 'created_at', ascending: false }
+  })
+  return rows
+}
+
+/**
+ * Fetch a saved search only if it belongs to the user
+ * @returns {Promise<Object|null>} Saved search row
+ */
+export async function getSavedSearchForUser(savedSearchId, userId) {
+  return getDb().findOne('saved_searches', { id: savedSearchId, user_id: userId })
+}
+
+/**
+ * Validate a saved search name
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateName(name) {
+  if (!name) return 'Name is required'
+  if (name.length > MAX_NAME_LENGTH) return `Name must be at most ${MAX_NAME_LENGTH} characters`
+  return null
+}
+
+/**
+ * Save a search for a client
+ * @param {string} userId - Client profile UUID
+ * @param {Object} params - { name, filters, alertsEnabled }
+ * @returns {Promise<Object>} { savedSearch } or { status, message }
+ */
+export async function createSavedSearch(userId, { name, filters, alertsEnabled = true }) {
+  const db = getDb()
+  const cleanName = cleanText(name, MAX_NAME_LENGTH + 1)
+  const nameError = validateName(cleanName)
+  if (nameError) return { status: 400, message: nameError }
+
+  const normalized = normalizeSavedSearchFilters(filters)
+  if (normalized.status) return normalized
+
+  const { total } = await db.findMany('saved_searches', { where: { user_id: userId }, limit: 1 })
+  if (total >= MAX_SAVED_SEARCHES) {
+    return { status: 409, message: `You can save up to ${MAX_SAVED_SEARCHES} searches. Delete one first.` }
+  }
+
+  if (await db.findOne('saved_searches', { user_id: userId, name: cleanName })) {
+    return { status: 409, message: 'You already have a saved search with this name' }
+  }
+
+  try {
+    const savedSearch = await db.insert('saved_searches', {
+      user_id: userId,
+      name: cleanName,
+      filters: normalized.filters,
+      alerts_enabled: Boolean(alertsEnabled),
+      last_checked_at: new Date().toISOString()
+    })
+    return { savedSearch }
+  } catch (error) {
+    // unique_violation: saved twice at once
+    if (error?.code === '23505') {
+      return { status: 409, message: 'You already have a saved search with this name' }
+    }
+    throw error
+  }
+}
+
+/**
+ * Rename a saved search, replace its filters or turn its alerts on or off
+ * @param {Object} savedSearch - Current row, already checked to belong to the user
+ * @param {Object} params - { name, filters, alertsEnabled }; omitted fields are kept
+ * @returns {Promise<Object>} { savedSearch } or { status, message }
+ */
+export async function updateSavedSearch(savedSearch, { name, filters, alertsEnabled }) {
+  const db = getDb()
+  const patch = {}
+
+  if (name !== undefined) {
+    const cleanName = cleanText(name, MAX_NAME_LENGTH + 1)
+    const nameError = validateName(cleanName)
+    if (nameError) return { status: 400, message: nameError }
+
+    const existing = await db.findOne('saved_searches', { user_id: savedSearch.user_id, name: cleanName })
+    if (existing && existing.id !== savedSearch.id) {
+      return { status: 409, message: 'You already have a saved search with this name' }
+    }
+    patch.name = cleanName
+  }
+
+  if (filters !== undefined) {
+    const normalized = normalizeSavedSearchFilters(filters)
+    if (normalized.status) return normalized
+    patch.filters = normalized.filters
+  }
+
+  if (alertsEnabled !== undefined) {
+    patch.alerts_enabled = Boolean(alertsEnabled)
+    // Turning alerts back on only covers what happens from now on
+    if (patch.alerts_enabled && !savedSearch.alerts_enabled) {
+      patch.last_checked_at = new Date().toISOString()
+    }
+  }
+
+  if (Object.keys(patch).length === 0) {
+    return { savedSearch }
+  }
+
+  try {
+    const [updated] = await db.update('saved_searches', { id: savedSearch.id }, patch)
+    return { savedSearch: updated || savedSearch }
+  } catch (error) {
+    if (error?.code === '23505') {
+      return { status: 409, message: 'You already have a saved search with this name' }
+    }
+    throw error
+  }
+}
+
+/**
+ * Delete a saved search
+ */
+export async function deleteSavedSearch(savedSearch) {
+  await getDb().remove('saved_searches', { id: savedSearch.id })
+}
+
+/**
+ * Map a saved search row to the API response shape
+ */
+export function serializeSavedSearch(savedSearch) {
+  return {
+    id: savedSearch.id,
+    name: savedSearch.name,
+    filters: savedSearch.filters || {},
+    alertsEnabled: savedSearch.alerts_enabled,
+    lastCheckedAt: savedSearch.last_checked_at,
+    createdAt: savedSearch.created_at
+  }
+}
+
+/**
+ * Check every saved search with alerts on and notify its owner of new
+ * matches and favorite price drops since it was last checked
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { checked, notified, failed, errors }
+ */
+export async function runSavedSearchAlerts({ now = new Date() } = {}) {
+  const db = getDb()
+  const results = { checked: 0, notified: 0, failed: 0, errors: [] }
+  const checkedAt = now.toISOString()
+  let offset = 0
+  let total = 0
+
+  do {
+    const page = await db.findMany('saved_searches', {
+      where: { alerts_enabled: true },
+      orderBy: 'id',
+      limit: PAGE_SIZE,
+      offset
+    })
+
+    const changes = await loadCompanionChanges(page.rows, checkedAt)
+    const owners = await loadOwners(page.rows)
+
+    for (const savedSearch of page.rows) {
+      results.checked++
+
+      try {
+        results.notified += await checkSavedSearch(savedSearch, owners.get(savedSearch.user_id), changes)
+        await db.update('saved_searches', { id: savedSearch.id }, { last_checked_at: checkedAt })
+      } catch (error) {
+        console.error(`Saved search alerts failed for saved search ${savedSearch.id}:`, error)
+        results.failed++
+        results.errors.push({ savedSearchId: savedSearch.id, error: error.message })
+      }
+    }
+
+    total = page.rows.length === 0 ? offset : page.total
+    offset += page.rows.length
+  } while (offset < total)
+
+  return results
+}
+
+/**
+ * Companions verified, and companions whose rate went down, since the
+ * earliest last check of the given saved searches
+ * @returns {Promise<Object>} { verified, priceDrops } profile rows
+ */
+async function loadCompanionChanges(savedSearches, until) {
+  if (savedSearches.length === 0) return { verified: [], priceDrops: [] }
+
+  const db = getDb()
+  const since = savedSearches
+    .map(getCheckedSince)
+    .reduce((earliest, value) => (value < earliest ? value : earliest))
+  const period = { gt: since, lte: until }
+
+  const [verified, changedRates] = await Promise.all([
+    db.findMany('profiles', {
+      where: { role: 'companion', verification_status: 'verified', verification_reviewed_at: period }
+    }),
+    db.findMany('profiles', {
+      where: { role: 'companion', verification_status: 'verified', hourly_rate_changed_at: period }
+    })
+  ])
+
+  return {
+    verified: verified.rows,
+    priceDrops: changedRates.rows.filter(profile =>
+      profile.previous_hourly_rate !== null && profile.previous_hourly_rate !== undefined &&
+      Number(profile.hourly_rate) < Number(profile.previous_hourly_rate))
+  }
+}
+
+/**
+ * Profiles of the clients who own the given saved searches
+ * @returns {Promise<Map>} userId -> profile row
+ */
+async function loadOwners(savedSearches) {
+  const userIds = [...new Set(savedSearches.map(savedSearch => savedSearch.user_id))]
+  if (userIds.length === 0) return new Map()
+
+  const { rows } = await getDb().findMany('profiles', { where: { id: { in: userIds } } })
+  return new Map(rows.map(profile => [profile.id, profile]))
+}
+
+/**
+ * Start of the period a saved search hasn't been checked for yet
+ */
+function getCheckedSince(savedSearch) {
+  return new Date(savedSearch.last_checked_at || savedSearch.created_at).toISOString()
+}
+
+/**
+ * Send the alerts due for one saved search
+ * @returns {Promise<number>} Notifications sent
+ */
+async function checkSavedSearch(savedSearch, owner, { verified, priceDrops }) {
+  if (!owner) return 0
+
+  const since = getCheckedSince(savedSearch)
+  const isNew = (timestamp) => timestamp && new Date(timestamp).toISOString() > since
+  let notified = 0
+
+  const newlyVerified = verified.filter(profile => isNew(profile.verification_reviewed_at))
+  if (newlyVerified.length > 0) {
+    const { companions } = await searchCompanions({
+      ...toSearchParams(savedSearch.filters || {}),
+      companionIds: newlyVerified.map(profile => profile.id),
+      limit: newlyVerified.length
+    })
+    const matches = await filterUnalerted(savedSearch, companions.map(companion => ({
+      companionId: companion.id,
+      name: companion.name,
+      hourlyRate: companion.hourlyRate
+    })), 'new_match')
+
+    if (matches.length > 0) {
+      await notifyNewMatches(savedSearch, owner, matches)
+      notified++
+    }
+  }
+
+  const maxPrice = savedSearch.filters?.maxPrice
+  const droppedBelowMax = maxPrice === null || maxPrice === undefined
+    ? []
+    : priceDrops.filter(profile => isNew(profile.hourly_rate_changed_at) &&
+      Number(profile.previous_hourly_rate) > maxPrice && Number(profile.hourly_rate) <= maxPrice)
+
+  if (droppedBelowMax.length > 0) {
+    const { rows: favorites } = await getDb().findMany('favorites', {
+      where: { user_id: savedSearch.user_id, companion_id: { in: droppedBelowMax.map(profile => profile.id) } }
+    })
+    const favoriteIds = new Set(favorites.map(favorite => favorite.companion_id))
+    const drops = await filterUnalerted(savedSearch, droppedBelowMax
+      .filter(profile => favoriteIds.has(profile.id))
+      .map(profile => ({
+        companionId: profile.id,
+        name: getDisplayName(profile, 'A companion'),
+        hourlyRate: profile.hourly_rate,
+        previousRate: profile.previous_hourly_rate
+      })), 'price_drop')
+
+    for (const drop of drops) {
+      await notifyPriceDrop(savedSearch, owner, drop)
+      notified++
+    }
+  }
+
+  return notified
+}
+
+/**
+ * Drop companions this saved search already alerted about, and record the
+ * alert for the rest
+ * @returns {Promise<Array>} Companions to alert about
+ */
+async function filterUnalerted(savedSearch, companions, kind) {
+  const db = getDb()
+  const pending = []
+
+  for (const companion of companions) {
+    const alert = {
+      saved_search_id: savedSearch.id,
+      companion_id: companion.companionId,
+      kind,
+      hourly_rate: companion.hourlyRate ?? 0
+    }
+    if (await db.findOne('saved_search_alerts', alert)) continue
+
+    try {
+      await db.insert('saved_search_alerts', alert)
+    } catch (error) {
+      // unique_violation: another run already alerted about it
+      if (error?.code === '23505') continue
+      throw error
+    }
+    pending.push(companion)
+  }
+  return pending
+}
+
+async function notifyNewMatches(savedSearch, owner, matches) {
+  const appUrl = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'
+  const names = matches.slice(0, MAX_NAMED_MATCHES).map(match => match.name)
+  const others = matches.length - names.length
+
+  await sendNotification(owner.id, NOTIFICATION_TYPES.SAVED_SEARCH_MATCH, {
+    searchName: savedSearch.name,
+    count: matches.length,
+    names: others > 0 ? `${names.join(', ')} and ${others} more` : names.join(', '),
+    searchUrl: `${appUrl}/client/dashboard?savedSearch=${savedSearch.id}`
+  }, {
+    inApp: true,
+    email: true,
+    userEmail: owner.email
+  })
+}
+
+async function notifyPriceDrop(savedSearch, owner, drop) {
+  const appUrl = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'
+
+  await sendNotification(owner.id, NOTIFICATION_TYPES.FAVORITE_PRICE_DROP, {
+    searchName: savedSearch.name,
+    companionName: drop.name,
+    previousRate: drop.previousRate,
+    hourlyRate: drop.hourlyRate,
+    maxPrice: savedSearch.filters.maxPrice,
+    favoritesUrl: `${appUrl}/client/favorites`
+  }, {
+    inApp: true,
+    email: true,
+    userEmail: owner.email
+  })
+}
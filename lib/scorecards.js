@@ -0,0 +1,303 @@
+/**
+ * Companion Scorecards
+ * Precomputed rating and reliability aggregates per companion, stored in
+ * `companion_scorecards` so search and profiles don't re-read every review
+ *
+ * A scorecard holds:
+ * - The average overall rating and a Bayesian-weighted one, which pulls
+ *   companions with few reviews towards PRIOR_RATING so a single 5-star
+ *   review doesn't outrank a hundred 4.9s
+ * - Average category ratings (punctuality, communication, as described)
+ * - The rating distribution (count per star)
+ * - The recent trend: reviews from the last TREND_DAYS against older ones
+ * - Response rate: booking requests accepted or declined rather than left
+ *   to expire
+ * - Completion rate: accepted bookings completed rather than cancelled by
+ *   the companion
+ *
+ * Only published reviews by clients count (see lib/reviews.js), so a blind
+ * review can't be inferred from a change in the aggregates.
+ *
+ * REFRESHING:
+ * - When a client's review is submitted, approved or hidden
+ * - When a booking request is answered, completed or cancelled
+ * - When a blind review is published at its deadline (next_refresh_at), and
+ *   once a day for the rates' rolling window, by the scheduled job
+ *   (/api/companions/scorecards)
+ */
+
+import { getDb } from './db'
+import { REVIEW_CATEGORIES } from './reviews'
+
+// Bayesian prior: a companion starts as if they had PRIOR_WEIGHT reviews of
+// PRIOR_RATING, and each real review moves them away from it
+export const PRIOR_RATING = 3.5
+const PRIOR_WEIGHT = 5
+
+// Recent reviews, compared against older ones for the trend
+const TREND_DAYS = 90
+const TREND_MIN_REVIEWS = 3
+const TREND_THRESHOLD = 0.25
+
+// Booking requests counted towards the response and completion rates
+const RATES_DAYS = 90
+
+// Scorecards older than this are refreshed by the scheduled job
+const STALE_AFTER_HOURS = 24
+const REFRESH_BATCH_SIZE = 100
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Scorecards of the given companions
+ * Missing scorecards, and ones with a review published since they were
+ * computed, are refreshed first.
+ * @returns {Promise<Map>} companionId -> serialized scorecard
+ */
+export async function getCompanionScorecards(companionIds) {
+  const scorecards = new Map()
+  if (companionIds.length === 0) return scorecards
+
+  const now = new Date()
+  const { rows } = await getDb().findMany('companion_scorecards', {
+    where: { companion_id: { in: companionIds } }
+  })
+  const byId = new Map(rows.map(row => [row.companion_id, row]))
+
+  const due = companionIds.filter(id => {
+    const row = byId.get(id)
+    return !row || (row.next_refresh_at && new Date(row.next_refresh_at) <= now)
+  })
+  const refreshed = await Promise.all(due.map(id => refreshCompanionScorecard(id, { now })))
+  refreshed.filter(Boolean).forEach(row => byId.set(row.companion_id, row))
+
+  for (const id of companionIds) {
+    scorecards.set(id, serializeScorecard(byId.get(id) || { companion_id: id }))
+  }
+  return scorecards
+}
+
+/**
+ * A single companion's scorecard
+ * @returns {Promise<Object>} Serialized scorecard
+ */
+export async function getCompanionScorecard(companionId) {
+  const scorecards = await getCompanionScorecards([companionId])
+  return scorecards.get(companionId)
+}
+
+/**
+ * Recompute and store a companion's scorecard
+ * Failures are logged rather than thrown: callers refresh after their own
+ * change is stored, and a stale scorecard is caught up by the scheduled job.
+ * @returns {Promise<Object|null>} The scorecard row, or null on failure
+ */
+export async function refreshCompanionScorecard(companionId, { now = new Date() } = {}) {
+  try {
+    const [reviews, rates] = await Promise.all([
+      loadClientReviews(companionId),
+      loadBookingRates(companionId, now)
+    ])
+    const row = {
+      companion_id: companionId,
+      ...computeRatings(reviews, now),
+      ...rates,
+      refreshed_at: now.toISOString()
+    }
+
+    const db = getDb()
+    const [updated] = await db.update('companion_scorecards', { companion_id: companionId }, row)
+    if (updated) return updated
+
+    try {
+      return await db.insert('companion_scorecards', row)
+    } catch (error) {
+      // unique_violation: created by a concurrent refresh
+      if (error?.code !== '23505') throw error
+      const [current] = await db.update('companion_scorecards', { companion_id: companionId }, row)
+      return current
+    }
+  } catch (error) {
+    console.error(`Failed to refresh scorecard for companion ${companionId}:`, error)
+    return null
+  }
+}
+
+/**
+ * Refresh scorecards with a review published since they were computed, and
+ * ones older than STALE_AFTER_HOURS
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { checked, refreshed, failed, errors }
+ */
+export async function runScorecardRefresh({ now = new Date() } = {}) {
+  const db = getDb()
+  const results = { checked: 0, refreshed: 0, failed: 0, errors: [] }
+  const nowIso = now.toISOString()
+  const staleBefore = new Date(now.getTime() - STALE_AFTER_HOURS * 60 * 60 * 1000).toISOString()
+
+  // Refreshed scorecards drop out of the query, so every batch starts at offset 0
+  for (;;) {
+    const { rows } = await db.findMany('companion_scorecards', {
+      where: {
+        or: [{ next_refresh_at: { lte: nowIso } }, { refreshed_at: { lt: staleBefore } }],
+        refreshed_at: { lt: nowIso }
+      },
+      orderBy: 'refreshed_at',
+      limit: REFRESH_BATCH_SIZE
+    })
+    if (rows.length === 0) break
+
+    for (const scorecard of rows) {
+      results.checked++
+
+      const refreshed = await refreshCompanionScorecard(scorecard.companion_id, { now })
+      if (refreshed) {
+        results.refreshed++
+      } else {
+        results.failed++
+        results.errors.push({ companionId: scorecard.companion_id, error: 'Refresh failed' })
+      }
+    }
+
+    // Failed refreshes would come back in the next batch
+    if (rows.length < REFRESH_BATCH_SIZE || results.failed > 0) break
+  }
+
+  return results
+}
+
+/**
+ * Visible reviews of a companion by their clients, published or not yet
+ */
+async function loadClientReviews(companionId) {
+  const { rows } = await getDb().findMany('reviews', {
+    where: { reviewee_id: companionId, reviewer_role: 'client', hidden: false }
+  })
+  return rows
+}
+
+/**
+ * Rating aggregates from the reviews published by `now`
+ * @returns {Object} Scorecard columns
+ */
+function computeRatings(reviews, now) {
+  const published = reviews.filter(review => new Date(review.published_at) <= now)
+  const upcoming = reviews
+    .map(review => new Date(review.published_at))
+    .filter(publishedAt => publishedAt > now)
+    .sort((a, b) => a - b)
+
+  const ratingSum = published.reduce((sum, review) => sum + Number(review.rating), 0)
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+  published.forEach(review => { distribution[review.rating] += 1 })
+
+  const categoryRatings = {}
+  for (const category of REVIEW_CATEGORIES) {
+    const values = published
+      .map(review => review[`${category}_rating`])
+      .filter(value => value !== null && value !== undefined)
+    categoryRatings[category] = values.length > 0 ? round(average(values), 2) : null
+  }
+
+  const trendSince = new Date(now.getTime() - TREND_DAYS * DAY_MS)
+  const recent = published.filter(review => new Date(review.published_at) > trendSince)
+  const earlier = published.filter(review => new Date(review.published_at) <= trendSince)
+  const recentRating = recent.length > 0 ? average(recent.map(review => Number(review.rating))) : null
+  let trend = null
+  if (recent.length >= TREND_MIN_REVIEWS && earlier.length >= TREND_MIN_REVIEWS) {
+    const change = recentRating - average(earlier.map(review => Number(review.rating)))
+    trend = change >= TREND_THRESHOLD ? 'up' : change <= -TREND_THRESHOLD ? 'down' : 'steady'
+  }
+
+  return {
+    review_count: published.length,
+    average_rating: published.length > 0 ? round(ratingSum / published.length, 2) : null,
+    weighted_rating: round((PRIOR_RATING * PRIOR_WEIGHT + ratingSum) / (PRIOR_WEIGHT + published.length), 2),
+    category_ratings: categoryRatings,
+    rating_distribution: distribution,
+    recent_rating: recentRating === null ? null : round(recentRating, 2),
+    rating_trend: trend,
+    // The next blind review to be published, when the scorecard needs refreshing
+    next_refresh_at: upcoming.length > 0 ? upcoming[0].toISOString() : null
+  }
+}
+
+/**
+ * Response and completion rates over the last RATES_DAYS
+ * @returns {Promise<Object>} Scorecard columns; a rate is null without bookings to count
+ */
+async function loadBookingRates(companionId, now) {
+  const db = getDb()
+  const since = new Date(now.getTime() - RATES_DAYS * DAY_MS).toISOString()
+  let counts
+
+  if (db.rpc) {
+    const [row] = await db.rpc('companion_booking_rates', { companion_ids: [companionId], since })
+    counts = row || {}
+  } else {
+    const { rows: bookings } = await db.findMany('bookings', {
+      where: { companion_id: companionId, created_at: { gte: since } }
+    })
+    const { rows: events } = bookings.length > 0
+      ? await db.findMany('booking_events', {
+        where: {
+          booking_id: { in: bookings.map(booking => booking.id) },
+          from_status: { in: ['pending', 'accepted'] },
+          action: { in: ['accept', 'reject', 'expire', 'complete', 'cancel'] }
+        }
+      })
+      : { rows: [] }
+
+    counts = { answered: 0, missed: 0, completed: 0, cancelled: 0 }
+    for (const event of events) {
+      if (event.from_status === 'pending') {
+        if (event.action === 'expire') counts.missed += 1
+        else if (event.action !== 'cancel' && event.action !== 'complete') counts.answered += 1
+      } else if (event.action === 'complete') {
+        counts.completed += 1
+      } else if (event.action === 'cancel' && event.actor_role === 'companion') {
+        counts.cancelled += 1
+      }
+    }
+  }
+
+  const answered = Number(counts.answered || 0)
+  const requests = answered + Number(counts.missed || 0)
+  const completed = Number(counts.completed || 0)
+  const accepted = completed + Number(counts.cancelled || 0)
+  return {
+    response_rate: requests > 0 ? round(answered / requests, 3) : null,
+    completion_rate: accepted > 0 ? round(completed / accepted, 3) : null
+  }
+}
+
+const average = (values) => values.reduce((sum, value) => sum + Number(value), 0) / values.length
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits
+
+/**
+ * Map a scorecard row to the API response shape
+ * Companions without one yet get an empty scorecard.
+ */
+export function serializeScorecard(scorecard) {
+  const number = (value) => (value === null || value === undefined ? null : Number(value))
+
+  return {
+    companionId: scorecard.companion_id,
+    reviewCount: scorecard.review_count || 0,
+    // Shown to clients, to one decimal
+    rating: scorecard.average_rating === null || scorecard.average_rating === undefined
+      ? null
+      : round(Number(scorecard.average_rating), 1),
+    // Used for ranking
+    weightedRating: number(scorecard.weighted_rating) ?? PRIOR_RATING,
+    categoryRatings: Object.fromEntries(REVIEW_CATEGORIES.map(category =>
+      [category, number(scorecard.category_ratings?.[category])])),
+    distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, ...scorecard.rating_distribution },
+    recentRating: number(scorecard.recent_rating),
+    trend: scorecard.rating_trend || null,
+    responseRate: number(scorecard.response_rate),
+    completionRate: number(scorecard.completion_rate),
+    updatedAt: scorecard.refreshed_at || null
+  }
+}
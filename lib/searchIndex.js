@@ -0,0 +1,236 @@
+/**
+ * Search Index Helper Library
+ * Query parsing, specialty synonyms and the in-process companion search index
+ *
+ * In Postgres, companion search uses the `search_vector` column and the
+ * trigram index (`search_companions` in schema.sql). This module builds
+ * the `to_tsquery` input for it, and provides an equivalent in-memory index
+ * for the in-memory adapter so both rank the same profiles alike:
+ *
+ * - Name and username weigh most, then specialties, then bio
+ * - Every query word must match, directly or through a synonym
+ *   ("dinner" finds "Fine Dining")
+ * - Misspelt words still match close vocabulary ("dinnr", "theatre")
+ *
+ * Pure functions only; relevance is always between 0 and 1.
+ */
+
+// Field weights, matching the A/B/C weights of companion_search_document
+const FIELD_WEIGHTS = {
+  name: 1,
+  specialties: 0.8,
+  bio: 0.4
+}
+
+// Score for a word matched by prefix or with a typo, relative to an exact match
+const PREFIX_MATCH_SCORE = 0.9
+const FUZZY_MATCH_SCORE = 0.7
+
+// Words shorter than this are matched exactly only
+const MIN_FUZZY_LENGTH = 4
+
+// Shorter words only get synonyms when spelt right, so "fine" doesn't
+// become "dine"
+const MIN_FUZZY_SYNONYM_LENGTH = 5
+
+// Query words beyond this are ignored
+const MAX_QUERY_WORDS = 8
+
+/**
+ * Words that mean the same thing when searching for a companion
+ * Each group is matched as a whole: searching any word finds all of them.
+ */
+export const SEARCH_SYNONYMS = [
+  ['dinner', 'dining', 'dine', 'restaurant', 'meal', 'food', 'lunch', 'brunch'],
+  ['theater', 'theatre', 'musical', 'opera', 'ballet'],
+  ['concert', 'music', 'gig', 'festival'],
+  ['cultural', 'culture', 'museum', 'gallery', 'art', 'exhibition', 'heritage'],
+  ['business', 'corporate', 'conference', 'networking', 'function'],
+  ['travel', 'trip', 'tour', 'tourism', 'vacation', 'holiday', 'sightseeing'],
+  ['party', 'parties', 'club', 'nightlife', 'clubbing'],
+  ['wedding', 'ceremony', 'reception', 'gala'],
+  ['sport', 'sports', 'fitness', 'gym', 'football', 'tennis', 'golf'],
+  ['shopping', 'shop', 'mall', 'fashion'],
+  ['beach', 'resort', 'seaside'],
+  ['movie', 'movies', 'cinema', 'film']
+]
+
+/**
+ * Reduce a word to a rough stem so "dining", "dine" and "dined" compare equal
+ * Deliberately simple; Postgres uses the full English stemmer.
+ */
+export function stem(word) {
+  const suffixes = ['ing', 'ies', 'es', 'ed', 'er', 's', 'e']
+  for (const suffix of suffixes) {
+    if (word.length - suffix.length >= 3 && word.endsWith(suffix)) {
+      const base = word.slice(0, -suffix.length)
+      return suffix === 'ies' ? `${base}y` : base
+    }
+  }
+  return word
+}
+
+/**
+ * Split text into lowercase alphanumeric words
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+}
+
+/**
+ * Edit distance between two words, giving up once it exceeds `max`
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (rowMin > max) return max + 1
+    previous = current
+  }
+  return previous[b.length]
+}
+
+/**
+ * Typos tolerated for a word of this length: one from 4 letters, two from 8
+ */
+function allowedTypos(word) {
+  if (word.length >= 8) return 2
+  if (word.length >= MIN_FUZZY_LENGTH) return 1
+  return 0
+}
+
+/**
+ * How well a query word matches a document word
+ * @returns {number} 1 for the same stem, less for a prefix or typo, 0 for no match
+ */
+function matchWord(queryWord, documentWord, { fuzzy = true } = {}) {
+  if (stem(queryWord) === stem(documentWord)) return 1
+  if (queryWord.length >= 3 && documentWord.startsWith(queryWord)) return PREFIX_MATCH_SCORE
+  if (!fuzzy) return 0
+
+  const typos = allowedTypos(queryWord)
+  if (typos > 0 && editDistance(queryWord, documentWord, typos) <= typos) return FUZZY_MATCH_SCORE
+  return 0
+}
+
+/**
+ * Synonym group containing a word, allowing for typos in it
+ */
+function findSynonyms(word) {
+  const exact = SEARCH_SYNONYMS.find(group => group.some(synonym => stem(synonym) === stem(word)))
+  if (exact) return exact
+
+  if (word.length < MIN_FUZZY_SYNONYM_LENGTH) return null
+  const typos = allowedTypos(word)
+  return SEARCH_SYNONYMS.find(group =>
+    group.some(synonym => editDistance(word, synonym, typos) <= typos)) || null
+}
+
+/**
+ * Parse a search query into the words to look for
+ * @returns {Array} One entry per query word: { word, alternatives } where
+ *   alternatives are the word itself and its synonyms
+ */
+export function parseQuery(query) {
+  return [...new Set(tokenize(query))]
+    .slice(0, MAX_QUERY_WORDS)
+    .map(word => ({
+      word,
+      alternatives: [...new Set([word, ...(findSynonyms(word) || [])])]
+    }))
+}
+
+/**
+ * Build the `to_tsquery` input for a parsed query
+ * Every word must match; any of its alternatives will do, and the last word
+ * also matches as a prefix so results update while typing. Words are
+ * alphanumeric (see tokenize), so the result is always valid tsquery syntax.
+ * @returns {string|null} e.g. "(dinner | dining | ...) & lago:*", or null if there are no words
+ */
+export function buildTsQuery(terms) {
+  if (terms.length === 0) return null
+
+  return terms
+    .map(({ alternatives }, index) => {
+      const isLast = index === terms.length - 1
+      const options = alternatives.map(word => (isLast && word === alternatives[0] ? `${word}:*` : word))
+      return options.length > 1 ? `(${options.join(' | ')})` : options[0]
+    })
+    .join(' & ')
+}
+
+/**
+ * Build an in-memory search index over companion profiles
+ * Mirrors the text match in search_companions for the in-memory adapter.
+ * @param {Array} profiles - Profile rows
+ * @returns {Object} { search(terms) -> Map id -> relevance }
+ */
+export function buildSearchIndex(profiles) {
+  const documents = profiles.map(profile => ({
+    id: profile.id,
+    fields: {
+      name: [...tokenize(profile.full_name), ...tokenize(profile.username)],
+      specialties: tokenize((profile.specialties || []).join(' ')),
+      bio: tokenize(profile.bio)
+    }
+  }))
+
+  return {
+    search(terms) {
+      const results = new Map()
+      if (terms.length === 0) return results
+
+      for (const document of documents) {
+        let total = 0
+        let matchesAll = true
+
+        for (const { alternatives } of terms) {
+          const score = scoreTerm(alternatives, document.fields)
+          if (score === 0) {
+            matchesAll = false
+            break
+          }
+          total += score
+        }
+
+        if (matchesAll) {
+          results.set(document.id, total / terms.length)
+        }
+      }
+      return results
+    }
+  }
+}
+
+/**
+ * Best weighted match of any alternative against any word of a document
+ * Synonyms score slightly below the word the client actually typed, and
+ * only the typed word is matched with typos.
+ */
+function scoreTerm(alternatives, fields) {
+  let best = 0
+  for (const [field, words] of Object.entries(fields)) {
+    for (const [index, alternative] of alternatives.entries()) {
+      const isTyped = index === 0
+      for (const word of words) {
+        const score = matchWord(alternative, word, { fuzzy: isTyped }) *
+          FIELD_WEIGHTS[field] * (isTyped ? 1 : PREFIX_MATCH_SCORE)
+        if (score > best) best = score
+      }
+    }
+  }
+  return best
+}
@@ -0,0 +1,32 @@
+/**
+ * Platform Settings
+ * Reads the single `platform_settings` row (id = 'default')
+ */
+
+import { getDb } from './db'
+
+export const DEFAULT_PLATFORM_SETTINGS = {
+  id: 'default',
+  companion_share_percent: 80,
+  platform_share_percent: 20,
+  auto_approve_companions: false,
+  booking_buffer_minutes: 30,
+  cancellation_policy: 'moderate',
+  payment_mode: 'escrow',
+  escrow_auto_complete_hours: 24,
+  payout_minimum_amount: 20,
+  payout_hold_days: 3,
+  dispute_escalation_email: null,
+  contact_detection_policy: 'mask',
+  contact_detection_block_after: 3,
+  moderation_thresholds: {}
+}
+
+/**
+ * Fetch platform settings, falling back to schema defaults if the row is missing
+ * @returns {Promise<Object>} Settings row
+ */
+export async function getPlatformSettings() {
+  const settings = await getDb().findOne('platform_settings', { id: 'default' })
+  return { ...DEFAULT_PLATFORM_SETTINGS, ...(settings || {}) }
+}
@@ -0,0 +1,162 @@
+/**
+ * File Storage Helper Library
+ * Small storage layer for user uploads (chat attachments, profile photos)
+ *
+ * Like lib/db.js, routes go through a backend with a tiny interface so the
+ * same code runs against Supabase Storage in production and the local
+ * filesystem in development and tests. Files are always private: they're
+ * only reachable through signed URLs that expire.
+ *
+ * BACKEND INTERFACE:
+ * - put(key, buffer, contentType) -> void
+ * - get(key) -> { buffer, contentType } | null
+ * - remove(keys) -> void
+ * - getSignedUrl(key, expiresInSeconds) -> URL string
+ *
+ * CONFIGURATION:
+ * - STORAGE_BACKEND=local stores files under LOCAL_STORAGE_DIR (default
+ *   .uploads) and serves them through /api/storage/file
+ * - Otherwise files go to the private Supabase bucket STORAGE_BUCKET
+ *   (default user-uploads)
+ */
+
+import crypto from 'crypto'
+import { promises as fs } from 'fs'
+import path from 'path'
+import { getSupabaseAdmin } from './supabase'
+
+let backend = null
+
+/**
+ * Get the active storage backend
+ * Chosen from STORAGE_BACKEND on first use
+ */
+export function getStorage() {
+  if (!backend) {
+    backend = process.env.STORAGE_BACKEND === 'local'
+      ? createLocalStorage(process.env.LOCAL_STORAGE_DIR || '.uploads')
+      : createSupabaseStorage(getSupabaseAdmin(), process.env.STORAGE_BUCKET || 'user-uploads')
+  }
+  return backend
+}
+
+/**
+ * Swap the active backend (used by tests and local demos)
+ * @param {Object|null} nextBackend - Backend instance, or null to choose from the environment again
+ */
+export function setStorageBackend(nextBackend) {
+  backend = nextBackend
+}
+
+/**
+ * Supabase Storage backend
+ * @param {Object} client - Supabase client created with the service role key
+ * @param {string} bucket - Private bucket name
+ */
+export function createSupabaseStorage(client, bucket) {
+  const unwrap = ({ data, error }) => {
+    if (error) throw error
+    return data
+  }
+
+  return {
+    async put(key, buffer, contentType) {
+      unwrap(await client.storage.from(bucket).upload(key, buffer, { contentType, upsert: false }))
+    },
+
+    async get(key) {
+      const { data, error } = await client.storage.from(bucket).download(key)
+      if (error) return null
+      return { buffer: Buffer.from(await data.arrayBuffer()), contentType: data.type }
+    },
+
+    async remove(keys) {
+      if (keys.length === 0) return
+      unwrap(await client.storage.from(bucket).remove(keys))
+    },
+
+    async getSignedUrl(key, expiresInSeconds) {
+      const data = unwrap(await client.storage.from(bucket).createSignedUrl(key, expiresInSeconds))
+      return data.signedUrl
+    }
+  }
+}
+
+/**
+ * Signature for a local file URL
+ * Signed with JWT_SECRET so a URL can't be forged or extended.
+ */
+function signLocalUrl(key, expires) {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET || 'development-secret')
+    .update(`${key}:${expires}`)
+    .digest('hex')
+}
+
+/**
+ * Check a local file URL's signature and expiry
+ * @returns {boolean} true if the URL is valid now
+ */
+export function verifyLocalSignedUrl(key, expires, signature) {
+  const expiresAt = Number(expires)
+  if (!key || !Number.isFinite(expiresAt) || expiresAt * 1000 < Date.now()) return false
+  if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) return false
+
+  const expected = signLocalUrl(key, expiresAt)
+  return crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(expected, 'hex'))
+}
+
+/**
+ * Local filesystem backend
+ * Content types are kept in a sidecar file next to each upload.
+ * @param {string} rootDir - Directory to store files in
+ */
+export function createLocalStorage(rootDir) {
+  const root = path.resolve(rootDir)
+
+  // Keys are generated by us, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key)
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key')
+    }
+    return filePath
+  }
+
+  return {
+    async put(key, buffer, contentType) {
+      const filePath = resolveKey(key)
+      await fs.mkdir(path.dirname(filePath), { recursive: true })
+      await fs.writeFile(filePath, buffer, { flag: 'wx' })
+      await fs.writeFile(`${filePath}.type`, contentType)
+    },
+
+    async get(key) {
+      const filePath = resolveKey(key)
+      try {
+        const [buffer, contentType] = await Promise.all([
+          fs.readFile(filePath),
+          fs.readFile(`${filePath}.type`, 'utf8')
+        ])
+        return { buffer, contentType }
+      } catch (error) {
+        if (error.code === 'ENOENT') return null
+        throw error
+      }
+    },
+
+    async remove(keys) {
+      for (const key of keys) {
+        const filePath = resolveKey(key)
+        await fs.rm(filePath, { force: true })
+        await fs.rm(`${filePath}.type`, { force: true })
+      }
+    },
+
+    async getSignedUrl(key, expiresInSeconds) {
+      const expires = Math.floor(Date.now() / 1000) + expiresInSeconds
+      const params = new URLSearchParams({ key, expires: String(expires), signature: signLocalUrl(key, expires) })
+      return `/api/storage/file?${params}`
+    }
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * Supabase Helper Library
+ * Server-side Supabase client for API routes
+ */
+
+import { createClient } from '@supabase/supabase-js'
+
+// Server-side Supabase instance (service role, bypasses RLS)
+let supabaseAdmin = null
+
+/**
+ * Get Supabase admin client
+ * Used in API routes only - never expose the service role key to the browser
+ */
+export function getSupabaseAdmin() {
+  if (!supabaseAdmin) {
+    const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL
+    const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+    if (!supabaseUrl || !serviceRoleKey) {
+      throw new Error('Supabase is not configured')
+    }
+
+    supabaseAdmin = createClient(supabaseUrl, serviceRoleKey, {
+      auth: {
+        persistSession: false,
+        autoRefreshToken: false
+      }
+    })
+  }
+  return supabaseAdmin
+}
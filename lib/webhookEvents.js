@@ -0,0 +1,237 @@
+/**
+ * Webhook Event Log Helper Library
+ *
+ * Every verified Paystack webhook is stored in `webhook_events` before it is
+ * acknowledged, then processed from there:
+ *
+ *   pending --handler ok--> processed
+ *   pending --handler throws--> failed --retry (backoff)--> processed
+ *                                  |--out of attempts--> dead --admin replay--> pending
+ *
+ * IDEMPOTENCY:
+ * - Events are keyed on the event type plus Paystack's id (or reference), so a
+ *   redelivered event is recognised and never processed twice
+ * - Moving an event into `processing` is a conditional update on the state
+ *   we read, so the webhook, the retry job and a replay can't run it at once
+ *
+ * RETRIES:
+ * - Failed events are retried by POST /api/paystack/webhook-retries (cron)
+ *   after RETRY_DELAYS_MINUTES; after the last delay they go to the dead-letter list
+ * - Events stuck in pending/processing (the function was stopped after
+ *   acknowledging) are picked up by the same job
+ */
+
+import crypto from 'crypto'
+import { getDb } from './db'
+import { handlePaystackEvent } from './paystackEvents'
+
+export const WEBHOOK_EVENT_STATUSES = ['pending', 'processing', 'processed', 'failed', 'dead']
+
+// Wait before each retry; an event fails for good after the last one
+export const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 360]
+
+// An event in pending/processing this long was abandoned mid-flight
+const STALE_AFTER_MINUTES = 10
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString()
+
+/**
+ * Build the idempotency key for an event
+ * Falls back to a hash of the body when Paystack sends no id or reference.
+ * @param {Object} event - Parsed webhook payload
+ * @param {string} rawBody - Raw request body
+ */
+export function getWebhookEventKey(event, rawBody) {
+  const data = event.data || {}
+  const id = data.id ?? data.reference ?? data.transaction_reference
+  if (id !== undefined && id !== null && id !== '') {
+    return `${event.event}:${id}`
+  }
+  return `${event.event}:${crypto.createHash('sha256').update(rawBody).digest('hex')}`
+}
+
+/**
+ * Store a verified webhook event
+ * @param {Object} event - Parsed webhook payload
+ * @param {string} rawBody - Raw request body
+ * @returns {Promise<Object>} { event, duplicate } - the stored row, and whether it was seen before
+ */
+export async function recordWebhookEvent(event, rawBody) {
+  const db = getDb()
+  const eventKey = getWebhookEventKey(event, rawBody)
+
+  const existing = await db.findOne('webhook_events', { event_key: eventKey })
+  if (existing) {
+    return { event: existing, duplicate: true }
+  }
+
+  try {
+    const stored = await db.insert('webhook_events', {
+      event_key: eventKey,
+      event_type: event.event,
+      reference: event.data?.reference || event.data?.transaction_reference || null,
+      payload: event,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString()
+    })
+    return { event: stored, duplicate: false }
+  } catch (error) {
+    // Delivered twice at the same moment - the other request stored it
+    if (error.code === '23505') {
+      return { event: await db.findOne('webhook_events', { event_key: eventKey }), duplicate: true }
+    }
+    throw error
+  }
+}
+
+/**
+ * Process a stored event, recording the outcome
+ * Never throws for handler failures - they are scheduled for retry instead.
+ * @param {Object} stored - webhook_events row
+ * @returns {Promise<Object>} { processed, status, error }
+ */
+export async function processWebhookEvent(stored) {
+  const db = getDb()
+
+  // Claim the event in the state we read it in
+  const [claimed] = await db.update('webhook_events', {
+    id: stored.id,
+    status: stored.status,
+    ...(stored.status === 'processing' && { locked_at: stored.locked_at })
+  }, {
+    status: 'processing',
+    locked_at: new Date().toISOString()
+  })
+
+  if (!claimed) {
+    return { processed: false, status: 'busy', error: null }
+  }
+
+  const attempts = (claimed.attempts || 0) + 1
+
+  try {
+    await handlePaystackEvent(claimed.payload)
+
+    await db.update('webhook_events', { id: claimed.id }, {
+      status: 'processed',
+      attempts,
+      processed_at: new Date().toISOString(),
+      locked_at: null,
+      last_error: null
+    })
+    return { processed: true, status: 'processed', error: null }
+  } catch (error) {
+    const delay = RETRY_DELAYS_MINUTES[attempts - 1]
+    const status = delay === undefined ? 'dead' : 'failed'
+
+    console.error(`Webhook event ${claimed.event_key} failed (attempt ${attempts}):`, error)
+
+    await db.update('webhook_events', { id: claimed.id }, {
+      status,
+      attempts,
+      next_attempt_at: delay === undefined ? null : minutesFromNow(delay),
+      locked_at: null,
+      last_error: error.message || String(error)
+    })
+    return { processed: false, status, error: error.message }
+  }
+}
+
+/**
+ * List events the retry job should process now
+ * @param {number} limit - Batch size
+ */
+export async function listRetryableWebhookEvents(limit = 25) {
+  const db = getDb()
+  const now = new Date().toISOString()
+  const staleBefore = minutesFromNow(-STALE_AFTER_MINUTES)
+
+  const [{ rows: failed }, { rows: abandoned }, { rows: stuck }] = await Promise.all([
+    db.findMany('webhook_events', {
+      where: { status: 'failed', next_attempt_at: { lte: now } },
+      orderBy: 'next_attempt_at',
+      limit
+    }),
+    db.findMany('webhook_events', {
+      where: { status: 'pending', created_at: { lte: staleBefore } },
+      orderBy: 'created_at',
+      limit
+    }),
+    db.findMany('webhook_events', {
+      where: { status: 'processing', locked_at: { lte: staleBefore } },
+      orderBy: 'locked_at',
+      limit
+    })
+  ])
+
+  return [...failed, ...abandoned, ...stuck].slice(0, limit)
+}
+
+/**
+ * List stored events, newest first (dead-letter list by default)
+ * @param {Object} filters - { status, eventType, limit, offset }
+ * @returns {Promise<Object>} { events, total }
+ */
+export async function listWebhookEvents({ status = 'dead', eventType, limit = 50, offset = 0 } = {}) {
+  const { rows, total } = await getDb().findMany('webhook_events', {
+    where: {
+      ...(status && { status }),
+      ...(eventType && { event_type: eventType })
+    },
+    orderBy: { column: 'created_at', ascending: false },
+    limit,
+    offset
+  })
+  return { events: rows, total }
+}
+
+/**
+ * Manually replay a failed or dead event
+ * @param {number|string} eventId - webhook_events id
+ * @returns {Promise<Object>} { event, result } or { status, message } on failure
+ */
+export async function replayWebhookEvent(eventId) {
+  const db = getDb()
+  const stored = await db.findOne('webhook_events', { id: eventId })
+
+  if (!stored) {
+    return { status: 404, message: 'Webhook event not found' }
+  }
+
+  if (!['failed', 'dead'].includes(stored.status)) {
+    return { status: 409, message: `Cannot replay an event that is ${stored.status}` }
+  }
+
+  // Back to pending with a fresh set of retries
+  const [reset] = await db.update('webhook_events', { id: stored.id, status: stored.status }, {
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: new Date().toISOString()
+  })
+  if (!reset) {
+    return { status: 409, message: 'Webhook event was updated by someone else. Please refresh and try again.' }
+  }
+
+  const result = await processWebhookEvent(reset)
+  return { event: await db.findOne('webhook_events', { id: stored.id }), result }
+}
+
+/**
+ * Map a webhook event to the API response shape
+ */
+export function serializeWebhookEvent(stored) {
+  return {
+    id: stored.id,
+    eventKey: stored.event_key,
+    eventType: stored.event_type,
+    reference: stored.reference,
+    status: stored.status,
+    attempts: stored.attempts,
+    lastError: stored.last_error,
+    nextAttemptAt: stored.next_attempt_at,
+    processedAt: stored.processed_at,
+    createdAt: stored.created_at,
+    payload: stored.payload
+  }
+}
@@ -0,0 +1,395 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useRouter } from 'next/router'
+import { motion } from 'framer-motion'
+import { ShieldCheck, Scale, FileText, Loader } from 'lucide-react'
+import Link from 'next/link'
+
+const STATUS_TABS = [
+  { key: 'open', label: 'Open' },
+  { key: 'in_review', label: 'In Review' },
+  { key: 'escalated', label: 'Escalated' },
+  { key: 'resolved', label: 'Resolved' }
+]
+
+const STATUS_LABELS = {
+  open: 'Open',
+  in_review: 'In Review',
+  escalated: 'Escalated',
+  resolved: 'Resolved'
+}
+
+const STATUS_ACTIONS = {
+  in_review: 'Start Review',
+  escalated: 'Escalate'
+}
+
+const OUTCOME_OPTIONS = [
+  { key: 'full_refund', label: 'Full refund' },
+  { key: 'partial_refund', label: 'Partial refund' },
+  { key: 'release_to_companion', label: 'Release to companion' }
+]
+
+const formatDate = (value) => value ? new Date(value).toLocaleString() : '-'
+
+async function request(url, method = 'GET', body) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  })
+
+  const result = await response.json()
+  if (!response.ok) {
+    throw new Error(result.message || 'Request failed')
+  }
+  return result
+}
+
+export default function AdminDisputes() {
+  const router = useRouter()
+  const [status, setStatus] = useState('open')
+  const [disputes, setDisputes] = useState([])
+  const [selected, setSelected] = useState(null)
+  const [note, setNote] = useState('')
+  const [outcome, setOutcome] = useState('full_refund')
+  const [refundAmount, setRefundAmount] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState('')
+
+  const fetchDisputes = useCallback(async () => {
+    setIsLoading(true)
+    try {
+      const data = await request(`/api/disputes?status=${status}`)
+      setDisputes(data.disputes)
+      setError('')
+    } catch (err) {
+      console.error('Error fetching disputes:', err)
+      setError(err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [status])
+
+  useEffect(() => {
+    fetchDisputes()
+  }, [fetchDisputes])
+
+  const handleSelect = useCallback(async (disputeId) => {
+    setNote('')
+    setRefundAmount('')
+
+    try {
+      const data = await request(`/api/disputes/${disputeId}`)
+      setSelected(data.dispute)
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [])
+
+  // Escalation emails link straight to a dispute
+  useEffect(() => {
+    if (router.query.dispute) {
+      handleSelect(router.query.dispute)
+    }
+  }, [router.query.dispute, handleSelect])
+
+  const submit = async (method, body) => {
+    setIsSubmitting(true)
+    try {
+      const data = await request(`/api/disputes/${selected.id}`, method, body)
+      if (data.payment?.error) {
+        alert(data.message)
+      }
+      setSelected(data.dispute)
+      setNote('')
+      setError('')
+      await fetchDisputes()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleAddNote = () => {
+    if (!note.trim()) {
+      setError('Write a note first')
+      return
+    }
+    submit('POST', { body: note })
+  }
+
+  const handleResolve = () => {
+    if (!confirm('Resolve this dispute? The booking\'s payment will be settled and this can\'t be undone.')) {
+      return
+    }
+    submit('PUT', {
+      status: 'resolved',
+      outcome,
+      resolution: note,
+      ...(outcome === 'partial_refund' && { refundAmount: Number(refundAmount) })
+    })
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-gray-800 shadow-sm">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex justify-between items-center">
+            <Link href="/" className="text-2xl font-bold bg-gradient-to-r from-pink-500 to-purple-600 bg-clip-text text-transparent">
+              fliQ
+            </Link>
+            <div className="flex items-center space-x-6">
+              <Link href="/admin" className="text-gray-700 dark:text-gray-300 hover:text-pink-600">
+                Companions
+              </Link>
+              <Link href="/admin/moderation" className="text-gray-700 dark:text-gray-300 hover:text-pink-600">
+                Moderation
+              </Link>
+              <Link href="/admin/reviews" className="text-gray-700 dark:text-gray-300 hover:text-pink-600">
+                Reviews
+              </Link>
+              <span className="flex items-center text-gray-700 dark:text-gray-300">
+                <ShieldCheck className="w-5 h-5 mr-2 text-pink-600" />
+                Admin Console
+              </span>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8"
+        >
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+            Disputes
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Review statements and evidence, then resolve with a refund or a payout. Payouts for a disputed booking stay frozen until it is resolved.
+          </p>
+        </motion.div>
+
+        {/* Status Tabs */}
+        <div className="flex flex-wrap gap-2 mb-6">
+          {STATUS_TABS.map(tab => (
+            <button
+              key={tab.key}
+              onClick={() => {
+                setStatus(tab.key)
+                setSelected(null)
+              }}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                status === tab.key
+                  ? 'bg-gradient-to-r from-pink-500 to-purple-600 text-white'
+                  : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400 rounded-lg text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Dispute List */}
+          <div className="space-y-3">
+            {isLoading ? (
+              <div className="flex justify-center py-12">
+                <Loader className="w-8 h-8 text-pink-600 animate-spin" />
+              </div>
+            ) : disputes.length > 0 ? (
+              disputes.map(dispute => (
+                <button
+                  key={dispute.id}
+                  onClick={() => handleSelect(dispute.id)}
+                  className={`w-full text-left bg-white dark:bg-gray-800 rounded-lg shadow-md p-4 transition-shadow hover:shadow-lg ${
+                    selected?.id === dispute.id ? 'ring-2 ring-pink-500' : ''
+                  }`}
+                >
+                  <div className="font-semibold text-gray-900 dark:text-white">{dispute.summary}</div>
+                  <div className="text-sm text-gray-600 dark:text-gray-400">{dispute.reasonLabel}</div>
+                  <div className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    Opened {formatDate(dispute.createdAt)}
+                  </div>
+                </button>
+              ))
+            ) : (
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-8 text-center text-gray-600 dark:text-gray-400">
+                No disputes here
+              </div>
+            )}
+          </div>
+
+          {/* Review Panel */}
+          <div className="lg:col-span-2">
+            {selected ? (
+              <motion.div
+                key={selected.id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6 space-y-6"
+              >
+                <div className="flex justify-between items-start">
+                  <div>
+                    <h2 className="text-2xl font-bold text-gray-900 dark:text-white">{selected.summary}</h2>
+                    <p className="text-sm text-gray-600 dark:text-gray-400">
+                      {selected.reasonLabel} · booking #{selected.bookingId} · opened by the{' '}
+                      {selected.openedBy === selected.clientId ? 'client' : 'companion'}
+                    </p>
+                  </div>
+                  <span className="px-3 py-1 bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200 text-sm rounded-full">
+                    {STATUS_LABELS[selected.status]}
+                  </span>
+                </div>
+
+                {selected.details && (
+                  <p className="text-gray-700 dark:text-gray-300 whitespace-pre-line">{selected.details}</p>
+                )}
+
+                {selected.evidence.length > 0 && (
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Evidence</h3>
+                    <ul className="space-y-2">
+                      {selected.evidence.map((item, index) => (
+                        <li key={index}>
+                          <a
+                            href={item.url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="flex items-center text-pink-600 hover:text-pink-700"
+                          >
+                            <FileText className="w-4 h-4 mr-2" />
+                            {item.name || item.url}
+                            {' '}({item.submittedBy === selected.clientId ? 'client' : item.submittedBy === selected.companionId ? 'companion' : 'admin'})
+                          </a>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Timeline</h3>
+                  <ul className="space-y-3 text-sm">
+                    {selected.notes.map((entry, index) => (
+                      <li key={index} className="text-gray-700 dark:text-gray-300">
+                        <span className="text-gray-500 dark:text-gray-400">
+                          {formatDate(entry.createdAt)} - <span className="capitalize">{entry.authorRole}</span>
+                        </span>
+                        {entry.type === 'status' && (
+                          <span className="font-medium"> → {STATUS_LABELS[entry.status]}</span>
+                        )}
+                        {entry.body && <p className="mt-1 whitespace-pre-line">{entry.body}</p>}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+
+                {selected.status === 'resolved' ? (
+                  <div className="p-3 bg-green-50 dark:bg-green-900/20 rounded-lg text-sm text-gray-700 dark:text-gray-300">
+                    <strong>{OUTCOME_OPTIONS.find(option => option.key === selected.outcome)?.label}</strong>
+                    {selected.refundAmount !== null && ` ($${selected.refundAmount.toFixed(2)})`}
+                    {' '}on {formatDate(selected.resolvedAt)}
+                    {selected.outcomeStatus === 'failed' && (
+                      <div className="mt-2 flex flex-wrap items-center gap-3">
+                        <span className="text-red-600 dark:text-red-400">
+                          The payment could not be settled{selected.outcomeError && `: ${selected.outcomeError}`}
+                        </span>
+                        <button
+                          onClick={() => submit('PUT', { action: 'retry_outcome' })}
+                          disabled={isSubmitting}
+                          className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Retry Payment
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ) : (
+                  <div className="space-y-3">
+                    <textarea
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      rows={3}
+                      maxLength={5000}
+                      placeholder="Note for both parties, or the resolution when resolving"
+                      className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    />
+                    <div className="flex flex-wrap gap-3">
+                      <button
+                        onClick={handleAddNote}
+                        disabled={isSubmitting}
+                        className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Add Note
+                      </button>
+                      {selected.availableStatuses.map(nextStatus => (
+                        <button
+                          key={nextStatus}
+                          onClick={() => submit('PUT', { status: nextStatus, note })}
+                          disabled={isSubmitting}
+                          className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          {STATUS_ACTIONS[nextStatus]}
+                        </button>
+                      ))}
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-3 pt-3 border-t border-gray-200 dark:border-gray-700">
+                      <select
+                        value={outcome}
+                        onChange={(e) => setOutcome(e.target.value)}
+                        className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+                      >
+                        {OUTCOME_OPTIONS.map(option => (
+                          <option key={option.key} value={option.key}>{option.label}</option>
+                        ))}
+                      </select>
+                      {outcome === 'partial_refund' && (
+                        <input
+                          type="number"
+                          min="0.01"
+                          step="0.01"
+                          value={refundAmount}
+                          onChange={(e) => setRefundAmount(e.target.value)}
+                          placeholder="Refund amount"
+                          className="w-36 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+                        />
+                      )}
+                      <button
+                        onClick={handleResolve}
+                        disabled={isSubmitting || (outcome === 'partial_refund' && !refundAmount)}
+                        className="flex items-center px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <Scale className="w-4 h-4 mr-2" />
+                        Resolve
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </motion.div>
+            ) : (
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-8 text-center">
+                <Scale className="w-16 h-16 mx-auto text-gray-400 mb-4" />
+                <p className="text-gray-600 dark:text-gray-400">Select a dispute to review</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,321 @@
+import { useState, useEffect, useCallback } from 'react'
+import { motion } from 'framer-motion'
+import { ShieldCheck, FileText, CheckCircle, XCircle, Ban, Loader } from 'lucide-react'
+import Link from 'next/link'
+
+const STATUS_TABS = [
+  { key: 'pending', label: 'Pending Review' },
+  { key: 'verified', label: 'Verified' },
+  { key: 'rejected', label: 'Rejected' },
+  { key: 'suspended', label: 'Suspended' }
+]
+
+const ACTION_BUTTONS = {
+  approve: { label: 'Approve', icon: CheckCircle, className: 'bg-green-600 hover:bg-green-700 text-white' },
+  reject: { label: 'Reject', icon: XCircle, className: 'border border-red-300 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20' },
+  suspend: { label: 'Suspend', icon: Ban, className: 'border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700' }
+}
+
+const DOCUMENT_LABELS = {
+  government_id: 'Government ID',
+  selfie: 'Selfie',
+  proof_of_address: 'Proof of Address',
+  other: 'Other'
+}
+
+const formatDate = (value) => value ? new Date(value).toLocaleString() : '-'
+
+async function request(url, method = 'GET', body) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  })
+
+  const result = await response.json()
+  if (!response.ok) {
+    throw new Error(result.message || 'Request failed')
+  }
+  return result
+}
+
+export default function AdminConsole() {
+  const [status, setStatus] = useState('pending')
+  const [companions, setCompanions] = useState([])
+  const [counts, setCounts] = useState({})
+  const [autoApprove, setAutoApprove] = useState(false)
+  const [selected, setSelected] = useState(null)
+  const [history, setHistory] = useState([])
+  const [note, setNote] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState('')
+
+  const fetchCompanions = useCallback(async () => {
+    setIsLoading(true)
+    try {
+      const data = await request(`/api/admin/companions?status=${status}`)
+      setCompanions(data.companions)
+      setCounts(data.counts)
+      setAutoApprove(data.autoApprove)
+      setError('')
+    } catch (err) {
+      console.error('Error fetching companions:', err)
+      setError(err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [status])
+
+  useEffect(() => {
+    fetchCompanions()
+  }, [fetchCompanions])
+
+  const handleSelect = async (companion) => {
+    setSelected(companion)
+    setHistory([])
+    setNote('')
+
+    try {
+      const data = await request(`/api/admin/companions/${companion.id}`)
+      setSelected(data.companion)
+      setHistory(data.history)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleDecision = async (action) => {
+    if (action !== 'approve' && !note.trim()) {
+      setError(`Add a note explaining why you ${action} this companion. They will see it.`)
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      await request(`/api/admin/companions/${selected.id}`, 'POST', { action, note })
+      setSelected(null)
+      setNote('')
+      setError('')
+      await fetchCompanions()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-gray-800 shadow-sm">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex justify-between items-center">
+            <Link href="/" className="text-2xl font-bold bg-gradient-to-r from-pink-500 to-purple-600 bg-clip-text text-transparent">
+              fliQ
+            </Link>
+            <div className="flex items-center space-x-6">
+              <Link href="/admin/disputes" className="text-gray-700 dark:text-gray-300 hover:text-pink-600">
+                Disputes
+              </Link>
+              <Link href="/admin/moderation" className="text-gray-700 dark:text-gray-300 hover:text-pink-600">
+                Moderation
+              </Link>
+              <Link href="/admin/reviews" className="text-gray-700 dark:text-gray-300 hover:text-pink-600">
+                Reviews
+              </Link>
+              <span className="flex items-center text-gray-700 dark:text-gray-300">
+                <ShieldCheck className="w-5 h-5 mr-2 text-pink-600" />
+                Admin Console
+              </span>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8"
+        >
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+            Companion Verification
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Review documents and approve, reject or suspend companions.
+            {autoApprove && ' Auto-approval is on: new submissions are verified without review.'}
+          </p>
+        </motion.div>
+
+        {/* Status Tabs */}
+        <div className="flex flex-wrap gap-2 mb-6">
+          {STATUS_TABS.map(tab => (
+            <button
+              key={tab.key}
+              onClick={() => {
+                setStatus(tab.key)
+                setSelected(null)
+              }}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                status === tab.key
+                  ? 'bg-gradient-to-r from-pink-500 to-purple-600 text-white'
+                  : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+              }`}
+            >
+              {tab.label} ({counts[tab.key] ?? 0})
+            </button>
+          ))}
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400 rounded-lg text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Companion List */}
+          <div className="space-y-3">
+            {isLoading ? (
+              <div className="flex justify-center py-12">
+                <Loader className="w-8 h-8 text-pink-600 animate-spin" />
+              </div>
+            ) : companions.length > 0 ? (
+              companions.map(companion => (
+                <button
+                  key={companion.id}
+                  onClick={() => handleSelect(companion)}
+                  className={`w-full text-left bg-white dark:bg-gray-800 rounded-lg shadow-md p-4 transition-shadow hover:shadow-lg ${
+                    selected?.id === companion.id ? 'ring-2 ring-pink-500' : ''
+                  }`}
+                >
+                  <div className="font-semibold text-gray-900 dark:text-white">{companion.name}</div>
+                  <div className="text-sm text-gray-600 dark:text-gray-400">{companion.email}</div>
+                  <div className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    {companion.documents.length} document{companion.documents.length === 1 ? '' : 's'}
+                    {' · '}submitted {formatDate(companion.documentsSubmittedAt)}
+                  </div>
+                </button>
+              ))
+            ) : (
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-8 text-center text-gray-600 dark:text-gray-400">
+                No companions here
+              </div>
+            )}
+          </div>
+
+          {/* Review Panel */}
+          <div className="lg:col-span-2">
+            {selected ? (
+              <motion.div
+                key={selected.id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6 space-y-6"
+              >
+                <div className="flex justify-between items-start">
+                  <div>
+                    <h2 className="text-2xl font-bold text-gray-900 dark:text-white">{selected.name}</h2>
+                    <p className="text-sm text-gray-600 dark:text-gray-400">
+                      @{selected.username} · joined {formatDate(selected.createdAt)}
+                    </p>
+                  </div>
+                  <span className="px-3 py-1 bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200 text-sm rounded-full capitalize">
+                    {selected.verificationStatus}
+                  </span>
+                </div>
+
+                {selected.bio && (
+                  <p className="text-gray-700 dark:text-gray-300">{selected.bio}</p>
+                )}
+
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Documents</h3>
+                  {selected.documents.length > 0 ? (
+                    <ul className="space-y-2">
+                      {selected.documents.map((document, index) => (
+                        <li key={index}>
+                          <a
+                            href={document.url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="flex items-center text-pink-600 hover:text-pink-700"
+                          >
+                            <FileText className="w-4 h-4 mr-2" />
+                            {DOCUMENT_LABELS[document.type] || document.type}
+                            {document.name && ` - ${document.name}`}
+                          </a>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="text-sm text-gray-600 dark:text-gray-400">No documents submitted yet</p>
+                  )}
+                </div>
+
+                {selected.adminNote && (
+                  <div className="p-3 bg-yellow-50 dark:bg-yellow-900/20 rounded-lg text-sm text-gray-700 dark:text-gray-300">
+                    <strong>Last note:</strong> {selected.adminNote}
+                  </div>
+                )}
+
+                {selected.availableActions.length > 0 && (
+                  <div className="space-y-3">
+                    <textarea
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      rows={3}
+                      maxLength={1000}
+                      placeholder="Note for the companion (required to reject or suspend)"
+                      className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    />
+                    <div className="flex space-x-3">
+                      {selected.availableActions.map(action => {
+                        const { label, icon: Icon, className } = ACTION_BUTTONS[action]
+                        return (
+                          <button
+                            key={action}
+                            onClick={() => handleDecision(action)}
+                            disabled={isSubmitting}
+                            className={`flex items-center px-4 py-2 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${className}`}
+                          >
+                            <Icon className="w-4 h-4 mr-2" />
+                            {label}
+                          </button>
+                        )
+                      })}
+                    </div>
+                  </div>
+                )}
+
+                {history.length > 0 && (
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">History</h3>
+                    <ul className="space-y-2 text-sm text-gray-600 dark:text-gray-400">
+                      {history.map(entry => (
+                        <li key={entry.id}>
+                          {formatDate(entry.createdAt)} - {entry.actorRole === 'system' ? 'System' : 'Admin'}:{' '}
+                          {entry.fromStatus} → {entry.toStatus}
+                          {entry.note && ` ("${entry.note}")`}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </motion.div>
+            ) : (
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-8 text-center">
+                <ShieldCheck className="w-16 h-16 mx-auto text-gray-400 mb-4" />
+                <p className="text-gray-600 dark:text-gray-400">Select a companion to review</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
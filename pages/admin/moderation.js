@@ -0,0 +1,320 @@
+import { useState, useEffect, useCallback } from 'react'
+import { motion } from 'framer-motion'
+import { ShieldCheck, ShieldAlert, CheckCircle, EyeOff, Loader } from 'lucide-react'
+import Link from 'next/link'
+
+const STATUS_TABS = [
+  { key: 'pending', label: 'Needs Review' },
+  { key: 'hidden', label: 'Hidden' },
+  { key: 'approved', label: 'Approved' },
+  { key: 'blocked', label: 'Blocked' }
+]
+
+const CONTENT_TYPE_OPTIONS = [
+  { key: '', label: 'All content' },
+  { key: 'message', label: 'Chat messages' },
+  { key: 'attachment', label: 'Chat attachments' },
+  { key: 'review', label: 'Reviews' },
+  { key: 'review_reply', label: 'Review replies' },
+  { key: 'bio', label: 'Bios' },
+  { key: 'profile_photo', label: 'Profile photos' }
+]
+
+const SOURCE_LABELS = {
+  openai: 'OpenAI moderation',
+  cache: 'OpenAI moderation (cached)',
+  rules: 'Rule-based fallback'
+}
+
+const formatDate = (value) => value ? new Date(value).toLocaleString() : '-'
+
+async function request(url, method = 'GET', body) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  })
+
+  const result = await response.json()
+  if (!response.ok) {
+    throw new Error(result.message || 'Request failed')
+  }
+  return result
+}
+
+export default function AdminModeration() {
+  const [status, setStatus] = useState('pending')
+  const [contentType, setContentType] = useState('')
+  const [events, setEvents] = useState([])
+  const [counts, setCounts] = useState({})
+  const [selected, setSelected] = useState(null)
+  const [note, setNote] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState('')
+
+  const fetchEvents = useCallback(async () => {
+    setIsLoading(true)
+    try {
+      const data = await request(`/api/admin/moderation?status=${status}&contentType=${contentType}&limit=50`)
+      setEvents(data.events)
+      setCounts(data.counts)
+      setError('')
+    } catch (err) {
+      console.error('Error fetching moderation queue:', err)
+      setError(err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [status, contentType])
+
+  useEffect(() => {
+    fetchEvents()
+  }, [fetchEvents])
+
+  const handleSelect = (event) => {
+    setSelected(event)
+    setNote('')
+  }
+
+  const handleAction = async (action) => {
+    if (action === 'hide' && !note.trim()) {
+      setError('A note is required to hide content; it is shown to the author')
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      const data = await request(`/api/admin/moderation/${selected.id}`, 'POST', { action, note })
+      setSelected(data.event)
+      setNote('')
+      setError('')
+      await fetchEvents()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-gray-800 shadow-sm">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex justify-between items-center">
+            <Link href="/" className="text-2xl font-bold bg-gradient-to-r from-pink-500 to-purple-600 bg-clip-text text-transparent">
+              fliQ
+            </Link>
+            <div className="flex items-center space-x-6">
+              <Link href="/admin" className="text-gray-700 dark:text-gray-300 hover:text-pink-600">
+                Companions
+              </Link>
+              <Link href="/admin/disputes" className="text-gray-700 dark:text-gray-300 hover:text-pink-600">
+                Disputes
+              </Link>
+              <Link href="/admin/reviews" className="text-gray-700 dark:text-gray-300 hover:text-pink-600">
+                Reviews
+              </Link>
+              <span className="flex items-center text-gray-700 dark:text-gray-300">
+                <ShieldCheck className="w-5 h-5 mr-2 text-pink-600" />
+                Admin Console
+              </span>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8"
+        >
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+            Content Moderation
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Borderline messages, bios and photos are already visible; borderline reviews and replies are held back until approved. Hiding removes the content and tells its author why.
+          </p>
+        </motion.div>
+
+        {/* Status Tabs */}
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          {STATUS_TABS.map(tab => (
+            <button
+              key={tab.key}
+              onClick={() => {
+                setStatus(tab.key)
+                setSelected(null)
+              }}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                status === tab.key
+                  ? 'bg-gradient-to-r from-pink-500 to-purple-600 text-white'
+                  : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+              }`}
+            >
+              {tab.label} ({counts[tab.key] ?? 0})
+            </button>
+          ))}
+          <select
+            value={contentType}
+            onChange={(e) => {
+              setContentType(e.target.value)
+              setSelected(null)
+            }}
+            className="ml-auto px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+          >
+            {CONTENT_TYPE_OPTIONS.map(option => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400 rounded-lg text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Event List */}
+          <div className="space-y-3">
+            {isLoading ? (
+              <div className="flex justify-center py-12">
+                <Loader className="w-8 h-8 text-pink-600 animate-spin" />
+              </div>
+            ) : events.length > 0 ? (
+              events.map(event => (
+                <button
+                  key={event.id}
+                  onClick={() => handleSelect(event)}
+                  className={`w-full text-left bg-white dark:bg-gray-800 rounded-lg shadow-md p-4 transition-shadow hover:shadow-lg ${
+                    selected?.id === event.id ? 'ring-2 ring-pink-500' : ''
+                  }`}
+                >
+                  <div className="font-semibold text-gray-900 dark:text-white capitalize">{event.contentLabel}</div>
+                  <div className="text-sm text-gray-600 dark:text-gray-400 truncate">
+                    {event.excerpt || 'Image'}
+                  </div>
+                  <div className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    {event.categories.map(category => category.category).join(', ')} · {formatDate(event.createdAt)}
+                  </div>
+                </button>
+              ))
+            ) : (
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-8 text-center text-gray-600 dark:text-gray-400">
+                Nothing here
+              </div>
+            )}
+          </div>
+
+          {/* Review Panel */}
+          <div className="lg:col-span-2">
+            {selected ? (
+              <motion.div
+                key={selected.id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6 space-y-6"
+              >
+                <div className="flex justify-between items-start">
+                  <div>
+                    <h2 className="text-2xl font-bold text-gray-900 dark:text-white capitalize">{selected.contentLabel}</h2>
+                    <p className="text-sm text-gray-600 dark:text-gray-400">
+                      User {selected.userId} · {SOURCE_LABELS[selected.source]} · {formatDate(selected.createdAt)}
+                    </p>
+                  </div>
+                  <span className="px-3 py-1 bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200 text-sm rounded-full capitalize">
+                    {selected.status}
+                  </span>
+                </div>
+
+                {selected.excerpt ? (
+                  <p className="p-4 bg-gray-50 dark:bg-gray-700 rounded-lg text-gray-700 dark:text-gray-300 whitespace-pre-line">
+                    {selected.excerpt}
+                  </p>
+                ) : selected.contentType === 'profile_photo' && selected.status === 'pending' ? (
+                  <a
+                    href={`/api/profile/photo?id=${selected.userId}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-pink-600 hover:text-pink-700"
+                  >
+                    View the photo
+                  </a>
+                ) : (
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    Images aren&apos;t kept in the queue. {selected.contentType === 'attachment' && `Attachment #${selected.contentId}.`}
+                  </p>
+                )}
+
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Flagged Categories</h3>
+                  <ul className="space-y-2 text-sm">
+                    {selected.categories.map(category => (
+                      <li key={category.category} className="flex justify-between text-gray-700 dark:text-gray-300">
+                        <span>{category.category}</span>
+                        <span className={category.severity === 'block' ? 'text-red-600 font-medium' : 'text-yellow-600'}>
+                          {category.score !== null ? category.score.toFixed(2) : 'rule match'} · {category.severity}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+
+                {selected.status === 'pending' ? (
+                  <div className="space-y-3">
+                    <textarea
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      rows={3}
+                      maxLength={1000}
+                      placeholder="Note for the author (required to hide)"
+                      className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    />
+                    <div className="flex flex-wrap gap-3">
+                      <button
+                        onClick={() => handleAction('approve')}
+                        disabled={isSubmitting}
+                        className="flex items-center px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <CheckCircle className="w-4 h-4 mr-2" />
+                        Approve
+                      </button>
+                      <button
+                        onClick={() => handleAction('hide')}
+                        disabled={isSubmitting}
+                        className="flex items-center px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <EyeOff className="w-4 h-4 mr-2" />
+                        Hide
+                      </button>
+                    </div>
+                  </div>
+                ) : selected.reviewedAt ? (
+                  <div className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg text-sm text-gray-700 dark:text-gray-300">
+                    <span className="capitalize">{selected.status}</span> on {formatDate(selected.reviewedAt)}
+                    {selected.note && <p className="mt-1 whitespace-pre-line">{selected.note}</p>}
+                  </div>
+                ) : (
+                  <div className="p-3 bg-red-50 dark:bg-red-900/20 rounded-lg text-sm text-gray-700 dark:text-gray-300">
+                    Refused automatically; it was never published.
+                  </div>
+                )}
+              </motion.div>
+            ) : (
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-8 text-center">
+                <ShieldAlert className="w-16 h-16 mx-auto text-gray-400 mb-4" />
+                <p className="text-gray-600 dark:text-gray-400">Select an item to review</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
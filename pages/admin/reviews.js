@@ -0,0 +1,298 @@
+import { useState, useEffect, useCallback } from 'react'
+import { motion } from 'framer-motion'
+import { ShieldCheck, Flag, Star, EyeOff, Eye, Loader } from 'lucide-react'
+import Link from 'next/link'
+
+const QUEUE_TABS = [
+  { key: 'flagged', label: 'Reported & Appealed' },
+  { key: 'hidden', label: 'Hidden' }
+]
+
+const formatDate = (value) => value ? new Date(value).toLocaleString() : '-'
+
+async function request(url, method = 'GET', body) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  })
+
+  const result = await response.json()
+  if (!response.ok) {
+    throw new Error(result.message || 'Request failed')
+  }
+  return result
+}
+
+export default function AdminReviews() {
+  const [queue, setQueue] = useState('flagged')
+  const [reviews, setReviews] = useState([])
+  const [counts, setCounts] = useState({})
+  const [selected, setSelected] = useState(null)
+  const [note, setNote] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState('')
+
+  const fetchReviews = useCallback(async () => {
+    setIsLoading(true)
+    try {
+      const data = await request(`/api/reviews/queue?queue=${queue}&limit=50`)
+      setReviews(data.reviews)
+      setCounts(data.counts)
+      setError('')
+    } catch (err) {
+      console.error('Error fetching review queue:', err)
+      setError(err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [queue])
+
+  useEffect(() => {
+    fetchReviews()
+  }, [fetchReviews])
+
+  const handleSelect = (review) => {
+    setSelected(review)
+    setNote('')
+  }
+
+  const handleAction = async (action) => {
+    if (!note.trim()) {
+      setError('A note is required; it is shown to the reviewer and to the reviewee if they appealed')
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      await request(`/api/reviews/${selected.id}/moderate`, 'POST', { action, note })
+      setSelected(null)
+      setNote('')
+      setError('')
+      await fetchReviews()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-gray-800 shadow-sm">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex justify-between items-center">
+            <Link href="/" className="text-2xl font-bold bg-gradient-to-r from-pink-500 to-purple-600 bg-clip-text text-transparent">
+              fliQ
+            </Link>
+            <div className="flex items-center space-x-6">
+              <Link href="/admin" className="text-gray-700 dark:text-gray-300 hover:text-pink-600">
+                Companions
+              </Link>
+              <Link href="/admin/disputes" className="text-gray-700 dark:text-gray-300 hover:text-pink-600">
+                Disputes
+              </Link>
+              <Link href="/admin/moderation" className="text-gray-700 dark:text-gray-300 hover:text-pink-600">
+                Moderation
+              </Link>
+              <span className="flex items-center text-gray-700 dark:text-gray-300">
+                <ShieldCheck className="w-5 h-5 mr-2 text-pink-600" />
+                Admin Console
+              </span>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8"
+        >
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+            Reported Reviews
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Reviews reported by users or appealed by the person reviewed. Hiding upholds the reports and appeal; restoring keeps the review up and dismisses them. Hidden reviews can be restored later.
+          </p>
+        </motion.div>
+
+        {/* Queue Tabs */}
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          {QUEUE_TABS.map(tab => (
+            <button
+              key={tab.key}
+              onClick={() => {
+                setQueue(tab.key)
+                setSelected(null)
+              }}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                queue === tab.key
+                  ? 'bg-gradient-to-r from-pink-500 to-purple-600 text-white'
+                  : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+              }`}
+            >
+              {tab.label} ({counts[tab.key] ?? 0})
+            </button>
+          ))}
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400 rounded-lg text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Review List */}
+          <div className="space-y-3">
+            {isLoading ? (
+              <div className="flex justify-center py-12">
+                <Loader className="w-8 h-8 text-pink-600 animate-spin" />
+              </div>
+            ) : reviews.length > 0 ? (
+              reviews.map(review => (
+                <button
+                  key={review.id}
+                  onClick={() => handleSelect(review)}
+                  className={`w-full text-left bg-white dark:bg-gray-800 rounded-lg shadow-md p-4 transition-shadow hover:shadow-lg ${
+                    selected?.id === review.id ? 'ring-2 ring-pink-500' : ''
+                  }`}
+                >
+                  <div className="font-semibold text-gray-900 dark:text-white">
+                    {review.reviewerName} → {review.revieweeName}
+                  </div>
+                  <div className="text-sm text-gray-600 dark:text-gray-400 truncate">
+                    {review.reviewText || `${review.rating}-star rating`}
+                  </div>
+                  <div className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    {review.reports.filter(report => report.status === 'open').length} open reports
+                    {review.appeal?.status === 'pending' && ' · appealed'} · {formatDate(review.flaggedAt || review.createdAt)}
+                  </div>
+                </button>
+              ))
+            ) : (
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-8 text-center text-gray-600 dark:text-gray-400">
+                Nothing here
+              </div>
+            )}
+          </div>
+
+          {/* Review Panel */}
+          <div className="lg:col-span-2">
+            {selected ? (
+              <motion.div
+                key={selected.id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6 space-y-6"
+              >
+                <div className="flex justify-between items-start">
+                  <div>
+                    <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
+                      Review #{selected.id}
+                    </h2>
+                    <p className="text-sm text-gray-600 dark:text-gray-400">
+                      By {selected.reviewerName} ({selected.reviewerRole}) of {selected.revieweeName} · Booking #{selected.bookingId} · {formatDate(selected.publishedAt)}
+                    </p>
+                  </div>
+                  <span className="flex items-center px-3 py-1 bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200 text-sm rounded-full">
+                    <Star className="w-4 h-4 mr-1 fill-yellow-400 text-yellow-400" />
+                    {selected.rating}
+                  </span>
+                </div>
+
+                <p className="p-4 bg-gray-50 dark:bg-gray-700 rounded-lg text-gray-700 dark:text-gray-300 whitespace-pre-line">
+                  {selected.reviewText || 'No written review'}
+                </p>
+
+                {selected.reply && (
+                  <div className="pl-4 border-l-2 border-pink-300 dark:border-pink-700 text-sm text-gray-700 dark:text-gray-300">
+                    <span className="font-semibold">Reply:</span> {selected.reply.body}
+                  </div>
+                )}
+
+                {selected.reports.length > 0 && (
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Reports</h3>
+                    <ul className="space-y-2 text-sm">
+                      {selected.reports.map(report => (
+                        <li key={report.id} className="flex items-start text-gray-700 dark:text-gray-300">
+                          <Flag className="w-4 h-4 mr-2 mt-0.5 text-red-500 flex-shrink-0" />
+                          <span>
+                            <span className="font-medium">{report.reasonLabel}</span>
+                            {report.details && `: ${report.details}`}
+                            <span className="text-gray-500 dark:text-gray-400"> · {report.status} · {formatDate(report.createdAt)}</span>
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {selected.appeal && (
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">
+                      Appeal by {selected.revieweeName} <span className="text-sm font-normal text-gray-500 capitalize">({selected.appeal.status})</span>
+                    </h3>
+                    <p className="p-4 bg-gray-50 dark:bg-gray-700 rounded-lg text-sm text-gray-700 dark:text-gray-300 whitespace-pre-line">
+                      {selected.appeal.context}
+                    </p>
+                  </div>
+                )}
+
+                {selected.moderationNote && (
+                  <div className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg text-sm text-gray-700 dark:text-gray-300">
+                    <span className="font-semibold">Last note:</span> {selected.moderationNote}
+                  </div>
+                )}
+
+                <div className="space-y-3">
+                  <textarea
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    rows={3}
+                    maxLength={1000}
+                    placeholder="Note for the reviewer and the appellant (required)"
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  />
+                  <div className="flex flex-wrap gap-3">
+                    {!selected.hidden && (
+                      <button
+                        onClick={() => handleAction('hide')}
+                        disabled={isSubmitting}
+                        className="flex items-center px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <EyeOff className="w-4 h-4 mr-2" />
+                        Hide
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleAction('restore')}
+                      disabled={isSubmitting}
+                      className="flex items-center px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <Eye className="w-4 h-4 mr-2" />
+                      {selected.hidden ? 'Restore' : 'Keep Up'}
+                    </button>
+                  </div>
+                </div>
+              </motion.div>
+            ) : (
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-8 text-center">
+                <Flag className="w-16 h-16 mx-auto text-gray-400 mb-4" />
+                <p className="text-gray-600 dark:text-gray-400">Select a review</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
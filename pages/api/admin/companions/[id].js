@@ -0,0 +1,110 @@
+/**
+ * Admin Companion Review API Route - Serverless Function
+ *
+ * GET /api/admin/companions/[id]
+ * - A companion's profile and documents, with the audit history of every
+ *   verification decision
+ *
+ * POST /api/admin/companions/[id]
+ * - Approve, reject or suspend: { action, note }
+ *   A note is required to reject or suspend; it is shown to the companion.
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Single read or update per request
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - 409 when the companion's status no longer allows the action
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Admin only; every decision is written to the audit log
+ */
+
+import { withAuth } from '../../../../lib/auth'
+import { getCompanionProfile } from '../../../../lib/profiles'
+import { listAuditEvents, serializeAuditEvent } from '../../../../lib/auditLog'
+import {
+  VERIFICATION_ACTIONS,
+  reviewCompanion,
+  serializeCompanionForReview
+} from '../../../../lib/companionVerification'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await handleGetCompanion(req, res)
+      case 'POST':
+        return await handleReviewCompanion(req, res)
+      default:
+        return res.status(405).json({ message: 'Method not allowed' })
+    }
+  } catch (error) {
+    console.error('Admin companion review API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+/**
+ * Companion details with their verification history
+ */
+async function handleGetCompanion(req, res) {
+  const { id: companionId } = req.query
+
+  const companion = await getCompanionProfile(companionId)
+  if (!companion) {
+    return res.status(404).json({ message: 'Companion not found' })
+  }
+
+  const { entries } = await listAuditEvents({ targetType: 'profile', targetId: companion.id })
+
+  return res.status(200).json({
+    companion: serializeCompanionForReview(companion),
+    history: entries.map(serializeAuditEvent)
+  })
+}
+
+/**
+ * Approve, reject or suspend a companion
+ */
+async function handleReviewCompanion(req, res) {
+  // Authenticated by withAuth before the handler runs
+  const user = req.user
+
+  const { id: companionId } = req.query
+  const { action, note } = req.body || {}
+
+  if (!VERIFICATION_ACTIONS.includes(action)) {
+    return res.status(400).json({
+      message: 'Invalid action',
+      validActions: VERIFICATION_ACTIONS
+    })
+  }
+
+  const result = await reviewCompanion(companionId, action, user, { note })
+  if (result.status) {
+    return res.status(result.status).json({ message: result.message })
+  }
+
+  return res.status(200).json({
+    message: `Companion ${result.companion.verification_status}`,
+    companion: serializeCompanionForReview(result.companion)
+  })
+}
+
+export default withAuth(handler, { roles: ['admin'] })
@@ -0,0 +1,78 @@
+/**
+ * Admin Companions API Route - Serverless Function
+ *
+ * GET /api/admin/companions?status=pending
+ * - Companions in a verification status (the review queue by default, oldest
+ *   submission first; pass status=all for everyone), with their documents,
+ *   a count per status and whether auto-approval is on
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Paginated reads
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Admin only
+ */
+
+import { withAuth } from '../../../../lib/auth'
+import { getPlatformSettings } from '../../../../lib/settings'
+import {
+  VERIFICATION_STATUSES,
+  countCompanionsByStatus,
+  listCompanionsForReview,
+  serializeCompanionForReview
+} from '../../../../lib/companionVerification'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { status = 'pending' } = req.query
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0)
+
+    if (status !== 'all' && !VERIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: 'Invalid status',
+        validStatuses: ['all', ...VERIFICATION_STATUSES]
+      })
+    }
+
+    const [{ companions, total }, counts, settings] = await Promise.all([
+      listCompanionsForReview({ status: status === 'all' ? null : status, limit, offset }),
+      countCompanionsByStatus(),
+      getPlatformSettings()
+    ])
+
+    return res.status(200).json({
+      companions: companions.map(serializeCompanionForReview),
+      counts,
+      autoApprove: settings.auto_approve_companions,
+      pagination: { total, limit, offset }
+    })
+  } catch (error) {
+    console.error('Admin companions API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+export default withAuth(handler, { roles: ['admin'] })
@@ -0,0 +1,87 @@
+/**
+ * Ledger API Route - Serverless Function
+ *
+ * GET /api/admin/ledger
+ * - Trial balance: balance of every ledger account
+ *
+ * GET /api/admin/ledger?companionId=...
+ * - What the platform owes a companion, with the ledger lines behind it
+ *
+ * GET /api/admin/ledger?bookingId=...
+ * - Account balances and ledger lines for one booking
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Read-only queries, lines are paginated
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Admin only
+ */
+
+import { withAuth } from '../../../../lib/auth'
+import {
+  getAccountBalance,
+  getTrialBalance,
+  listLedgerLines
+} from '../../../../lib/ledger'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { companionId, bookingId } = req.query
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500)
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0)
+
+    if (companionId) {
+      const payable = await getAccountBalance('companion_payable', { profileId: companionId })
+      const { lines, total } = await listLedgerLines({ profileId: companionId, limit, offset })
+
+      return res.status(200).json({
+        companionId,
+        owed: payable.balance,
+        payable,
+        lines,
+        pagination: { total, limit, offset }
+      })
+    }
+
+    if (bookingId) {
+      const balances = await getTrialBalance({ bookingId })
+      const { lines, total } = await listLedgerLines({ bookingId, limit, offset })
+
+      return res.status(200).json({
+        bookingId,
+        ...balances,
+        lines,
+        pagination: { total, limit, offset }
+      })
+    }
+
+    return res.status(200).json(await getTrialBalance())
+  } catch (error) {
+    console.error('Ledger API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+export default withAuth(handler, { roles: ['admin'] })
@@ -0,0 +1,62 @@
+/**
+ * Ledger Reconciliation API Route - Serverless Function
+ *
+ * GET /api/admin/ledger/reconcile?since=2024-01-01&limit=50
+ * - Verifies recent transactions with Paystack and compares the result
+ *   with our transactions and ledger (see reconcileTransactions in lib/ledger.js)
+ *
+ * HANGING REQUEST PREVENTION:
+ * - One Paystack verify call per transaction, each with a timeout
+ * - Batch size capped at 100
+ *
+ * ERROR HANDLING:
+ * - A failed verify call is reported as a mismatch, not an error
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Admin only
+ */
+
+import { withAuth } from '../../../../lib/auth'
+import { reconcileTransactions } from '../../../../lib/ledger'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { since } = req.query
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100)
+
+    if (since && isNaN(new Date(since).getTime())) {
+      return res.status(400).json({ message: 'Invalid since date' })
+    }
+
+    const report = await reconcileTransactions({
+      since: since ? new Date(since).toISOString() : null,
+      limit
+    })
+
+    return res.status(200).json(report)
+  } catch (error) {
+    console.error('Ledger reconciliation API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+export default withAuth(handler, { roles: ['admin'] })
@@ -0,0 +1,76 @@
+/**
+ * Admin Moderation Decision API Route - Serverless Function
+ *
+ * POST /api/admin/moderation/[id]
+ * - Approve or hide a queued item: { action, note }
+ *   Approving publishes held-back reviews; hiding removes the content and
+ *   tells its author. A note is required to hide; it is shown to the author.
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Single read and update per request
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - 409 when the item was already resolved
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Admin only; every decision is written to the audit log
+ */
+
+import { withAuth } from '../../../../lib/auth'
+import {
+  MODERATION_ACTIONS,
+  resolveModerationEvent,
+  serializeModerationEvent
+} from '../../../../lib/moderation'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
+
+    const { id: eventId } = req.query
+    const { action, note } = req.body || {}
+
+    if (!MODERATION_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        message: 'Invalid action',
+        validActions: MODERATION_ACTIONS
+      })
+    }
+
+    const result = await resolveModerationEvent(eventId, action, user, { note })
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    return res.status(200).json({
+      message: `Content ${result.event.status}`,
+      event: serializeModerationEvent(result.event)
+    })
+  } catch (error) {
+    console.error('Admin moderation decision API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+export default withAuth(handler, { roles: ['admin'] })
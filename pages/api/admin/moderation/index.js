@@ -0,0 +1,88 @@
+/**
+ * Admin Moderation Queue API Route - Serverless Function
+ *
+ * GET /api/admin/moderation?status=pending&contentType=
+ * - Content flagged by moderation (the review queue by default, oldest
+ *   first; pass status=all for everything), optionally of one content type,
+ *   with a count per status
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Paginated reads
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Admin only
+ */
+
+import { withAuth } from '../../../../lib/auth'
+import {
+  MODERATION_CONTENT_TYPES,
+  MODERATION_STATUSES,
+  countModerationEventsByStatus,
+  listModerationEvents,
+  serializeModerationEvent
+} from '../../../../lib/moderation'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { status = 'pending', contentType } = req.query
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0)
+
+    if (status !== 'all' && !MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: 'Invalid status',
+        validStatuses: ['all', ...MODERATION_STATUSES]
+      })
+    }
+
+    if (contentType && !MODERATION_CONTENT_TYPES.includes(contentType)) {
+      return res.status(400).json({
+        message: 'Invalid content type',
+        validContentTypes: MODERATION_CONTENT_TYPES
+      })
+    }
+
+    const [{ events, total }, counts] = await Promise.all([
+      listModerationEvents({
+        status: status === 'all' ? null : status,
+        contentType: contentType || null,
+        limit,
+        offset
+      }),
+      countModerationEventsByStatus()
+    ])
+
+    return res.status(200).json({
+      events: events.map(serializeModerationEvent),
+      counts,
+      pagination: { total, limit, offset }
+    })
+  } catch (error) {
+    console.error('Admin moderation API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+export default withAuth(handler, { roles: ['admin'] })
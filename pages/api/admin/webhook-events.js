@@ -0,0 +1,112 @@
+/**
+ * Webhook Events API Route - Serverless Function
+ *
+ * GET /api/admin/webhook-events?status=dead&eventType=charge.success
+ * - Stored Paystack webhook events, newest first; the dead-letter list by default
+ *   (pass status=all for every status)
+ *
+ * POST /api/admin/webhook-events
+ * - Replay a failed or dead event: { eventId }
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Paginated reads; a replay processes a single event
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - A replay that fails again is reported in the response, not as an error
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Admin only
+ */
+
+import { withAuth } from '../../../lib/auth'
+import {
+  WEBHOOK_EVENT_STATUSES,
+  listWebhookEvents,
+  replayWebhookEvent,
+  serializeWebhookEvent
+} from '../../../lib/webhookEvents'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await handleGetEvents(req, res)
+      case 'POST':
+        return await handleReplayEvent(req, res)
+      default:
+        return res.status(405).json({ message: 'Method not allowed' })
+    }
+  } catch (error) {
+    console.error('Webhook events API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+/**
+ * List stored webhook events
+ */
+async function handleGetEvents(req, res) {
+  const { status = 'dead', eventType } = req.query
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200)
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0)
+
+  if (status !== 'all' && !WEBHOOK_EVENT_STATUSES.includes(status)) {
+    return res.status(400).json({
+      message: 'Invalid status',
+      validStatuses: ['all', ...WEBHOOK_EVENT_STATUSES]
+    })
+  }
+
+  const { events, total } = await listWebhookEvents({
+    status: status === 'all' ? null : status,
+    eventType,
+    limit,
+    offset
+  })
+
+  return res.status(200).json({
+    events: events.map(serializeWebhookEvent),
+    pagination: { total, limit, offset }
+  })
+}
+
+/**
+ * Replay a failed or dead webhook event
+ */
+async function handleReplayEvent(req, res) {
+  const { eventId } = req.body || {}
+
+  if (!eventId) {
+    return res.status(400).json({ message: 'Event ID is required' })
+  }
+
+  const replay = await replayWebhookEvent(eventId)
+  if (replay.status) {
+    return res.status(replay.status).json({ message: replay.message })
+  }
+
+  console.log(`Webhook event ${eventId} replayed by admin ${req.user.id}: ${replay.result.status}`)
+
+  return res.status(200).json({
+    message: replay.result.processed ? 'Event processed' : 'Event failed again',
+    event: serializeWebhookEvent(replay.event)
+  })
+}
+
+export default withAuth(handler, { roles: ['admin'] })
@@ -21,15 +21,16 @@
  * - Token validation errors handled gracefully
  * 
  * SECURITY:
- * - JWT token verification with secret key
+ * - JWT token verification with secret key (via withAuth)
+ * - Profile is re-read from the database so role changes and suspensions apply immediately
  * - No sensitive data exposed in response
  * - Rate limiting should be implemented in production
  * - Token expiration enforced
  */
 
-import { verifyToken } from '../../../lib/auth';
+import { withAuth } from '../../../lib/auth';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -46,55 +47,16 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Extract token from Authorization header
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader) {
-      return res.status(401).json({ 
-        message: 'No authorization header provided' 
-      });
-    }
-
-    // Extract Bearer token
-    const parts = authHeader.split(' ');
-    if (parts.length !== 2 || parts[0] !== 'Bearer') {
-      return res.status(401).json({ 
-        message: 'Invalid authorization header format. Expected: Bearer <token>' 
-      });
-    }
-
-    const token = parts[1];
-
-    if (!token) {
-      return res.status(401).json({ 
-        message: 'No token provided' 
-      });
-    }
+    // Token verified and fresh profile loaded by withAuth
+    const { user } = req;
 
-    // Verify token
-    let decoded;
-    try {
-      decoded = verifyToken(token);
-    } catch (error) {
-      // Token is invalid or expired
-      return res.status(401).json({ 
-        message: 'Invalid or expired token' 
-      });
-    }
-
-    // TODO: Optionally fetch fresh user data from database
-    // In a real implementation:
-    // const user = await db.query('SELECT id, name, email, role FROM users WHERE id = ?', [decoded.id])
-    // if (!user) {
-    //   return res.status(404).json({ message: 'User not found' })
-    // }
-
-    // Return user data from token (in production, fetch from database for fresh data)
     return res.status(200).json({
       user: {
-        id: decoded.id,
-        email: decoded.email,
-        role: decoded.role
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        verificationStatus: user.verificationStatus
       }
     });
 
@@ -110,3 +72,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withAuth(handler);
@@ -0,0 +1,68 @@
+/**
+ * Booking History API Route - Serverless Function
+ *
+ * GET /api/bookings/[id]/events
+ * - Status changes for a booking, oldest first, with who made each change
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Single read query, always returns a response
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Only the booking's client, companion or an admin can read its history
+ */
+
+import { withAuth } from '../../../../lib/auth'
+import { getBookingForUser } from '../../../../lib/bookings'
+import { listBookingEvents, serializeBookingEvent } from '../../../../lib/bookingStateMachine'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
+
+    const { id: bookingId } = req.query
+    if (!bookingId) {
+      return res.status(400).json({ message: 'Booking ID is required' })
+    }
+
+    const booking = await getBookingForUser(bookingId, user)
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' })
+    }
+
+    const events = await listBookingEvents(booking.id)
+
+    return res.status(200).json({
+      bookingId: booking.id,
+      status: booking.status,
+      events: events.map(serializeBookingEvent)
+    })
+  } catch (error) {
+    console.error('Booking history API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+export default withAuth(handler)
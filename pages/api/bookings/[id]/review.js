@@ -1,5 +1,16 @@
 /**
  * Review Submission API Route - Serverless Function
+ *
+ * POST /api/bookings/[id]/review
+ * - Each participant reviews a completed booking once:
+ *   { rating, ratings: { punctuality, communication, accuracy }, review }
+ *   where `rating` is the overall rating and `accuracy` is whether the
+ *   booking went as described, all whole numbers from 1 to 5
+ * - Reviews are blind: both stay hidden until the other party has reviewed
+ *   too or the review window (14 days after completion) closes
+ *
+ * GET /api/bookings/[id]/review
+ * - Your review, the deadline, and whether the other party has reviewed
  * 
  * INFINITE LOOP PREVENTION:
  * - Each request is handled exactly once with a single response
@@ -22,14 +33,24 @@
  * SECURITY:
  * - JWT authentication required
  * - Verify user is part of the booking
- * - Prevent duplicate reviews
+ * - Prevent duplicate reviews (one per participant)
+ * - Neither party can read the other's review before submitting their own
  * - Validate booking is completed before allowing review
  * - Sanitize review text to prevent XSS
+ * - Review text is moderated (lib/moderation.js): harmful reviews get 422,
+ *   borderline ones are held back until an admin approves them
  */
 
-import { verifyToken } from '../../../../lib/auth';
+import { withAuth } from '../../../../lib/auth';
+import {
+  MAX_REVIEW_LENGTH,
+  REVIEW_CATEGORIES,
+  submitReview,
+  getReviewStatus,
+  serializeReview
+} from '../../../../lib/reviews';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
@@ -41,22 +62,8 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Authenticate user - ALWAYS verify before processing
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({ message: 'Authentication required' });
-    }
-
-    // Verify JWT token
-    let user;
-    try {
-      user = verifyToken(token);
-      if (!user || !user.id) {
-        return res.status(401).json({ message: 'Invalid authentication token' });
-      }
-    } catch (error) {
-      return res.status(401).json({ message: 'Invalid or expired token' });
-    }
+    // Authenticated by withAuth before the handler runs
+    const user = req.user;
 
     // Get booking ID from URL
     const { id: bookingId } = req.query;
@@ -83,132 +90,72 @@ export default async function handler(req, res) {
   }
 }
 
+export default withAuth(handler);
+
 /**
  * POST /api/bookings/[id]/review - Submit a review
  * SAFETY: Validates booking completion, prevents duplicates, single write operation
  */
 async function handleSubmitReview(req, res, user, bookingId) {
-  try {
-    // Validate request body
-    const { rating, review } = req.body;
-
-    if (!rating || typeof rating !== 'number') {
-      return res.status(400).json({ 
-        message: 'Rating is required and must be a number'
-      });
-    }
-
-    // Validate rating range
-    if (rating < 1 || rating > 5) {
-      return res.status(400).json({ 
-        message: 'Rating must be between 1 and 5'
-      });
-    }
-
-    // Validate review text length if provided
-    const reviewText = review || '';
-    if (reviewText.length > 500) {
-      return res.status(400).json({ 
-        message: 'Review must be 500 characters or less'
-      });
-    }
-
-    // TODO: Fetch booking from database
-    // IMPORTANT: Verify booking exists and user is part of it
-    // const booking = await db.query(
-    //   'SELECT * FROM bookings WHERE id = ?',
-    //   [bookingId]
-    // )
-    // if (!booking) {
-    //   return res.status(404).json({ message: 'Booking not found' })
-    // }
+  // Validate request body
+  const { rating, ratings, review } = req.body || {};
 
-    // Placeholder booking data for development
-    const booking = {
-      id: bookingId,
-      userId: user.role === 'client' ? user.id : 'other_user',
-      companionId: user.role === 'companion' ? user.id : 'other_companion',
-      status: 'completed'
-    };
+  if (!rating || typeof rating !== 'number') {
+    return res.status(400).json({ 
+      message: 'Rating is required and must be a number'
+    });
+  }
 
-    // Verify user is part of this booking
-    const isClient = booking.userId === user.id;
-    const isCompanion = booking.companionId === user.id;
+  // Validate rating range
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return res.status(400).json({ 
+      message: 'Rating must be a whole number between 1 and 5'
+    });
+  }
 
-    if (!isClient && !isCompanion) {
-      return res.status(403).json({ 
-        message: 'You are not authorized to review this booking'
-      });
-    }
+  // Every category needs a rating too
+  if (!ratings || typeof ratings !== 'object') {
+    return res.status(400).json({
+      message: `Ratings are required for: ${REVIEW_CATEGORIES.join(', ')}`
+    });
+  }
 
-    // Verify booking is completed
-    if (booking.status !== 'completed') {
-      return res.status(400).json({ 
-        message: 'Reviews can only be submitted for completed bookings'
+  for (const category of REVIEW_CATEGORIES) {
+    const value = ratings[category];
+    if (!Number.isInteger(value) || value < 1 || value > 5) {
+      return res.status(400).json({
+        message: `The ${category} rating must be a whole number between 1 and 5`
       });
     }
+  }
 
-    // Determine reviewer and reviewee
-    const reviewerRole = isClient ? 'client' : 'companion';
-    const revieweeId = isClient ? booking.companionId : booking.userId;
-    const revieweeRole = isClient ? 'companion' : 'client';
-
-    // TODO: Check if user has already reviewed this booking
-    // const existingReview = await db.query(
-    //   'SELECT id FROM reviews WHERE booking_id = ? AND reviewer_id = ?',
-    //   [bookingId, user.id]
-    // )
-    // if (existingReview) {
-    //   return res.status(409).json({ 
-    //     message: 'You have already reviewed this booking'
-    //   })
-    // }
-
-    // TODO: Insert review into database
-    // IMPORTANT: Use parameterized queries to prevent SQL injection
-    // const reviewId = await db.query(
-    //   'INSERT INTO reviews (booking_id, reviewer_id, reviewer_role, reviewee_id, reviewee_role, rating, review_text, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP) RETURNING *',
-    //   [bookingId, user.id, reviewerRole, revieweeId, revieweeRole, rating, reviewText]
-    // )
-
-    const newReview = {
-      id: Date.now(),
-      bookingId: parseInt(bookingId),
-      reviewerId: user.id,
-      reviewerRole,
-      revieweeId,
-      revieweeRole,
-      rating,
-      reviewText,
-      createdAt: new Date().toISOString()
-    };
-
-    // TODO: Update reviewee's average rating
-    // const avgRating = await db.query(
-    //   'SELECT AVG(rating) as average FROM reviews WHERE reviewee_id = ?',
-    //   [revieweeId]
-    // )
-    // await db.query(
-    //   'UPDATE users SET rating = ? WHERE id = ?',
-    //   [avgRating.average, revieweeId]
-    // )
-
-    // TODO: Send notification to reviewee
-    // await sendNotification(revieweeId, {
-    //   type: 'new_review',
-    //   rating,
-    //   reviewerId: user.id
-    // })
-
-    return res.status(201).json({
-      message: 'Review submitted successfully',
-      review: newReview
+  // Validate review text length if provided
+  const reviewText = typeof review === 'string' ? review : '';
+  if (reviewText.length > MAX_REVIEW_LENGTH) {
+    return res.status(400).json({ 
+      message: `Review must be ${MAX_REVIEW_LENGTH} characters or less`
     });
+  }
 
-  } catch (error) {
-    console.error('Error submitting review:', error);
-    throw error;
+  // Participant, completed booking within the review window, not yet
+  // reviewed by this user, and moderated
+  const result = await submitReview(bookingId, user, { rating, ratings, comment: reviewText });
+  if (result.status) {
+    return res.status(result.status).json({ message: result.message });
+  }
+
+  let message = result.revealed
+    ? 'Review submitted. You have both reviewed this booking, so your reviews are now published.'
+    : 'Review submitted. It stays hidden until the other party reviews too or the review period ends.';
+  if (result.pendingModeration) {
+    message += ' It will only appear once our moderators have checked it.';
   }
+
+  return res.status(201).json({
+    message,
+    revealed: result.revealed,
+    review: serializeReview(result.review)
+  });
 }
 
 /**
@@ -216,50 +163,10 @@ async function handleSubmitReview(req, res, user, bookingId) {
  * SAFETY: Single query, no loops
  */
 async function handleGetReview(req, res, user, bookingId) {
-  try {
-    // TODO: Fetch booking and verify user access
-    // const booking = await db.query(
-    //   'SELECT * FROM bookings WHERE id = ?',
-    //   [bookingId]
-    // )
-
-    const booking = {
-      id: bookingId,
-      userId: user.role === 'client' ? user.id : 'other_user',
-      companionId: user.role === 'companion' ? user.id : 'other_companion',
-      status: 'completed'
-    };
-
-    // Verify user is part of this booking
-    if (booking.userId !== user.id && booking.companionId !== user.id) {
-      return res.status(403).json({ 
-        message: 'You are not authorized to access this booking'
-      });
-    }
-
-    // TODO: Check if user has already reviewed
-    // const userReview = await db.query(
-    //   'SELECT * FROM reviews WHERE booking_id = ? AND reviewer_id = ?',
-    //   [bookingId, user.id]
-    // )
-
-    // TODO: Check if other party has reviewed
-    // const otherPartyId = booking.userId === user.id ? booking.companionId : booking.userId
-    // const otherPartyReview = await db.query(
-    //   'SELECT * FROM reviews WHERE booking_id = ? AND reviewer_id = ?',
-    //   [bookingId, otherPartyId]
-    // )
-
-    return res.status(200).json({
-      bookingId: parseInt(bookingId),
-      status: booking.status,
-      canReview: booking.status === 'completed',
-      hasReviewed: false, // userReview !== null
-      otherPartyReviewed: false // otherPartyReview !== null
-    });
-
-  } catch (error) {
-    console.error('Error fetching review status:', error);
-    throw error;
+  const status = await getReviewStatus(bookingId, user);
+  if (status.status) {
+    return res.status(status.status).json({ message: status.message });
   }
+
+  return res.status(200).json(status);
 }
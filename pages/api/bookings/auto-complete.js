@@ -0,0 +1,208 @@
+/**
+ * Booking Auto-Complete API Route - Serverless Function
+ *
+ * This endpoint should be called by a cron job to complete bookings nobody
+ * marked as completed, and to retry escrow releases and refunds that failed.
+ *
+ * Recommended schedule:
+ * - Run every hour
+ * - Bookings complete `escrow_auto_complete_hours` after their end time
+ *   unless the booking has an open dispute
+ * - Disputed bookings and ones that fail to complete are tried again
+ *   AUTO_COMPLETE_RETRY_HOURS later, so they don't hold up the batch
+ *
+ * INFINITE LOOP PREVENTION:
+ * - Each booking is completed at most once (state machine rejects repeats)
+ * - Release retries are capped by MAX_RELEASE_ATTEMPTS, refund retries by
+ *   MAX_REFUND_ATTEMPTS
+ * - No recursive calls
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Processes in batches
+ * - Returns a summary once the batch is done
+ *
+ * ERROR HANDLING:
+ * - Continue processing even if one booking fails
+ * - Log all errors for monitoring
+ * - Return summary of successes/failures
+ *
+ * SECURITY:
+ * - Requires `Authorization: Bearer CRON_SECRET`; refuses to run when
+ *   CRON_SECRET isn't configured
+ */
+
+import { getPlatformSettings } from '../../../lib/settings'
+import { getBooking } from '../../../lib/bookings'
+import { transitionBooking } from '../../../lib/bookingStateMachine'
+import {
+  deferAutoComplete,
+  hasOpenDispute,
+  listBookingsDueForAutoComplete,
+  listFailedRefunds,
+  listReleasableHolds,
+  releaseEscrow,
+  retryChargeRefund,
+  retryEscrowRefund
+} from '../../../lib/escrow'
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    // Verify cron job authentication
+    const authHeader = req.headers.authorization
+    const cronSecret = process.env.CRON_SECRET
+
+    // Without a secret anyone could trigger completions and releases
+    if (!cronSecret) {
+      console.error('CRON_SECRET not configured')
+      return res.status(500).json({ message: 'Cron configuration error' })
+    }
+
+    if (authHeader !== `Bearer ${cronSecret}`) {
+      return res.status(401).json({ message: 'Unauthorized' })
+    }
+
+    const settings = await getPlatformSettings()
+
+    const results = {
+      completed: await completeDueBookings(settings.escrow_auto_complete_hours),
+      releases: await retryFailedReleases(),
+      refunds: await retryFailedRefunds()
+    }
+
+    return res.status(200).json({
+      message: 'Auto-complete processed',
+      timestamp: new Date().toISOString(),
+      results
+    })
+  } catch (error) {
+    console.error('Auto-complete API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+/**
+ * Complete accepted bookings that ended long enough ago
+ * Completing releases the escrow hold to the companion.
+ */
+async function completeDueBookings(hoursAfterEnd) {
+  const results = { checked: 0, completed: 0, skipped: 0, failed: 0, errors: [] }
+
+  const bookings = await listBookingsDueForAutoComplete(hoursAfterEnd)
+
+  for (const booking of bookings) {
+    results.checked++
+
+    try {
+      if (await hasOpenDispute(booking.id)) {
+        await deferAutoComplete(booking.id)
+        results.skipped++
+        continue
+      }
+
+      const result = await transitionBooking({ ...booking }, 'complete', null, {
+        reason: `Auto-completed ${hoursAfterEnd} hours after the booking ended`
+      })
+
+      if (result.status) {
+        await deferAutoComplete(booking.id)
+        results.failed++
+        results.errors.push({ bookingId: booking.id, error: result.message })
+      } else {
+        results.completed++
+      }
+    } catch (error) {
+      console.error(`Error auto-completing booking ${booking.id}:`, error)
+      results.failed++
+      results.errors.push({ bookingId: booking.id, error: error.message })
+      await deferAutoComplete(booking.id).catch(deferError => {
+        console.error(`Error deferring booking ${booking.id}:`, deferError)
+      })
+    }
+  }
+
+  return results
+}
+
+/**
+ * Retry escrow releases that failed to credit the companion
+ */
+async function retryFailedReleases() {
+  const results = { checked: 0, released: 0, skipped: 0, failed: 0, errors: [] }
+
+  const holds = await listReleasableHolds()
+
+  for (const hold of holds) {
+    results.checked++
+
+    try {
+      const booking = await getBooking(hold.booking_id)
+      if (!booking || booking.status !== 'completed') {
+        results.skipped++
+        continue
+      }
+
+      const release = await releaseEscrow(booking)
+      if (release.released) {
+        results.released++
+      } else {
+        results.skipped++
+      }
+    } catch (error) {
+      console.error(`Error retrying release for booking ${hold.booking_id}:`, error)
+      results.failed++
+      results.errors.push({ bookingId: hold.booking_id, error: error.message })
+    }
+  }
+
+  return results
+}
+
+/**
+ * Retry refunds to clients that Paystack failed or rejected
+ * Covers escrow refunds and charges that were returned instead of held.
+ */
+async function retryFailedRefunds() {
+  const results = { checked: 0, retried: 0, skipped: 0, failed: 0, errors: [] }
+
+  const { holds, transactions } = await listFailedRefunds()
+  const retries = [
+    ...holds.map(hold => ({ bookingId: hold.booking_id, retry: () => retryEscrowRefund(hold) })),
+    ...transactions.map(transaction => ({ bookingId: transaction.booking_id, retry: () => retryChargeRefund(transaction) }))
+  ]
+
+  for (const { bookingId, retry } of retries) {
+    results.checked++
+
+    try {
+      if (await retry()) {
+        results.retried++
+      } else {
+        results.skipped++
+      }
+    } catch (error) {
+      console.error(`Error retrying refund for booking ${bookingId}:`, error)
+      results.failed++
+      results.errors.push({ bookingId, error: error.message })
+    }
+  }
+
+  return results
+}
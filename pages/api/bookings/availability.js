@@ -3,14 +3,23 @@
  * 
  * GET /api/bookings/availability?companionId=xxx&date=YYYY-MM-DD
  * - Fetch availability schedule and existing bookings for a date
+ * - Existing bookings only expose their time range, never who booked them
+ * - Includes the cancellation policy that would apply to a new booking
  * 
  * POST /api/bookings/availability
  * - Update companion's availability schedule
+ * - Clients who favorited the companion hear about newly opened days
  */
 
-import { getDefaultAvailability } from '../../../lib/calendar'
+import { withAuth } from '../../../lib/auth'
+import { getDefaultAvailability, parseDateTime, formatDate, formatTime } from '../../../lib/calendar'
+import { listActiveCompanionBookings } from '../../../lib/bookings'
+import { getCompanionProfile, updateProfile } from '../../../lib/profiles'
+import { getPlatformSettings } from '../../../lib/settings'
+import { resolveCancellationPolicy } from '../../../lib/cancellation'
+import { notifyFavoritersOfAvailability } from '../../../lib/favorites'
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*')
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
@@ -22,14 +31,8 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Authenticate user
-    const token = req.headers.authorization?.split(' ')[1]
-    if (!token) {
-      return res.status(401).json({ message: 'Authentication required' })
-    }
-
-    // TODO: Verify JWT token
-    const user = { id: 'user123', role: 'client' } // Placeholder
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
 
     switch (req.method) {
       case 'GET':
@@ -50,6 +53,8 @@ export default async function handler(req, res) {
   }
 }
 
+export default withAuth(handler)
+
 /**
  * GET - Fetch companion's availability and bookings for a specific date
  */
@@ -63,38 +68,47 @@ async function handleGetAvailability(req, res, user) {
       })
     }
 
-    // TODO: Fetch companion's availability from database
-    // const availability = await db.query(
-    //   'SELECT * FROM companion_availability WHERE companion_id = ?',
-    //   [companionId]
-    // )
-
-    // Use default availability as placeholder
-    const availability = getDefaultAvailability()
-
-    // TODO: Fetch existing bookings for the companion on this date
-    // If date is provided, filter bookings for that specific date
-    // const existingBookings = await db.query(
-    //   'SELECT * FROM bookings WHERE companion_id = ? AND date = ? AND status NOT IN (?, ?)',
-    //   [companionId, date, 'cancelled', 'rejected']
-    // )
-
-    // Placeholder data
-    const existingBookings = date ? [
-      // Example: A booking from 2:00 PM - 4:00 PM
-      // {
-      //   id: 1,
-      //   date: date,
-      //   time: '14:00',
-      //   duration: 2,
-      //   status: 'confirmed'
-      // }
-    ] : []
+    const companion = await getCompanionProfile(companionId)
+    if (!companion) {
+      return res.status(404).json({ message: 'Companion not found' })
+    }
+
+    const availability = companion.availability_schedule || getDefaultAvailability()
+    const settings = await getPlatformSettings()
+    const bufferMinutes = settings.booking_buffer_minutes
+
+    // Bookings touching the requested day, widened by the buffer so the
+    // client computes the same free slots the server will accept
+    let existingBookings = []
+    if (date) {
+      const bufferMs = bufferMinutes * 60 * 1000
+      const dayStart = parseDateTime(date, '00:00')
+      const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000)
+
+      const rows = await listActiveCompanionBookings(companionId, {
+        from: new Date(dayStart.getTime() - bufferMs),
+        to: new Date(dayEnd.getTime() + bufferMs)
+      })
+
+      existingBookings = rows.map(booking => ({
+        date: formatDate(booking.start_time),
+        time: formatTime(booking.start_time),
+        duration: booking.duration_hours,
+        startTime: booking.start_time,
+        endTime: booking.end_time,
+        status: booking.status
+      }))
+    }
 
     return res.status(200).json({
       companionId,
       availability,
       existingBookings,
+      bufferMinutes,
+      cancellationPolicy: resolveCancellationPolicy(
+        companion.cancellation_policy,
+        settings.cancellation_policy
+      ),
       date: date || null
     })
   } catch (error) {
@@ -129,8 +143,9 @@ async function handleUpdateAvailability(req, res, user) {
       const daySchedule = availability[day]
       return daySchedule && 
              typeof daySchedule.enabled === 'boolean' &&
-             typeof daySchedule.startTime === 'string' &&
-             typeof daySchedule.endTime === 'string'
+             /^\d{2}:\d{2}$/.test(daySchedule.startTime) &&
+             /^\d{2}:\d{2}$/.test(daySchedule.endTime) &&
+             daySchedule.startTime < daySchedule.endTime
     })
 
     if (!isValid) {
@@ -139,11 +154,15 @@ async function handleUpdateAvailability(req, res, user) {
       })
     }
 
-    // TODO: Save availability to database
-    // await db.query(
-    //   'INSERT INTO companion_availability (companion_id, schedule, updated_at) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE schedule = ?, updated_at = ?',
-    //   [user.id, JSON.stringify(availability), new Date(), JSON.stringify(availability), new Date()]
-    // )
+    const companion = await getCompanionProfile(user.id)
+    await updateProfile(user.id, { availability_schedule: availability })
+
+    try {
+      await notifyFavoritersOfAvailability(companion, availability)
+    } catch (notificationError) {
+      // Log but don't fail the update if notifications fail
+      console.error('Failed to notify favoriters of availability:', notificationError)
+    }
 
     return res.status(200).json({
       message: 'Availability updated successfully',
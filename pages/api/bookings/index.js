@@ -29,9 +29,30 @@
  * - Implement rate limiting to prevent abuse
  */
 
+import { withAuth } from '../../../lib/auth'
 import { sendNotification, NOTIFICATION_TYPES } from '../../../lib/notifications'
-
-export default async function handler(req, res) {
+import {
+  BOOKING_STATUSES,
+  listBookings,
+  getBookingForUser,
+  createBooking,
+  serializeBooking,
+  checkBookingSlot,
+  isBookingOverlapError
+} from '../../../lib/bookings'
+import {
+  BOOKING_TRANSITIONS,
+  transitionBooking,
+  recordBookingEvent,
+  getAvailableActions,
+  getActionsForRole
+} from '../../../lib/bookingStateMachine'
+import { getCompanionProfile } from '../../../lib/profiles'
+import { resolveCancellationPolicy } from '../../../lib/cancellation'
+import { getPlatformSettings } from '../../../lib/settings'
+import { parseDateTime } from '../../../lib/calendar'
+
+async function handler(req, res) {
   // Set CORS headers to prevent hanging requests
   res.setHeader('Access-Control-Allow-Origin', '*')
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS')
@@ -43,15 +64,8 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Authenticate user - ALWAYS verify before processing
-    const token = req.headers.authorization?.split(' ')[1]
-    if (!token) {
-      return res.status(401).json({ message: 'Authentication required' })
-    }
-
-    // TODO: Verify JWT token
-    // const user = verifyToken(token)
-    const user = { id: 'user123', role: 'client' } // Placeholder
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
 
     // Route based on HTTP method
     switch (req.method) {
@@ -78,43 +92,36 @@ export default async function handler(req, res) {
   }
 }
 
+export default withAuth(handler)
+
 /**
  * GET /api/bookings - Fetch user's bookings
  * SAFETY: No loops, single database query with pagination
+ * Clients see their own bookings, companions see bookings made with them
  */
 async function handleGetBookings(req, res, user) {
   try {
     const { status, page = 1, limit = 10 } = req.query
 
-    // TODO: Query database with proper pagination
-    // IMPORTANT: Always use LIMIT and OFFSET to prevent fetching all records
-    // const bookings = await db.query(
-    //   'SELECT * FROM bookings WHERE user_id = ? AND status = ? LIMIT ? OFFSET ?',
-    //   [user.id, status, limit, (page - 1) * limit]
-    // )
-
-    // Placeholder data
-    const bookings = [
-      {
-        id: 1,
-        companionId: 'comp123',
-        companionName: 'Sarah Johnson',
-        date: '2024-01-20',
-        time: '18:00',
-        duration: 2,
-        location: 'Downtown Restaurant',
-        status: 'confirmed',
-        price: 100
-      }
-    ]
+    // Validate status filter against the booking_status enum
+    const statuses = status ? String(status).split(',').map(s => s.trim()) : []
+    const invalidStatus = statuses.find(s => !BOOKING_STATUSES.includes(s))
+    if (invalidStatus) {
+      return res.status(400).json({
+        message: 'Invalid status filter',
+        validStatuses: BOOKING_STATUSES
+      })
+    }
+
+    // IMPORTANT: listBookings always applies LIMIT/OFFSET to prevent fetching all records
+    const { bookings, pagination } = await listBookings(user, { status, page, limit })
 
     return res.status(200).json({
-      bookings,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: bookings.length
-      }
+      bookings: bookings.map(booking => ({
+        ...serializeBooking(booking),
+        availableActions: getAvailableActions(booking, user)
+      })),
+      pagination
     })
   } catch (error) {
     console.error('Error fetching bookings:', error)
@@ -128,6 +135,11 @@ async function handleGetBookings(req, res, user) {
  */
 async function handleCreateBooking(req, res, user) {
   try {
+    // Only clients can book companions
+    if (user.role !== 'client') {
+      return res.status(403).json({ message: 'Only clients can create bookings' })
+    }
+
     // Validate request body - ALWAYS validate before processing
     const { companionId, date, time, duration, location, notes } = req.body
 
@@ -144,57 +156,86 @@ async function handleCreateBooking(req, res, user) {
       return res.status(400).json({ message: 'Duration must be at least 1 hour' })
     }
 
+    // Date and time are wall-clock time in the app timezone
+    const bookingDate = parseDateTime(date, time)
+    if (isNaN(bookingDate.getTime())) {
+      return res.status(400).json({ message: 'Date must be YYYY-MM-DD and time HH:MM' })
+    }
+
     // Validate date is in the future
-    const bookingDate = new Date(`${date}T${time}`)
     if (bookingDate < new Date()) {
       return res.status(400).json({ message: 'Booking date must be in the future' })
     }
 
-    // TODO: Check companion availability
-    // Fetch companion's availability schedule from database
-    // const availability = await db.query('SELECT schedule FROM companion_availability WHERE companion_id = ?', [companionId])
-    
-    // TODO: Check for conflicting bookings
-    // const existingBookings = await db.query(
-    //   'SELECT * FROM bookings WHERE companion_id = ? AND date = ? AND status NOT IN (?, ?)',
-    //   [companionId, date, 'cancelled', 'rejected']
-    // )
-    
-    // Use calendar utility to check conflicts
-    // const { hasBookingConflict } = require('../../../lib/calendar')
-    // const newBooking = { date, time, duration: durationNum }
-    // if (hasBookingConflict(newBooking, existingBookings)) {
-    //   return res.status(409).json({ 
-    //     message: 'This time slot is not available. Please choose a different time.' 
-    //   })
-    // }
-
-    // TODO: Calculate total price
-    // const companion = await db.query('SELECT hourly_rate FROM companions WHERE id = ?', [companionId])
-    // const totalPrice = companion.hourly_rate * durationNum
-
-    // TODO: Create payment intent with Paystack
-    // const payment = await createPaymentIntent(totalPrice)
-
-    // TODO: Insert booking into database
-    // IMPORTANT: Use parameterized queries to prevent SQL injection
-    // const bookingId = await db.query(
-    //   'INSERT INTO bookings (user_id, companion_id, date, time, duration, location, notes, status, price) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-    //   [user.id, companionId, date, time, durationNum, location, notes, 'pending', totalPrice]
-    // )
-
-    const newBooking = {
-      id: Date.now(), // In production, use database-generated ID
-      userId: user.id,
-      companionId,
-      date,
-      time,
-      duration: durationNum,
-      location,
-      notes,
-      status: 'pending',
-      createdAt: new Date().toISOString()
+    // Companion must exist and be verified
+    const companion = await getCompanionProfile(companionId)
+    if (!companion || companion.verification_status !== 'verified') {
+      return res.status(404).json({ message: 'Companion not found' })
+    }
+
+    const settings = await getPlatformSettings()
+    const endDate = new Date(bookingDate.getTime() + durationNum * 60 * 60 * 1000)
+
+    // Reject slots outside the companion's schedule or overlapping their bookings
+    const slotCheck = await checkBookingSlot(companion, {
+      startTime: bookingDate,
+      endTime: endDate,
+      bufferMinutes: settings.booking_buffer_minutes
+    })
+    if (!slotCheck.available) {
+      return res.status(409).json({
+        message: slotCheck.reason === 'conflict'
+          ? 'This time slot is not available. Please choose a different time.'
+          : 'The companion is not available at this time. Please choose a different time.',
+        reason: slotCheck.reason,
+        suggestedSlots: slotCheck.suggestedSlots
+      })
+    }
+
+    // CRITICAL: Price is always calculated server-side from the companion's rate
+    if (!companion.hourly_rate) {
+      return res.status(400).json({ message: 'Companion has not set an hourly rate' })
+    }
+    const totalPrice = companion.hourly_rate * durationNum
+
+    // Snapshot the revenue split and cancellation policy so later settings changes don't affect this booking
+    let bookingRow
+    try {
+      bookingRow = await createBooking({
+        clientId: user.id,
+        companionId,
+        startTime: bookingDate,
+        endTime: endDate,
+        durationHours: durationNum,
+        totalPrice,
+        location,
+        notes: notes || null,
+        companionSharePercent: settings.companion_share_percent,
+        platformSharePercent: settings.platform_share_percent,
+        cancellationPolicy: resolveCancellationPolicy(
+          companion.cancellation_policy,
+          settings.cancellation_policy
+        )
+      })
+    } catch (error) {
+      // Another request claimed an overlapping slot between our check and the insert
+      if (isBookingOverlapError(error)) {
+        return res.status(409).json({
+          message: 'This time slot is not available. Please choose a different time.',
+          reason: 'conflict'
+        })
+      }
+      throw error
     }
+    const newBooking = serializeBooking(bookingRow)
+
+    await recordBookingEvent({
+      bookingId: bookingRow.id,
+      actor: user,
+      actorRole: 'client',
+      action: 'create',
+      toStatus: bookingRow.status
+    })
 
     // Send notification to companion via Pusher/Supabase Realtime
     try {
@@ -215,7 +256,7 @@ async function handleCreateBooking(req, res, user) {
           inApp: true,
           email: true,
           push: true,
-          userEmail: null, // TODO: Fetch companion email from database
+          userEmail: companion.email,
           pushToken: null
         }
       )
@@ -235,23 +276,20 @@ async function handleCreateBooking(req, res, user) {
 }
 
 /**
- * PUT /api/bookings - Update booking (accept/complete/cancel)
- * SAFETY: Single update operation, validates state transitions
- * 
+ * PUT /api/bookings - Move a booking through its lifecycle
+ * SAFETY: Single conditional update, transitions validated by the booking state machine
+ *
+ * Body: { bookingId, action, reason? }
+ * Who may do what, and the side effects of each action (chat, refunds,
+ * notifications), are defined in lib/bookingStateMachine.js.
+ *
  * CHAT AVAILABILITY LOGIC:
- * - Chat becomes available when companion accepts booking (status: 'accepted' or 'confirmed')
- * - Chat becomes unavailable when companion marks as 'completed'
- * - Chat also unavailable for 'pending', 'rejected', 'cancelled' statuses
- * 
- * PAYMENT WORKFLOW:
- * - accept: Charge client via Paystack (payment held)
- * - complete: Trigger split payment to companion via subaccount
- * - reject: Issue automatic refund to client
- * - cancel: Issue automatic refund to client (if payment was made)
+ * - Chat becomes available when companion accepts booking (status: 'accepted')
+ * - Chat becomes unavailable when the booking is completed, declined or cancelled
  */
 async function handleUpdateBooking(req, res, user) {
   try {
-    const { bookingId, action } = req.body
+    const { bookingId, action, reason } = req.body
 
     if (!bookingId || !action) {
       return res.status(400).json({ 
@@ -260,8 +298,8 @@ async function handleUpdateBooking(req, res, user) {
       })
     }
 
-    // Validate action
-    const validActions = ['accept', 'reject', 'complete', 'cancel', 'expire']
+    // Validate action - only list what this caller's role can ever do
+    const validActions = getActionsForRole(user.role)
     if (!validActions.includes(action)) {
       return res.status(400).json({ 
         message: 'Invalid action',
@@ -269,223 +307,33 @@ async function handleUpdateBooking(req, res, user) {
       })
     }
 
-    // TODO: Fetch booking and verify ownership
-    // const booking = await db.query('SELECT * FROM bookings WHERE id = ?', [bookingId])
-    // if (!booking || (booking.userId !== user.id && booking.companionId !== user.id)) {
-    //   return res.status(403).json({ message: 'Not authorized' })
-    // }
-
-    // TODO: Validate state transitions
-    // Only companions can accept/reject/complete
-    // if (['accept', 'reject', 'complete'].includes(action) && user.role !== 'companion') {
-    //   return res.status(403).json({ message: 'Only companions can perform this action' })
-    // }
-    
-    // TODO: Validate booking can be completed only if accepted first
-    // if (action === 'complete' && !['accepted', 'confirmed'].includes(booking.status)) {
-    //   return res.status(400).json({ message: 'Booking must be accepted before completing' })
-    // }
-
-    // Map action to status
-    const statusMap = {
-      'accept': 'accepted',
-      'reject': 'rejected',
-      'complete': 'completed',
-      'cancel': 'cancelled',
-      'expire': 'expired'
+    // Fetch booking and verify the user is a participant
+    const existing = await getBookingForUser(bookingId, user)
+    if (!existing) {
+      return res.status(404).json({ message: 'Booking not found' })
     }
-    const newStatus = statusMap[action]
-
-    // TODO: Update booking status
-    // await db.query('UPDATE bookings SET status = ? WHERE id = ?', [newStatus, bookingId])
-
-    // Placeholder booking data - in production, fetch from database
-    const booking = {
-      id: bookingId,
-      userId: 'user123',
-      companionId: 'comp123',
-      date: '2024-01-20',
-      time: '18:00',
-      location: 'Downtown Restaurant',
-      status: newStatus
-    }
-
-    // Handle payment based on action
-    try {
-      if (action === 'complete') {
-        // Trigger split payment to companion
-        // TODO: Fetch booking payment reference and companion subaccount
-        // const paymentRef = booking.payment_reference
-        // const companionSubaccount = booking.companion_subaccount
-        
-        // Payment was already held on accept, now Paystack will auto-split
-        // No action needed here as split was configured during initialization
-        console.log('Booking completed - split payment will be processed automatically')
-        
-        // TODO: Optionally verify the split was successful
-        // const verification = await verifyPayment(paymentRef)
-        // if (!verification.data.subaccount) {
-        //   console.error('Split payment not configured for booking:', bookingId)
-        // }
-      } else if (action === 'reject' || action === 'cancel' || action === 'expire') {
-        // Issue refund to client
-        // TODO: Fetch payment reference from booking
-        // const paymentRef = booking.payment_reference
-        // const paymentAmount = booking.amount
-        
-        // Only refund if payment was already made
-        // if (booking.payment_status === 'paid') {
-        //   const { initiateRefund } = require('../../../lib/paystack')
-        //   await initiateRefund({
-        //     transaction: paymentRef,
-        //     amount: paymentAmount,
-        //     customerNote: `Refund for ${action}ed booking #${bookingId}`,
-        //     merchantNote: `Automatic refund - booking ${action}ed`
-        //   })
-        //   
-        //   // Update payment status to refund_pending
-        //   await db.query('UPDATE payments SET status = ? WHERE reference = ?', 
-        //     ['refund_pending', paymentRef])
-        // }
-        
-        console.log(`Booking ${action}ed - refund initiated if payment was made`)
-      }
-    } catch (paymentError) {
-      console.error('Payment processing error:', paymentError)
-      // Don't fail the booking update if payment fails
-      // Log for manual intervention
-      // TODO: Alert admin about payment issue
-    }
-
-    // Send notifications to both parties
-    try {
-      const appUrl = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'
-      const chatAvailable = ['accepted', 'confirmed'].includes(newStatus)
-
-      // Determine notification type and recipients based on action
-      if (action === 'accept') {
-        // Notify client that booking was accepted
-        await sendNotification(
-          booking.userId,
-          NOTIFICATION_TYPES.BOOKING_ACCEPTED,
-          {
-            companionName: 'Your companion', // TODO: Fetch from database
-            date: booking.date,
-            time: booking.time,
-            location: booking.location,
-            chatUrl: `${appUrl}/client/dashboard?booking=${bookingId}&chat=true`
-          },
-          {
-            inApp: true,
-            email: true,
-            push: true,
-            userEmail: null, // TODO: Fetch from database
-            pushToken: null
-          }
-        )
-      } else if (action === 'reject') {
-        // Notify client that booking was rejected
-        await sendNotification(
-          booking.userId,
-          NOTIFICATION_TYPES.BOOKING_REJECTED,
-          {
-            date: booking.date,
-            time: booking.time,
-            searchUrl: `${appUrl}/client/dashboard`
-          },
-          {
-            inApp: true,
-            email: true,
-            push: true,
-            userEmail: null,
-            pushToken: null
-          }
-        )
-      } else if (action === 'cancel') {
-        // Notify companion that booking was cancelled
-        await sendNotification(
-          booking.companionId,
-          NOTIFICATION_TYPES.BOOKING_CANCELLED,
-          {
-            date: booking.date,
-            time: booking.time
-          },
-          {
-            inApp: true,
-            email: true,
-            push: true,
-            userEmail: null,
-            pushToken: null
-          }
-        )
-      } else if (action === 'complete') {
-        // Notify both parties that booking is completed
-        await sendNotification(
-          booking.userId,
-          NOTIFICATION_TYPES.BOOKING_COMPLETED,
-          {
-            companionName: 'Your companion',
-            reviewUrl: `${appUrl}/client/dashboard?booking=${bookingId}&review=true`
-          },
-          {
-            inApp: true,
-            email: true,
-            push: false,
-            userEmail: null,
-            pushToken: null
-          }
-        )
 
-        await sendNotification(
-          booking.companionId,
-          NOTIFICATION_TYPES.BOOKING_COMPLETED,
-          {
-            clientName: 'Your client',
-            reviewUrl: `${appUrl}/companion/dashboard?booking=${bookingId}&review=true`
-          },
-          {
-            inApp: true,
-            email: true,
-            push: false,
-            userEmail: null,
-            pushToken: null
-          }
-        )
+    const result = await transitionBooking(existing, action, user, {
+      reason: typeof reason === 'string' ? reason.trim().slice(0, 500) || null : null
+    })
 
-        // Send payment received notification to companion
-        await sendNotification(
-          booking.companionId,
-          NOTIFICATION_TYPES.PAYMENT_RECEIVED,
-          {
-            amount: '$100', // TODO: Get from booking
-            date: booking.date,
-            dashboardUrl: `${appUrl}/companion/dashboard`
-          },
-          {
-            inApp: true,
-            email: true,
-            push: false,
-            userEmail: null,
-            pushToken: null
-          }
-        )
-      }
-    } catch (notificationError) {
-      // Log but don't fail the booking update if notification fails
-      console.error('Failed to send booking update notification:', notificationError)
+    if (result.status) {
+      const { status, ...body } = result
+      return res.status(status).json(body)
     }
 
+    const booking = serializeBooking(result.booking)
+
     return res.status(200).json({
-      message: `Booking ${action}ed successfully`,
+      message: `Booking ${BOOKING_TRANSITIONS[action].pastTense} successfully`,
       bookingId,
-      status: newStatus,
-      // Chat is available for accepted/confirmed bookings only
-      chatAvailable: ['accepted', 'confirmed'].includes(newStatus),
-      paymentAction: action === 'complete' 
-        ? 'split_payment_processed' 
-        : ['reject', 'cancel', 'expire'].includes(action)
-        ? 'refund_initiated'
-        : 'none'
+      status: booking.status,
+      booking,
+      availableActions: getAvailableActions(result.booking, user),
+      // Chat is available for accepted bookings only
+      chatAvailable: booking.status === 'accepted',
+      paymentAction: result.paymentAction,
+      ...result.details
     })
   } catch (error) {
     console.error('Error updating booking:', error)
@@ -0,0 +1,134 @@
+/**
+ * Chat Attachments API Route - Serverless Function
+ *
+ * POST   /api/chat/attachments
+ * - Upload a photo or PDF: { bookingId, fileName, data } with data base64-encoded
+ * - JPEG, PNG, WebP or PDF up to 10 MB; the type is detected from the file
+ * - Images are moderated before they're stored; flagged ones get 422
+ * - Returns the attachment; send it with POST /api/chat/messages { attachmentIds }
+ *
+ * DELETE /api/chat/attachments?id=
+ * - Discard one of your uploads that hasn't been sent
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Request bodies are capped by the body parser size limit
+ * - Always return a response (success or error)
+ *
+ * ERROR HANDLING:
+ * - Comprehensive try-catch blocks around all operations
+ * - Proper HTTP status codes for different error types
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - Only the booking's participants can upload, and only while chat is open
+ * - Files are private; responses carry signed URLs that expire
+ */
+
+import { withAuth } from '../../../lib/auth'
+import { getConversation } from '../../../lib/chat'
+import { uploadAttachment, discardAttachment, serializeAttachment } from '../../../lib/attachments'
+
+// Base64 adds a third to the 10 MB file limit
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '14mb'
+    }
+  }
+}
+
+async function handler(req, res) {
+  // Set CORS headers to prevent hanging requests
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, DELETE, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  try {
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
+
+    switch (req.method) {
+      case 'POST':
+        return await handleUpload(req, res, user)
+
+      case 'DELETE':
+        return await handleDiscard(req, res, user)
+
+      default:
+        return res.status(405).json({ message: 'Method not allowed' })
+    }
+  } catch (error) {
+    console.error('Chat attachments API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+export default withAuth(handler)
+
+/**
+ * POST /api/chat/attachments - Upload an attachment
+ */
+async function handleUpload(req, res, user) {
+  const { bookingId, fileName, data } = req.body || {}
+
+  if (!bookingId || !data) {
+    return res.status(400).json({
+      message: 'Missing required fields',
+      required: ['bookingId', 'data']
+    })
+  }
+
+  if (typeof data !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(data)) {
+    return res.status(400).json({ message: 'data must be the base64-encoded file' })
+  }
+
+  const conversation = await getConversation(bookingId, user)
+  if (conversation.status) {
+    return res.status(conversation.status).json({
+      message: conversation.message,
+      ...(conversation.hint && { hint: conversation.hint })
+    })
+  }
+  if (!conversation.canSend) {
+    return res.status(403).json({
+      message: 'Chat is not available for this booking',
+      hint: 'Chat is no longer available for this booking'
+    })
+  }
+
+  const result = await uploadAttachment(conversation, user, { fileName, data })
+  if (result.status) {
+    return res.status(result.status).json({ message: result.message })
+  }
+
+  return res.status(201).json({
+    message: 'Attachment uploaded',
+    attachment: await serializeAttachment(result.attachment)
+  })
+}
+
+/**
+ * DELETE /api/chat/attachments?id= - Discard an unsent upload
+ */
+async function handleDiscard(req, res, user) {
+  const { id } = req.query
+
+  if (!id) {
+    return res.status(400).json({ message: 'Missing required field: id' })
+  }
+
+  const removed = await discardAttachment(id, user)
+  if (!removed) {
+    return res.status(404).json({ message: 'Attachment not found or already sent' })
+  }
+
+  return res.status(200).json({ message: 'Attachment removed' })
+}
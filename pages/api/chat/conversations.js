@@ -1,6 +1,12 @@
 /**
  * Chat Conversations API Route - Serverless Function
  * Returns list of conversations (bookings) available for chat
+ *
+ * GET /api/chat/conversations
+ * - Chats of the user's accepted and completed bookings, most recently
+ *   active first, with the last message and unread count of each
+ * - Completed bookings come back with canSend: false (history is read-only)
+ * - Incoming messages shown here are marked delivered
  * 
  * INFINITE LOOP PREVENTION:
  * - Each request is handled exactly once with a single response
@@ -16,9 +22,10 @@
  * - Proper HTTP status codes for different error types
  */
 
-import { verifyToken } from '../../../lib/auth'
+import { withAuth } from '../../../lib/auth'
+import { listConversations } from '../../../lib/chat'
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Set CORS headers to prevent hanging requests
   res.setHeader('Access-Control-Allow-Origin', '*')
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS')
@@ -34,64 +41,14 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Authenticate user
-    const token = req.headers.authorization?.split(' ')[1]
-    if (!token) {
-      return res.status(401).json({ message: 'Authentication required' })
-    }
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
 
-    let user
-    try {
-      user = verifyToken(token)
-    } catch (error) {
-      return res.status(401).json({ message: 'Invalid or expired token' })
-    }
-
-    // TODO: Fetch bookings where chat is available
-    // Chat is available for bookings with status 'accepted' or 'confirmed'
-    // const conversations = await db.query(
-    //   `SELECT 
-    //     b.*,
-    //     CASE 
-    //       WHEN b.user_id = ? THEN c.name
-    //       ELSE u.name
-    //     END as otherPartyName,
-    //     CASE 
-    //       WHEN b.user_id = ? THEN c.id
-    //       ELSE u.id
-    //     END as otherPartyId,
-    //     (SELECT COUNT(*) FROM messages WHERE booking_id = b.id AND sender_id != ? AND read_at IS NULL) as unreadCount,
-    //     (SELECT text FROM messages WHERE booking_id = b.id ORDER BY created_at DESC LIMIT 1) as lastMessage,
-    //     (SELECT created_at FROM messages WHERE booking_id = b.id ORDER BY created_at DESC LIMIT 1) as lastMessageAt
-    //   FROM bookings b
-    //   LEFT JOIN users u ON b.user_id = u.id
-    //   LEFT JOIN companions c ON b.companion_id = c.id
-    //   WHERE (b.user_id = ? OR b.companion_id = ?)
-    //     AND b.status IN ('accepted', 'confirmed')
-    //   ORDER BY lastMessageAt DESC NULLS LAST, b.date DESC`,
-    //   [user.id, user.id, user.id, user.id, user.id]
-    // )
-
-    // Placeholder data for development
-    const conversations = [
-      {
-        id: 1,
-        bookingId: 1,
-        otherPartyName: user.role === 'client' ? 'Sarah Johnson' : 'John Smith',
-        otherPartyId: user.role === 'client' ? 'comp123' : 'user123',
-        otherPartyRole: user.role === 'client' ? 'companion' : 'client',
-        status: 'accepted',
-        date: '2024-01-20',
-        time: '18:00',
-        location: 'Downtown Restaurant',
-        unreadCount: 0,
-        lastMessage: 'See you tomorrow!',
-        lastMessageAt: new Date(Date.now() - 3600000).toISOString()
-      }
-    ]
+    const { conversations, unreadTotal } = await listConversations(user)
 
     return res.status(200).json({
-      conversations
+      conversations,
+      unreadTotal
     })
   } catch (error) {
     console.error('Chat conversations API error:', error)
@@ -101,3 +58,5 @@ export default async function handler(req, res) {
     })
   }
 }
+
+export default withAuth(handler)
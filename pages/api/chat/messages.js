@@ -1,5 +1,25 @@
 /**
  * Chat Messages API Route - Serverless Function
+ *
+ * GET  /api/chat/messages?bookingId=&before=&limit=
+ * - A page of the booking's chat history, oldest first within the page
+ * - `before` is the nextCursor of the previous page, for loading older messages
+ * - Marks the other participant's messages as delivered
+ *
+ * POST /api/chat/messages
+ * - Send a message: { bookingId, text, attachmentIds? }; only while the booking is accepted
+ * - attachmentIds are uploads from POST /api/chat/attachments; text may be
+ *   empty when there are attachments
+ * - Contact and payment details are warned about, masked or blocked under the
+ *   platform policy (lib/contactDetection.js); the response carries a warning
+ * - Messages are moderated (lib/moderation.js): harmful ones get 422,
+ *   borderline ones are delivered and queued for an admin
+ *
+ * PUT  /api/chat/messages
+ * - Mark messages read: { bookingId, upToId? }; the sender gets a read receipt
+ *
+ * Typing indicators don't go through the API: ChatUI sends `client-typing`
+ * Pusher client events on the conversation channel.
  * 
  * INFINITE LOOP PREVENTION:
  * - Each request is handled exactly once with a single response
@@ -28,14 +48,27 @@
  * - Content moderation for safety
  */
 
-import { verifyToken } from '../../../lib/auth'
+import { withAuth } from '../../../lib/auth'
 import { sendMessageToConversation } from '../../../lib/pusher'
 import { sendNotification, NOTIFICATION_TYPES } from '../../../lib/notifications'
+import { getSendableAttachments } from '../../../lib/attachments'
+import { screenMessage } from '../../../lib/contactDetection'
+import { assessText, recordModerationEvent, getBlockedMessage } from '../../../lib/moderation'
+import {
+  getConversation,
+  getOtherParty,
+  listMessages,
+  createMessage,
+  markRead,
+  serializeMessage,
+  serializeMessages,
+  MAX_MESSAGE_LENGTH
+} from '../../../lib/chat'
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Set CORS headers to prevent hanging requests
   res.setHeader('Access-Control-Allow-Origin', '*')
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS')
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
 
   // Handle preflight requests immediately
@@ -44,18 +77,8 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Authenticate user - ALWAYS verify before processing
-    const token = req.headers.authorization?.split(' ')[1]
-    if (!token) {
-      return res.status(401).json({ message: 'Authentication required' })
-    }
-
-    let user
-    try {
-      user = verifyToken(token)
-    } catch (error) {
-      return res.status(401).json({ message: 'Invalid or expired token' })
-    }
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
 
     // Route based on HTTP method
     switch (req.method) {
@@ -64,6 +87,9 @@ export default async function handler(req, res) {
       
       case 'POST':
         return await handleSendMessage(req, res, user)
+
+      case 'PUT':
+        return await handleMarkRead(req, res, user)
       
       default:
         return res.status(405).json({ message: 'Method not allowed' })
@@ -79,13 +105,15 @@ export default async function handler(req, res) {
   }
 }
 
+export default withAuth(handler)
+
 /**
- * GET /api/chat/messages - Fetch messages for a conversation
- * SAFETY: No loops, single database query with pagination
+ * GET /api/chat/messages - Fetch a page of messages for a conversation
+ * SAFETY: No loops, single database query with cursor pagination
  */
 async function handleGetMessages(req, res, user) {
   try {
-    const { bookingId, page = 1, limit = 50 } = req.query
+    const { bookingId, before, limit } = req.query
 
     if (!bookingId) {
       return res.status(400).json({ 
@@ -93,47 +121,27 @@ async function handleGetMessages(req, res, user) {
       })
     }
 
-    // TODO: Verify user has access to this booking (is client or companion)
-    // const booking = await db.query(
-    //   'SELECT * FROM bookings WHERE id = ? AND (user_id = ? OR companion_id = ?)',
-    //   [bookingId, user.id, user.id]
-    // )
-    // if (!booking) {
-    //   return res.status(403).json({ message: 'Access denied to this conversation' })
-    // }
-
-    // TODO: Check booking status - chat only available between 'accepted' and 'completed'
-    // if (!['accepted', 'confirmed'].includes(booking.status)) {
-    //   return res.status(403).json({ 
-    //     message: 'Chat is not available for this booking',
-    //     status: booking.status
-    //   })
-    // }
-
-    // TODO: Fetch messages from database with pagination
-    // const messages = await db.query(
-    //   'SELECT * FROM messages WHERE booking_id = ? ORDER BY created_at ASC LIMIT ? OFFSET ?',
-    //   [bookingId, parseInt(limit), (parseInt(page) - 1) * parseInt(limit)]
-    // )
-
-    // Placeholder data for development
-    const messages = [
-      {
-        id: 1,
-        bookingId: bookingId,
-        senderId: user.role === 'client' ? 'comp123' : 'user123',
-        senderRole: user.role === 'client' ? 'companion' : 'client',
-        text: 'Hi! Thanks for booking. Looking forward to meeting you!',
-        createdAt: new Date(Date.now() - 3600000).toISOString()
-      }
-    ]
+    if (before && !/^\d+$/.test(String(before))) {
+      return res.status(400).json({ message: 'Invalid cursor' })
+    }
+
+    // Only the booking's participants, and only once chat has opened
+    const conversation = await getConversation(bookingId, user)
+    if (conversation.status) {
+      return res.status(conversation.status).json({
+        message: conversation.message,
+        ...(conversation.hint && { hint: conversation.hint })
+      })
+    }
+
+    const page = await listMessages(conversation, user, { before, limit })
 
     return res.status(200).json({
-      messages,
+      messages: await serializeMessages(page.messages, conversation.booking),
+      canSend: conversation.canSend,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: messages.length
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore
       }
     })
   } catch (error) {
@@ -148,81 +156,87 @@ async function handleGetMessages(req, res, user) {
  */
 async function handleSendMessage(req, res, user) {
   try {
-    const { bookingId, text } = req.body
+    const { bookingId, text = '', attachmentIds = [] } = req.body
+    const hasAttachments = Array.isArray(attachmentIds) && attachmentIds.length > 0
 
     // Validate request body
-    if (!bookingId || !text) {
+    if (!bookingId || (!text && !hasAttachments)) {
       return res.status(400).json({ 
         message: 'Missing required fields',
-        required: ['bookingId', 'text']
+        required: ['bookingId', 'text or attachmentIds']
       })
     }
 
+    if (typeof text !== 'string') {
+      return res.status(400).json({ message: 'Message must be text' })
+    }
+
+    if (!Array.isArray(attachmentIds)) {
+      return res.status(400).json({ message: 'attachmentIds must be a list of attachment ids' })
+    }
+
     // Validate message length
-    if (text.length > 5000) {
+    if (text.length > MAX_MESSAGE_LENGTH) {
       return res.status(400).json({ 
-        message: 'Message is too long. Maximum length is 5000 characters.'
+        message: `Message is too long. Maximum length is ${MAX_MESSAGE_LENGTH} characters.`
       })
     }
 
-    if (text.trim().length === 0) {
+    if (text.trim().length === 0 && !hasAttachments) {
       return res.status(400).json({ 
         message: 'Message cannot be empty'
       })
     }
 
-    // TODO: Verify user has access to this booking
-    // const booking = await db.query(
-    //   'SELECT * FROM bookings WHERE id = ? AND (user_id = ? OR companion_id = ?)',
-    //   [bookingId, user.id, user.id]
-    // )
-    // if (!booking) {
-    //   return res.status(403).json({ message: 'Access denied to this conversation' })
-    // }
-
-    // TODO: Check booking status - chat only available between 'accepted' and 'completed'
-    // if (!['accepted', 'confirmed'].includes(booking.status)) {
-    //   return res.status(403).json({ 
-    //     message: 'Chat is not available for this booking',
-    //     status: booking.status,
-    //     hint: booking.status === 'pending' 
-    //       ? 'Chat will be available once the companion accepts the booking'
-    //       : 'Chat is no longer available for this booking'
-    //   })
-    // }
-
-    // TODO: Content moderation with OpenAI
-    // Check for inappropriate content before saving
-    // const moderationResult = await fetch('/api/moderation/openai', {
-    //   method: 'POST',
-    //   headers: { 'Content-Type': 'application/json' },
-    //   body: JSON.stringify({ text })
-    // })
-    // if (moderationResult.flagged) {
-    //   return res.status(400).json({ 
-    //     message: 'Message contains inappropriate content and cannot be sent'
-    //   })
-    // }
-
-    // TODO: Insert message into database
-    // const messageId = await db.query(
-    //   'INSERT INTO messages (booking_id, sender_id, sender_role, text, created_at) VALUES (?, ?, ?, ?, ?)',
-    //   [bookingId, user.id, user.role, text, new Date()]
-    // )
-
-    const newMessage = {
-      id: Date.now(), // In production, use database-generated ID
-      bookingId,
-      senderId: user.id,
-      senderRole: user.role,
-      text,
-      createdAt: new Date().toISOString()
+    // Only the booking's participants, and only while the booking is accepted
+    const conversation = await getConversation(bookingId, user)
+    if (conversation.status) {
+      return res.status(conversation.status).json({
+        message: conversation.message,
+        ...(conversation.hint && { hint: conversation.hint })
+      })
+    }
+    if (!conversation.canSend) {
+      return res.status(403).json({ 
+        message: 'Chat is not available for this booking',
+        status: conversation.booking.status,
+        hint: 'Chat is no longer available for this booking'
+      })
+    }
+
+    // Images were moderated when they were uploaded
+    const sendable = await getSendableAttachments(conversation, user, attachmentIds)
+    if (sendable.status) {
+      return res.status(sendable.status).json({ message: sendable.message })
+    }
+
+    // Keep contact and payment details on the platform
+    const screening = await screenMessage(text, user)
+    if (screening.action === 'block') {
+      return res.status(422).json({
+        message: screening.warning,
+        detected: screening.types
+      })
+    }
+
+    // Harmful content is refused; borderline content is delivered and queued
+    const moderation = await assessText(screening.text)
+    if (moderation.decision === 'block') {
+      await recordModerationEvent(moderation, { contentType: 'message', userId: user.id })
+      return res.status(422).json({ message: getBlockedMessage('message') })
     }
 
+    const content = screening.text.trim() ? screening.text : ''
+    const { message: row, attachments } = await createMessage(
+      conversation, user, content, sendable.attachments)
+    const newMessage = serializeMessage(row, conversation.booking, attachments)
+    await recordModerationEvent(moderation, { contentType: 'message', contentId: row.id, userId: user.id })
+
     // Send real-time notification via Pusher
     try {
-      await sendMessageToConversation(bookingId, {
-        ...newMessage,
+      const { senderId, ...realtimeMessage } = newMessage
+      await sendMessageToConversation(conversation.booking.id, {
+        ...realtimeMessage,
         // Don't send sender ID in real-time to prevent spoofing
         sender: user.role
       })
@@ -233,14 +247,12 @@ async function handleSendMessage(req, res, user) {
 
     // Send notification to the other party
     try {
-      // TODO: Fetch booking to get recipient ID
-      // const booking = await db.query('SELECT * FROM bookings WHERE id = ?', [bookingId])
-      // const recipientId = user.role === 'client' ? booking.companionId : booking.userId
-      
-      // Placeholder - determine recipient
-      const recipientId = user.role === 'client' ? 'comp123' : 'user123'
+      const recipient = getOtherParty(conversation.booking, user)
+      const recipientId = recipient.id
       const appUrl = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'
-      const messagePreview = text.length > 50 ? text.substring(0, 50) + '...' : text
+      const messagePreview = !content
+        ? `Sent ${attachments.length === 1 ? 'an attachment' : `${attachments.length} attachments`}`
+        : content.length > 50 ? content.substring(0, 50) + '...' : content
 
       await sendNotification(
         recipientId,
@@ -248,7 +260,7 @@ async function handleSendMessage(req, res, user) {
         {
           senderName: user.name || (user.role === 'client' ? 'A client' : 'A companion'),
           messagePreview,
-          chatUrl: `${appUrl}/${user.role === 'client' ? 'companion' : 'client'}/dashboard?booking=${bookingId}&chat=true`
+          chatUrl: `${appUrl}/${recipient.role}/messages?booking=${conversation.booking.id}`
         },
         {
           inApp: true,
@@ -265,10 +277,49 @@ async function handleSendMessage(req, res, user) {
 
     return res.status(201).json({
       message: 'Message sent successfully',
-      data: newMessage
+      data: newMessage,
+      ...(screening.warning && {
+        warning: screening.warning,
+        detected: screening.types
+      })
     })
   } catch (error) {
     console.error('Error sending message:', error)
     throw error
   }
 }
+
+/**
+ * PUT /api/chat/messages - Mark the other participant's messages as read
+ * SAFETY: Single bounded update, receipts are only ever set once
+ */
+async function handleMarkRead(req, res, user) {
+  try {
+    const { bookingId, upToId = null } = req.body
+
+    if (!bookingId) {
+      return res.status(400).json({ 
+        message: 'Missing required field: bookingId'
+      })
+    }
+
+    if (upToId !== null && !/^\d+$/.test(String(upToId))) {
+      return res.status(400).json({ message: 'upToId must be a message id' })
+    }
+
+    const conversation = await getConversation(bookingId, user)
+    if (conversation.status) {
+      return res.status(conversation.status).json({ message: conversation.message })
+    }
+
+    const receipt = await markRead(conversation, user, { upToId })
+
+    return res.status(200).json({
+      message: 'Messages marked as read',
+      ...receipt
+    })
+  } catch (error) {
+    console.error('Error marking messages read:', error)
+    throw error
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Companion Scorecard Refresh API Route - Serverless Function
+ *
+ * This endpoint should be called by a cron job to keep companion scorecards
+ * (lib/scorecards.js) current between the changes that refresh them:
+ * - Blind reviews published when their review window closes
+ * - Response and completion rates, whose 90-day window moves daily
+ *
+ * Recommended schedule:
+ * - Run every hour; each scorecard is refreshed at least once a day
+ *
+ * INFINITE LOOP PREVENTION:
+ * - Refreshed scorecards drop out of the query
+ * - Stops at the first batch with a failure; the rest wait for the next run
+ * - No recursive calls
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Processes in batches
+ * - Returns a summary once every batch is done
+ *
+ * ERROR HANDLING:
+ * - Continue processing even if one scorecard fails
+ * - Log all errors for monitoring
+ * - Return summary of successes/failures
+ *
+ * SECURITY:
+ * - Should be called by cron job with API key
+ */
+
+import { runScorecardRefresh } from '../../../lib/scorecards'
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    // Verify cron job authentication
+    const authHeader = req.headers.authorization
+    const cronSecret = process.env.CRON_SECRET
+
+    if (cronSecret && authHeader !== `Bearer ${cronSecret}`) {
+      return res.status(401).json({ message: 'Unauthorized' })
+    }
+
+    const now = new Date()
+    const results = await runScorecardRefresh({ now })
+
+    return res.status(200).json({
+      message: 'Scorecards refreshed',
+      timestamp: now.toISOString(),
+      results
+    })
+  } catch (error) {
+    console.error('Scorecard refresh API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
@@ -1,5 +1,26 @@
 /**
  * Companion Search API Route - Serverless Function
+ *
+ * GET /api/companions/search
+ * - query, minRating, minPrice, maxPrice, specialties, online, page, limit
+ * - query and specialties match with synonyms and typo tolerance
+ *   ("dinner" finds "Fine Dining")
+ * - sortBy: relevance (default: text match blended with the companion's
+ *   scorecard - weighted rating, reviews, response and completion rates - and
+ *   distance), price, rating (Bayesian-weighted), distance or newest
+ * - Every result carries its scorecard summary: `rating`, `reviews`,
+ *   `ratingTrend`, `responseRate` and `completionRate`
+ * - Location: lat & lng (the client's position) or city (see CITIES in
+ *   lib/geo.js), with radius in km (default 25, max 200). Results are then
+ *   limited to companions whose service area covers that point, each with a
+ *   real `distanceKm`. Sorting by distance needs a location.
+ * - Availability: date (YYYY-MM-DD), optionally startTime (HH:MM) and
+ *   duration (whole hours, default 1). Only companions free for that window
+ *   (or, without a time, for some slot that day) are returned.
+ * - Every result carries `nextAvailableSlots`: [{ date, time, duration }]
+ * - Every result carries `presence`: { status, label, lastSeenAt } where
+ *   status is online, recent ("Active 2h ago") or away; online=true keeps
+ *   only companions online now (see lib/presence.js)
  * 
  * INFINITE LOOP PREVENTION:
  * - Each request is handled exactly once with a single response
@@ -23,9 +44,22 @@
  * SECURITY:
  * - Input validation and sanitization
  * - SQL injection prevention with parameterized queries
+ * - Companion coordinates are never returned, only a rounded distance and
+ *   their city label; the client's location is not stored
  * - Rate limiting should be implemented in production
  */
 
+import { searchCompanions, SEARCH_SORT_OPTIONS } from '../../../lib/companionSearch';
+import {
+  CITIES,
+  DEFAULT_SEARCH_RADIUS_KM,
+  MAX_SEARCH_RADIUS_KM,
+  parseCoordinates
+} from '../../../lib/geo';
+import { formatDate, isPastDate } from '../../../lib/calendar';
+
+const MAX_DURATION_HOURS = 24;
+
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -46,13 +80,19 @@ export default async function handler(req, res) {
     // Extract query parameters with defaults
     const {
       query = '',
-      location = '',
+      lat,
+      lng,
+      city = '',
+      radius,
+      date = '',
+      startTime = '',
+      duration,
       minRating = 0,
-      maxPrice = 999999,
+      maxPrice,
       minPrice = 0,
-      availability = '',
       specialties = '',
-      languages = '',
+      online = '',
+      sortBy = 'relevance',
       page = 1,
       limit = 10
     } = req.query;
@@ -61,174 +101,81 @@ export default async function handler(req, res) {
     const pageNum = Math.max(1, parseInt(page) || 1);
     const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
     const minRatingNum = Math.max(0, Math.min(5, parseFloat(minRating) || 0));
-    const maxPriceNum = Math.max(0, parseFloat(maxPrice) || 999999);
+    const maxPriceNum = maxPrice === undefined || maxPrice === '' ? null : Math.max(0, parseFloat(maxPrice) || 0);
     const minPriceNum = Math.max(0, parseFloat(minPrice) || 0);
-
-    // TODO: In production, fetch from database
-    // const companions = await db.query(`
-    //   SELECT * FROM companions 
-    //   WHERE role = 'companion' 
-    //   AND verificationStatus = 'verified'
-    //   AND (name LIKE ? OR bio LIKE ?)
-    //   AND rating >= ?
-    //   AND hourlyRate BETWEEN ? AND ?
-    //   ORDER BY rating DESC, distance ASC
-    //   LIMIT ? OFFSET ?
-    // `, [searchQuery, searchQuery, minRating, minPrice, maxPrice, limit, offset])
-
-    // Placeholder data - in production, this would come from a database
-    const allCompanions = [
-      {
-        id: 1,
-        name: 'Emma Wilson',
-        rating: 4.9,
-        reviews: 127,
-        distance: '0.5 km',
-        hourlyRate: 50,
-        location: 'Downtown, New York',
-        bio: 'Professional companion with expertise in fine dining and cultural events',
-        specialties: ['Fine Dining', 'Theater', 'Art Galleries'],
-        languages: ['English', 'French'],
-        availability: 'available',
-        verificationStatus: 'verified',
-        image: '/placeholder.jpg'
-      },
-      {
-        id: 2,
-        name: 'Sophie Anderson',
-        rating: 4.8,
-        reviews: 98,
-        distance: '1.2 km',
-        hourlyRate: 45,
-        location: 'Midtown, New York',
-        bio: 'Experienced companion specializing in business events and networking',
-        specialties: ['Business Events', 'Networking', 'Corporate Functions'],
-        languages: ['English', 'Spanish'],
-        availability: 'available',
-        verificationStatus: 'verified',
-        image: '/placeholder.jpg'
-      },
-      {
-        id: 3,
-        name: 'Isabella Martinez',
-        rating: 4.9,
-        reviews: 143,
-        distance: '2.3 km',
-        hourlyRate: 60,
-        location: 'Upper East Side, New York',
-        bio: 'Elite companion for high-end events and exclusive gatherings',
-        specialties: ['Gala Events', 'Opera', 'Wine Tasting'],
-        languages: ['English', 'Spanish', 'Italian'],
-        availability: 'busy',
-        verificationStatus: 'verified',
-        image: '/placeholder.jpg'
-      },
-      {
-        id: 4,
-        name: 'Olivia Chen',
-        rating: 4.7,
-        reviews: 85,
-        distance: '3.1 km',
-        hourlyRate: 55,
-        location: 'Brooklyn, New York',
-        bio: 'Friendly companion for casual outings and social events',
-        specialties: ['Casual Dining', 'Movies', 'Concerts'],
-        languages: ['English', 'Mandarin'],
-        availability: 'available',
-        verificationStatus: 'verified',
-        image: '/placeholder.jpg'
-      },
-      {
-        id: 5,
-        name: 'Ava Thompson',
-        rating: 4.8,
-        reviews: 112,
-        distance: '1.8 km',
-        hourlyRate: 48,
-        location: 'Chelsea, New York',
-        bio: 'Versatile companion for various occasions and events',
-        specialties: ['Sports Events', 'Outdoor Activities', 'Travel'],
-        languages: ['English', 'German'],
-        availability: 'available',
-        verificationStatus: 'verified',
-        image: '/placeholder.jpg'
-      },
-      {
-        id: 6,
-        name: 'Mia Johnson',
-        rating: 4.6,
-        reviews: 67,
-        distance: '4.2 km',
-        hourlyRate: 42,
-        location: 'Queens, New York',
-        bio: 'Fun and energetic companion for entertainment and leisure',
-        specialties: ['Dancing', 'Karaoke', 'Party Events'],
-        languages: ['English'],
-        availability: 'available',
-        verificationStatus: 'verified',
-        image: '/placeholder.jpg'
+    const radiusKm = Math.min(MAX_SEARCH_RADIUS_KM, Math.max(1, parseFloat(radius) || DEFAULT_SEARCH_RADIUS_KM));
+    const onlineOnly = online === 'true';
+
+    // Where to measure distances from: the client's position wins over a city
+    let origin = null;
+    if (lat || lng) {
+      origin = parseCoordinates(lat, lng);
+      if (!origin) {
+        return res.status(400).json({ message: 'Invalid coordinates' });
+      }
+    } else if (city) {
+      if (!CITIES[city]) {
+        return res.status(400).json({
+          message: 'Unknown city',
+          validCities: Object.keys(CITIES)
+        });
+      }
+      origin = { lat: CITIES[city].lat, lng: CITIES[city].lng };
+    }
+
+    if (!SEARCH_SORT_OPTIONS.includes(sortBy)) {
+      return res.status(400).json({
+        message: 'Invalid sortBy',
+        validOptions: SEARCH_SORT_OPTIONS
+      });
+    }
+    if (sortBy === 'distance' && !origin) {
+      return res.status(400).json({ message: 'Sorting by distance needs a location or city' });
+    }
+
+    // When the client needs the companion
+    let timeWindow = null;
+    if (date || startTime) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+        return res.status(400).json({ message: 'date must be YYYY-MM-DD' });
+      }
+      if (startTime && !/^([01]\d|2[0-3]):[0-5]\d$/.test(startTime)) {
+        return res.status(400).json({ message: 'startTime must be HH:MM' });
       }
-    ];
-
-    // Apply filters
-    let filteredCompanions = allCompanions.filter(companion => {
-      // Text search in name, bio, and specialties
-      const searchText = query.toLowerCase();
-      const matchesQuery = !query || 
-        companion.name.toLowerCase().includes(searchText) ||
-        companion.bio.toLowerCase().includes(searchText) ||
-        companion.specialties.some(s => s.toLowerCase().includes(searchText));
-
-      // Location filter
-      const matchesLocation = !location || 
-        companion.location.toLowerCase().includes(location.toLowerCase());
-
-      // Rating filter
-      const matchesRating = companion.rating >= minRatingNum;
-
-      // Price range filter
-      const matchesPrice = companion.hourlyRate >= minPriceNum && 
-        companion.hourlyRate <= maxPriceNum;
-
-      // Availability filter
-      const matchesAvailability = !availability || 
-        companion.availability === availability;
-
-      // Specialties filter
-      const matchesSpecialties = !specialties || 
-        companion.specialties.some(s => 
-          s.toLowerCase().includes(specialties.toLowerCase())
-        );
-
-      // Languages filter
-      const matchesLanguages = !languages || 
-        companion.languages.some(l => 
-          l.toLowerCase().includes(languages.toLowerCase())
-        );
 
-      return matchesQuery && matchesLocation && matchesRating && 
-        matchesPrice && matchesAvailability && matchesSpecialties && 
-        matchesLanguages;
-    });
+      const durationNum = duration === undefined || duration === '' ? 1 : Number(duration);
+      if (!Number.isInteger(durationNum) || durationNum < 1 || durationNum > MAX_DURATION_HOURS) {
+        return res.status(400).json({
+          message: `duration must be a whole number of hours between 1 and ${MAX_DURATION_HOURS}`
+        });
+      }
 
-    // Sort by rating (highest first), then by distance (closest first)
-    filteredCompanions.sort((a, b) => {
-      if (b.rating !== a.rating) {
-        return b.rating - a.rating;
+      if (startTime ? isPastDate(date, startTime) : date < formatDate(new Date())) {
+        return res.status(400).json({ message: 'The requested time is in the past' });
       }
-      const distA = parseFloat(a.distance);
-      const distB = parseFloat(b.distance);
-      return distA - distB;
-    });
 
-    // Pagination
-    const total = filteredCompanions.length;
+      timeWindow = { date, time: startTime || null, duration: durationNum };
+    }
+
     const offset = (pageNum - 1) * limitNum;
-    const paginatedCompanions = filteredCompanions.slice(offset, offset + limitNum);
+    const { companions, total } = await searchCompanions({
+      origin,
+      radiusKm,
+      timeWindow,
+      query: String(query).substring(0, 200),
+      minPrice: minPriceNum,
+      maxPrice: maxPriceNum,
+      minRating: minRatingNum,
+      specialties: String(specialties).substring(0, 200),
+      onlineOnly,
+      sortBy,
+      limit: limitNum,
+      offset
+    });
 
     return res.status(200).json({
       message: 'Companions fetched successfully',
-      companions: paginatedCompanions,
+      companions,
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -238,13 +185,18 @@ export default async function handler(req, res) {
       },
       filters: {
         query,
-        location,
+        city: origin && !lat ? city : '',
+        nearMe: Boolean(origin && lat),
+        radius: origin ? radiusKm : null,
+        date: timeWindow ? timeWindow.date : '',
+        startTime: timeWindow?.time || '',
+        duration: timeWindow ? timeWindow.duration : null,
         minRating: minRatingNum,
         maxPrice: maxPriceNum,
         minPrice: minPriceNum,
-        availability,
         specialties,
-        languages
+        online: onlineOnly,
+        sortBy
       }
     });
 
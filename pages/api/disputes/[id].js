@@ -0,0 +1,167 @@
+/**
+ * Dispute API Route - Serverless Function
+ *
+ * GET /api/disputes/[id]
+ * - The dispute with its evidence and notes log
+ *
+ * POST /api/disputes/[id]
+ * - Add a statement (client or companion) or note (admin): { body, evidence }
+ *
+ * PUT /api/disputes/[id] (admin only)
+ * - Move to another review status: { status: 'in_review' | 'escalated', note }
+ *   Escalating emails platform_settings.dispute_escalation_email.
+ * - Resolve: { status: 'resolved', outcome, refundAmount, resolution }
+ *   outcome is 'full_refund', 'partial_refund' (with refundAmount) or
+ *   'release_to_companion'; the booking's payment is settled accordingly.
+ * - Retry a failed settlement: { action: 'retry_outcome' }
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Single read or update per request; one refund or release per resolution
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - A resolution whose refund or release fails is still recorded with
+ *   outcome_status 'failed'; the failure is reported in the response and the
+ *   settlement can be retried
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Only the parties and admins can see or add to a dispute
+ * - Only admins change its status
+ */
+
+import { withAuth } from '../../../lib/auth'
+import {
+  DISPUTE_OUTCOMES,
+  addDisputeStatement,
+  getDisputeForUser,
+  resolveDispute,
+  retryDisputeOutcome,
+  serializeDispute,
+  updateDisputeStatus
+} from '../../../lib/disputes'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  try {
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
+
+    const dispute = await getDisputeForUser(req.query.id, user)
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' })
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return res.status(200).json({ dispute: serializeDispute(dispute) })
+      case 'POST':
+        return await handleAddStatement(req, res, dispute)
+      case 'PUT':
+        return await handleUpdateDispute(req, res, dispute)
+      default:
+        return res.status(405).json({ message: 'Method not allowed' })
+    }
+  } catch (error) {
+    console.error('Dispute API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+/**
+ * Add a statement or admin note
+ */
+async function handleAddStatement(req, res, dispute) {
+  const { body, evidence } = req.body || {}
+
+  const result = await addDisputeStatement(dispute, req.user, { body, evidence })
+  if (result.status) {
+    return res.status(result.status).json({ message: result.message })
+  }
+
+  return res.status(201).json({
+    message: 'Statement added',
+    dispute: serializeDispute(result.dispute)
+  })
+}
+
+/**
+ * Change the status, resolve, or retry a failed settlement (admins only)
+ */
+async function handleUpdateDispute(req, res, dispute) {
+  const user = req.user
+  if (user.role !== 'admin') {
+    return res.status(403).json({
+      message: 'Insufficient permissions',
+      requiredRoles: ['admin']
+    })
+  }
+
+  const { action, status, note, outcome, refundAmount, resolution } = req.body || {}
+
+  if (action === 'retry_outcome') {
+    const result = await retryDisputeOutcome(dispute, user)
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    return res.status(200).json({
+      message: result.payment.error
+        ? 'The payment could not be settled again. It can be retried later.'
+        : 'Payment settled',
+      dispute: serializeDispute(result.dispute),
+      payment: result.payment
+    })
+  }
+
+  if (status !== 'resolved') {
+    const result = await updateDisputeStatus(dispute, user, { status, note })
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    return res.status(200).json({
+      message: `Dispute ${result.dispute.status}`,
+      dispute: serializeDispute(result.dispute)
+    })
+  }
+
+  if (!DISPUTE_OUTCOMES[outcome]) {
+    return res.status(400).json({
+      message: 'Invalid outcome',
+      validOutcomes: Object.keys(DISPUTE_OUTCOMES)
+    })
+  }
+
+  const result = await resolveDispute(dispute, user, {
+    outcome,
+    refundAmount: refundAmount === undefined ? undefined : Number(refundAmount),
+    resolution
+  })
+  if (result.status) {
+    return res.status(result.status).json({ message: result.message })
+  }
+
+  return res.status(200).json({
+    message: result.payment.error
+      ? 'Dispute resolved, but the payment could not be settled. Retry it from the dispute.'
+      : 'Dispute resolved',
+    dispute: serializeDispute(result.dispute),
+    payment: result.payment
+  })
+}
+
+export default withAuth(handler)
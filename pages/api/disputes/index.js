@@ -0,0 +1,130 @@
+/**
+ * Disputes API Route - Serverless Function
+ *
+ * GET /api/disputes?status=open&bookingId=...
+ * - Disputes the user is a party to, newest first (admins see every dispute)
+ *
+ * POST /api/disputes
+ * - Open a dispute on a booking: { bookingId, reason, summary, details, evidence }
+ *   Only the booking's client or companion can open one, while the booking is
+ *   accepted or within 14 days of completing. Freezes the booking's payout.
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Paginated reads, single insert per request
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - 409 when the booking already has an open dispute
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Users only see disputes they are a party to
+ */
+
+import { withAuth } from '../../../lib/auth'
+import { getBookingForUser } from '../../../lib/bookings'
+import {
+  DISPUTE_REASONS,
+  DISPUTE_STATUSES,
+  listDisputes,
+  openDispute,
+  serializeDispute
+} from '../../../lib/disputes'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await handleGetDisputes(req, res)
+      case 'POST':
+        return await handleOpenDispute(req, res)
+      default:
+        return res.status(405).json({ message: 'Method not allowed' })
+    }
+  } catch (error) {
+    console.error('Disputes API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+/**
+ * List the user's disputes
+ */
+async function handleGetDisputes(req, res) {
+  // Authenticated by withAuth before the handler runs
+  const user = req.user
+
+  const { status, bookingId } = req.query
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0)
+
+  if (status && !DISPUTE_STATUSES.includes(status)) {
+    return res.status(400).json({
+      message: 'Invalid status',
+      validStatuses: DISPUTE_STATUSES
+    })
+  }
+
+  const { disputes, total } = await listDisputes(user, { status, bookingId, limit, offset })
+
+  return res.status(200).json({
+    disputes: disputes.map(serializeDispute),
+    pagination: { total, limit, offset }
+  })
+}
+
+/**
+ * Open a dispute on a booking
+ */
+async function handleOpenDispute(req, res) {
+  // Authenticated by withAuth before the handler runs
+  const user = req.user
+
+  const { bookingId, reason, summary, details, evidence } = req.body || {}
+
+  if (!bookingId || !reason || !summary) {
+    return res.status(400).json({
+      message: 'Missing required fields',
+      required: ['bookingId', 'reason', 'summary']
+    })
+  }
+
+  if (!DISPUTE_REASONS[reason]) {
+    return res.status(400).json({
+      message: 'Invalid reason',
+      validReasons: Object.keys(DISPUTE_REASONS)
+    })
+  }
+
+  const booking = await getBookingForUser(bookingId, user)
+  if (!booking) {
+    return res.status(404).json({ message: 'Booking not found' })
+  }
+
+  const result = await openDispute(booking, user, { reason, summary, details, evidence })
+  if (result.status) {
+    const { status, ...body } = result
+    return res.status(status).json(body)
+  }
+
+  return res.status(201).json({
+    message: 'Dispute opened',
+    dispute: serializeDispute(result.dispute)
+  })
+}
+
+export default withAuth(handler)
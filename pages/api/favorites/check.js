@@ -1,5 +1,9 @@
 /**
  * Check Favorite Status API Route - Serverless Function
+ *
+ * GET /api/favorites/check?companionIds=a,b,c
+ * - favoriteStatus: companion id -> whether the client favorited them
+ * - collections: companion id -> ids of the client's collections they're in
  * 
  * INFINITE LOOP PREVENTION:
  * - Each request is handled exactly once with a single response
@@ -19,11 +23,15 @@
  * SECURITY:
  * - JWT authentication required
  * - Users can only check their own favorites
+ * - At most 100 companions per request
  */
 
-import { verifyToken } from '../../../lib/auth';
+import { withAuth } from '../../../lib/auth';
+import { getFavoriteStatus } from '../../../lib/favorites';
 
-export default async function handler(req, res) {
+const MAX_COMPANION_IDS = 100;
+
+async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -40,22 +48,8 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Authenticate user
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ message: 'Authentication required' });
-    }
-
-    const token = authHeader.substring(7);
-    let user;
-    try {
-      user = verifyToken(token);
-      if (!user) {
-        return res.status(401).json({ message: 'Invalid token' });
-      }
-    } catch (err) {
-      return res.status(401).json({ message: 'Invalid token' });
-    }
+    // Authenticated by withAuth before the handler runs
+    const user = req.user;
 
     const { companionIds } = req.query;
 
@@ -64,27 +58,28 @@ export default async function handler(req, res) {
     }
 
     // Parse companion IDs (can be comma-separated)
-    const idsArray = companionIds.split(',').map(id => id.trim());
+    const idsArray = [...new Set(String(companionIds).split(',').map(id => id.trim()).filter(Boolean))];
+    if (idsArray.length === 0) {
+      return res.status(400).json({ message: 'Companion IDs are required' });
+    }
+    if (idsArray.length > MAX_COMPANION_IDS) {
+      return res.status(400).json({ message: `At most ${MAX_COMPANION_IDS} companions can be checked at once` });
+    }
 
-    // TODO: Query database to check which companions are favorited
-    // const favorites = await db.query(
-    //   'SELECT companion_id FROM favorites WHERE user_id = ? AND companion_id IN (?)',
-    //   [user.id, idsArray]
-    // )
-    // const favoritedIds = favorites.map(f => f.companion_id)
+    const statuses = await getFavoriteStatus(user.id, idsArray);
 
-    // Mock data - for demonstration, companion 1 and 3 are favorited
-    const mockFavoritedIds = [1, 3];
-    
-    // Create a map of companion ID to favorite status
+    // Maps of companion ID to favorite status and collection membership
     const favoriteStatus = {};
-    idsArray.forEach(id => {
-      favoriteStatus[id] = mockFavoritedIds.includes(parseInt(id));
+    const collections = {};
+    statuses.forEach((status, id) => {
+      favoriteStatus[id] = status.favorited;
+      collections[id] = status.collectionIds;
     });
 
     return res.status(200).json({
       message: 'Favorite status fetched successfully',
-      favoriteStatus
+      favoriteStatus,
+      collections
     });
 
   } catch (error) {
@@ -95,3 +90,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withAuth(handler);
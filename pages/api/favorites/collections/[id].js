@@ -0,0 +1,89 @@
+/**
+ * Favorite Collection API Route - Serverless Function
+ *
+ * PUT /api/favorites/collections/:id
+ * - Rename the collection: { name }
+ *
+ * DELETE /api/favorites/collections/:id
+ * - Delete the collection; its companions stay in the client's favorites
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Single read and write per request
+ *
+ * ERROR HANDLING:
+ * - 404 for collections that don't exist or belong to someone else
+ * - 409 when the new name is already taken
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required (clients only)
+ * - Clients only change their own collections
+ */
+
+import { withAuth } from '../../../../lib/auth'
+import {
+  deleteCollection,
+  getCollection,
+  renameCollection,
+  serializeCollection
+} from '../../../../lib/favorites'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'PUT, DELETE, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  try {
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
+
+    const collection = await getCollection(user.id, req.query.id)
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' })
+    }
+
+    switch (req.method) {
+      case 'PUT':
+        return await handleRenameCollection(req, res, collection)
+      case 'DELETE':
+        await deleteCollection(collection)
+        return res.status(200).json({ message: 'Collection deleted' })
+      default:
+        return res.status(405).json({ message: 'Method not allowed' })
+    }
+  } catch (error) {
+    console.error('Favorite collection API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+/**
+ * Give a collection a new name
+ */
+async function handleRenameCollection(req, res, collection) {
+  const { name } = req.body || {}
+  if (typeof name !== 'string') {
+    return res.status(400).json({ message: 'Name is required' })
+  }
+
+  const result = await renameCollection(collection, name)
+  if (result.status) {
+    return res.status(result.status).json({ message: result.message })
+  }
+
+  return res.status(200).json({
+    message: 'Collection renamed',
+    collection: serializeCollection({ collection: result.collection })
+  })
+}
+
+export default withAuth(handler, { roles: ['client'] })
@@ -0,0 +1,106 @@
+/**
+ * Favorite Collections API Route - Serverless Function
+ *
+ * GET /api/favorites/collections
+ * - The client's collections in order, with how many favorites each holds
+ *
+ * POST /api/favorites/collections
+ * - Create a collection: { name } (up to 60 characters, unique per client)
+ *
+ * PUT /api/favorites/collections
+ * - Reorder collections: { collectionIds } in their new order; any not
+ *   listed keep their order after them
+ *
+ * Favorites are added to collections through /api/favorites.
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Bounded queries; a client has at most 50 collections
+ *
+ * ERROR HANDLING:
+ * - 400 for invalid names or ids, 409 for duplicate names or too many collections
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required (clients only)
+ * - Clients only see and change their own collections
+ */
+
+import { withAuth } from '../../../../lib/auth'
+import {
+  createCollection,
+  listCollections,
+  reorderCollections,
+  serializeCollection
+} from '../../../../lib/favorites'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  try {
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
+
+    switch (req.method) {
+      case 'GET': {
+        const collections = await listCollections(user.id)
+        return res.status(200).json({ collections: collections.map(serializeCollection) })
+      }
+      case 'POST':
+        return await handleCreateCollection(req, res, user)
+      case 'PUT':
+        return await handleReorderCollections(req, res, user)
+      default:
+        return res.status(405).json({ message: 'Method not allowed' })
+    }
+  } catch (error) {
+    console.error('Favorite collections API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+/**
+ * Create a collection at the end of the list
+ */
+async function handleCreateCollection(req, res, user) {
+  const { name } = req.body || {}
+  if (typeof name !== 'string') {
+    return res.status(400).json({ message: 'Name is required' })
+  }
+
+  const result = await createCollection(user.id, name)
+  if (result.status) {
+    return res.status(result.status).json({ message: result.message })
+  }
+
+  return res.status(201).json({
+    message: 'Collection created',
+    collection: serializeCollection({ collection: result.collection, count: 0 })
+  })
+}
+
+/**
+ * Move collections into a new order
+ */
+async function handleReorderCollections(req, res, user) {
+  const { collectionIds } = req.body || {}
+
+  const result = await reorderCollections(user.id, collectionIds)
+  if (result.status) {
+    return res.status(result.status).json({ message: result.message })
+  }
+
+  return res.status(200).json({ message: 'Collections reordered' })
+}
+
+export default withAuth(handler, { roles: ['client'] })
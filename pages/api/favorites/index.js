@@ -1,5 +1,13 @@
 /**
  * Favorites API Route - Serverless Function
+ *
+ * GET    /api/favorites?collectionId=   - Client's favorites, optionally one collection's
+ * POST   /api/favorites                 - Favorite a companion, with an optional note and collections
+ * PUT    /api/favorites                 - Change a favorite's note, notifications or collections
+ * DELETE /api/favorites?companionId=    - Unfavorite a companion
+ *
+ * Reordering lives in /api/favorites/order and collections in
+ * /api/favorites/collections.
  * 
  * INFINITE LOOP PREVENTION:
  * - Each request is handled exactly once with a single response
@@ -22,17 +30,26 @@
  * 
  * SECURITY:
  * - JWT authentication required for all operations
- * - Users can only manage their own favorites
+ * - Users can only manage their own favorites and collections
+ * - Notes are private: they're only ever returned to the client who wrote them
  * - SQL injection prevention with parameterized queries
  * - Rate limiting should be implemented in production
  */
 
-import { verifyToken } from '../../../lib/auth';
+import { withAuth } from '../../../lib/auth';
+import {
+  listFavorites,
+  addFavorite,
+  getFavorite,
+  updateFavorite,
+  removeFavorite,
+  serializeFavorite
+} from '../../../lib/favorites';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   // Handle preflight requests immediately
@@ -41,27 +58,8 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Authenticate user - ALWAYS verify before processing
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ message: 'Authentication required' });
-    }
-
-    const token = authHeader.substring(7);
-    let user;
-    try {
-      user = verifyToken(token);
-      if (!user) {
-        return res.status(401).json({ message: 'Invalid token' });
-      }
-    } catch (err) {
-      return res.status(401).json({ message: 'Invalid token' });
-    }
-
-    // Only clients can have favorites
-    if (user.role !== 'client') {
-      return res.status(403).json({ message: 'Only clients can manage favorites' });
-    }
+    // Authenticated by withAuth (clients only) before the handler runs
+    const user = req.user;
 
     // Route based on HTTP method
     switch (req.method) {
@@ -70,6 +68,9 @@ export default async function handler(req, res) {
       
       case 'POST':
         return await handleAddFavorite(req, res, user);
+
+      case 'PUT':
+        return await handleUpdateFavorite(req, res, user);
       
       case 'DELETE':
         return await handleRemoveFavorite(req, res, user);
@@ -88,84 +89,54 @@ export default async function handler(req, res) {
   }
 }
 
+export default withAuth(handler, { roles: ['client'] });
+
+/**
+ * A favorite's own settings, without the companion's profile
+ */
+function serializeFavoriteSettings({ favorite, collectionIds }) {
+  return {
+    id: favorite.id,
+    companionId: favorite.companion_id,
+    note: favorite.note || '',
+    notifyChanges: favorite.notify_changes !== false,
+    position: favorite.position,
+    collectionIds,
+    favoritedAt: favorite.created_at
+  };
+}
+
 /**
  * GET /api/favorites - Fetch user's favorite companions
- * SAFETY: No loops, single database query with pagination
+ * SAFETY: No loops, paginated queries
  */
 async function handleGetFavorites(req, res, user) {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, collectionId } = req.query;
 
     // Validate pagination parameters
     const pageNum = Math.max(1, parseInt(page) || 1);
     const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
-
-    // TODO: Query database with proper pagination
-    // IMPORTANT: Always use LIMIT and OFFSET to prevent fetching all records
-    // const favorites = await db.query(`
-    //   SELECT 
-    //     f.id as favorite_id,
-    //     f.created_at as favorited_at,
-    //     c.*
-    //   FROM favorites f
-    //   JOIN users c ON f.companion_id = c.id
-    //   WHERE f.user_id = ? AND c.role = 'companion'
-    //   ORDER BY f.created_at DESC
-    //   LIMIT ? OFFSET ?
-    // `, [user.id, limitNum, (pageNum - 1) * limitNum])
-
-    // Placeholder data - simulating favorited companions
-    const mockFavorites = [
-      {
-        favorite_id: 1,
-        favorited_at: '2024-01-10T10:30:00.000Z',
-        id: 1,
-        name: 'Emma Wilson',
-        rating: 4.9,
-        reviews: 127,
-        distance: '0.5 km',
-        hourlyRate: 50,
-        location: 'Downtown, New York',
-        bio: 'Professional companion with expertise in fine dining and cultural events',
-        specialties: ['Fine Dining', 'Theater', 'Art Galleries'],
-        languages: ['English', 'French'],
-        availability: 'available',
-        verificationStatus: 'verified',
-        image: '/placeholder.jpg'
-      },
-      {
-        favorite_id: 2,
-        favorited_at: '2024-01-08T15:20:00.000Z',
-        id: 3,
-        name: 'Isabella Martinez',
-        rating: 4.9,
-        reviews: 143,
-        distance: '2.3 km',
-        hourlyRate: 60,
-        location: 'Upper East Side, New York',
-        bio: 'Elite companion for high-end events and exclusive gatherings',
-        specialties: ['Gala Events', 'Opera', 'Wine Tasting'],
-        languages: ['English', 'Spanish', 'Italian'],
-        availability: 'busy',
-        verificationStatus: 'verified',
-        image: '/placeholder.jpg'
-      }
-    ];
-
-    // Apply pagination to mock data
-    const total = mockFavorites.length;
     const offset = (pageNum - 1) * limitNum;
-    const paginatedFavorites = mockFavorites.slice(offset, offset + limitNum);
+
+    const result = await listFavorites(user.id, {
+      collectionId: collectionId || null,
+      limit: limitNum,
+      offset
+    });
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
 
     return res.status(200).json({
       message: 'Favorites fetched successfully',
-      favorites: paginatedFavorites,
+      favorites: result.favorites.map(serializeFavorite),
       pagination: {
         page: pageNum,
         limit: limitNum,
-        total,
-        totalPages: Math.ceil(total / limitNum),
-        hasMore: offset + limitNum < total
+        total: result.total,
+        totalPages: Math.ceil(result.total / limitNum),
+        hasMore: offset + limitNum < result.total
       }
     });
 
@@ -180,55 +151,29 @@ async function handleGetFavorites(req, res, user) {
 
 /**
  * POST /api/favorites - Add a companion to favorites
- * SAFETY: Single INSERT query, no loops
+ * Body: { companionId, note?, collectionIds? }
+ * SAFETY: Single INSERT plus one per collection, no loops over user input beyond that
  */
 async function handleAddFavorite(req, res, user) {
   try {
-    const { companionId } = req.body;
+    const { companionId, note = null, collectionIds = [] } = req.body;
 
     // Validate input
     if (!companionId) {
       return res.status(400).json({ message: 'Companion ID is required' });
     }
+    if (note !== null && typeof note !== 'string') {
+      return res.status(400).json({ message: 'note must be text' });
+    }
 
-    // TODO: In production, verify companion exists and is verified
-    // const companion = await db.query(
-    //   'SELECT id, role, verificationStatus FROM users WHERE id = ?',
-    //   [companionId]
-    // )
-    // if (!companion || companion.role !== 'companion') {
-    //   return res.status(404).json({ message: 'Companion not found' })
-    // }
-    // if (companion.verificationStatus !== 'verified') {
-    //   return res.status(400).json({ message: 'Can only favorite verified companions' })
-    // }
-
-    // TODO: Check if already favorited
-    // const existing = await db.query(
-    //   'SELECT id FROM favorites WHERE user_id = ? AND companion_id = ?',
-    //   [user.id, companionId]
-    // )
-    // if (existing) {
-    //   return res.status(409).json({ message: 'Companion already in favorites' })
-    // }
-
-    // TODO: Insert into database
-    // const result = await db.query(
-    //   'INSERT INTO favorites (user_id, companion_id, created_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
-    //   [user.id, companionId]
-    // )
-
-    // Placeholder success response
-    const newFavorite = {
-      id: Date.now(), // Mock ID
-      user_id: user.id,
-      companion_id: companionId,
-      created_at: new Date().toISOString()
-    };
+    const result = await addFavorite(user.id, companionId, { note, collectionIds });
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
 
     return res.status(201).json({
       message: 'Companion added to favorites',
-      favorite: newFavorite
+      favorite: serializeFavoriteSettings(result)
     });
 
   } catch (error) {
@@ -240,9 +185,55 @@ async function handleAddFavorite(req, res, user) {
   }
 }
 
+/**
+ * PUT /api/favorites - Update a favorite
+ * Body: { companionId, note?, notifyChanges?, collectionIds? }; omitted fields are kept,
+ * and collectionIds replaces the favorite's collections
+ */
+async function handleUpdateFavorite(req, res, user) {
+  try {
+    const { companionId, note, notifyChanges, collectionIds } = req.body;
+
+    if (!companionId) {
+      return res.status(400).json({ message: 'Companion ID is required' });
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ message: 'note must be text' });
+    }
+    if (notifyChanges !== undefined && typeof notifyChanges !== 'boolean') {
+      return res.status(400).json({ message: 'notifyChanges must be true or false' });
+    }
+    if (collectionIds !== undefined && !Array.isArray(collectionIds)) {
+      return res.status(400).json({ message: 'collectionIds must be a list of collection ids' });
+    }
+
+    const favorite = await getFavorite(user.id, companionId);
+    if (!favorite) {
+      return res.status(404).json({ message: 'Favorite not found' });
+    }
+
+    const result = await updateFavorite(favorite, { note, notifyChanges, collectionIds });
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    return res.status(200).json({
+      message: 'Favorite updated',
+      favorite: serializeFavoriteSettings(result)
+    });
+
+  } catch (error) {
+    console.error('Update favorite error:', error);
+    return res.status(500).json({ 
+      message: 'Failed to update favorite',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+}
+
 /**
  * DELETE /api/favorites - Remove a companion from favorites
- * SAFETY: Single DELETE query, no loops
+ * It's taken out of the client's collections too.
  */
 async function handleRemoveFavorite(req, res, user) {
   try {
@@ -253,14 +244,10 @@ async function handleRemoveFavorite(req, res, user) {
       return res.status(400).json({ message: 'Companion ID is required' });
     }
 
-    // TODO: Delete from database
-    // const result = await db.query(
-    //   'DELETE FROM favorites WHERE user_id = ? AND companion_id = ?',
-    //   [user.id, companionId]
-    // )
-    // if (result.affectedRows === 0) {
-    //   return res.status(404).json({ message: 'Favorite not found' })
-    // }
+    const removed = await removeFavorite(user.id, companionId);
+    if (!removed) {
+      return res.status(404).json({ message: 'Favorite not found' });
+    }
 
     return res.status(200).json({
       message: 'Companion removed from favorites'
@@ -0,0 +1,68 @@
+/**
+ * Favorites Order API Route - Serverless Function
+ *
+ * PUT /api/favorites/order
+ * - Reorder the client's favorites: { companionIds, collectionId? }
+ * - companionIds lists favorites in their new order; any not listed keep
+ *   their order after them, so moving one favorite only needs the ids up to it
+ * - With a collectionId only that collection's order changes; each collection
+ *   keeps its own order
+ *
+ * HANGING REQUEST PREVENTION:
+ * - One update per favorite whose position changes
+ *
+ * ERROR HANDLING:
+ * - 400 for companions that aren't favorites (or not in the collection)
+ * - 404 for collections that don't exist or belong to someone else
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required (clients only)
+ * - Clients only reorder their own favorites
+ */
+
+import { withAuth } from '../../../lib/auth'
+import { reorderFavorites } from '../../../lib/favorites'
+
+const MAX_REORDER_IDS = 500
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'PUT, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  if (req.method !== 'PUT') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
+
+    const { companionIds, collectionId = null } = req.body || {}
+    if (Array.isArray(companionIds) && companionIds.length > MAX_REORDER_IDS) {
+      return res.status(400).json({ message: `At most ${MAX_REORDER_IDS} favorites can be reordered at once` })
+    }
+
+    const result = await reorderFavorites(user.id, { collectionId, companionIds })
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    return res.status(200).json({ message: 'Favorites reordered' })
+  } catch (error) {
+    console.error('Reorder favorites error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+export default withAuth(handler, { roles: ['client'] })
@@ -35,7 +35,9 @@
  * - Clean up old notifications periodically
  */
 
-export default async function handler(req, res) {
+import { withAuth } from '../../../lib/auth'
+
+async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*')
   res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS')
@@ -47,14 +49,8 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Authenticate user
-    const token = req.headers.authorization?.split(' ')[1]
-    if (!token) {
-      return res.status(401).json({ message: 'Authentication required' })
-    }
-
-    // TODO: Verify JWT token
-    const user = { id: 'user123' } // Placeholder
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
 
     // Route based on HTTP method
     switch (req.method) {
@@ -79,6 +75,8 @@ export default async function handler(req, res) {
   }
 }
 
+export default withAuth(handler)
+
 /**
  * GET /api/notifications - Fetch user's notifications
  * SAFETY: Pagination prevents loading all notifications
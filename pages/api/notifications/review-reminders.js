@@ -0,0 +1,72 @@
+/**
+ * Review Reminders API Route - Serverless Function
+ *
+ * This endpoint should be called by a cron job, alongside
+ * /api/notifications/reminders, to remind both parties of a completed
+ * booking to review it before its review window closes (lib/reviews.js)
+ *
+ * Recommended schedule:
+ * - Run every hour; parties who haven't reviewed are reminded once, 48 hours
+ *   before the deadline
+ *
+ * INFINITE LOOP PREVENTION:
+ * - Each booking is claimed before its reminders are sent, so it's
+ *   reminded at most once
+ * - No recursive calls
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Bookings are read in batches
+ * - Returns a summary once every batch is done
+ *
+ * ERROR HANDLING:
+ * - Continue processing even if one booking fails
+ * - Log all errors for monitoring
+ * - Return summary of successes/failures
+ *
+ * SECURITY:
+ * - Should be called by cron job with API key
+ */
+
+import { runReviewReminders } from '../../../lib/reviews'
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    // Verify cron job authentication
+    const authHeader = req.headers.authorization
+    const cronSecret = process.env.CRON_SECRET
+
+    if (cronSecret && authHeader !== `Bearer ${cronSecret}`) {
+      return res.status(401).json({ message: 'Unauthorized' })
+    }
+
+    const now = new Date()
+    const results = await runReviewReminders({ now })
+
+    return res.status(200).json({
+      message: 'Review reminders processed',
+      timestamp: now.toISOString(),
+      results
+    })
+  } catch (error) {
+    console.error('Review reminders API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Saved Search Alerts API Route - Serverless Function
+ *
+ * This endpoint should be called by a cron job, alongside
+ * /api/notifications/reminders, to notify clients about changes matching
+ * their saved searches:
+ * - Newly verified companions who match a saved search
+ * - Favorited companions who lowered their rate to within its maximum price
+ *
+ * Recommended schedule:
+ * - Run every hour; each run covers what changed since the previous one
+ *
+ * INFINITE LOOP PREVENTION:
+ * - Each alert is recorded and sent at most once per saved search
+ * - No recursive calls
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Saved searches are read in pages
+ * - Returns a summary once every page is done
+ *
+ * ERROR HANDLING:
+ * - Continue processing even if one saved search fails
+ * - Log all errors for monitoring
+ * - Return summary of successes/failures
+ *
+ * SECURITY:
+ * - Should be called by cron job with API key
+ */
+
+import { runSavedSearchAlerts } from '../../../lib/savedSearches'
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    // Verify cron job authentication
+    const authHeader = req.headers.authorization
+    const cronSecret = process.env.CRON_SECRET
+
+    if (cronSecret && authHeader !== `Bearer ${cronSecret}`) {
+      return res.status(401).json({ message: 'Unauthorized' })
+    }
+
+    const now = new Date()
+    const results = await runSavedSearchAlerts({ now })
+
+    return res.status(200).json({
+      message: 'Saved search alerts processed',
+      timestamp: now.toISOString(),
+      results
+    })
+  } catch (error) {
+    console.error('Saved search alerts API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
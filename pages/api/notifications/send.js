@@ -25,9 +25,9 @@
  */
 
 import { sendNotification, sendNotificationWithPreferences, NOTIFICATION_TYPES } from '../../../lib/notifications'
-import { verifyToken } from '../../../lib/auth'
+import { withAuth } from '../../../lib/auth'
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*')
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
@@ -44,18 +44,8 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Authenticate request
-    const token = req.headers.authorization?.split(' ')[1]
-    if (!token) {
-      return res.status(401).json({ message: 'Authentication required' })
-    }
-
-    let user
-    try {
-      user = verifyToken(token)
-    } catch (error) {
-      return res.status(401).json({ message: 'Invalid or expired token' })
-    }
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
 
     // Validate request body
     const { 
@@ -101,3 +91,5 @@ export default async function handler(req, res) {
     })
   }
 }
+
+export default withAuth(handler)
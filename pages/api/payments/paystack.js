@@ -20,6 +20,11 @@
  * - Never expose Paystack secret key in responses
  * - Return safe error messages to client
  * 
+ * ESCROW:
+ * - In escrow mode (platform_settings.payment_mode) the charge is held by the
+ *   platform and released on completion - see lib/escrow.js
+ * - In split mode the companion's subaccount is paid at charge time
+ * 
  * SECURITY:
  * - Verify webhook signatures in webhook.js
  * - Store Paystack secret in environment variables
@@ -28,9 +33,14 @@
  * - Implement rate limiting to prevent abuse
  */
 
-import axios from 'axios'
+import { withAuth } from '../../../lib/auth'
+import { initializePayment, initializePaymentWithSplit } from '../../../lib/paystack'
+import { getBookingForUser } from '../../../lib/bookings'
+import { getProfile } from '../../../lib/profiles'
+import { getPlatformSettings } from '../../../lib/settings'
+import { getEscrow, recordPaymentAttempt } from '../../../lib/escrow'
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*')
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
@@ -47,123 +57,115 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Authenticate user
-    const token = req.headers.authorization?.split(' ')[1]
-    if (!token) {
-      return res.status(401).json({ message: 'Authentication required' })
-    }
-
-    // TODO: Verify JWT token
-    const user = { id: 'user123', email: 'user@example.com' } // Placeholder
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
 
     // Validate request body
-    const { bookingId, amount, currency = 'NGN', companionSubaccount } = req.body
+    const { bookingId, currency = 'NGN' } = req.body
 
     if (!bookingId) {
       return res.status(400).json({ message: 'Booking ID is required' })
     }
 
-    // CRITICAL: Always recalculate amount server-side, never trust client
-    // TODO: Fetch booking and calculate actual price
-    // const booking = await db.query('SELECT * FROM bookings WHERE id = ?', [bookingId])
-    // const calculatedAmount = booking.duration * booking.hourlyRate * 100 // in kobo
+    // Only the client who made the booking can pay for it
+    const booking = await getBookingForUser(bookingId, user)
+    if (!booking || booking.client_id !== user.id) {
+      return res.status(404).json({ message: 'Booking not found' })
+    }
+
+    if (!['pending', 'accepted'].includes(booking.status)) {
+      return res.status(409).json({ message: 'This booking can no longer be paid for' })
+    }
+
+    const existingEscrow = await getEscrow(booking.id)
+    if (existingEscrow && !['awaiting_payment', 'payment_failed'].includes(existingEscrow.status)) {
+      return res.status(409).json({ message: 'This booking has already been paid' })
+    }
 
-    // For now, validate provided amount
+    // CRITICAL: Always calculate the amount server-side, never trust client
+    const amount = Math.round(Number(booking.total_price) * 100) // in kobo
     if (!amount || amount <= 0) {
       return res.status(400).json({ message: 'Invalid amount' })
     }
 
     // Prepare Paystack payment initialization
-    const paystackSecret = process.env.PAYSTACK_SECRET_KEY
-    if (!paystackSecret) {
+    if (!process.env.PAYSTACK_SECRET_KEY) {
       console.error('PAYSTACK_SECRET_KEY not configured')
       return res.status(500).json({ message: 'Payment configuration error' })
     }
 
-    const reference = `booking_${bookingId}_${Date.now()}`
+    // Split mode pays the companion's subaccount at charge time; everything
+    // else is held in escrow until the booking completes
+    const settings = await getPlatformSettings()
+    const companion = settings.payment_mode === 'split'
+      ? await getProfile(booking.companion_id)
+      : null
+    const useSplit = !!companion?.paystack_subaccount_code
+
+    const reference = `booking_${booking.id}_${Date.now()}`
     const metadata = {
-      bookingId,
+      bookingId: booking.id,
       userId: user.id,
+      paymentMode: useSplit ? 'split' : 'escrow',
       custom_fields: [
         {
           display_name: 'Booking ID',
           variable_name: 'booking_id',
-          value: bookingId
+          value: booking.id
         }
       ]
     }
 
     let paystackResponse
 
-    // Initialize payment with or without split
-    if (companionSubaccount) {
-      // Initialize payment with split to companion subaccount
+    if (useSplit) {
       // Platform gets service fee automatically
-      const { initializePaymentWithSplit } = require('../../../lib/paystack')
-      
-      const splitResult = await initializePaymentWithSplit({
+      paystackResponse = await initializePaymentWithSplit({
         email: user.email,
-        amount: amount,
-        currency: currency,
-        reference: reference,
-        metadata: metadata,
-        subaccount: companionSubaccount,
+        amount,
+        currency,
+        reference,
+        metadata,
+        subaccount: companion.paystack_subaccount_code,
         transactionCharge: 0, // Platform keeps transaction charge as service fee
         bearer: 'account' // Subaccount (companion) bears transaction fee
       })
-
-      paystackResponse = { data: splitResult }
     } else {
-      // Standard payment initialization without split (for backward compatibility)
-      const response = await axios.post(
-        'https://api.paystack.co/transaction/initialize',
-        {
-          email: user.email,
-          amount: amount,
-          currency: currency,
-          reference: reference,
-          metadata: metadata,
-          callback_url: `${process.env.NEXT_PUBLIC_APP_URL}/payments/callback`
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${paystackSecret}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 10000
-        }
-      )
-      
-      paystackResponse = response
+      // Escrow: funds stay in the platform balance until release
+      paystackResponse = await initializePayment({
+        email: user.email,
+        amount,
+        currency,
+        reference,
+        metadata,
+        callbackUrl: `${process.env.NEXT_PUBLIC_APP_URL}/payments/callback`
+      })
     }
 
     // Check if initialization was successful
-    if (!paystackResponse.data.status) {
+    if (!paystackResponse.status) {
       throw new Error('Payment initialization failed')
     }
 
-    // TODO: Store payment reference in database
-    // await db.query(
-    //   'INSERT INTO payments (booking_id, reference, amount, status) VALUES (?, ?, ?, ?)',
-    //   [bookingId, paystackResponse.data.data.reference, amount, 'pending']
-    // )
+    // Store the pending charge (and escrow hold) so the webhook can match it
+    await recordPaymentAttempt({ booking, reference, escrow: !useSplit })
 
     // Return authorization URL for client to complete payment
     return res.status(200).json({
       message: 'Payment initialized',
-      authorizationUrl: paystackResponse.data.data.authorization_url,
-      reference: paystackResponse.data.data.reference,
-      accessCode: paystackResponse.data.data.access_code
+      authorizationUrl: paystackResponse.data.authorization_url,
+      reference: paystackResponse.data.reference,
+      accessCode: paystackResponse.data.access_code,
+      paymentMode: metadata.paymentMode
     })
 
   } catch (error) {
     console.error('Paystack payment error:', error)
 
-    // Handle Paystack-specific errors
-    if (error.response?.data) {
-      return res.status(400).json({
-        message: 'Payment initialization failed',
-        error: error.response.data.message || 'Unknown payment error'
+    // Handle Paystack-specific errors (lib/paystack logs the details)
+    if (error.message?.startsWith('Failed to initialize')) {
+      return res.status(502).json({
+        message: 'Payment initialization failed'
       })
     }
 
@@ -181,3 +183,5 @@ export default async function handler(req, res) {
     })
   }
 }
+
+export default withAuth(handler)
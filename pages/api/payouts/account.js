@@ -0,0 +1,76 @@
+/**
+ * Payout Account API Route
+ *
+ * POST /api/payouts/account
+ * - Verifies a bank account and registers it as the companion's Paystack
+ *   transfer recipient. Replaces any account registered before.
+ *
+ * SECURITY:
+ * - Requires authentication
+ * - Only companions can register payout accounts
+ * - The recipient code is stored privately and never returned
+ *
+ * ERROR HANDLING:
+ * - Validates bank code and account number format
+ * - Returns safe error messages
+ * - Logs errors for debugging
+ */
+
+import { withAuth } from '../../../lib/auth'
+import { registerPayoutAccount, serializePayoutAccount } from '../../../lib/payouts'
+
+async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  // Only allow POST
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    // Authenticated by withAuth (companions only) before the handler runs
+    const user = req.user
+
+    const { accountNumber, bankCode } = req.body || {}
+
+    if (!accountNumber || !bankCode) {
+      return res.status(400).json({
+        message: 'Missing required fields',
+        required: ['accountNumber', 'bankCode']
+      })
+    }
+
+    // Validate account number format (10 digits for Nigerian banks)
+    if (!/^\d{10}$/.test(accountNumber)) {
+      return res.status(400).json({
+        message: 'Invalid account number. Must be 10 digits.'
+      })
+    }
+
+    const result = await registerPayoutAccount(user.id, { accountNumber, bankCode })
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    return res.status(200).json({
+      message: 'Payout account saved',
+      account: serializePayoutAccount(result.account)
+    })
+  } catch (error) {
+    console.error('Payout account error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+export default withAuth(handler, { roles: ['companion'] })
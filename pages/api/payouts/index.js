@@ -0,0 +1,150 @@
+/**
+ * Payouts API Route - Serverless Function
+ *
+ * GET /api/payouts
+ * - The companion's earnings (available vs pending), bank account, payout
+ *   schedule and payout history
+ *
+ * POST /api/payouts
+ * - Withdraw part of the available balance to the registered bank account
+ *
+ * PUT /api/payouts
+ * - Switch between manual withdrawals and automatic weekly payouts
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Payout history is paginated
+ * - One transfer per request
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Companions only, and only their own balance
+ * - Amounts are checked against the ledger balance, never trusted from the client
+ */
+
+import { withAuth } from '../../../lib/auth'
+import { getPlatformSettings } from '../../../lib/settings'
+import {
+  getEarningsSummary,
+  getPayoutAccount,
+  listPayouts,
+  requestPayout,
+  serializePayout,
+  serializePayoutAccount,
+  setPayoutSchedule
+} from '../../../lib/payouts'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await handleGetPayouts(req, res)
+      case 'POST':
+        return await handleRequestPayout(req, res)
+      case 'PUT':
+        return await handleUpdateSchedule(req, res)
+      default:
+        return res.status(405).json({ message: 'Method not allowed' })
+    }
+  } catch (error) {
+    console.error('Payouts API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+/**
+ * Earnings, bank account and payout history
+ */
+async function handleGetPayouts(req, res) {
+  // Authenticated by withAuth before the handler runs
+  const user = req.user
+
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0)
+
+  const settings = await getPlatformSettings()
+  const [summary, account, { payouts, total }] = await Promise.all([
+    getEarningsSummary(user.id, settings),
+    getPayoutAccount(user.id),
+    listPayouts(user.id, { limit, offset })
+  ])
+
+  return res.status(200).json({
+    earnings: {
+      available: summary.available,
+      pending: summary.pending,
+      inEscrow: summary.inEscrow,
+      onHold: summary.onHold,
+      frozen: summary.frozen,
+      inFlight: summary.inFlight
+    },
+    account: serializePayoutAccount(account),
+    settings: {
+      minimumAmount: Number(settings.payout_minimum_amount),
+      holdDays: summary.holdDays
+    },
+    payouts: payouts.map(serializePayout),
+    pagination: { total, limit, offset }
+  })
+}
+
+/**
+ * Withdraw to the registered bank account
+ */
+async function handleRequestPayout(req, res) {
+  // Authenticated by withAuth before the handler runs
+  const user = req.user
+
+  const amount = Number(req.body?.amount)
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return res.status(400).json({ message: 'Amount must be a positive number' })
+  }
+
+  const result = await requestPayout(user.id, { amount })
+  if (result.status) {
+    const { status, ...body } = result
+    return res.status(status).json(body)
+  }
+
+  // A pending payout's transfer couldn't be confirmed yet; it stays reserved
+  return res.status(201).json({
+    message: result.payout.status === 'pending' ? 'Payout requested - waiting for the bank to confirm' : 'Payout started',
+    payout: serializePayout(result.payout)
+  })
+}
+
+/**
+ * Choose manual or weekly payouts
+ */
+async function handleUpdateSchedule(req, res) {
+  // Authenticated by withAuth before the handler runs
+  const user = req.user
+
+  const result = await setPayoutSchedule(user.id, req.body?.schedule)
+  if (result.status) {
+    return res.status(result.status).json({ message: result.message })
+  }
+
+  return res.status(200).json({
+    message: 'Payout schedule updated',
+    account: serializePayoutAccount(result.account)
+  })
+}
+
+export default withAuth(handler, { roles: ['companion'] })
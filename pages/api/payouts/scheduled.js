@@ -0,0 +1,76 @@
+/**
+ * Scheduled Payouts API Route - Serverless Function
+ *
+ * This endpoint should be called by a cron job to pay out the available
+ * balance of every companion who opted into weekly payouts.
+ *
+ * Recommended schedule:
+ * - Run once a week
+ * - Companions below `payout_minimum_amount` are skipped until next week
+ *
+ * INFINITE LOOP PREVENTION:
+ * - At most one payout per companion per run
+ * - No recursive calls
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Companions are read in pages
+ * - Returns a summary once every page is done
+ *
+ * ERROR HANDLING:
+ * - Continue processing even if one payout fails
+ * - Log all errors for monitoring
+ * - Return summary of successes/failures
+ *
+ * SECURITY:
+ * - Requires `Authorization: Bearer CRON_SECRET`; refuses to run when
+ *   CRON_SECRET isn't configured
+ */
+
+import { runScheduledPayouts } from '../../../lib/payouts'
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    // Verify cron job authentication
+    const authHeader = req.headers.authorization
+    const cronSecret = process.env.CRON_SECRET
+
+    // Without a secret anyone could send companions' balances out
+    if (!cronSecret) {
+      console.error('CRON_SECRET not configured')
+      return res.status(500).json({ message: 'Cron configuration error' })
+    }
+
+    if (authHeader !== `Bearer ${cronSecret}`) {
+      return res.status(401).json({ message: 'Unauthorized' })
+    }
+
+    const results = await runScheduledPayouts()
+
+    return res.status(200).json({
+      message: 'Scheduled payouts processed',
+      timestamp: new Date().toISOString(),
+      results
+    })
+  } catch (error) {
+    console.error('Scheduled payouts API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
@@ -16,8 +16,9 @@
  */
 
 import { createSubaccount } from '../../../lib/paystack'
+import { withAuth } from '../../../lib/auth'
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*')
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
@@ -34,19 +35,8 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Authenticate user
-    const token = req.headers.authorization?.split(' ')[1]
-    if (!token) {
-      return res.status(401).json({ message: 'Authentication required' })
-    }
-
-    // TODO: Verify JWT token and check user role
-    const user = { id: 'comp123', role: 'companion', name: 'Jane Doe' } // Placeholder
-
-    // Only companions can create subaccounts
-    if (user.role !== 'companion') {
-      return res.status(403).json({ message: 'Only companions can create subaccounts' })
-    }
+    // Authenticated by withAuth (companions only) before the handler runs
+    const user = req.user
 
     // Validate request body
     const { businessName, settlementBank, accountNumber, percentageCharge, description } = req.body
@@ -126,3 +116,5 @@ export default async function handler(req, res) {
     })
   }
 }
+
+export default withAuth(handler, { roles: ['companion'] })
@@ -15,8 +15,9 @@
  */
 
 import { verifyBankAccount } from '../../../lib/paystack'
+import { withAuth } from '../../../lib/auth'
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*')
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
@@ -33,19 +34,8 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Authenticate user
-    const token = req.headers.authorization?.split(' ')[1]
-    if (!token) {
-      return res.status(401).json({ message: 'Authentication required' })
-    }
-
-    // TODO: Verify JWT token and check user role
-    const user = { id: 'user123', role: 'companion' } // Placeholder
-
-    // Only companions can verify bank accounts
-    if (user.role !== 'companion') {
-      return res.status(403).json({ message: 'Only companions can verify bank accounts' })
-    }
+    // Authenticated by withAuth (companions only) before the handler runs
+    const user = req.user
 
     // Validate request body
     const { accountNumber, bankCode } = req.body
@@ -102,3 +92,5 @@ export default async function handler(req, res) {
     })
   }
 }
+
+export default withAuth(handler, { roles: ['companion'] })
@@ -0,0 +1,95 @@
+/**
+ * Webhook Retries API Route - Serverless Function
+ *
+ * This endpoint should be called by a cron job to retry Paystack webhook
+ * events whose handler failed, to pick up events that were stored but
+ * never finished processing, and to check payouts no transfer webhook has
+ * reported on with Paystack.
+ *
+ * Recommended schedule:
+ * - Run every minute or two (the first retry is due after 1 minute)
+ *
+ * INFINITE LOOP PREVENTION:
+ * - Each event has a fixed number of attempts, then goes to the dead-letter list
+ * - No recursive calls
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Processes in batches
+ * - Returns a summary once the batch is done
+ *
+ * ERROR HANDLING:
+ * - Continue processing even if one event fails
+ * - Failures are recorded on the event itself
+ * - Return summary of successes/failures
+ *
+ * SECURITY:
+ * - Should be called by cron job with API key
+ */
+
+import { listRetryableWebhookEvents, processWebhookEvent } from '../../../lib/webhookEvents'
+import { verifyInFlightPayouts } from '../../../lib/payouts'
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    // Verify cron job authentication
+    const authHeader = req.headers.authorization
+    const cronSecret = process.env.CRON_SECRET
+
+    if (cronSecret && authHeader !== `Bearer ${cronSecret}`) {
+      return res.status(401).json({ message: 'Unauthorized' })
+    }
+
+    const results = {
+      checked: 0,
+      processed: 0,
+      failed: 0,
+      dead: 0,
+      skipped: 0
+    }
+
+    const events = await listRetryableWebhookEvents()
+
+    for (const event of events) {
+      results.checked++
+
+      const result = await processWebhookEvent(event)
+      if (result.processed) {
+        results.processed++
+      } else if (result.status === 'dead') {
+        results.dead++
+      } else if (result.status === 'failed') {
+        results.failed++
+      } else {
+        results.skipped++
+      }
+    }
+
+    return res.status(200).json({
+      message: 'Webhook retries processed',
+      timestamp: new Date().toISOString(),
+      results,
+      payouts: await verifyInFlightPayouts()
+    })
+  } catch (error) {
+    console.error('Webhook retries API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
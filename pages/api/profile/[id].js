@@ -22,14 +22,20 @@
  * 
  * SECURITY:
  * - JWT authentication optional for public profiles
+ * - Companions' ratings come from their scorecard (lib/scorecards.js),
+ *   which only counts published reviews
+ * - Companions' presence is only online / active recently / away
+ *   (lib/presence.js), never connection details
  * - Sensitive data filtered based on authentication
  * - SQL injection prevention with parameterized queries
  * - Rate limiting should be implemented in production
  */
 
-import { verifyToken } from '../../../lib/auth';
+import { withAuth } from '../../../lib/auth';
+import { getCompanionScorecard } from '../../../lib/scorecards';
+import { getCompanionPresence } from '../../../lib/presence';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -53,23 +59,9 @@ export default async function handler(req, res) {
       return res.status(400).json({ message: 'Profile ID is required' });
     }
 
-    // Verify if request is authenticated (optional)
-    let isAuthenticated = false;
-    let requestingUserId = null;
-    
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7);
-      try {
-        const decoded = verifyToken(token);
-        if (decoded) {
-          isAuthenticated = true;
-          requestingUserId = decoded.id;
-        }
-      } catch (err) {
-        // Token invalid, continue as unauthenticated
-      }
-    }
+    // Authentication is optional - withAuth sets req.user to null for guests
+    const isAuthenticated = !!req.user;
+    const requestingUserId = req.user?.id || null;
 
     // TODO: Fetch profile from database
     // In a real implementation:
@@ -110,15 +102,21 @@ export default async function handler(req, res) {
 
     // Add companion-specific public fields
     if (fullProfile.role === 'companion') {
+      const [scorecard, presence] = await Promise.all([
+        getCompanionScorecard(fullProfile.id),
+        getCompanionPresence([fullProfile.id])
+      ]);
       publicProfile = {
         ...publicProfile,
         experience: fullProfile.experience || '',
         specialties: fullProfile.specialties || '',
         languages: fullProfile.languages || '',
         hourlyRate: fullProfile.hourlyRate || 0,
-        rating: fullProfile.rating || 0,
+        rating: scorecard.rating,
+        reviews: scorecard.reviewCount,
+        scorecard,
         verificationStatus: fullProfile.verificationStatus || 'pending',
-        availabilityStatus: fullProfile.availabilityStatus || 'available'
+        presence: presence.get(fullProfile.id)
       };
     }
 
@@ -143,3 +141,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withAuth(handler, { optional: true });
@@ -0,0 +1,102 @@
+/**
+ * Verification Documents API Route - Serverless Function
+ *
+ * GET /api/profile/documents
+ * - The companion's submitted documents, verification status and the
+ *   admin's note from the last decision
+ *
+ * PUT /api/profile/documents
+ * - Submit documents for verification: { documents: [{ type, url, name }] }
+ *   Puts the companion in the review queue, or verifies them straight away
+ *   when auto-approval is on. A rejected companion resubmits here.
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Single read or update per request
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Companions only, and only their own documents
+ * - Documents must be https URLs (uploaded to storage beforehand)
+ */
+
+import { withAuth } from '../../../lib/auth'
+import { getProfile } from '../../../lib/profiles'
+import {
+  DOCUMENT_TYPES,
+  serializeCompanionForReview,
+  submitVerificationDocuments
+} from '../../../lib/companionVerification'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  try {
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
+
+    const companion = await getProfile(user.id)
+    if (!companion) {
+      return res.status(404).json({ message: 'Profile not found' })
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return res.status(200).json(serializeVerification(companion))
+      case 'PUT':
+        return await handleSubmitDocuments(req, res, companion)
+      default:
+        return res.status(405).json({ message: 'Method not allowed' })
+    }
+  } catch (error) {
+    console.error('Verification documents API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+/**
+ * Submit documents for review
+ */
+async function handleSubmitDocuments(req, res, companion) {
+  const { documents } = req.body || {}
+
+  const result = await submitVerificationDocuments(companion, documents)
+  if (result.status) {
+    return res.status(result.status).json({
+      message: result.message,
+      ...(result.status === 400 && { documentTypes: DOCUMENT_TYPES })
+    })
+  }
+
+  return res.status(200).json({
+    message: result.companion.verification_status === 'verified'
+      ? 'Documents saved. Your profile is verified.'
+      : 'Documents submitted for review',
+    ...serializeVerification(result.companion)
+  })
+}
+
+/**
+ * The companion's own view of their verification
+ */
+function serializeVerification(companion) {
+  const { verificationStatus, adminNote, documents, documentsSubmittedAt, reviewedAt } =
+    serializeCompanionForReview(companion)
+  return { verificationStatus, adminNote, documents, documentsSubmittedAt, reviewedAt }
+}
+
+export default withAuth(handler, { roles: ['companion'] })
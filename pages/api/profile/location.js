@@ -0,0 +1,102 @@
+/**
+ * Service Location API Route - Serverless Function
+ *
+ * GET /api/profile/location
+ * - The companion's service location: { lat, lng, radiusKm, city } or null
+ *
+ * PUT /api/profile/location
+ * - Set it from a city: { city, radiusKm }
+ * - Or from coordinates (e.g. the browser's location): { lat, lng, label, radiusKm }
+ *   Coordinates are rounded to about 1 km before they are stored.
+ *
+ * DELETE /api/profile/location
+ * - Stop appearing in nearby searches
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Single read or update per request
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Companions only, and only their own location
+ * - Exact coordinates are never stored; other users only see the city label
+ *   and a rounded distance (see lib/companionSearch.js)
+ */
+
+import { withAuth } from '../../../lib/auth'
+import { CITIES } from '../../../lib/geo'
+import {
+  getProfile,
+  serializeServiceLocation,
+  updateServiceLocation
+} from '../../../lib/profiles'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  try {
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
+
+    switch (req.method) {
+      case 'GET': {
+        const profile = await getProfile(user.id)
+        if (!profile) {
+          return res.status(404).json({ message: 'Profile not found' })
+        }
+        return res.status(200).json({ location: serializeServiceLocation(profile) })
+      }
+      case 'PUT':
+        return await handleSetLocation(req, res, user)
+      case 'DELETE': {
+        await updateServiceLocation(user.id, null)
+        return res.status(200).json({ message: 'Service location removed', location: null })
+      }
+      default:
+        return res.status(405).json({ message: 'Method not allowed' })
+    }
+  } catch (error) {
+    console.error('Service location API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+/**
+ * Set the service location from a city or coordinates
+ */
+async function handleSetLocation(req, res, user) {
+  const { city, lat, lng, label, radiusKm } = req.body || {}
+
+  const result = await updateServiceLocation(user.id, { city, lat, lng, label, radiusKm })
+  if (result.status) {
+    return res.status(result.status).json({
+      message: result.message,
+      ...(result.status === 400 && city && { validCities: Object.keys(CITIES) })
+    })
+  }
+
+  if (!result.profile) {
+    return res.status(404).json({ message: 'Profile not found' })
+  }
+
+  return res.status(200).json({
+    message: 'Service location saved',
+    location: serializeServiceLocation(result.profile)
+  })
+}
+
+export default withAuth(handler, { roles: ['companion'] })
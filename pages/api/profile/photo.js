@@ -0,0 +1,137 @@
+/**
+ * Profile Photo API Route - Serverless Function
+ *
+ * GET    /api/profile/photo?id=
+ * - Redirects to a signed URL of the user's photo; this is what
+ *   profiles.avatar_url points at, so it works in <img> tags
+ *
+ * PUT    /api/profile/photo
+ * - Upload a new photo: { data } with the JPEG, PNG or WebP image base64-encoded
+ * - Cropped to a 512px square and moderated before it's stored: harmful
+ *   photos get 422, borderline ones are published and queued for an admin
+ *
+ * DELETE /api/profile/photo
+ * - Remove your photo
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Request bodies are capped by the body parser size limit
+ * - Always return a response (success or error)
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - Photos are public, like the profiles they belong to; uploading and
+ *   removing require authentication and only touch your own photo
+ * - If moderation is unavailable uploads fail rather than skip the check
+ */
+
+import { withAuth } from '../../../lib/auth'
+import { setProfilePhoto, removeProfilePhoto, getProfilePhotoUrl } from '../../../lib/profilePhotos'
+
+// Base64 adds a third to the 10 MB photo limit
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '14mb'
+    }
+  }
+}
+
+async function handler(req, res) {
+  // Set CORS headers to prevent hanging requests
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(req, res)
+
+      case 'PUT':
+        return await handleUpload(req, res)
+
+      case 'DELETE':
+        return await handleRemove(req, res)
+
+      default:
+        return res.status(405).json({ message: 'Method not allowed' })
+    }
+  } catch (error) {
+    console.error('Profile photo API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+// Authentication is optional - withAuth sets req.user to null for guests
+export default withAuth(handler, { optional: true })
+
+/**
+ * GET /api/profile/photo?id= - Redirect to the photo
+ */
+async function handleGet(req, res) {
+  const { id } = req.query
+
+  if (!id) {
+    return res.status(400).json({ message: 'Missing required field: id' })
+  }
+
+  const photo = await getProfilePhotoUrl(id)
+  if (!photo) {
+    return res.status(404).json({ message: 'Photo not found' })
+  }
+
+  // Cache the redirect for well under the signed URL's lifetime
+  res.setHeader('Cache-Control', `private, max-age=${Math.floor(photo.expiresIn / 2)}`)
+  return res.redirect(302, photo.url)
+}
+
+/**
+ * PUT /api/profile/photo - Upload a new photo
+ */
+async function handleUpload(req, res) {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' })
+  }
+
+  const { data } = req.body || {}
+  if (typeof data !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(data)) {
+    return res.status(400).json({ message: 'data must be the base64-encoded image' })
+  }
+
+  const result = await setProfilePhoto(req.user, data)
+  if (result.status) {
+    return res.status(result.status).json({ message: result.message })
+  }
+
+  return res.status(200).json({
+    message: 'Profile photo updated',
+    avatarUrl: result.profile.avatar_url
+  })
+}
+
+/**
+ * DELETE /api/profile/photo - Remove your photo
+ */
+async function handleRemove(req, res) {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' })
+  }
+
+  const removed = await removeProfilePhoto(req.user)
+  if (!removed) {
+    return res.status(404).json({ message: 'You have no profile photo to remove' })
+  }
+
+  return res.status(200).json({ message: 'Profile photo removed' })
+}
@@ -0,0 +1,76 @@
+/**
+ * Companion Presence API Route - Serverless Function
+ *
+ * GET /api/profile/presence
+ * - The companion's own presence: { companionId, acceptingRequests, status, label, lastSeenAt }
+ *
+ * PUT /api/profile/presence
+ * - Switch "online / accepting requests" on or off: { acceptingRequests }
+ *
+ * POST /api/profile/presence
+ * - Heartbeat, sent every minute by companion pages (see lib/presence.js)
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Single read or write per request
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Companions only, and only their own presence
+ */
+
+import { withAuth } from '../../../lib/auth'
+import { getOwnPresence, recordHeartbeat, setAcceptingRequests } from '../../../lib/presence'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  try {
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
+
+    switch (req.method) {
+      case 'GET': {
+        const presence = await getOwnPresence(user.id)
+        return res.status(200).json({ presence: { companionId: user.id, ...presence } })
+      }
+      case 'PUT': {
+        const { acceptingRequests } = req.body || {}
+        if (typeof acceptingRequests !== 'boolean') {
+          return res.status(400).json({ message: 'acceptingRequests must be true or false' })
+        }
+
+        const presence = await setAcceptingRequests(user.id, acceptingRequests)
+        return res.status(200).json({
+          message: acceptingRequests ? 'You are online and accepting requests' : 'You are away',
+          presence: { companionId: user.id, ...presence }
+        })
+      }
+      case 'POST': {
+        const presence = await recordHeartbeat(user.id)
+        return res.status(200).json({ presence: { companionId: user.id, ...presence } })
+      }
+      default:
+        return res.status(405).json({ message: 'Method not allowed' })
+    }
+  } catch (error) {
+    console.error('Presence API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+export default withAuth(handler, { roles: ['companion'] })
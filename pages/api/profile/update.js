@@ -28,9 +28,13 @@
  * - SQL injection prevention with parameterized queries
  */
 
-import { verifyToken } from '../../../lib/auth';
+import { withAuth } from '../../../lib/auth';
+import { CANCELLATION_POLICY_KEYS } from '../../../lib/cancellation';
+import { getProfile, getCompanionProfile, updateProfile } from '../../../lib/profiles';
+import { notifyFavoritersOfRateChange } from '../../../lib/favorites';
+import { assessText, recordModerationEvent, getBlockedMessage } from '../../../lib/moderation';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'PUT, OPTIONS');
@@ -47,23 +51,9 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Extract and verify JWT token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ message: 'Missing or invalid authorization header' });
-    }
-
-    const token = authHeader.substring(7);
-    let decoded;
-    
-    try {
-      decoded = verifyToken(token);
-    } catch (err) {
-      return res.status(401).json({ message: 'Invalid or expired token' });
-    }
-
-    const userId = decoded.id;
-    const userRole = decoded.role;
+    // Authenticated by withAuth before the handler runs
+    const userId = req.user.id;
+    const userRole = req.user.role;
 
     // Extract profile data from request body
     const profileData = req.body;
@@ -117,43 +107,102 @@ export default async function handler(req, res) {
       // Validate and sanitize hourly rate
       if (profileData.hourlyRate) {
         const rate = parseFloat(profileData.hourlyRate);
-        if (isNaN(rate) || rate < 0 || rate > 10000) {
+        if (isNaN(rate) || rate < 1 || rate > 10000) {
           return res.status(400).json({ 
-            message: 'Invalid hourly rate. Must be between 0 and 10000.' 
+            message: 'Invalid hourly rate. Must be between 1 and 10000.' 
           });
         }
-        sanitizedData.hourlyRate = rate;
+        sanitizedData.hourlyRate = Math.round(rate);
       }
 
-      // Validate availability status
-      const validStatuses = ['available', 'busy', 'offline'];
-      if (profileData.availabilityStatus && !validStatuses.includes(profileData.availabilityStatus)) {
+      // Optional override of the platform cancellation policy
+      if (profileData.cancellationPolicy !== undefined && profileData.cancellationPolicy !== null &&
+          !CANCELLATION_POLICY_KEYS.includes(profileData.cancellationPolicy)) {
         return res.status(400).json({ 
-          message: 'Invalid availability status',
-          validStatuses 
+          message: 'Invalid cancellation policy',
+          validPolicies: CANCELLATION_POLICY_KEYS
         });
       }
-      sanitizedData.availabilityStatus = profileData.availabilityStatus || 'available';
+      if (profileData.cancellationPolicy !== undefined) {
+        sanitizedData.cancellationPolicy = profileData.cancellationPolicy || null;
+      }
     }
 
-    // TODO: Update profile in database
-    // In a real implementation:
-    // await db.query(
-    //   'UPDATE users SET name = ?, email = ?, phone = ?, location = ?, ... WHERE id = ?',
-    //   [sanitizedData.name, sanitizedData.email, sanitizedData.phone, sanitizedData.location, ..., userId]
-    // )
-
-    // Simulate successful update
-    const updatedProfile = {
-      id: userId,
-      ...sanitizedData,
-      updatedAt: new Date().toISOString()
-    };
+    // Everything is validated and moderated before anything is written, so a
+    // rejected request leaves the profile untouched
+    const profile = userRole === 'companion' ? await getCompanionProfile(userId) : await getProfile(userId);
+    if (!profile) {
+      return res.status(404).json({ message: 'Profile not found' });
+    }
 
-    // Return success response
+    const patch = { full_name: sanitizedData.name };
+
+    // Bios are public, so they're moderated before they're stored; borderline
+    // ones are published and queued for an admin
+    let bioModeration = null;
+    if (profileData.bio !== undefined) {
+      const bio = sanitizedData.bio || null;
+      if ((profile.bio || null) !== bio) {
+        bioModeration = await assessText(bio);
+        if (bioModeration.decision === 'block') {
+          await recordModerationEvent(bioModeration, { contentType: 'bio', userId });
+          return res.status(422).json({ message: getBlockedMessage('bio') });
+        }
+        patch.bio = bio;
+      }
+    }
+
+    if (userRole === 'companion') {
+      if (profileData.specialties !== undefined) {
+        patch.specialties = (sanitizedData.specialties || '')
+          .split(',')
+          .map(specialty => specialty.trim())
+          .filter(Boolean);
+      }
+      // null falls back to the platform default
+      if (sanitizedData.cancellationPolicy !== undefined) {
+        patch.cancellation_policy = sanitizedData.cancellationPolicy;
+      }
+      if (sanitizedData.hourlyRate !== undefined) {
+        patch.hourly_rate = sanitizedData.hourlyRate;
+      }
+    }
+
+    // TODO: Store email, phone, date of birth, location, address, interests,
+    // emergency contact, experience and languages. Profiles have no columns
+    // for them yet, and email changes have to go through auth.users.
+    const updated = await updateProfile(userId, patch);
+    if (!updated) {
+      return res.status(404).json({ message: 'Profile not found' });
+    }
+
+    if (bioModeration) {
+      await recordModerationEvent(bioModeration, { contentType: 'bio', contentId: userId, userId });
+    }
+
+    // Clients who favorited the companion hear about rate changes
+    if (patch.hourly_rate !== undefined) {
+      try {
+        await notifyFavoritersOfRateChange(profile, patch.hourly_rate);
+      } catch (notificationError) {
+        // Log but don't fail the update if notifications fail
+        console.error('Failed to notify favoriters of rate change:', notificationError);
+      }
+    }
+
+    // Return only what was actually stored
     return res.status(200).json({
       message: 'Profile updated successfully',
-      profile: updatedProfile
+      profile: {
+        id: userId,
+        name: updated.full_name,
+        bio: updated.bio,
+        ...(userRole === 'companion' && {
+          specialties: updated.specialties || [],
+          hourlyRate: updated.hourly_rate,
+          cancellationPolicy: updated.cancellation_policy
+        })
+      }
     });
 
   } catch (error) {
@@ -168,3 +217,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withAuth(handler);
@@ -1,24 +1,31 @@
 /**
  * Pusher Authentication API Route
- * Authenticates Pusher channel subscriptions for private channels
- * 
+ * Authorizes Pusher subscriptions to private and presence channels
+ *
+ * POST /api/pusher/auth
+ * - { socket_id, channel_name } as sent by pusher-js
+ * - Returns the signed subscription, or 403 if the user may not join
+ *
  * INFINITE LOOP PREVENTION:
- * - Single authentication check, no recursive calls
+ * - Single authorization check, no recursive calls
  * - Early return for invalid requests
- * 
+ *
  * HANGING REQUEST PREVENTION:
- * - No external API calls, fast synchronous operation
+ * - At most one booking lookup, signing is local
  * - Always returns a response
- * 
+ *
  * SECURITY:
- * - Verifies user has access to requested channel
  * - Validates JWT token before authorizing channel
+ * - Channel rules live in lib/channelAuth.js: user channels are only for
+ *   that user, conversation and booking channels only for the booking's
+ *   client and companion, and conversations only while the chat is readable
+ * - Unknown channel names are refused
  */
 
-import { verifyToken } from '../../../lib/auth'
-import { authenticateChannel } from '../../../lib/pusher'
+import { withAuth } from '../../../lib/auth'
+import { authorizeChannel } from '../../../lib/channelAuth'
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*')
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
@@ -34,69 +41,30 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Authenticate user
-    const token = req.headers.authorization?.split(' ')[1]
-    if (!token) {
-      return res.status(401).json({ message: 'Authentication required' })
-    }
-
-    let user
-    try {
-      user = verifyToken(token)
-    } catch (error) {
-      return res.status(401).json({ message: 'Invalid or expired token' })
-    }
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
 
-    const { socket_id, channel_name } = req.body
+    const { socket_id, channel_name } = req.body || {}
 
     if (!socket_id || !channel_name) {
-      return res.status(400).json({ 
+      return res.status(400).json({
         message: 'Missing required fields: socket_id, channel_name'
       })
     }
 
-    // Validate channel access
-    // For conversation channels: private-conversation-{bookingId}
-    if (channel_name.startsWith('private-conversation-')) {
-      const bookingId = channel_name.replace('private-conversation-', '')
-      
-      // TODO: Verify user has access to this booking
-      // const booking = await db.query(
-      //   'SELECT * FROM bookings WHERE id = ? AND (user_id = ? OR companion_id = ?)',
-      //   [bookingId, user.id, user.id]
-      // )
-      // if (!booking) {
-      //   return res.status(403).json({ message: 'Access denied to this channel' })
-      // }
-
-      // TODO: Verify chat is available (booking status is accepted/confirmed)
-      // if (!['accepted', 'confirmed'].includes(booking.status)) {
-      //   return res.status(403).json({ 
-      //     message: 'Chat is not available for this booking'
-      //   })
-      // }
-    }
-    // For user channels: private-user-{userId}
-    else if (channel_name.startsWith('private-user-')) {
-      const channelUserId = channel_name.replace('private-user-', '')
-      if (channelUserId !== user.id) {
-        return res.status(403).json({ message: 'Access denied to this channel' })
-      }
-    }
-    // Unknown private channel
-    else {
-      return res.status(403).json({ message: 'Invalid channel name' })
+    const result = await authorizeChannel(socket_id, channel_name, user)
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message })
     }
 
-    // Authenticate with Pusher
-    const auth = authenticateChannel(socket_id, channel_name, user)
-
-    return res.status(200).json(auth)
+    return res.status(200).json(result.auth)
   } catch (error) {
     console.error('Pusher auth error:', error)
-    return res.status(500).json({ 
+    return res.status(500).json({
       message: 'Authentication failed',
       ...(process.env.NODE_ENV === 'development' && { error: error.message })
     })
   }
 }
+
+export default withAuth(handler)
@@ -0,0 +1,80 @@
+/**
+ * Pusher Webhook Handler - Serverless Function
+ *
+ * POST /api/pusher/webhook
+ * - Receives Pusher's presence webhooks (member_added, member_removed) and
+ *   marks companions connected or disconnected (see lib/presence.js)
+ * - Enable "Presence" webhooks for this URL in the Pusher app settings
+ *
+ * INFINITE LOOP PREVENTION:
+ * - Events only update presence rows; nothing is sent back to Pusher
+ * - Redeliveries older than the last applied event are ignored
+ *
+ * HANGING REQUEST PREVENTION:
+ * - A few small writes per webhook, then a single response
+ * - Pusher retries if no response is received
+ *
+ * ERROR HANDLING:
+ * - Return 200 once the events are applied
+ * - Return 500 if they can't be, so Pusher delivers them again
+ *
+ * SECURITY:
+ * - ALWAYS verify the webhook signature (HMAC of the raw body with the
+ *   Pusher secret) and app key
+ * - Reject requests with invalid signatures
+ * - Only presence-user-{id} channels of the member themselves are applied
+ */
+
+import { readWebhook } from '../../../lib/pusher'
+import { applyPresenceWebhook } from '../../../lib/presence'
+
+// Disable body parsing to get raw body for signature verification
+export const config = {
+  api: {
+    bodyParser: false
+  }
+}
+
+export default async function handler(req, res) {
+  // Only allow POST from Pusher
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const rawBody = await getRawBody(req)
+
+    // CRITICAL: Always verify webhook signature
+    const webhook = readWebhook(req.headers, rawBody)
+    if (!webhook) {
+      console.error('Invalid Pusher webhook signature')
+      return res.status(401).json({ message: 'Invalid signature' })
+    }
+
+    if (!Array.isArray(webhook.events) || isNaN(webhook.time.getTime())) {
+      return res.status(400).json({ message: 'Invalid payload' })
+    }
+
+    const applied = await applyPresenceWebhook(webhook.events, webhook.time)
+
+    return res.status(200).json({ message: 'Webhook received', applied })
+  } catch (error) {
+    console.error('Pusher webhook error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+/**
+ * Get raw request body for signature verification
+ */
+function getRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+    req.on('error', reject)
+  })
+}
@@ -0,0 +1,61 @@
+/**
+ * Review Appeal API Route - Serverless Function
+ *
+ * POST /api/reviews/[id]/appeal
+ * - Appeal a published review of you: { context }
+ * - Once per review; flags the review for the admin queue, and the
+ *   appellant is notified of the decision with the admin's note
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Single insert and update per request
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - 409 when the review was already appealed
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Only the reviewee can appeal
+ */
+
+import { withAuth } from '../../../../lib/auth'
+import { appealReview, serializeAppeal } from '../../../../lib/reviewReports'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { context } = req.body || {}
+
+    const result = await appealReview(req.query.id, req.user, { context })
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    return res.status(201).json({
+      message: 'Appeal submitted. We will let you know what our moderators decide.',
+      appeal: serializeAppeal(result.appeal)
+    })
+  } catch (error) {
+    console.error('Review appeal API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+export default withAuth(handler)
@@ -0,0 +1,77 @@
+/**
+ * Review Decision API Route - Serverless Function
+ *
+ * POST /api/reviews/[id]/moderate
+ * - Hide or restore a review: { action: 'hide' | 'restore', note }
+ *   Hiding upholds its open reports and pending appeal; restoring shows it
+ *   again (or keeps it up) and dismisses or rejects them. The note is
+ *   required and shown to the reviewer and the appellant.
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Single read and conditional update per request
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - 409 when the review is already in that state or was decided concurrently
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Admin only; every decision is written to the audit log
+ */
+
+import { withAuth } from '../../../../lib/auth'
+import {
+  REVIEW_DECISIONS,
+  decideReview,
+  serializeAppeal,
+  serializeReport
+} from '../../../../lib/reviewReports'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { action, note } = req.body || {}
+
+    if (!REVIEW_DECISIONS.includes(action)) {
+      return res.status(400).json({
+        message: 'Invalid action',
+        validActions: REVIEW_DECISIONS
+      })
+    }
+
+    const result = await decideReview(req.query.id, action, req.user, { note })
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    return res.status(200).json({
+      message: action === 'hide' ? 'Review hidden' : 'Review restored',
+      reviewId: result.review.id,
+      hidden: result.review.hidden,
+      reports: result.reports.map(serializeReport),
+      appeal: result.appeal ? serializeAppeal(result.appeal) : null
+    })
+  } catch (error) {
+    console.error('Review decision API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+export default withAuth(handler, { roles: ['admin'] })
@@ -0,0 +1,64 @@
+/**
+ * Review Reply API Route - Serverless Function
+ *
+ * POST /api/reviews/[id]/reply
+ * - The companion's public reply to a published review of them: { body }
+ * - One reply per review; the reviewer is notified once it's published
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Single moderation check and insert per request
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - 409 when the review already has a reply
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Only the companion who was reviewed can reply
+ * - Reply text is moderated (lib/moderation.js): harmful replies get 422,
+ *   borderline ones are held back until an admin approves them
+ */
+
+import { withAuth } from '../../../../lib/auth'
+import { submitReviewReply, serializeReviewReply } from '../../../../lib/reviews'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { body } = req.body || {}
+
+    const result = await submitReviewReply(req.query.id, req.user, { body })
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    return res.status(201).json({
+      message: result.pendingModeration
+        ? 'Reply submitted. It will be published once a moderator has approved it.'
+        : 'Reply published',
+      reply: serializeReviewReply(result.reply)
+    })
+  } catch (error) {
+    console.error('Review reply API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+export default withAuth(handler, { roles: ['companion'] })
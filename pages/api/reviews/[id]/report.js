@@ -0,0 +1,71 @@
+/**
+ * Review Report API Route - Serverless Function
+ *
+ * POST /api/reviews/[id]/report
+ * - Report a published review: { reason, details }
+ *   reason is one of REPORT_REASONS (lib/reviewReports.js); details are
+ *   required for 'other'
+ * - Flags the review for the admin queue; the reporter is notified of the
+ *   decision
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Single insert and update per request
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - 409 when the user already reported the review
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - One report per user per review; reviewers can't report their own
+ * - Reporters aren't shown to the reviewer or reviewee
+ */
+
+import { withAuth } from '../../../../lib/auth'
+import { REPORT_REASONS, reportReview, serializeReport } from '../../../../lib/reviewReports'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { reason, details } = req.body || {}
+
+    if (!REPORT_REASONS[reason]) {
+      return res.status(400).json({
+        message: 'Invalid reason',
+        validReasons: Object.keys(REPORT_REASONS)
+      })
+    }
+
+    const result = await reportReview(req.query.id, req.user, { reason, details })
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    return res.status(201).json({
+      message: 'Thanks for your report. Our moderators will look into it.',
+      report: serializeReport(result.report)
+    })
+  } catch (error) {
+    console.error('Review report API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+export default withAuth(handler)
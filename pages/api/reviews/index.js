@@ -1,5 +1,12 @@
 /**
  * Reviews Fetch API Route - Serverless Function
+ *
+ * GET /api/reviews?userId=&page=&limit=&bookingId=
+ * - Published reviews of a user: both parties have reviewed the booking, or
+ *   its review window has closed
+ * - Reviews of companions are public
+ * - Reviews of clients need bookingId: a pending booking request from that
+ *   client to the authenticated companion (admins don't)
  * 
  * INFINITE LOOP PREVENTION:
  * - Each request is handled exactly once with a single response
@@ -20,12 +27,16 @@
  * - Validate all inputs before processing
  * 
  * SECURITY:
- * - Public endpoint (reviews are public)
+ * - Public endpoint for reviews of companions; reviews of clients are
+ *   only shown to companions evaluating a booking request from them
  * - SQL injection prevention with parameterized queries
  * - Rate limiting should be implemented in production
  */
 
-export default async function handler(req, res) {
+import { withAuth } from '../../../lib/auth';
+import { listReviewsFor } from '../../../lib/reviews';
+
+async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -42,7 +53,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { userId, page = 1, limit = 10 } = req.query;
+    const { userId, page = 1, limit = 10, bookingId } = req.query;
 
     if (!userId) {
       return res.status(400).json({ message: 'User ID is required' });
@@ -60,79 +71,14 @@ export default async function handler(req, res) {
       return res.status(400).json({ message: 'Limit must be between 1 and 100' });
     }
 
-    // TODO: Fetch reviews from database with pagination
-    // IMPORTANT: Always use LIMIT and OFFSET to prevent fetching all records
-    // const reviews = await db.query(
-    //   `SELECT 
-    //      r.*,
-    //      u.name as reviewer_name,
-    //      b.date as booking_date
-    //    FROM reviews r
-    //    LEFT JOIN users u ON r.reviewer_id = u.id
-    //    LEFT JOIN bookings b ON r.booking_id = b.id
-    //    WHERE r.reviewee_id = ?
-    //    ORDER BY r.created_at DESC
-    //    LIMIT ? OFFSET ?`,
-    //   [userId, limitNum, (pageNum - 1) * limitNum]
-    // )
-
-    // TODO: Get total count for pagination
-    // const totalCount = await db.query(
-    //   'SELECT COUNT(*) as count FROM reviews WHERE reviewee_id = ?',
-    //   [userId]
-    // )
-
-    // TODO: Get average rating
-    // const avgRating = await db.query(
-    //   'SELECT AVG(rating) as average, COUNT(*) as total FROM reviews WHERE reviewee_id = ?',
-    //   [userId]
-    // )
-
-    // Placeholder data for development
-    const reviews = [
-      {
-        id: 1,
-        bookingId: 1,
-        reviewerId: 'user123',
-        reviewerName: 'John Smith',
-        reviewerRole: 'client',
-        revieweeId: userId,
-        revieweeRole: 'companion',
-        rating: 5,
-        reviewText: 'Excellent companion! Very professional and engaging.',
-        bookingDate: '2024-01-15',
-        createdAt: '2024-01-16T10:30:00.000Z'
-      },
-      {
-        id: 2,
-        bookingId: 3,
-        reviewerId: 'user456',
-        reviewerName: 'Jane Doe',
-        reviewerRole: 'client',
-        revieweeId: userId,
-        revieweeRole: 'companion',
-        rating: 4,
-        reviewText: 'Great experience overall. Would recommend!',
-        bookingDate: '2024-01-10',
-        createdAt: '2024-01-11T14:20:00.000Z'
-      }
-    ];
-
-    const stats = {
-      averageRating: 4.5,
-      totalReviews: 2
-    };
+    // Unpublished and hidden reviews (removed or awaiting moderation) are left out
+    const result = await listReviewsFor(userId, req.user, { page: pageNum, limit: limitNum, bookingId });
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
 
-    return res.status(200).json({
-      reviews,
-      stats,
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total: reviews.length,
-        totalPages: Math.ceil(reviews.length / limitNum)
-      }
-    });
+    const { reviews, stats, pagination } = result;
+    return res.status(200).json({ reviews, stats, pagination });
 
   } catch (error) {
     // CRITICAL: Always catch and handle errors to prevent hanging requests
@@ -143,3 +89,6 @@ export default async function handler(req, res) {
     });
   }
 }
+
+// Authentication is optional - withAuth sets req.user to null for guests
+export default withAuth(handler, { optional: true });
@@ -0,0 +1,76 @@
+/**
+ * Review Queue API Route - Serverless Function
+ *
+ * GET /api/reviews/queue?queue=flagged&limit=&offset=
+ * - flagged: reported or appealed reviews waiting for a decision, oldest
+ *   first, with their reports, appeal and reply
+ * - hidden: hidden reviews, newest first, which can be restored
+ * - With a count per queue
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Paginated reads
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required
+ * - Admin only
+ */
+
+import { withAuth } from '../../../lib/auth'
+import {
+  REVIEW_QUEUES,
+  countReviewQueues,
+  listReviewQueue,
+  serializeQueuedReview
+} from '../../../lib/reviewReports'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { queue = 'flagged' } = req.query
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0)
+
+    if (!REVIEW_QUEUES.includes(queue)) {
+      return res.status(400).json({
+        message: 'Invalid queue',
+        validQueues: REVIEW_QUEUES
+      })
+    }
+
+    const [{ reviews, total }, counts] = await Promise.all([
+      listReviewQueue({ queue, limit, offset }),
+      countReviewQueues()
+    ])
+
+    return res.status(200).json({
+      reviews: reviews.map(serializeQueuedReview),
+      counts,
+      pagination: { total, limit, offset }
+    })
+  } catch (error) {
+    console.error('Review queue API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+export default withAuth(handler, { roles: ['admin'] })
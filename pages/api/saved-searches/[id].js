@@ -0,0 +1,92 @@
+/**
+ * Saved Search API Route - Serverless Function
+ *
+ * GET /api/saved-searches/:id
+ * - One of the client's saved searches
+ *
+ * PUT /api/saved-searches/:id
+ * - Update it: { name, filters, alertsEnabled }; omitted fields are kept.
+ *   Turning alerts back on only covers changes from then on.
+ *
+ * DELETE /api/saved-searches/:id
+ * - Delete it
+ *
+ * HANGING REQUEST PREVENTION:
+ * - Single read and write per request
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - 404 for saved searches that don't exist or belong to someone else
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required (clients only)
+ * - Clients only see and change their own saved searches
+ */
+
+import { withAuth } from '../../../lib/auth'
+import {
+  deleteSavedSearch,
+  getSavedSearchForUser,
+  serializeSavedSearch,
+  updateSavedSearch
+} from '../../../lib/savedSearches'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  try {
+    // Authenticated by withAuth before the handler runs
+    const user = req.user
+
+    const savedSearch = await getSavedSearchForUser(req.query.id, user.id)
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Saved search not found' })
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return res.status(200).json({ savedSearch: serializeSavedSearch(savedSearch) })
+      case 'PUT':
+        return await handleUpdateSavedSearch(req, res, savedSearch)
+      case 'DELETE':
+        await deleteSavedSearch(savedSearch)
+        return res.status(200).json({ message: 'Saved search deleted' })
+      default:
+        return res.status(405).json({ message: 'Method not allowed' })
+    }
+  } catch (error) {
+    console.error('Saved search API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+/**
+ * Rename a saved search, replace its filters or toggle its alerts
+ */
+async function handleUpdateSavedSearch(req, res, savedSearch) {
+  const { name, filters, alertsEnabled } = req.body || {}
+
+  const result = await updateSavedSearch(savedSearch, { name, filters, alertsEnabled })
+  if (result.status) {
+    return res.status(result.status).json({ message: result.message })
+  }
+
+  return res.status(200).json({
+    message: 'Saved search updated',
+    savedSearch: serializeSavedSearch(result.savedSearch)
+  })
+}
+
+export default withAuth(handler, { roles: ['client'] })
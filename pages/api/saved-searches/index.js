@@ -0,0 +1,109 @@
+/**
+ * Saved Searches API Route - Serverless Function
+ *
+ * GET /api/saved-searches
+ * - The client's saved searches, newest first
+ *
+ * POST /api/saved-searches
+ * - Save a search: { name, filters, alertsEnabled }
+ *   `filters` uses the search API's names: query, city, lat, lng, radius,
+ *   minPrice, maxPrice, minRating, specialties, languages, sortBy.
+ *   With alerts on (the default) the client is notified when a newly
+ *   verified companion matches, or a favorite drops their rate to within
+ *   maxPrice (see lib/savedSearches.js).
+ *
+ * HANGING REQUEST PREVENTION:
+ * - At most 20 saved searches per client, single insert per request
+ *
+ * ERROR HANDLING:
+ * - Proper HTTP status codes for different error types
+ * - 409 when the name is taken or the client has too many saved searches
+ * - Never expose internal errors to client
+ *
+ * SECURITY:
+ * - JWT authentication required (clients only)
+ * - Clients only see their own saved searches
+ */
+
+import { withAuth } from '../../../lib/auth'
+import {
+  createSavedSearch,
+  listSavedSearches,
+  serializeSavedSearch
+} from '../../../lib/savedSearches'
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+  // Handle preflight requests immediately
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await handleGetSavedSearches(req, res)
+      case 'POST':
+        return await handleCreateSavedSearch(req, res)
+      default:
+        return res.status(405).json({ message: 'Method not allowed' })
+    }
+  } catch (error) {
+    console.error('Saved searches API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
+
+/**
+ * List the client's saved searches
+ */
+async function handleGetSavedSearches(req, res) {
+  // Authenticated by withAuth before the handler runs
+  const user = req.user
+
+  const savedSearches = await listSavedSearches(user.id)
+
+  return res.status(200).json({
+    savedSearches: savedSearches.map(serializeSavedSearch)
+  })
+}
+
+/**
+ * Save a search
+ */
+async function handleCreateSavedSearch(req, res) {
+  // Authenticated by withAuth before the handler runs
+  const user = req.user
+
+  const { name, filters, alertsEnabled } = req.body || {}
+
+  if (!name) {
+    return res.status(400).json({
+      message: 'Missing required fields',
+      required: ['name']
+    })
+  }
+
+  const result = await createSavedSearch(user.id, {
+    name,
+    filters: filters || {},
+    alertsEnabled: alertsEnabled !== false
+  })
+  if (result.status) {
+    return res.status(result.status).json({ message: result.message })
+  }
+
+  return res.status(201).json({
+    message: 'Search saved',
+    savedSearch: serializeSavedSearch(result.savedSearch)
+  })
+}
+
+export default withAuth(handler, { roles: ['client'] })
@@ -0,0 +1,52 @@
+/**
+ * Local Storage File API Route - Serverless Function
+ *
+ * GET /api/storage/file?key=&expires=&signature=
+ * - Serves a file from the local storage backend (STORAGE_BACKEND=local)
+ * - The URL comes from getSignedUrl in lib/storage.js; it stops working
+ *   once it expires. In production Supabase Storage signs and serves files.
+ *
+ * SECURITY:
+ * - No login: the signature is the authorization, like a Supabase signed URL
+ * - Files are sent with nosniff and a sandboxing CSP so uploads can't run
+ *   as pages on our origin
+ */
+
+import { getStorage, verifyLocalSignedUrl } from '../../../lib/storage'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  if (process.env.STORAGE_BACKEND !== 'local') {
+    return res.status(404).json({ message: 'Not found' })
+  }
+
+  try {
+    const { key, expires, signature } = req.query
+
+    if (!verifyLocalSignedUrl(key, expires, signature)) {
+      return res.status(403).json({ message: 'This link is invalid or has expired' })
+    }
+
+    const file = await getStorage().get(key)
+    if (!file) {
+      return res.status(404).json({ message: 'Not found' })
+    }
+
+    const secondsLeft = Math.max(0, Number(expires) - Math.floor(Date.now() / 1000))
+    res.setHeader('Content-Type', file.contentType)
+    res.setHeader('Content-Length', file.buffer.length)
+    res.setHeader('Cache-Control', `private, max-age=${secondsLeft}`)
+    res.setHeader('X-Content-Type-Options', 'nosniff')
+    res.setHeader('Content-Security-Policy', 'sandbox')
+    return res.status(200).send(file.buffer)
+  } catch (error) {
+    console.error('Storage file API error:', error)
+    return res.status(500).json({
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    })
+  }
+}
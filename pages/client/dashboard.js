@@ -1,12 +1,17 @@
 import { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
 import { motion } from 'framer-motion'
 import { MapPin, Search, Star, Calendar, Clock, MessageCircle, Loader, Heart } from 'lucide-react'
 import Link from 'next/link'
 import BookingModal from '../../components/booking/BookingModal'
 import CompanionFilters from '../../components/ui/CompanionFilters'
+import SavedSearches from '../../components/ui/SavedSearches'
+import PresenceBadge from '../../components/ui/PresenceBadge'
 import RatingPopup from '../../components/booking/RatingPopup'
+import { formatDate } from '../../lib/calendar'
 
 export default function ClientDashboard() {
+  const router = useRouter()
   const [activeBookings, setActiveBookings] = useState([])
   const [completedBookings, setCompletedBookings] = useState([])
   const [nearbyCompanions, setNearbyCompanions] = useState([])
@@ -14,6 +19,8 @@ export default function ClientDashboard() {
   const [selectedCompanion, setSelectedCompanion] = useState(null)
   const [searchQuery, setSearchQuery] = useState('')
   const [filters, setFilters] = useState({})
+  // Remounts CompanionFilters when a saved search replaces its filters
+  const [filtersVersion, setFiltersVersion] = useState(0)
   const [isSearching, setIsSearching] = useState(false)
   const [pagination, setPagination] = useState({})
   const [selectedBookingForReview, setSelectedBookingForReview] = useState(null)
@@ -31,7 +38,7 @@ export default function ClientDashboard() {
         otherPartyName: 'Sarah Johnson',
         date: '2024-01-15',
         time: '19:00',
-        status: 'confirmed',
+        status: 'accepted',
         location: 'Downtown Restaurant'
       }
     ])
@@ -86,8 +93,7 @@ export default function ClientDashboard() {
 
   const fetchFavoriteStatus = async (companionIds) => {
     try {
-      // TODO: Add actual authentication token
-      const token = 'mock-token'
+      const token = localStorage.getItem('token')
       const response = await fetch(`/api/favorites/check?companionIds=${companionIds.join(',')}`, {
         headers: {
           'Authorization': `Bearer ${token}`
@@ -99,7 +105,7 @@ export default function ClientDashboard() {
         const favorited = new Set()
         Object.keys(data.favoriteStatus).forEach(id => {
           if (data.favoriteStatus[id]) {
-            favorited.add(parseInt(id))
+            favorited.add(id)
           }
         })
         setFavoriteCompanions(favorited)
@@ -115,8 +121,7 @@ export default function ClientDashboard() {
     const isFavorited = favoriteCompanions.has(companionId)
     
     try {
-      // TODO: Add actual authentication token
-      const token = 'mock-token'
+      const token = localStorage.getItem('token')
       
       if (isFavorited) {
         // Remove from favorites
@@ -164,6 +169,13 @@ export default function ClientDashboard() {
     fetchCompanions(searchQuery, newFilters)
   }
 
+  const handleApplySavedSearch = ({ query, filters: savedFilters }) => {
+    setSearchQuery(query)
+    setFilters(savedFilters)
+    setFiltersVersion(version => version + 1)
+    fetchCompanions(query, savedFilters)
+  }
+
   const handleBookNow = (companion) => {
     setSelectedCompanion(companion)
     setIsBookingModalOpen(true)
@@ -250,7 +262,12 @@ export default function ClientDashboard() {
                   className="w-full pl-10 pr-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-pink-500"
                 />
               </div>
-              <CompanionFilters onFilterChange={handleFilterChange} initialFilters={filters} />
+              <CompanionFilters key={filtersVersion} onFilterChange={handleFilterChange} initialFilters={filters} />
+              <SavedSearches
+                currentSearch={{ query: searchQuery, ...filters }}
+                onApply={handleApplySavedSearch}
+                openSavedSearchId={router.query.savedSearch}
+              />
               <button 
                 type="submit"
                 disabled={isSearching}
@@ -303,8 +320,8 @@ export default function ClientDashboard() {
                         </span>
                       </div>
                       <div className="mt-4 flex space-x-3">
-                        {/* Chat button only available for accepted/confirmed bookings */}
-                        {['accepted', 'confirmed'].includes(booking.status) ? (
+                        {/* Chat button only available for accepted bookings */}
+                        {booking.status === 'accepted' ? (
                           <Link href={`/client/messages?booking=${booking.id}`} className="flex-1">
                             <button className="w-full px-4 py-2 bg-pink-600 text-white rounded-lg hover:bg-pink-700 transition-colors">
                               <MessageCircle className="w-4 h-4 inline mr-2" />
@@ -432,22 +449,31 @@ export default function ClientDashboard() {
                       
                       <div className="h-48 bg-gradient-to-br from-pink-200 to-purple-200 dark:from-pink-900 dark:to-purple-900"></div>
                       <div className="p-4">
-                        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
+                        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">
                           {companion.name}
                         </h3>
+                        <PresenceBadge presence={companion.presence} className="mb-2" />
                         <p className="text-sm text-gray-600 dark:text-gray-400 mb-3 line-clamp-2">
                           {companion.bio}
                         </p>
                         <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-400 mb-2">
                           <div className="flex items-center">
                             <Star className="w-4 h-4 text-yellow-400 mr-1 fill-yellow-400" />
-                            {companion.rating} ({companion.reviews} reviews)
-                          </div>
-                          <div className="flex items-center">
-                            <MapPin className="w-4 h-4 mr-1" />
-                            {companion.distance}
+                            {companion.rating !== null ? `${companion.rating} (${companion.reviews} reviews)` : 'New'}
                           </div>
+                          {(companion.distance || companion.location) && (
+                            <div className="flex items-center">
+                              <MapPin className="w-4 h-4 mr-1" />
+                              {companion.distance || companion.location}
+                            </div>
+                          )}
                         </div>
+                        {companion.nextAvailableSlots && companion.nextAvailableSlots.length > 0 && (
+                          <div className="flex items-center text-xs text-gray-600 dark:text-gray-400 mb-2">
+                            <Clock className="w-3 h-3 mr-1 flex-shrink-0" />
+                            Next free: {companion.nextAvailableSlots.map(slot => `${slot.date === formatDate(new Date()) ? 'Today' : slot.date} ${slot.time}`).join(', ')}
+                          </div>
+                        )}
                         {companion.specialties && companion.specialties.length > 0 && (
                           <div className="flex flex-wrap gap-1 mb-3">
                             {companion.specialties.slice(0, 2).map((specialty, idx) => (
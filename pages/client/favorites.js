@@ -1,38 +1,69 @@
 import { useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
-import { Heart, Star, MapPin, Search, Loader, Trash2 } from 'lucide-react'
+import {
+  Heart, Star, MapPin, Search, Loader, Trash2, Bell, BellOff, ChevronLeft, ChevronRight,
+  FolderPlus, Pencil, StickyNote, Check, X
+} from 'lucide-react'
 import Link from 'next/link'
 import BookingModal from '../../components/booking/BookingModal'
 
+async function request(url, method = 'GET', body) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  })
+
+  const result = await response.json()
+  if (!response.ok) {
+    throw new Error(result.message || 'Request failed')
+  }
+  return result
+}
+
 export default function FavoritesPage() {
   const [favorites, setFavorites] = useState([])
+  const [collections, setCollections] = useState([])
+  const [activeCollectionId, setActiveCollectionId] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [newCollectionName, setNewCollectionName] = useState('')
+  const [renamingCollection, setRenamingCollection] = useState(null)
+  const [editingNote, setEditingNote] = useState(null)
+  const [collectionMenuFor, setCollectionMenuFor] = useState(null)
   const [isBookingModalOpen, setIsBookingModalOpen] = useState(false)
   const [selectedCompanion, setSelectedCompanion] = useState(null)
 
   useEffect(() => {
-    fetchFavorites()
+    fetchCollections()
   }, [])
 
-  const fetchFavorites = async () => {
+  useEffect(() => {
+    fetchFavorites(activeCollectionId)
+  }, [activeCollectionId])
+
+  const fetchCollections = async () => {
+    try {
+      const data = await request('/api/favorites/collections')
+      setCollections(data.collections || [])
+    } catch (err) {
+      console.error('Error fetching collections:', err)
+    }
+  }
+
+  const fetchFavorites = async (collectionId) => {
     setIsLoading(true)
     try {
-      // TODO: Add actual authentication token
-      const token = 'mock-token'
-      const response = await fetch('/api/favorites', {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      })
-      const data = await response.json()
-
-      if (response.ok) {
-        setFavorites(data.favorites || [])
-      } else {
-        console.error('Failed to fetch favorites:', data.message)
-      }
-    } catch (error) {
-      console.error('Error fetching favorites:', error)
+      const query = collectionId ? `&collectionId=${collectionId}` : ''
+      const data = await request(`/api/favorites?limit=100${query}`)
+      setFavorites(data.favorites || [])
+      setError('')
+    } catch (err) {
+      console.error('Error fetching favorites:', err)
+      setError(err.message)
     } finally {
       setIsLoading(false)
     }
@@ -40,29 +71,114 @@ export default function FavoritesPage() {
 
   const handleRemoveFavorite = async (companionId) => {
     try {
-      // TODO: Add actual authentication token
-      const token = 'mock-token'
-      const response = await fetch(`/api/favorites?companionId=${companionId}`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      })
-      const data = await response.json()
-
-      if (response.ok) {
-        // Remove from local state
-        setFavorites(prev => prev.filter(fav => fav.id !== companionId))
-      } else {
-        console.error('Failed to remove favorite:', data.message)
-        alert('Failed to remove from favorites')
-      }
-    } catch (error) {
-      console.error('Error removing favorite:', error)
+      await request(`/api/favorites?companionId=${companionId}`, 'DELETE')
+      setFavorites(prev => prev.filter(fav => fav.id !== companionId))
+      fetchCollections()
+    } catch (err) {
+      console.error('Error removing favorite:', err)
       alert('Failed to remove from favorites')
     }
   }
 
+  // Updates a favorite's note, notifications or collections and keeps the list in sync
+  const updateFavorite = async (companion, changes) => {
+    try {
+      const data = await request('/api/favorites', 'PUT', { companionId: companion.id, ...changes })
+      const { note, notifyChanges, collectionIds } = data.favorite
+      const leftCollection = activeCollectionId && !collectionIds.includes(activeCollectionId)
+
+      setFavorites(prev => leftCollection
+        ? prev.filter(fav => fav.id !== companion.id)
+        : prev.map(fav => fav.id === companion.id ? { ...fav, note, notifyChanges, collectionIds } : fav))
+      if (changes.collectionIds) fetchCollections()
+      setError('')
+      return true
+    } catch (err) {
+      setError(err.message)
+      return false
+    }
+  }
+
+  const handleSaveNote = async () => {
+    const saved = await updateFavorite(editingNote.companion, { note: editingNote.text })
+    if (saved) setEditingNote(null)
+  }
+
+  const handleToggleCollection = (companion, collectionId) => {
+    const collectionIds = companion.collectionIds.includes(collectionId)
+      ? companion.collectionIds.filter(id => id !== collectionId)
+      : [...companion.collectionIds, collectionId]
+    updateFavorite(companion, { collectionIds })
+  }
+
+  // Swap a favorite with its neighbour; the order is per collection
+  const handleMove = async (index, offset) => {
+    const target = index + offset
+    if (target < 0 || target >= favorites.length) return
+
+    const reordered = [...favorites]
+    ;[reordered[index], reordered[target]] = [reordered[target], reordered[index]]
+    const previous = favorites
+    setFavorites(reordered)
+
+    try {
+      await request('/api/favorites/order', 'PUT', {
+        collectionId: activeCollectionId,
+        companionIds: reordered.slice(0, Math.max(index, target) + 1).map(fav => fav.id)
+      })
+    } catch (err) {
+      setFavorites(previous)
+      setError(err.message)
+    }
+  }
+
+  const handleCreateCollection = async (e) => {
+    e.preventDefault()
+    if (!newCollectionName.trim()) return
+
+    try {
+      const data = await request('/api/favorites/collections', 'POST', { name: newCollectionName })
+      setCollections(prev => [...prev, data.collection])
+      setNewCollectionName('')
+      setError('')
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleRenameCollection = async (e) => {
+    e.preventDefault()
+
+    try {
+      const data = await request(`/api/favorites/collections/${renamingCollection.id}`, 'PUT', {
+        name: renamingCollection.name
+      })
+      setCollections(prev => prev.map(collection =>
+        collection.id === data.collection.id ? { ...collection, name: data.collection.name } : collection))
+      setRenamingCollection(null)
+      setError('')
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleDeleteCollection = async (collection) => {
+    if (!confirm(`Delete "${collection.name}"? Its companions stay in your favorites.`)) return
+
+    try {
+      await request(`/api/favorites/collections/${collection.id}`, 'DELETE')
+      setCollections(prev => prev.filter(c => c.id !== collection.id))
+      setFavorites(prev => prev.map(fav => ({
+        ...fav,
+        collectionIds: fav.collectionIds.filter(id => id !== collection.id)
+      })))
+      if (activeCollectionId === collection.id) setActiveCollectionId(null)
+      setError('')
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
   const handleBookNow = (companion) => {
     setSelectedCompanion(companion)
     setIsBookingModalOpen(true)
@@ -127,6 +243,89 @@ export default function FavoritesPage() {
           </div>
         </motion.div>
 
+        {/* Collections */}
+        <div className="mb-6 flex flex-wrap items-center gap-2">
+          <button
+            onClick={() => setActiveCollectionId(null)}
+            className={`px-4 py-2 rounded-full text-sm font-medium transition-colors ${
+              activeCollectionId === null
+                ? 'bg-gradient-to-r from-pink-500 to-purple-600 text-white'
+                : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+            }`}
+          >
+            All
+          </button>
+          {collections.map(collection => (
+            renamingCollection?.id === collection.id ? (
+              <form key={collection.id} onSubmit={handleRenameCollection} className="flex items-center space-x-1">
+                <input
+                  type="text"
+                  value={renamingCollection.name}
+                  onChange={(e) => setRenamingCollection({ ...renamingCollection, name: e.target.value })}
+                  maxLength={60}
+                  autoFocus
+                  className="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-full bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-pink-500"
+                />
+                <button type="submit" title="Save" className="p-1 text-gray-500 hover:text-pink-600">
+                  <Check className="w-4 h-4" />
+                </button>
+                <button type="button" onClick={() => setRenamingCollection(null)} title="Cancel" className="p-1 text-gray-500 hover:text-gray-700">
+                  <X className="w-4 h-4" />
+                </button>
+              </form>
+            ) : (
+              <div key={collection.id} className="flex items-center">
+                <button
+                  onClick={() => setActiveCollectionId(collection.id)}
+                  className={`px-4 py-2 rounded-full text-sm font-medium transition-colors ${
+                    activeCollectionId === collection.id
+                      ? 'bg-gradient-to-r from-pink-500 to-purple-600 text-white'
+                      : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                  }`}
+                >
+                  {collection.name}
+                  {collection.count > 0 && <span className="ml-1 opacity-75">({collection.count})</span>}
+                </button>
+                {activeCollectionId === collection.id && (
+                  <>
+                    <button
+                      onClick={() => setRenamingCollection({ id: collection.id, name: collection.name })}
+                      title="Rename collection"
+                      className="p-1 ml-1 text-gray-500 hover:text-pink-600"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDeleteCollection(collection)}
+                      title="Delete collection"
+                      className="p-1 text-gray-500 hover:text-red-600"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </>
+                )}
+              </div>
+            )
+          ))}
+          <form onSubmit={handleCreateCollection} className="flex items-center space-x-1">
+            <input
+              type="text"
+              value={newCollectionName}
+              onChange={(e) => setNewCollectionName(e.target.value)}
+              maxLength={60}
+              placeholder="New collection"
+              className="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-full bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-pink-500"
+            />
+            <button type="submit" title="Create collection" className="p-2 text-gray-500 hover:text-pink-600">
+              <FolderPlus className="w-5 h-5" />
+            </button>
+          </form>
+        </div>
+
+        {error && (
+          <p className="mb-4 text-sm text-red-600 dark:text-red-400">{error}</p>
+        )}
+
         {isLoading ? (
           <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-12 text-center">
             <Loader className="w-8 h-8 mx-auto text-pink-500 animate-spin mb-4" />
@@ -170,11 +369,11 @@ export default function FavoritesPage() {
                   <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-400 mb-2">
                     <div className="flex items-center">
                       <Star className="w-4 h-4 text-yellow-400 mr-1 fill-yellow-400" />
-                      {companion.rating} ({companion.reviews} reviews)
+                      {companion.rating ?? 'New'} ({companion.reviews} reviews)
                     </div>
                     <div className="flex items-center">
                       <MapPin className="w-4 h-4 mr-1" />
-                      {companion.distance}
+                      {companion.location || 'Location not set'}
                     </div>
                   </div>
                   {companion.specialties && companion.specialties.length > 0 && (
@@ -194,6 +393,100 @@ export default function FavoritesPage() {
                       )}
                     </div>
                   )}
+                  {/* Private note */}
+                  {editingNote?.companion.id === companion.id ? (
+                    <div className="mb-3">
+                      <textarea
+                        value={editingNote.text}
+                        onChange={(e) => setEditingNote({ ...editingNote, text: e.target.value })}
+                        maxLength={1000}
+                        rows={3}
+                        autoFocus
+                        placeholder="Only you can see this note"
+                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-pink-500"
+                      />
+                      <div className="flex justify-end space-x-2 mt-1">
+                        <button onClick={() => setEditingNote(null)} className="text-xs text-gray-500 hover:text-gray-700">
+                          Cancel
+                        </button>
+                        <button onClick={handleSaveNote} className="text-xs font-semibold text-pink-600 hover:text-pink-700">
+                          Save note
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={() => setEditingNote({ companion, text: companion.note })}
+                      className="w-full mb-3 flex items-start text-left text-sm text-gray-600 dark:text-gray-400 hover:text-pink-600"
+                    >
+                      <StickyNote className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                      <span className={companion.note ? 'whitespace-pre-line line-clamp-3' : 'italic'}>
+                        {companion.note || 'Add a private note'}
+                      </span>
+                    </button>
+                  )}
+
+                  <div className="flex items-center justify-between mb-3 relative">
+                    <div className="flex items-center space-x-1">
+                      <button
+                        onClick={() => handleMove(index, -1)}
+                        disabled={index === 0}
+                        title="Move earlier"
+                        className="p-1 text-gray-500 hover:text-pink-600 disabled:opacity-30 disabled:cursor-not-allowed"
+                      >
+                        <ChevronLeft className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleMove(index, 1)}
+                        disabled={index === favorites.length - 1}
+                        title="Move later"
+                        className="p-1 text-gray-500 hover:text-pink-600 disabled:opacity-30 disabled:cursor-not-allowed"
+                      >
+                        <ChevronRight className="w-4 h-4" />
+                      </button>
+                    </div>
+                    <div className="flex items-center space-x-1">
+                      <button
+                        onClick={() => setCollectionMenuFor(collectionMenuFor === companion.id ? null : companion.id)}
+                        title="Collections"
+                        className="p-1 text-gray-500 hover:text-pink-600"
+                      >
+                        <FolderPlus className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => updateFavorite(companion, { notifyChanges: !companion.notifyChanges })}
+                        title={companion.notifyChanges
+                          ? 'Stop notifying me about availability and rate changes'
+                          : 'Notify me about availability and rate changes'}
+                        className="p-1 text-gray-500 hover:text-pink-600"
+                      >
+                        {companion.notifyChanges
+                          ? <Bell className="w-4 h-4 text-pink-600" />
+                          : <BellOff className="w-4 h-4" />}
+                      </button>
+                    </div>
+
+                    {collectionMenuFor === companion.id && (
+                      <div className="absolute right-0 top-full mt-1 w-56 bg-white dark:bg-gray-800 rounded-lg shadow-xl border border-gray-200 dark:border-gray-700 z-20 p-2">
+                        {collections.length > 0 ? collections.map(collection => (
+                          <label key={collection.id} className="flex items-center px-2 py-1 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={companion.collectionIds.includes(collection.id)}
+                              onChange={() => handleToggleCollection(companion, collection.id)}
+                              className="mr-2 accent-pink-500"
+                            />
+                            <span className="truncate">{collection.name}</span>
+                          </label>
+                        )) : (
+                          <p className="px-2 py-1 text-sm text-gray-600 dark:text-gray-400">
+                            Create a collection above to group your favorites.
+                          </p>
+                        )}
+                      </div>
+                    )}
+                  </div>
+
                   <div className="flex items-center justify-between">
                     <div>
                       <span className="text-lg font-bold text-gray-900 dark:text-white">
@@ -221,10 +514,12 @@ export default function FavoritesPage() {
           >
             <Heart className="w-16 h-16 mx-auto text-gray-400 mb-4" />
             <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
-              No favorites yet
+              {activeCollectionId ? 'No favorites in this collection yet' : 'No favorites yet'}
             </h3>
             <p className="text-gray-600 dark:text-gray-400 mb-6">
-              Start adding companions to your favorites to easily find and book them later.
+              {activeCollectionId
+                ? 'Add favorites to this collection from the folder button on their card.'
+                : 'Start adding companions to your favorites to easily find and book them later.'}
             </p>
             <Link href="/client/dashboard">
               <button className="px-6 py-3 bg-gradient-to-r from-pink-500 to-purple-600 text-white font-semibold rounded-lg hover:shadow-lg transition-shadow inline-flex items-center">
@@ -2,7 +2,6 @@ import { useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
 import { User, Mail, Phone, MapPin, Calendar, Camera, Save, ArrowLeft } from 'lucide-react'
 import Link from 'next/link'
-import ReviewsList from '../../components/booking/ReviewsList'
 
 export default function ClientProfile() {
   const [isEditing, setIsEditing] = useState(false)
@@ -425,10 +424,12 @@ export default function ClientProfile() {
           transition={{ delay: 0.1 }}
           className="mt-8 bg-white dark:bg-gray-800 rounded-lg shadow-md p-6"
         >
-          <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-6">
+          <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
             Reviews from Companions
           </h3>
-          <ReviewsList userId="current-user-id" userRole="client" />
+          <p className="text-gray-600 dark:text-gray-400">
+            Companions rate you after each completed booking. Their ratings aren&apos;t public: they&apos;re only shown to companions considering your booking requests.
+          </p>
         </motion.div>
       </div>
     </div>
@@ -3,6 +3,10 @@ import { motion } from 'framer-motion'
 import { Calendar, DollarSign, Star, TrendingUp, CheckCircle, Circle, MessageCircle } from 'lucide-react'
 import Link from 'next/link'
 import RatingPopup from '../../components/booking/RatingPopup'
+import ReviewsList from '../../components/booking/ReviewsList'
+import EarningsCard from '../../components/payouts/EarningsCard'
+import PresenceBadge from '../../components/ui/PresenceBadge'
+import { useCompanionPresence } from '../../hooks/useCompanionPresence'
 
 export default function CompanionDashboard() {
   const [onboardingProgress, setOnboardingProgress] = useState(60)
@@ -18,6 +22,9 @@ export default function CompanionDashboard() {
   const [isUpdating, setIsUpdating] = useState(null)
   const [selectedBookingForReview, setSelectedBookingForReview] = useState(null)
   const [isRatingPopupOpen, setIsRatingPopupOpen] = useState(false)
+  // Booking request whose client's reviews are shown
+  const [clientReviewsRequestId, setClientReviewsRequestId] = useState(null)
+  const { presence, isSaving: isSavingPresence, error: presenceError, setAcceptingRequests } = useCompanionPresence()
 
   useEffect(() => {
     // TODO: Fetch user data, booking requests, and stats
@@ -26,6 +33,7 @@ export default function CompanionDashboard() {
       {
         id: 1,
         client: 'John Smith',
+        clientId: 'client-user-id',
         date: '2024-01-20',
         time: '18:00',
         duration: '2 hours',
@@ -182,14 +190,48 @@ export default function CompanionDashboard() {
         <motion.div
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
-          className="mb-8"
+          className="mb-8 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4"
         >
-          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
-            Welcome back, Companion!
-          </h1>
-          <p className="text-gray-600 dark:text-gray-400">
-            Manage your bookings and grow your business
-          </p>
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+              Welcome back, Companion!
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400">
+              Manage your bookings and grow your business
+            </p>
+          </div>
+
+          {/* Online / accepting requests switch */}
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md px-4 py-3">
+            <label className="flex items-center justify-between space-x-4 cursor-pointer">
+              <span className="text-sm font-medium text-gray-900 dark:text-white">
+                Online &amp; accepting requests
+              </span>
+              <button
+                type="button"
+                role="switch"
+                aria-checked={Boolean(presence?.acceptingRequests)}
+                onClick={() => setAcceptingRequests(!presence?.acceptingRequests)}
+                disabled={!presence || isSavingPresence}
+                className={`relative inline-flex h-6 w-11 flex-shrink-0 rounded-full transition-colors disabled:opacity-50 ${
+                  presence?.acceptingRequests ? 'bg-green-500' : 'bg-gray-300 dark:bg-gray-600'
+                }`}
+              >
+                <span
+                  className={`inline-block h-5 w-5 mt-0.5 rounded-full bg-white shadow transform transition-transform ${
+                    presence?.acceptingRequests ? 'translate-x-5' : 'translate-x-0.5'
+                  }`}
+                />
+              </button>
+            </label>
+            <div className="mt-1">
+              {presenceError ? (
+                <span className="text-xs text-red-600 dark:text-red-400">{presenceError}</span>
+              ) : (
+                <PresenceBadge presence={presence} />
+              )}
+            </div>
+          </div>
         </motion.div>
 
         {/* Onboarding Progress Bar */}
@@ -376,7 +418,19 @@ export default function CompanionDashboard() {
                         >
                           Decline
                         </button>
+                        <button
+                          onClick={() => setClientReviewsRequestId(id => id === request.id ? null : request.id)}
+                          className="flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+                        >
+                          <Star className="w-4 h-4 mr-2" />
+                          {clientReviewsRequestId === request.id ? 'Hide Reviews' : 'Client Reviews'}
+                        </button>
                       </div>
+                      {clientReviewsRequestId === request.id && (
+                        <div className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-700">
+                          <ReviewsList userId={request.clientId} userRole="client" bookingId={request.id} />
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -487,6 +541,8 @@ export default function CompanionDashboard() {
 
           {/* Sidebar */}
           <div className="space-y-6">
+            <EarningsCard />
+
             <motion.div
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
@@ -2,18 +2,24 @@ import { useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
 import { MessageCircle, Calendar, MapPin } from 'lucide-react'
 import Link from 'next/link'
+import { useRouter } from 'next/router'
 import ChatUI from '../../components/chat/ChatUI'
+import { useCompanionPresence } from '../../hooks/useCompanionPresence'
 
 export default function CompanionMessages() {
   const [conversations, setConversations] = useState([])
   const [selectedConversation, setSelectedConversation] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState(null)
+  const router = useRouter()
+  // Chatting counts as being around
+  useCompanionPresence()
 
   useEffect(() => {
+    if (!router.isReady) return
     fetchConversations()
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [])
+  }, [router.isReady])
 
   const fetchConversations = async () => {
     setIsLoading(true)
@@ -34,9 +40,10 @@ export default function CompanionMessages() {
       const data = await response.json()
       setConversations(data.conversations || [])
       
-      // Auto-select first conversation if available
+      // Open the conversation from a notification link, or else the most recent one
       if (data.conversations && data.conversations.length > 0 && !selectedConversation) {
-        setSelectedConversation(data.conversations[0])
+        const linked = data.conversations.find(c => String(c.bookingId) === String(router.query.booking))
+        setSelectedConversation(linked || data.conversations[0])
       }
     } catch (error) {
       console.error('Error fetching conversations:', error)
@@ -46,6 +53,11 @@ export default function CompanionMessages() {
     }
   }
 
+  // ChatUI marked the open conversation read
+  const handleConversationRead = (bookingId) => {
+    setConversations(prev => prev.map(c => c.bookingId === bookingId ? { ...c, unreadCount: 0 } : c))
+  }
+
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
       {/* Header */}
@@ -161,10 +173,13 @@ export default function CompanionMessages() {
           {/* Chat Area */}
           <div className="lg:col-span-2">
             {selectedConversation ? (
-              <ChatUI 
+              <ChatUI
+                key={selectedConversation.bookingId}
                 bookingId={selectedConversation.bookingId}
                 otherPartyName={selectedConversation.otherPartyName}
                 currentUserRole="companion"
+                canSend={selectedConversation.canSend}
+                onRead={handleConversationRead}
               />
             ) : (
               <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md h-full flex items-center justify-center">
@@ -3,12 +3,16 @@ import { motion } from 'framer-motion'
 import { User, Mail, Phone, MapPin, Calendar, Camera, Save, ArrowLeft, DollarSign, Globe, Award, Clock, CheckCircle, Image as ImageIcon } from 'lucide-react'
 import Link from 'next/link'
 import ReviewsList from '../../components/booking/ReviewsList'
+import ServiceAreaCard from '../../components/profile/ServiceAreaCard'
+import PresenceBadge from '../../components/ui/PresenceBadge'
+import { useCompanionPresence } from '../../hooks/useCompanionPresence'
 
 export default function CompanionProfile() {
   const [isEditing, setIsEditing] = useState(false)
   const [isLoading, setIsLoading] = useState(false)
   const [successMessage, setSuccessMessage] = useState('')
   const [error, setError] = useState('')
+  const { presence } = useCompanionPresence()
   
   const [profileData, setProfileData] = useState({
     // Basic Information
@@ -28,7 +32,6 @@ export default function CompanionProfile() {
     
     // Verification & Status
     verificationStatus: 'pending',
-    availabilityStatus: 'available',
     
     // Gallery (placeholder for image URLs)
     profilePhoto: '',
@@ -51,7 +54,6 @@ export default function CompanionProfile() {
       languages: 'English (Native), Spanish (Fluent), French (Conversational)',
       hourlyRate: '50',
       verificationStatus: 'verified',
-      availabilityStatus: 'available',
       profilePhoto: '',
       galleryPhotos: []
     })
@@ -482,74 +484,26 @@ export default function CompanionProfile() {
                 </div>
               </div>
 
-              {/* Availability Status */}
+              {/* Online Status */}
               <div className="border-t border-gray-200 dark:border-gray-700 pt-8">
                 <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4 flex items-center">
                   <Clock className="w-5 h-5 mr-2" />
-                  Availability Status
+                  Online Status
                 </h3>
-                <div className="space-y-4">
-                  <div className="flex items-start">
-                    <input
-                      type="radio"
-                      id="available"
-                      name="availabilityStatus"
-                      value="available"
-                      checked={profileData.availabilityStatus === 'available'}
-                      onChange={handleChange}
-                      disabled={!isEditing}
-                      className="mt-1 h-4 w-4 text-pink-600 focus:ring-pink-500 border-gray-300 disabled:opacity-50"
-                    />
-                    <div className="ml-3">
-                      <label htmlFor="available" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
-                        Available
-                      </label>
-                      <p className="text-sm text-gray-500 dark:text-gray-400">
-                        Accept new booking requests
-                      </p>
-                    </div>
-                  </div>
-                  <div className="flex items-start">
-                    <input
-                      type="radio"
-                      id="busy"
-                      name="availabilityStatus"
-                      value="busy"
-                      checked={profileData.availabilityStatus === 'busy'}
-                      onChange={handleChange}
-                      disabled={!isEditing}
-                      className="mt-1 h-4 w-4 text-pink-600 focus:ring-pink-500 border-gray-300 disabled:opacity-50"
-                    />
-                    <div className="ml-3">
-                      <label htmlFor="busy" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
-                        Busy
-                      </label>
-                      <p className="text-sm text-gray-500 dark:text-gray-400">
-                        Temporarily unavailable for new bookings
-                      </p>
-                    </div>
-                  </div>
-                  <div className="flex items-start">
-                    <input
-                      type="radio"
-                      id="offline"
-                      name="availabilityStatus"
-                      value="offline"
-                      checked={profileData.availabilityStatus === 'offline'}
-                      onChange={handleChange}
-                      disabled={!isEditing}
-                      className="mt-1 h-4 w-4 text-pink-600 focus:ring-pink-500 border-gray-300 disabled:opacity-50"
-                    />
-                    <div className="ml-3">
-                      <label htmlFor="offline" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
-                        Offline
-                      </label>
-                      <p className="text-sm text-gray-500 dark:text-gray-400">
-                        Profile hidden from search results
-                      </p>
-                    </div>
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                      {presence?.acceptingRequests ? 'Accepting requests' : 'Not accepting requests'}
+                    </p>
+                    <PresenceBadge presence={presence} />
                   </div>
+                  <Link href="/companion/dashboard" className="text-sm text-pink-600 hover:text-pink-700 dark:text-pink-400">
+                    Change on your dashboard
+                  </Link>
                 </div>
+                <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                  Clients see whether you&apos;re online now, when you were last active, or that you&apos;re away.
+                </p>
               </div>
 
               {/* Submit Button */}
@@ -576,6 +530,9 @@ export default function CompanionProfile() {
           </form>
         </div>
 
+        {/* Service Area */}
+        <ServiceAreaCard />
+
         {/* Reviews Section */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
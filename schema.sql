@@ -9,7 +9,9 @@ CREATE TABLE IF NOT EXISTS public.profiles (
     email TEXT UNIQUE,
     full_name TEXT,
     avatar_url TEXT,
-    role TEXT NOT NULL DEFAULT 'client' CHECK (role IN ('client', 'companion')),
+    -- Storage key of a photo uploaded through /api/profile/photo
+    avatar_key TEXT,
+    role TEXT NOT NULL DEFAULT 'client' CHECK (role IN ('client', 'companion', 'admin')),
     -- Companion-specific fields
     bio TEXT,
     hourly_rate INT CHECK (hourly_rate > 0),
@@ -19,8 +21,25 @@ CREATE TABLE IF NOT EXISTS public.profiles (
     documents JSONB,
     verification_status TEXT NOT NULL DEFAULT 'pending' CHECK (verification_status IN ('pending', 'verified', 'rejected', 'suspended')),
     admin_note TEXT,
+    -- When the companion last submitted documents, and when an admin last decided (see lib/companionVerification.js)
+    documents_submitted_at TIMESTAMPTZ,
+    verification_reviewed_at TIMESTAMPTZ,
+    -- Overrides platform_settings.cancellation_policy when set (see lib/cancellation.js)
+    cancellation_policy TEXT CHECK (cancellation_policy IN ('flexible', 'moderate', 'strict')),
+    -- Coarse service location: 2 decimal places (about 1 km), never the exact point (see lib/geo.js)
+    service_lat NUMERIC(4, 2) CHECK (service_lat BETWEEN -90 AND 90),
+    service_lng NUMERIC(5, 2) CHECK (service_lng BETWEEN -180 AND 180),
+    service_radius_km INT CHECK (service_radius_km BETWEEN 1 AND 200),
+    service_city TEXT,
+    -- Rate before the last change, kept by the profiles_record_rate_change trigger for saved-search alerts
+    previous_hourly_rate INT,
+    hourly_rate_changed_at TIMESTAMPTZ,
+    -- Messages in which the user shared contact or payment details (see lib/contactDetection.js)
+    contact_strikes INT NOT NULL DEFAULT 0 CHECK (contact_strikes >= 0),
+    last_contact_strike_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT service_location_complete CHECK ((service_lat IS NULL) = (service_lng IS NULL))
 );
 
 -- Enable RLS
@@ -52,6 +71,9 @@ EXCEPTION
     WHEN duplicate_object THEN null;
 END $$;
 
+-- Needed for the uuid equality operator in the bookings exclusion constraint
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
 -- Bookings table
 CREATE TABLE IF NOT EXISTS public.bookings (
     id BIGSERIAL PRIMARY KEY,
@@ -66,12 +88,41 @@ CREATE TABLE IF NOT EXISTS public.bookings (
     notes TEXT,
     companion_share_percent NUMERIC(5, 2),
     platform_share_percent NUMERIC(5, 2),
+    -- Policy in force when the booking was made
+    cancellation_policy TEXT,
     metadata JSONB,
+    -- Both parties can review until this deadline, set on completion (see lib/reviews.js)
+    review_deadline TIMESTAMPTZ,
+    review_reminder_sent_at TIMESTAMPTZ,
+    -- Auto-complete skips the booking until then, after it was disputed or
+    -- failed to complete (see pages/api/bookings/auto-complete.js)
+    auto_complete_after TIMESTAMPTZ,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     CONSTRAINT valid_time_range CHECK (end_time > start_time),
-    CONSTRAINT different_users CHECK (client_id != companion_id)
+    CONSTRAINT different_users CHECK (client_id != companion_id),
+    -- A companion can't hold two pending/accepted bookings for overlapping times.
+    -- Buffer (travel) time between bookings is enforced by the API.
+    CONSTRAINT bookings_no_overlap EXCLUDE USING gist (
+        companion_id WITH =,
+        tstzrange(start_time, end_time) WITH &&
+    ) WHERE (status IN ('pending', 'accepted'))
 );
 
+-- Databases created before the constraint existed only get it from here.
+-- Overlapping pending/accepted bookings must be resolved first or this fails.
+DO $$ BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'bookings_no_overlap'
+        AND conrelid = 'public.bookings'::regclass
+    ) THEN
+        ALTER TABLE public.bookings ADD CONSTRAINT bookings_no_overlap EXCLUDE USING gist (
+            companion_id WITH =,
+            tstzrange(start_time, end_time) WITH &&
+        ) WHERE (status IN ('pending', 'accepted'));
+    END IF;
+END $$;
+
 -- Enable RLS
 ALTER TABLE public.bookings ENABLE ROW LEVEL SECURITY;
 
@@ -91,6 +142,37 @@ CREATE INDEX IF NOT EXISTS idx_bookings_companion_id ON public.bookings(companio
 CREATE INDEX IF NOT EXISTS idx_bookings_status ON public.bookings(status);
 CREATE INDEX IF NOT EXISTS idx_bookings_start_time ON public.bookings(start_time);
 
+-- Booking history: one row per status change (see lib/bookingStateMachine.js)
+CREATE TABLE IF NOT EXISTS public.booking_events (
+    id BIGSERIAL PRIMARY KEY,
+    booking_id BIGINT NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+    -- NULL when a scheduled job or webhook made the change
+    actor_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+    actor_role TEXT NOT NULL CHECK (actor_role IN ('client', 'companion', 'admin', 'system')),
+    action TEXT NOT NULL,
+    from_status booking_status,
+    to_status booking_status NOT NULL,
+    reason TEXT,
+    metadata JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Enable RLS
+ALTER TABLE public.booking_events ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies (rows are only written by the API with the service role)
+CREATE POLICY "booking_events_participants_select" ON public.booking_events
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.bookings b
+            WHERE b.id = booking_events.booking_id
+            AND (b.client_id = auth.uid() OR b.companion_id = auth.uid())
+        )
+    );
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_booking_events_booking_id ON public.booking_events(booking_id, created_at);
+
 -- =============================================
 -- 3. SECURE MESSAGING SYSTEM
 -- =============================================
@@ -107,7 +189,13 @@ CREATE TABLE IF NOT EXISTS public.messages (
     id BIGSERIAL PRIMARY KEY,
     chat_id BIGINT NOT NULL REFERENCES public.chats(id) ON DELETE CASCADE,
     sender_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
-    content TEXT NOT NULL CHECK (length(content) > 0),
+    -- Empty only when the message carries attachments (checked in lib/chat.js)
+    content TEXT NOT NULL DEFAULT '',
+    -- Receipts, set when the other participant loads or reads the message
+    delivered_at TIMESTAMPTZ,
+    read_at TIMESTAMPTZ,
+    -- Hidden by an admin from the moderation queue (see lib/moderation.js)
+    hidden BOOLEAN NOT NULL DEFAULT false,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
@@ -121,19 +209,20 @@ CREATE POLICY "chats_accepted_bookings_select" ON public.chats
         EXISTS (
             SELECT 1 FROM public.bookings b
             WHERE b.id = chats.booking_id
-            AND b.status = 'accepted'
+            AND b.status IN ('accepted', 'completed')
             AND (b.client_id = auth.uid() OR b.companion_id = auth.uid())
         )
     );
 
 -- RLS Policies for messages
+-- History stays readable once the booking is completed; sending needs 'accepted'
 CREATE POLICY "messages_accessible_chats_select" ON public.messages
     FOR SELECT USING (
         EXISTS (
             SELECT 1 FROM public.chats c
             JOIN public.bookings b ON b.id = c.booking_id
             WHERE c.id = messages.chat_id
-            AND b.status = 'accepted'
+            AND b.status IN ('accepted', 'completed')
             AND (b.client_id = auth.uid() OR b.companion_id = auth.uid())
         )
     );
@@ -154,51 +243,164 @@ CREATE POLICY "messages_accessible_chats_insert" ON public.messages
 CREATE INDEX IF NOT EXISTS idx_messages_chat_id ON public.messages(chat_id);
 CREATE INDEX IF NOT EXISTS idx_messages_sender_id ON public.messages(sender_id);
 CREATE INDEX IF NOT EXISTS idx_messages_created_at ON public.messages(chat_id, created_at);
+-- Cursor pagination walks a chat's messages by id
+CREATE INDEX IF NOT EXISTS idx_messages_chat_cursor ON public.messages(chat_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_unread ON public.messages(chat_id, sender_id) WHERE read_at IS NULL;
+
+-- Latest message and unread count per chat for one reader (lib/chat.js)
+CREATE OR REPLACE FUNCTION public.chat_summaries(
+    chat_ids BIGINT[],
+    reader_id UUID
+)
+RETURNS TABLE (
+    chat_id BIGINT,
+    unread_count BIGINT,
+    last_message_id BIGINT,
+    last_sender_id UUID,
+    last_message TEXT,
+    last_message_at TIMESTAMPTZ,
+    last_message_hidden BOOLEAN
+) AS $$
+    SELECT c.id,
+           (SELECT COUNT(*) FROM public.messages m
+            WHERE m.chat_id = c.id AND m.sender_id <> reader_id AND m.read_at IS NULL),
+           l.id, l.sender_id, l.content, l.created_at, l.hidden
+    FROM public.chats c
+    LEFT JOIN LATERAL (
+        SELECT m.id, m.sender_id, m.content, m.created_at, m.hidden
+        FROM public.messages m
+        WHERE m.chat_id = c.id
+        ORDER BY m.id DESC
+        LIMIT 1
+    ) l ON true
+    WHERE c.id = ANY(chat_ids)
+$$ LANGUAGE sql STABLE;
+
+REVOKE EXECUTE ON FUNCTION public.chat_summaries(BIGINT[], UUID) FROM PUBLIC, anon, authenticated;
+
+-- Add a contact-sharing strike in one statement, so concurrent messages each count
+CREATE OR REPLACE FUNCTION public.record_contact_strike(user_id UUID)
+RETURNS INT AS $$
+    UPDATE public.profiles
+    SET contact_strikes = contact_strikes + 1,
+        last_contact_strike_at = NOW()
+    WHERE id = user_id
+    RETURNING contact_strikes
+$$ LANGUAGE sql;
+
+REVOKE EXECUTE ON FUNCTION public.record_contact_strike(UUID) FROM PUBLIC, anon, authenticated;
 
 -- =============================================
 -- 4. REVIEWS AND RATINGS SYSTEM
 -- =============================================
 
 -- Reviews table
+-- Both parties review a completed booking. Reviews are blind: each stays
+-- hidden until the other party has reviewed too or the booking's review
+-- window closes, so neither can retaliate (see lib/reviews.js).
 CREATE TABLE IF NOT EXISTS public.reviews (
     id BIGSERIAL PRIMARY KEY,
-    booking_id BIGINT UNIQUE NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+    booking_id BIGINT NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
     reviewer_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+    reviewer_role TEXT NOT NULL CHECK (reviewer_role IN ('client', 'companion')),
     reviewee_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+    -- Overall rating
     rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
+    -- Category ratings; NULL on reviews from before categories were asked for
+    punctuality_rating INT CHECK (punctuality_rating BETWEEN 1 AND 5),
+    communication_rating INT CHECK (communication_rating BETWEEN 1 AND 5),
+    accuracy_rating INT CHECK (accuracy_rating BETWEEN 1 AND 5),
     comment TEXT,
+    -- Held back by moderation (with hidden), or reported or appealed and
+    -- waiting for an admin (see lib/reviewReports.js)
     flagged BOOLEAN NOT NULL DEFAULT false,
+    flagged_at TIMESTAMPTZ,
     hidden BOOLEAN NOT NULL DEFAULT false,
+    -- The admin's note on the last decision to hide or restore
     moderation_note TEXT,
+    -- When the review becomes visible: the booking's review deadline, brought
+    -- forward to the second submission
+    published_at TIMESTAMPTZ NOT NULL,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-    CONSTRAINT different_review_users CHECK (reviewer_id != reviewee_id)
+    CONSTRAINT different_review_users CHECK (reviewer_id != reviewee_id),
+    CONSTRAINT one_review_per_reviewer UNIQUE (booking_id, reviewer_id)
 );
 
 -- Enable RLS
 ALTER TABLE public.reviews ENABLE ROW LEVEL SECURITY;
 
--- RLS Policies
-CREATE POLICY "reviews_public_select" ON public.reviews
-    FOR SELECT USING (true);
-
-CREATE POLICY "reviews_completed_bookings_insert" ON public.reviews
-    FOR INSERT WITH CHECK (
-        reviewer_id = auth.uid() AND
-        EXISTS (
-            SELECT 1 FROM public.bookings b
-            WHERE b.id = reviews.booking_id
-            AND b.status = 'completed'
-            AND (b.client_id = auth.uid() OR b.companion_id = auth.uid())
-            AND ((b.client_id = auth.uid() AND b.companion_id = reviews.reviewee_id) 
-                 OR (b.companion_id = auth.uid() AND b.client_id = reviews.reviewee_id))
-        )
+-- RLS Policies (rows are only written by the API with the service role, which
+-- moderates them and enforces the review window). Reviews of companions are
+-- public once published; reviews of clients are only served by the API, to
+-- companions with a booking request from that client.
+CREATE POLICY "reviews_published_select" ON public.reviews
+    FOR SELECT USING (
+        reviewer_id = auth.uid() OR
+        (reviewer_role = 'client' AND published_at <= NOW() AND NOT hidden)
     );
 
 -- Indexes
 CREATE INDEX IF NOT EXISTS idx_reviews_reviewee_id ON public.reviews(reviewee_id);
 CREATE INDEX IF NOT EXISTS idx_reviews_reviewer_id ON public.reviews(reviewer_id);
-CREATE INDEX IF NOT EXISTS idx_reviews_booking_id ON public.reviews(booking_id);
-CREATE INDEX IF NOT EXISTS idx_reviews_flagged ON public.reviews(flagged) WHERE flagged = true;
+CREATE INDEX IF NOT EXISTS idx_bookings_review_deadline ON public.bookings(review_deadline) WHERE review_reminder_sent_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_reviews_flagged ON public.reviews(flagged_at) WHERE flagged = true;
+
+-- Companions' public replies to reviews of them, one per review
+CREATE TABLE IF NOT EXISTS public.review_replies (
+    id BIGSERIAL PRIMARY KEY,
+    review_id BIGINT NOT NULL UNIQUE REFERENCES public.reviews(id) ON DELETE CASCADE,
+    author_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    -- Held back until an admin approves it
+    hidden BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Enable RLS (written by the API, which moderates replies)
+ALTER TABLE public.review_replies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "review_replies_visible_select" ON public.review_replies
+    FOR SELECT USING (author_id = auth.uid() OR NOT hidden);
+
+-- Reports of reviews, one per user per review. Open reports flag the review
+-- for the admin queue.
+CREATE TABLE IF NOT EXISTS public.review_reports (
+    id BIGSERIAL PRIMARY KEY,
+    review_id BIGINT NOT NULL REFERENCES public.reviews(id) ON DELETE CASCADE,
+    reporter_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL CHECK (reason IN ('offensive', 'false_information', 'personal_information', 'spam', 'conflict_of_interest', 'other')),
+    details TEXT,
+    -- upheld: the review was hidden; dismissed: it stays up
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'upheld', 'dismissed')),
+    resolved_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT one_report_per_reporter UNIQUE (review_id, reporter_id)
+);
+
+-- Appeals by the reviewee, once per review
+CREATE TABLE IF NOT EXISTS public.review_appeals (
+    id BIGSERIAL PRIMARY KEY,
+    review_id BIGINT NOT NULL UNIQUE REFERENCES public.reviews(id) ON DELETE CASCADE,
+    appellant_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+    context TEXT NOT NULL,
+    -- upheld: the review was hidden; rejected: it stays up
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'upheld', 'rejected')),
+    resolved_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    -- The admin's note, shown to the appellant
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Enable RLS (only the API reads and writes reports and appeals, with the
+-- service role)
+ALTER TABLE public.review_reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.review_appeals ENABLE ROW LEVEL SECURITY;
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_review_reports_review_id ON public.review_reports(review_id, status);
+CREATE INDEX IF NOT EXISTS idx_review_reports_reporter_id ON public.review_reports(reporter_id);
 
 -- =============================================
 -- 5. SUPPORTING FEATURES
@@ -211,6 +413,8 @@ EXCEPTION
     WHEN duplicate_object THEN null;
 END $$;
 
+ALTER TYPE transaction_status ADD VALUE IF NOT EXISTS 'partially_refunded';
+
 -- Transactions table
 CREATE TABLE IF NOT EXISTS public.transactions (
     id BIGSERIAL PRIMARY KEY,
@@ -218,6 +422,13 @@ CREATE TABLE IF NOT EXISTS public.transactions (
     paystack_reference TEXT UNIQUE NOT NULL,
     amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
     status transaction_status NOT NULL DEFAULT 'pending',
+    refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (refunded_amount >= 0),
+    payment_mode TEXT CHECK (payment_mode IN ('escrow', 'split')),
+    -- Refund of a charge that couldn't be kept (wrong amount, or a payment
+    -- attempt its escrow hold had moved on from); see lib/escrow.js
+    refund_status TEXT NOT NULL DEFAULT 'not_due' CHECK (refund_status IN ('not_due', 'pending', 'processed', 'failed')),
+    refund_attempts INT NOT NULL DEFAULT 0,
+    last_error TEXT,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
@@ -263,6 +474,12 @@ CREATE TABLE IF NOT EXISTS public.favorites (
     id BIGSERIAL PRIMARY KEY,
     user_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
     companion_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+    -- Private to the client (see lib/favorites.js)
+    note TEXT CHECK (char_length(note) <= 1000),
+    -- Order on the favorites page, lowest first
+    position INT NOT NULL DEFAULT 0,
+    -- Tell the client when the companion opens new availability or changes their rate
+    notify_changes BOOLEAN NOT NULL DEFAULT true,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     CONSTRAINT unique_favorite UNIQUE(user_id, companion_id),
     CONSTRAINT different_favorite_users CHECK (user_id != companion_id)
@@ -279,6 +496,52 @@ CREATE POLICY "favorites_individual_access" ON public.favorites
 CREATE INDEX IF NOT EXISTS idx_favorites_user_id ON public.favorites(user_id);
 CREATE INDEX IF NOT EXISTS idx_favorites_companion_id ON public.favorites(companion_id);
 
+-- Named groups of favorites, e.g. "Business events"
+CREATE TABLE IF NOT EXISTS public.favorite_collections (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 60),
+    position INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT unique_favorite_collection_name UNIQUE(user_id, name)
+);
+
+-- Enable RLS
+ALTER TABLE public.favorite_collections ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies
+CREATE POLICY "favorite_collections_individual_access" ON public.favorite_collections
+    FOR ALL USING (user_id = auth.uid());
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_favorite_collections_user_id ON public.favorite_collections(user_id, position);
+
+-- Favorites in a collection; a favorite can be in several
+CREATE TABLE IF NOT EXISTS public.favorite_collection_items (
+    collection_id BIGINT NOT NULL REFERENCES public.favorite_collections(id) ON DELETE CASCADE,
+    favorite_id BIGINT NOT NULL REFERENCES public.favorites(id) ON DELETE CASCADE,
+    position INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (collection_id, favorite_id)
+);
+
+-- Enable RLS
+ALTER TABLE public.favorite_collection_items ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies
+CREATE POLICY "favorite_collection_items_individual_access" ON public.favorite_collection_items
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM public.favorite_collections c
+            WHERE c.id = favorite_collection_items.collection_id
+            AND c.user_id = auth.uid()
+        )
+    );
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_favorite_collection_items_favorite_id ON public.favorite_collection_items(favorite_id);
+
 -- =============================================
 -- 6. FUNCTIONS AND TRIGGERS
 -- =============================================
@@ -289,7 +552,24 @@ CREATE TABLE IF NOT EXISTS public.platform_settings (
     companion_share_percent NUMERIC(5, 2) NOT NULL DEFAULT 80,
     platform_share_percent NUMERIC(5, 2) NOT NULL DEFAULT 20,
     auto_approve_companions BOOLEAN NOT NULL DEFAULT false,
+    booking_buffer_minutes INT NOT NULL DEFAULT 30 CHECK (booking_buffer_minutes >= 0),
+    cancellation_policy TEXT NOT NULL DEFAULT 'moderate' CHECK (cancellation_policy IN ('flexible', 'moderate', 'strict')),
+    -- 'escrow' holds charges until completion; 'split' pays the companion's subaccount at charge time
+    payment_mode TEXT NOT NULL DEFAULT 'escrow' CHECK (payment_mode IN ('escrow', 'split')),
+    escrow_auto_complete_hours INT NOT NULL DEFAULT 24 CHECK (escrow_auto_complete_hours > 0),
+    -- Withdrawals below this amount are refused (see lib/payouts.js)
+    payout_minimum_amount DECIMAL(10, 2) NOT NULL DEFAULT 20 CHECK (payout_minimum_amount >= 0),
+    -- Days completed-booking earnings stay pending before they can be withdrawn
+    payout_hold_days INT NOT NULL DEFAULT 3 CHECK (payout_hold_days >= 0),
     dispute_escalation_email TEXT,
+    -- Contact or payment details found in chat: 'warn' delivers the message,
+    -- 'mask' hides the details, 'block' refuses it (see lib/contactDetection.js)
+    contact_detection_policy TEXT NOT NULL DEFAULT 'mask' CHECK (contact_detection_policy IN ('off', 'warn', 'mask', 'block')),
+    -- Senders with this many strikes are blocked whatever the policy (0 never escalates)
+    contact_detection_block_after INT NOT NULL DEFAULT 3 CHECK (contact_detection_block_after >= 0),
+    -- Per-category overrides of the moderation thresholds in lib/moderation.js,
+    -- e.g. {"harassment": {"review": 0.4, "block": 0.9}}
+    moderation_thresholds JSONB NOT NULL DEFAULT '{}'::jsonb,
     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
@@ -309,13 +589,27 @@ CREATE TABLE IF NOT EXISTS public.disputes (
     booking_id BIGINT REFERENCES public.bookings(id) ON DELETE CASCADE,
     client_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
     companion_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+    opened_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
     status dispute_status NOT NULL DEFAULT 'open',
+    reason TEXT NOT NULL DEFAULT 'other' CHECK (reason IN ('no_show', 'late_or_short', 'misconduct', 'safety', 'not_as_described', 'payment', 'other')),
     summary TEXT,
     details TEXT,
-    resolution TEXT,
+    -- [{ type, url, name, submittedBy, submittedAt }]
+    evidence JSONB NOT NULL DEFAULT '[]'::jsonb,
+    -- Statements from both parties, admin notes and status changes, oldest first (see lib/disputes.js)
     notes JSONB NOT NULL DEFAULT '[]'::jsonb,
+    outcome TEXT CHECK (outcome IN ('full_refund', 'partial_refund', 'release_to_companion')),
+    refund_amount DECIMAL(10, 2) CHECK (refund_amount >= 0),
+    -- Whether the outcome's refund or release went through; a failed one can be retried
+    outcome_status TEXT CHECK (outcome_status IN ('pending', 'applied', 'failed')),
+    outcome_error TEXT,
+    resolution TEXT,
+    resolved_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    escalated_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT disputes_outcome_when_resolved CHECK ((status = 'resolved') = (outcome IS NOT NULL))
 );
 
 ALTER TABLE public.disputes ENABLE ROW LEVEL SECURITY;
@@ -332,6 +626,12 @@ CREATE POLICY IF NOT EXISTS disputes_participant_insert ON public.disputes
 
 CREATE INDEX IF NOT EXISTS idx_disputes_status ON public.disputes(status);
 CREATE INDEX IF NOT EXISTS idx_disputes_created_at ON public.disputes(created_at);
+CREATE INDEX IF NOT EXISTS idx_disputes_client_id ON public.disputes(client_id);
+CREATE INDEX IF NOT EXISTS idx_disputes_companion_id ON public.disputes(companion_id);
+
+-- At most one unresolved dispute per booking
+CREATE UNIQUE INDEX IF NOT EXISTS idx_disputes_one_open_per_booking ON public.disputes(booking_id)
+    WHERE status <> 'resolved';
 
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -349,12 +649,46 @@ CREATE TRIGGER update_profiles_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+-- Users may update their own profile, but never their role or verification
+-- outcome - only the API (service role) changes those
+CREATE OR REPLACE FUNCTION protect_profile_admin_fields()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF COALESCE(auth.role(), '') <> 'service_role' AND (
+        NEW.role IS DISTINCT FROM OLD.role OR
+        NEW.verification_status IS DISTINCT FROM OLD.verification_status OR
+        NEW.admin_note IS DISTINCT FROM OLD.admin_note OR
+        NEW.verification_reviewed_at IS DISTINCT FROM OLD.verification_reviewed_at OR
+        NEW.contact_strikes IS DISTINCT FROM OLD.contact_strikes OR
+        NEW.last_contact_strike_at IS DISTINCT FROM OLD.last_contact_strike_at OR
+        -- Set by /api/profile/photo after moderation; a client-set key could
+        -- point the photo URL at someone else's private file
+        NEW.avatar_key IS DISTINCT FROM OLD.avatar_key
+    ) THEN
+        RAISE EXCEPTION 'Only administrators can change role, verification status, strikes or photo keys';
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS protect_profiles_admin_fields ON public.profiles;
+CREATE TRIGGER protect_profiles_admin_fields
+    BEFORE UPDATE ON public.profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION protect_profile_admin_fields();
+
 DROP TRIGGER IF EXISTS update_disputes_updated_at ON public.disputes;
 CREATE TRIGGER update_disputes_updated_at
     BEFORE UPDATE ON public.disputes
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_favorite_collections_updated_at ON public.favorite_collections;
+CREATE TRIGGER update_favorite_collections_updated_at
+    BEFORE UPDATE ON public.favorite_collections
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
 DROP TRIGGER IF EXISTS update_platform_settings_updated_at ON public.platform_settings;
 CREATE TRIGGER update_platform_settings_updated_at
     BEFORE UPDATE ON public.platform_settings
@@ -380,3 +714,679 @@ CREATE TRIGGER trigger_create_chat_on_accepted
     AFTER UPDATE ON public.bookings
     FOR EACH ROW
     EXECUTE FUNCTION create_chat_on_booking_accepted();
+
+-- =============================================
+-- 7. PAYMENT ESCROW
+-- =============================================
+
+-- Escrow hold status (see lib/escrow.js)
+DO $$ BEGIN
+    CREATE TYPE escrow_status AS ENUM ('awaiting_payment', 'held', 'settling', 'settled', 'payment_failed');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- One hold per booking, driven by Paystack webhooks
+CREATE TABLE IF NOT EXISTS public.escrow_holds (
+    booking_id BIGINT PRIMARY KEY REFERENCES public.bookings(id) ON DELETE CASCADE,
+    status escrow_status NOT NULL DEFAULT 'awaiting_payment',
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
+    charge_reference TEXT UNIQUE NOT NULL,
+    -- Companion's part: credited to their balance on completion, or a cancellation fee
+    companion_amount DECIMAL(10, 2) CHECK (companion_amount >= 0),
+    release_status TEXT NOT NULL DEFAULT 'not_due' CHECK (release_status IN ('not_due', 'success', 'failed')),
+    release_attempts INT NOT NULL DEFAULT 0,
+    -- Client's part: refund on decline or cancellation
+    refund_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (refund_amount >= 0),
+    refund_status TEXT NOT NULL DEFAULT 'not_due' CHECK (refund_status IN ('not_due', 'pending', 'processed', 'failed')),
+    refund_attempts INT NOT NULL DEFAULT 0,
+    last_error TEXT,
+    held_at TIMESTAMPTZ,
+    settled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT escrow_parts_within_hold CHECK (COALESCE(companion_amount, 0) + refund_amount <= amount)
+);
+
+-- Enable RLS
+ALTER TABLE public.escrow_holds ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies (rows are only written by the API with the service role)
+CREATE POLICY "escrow_holds_participants_select" ON public.escrow_holds
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.bookings b
+            WHERE b.id = escrow_holds.booking_id
+            AND (b.client_id = auth.uid() OR b.companion_id = auth.uid())
+        )
+    );
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_escrow_holds_status ON public.escrow_holds(status);
+
+DROP TRIGGER IF EXISTS update_escrow_holds_updated_at ON public.escrow_holds;
+CREATE TRIGGER update_escrow_holds_updated_at
+    BEFORE UPDATE ON public.escrow_holds
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =============================================
+-- 8. LEDGER
+-- =============================================
+
+-- Double-entry ledger (see lib/ledger.js)
+-- Each row is one line of a journal entry; the lines sharing an entry_key
+-- always balance (total debit = total credit).
+CREATE TABLE IF NOT EXISTS public.ledger_lines (
+    id BIGSERIAL PRIMARY KEY,
+    entry_key TEXT NOT NULL,
+    line_no SMALLINT NOT NULL,
+    event_type TEXT NOT NULL,
+    reference TEXT NOT NULL,
+    booking_id BIGINT REFERENCES public.bookings(id) ON DELETE SET NULL,
+    account TEXT NOT NULL CHECK (account IN ('client_payments', 'escrow', 'companion_payable', 'platform_revenue', 'refunds')),
+    -- Companion the line belongs to (companion_payable lines)
+    profile_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+    debit DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (debit >= 0),
+    credit DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (credit >= 0),
+    description TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT ledger_lines_one_side CHECK ((debit = 0) <> (credit = 0)),
+    -- Re-posting an entry (webhook retries) never duplicates a line
+    CONSTRAINT ledger_lines_entry_line UNIQUE (entry_key, line_no)
+);
+
+-- Enable RLS (the ledger is only read and written by the API with the service role)
+ALTER TABLE public.ledger_lines ENABLE ROW LEVEL SECURITY;
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_ledger_lines_account ON public.ledger_lines(account, profile_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_lines_booking_id ON public.ledger_lines(booking_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_lines_reference ON public.ledger_lines(reference);
+
+-- =============================================
+-- 9. WEBHOOK EVENT LOG
+-- =============================================
+
+-- Every verified Paystack webhook, processed and retried from here (see lib/webhookEvents.js)
+CREATE TABLE IF NOT EXISTS public.webhook_events (
+    id BIGSERIAL PRIMARY KEY,
+    -- Event type plus Paystack's id/reference; redeliveries share the key
+    event_key TEXT UNIQUE NOT NULL,
+    event_type TEXT NOT NULL,
+    reference TEXT,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'processed', 'failed', 'dead')),
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ,
+    locked_at TIMESTAMPTZ,
+    last_error TEXT,
+    processed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Enable RLS (only the API reads and writes events, with the service role)
+ALTER TABLE public.webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON public.webhook_events(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_reference ON public.webhook_events(reference);
+
+DROP TRIGGER IF EXISTS update_webhook_events_updated_at ON public.webhook_events;
+CREATE TRIGGER update_webhook_events_updated_at
+    BEFORE UPDATE ON public.webhook_events
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =============================================
+-- 10. COMPANION PAYOUTS
+-- =============================================
+
+-- Verified bank account a companion is paid out to (a Paystack transfer recipient)
+-- Kept out of profiles, which are publicly readable.
+CREATE TABLE IF NOT EXISTS public.payout_accounts (
+    companion_id UUID PRIMARY KEY REFERENCES public.profiles(id) ON DELETE CASCADE,
+    recipient_code TEXT NOT NULL,
+    account_name TEXT NOT NULL,
+    bank_code TEXT NOT NULL,
+    account_last4 TEXT NOT NULL,
+    -- 'weekly' pays out the whole available balance every week
+    schedule TEXT NOT NULL DEFAULT 'manual' CHECK (schedule IN ('manual', 'weekly')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Enable RLS
+ALTER TABLE public.payout_accounts ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies (written only by the API with the service role)
+CREATE POLICY "payout_accounts_owner_select" ON public.payout_accounts
+    FOR SELECT USING (auth.uid() = companion_id);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_payout_accounts_schedule ON public.payout_accounts(schedule);
+
+DROP TRIGGER IF EXISTS update_payout_accounts_updated_at ON public.payout_accounts;
+CREATE TRIGGER update_payout_accounts_updated_at
+    BEFORE UPDATE ON public.payout_accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enum for payout status
+DO $$ BEGIN
+    CREATE TYPE payout_status AS ENUM ('pending', 'processing', 'paid', 'failed', 'reversed');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Transfers of a companion's available balance to their bank account
+CREATE TABLE IF NOT EXISTS public.payouts (
+    id BIGSERIAL PRIMARY KEY,
+    companion_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    status payout_status NOT NULL DEFAULT 'pending',
+    -- 'withdrawal' is requested by the companion, 'scheduled' by the weekly run
+    source TEXT NOT NULL DEFAULT 'withdrawal' CHECK (source IN ('withdrawal', 'scheduled')),
+    transfer_reference TEXT UNIQUE NOT NULL,
+    recipient_code TEXT NOT NULL,
+    failure_reason TEXT,
+    processed_at TIMESTAMPTZ,
+    paid_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Enable RLS
+ALTER TABLE public.payouts ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies (written only by the API with the service role)
+CREATE POLICY "payouts_owner_select" ON public.payouts
+    FOR SELECT USING (auth.uid() = companion_id);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_payouts_companion_id ON public.payouts(companion_id, status);
+
+DROP TRIGGER IF EXISTS update_payouts_updated_at ON public.payouts;
+CREATE TRIGGER update_payouts_updated_at
+    BEFORE UPDATE ON public.payouts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =============================================
+-- 11. ADMIN AUDIT LOG
+-- =============================================
+
+-- One row per admin decision (see lib/auditLog.js)
+CREATE TABLE IF NOT EXISTS public.admin_audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    -- NULL when the platform decided on its own (e.g. auto-approval)
+    actor_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+    actor_role TEXT NOT NULL CHECK (actor_role IN ('admin', 'system')),
+    action TEXT NOT NULL,
+    target_type TEXT NOT NULL,
+    target_id TEXT NOT NULL,
+    from_status TEXT,
+    to_status TEXT,
+    note TEXT,
+    metadata JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Enable RLS (only the API reads and writes the log, with the service role)
+ALTER TABLE public.admin_audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON public.admin_audit_log(target_type, target_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor_id ON public.admin_audit_log(actor_id);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON public.admin_audit_log(created_at);
+
+-- =============================================
+-- 12. COMPANION DISCOVERY
+-- =============================================
+
+-- Great-circle distances for nearby search
+CREATE EXTENSION IF NOT EXISTS cube;
+CREATE EXTENSION IF NOT EXISTS earthdistance;
+
+CREATE INDEX IF NOT EXISTS idx_profiles_service_location ON public.profiles
+    USING gist (ll_to_earth(service_lat::float8, service_lng::float8))
+    WHERE role = 'companion' AND service_lat IS NOT NULL;
+
+-- Full-text search over name, username, specialties and bio
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Weighted search document: name and username (A), specialties (B), bio (C).
+-- Wrapped in an IMMUTABLE function so it can back a generated column.
+CREATE OR REPLACE FUNCTION public.companion_search_document(
+    full_name TEXT,
+    username TEXT,
+    specialties TEXT[],
+    bio TEXT
+)
+RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('english', COALESCE(full_name, '') || ' ' || COALESCE(username, '')), 'A') ||
+           setweight(to_tsvector('english', COALESCE(array_to_string(specialties, ' '), '')), 'B') ||
+           setweight(to_tsvector('english', COALESCE(bio, '')), 'C')
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Short text the trigram fallback compares against, for misspelt names and specialties
+CREATE OR REPLACE FUNCTION public.companion_search_text(
+    full_name TEXT,
+    username TEXT,
+    specialties TEXT[]
+)
+RETURNS TEXT AS $$
+    SELECT lower(COALESCE(full_name, '') || ' ' || COALESCE(username, '') || ' ' || COALESCE(array_to_string(specialties, ' '), ''))
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Added after the function it is generated from
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (public.companion_search_document(full_name, username, specialties, bio)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_profiles_search_vector ON public.profiles
+    USING gin (search_vector)
+    WHERE role = 'companion';
+
+CREATE INDEX IF NOT EXISTS idx_profiles_search_trgm ON public.profiles
+    USING gin (public.companion_search_text(full_name, username, specialties) gin_trgm_ops)
+    WHERE role = 'companion';
+
+-- Replaced by search_companions
+DROP FUNCTION IF EXISTS public.companions_within_radius(DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION);
+DROP FUNCTION IF EXISTS public.companions_matching_text(TEXT, TEXT);
+
+-- Verified companions matching every search filter but availability, ranked,
+-- paged and counted (see lib/companionSearch.js, which checks availability).
+-- - Origin: the companion's service area must cover it and be within
+--   radius_km of it; distances are from the coarse service location
+-- - search_tsquery / specialty_tsquery are built by lib/searchIndex.js from
+--   sanitized words with their synonyms; search_words / specialty_words are
+--   the plain words, matched by trigram similarity so typos still match.
+--   Text relevance is between 0 and 1
+-- - Online: accepting requests and seen within the presence timeouts
+--   (lib/presence.js)
+-- - `ranking` carries the weights and stand-ins of getRankingScore, so the
+--   score matches the in-memory adapter's
+-- NULL parameters are filters that don't apply; a NULL result_limit returns
+-- every match. total_count is the number of matches before paging.
+CREATE OR REPLACE FUNCTION public.search_companions(
+    origin_lat DOUBLE PRECISION,
+    origin_lng DOUBLE PRECISION,
+    radius_km DOUBLE PRECISION,
+    search_tsquery TEXT,
+    search_words TEXT,
+    specialty_tsquery TEXT,
+    specialty_words TEXT,
+    min_price DECIMAL,
+    max_price DECIMAL,
+    min_rating DECIMAL,
+    online_only BOOLEAN,
+    heartbeat_timeout_seconds INT,
+    connected_timeout_seconds INT,
+    companion_ids UUID[],
+    ranking JSONB,
+    sort_by TEXT,
+    result_limit INT,
+    result_offset INT
+)
+RETURNS TABLE (
+    id UUID,
+    distance_km DOUBLE PRECISION,
+    relevance DOUBLE PRECISION,
+    score DOUBLE PRECISION,
+    total_count BIGINT
+) AS $$
+    WITH weights AS (
+        SELECT (ranking->'weights'->>'text')::DOUBLE PRECISION AS text_weight,
+               (ranking->'weights'->>'rating')::DOUBLE PRECISION AS rating_weight,
+               (ranking->'weights'->>'reviews')::DOUBLE PRECISION AS reviews_weight,
+               (ranking->'weights'->>'responseRate')::DOUBLE PRECISION AS response_weight,
+               (ranking->'weights'->>'completionRate')::DOUBLE PRECISION AS completion_weight,
+               (ranking->'weights'->>'distance')::DOUBLE PRECISION AS distance_weight,
+               (ranking->>'reviewCountCap')::INT AS review_count_cap
+    ),
+    matches AS (
+        SELECT p.id,
+               p.hourly_rate,
+               p.created_at,
+               CASE WHEN origin_lat IS NOT NULL THEN
+                   earth_distance(ll_to_earth(origin_lat, origin_lng), ll_to_earth(p.service_lat::float8, p.service_lng::float8)) / 1000
+               END AS distance_km,
+               CASE WHEN search_tsquery IS NOT NULL THEN
+                   GREATEST(
+                       ts_rank_cd(p.search_vector, to_tsquery('english', search_tsquery), 32),
+                       word_similarity(lower(search_words), public.companion_search_text(p.full_name, p.username, p.specialties))
+                   )::DOUBLE PRECISION
+               END AS relevance,
+               COALESCE(s.weighted_rating, (ranking->>'priorRating')::DECIMAL)::DOUBLE PRECISION AS weighted_rating,
+               COALESCE(s.review_count, 0) AS review_count,
+               COALESCE(s.response_rate, (ranking->>'neutralResponseRate')::DECIMAL)::DOUBLE PRECISION AS response_rate,
+               COALESCE(s.completion_rate, (ranking->>'neutralCompletionRate')::DECIMAL)::DOUBLE PRECISION AS completion_rate
+        FROM public.profiles p
+        LEFT JOIN public.companion_scorecards s ON s.companion_id = p.id
+        WHERE p.role = 'companion'
+          AND p.verification_status = 'verified'
+          AND (companion_ids IS NULL OR p.id = ANY(companion_ids))
+          AND (min_price IS NULL OR p.hourly_rate >= min_price)
+          AND (max_price IS NULL OR p.hourly_rate <= max_price)
+          AND (origin_lat IS NULL OR (
+              p.service_lat IS NOT NULL
+              AND earth_box(ll_to_earth(origin_lat, origin_lng), radius_km * 1000) @> ll_to_earth(p.service_lat::float8, p.service_lng::float8)
+              AND earth_distance(ll_to_earth(origin_lat, origin_lng), ll_to_earth(p.service_lat::float8, p.service_lng::float8))
+                  <= LEAST(radius_km, COALESCE(p.service_radius_km, 25)) * 1000
+          ))
+          AND (search_tsquery IS NULL
+              OR p.search_vector @@ to_tsquery('english', search_tsquery)
+              OR lower(search_words) <% public.companion_search_text(p.full_name, p.username, p.specialties))
+          AND (specialty_tsquery IS NULL
+              OR to_tsvector('english', COALESCE(array_to_string(p.specialties, ' '), '')) @@ to_tsquery('english', specialty_tsquery)
+              OR lower(specialty_words) <% lower(COALESCE(array_to_string(p.specialties, ' '), '')))
+          -- Clients see the rating to one decimal, so that's what they filter on
+          AND (min_rating IS NULL OR ROUND(s.average_rating, 1) >= min_rating)
+          AND (NOT online_only OR EXISTS (
+              SELECT 1
+              FROM public.companion_presence cp
+              WHERE cp.companion_id = p.id
+                AND cp.accepting_requests
+                AND cp.last_seen_at >= NOW() - make_interval(secs =>
+                    CASE WHEN cp.connected THEN connected_timeout_seconds ELSE heartbeat_timeout_seconds END)
+          ))
+    ),
+    ranked AS (
+        -- Signals that don't apply (no query, no origin) are left out and the rest scaled up
+        SELECT m.*,
+               (
+                   m.weighted_rating / 5 * w.rating_weight
+                   + ln(1 + LEAST(m.review_count, w.review_count_cap)) / ln(1 + w.review_count_cap) * w.reviews_weight
+                   + m.response_rate * w.response_weight
+                   + m.completion_rate * w.completion_weight
+                   + COALESCE(m.relevance * w.text_weight, 0)
+                   + COALESCE(GREATEST(0, 1 - m.distance_km / NULLIF(radius_km, 0)) * w.distance_weight, 0)
+               ) / (
+                   w.rating_weight + w.reviews_weight + w.response_weight + w.completion_weight
+                   + CASE WHEN m.relevance IS NOT NULL THEN w.text_weight ELSE 0 END
+                   + CASE WHEN m.distance_km IS NOT NULL AND radius_km > 0 THEN w.distance_weight ELSE 0 END
+               ) AS score
+        FROM matches m
+        CROSS JOIN weights w
+    )
+    SELECT r.id, r.distance_km, r.relevance, r.score, COUNT(*) OVER ()
+    FROM ranked r
+    -- Each sort falls back to the score for ties, as in SORT_COMPARATORS
+    ORDER BY
+        CASE WHEN sort_by = 'price' THEN r.hourly_rate END ASC NULLS LAST,
+        CASE WHEN sort_by = 'rating' THEN r.weighted_rating END DESC NULLS LAST,
+        CASE WHEN sort_by = 'rating' THEN r.review_count END DESC NULLS LAST,
+        CASE WHEN sort_by = 'distance' THEN r.distance_km END ASC NULLS LAST,
+        CASE WHEN sort_by = 'newest' THEN r.created_at END DESC NULLS LAST,
+        r.score DESC,
+        r.id
+    LIMIT result_limit OFFSET result_offset
+$$ LANGUAGE sql STABLE;
+
+-- Only the API calls it; distances from arbitrary points shouldn't be public
+REVOKE EXECUTE ON FUNCTION public.search_companions(
+    DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, TEXT, TEXT, TEXT, TEXT, DECIMAL, DECIMAL, DECIMAL,
+    BOOLEAN, INT, INT, UUID[], JSONB, TEXT, INT, INT
+) FROM PUBLIC, anon, authenticated;
+
+-- For bookings made since `since`, per companion: requests accepted or
+-- declined (answered) and left to expire (missed), and accepted bookings
+-- completed or cancelled by the companion. Feeds the scorecards
+-- (lib/scorecards.js).
+CREATE OR REPLACE FUNCTION public.companion_booking_rates(
+    companion_ids UUID[],
+    since TIMESTAMPTZ
+)
+RETURNS TABLE (companion_id UUID, answered BIGINT, missed BIGINT, completed BIGINT, cancelled BIGINT) AS $$
+    SELECT b.companion_id,
+           COUNT(*) FILTER (WHERE e.from_status = 'pending' AND e.action IN ('accept', 'reject')),
+           COUNT(*) FILTER (WHERE e.from_status = 'pending' AND e.action = 'expire'),
+           COUNT(*) FILTER (WHERE e.from_status = 'accepted' AND e.action = 'complete'),
+           COUNT(*) FILTER (WHERE e.from_status = 'accepted' AND e.action = 'cancel' AND e.actor_role = 'companion')
+    FROM public.bookings b
+    JOIN public.booking_events e ON e.booking_id = b.id
+    WHERE b.companion_id = ANY(companion_ids)
+      AND b.created_at >= since
+      AND e.from_status IN ('pending', 'accepted')
+      AND e.action IN ('accept', 'reject', 'expire', 'complete', 'cancel')
+    GROUP BY b.companion_id
+$$ LANGUAGE sql STABLE;
+
+REVOKE EXECUTE ON FUNCTION public.companion_booking_rates(UUID[], TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+
+-- Rating and reliability aggregates per companion, recomputed by the API
+-- when reviews or bookings change (lib/scorecards.js). Only published
+-- reviews by clients count.
+CREATE TABLE IF NOT EXISTS public.companion_scorecards (
+    companion_id UUID PRIMARY KEY REFERENCES public.profiles(id) ON DELETE CASCADE,
+    review_count INT NOT NULL DEFAULT 0,
+    -- Average overall rating; NULL without reviews
+    average_rating NUMERIC(3,2),
+    -- Bayesian average, pulled towards the prior for companions with few reviews
+    weighted_rating NUMERIC(3,2) NOT NULL,
+    -- { punctuality, communication, accuracy } averages
+    category_ratings JSONB NOT NULL DEFAULT '{}'::jsonb,
+    -- Review count per star, { "1": n, ..., "5": n }
+    rating_distribution JSONB NOT NULL DEFAULT '{}'::jsonb,
+    recent_rating NUMERIC(3,2),
+    rating_trend TEXT CHECK (rating_trend IN ('up', 'down', 'steady')),
+    response_rate NUMERIC(4,3),
+    completion_rate NUMERIC(4,3),
+    -- When the next blind review is published and the scorecard is due a refresh
+    next_refresh_at TIMESTAMPTZ,
+    refreshed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Enable RLS
+ALTER TABLE public.companion_scorecards ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies (rows are only written by the API with the service role)
+CREATE POLICY "companion_scorecards_public_select" ON public.companion_scorecards
+    FOR SELECT USING (true);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_companion_scorecards_next_refresh ON public.companion_scorecards(next_refresh_at) WHERE next_refresh_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_companion_scorecards_refreshed_at ON public.companion_scorecards(refreshed_at);
+
+-- Whether a companion is accepting requests and when they were last around
+-- (lib/presence.js). Kept out of profiles so heartbeats don't touch
+-- profiles.updated_at, which search orders by.
+CREATE TABLE IF NOT EXISTS public.companion_presence (
+    companion_id UUID PRIMARY KEY REFERENCES public.profiles(id) ON DELETE CASCADE,
+    -- The "online / accepting requests" switch on the companion dashboard
+    accepting_requests BOOLEAN NOT NULL DEFAULT false,
+    -- Subscribed to presence-user-{id}, per Pusher presence webhooks
+    connected BOOLEAN NOT NULL DEFAULT false,
+    -- Time of the last webhook applied; older deliveries are ignored
+    connection_changed_at TIMESTAMPTZ,
+    -- Last heartbeat, connect, disconnect or switch
+    last_seen_at TIMESTAMPTZ
+);
+
+-- Enable RLS (rows are only written by the API with the service role)
+ALTER TABLE public.companion_presence ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies
+CREATE POLICY "companion_presence_owner_select" ON public.companion_presence
+    FOR SELECT USING (companion_id = auth.uid());
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_companion_presence_accepting ON public.companion_presence(last_seen_at) WHERE accepting_requests;
+
+-- =============================================
+-- 13. SAVED SEARCHES
+-- =============================================
+
+-- Named companion searches clients can re-run, with alerts for new matches
+-- (see lib/savedSearches.js). Filters are stored as the client set them;
+-- coordinates are rounded like service locations.
+CREATE TABLE IF NOT EXISTS public.saved_searches (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 80),
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    alerts_enabled BOOLEAN NOT NULL DEFAULT true,
+    -- Alerts cover changes after this point; NULL until the first run
+    last_checked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT unique_saved_search_name UNIQUE(user_id, name)
+);
+
+-- Enable RLS
+ALTER TABLE public.saved_searches ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies
+CREATE POLICY "saved_searches_individual_access" ON public.saved_searches
+    FOR ALL USING (user_id = auth.uid());
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user_id ON public.saved_searches(user_id);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_alerts ON public.saved_searches(id) WHERE alerts_enabled;
+
+-- Alerts already sent, so a rerun after a failure doesn't repeat them
+CREATE TABLE IF NOT EXISTS public.saved_search_alerts (
+    id BIGSERIAL PRIMARY KEY,
+    saved_search_id BIGINT NOT NULL REFERENCES public.saved_searches(id) ON DELETE CASCADE,
+    companion_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('new_match', 'price_drop')),
+    -- The companion's rate when the alert was sent
+    hourly_rate INT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT unique_saved_search_alert UNIQUE(saved_search_id, companion_id, kind, hourly_rate)
+);
+
+-- Enable RLS (only the scheduled job reads and writes alerts, with the service role)
+ALTER TABLE public.saved_search_alerts ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_saved_searches_updated_at ON public.saved_searches;
+CREATE TRIGGER update_saved_searches_updated_at
+    BEFORE UPDATE ON public.saved_searches
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Remember the previous rate whenever a companion changes theirs. The
+-- columns can't be written directly, so nobody can fake a price drop.
+CREATE OR REPLACE FUNCTION public.record_hourly_rate_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.hourly_rate IS DISTINCT FROM OLD.hourly_rate THEN
+        NEW.previous_hourly_rate := OLD.hourly_rate;
+        NEW.hourly_rate_changed_at := NOW();
+    ELSE
+        NEW.previous_hourly_rate := OLD.previous_hourly_rate;
+        NEW.hourly_rate_changed_at := OLD.hourly_rate_changed_at;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS profiles_record_rate_change ON public.profiles;
+CREATE TRIGGER profiles_record_rate_change
+    BEFORE UPDATE ON public.profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION public.record_hourly_rate_change();
+
+CREATE INDEX IF NOT EXISTS idx_profiles_hourly_rate_changed_at ON public.profiles(hourly_rate_changed_at)
+    WHERE role = 'companion';
+CREATE INDEX IF NOT EXISTS idx_profiles_verification_reviewed_at ON public.profiles(verification_reviewed_at)
+    WHERE role = 'companion';
+
+-- =============================================
+-- 14. CHAT ATTACHMENTS
+-- =============================================
+
+-- Photos and PDFs shared in chat (see lib/attachments.js). Files live in the
+-- private storage bucket; rows are created on upload and linked to a message
+-- when it's sent. Images are moderated before they're stored, so blocked ones
+-- never get a row; borderline ones are shared and queued for an admin
+-- (in_review). moderation_scores keeps the scores.
+CREATE TABLE IF NOT EXISTS public.message_attachments (
+    id BIGSERIAL PRIMARY KEY,
+    chat_id BIGINT NOT NULL REFERENCES public.chats(id) ON DELETE CASCADE,
+    message_id BIGINT REFERENCES public.messages(id) ON DELETE CASCADE,
+    uploader_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+    storage_key TEXT NOT NULL UNIQUE,
+    thumbnail_key TEXT UNIQUE,
+    file_name TEXT NOT NULL CHECK (char_length(file_name) BETWEEN 1 AND 255),
+    mime_type TEXT NOT NULL CHECK (mime_type IN ('image/jpeg', 'image/png', 'image/webp', 'application/pdf')),
+    size_bytes INT NOT NULL CHECK (size_bytes > 0 AND size_bytes <= 10485760),
+    width INT,
+    height INT,
+    moderation_status TEXT NOT NULL CHECK (moderation_status IN ('approved', 'in_review', 'not_required')),
+    moderation_scores JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Enable RLS
+ALTER TABLE public.message_attachments ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies: participants see delivered attachments of their chats
+CREATE POLICY "message_attachments_chat_participants_select" ON public.message_attachments
+    FOR SELECT USING (
+        (message_id IS NOT NULL OR uploader_id = auth.uid()) AND
+        EXISTS (
+            SELECT 1 FROM public.chats c
+            JOIN public.bookings b ON b.id = c.booking_id
+            WHERE c.id = message_attachments.chat_id
+            AND b.status IN ('accepted', 'completed')
+            AND (b.client_id = auth.uid() OR b.companion_id = auth.uid())
+        )
+    );
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_message_attachments_message_id ON public.message_attachments(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_attachments_unsent ON public.message_attachments(uploader_id, created_at)
+    WHERE message_id IS NULL;
+
+-- Private bucket for the files; the API hands out signed URLs
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('user-uploads', 'user-uploads', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- =============================================
+-- 15. CONTENT MODERATION
+-- =============================================
+
+-- Content OpenAI moderation (or the rule-based fallback) flagged, and the
+-- admin decision on it (see lib/moderation.js). Blocked content was refused
+-- and never stored; content sent for review was published (chat, bios,
+-- photos) or held back (reviews) until an admin approves or hides it.
+CREATE TABLE IF NOT EXISTS public.moderation_events (
+    id BIGSERIAL PRIMARY KEY,
+    content_type TEXT NOT NULL CHECK (content_type IN ('message', 'review', 'review_reply', 'bio', 'profile_photo', 'attachment')),
+    -- NULL when the content was blocked before it was stored
+    content_id TEXT,
+    user_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+    content_hash TEXT NOT NULL,
+    -- Start of the text, for the admin queue; NULL for images
+    excerpt TEXT,
+    source TEXT NOT NULL CHECK (source IN ('openai', 'cache', 'rules')),
+    decision TEXT NOT NULL CHECK (decision IN ('review', 'block')),
+    categories JSONB NOT NULL DEFAULT '[]'::jsonb,
+    status TEXT NOT NULL CHECK (status IN ('pending', 'approved', 'hidden', 'blocked')),
+    reviewed_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Enable RLS (only the API reads and writes events, with the service role)
+ALTER TABLE public.moderation_events ENABLE ROW LEVEL SECURITY;
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_moderation_events_queue ON public.moderation_events(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_moderation_events_content ON public.moderation_events(content_type, content_id);
+CREATE INDEX IF NOT EXISTS idx_moderation_events_user_id ON public.moderation_events(user_id);
+
+-- OpenAI category scores by content hash, so identical content isn't sent twice
+CREATE TABLE IF NOT EXISTS public.moderation_cache (
+    content_hash TEXT PRIMARY KEY,
+    category_scores JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Enable RLS (service role only)
+ALTER TABLE public.moderation_cache ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Stub of the OpenAI moderation endpoint for local testing
+ *
+ * Serves POST /v1/moderations. Every category scores 0 unless the input
+ * names a score, e.g. "see you later harassment=0.72 violence=0.9", so any
+ * decision in lib/moderation.js can be produced from the app's own forms.
+ * Images always score 0.
+ *
+ * Run with: node scripts/openai-moderation-stub.js (PORT defaults to 4010)
+ * and start the app with OPENAI_BASE_URL=http://localhost:4010/v1.
+ * Tests start it in-process with createModerationStub().
+ */
+
+const http = require('http')
+
+const CATEGORIES = [
+  'sexual', 'sexual/minors', 'harassment', 'harassment/threatening', 'hate',
+  'hate/threatening', 'illicit', 'illicit/violent', 'self-harm',
+  'self-harm/intent', 'self-harm/instructions', 'violence', 'violence/graphic'
+]
+
+// Same cut-off OpenAI uses for `flagged`, give or take
+const FLAGGED_SCORE = 0.5
+
+// "harassment=0.72", "self-harm/intent=0.4"
+const SCORE_PATTERN = /([a-z-]+(?:\/[a-z-]+)?)=(0(?:\.\d+)?|1(?:\.0+)?)\b/g
+
+/**
+ * Category scores named in a text input
+ */
+function scoreInput(input) {
+  const scores = Object.fromEntries(CATEGORIES.map(category => [category, 0]))
+  if (typeof input !== 'string') return scores
+
+  for (const [, category, score] of input.matchAll(SCORE_PATTERN)) {
+    if (category in scores) scores[category] = Number(score)
+  }
+  return scores
+}
+
+function moderationResult(input) {
+  const scores = scoreInput(input)
+  const categories = Object.fromEntries(
+    Object.entries(scores).map(([category, score]) => [category, score >= FLAGGED_SCORE])
+  )
+
+  return {
+    flagged: Object.values(categories).some(Boolean),
+    categories,
+    category_scores: scores
+  }
+}
+
+/**
+ * Create the stub server
+ * @returns {Object} { server, requests, listen(port), close() } - requests
+ *   holds the body of every moderation request received
+ */
+function createModerationStub() {
+  const requests = []
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify(body))
+    }
+
+    if (req.method !== 'POST' || req.url !== '/v1/moderations') {
+      return send(404, { error: { message: 'Not found', type: 'invalid_request_error' } })
+    }
+
+    const chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => {
+      let body
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'))
+      } catch (error) {
+        return send(400, { error: { message: 'Invalid JSON body', type: 'invalid_request_error' } })
+      }
+
+      requests.push(body)
+      const inputs = Array.isArray(body.input) && typeof body.input[0] === 'string' ? body.input : [body.input]
+
+      send(200, {
+        id: `modr-stub-${requests.length}`,
+        model: body.model || 'omni-moderation-latest',
+        results: inputs.map(moderationResult)
+      })
+    })
+  })
+
+  return {
+    server,
+    requests,
+    listen(port = 0) {
+      return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve(server.address().port)))
+    },
+    close() {
+      return new Promise(resolve => {
+        server.close(() => resolve())
+        // Clients keep connections alive; drop them so the port is free now
+        server.closeAllConnections()
+      })
+    }
+  }
+}
+
+module.exports = { createModerationStub }
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 4010
+  createModerationStub().listen(port).then(() => {
+    console.log(`OpenAI moderation stub listening on http://localhost:${port}/v1`)
+  })
+}